@@ -8,7 +8,7 @@ import { generateOTP } from "../lib/utils/helper.js"; // Gardé pour sendOTP
 
 import dotenv from "dotenv";
 import { OAuth2Client } from "google-auth-library"; // <<<--- AJOUTÉ
-import MenuItem from "../models/menuItem.model.js";
+import { SUPPORTED_LOCALES } from "../lib/i18n/index.js";
 
 dotenv.config();
 
@@ -32,13 +32,13 @@ export const socialLogin = async (req, res, next) => {
       .status(400)
       .json({
         success: false,
-        error: "Seul Google est supporté pour ce flux actuellement.",
+        error: "Only Google sign-in is supported for this flow",
       });
   }
   if (!idToken) {
     return res
       .status(400)
-      .json({ success: false, error: "Le 'idToken' Google est manquant." });
+      .json({ success: false, error: "Google idToken is missing" });
   }
 
   try {
@@ -63,7 +63,7 @@ export const socialLogin = async (req, res, next) => {
       console.error("Erreur de vérification Google Token:", googleError.message);
       return res
         .status(401)
-        .json({ success: false, error: "Token Google invalide ou expiré." });
+        .json({ success: false, error: "Google token is invalid or expired" });
     }
 
     const providerId = payload["sub"]; // Google User ID
@@ -77,7 +77,7 @@ export const socialLogin = async (req, res, next) => {
         .status(400)
         .json({
           success: false,
-          error: "Informations Google (ID ou email) manquantes.",
+          error: "Google account ID or email is missing",
         });
     }
 
@@ -110,7 +110,7 @@ export const socialLogin = async (req, res, next) => {
           isAdmin: false,
           isRestaurantOwner: false,
           language: payload['locale'] || "fr", // Use language from Google payload or default
-          wallet: { balance: 0, transactions: [] }, // Initialize wallet
+          wallet: { balance: 0 }, // Initialize wallet
           favorites: [],
           addresses: [],
           recommandations: [],
@@ -134,7 +134,7 @@ export const socialLogin = async (req, res, next) => {
     // The Flutter app's AuthCubit will use 'userId' and 'mobileRequired'.
     res.status(200).json({
       success: true,
-      message: "Liaison Google réussie. Numéro de téléphone requis si non déjà fourni et vérifié.",
+      message: "Google account linked. A verified phone number is required if not already provided",
       userId: user._id.toString(), // Send user ID
       mobileRequired: !user.isMobileVerified, // True if mobile is not verified
     });
@@ -159,7 +159,7 @@ export const sendOTP = async (req, res, next) => {
     if (!mobileNumber) {
       return res
         .status(400)
-        .json({ success: false, error: "Numéro de mobile manquant." });
+        .json({ success: false, error: "Mobile number is required" });
     }
 
     const otp = generateOTP(6);
@@ -174,7 +174,7 @@ export const sendOTP = async (req, res, next) => {
           .status(404)
           .json({
             success: false,
-            error: "Utilisateur non trouvé pour l'ID fourni.",
+            error: "No user found for the given ID",
           });
       }
       // Vérifier si le numéro est différent et non vérifié avant de mettre à jour ?
@@ -234,7 +234,7 @@ export const sendOTP = async (req, res, next) => {
     console.log("success");
     return res.status(200).json({
       success: true,
-      message: "OTP envoyé avec succès (vérifiez les logs serveur).",
+      message: "OTP sent successfully (check the server logs)",
       otp: process.env.NODE_ENV !== "production" ? otp : undefined,
     });
   } catch (error) {
@@ -249,7 +249,7 @@ export const verifyOTP = async (req, res, next) => {
     // Recevoir le numéro avec l'OTP est crucial
     const { mobileNumber, otp } = req.body;
     if (!mobileNumber || !otp) {
-      return res.status(400).json({ error: "Numéro et OTP requis." });
+      return res.status(400).json({ error: "Mobile number and OTP are required" });
     }
 
     // Trouver l'utilisateur PAR NUMERO (car on n'a pas d'autre ID fiable à ce stade)
@@ -257,7 +257,7 @@ export const verifyOTP = async (req, res, next) => {
     if (!user)
       return res
         .status(404)
-        .json({ error: "Utilisateur non trouvé pour ce numéro." });
+        .json({ error: "No user found for this number" });
 
     // Trouver le token de vérification VALIDE pour cet user et cet OTP
     const verification = await VerificationToken.findOne({
@@ -268,7 +268,7 @@ export const verifyOTP = async (req, res, next) => {
     });
     console.log(`OTP trouvé pour ${mobileNumber}: ${otp}`);
     if (!verification) {
-      return res.status(400).json({ error: "Code OTP invalide ou expiré." });
+      return res.status(400).json({ error: "OTP code is invalid or expired" });
     }
 
     // --- Succès OTP ---
@@ -291,7 +291,7 @@ export const verifyOTP = async (req, res, next) => {
     // Adapter les champs renvoyés si nécessaire pour correspondre à UserModel Flutter
     res.json({
       success: true,
-      message: "OTP vérifié avec succès. Veuillez fournir les préférences.",
+      message: "OTP verified successfully. Please submit your preferences",
       userId: user._id, // Renvoyer l'ID de l'utilisateur trouvé/vérifié
       // user: {
       //   _id: user._id,
@@ -575,14 +575,14 @@ export const submitPreferences = async (req, res, next) => {
 
   // --- Validation ---
   if (!userId) {
-    return res.status(400).json({ success: false, error: "userId manquant." });
+    return res.status(400).json({ success: false, error: "User ID is required" });
   }
   if (!preferences || typeof preferences !== "object") {
     return res
       .status(400)
       .json({
         success: false,
-        error: "Données de préférences invalides ou manquantes.",
+        error: "Preferences are missing or invalid",
       });
   }
   // Optionnel: Valider la structure de 'preferences' plus en détail
@@ -598,7 +598,7 @@ export const submitPreferences = async (req, res, next) => {
     if (!user) {
       return res
         .status(404)
-        .json({ success: false, error: "Utilisateur non trouvé." });
+        .json({ success: false, error: "User not found" });
     }
     if (!user.isMobileVerified) {
       // Sécurité : vérifier que le mobile a bien été vérifié avant
@@ -607,7 +607,7 @@ export const submitPreferences = async (req, res, next) => {
         .json({
           success: false,
           error:
-            "Le numéro de téléphone doit être vérifié avant de soumettre les préférences.",
+            "The phone number must be verified before submitting preferences",
         });
     }
     console.log(preferences);
@@ -617,43 +617,22 @@ export const submitPreferences = async (req, res, next) => {
       user.dietaryProfile = { ...preferences.dietaryProfile };
     }
     if (preferences.healthProfile) {
-      // Attention à la casse si votre modèle utilise 'healthProfile' et le schéma 'HealthProfile'
-      user.healthProfile = { ...preferences.healthProfile };
+      // Le schéma nomme ce champ 'HealthProfile'
+      user.HealthProfile = { ...preferences.healthProfile };
     }
-    // Mettre à jour d'autres champs si nécessaire (ex: un flag profileComplete?)
-
-    console.log(`Préférences enregistrées pour l'utilisateur ${userId}`);
-    const meals = await MenuItem.find();
-    const prediction = 0.5;
-    for (const meal of meals) {
-      const dietaryInfo = meal.dietaryInfo;
-      for (const [key, value] of Object.entries(dietaryInfo)) {
-        if (user.dietaryProfile[key] && !value) {
-          const rating = new Rating({
-            userIndex: user.matrixIndex,
-            menuIndex: meal.matrixIndex,
-            rating: prediction,
-          });
-          await rating.save();
-          break;
-        }
-        
-      }
-      const healthInfo = meal.healthInfo;
-      for (const [key, value] of Object.entries(healthInfo)) {
-        if (user.healthProfile[key] && !value) {
-          const rating = new Rating({
-            userIndex: user.matrixIndex,
-            menuIndex: meal.matrixIndex,
-            rating: prediction,
-          });
-          await rating.save();
-          break;
-        }
-        if (user.recommandations.length < 10) user.recommandations.push(meal);
+    // Langue des messages, menus et notifications (sinon Accept-Language)
+    if (preferences.language !== undefined) {
+      if (!SUPPORTED_LOCALES.includes(preferences.language)) {
+        return res.status(400).json({
+          success: false,
+          error: `Language must be one of: ${SUPPORTED_LOCALES.join(", ")}`,
+        });
       }
+      user.settings.language = preferences.language;
     }
+    // Mettre à jour d'autres champs si nécessaire (ex: un flag profileComplete?)
 
+    console.log(`Préférences enregistrées pour l'utilisateur ${userId}`);
     user = await user.save();
 
     // --- Générer le TOKEN JWT FINAL ---
@@ -686,7 +665,8 @@ export const submitPreferences = async (req, res, next) => {
         favorites: user.favorites || [],
         recommandations: user.recommandations || [],
         dietaryProfile: user.dietaryProfile, // Renvoyer les profils mis à jour
-        healthProfile: user.healthProfile,
+        healthProfile: user.HealthProfile,
+        language: user.settings?.language || null,
         // ... autres champs nécessaires pour le modèle UserModel Flutter ...
       },
     });
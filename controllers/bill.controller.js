@@ -1,14 +1,63 @@
 import Bill from "../models/bill.model.js"
 import TableSession from "../models/table-session.model.js"
 import {Table} from "../models/table.model.js"
-import {Order} from "../models/order.model.js"
+import { splitBill as splitBillIntoParts, clearBillSplit, payBillPart, BillSplitError } from "../services/billSplitService.js"
+import {
+  getOrCreateSessionBill,
+  billAmountDue,
+  addBillDiscount,
+  removeBillDiscount,
+  normalizeTip,
+  BillingError,
+} from "../services/billingService.js"
+import { notifyBillReady } from "../socket.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Map split and billing errors to responses, anything else goes to the error handler
+const handleBillError = (error, res, next) => {
+  if (error instanceof BillSplitError || error instanceof BillingError) {
+    return res.status(error.statusCode).json({ message: error.message })
+  }
+  next(error)
+}
+
+// Totals of a bill, as returned when it is generated
+const formatBillSummary = (bill) => ({
+  id: bill._id,
+  subtotal: bill.subtotal,
+  discountTotal: bill.discountTotal,
+  serviceCharge: bill.serviceCharge,
+  tax: bill.tax,
+  total: bill.total,
+  deposit: bill.deposit?.amount || 0,
+  amountDue: billAmountDue(bill),
+  paymentStatus: bill.paymentStatus,
+})
+
+// Close the session of a paid bill and free its table for cleaning
+const closeSessionForPaidBill = async (bill) => {
+  const session = await TableSession.findById(bill.tableSessionId)
+  if (session && session.status !== "closed") {
+    session.status = "closed"
+    session.endTime = new Date()
+    await session.save()
+
+    // Update table status
+    const table = await Table.findById(session.tableId)
+    if (table) {
+      table.status = "cleaning"
+      table.currentSession = null
+      await table.save()
+    }
+  }
+}
 
 // Get bill by ID
 export const getBillById = async (req, res, next) => {
   try {
     const { billId } = req.params
 
-    const bill = await Bill.findById(billId)
+    const bill = await Bill.findOne({ _id: billId, restaurant: req.restaurantId })
       .populate("tableSessionId", "tableId startTime endTime")
       .populate("processedBy", "fullName")
 
@@ -27,7 +76,7 @@ export const getBillByTableSession = async (req, res, next) => {
   try {
     const { sessionId } = req.params
 
-    const bill = await Bill.findOne({ tableSessionId: sessionId })
+    const bill = await Bill.findOne({ tableSessionId: sessionId, restaurant: req.restaurantId })
       .populate("tableSessionId", "tableId startTime endTime")
       .populate("processedBy", "fullName")
 
@@ -46,7 +95,7 @@ export const getAllBills = async (req, res, next) => {
   try {
     const { status, startDate, endDate } = req.query
 
-    const query = {}
+    const query = { restaurant: req.restaurantId }
 
     if (status) {
       query.paymentStatus = status
@@ -70,7 +119,7 @@ export const getAllBills = async (req, res, next) => {
   }
 }
 
-// Update bill payment status
+// Record the payment of a pending bill. Refund states belong to refundService.
 export const updateBillPaymentStatus = async (req, res, next) => {
   try {
     const { billId } = req.params
@@ -79,50 +128,61 @@ export const updateBillPaymentStatus = async (req, res, next) => {
     if (!paymentStatus) {
       return res.status(400).json({ message: "Payment status is required" })
     }
+    if (paymentStatus !== "paid") {
+      return res.status(400).json({ message: "A bill can only be marked paid here, refunds go through the refund endpoints" })
+    }
+
+    const tip = normalizeTip(req.body.tip)
 
-    const bill = await Bill.findById(billId)
+    const bill = await Bill.findOne({ _id: billId, restaurant: req.restaurantId })
 
     if (!bill) {
       return res.status(404).json({ message: "Bill not found" })
     }
 
-    // Update bill
-    bill.paymentStatus = paymentStatus
-    if (paymentMethod) {
-      bill.paymentMethod = paymentMethod
+    // A split bill is paid part by part
+    if (bill.splitMode !== "none" && bill.parts.length) {
+      return res.status(409).json({ message: "Bill is split, record the payment of each part instead" })
     }
-    bill.processedBy = req.userId // Set by auth middleware
 
-    await bill.save()
-
-    // If bill is paid, update session and table status
-    if (paymentStatus === "paid") {
-      const session = await TableSession.findById(bill.tableSessionId)
-      if (session && session.status !== "closed") {
-        session.status = "closed"
-        session.endTime = new Date()
-        await session.save()
+    if (bill.paymentStatus !== "pending") {
+      return res.status(409).json({ message: `Bill is ${bill.paymentStatus}, only pending bills can be marked paid` })
+    }
 
-        // Update table status
-        const table = await Table.findById(session.tableId)
-        if (table) {
-          table.status = "cleaning"
-          table.currentSession = null
-          await table.save()
-        }
-      }
+    // Conditional: a bill paid or refunded meanwhile is left alone
+    const paid = await Bill.findOneAndUpdate(
+      { _id: bill._id, paymentStatus: "pending" },
+      {
+        $set: {
+          paymentStatus: "paid",
+          ...(paymentMethod && { paymentMethod }),
+          // Tip is entered when the bill is paid
+          ...(req.body.tip !== undefined && { tip }),
+          // Only Staff accounts are recorded, admins/owners act through their User account
+          processedBy: req.staff?._id || null,
+        },
+      },
+      { new: true, runValidators: true },
+    )
+    if (!paid) {
+      return res.status(409).json({ message: "Bill changed meanwhile, reload it" })
     }
 
+    // Paid: close the session and free the table
+    await closeSessionForPaidBill(paid)
+
     res.status(200).json({
       message: "Bill payment status updated successfully",
       bill: {
-        id: bill._id,
-        paymentStatus: bill.paymentStatus,
-        paymentMethod: bill.paymentMethod,
+        id: paid._id,
+        paymentStatus: paid.paymentStatus,
+        paymentMethod: paid.paymentMethod,
+        total: paid.total,
+        tip: paid.tip,
       },
     })
   } catch (error) {
-    next(error)
+    handleBillError(error, res, next)
   }
 }
 
@@ -132,7 +192,7 @@ export const generateBillForSession = async (req, res, next) => {
     const { sessionId } = req.params
 
     // Check if bill already exists
-    const existingBill = await Bill.findOne({ tableSessionId: sessionId })
+    const existingBill = await Bill.findOne({ tableSessionId: sessionId, restaurant: req.restaurantId })
     if (existingBill) {
       return res.status(400).json({
         message: "Bill already exists for this session",
@@ -140,25 +200,13 @@ export const generateBillForSession = async (req, res, next) => {
       })
     }
 
-    const session = await TableSession.findById(sessionId)
+    const session = await TableSession.findOne({ _id: sessionId, restaurant: req.restaurantId })
     if (!session) {
       return res.status(404).json({ message: "Session not found" })
     }
 
-    // Get all orders for this session
-    const orders = await Order.find({ _id: { $in: session.orders } })
-
-    // Calculate total
-    const total = orders.reduce((sum, order) => sum + order.total, 0)
-
-    // Create bill
-    const bill = new Bill({
-      tableSessionId: sessionId,
-      total,
-      paymentStatus: "pending",
-    })
-
-    await bill.save()
+    // Create bill from the session's orders
+    const { bill } = await getOrCreateSessionBill(session)
 
     // Update session status
     session.status = "payment_pending"
@@ -166,11 +214,7 @@ export const generateBillForSession = async (req, res, next) => {
 
     res.status(201).json({
       message: "Bill generated successfully",
-      bill: {
-        id: bill._id,
-        total: bill.total,
-        paymentStatus: bill.paymentStatus,
-      },
+      bill: formatBillSummary(bill),
     })
   } catch (error) {
     next(error)
@@ -182,7 +226,7 @@ export const endSessionAndGenerateBill = async (req, res, next) => {
   try {
     const { sessionId } = req.params
 
-    const session = await TableSession.findById(sessionId)
+    const session = await TableSession.findOne({ _id: sessionId, restaurant: req.restaurantId })
     if (!session) {
       return res.status(404).json({ message: "Session not found" })
     }
@@ -191,39 +235,112 @@ export const endSessionAndGenerateBill = async (req, res, next) => {
       return res.status(400).json({ message: "Session is already closed" })
     }
 
-    // Check if bill already exists
-    let bill = await Bill.findOne({ tableSessionId: sessionId })
+    // Use the existing bill or create it from the session's orders
+    const { bill } = await getOrCreateSessionBill(session)
 
-    if (!bill) {
-      // Get all orders for this session
-      const orders = await Order.find({ _id: { $in: session.orders } })
+    // Update session status
+    session.status = "payment_pending"
+    await session.save()
 
-      // Calculate total
-      const total = orders.reduce((sum, order) => sum + order.total, 0)
+    res.status(200).json({
+      message: "Session ended and bill generated successfully",
+      bill: formatBillSummary(bill),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
 
-      // Create bill
-      bill = new Bill({
-        tableSessionId: sessionId,
-        total,
-        paymentStatus: "pending",
-      })
+// Split bill into parts (by item, seat, equal shares or custom amounts)
+export const splitBill = async (req, res, next) => {
+  try {
+    const { billId } = req.params
+    const { mode, parts, count, payers } = req.body
 
-      await bill.save()
+    const bill = await splitBillIntoParts(req.restaurantId, billId, { mode, parts, count, payers })
+
+    // Each payer gets their part on their devices
+    if (req.io) {
+      await notifyBillReady(req.io, bill).catch((error) =>
+        logger.error(`Error notifying split of bill ${bill._id}:`, error),
+      )
     }
 
-    // Update session status
-    session.status = "payment_pending"
-    await session.save()
+    res.status(200).json({ message: "Bill split successfully", bill })
+  } catch (error) {
+    handleBillError(error, res, next)
+  }
+}
+
+// Remove bill split
+export const removeBillSplit = async (req, res, next) => {
+  try {
+    const bill = await clearBillSplit(req.restaurantId, req.params.billId)
+
+    res.status(200).json({ message: "Bill split removed", bill })
+  } catch (error) {
+    handleBillError(error, res, next)
+  }
+}
+
+// Update payment status of a bill part
+export const updateBillPartPayment = async (req, res, next) => {
+  try {
+    const { billId, partId } = req.params
+    const { paymentMethod } = req.body
+
+    const { bill, part, fullyPaid } = await payBillPart(req.restaurantId, billId, partId, {
+      paymentMethod,
+      tip: normalizeTip(req.body.tip),
+      // Only Staff accounts are recorded, admins/owners act through their User account
+      processedBy: req.staff?._id || null,
+    })
+
+    // The session closes with the last part
+    if (fullyPaid) {
+      await closeSessionForPaidBill(bill)
+    }
 
     res.status(200).json({
-      message: "Session ended and bill generated successfully",
+      message: "Bill part payment recorded successfully",
       bill: {
         id: bill._id,
-        total: bill.total,
         paymentStatus: bill.paymentStatus,
+        paymentMethod: bill.paymentMethod,
+        tip: bill.tip,
+        remaining: bill.parts
+          .filter((entry) => entry.paymentStatus !== "paid")
+          .reduce((sum, entry) => sum + entry.amount, 0),
       },
+      part,
     })
   } catch (error) {
-    next(error)
+    handleBillError(error, res, next)
+  }
+}
+
+// Add discount to bill
+export const addDiscountToBill = async (req, res, next) => {
+  try {
+    const { label, type, value } = req.body
+
+    const bill = await addBillDiscount(req.restaurantId, req.params.billId, { label, type, value }, req.staff?._id || null)
+
+    res.status(200).json({ message: "Discount applied successfully", bill })
+  } catch (error) {
+    handleBillError(error, res, next)
+  }
+}
+
+// Remove discount from bill
+export const removeDiscountFromBill = async (req, res, next) => {
+  try {
+    const { billId, discountId } = req.params
+
+    const bill = await removeBillDiscount(req.restaurantId, billId, discountId)
+
+    res.status(200).json({ message: "Discount removed successfully", bill })
+  } catch (error) {
+    handleBillError(error, res, next)
   }
 }
@@ -0,0 +1,207 @@
+import mongoose from "mongoose"
+import { Order } from "../models/order.model.js"
+import {
+  getTracking,
+  getDriverDeliveries,
+  getDispatchBoard,
+  setDriverStatus,
+  updateDriverLocation,
+  updateDeliveryStatus,
+  recordProofOfDelivery,
+  assignDriver,
+  unassignDriver,
+  formatDriver,
+  formatDelivery,
+  DispatchError,
+} from "../services/dispatchService.js"
+import { OrderStatusTransitionError } from "../services/orderStatusService.js"
+
+// Map service errors to responses, anything else goes to the error handler
+const handleDispatchError = (error, res, next) => {
+  if (error instanceof DispatchError) {
+    return res.status(error.statusCode).json({ message: error.message })
+  }
+  if (error instanceof OrderStatusTransitionError) {
+    return res.status(error.statusCode).json({
+      message: error.message,
+      currentStatus: error.currentStatus,
+      allowedStatuses: error.allowedStatuses,
+    })
+  }
+  next(error)
+}
+
+// Delivery order of this restaurant named in the URL
+const findDeliveryOrder = (req, filter = {}) => {
+  const { orderId } = req.params
+  if (!mongoose.isValidObjectId(orderId)) return null
+  return Order.findOne({ _id: orderId, restaurant: req.restaurantId, orderType: "Delivery", ...filter })
+}
+
+// Driver routes act on the signed in staff account, admin and owner user tokens have none
+const requireDriverAccount = (req, res) => {
+  if (req.staff) return true
+  res.status(403).json({ message: "Only staff accounts can make deliveries" })
+  return false
+}
+
+// @desc    Status, ETA, driver position and proof of delivery of the customer's delivery
+// @route   GET /api/deliveries/:orderId/tracking
+// @access  Private
+export const getDeliveryTracking = async (req, res, next) => {
+  try {
+    const order = await findDeliveryOrder(req, { user: req.user._id })
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    res.status(200).json({ tracking: await getTracking(order) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    The driver's profile and the deliveries they hold
+// @route   GET /api/deliveries/driver/me
+// @access  Private (staff with driver:deliveries)
+export const getMyDeliveries = async (req, res, next) => {
+  try {
+    if (!requireDriverAccount(req, res)) return
+
+    const { driver, deliveries } = await getDriverDeliveries(req.restaurant, req.staff)
+    res.status(200).json({ driver, deliveries })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Start or end a shift, take a break, change vehicle
+// @route   PUT /api/deliveries/driver/status
+// @access  Private (staff with driver:deliveries)
+export const updateMyDriverStatus = async (req, res, next) => {
+  try {
+    if (!requireDriverAccount(req, res)) return
+
+    const { status, vehicle, shiftEndsAt } = req.body
+    const driver = await setDriverStatus(req.restaurant, req.staff, { status, vehicle, shiftEndsAt }, { io: req.io })
+    res.status(200).json({ message: "Driver status updated", driver: formatDriver(driver) })
+  } catch (error) {
+    handleDispatchError(error, res, next)
+  }
+}
+
+// @desc    Send the driver's position (fallback when the socket is down)
+// @route   PUT /api/deliveries/driver/location
+// @access  Private (staff with driver:deliveries)
+export const updateMyLocation = async (req, res, next) => {
+  try {
+    if (!requireDriverAccount(req, res)) return
+
+    const result = await updateDriverLocation(
+      { restaurantId: req.restaurantId, staffId: req.staff._id },
+      req.body,
+      { io: req.io },
+    )
+    res.status(200).json(result)
+  } catch (error) {
+    handleDispatchError(error, res, next)
+  }
+}
+
+// @desc    Mark one of the driver's deliveries picked up, out for delivery or delivered
+// @route   POST /api/deliveries/driver/orders/:orderId/status
+// @access  Private (staff with driver:deliveries)
+export const updateMyDeliveryStatus = async (req, res, next) => {
+  try {
+    if (!requireDriverAccount(req, res)) return
+
+    const order = await findDeliveryOrder(req)
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    const updated = await updateDeliveryStatus(req.restaurant, req.staff, order, req.body.status, { io: req.io })
+    res.status(200).json({ message: "Delivery status updated", delivery: formatDelivery(updated) })
+  } catch (error) {
+    handleDispatchError(error, res, next)
+  }
+}
+
+// @desc    Upload the proof of delivery photo, an order out for delivery becomes delivered
+// @route   POST /api/deliveries/driver/orders/:orderId/proof
+// @access  Private (staff with driver:deliveries)
+export const uploadProofOfDelivery = async (req, res, next) => {
+  try {
+    if (!requireDriverAccount(req, res)) return
+
+    const order = await findDeliveryOrder(req)
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    const { photo, recipientName, notes, latitude, longitude } = req.body
+    const updated = await recordProofOfDelivery(
+      req.restaurant,
+      req.staff,
+      order,
+      { photo, recipientName, notes, latitude, longitude },
+      { io: req.io },
+    )
+    res.status(200).json({
+      message: "Proof of delivery uploaded",
+      delivery: formatDelivery(updated),
+      proofOfDelivery: updated.proofOfDelivery,
+    })
+  } catch (error) {
+    handleDispatchError(error, res, next)
+  }
+}
+
+// @desc    Drivers on shift and open delivery orders
+// @route   GET /api/deliveries/dispatch
+// @access  Private (staff with dispatch:manage)
+export const getDispatch = async (req, res, next) => {
+  try {
+    res.status(200).json(await getDispatchBoard(req.restaurant))
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Assign a delivery to a driver, or to the best available driver when none is given
+// @route   POST /api/deliveries/dispatch/:orderId/assign
+// @access  Private (staff with dispatch:manage)
+export const assignDelivery = async (req, res, next) => {
+  try {
+    const order = await findDeliveryOrder(req)
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    const updated = await assignDriver(req.restaurant, order, req.body.driverId, {
+      assignedBy: req.staff?._id || req.user?._id,
+      assignedByModel: req.staff ? "Staff" : "User",
+      io: req.io,
+    })
+    res.status(200).json({ message: "Driver assigned", delivery: formatDelivery(updated) })
+  } catch (error) {
+    handleDispatchError(error, res, next)
+  }
+}
+
+// @desc    Take a delivery back from its driver before pick-up
+// @route   POST /api/deliveries/dispatch/:orderId/unassign
+// @access  Private (staff with dispatch:manage)
+export const unassignDelivery = async (req, res, next) => {
+  try {
+    const order = await findDeliveryOrder(req)
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" })
+    }
+
+    const updated = await unassignDriver(req.restaurant, order, { io: req.io })
+    res.status(200).json({ message: "Driver unassigned", delivery: formatDelivery(updated) })
+  } catch (error) {
+    handleDispatchError(error, res, next)
+  }
+}
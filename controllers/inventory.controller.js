@@ -0,0 +1,119 @@
+import { Ingredient, INGREDIENT_UNITS } from "../models/ingredient.model.js"
+import { adjustStock, checkLowStock, refreshMenuAvailability, InventoryError } from "../services/inventoryService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Fields a manager may set directly, stock only moves through adjustments and orders
+const EDITABLE_FIELDS = ["name", "unit", "lowStockThreshold", "isActive"]
+
+const formatIngredient = (ingredient) => ({
+  id: ingredient._id,
+  name: ingredient.name,
+  unit: ingredient.unit,
+  stock: ingredient.stock,
+  lowStockThreshold: ingredient.lowStockThreshold,
+  isLow: ingredient.stock <= ingredient.lowStockThreshold,
+  isActive: ingredient.isActive,
+  updatedAt: ingredient.updatedAt,
+})
+
+// Map service errors to responses, anything else goes to the error handler
+const handleInventoryError = (error, res, next) => {
+  if (error instanceof InventoryError) {
+    return res.status(error.statusCode).json({ message: error.message })
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: "An ingredient with this name already exists" })
+  }
+  next(error)
+}
+
+// @desc    List ingredients of the restaurant
+// @route   GET /api/inventory?lowStock=true
+// @access  Private (inventory:manage)
+export const getIngredients = async (req, res, next) => {
+  try {
+    const ingredients = await Ingredient.find({ restaurant: req.restaurantId, isActive: true }).sort({ name: 1 })
+    const listed =
+      req.query.lowStock === "true"
+        ? ingredients.filter((ingredient) => ingredient.stock <= ingredient.lowStockThreshold)
+        : ingredients
+
+    res.status(200).json({ ingredients: listed.map(formatIngredient) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Create an ingredient
+// @route   POST /api/inventory
+// @access  Private (inventory:manage)
+export const createIngredient = async (req, res, next) => {
+  try {
+    const { name, unit, stock } = req.body
+
+    if (!name) {
+      return res.status(400).json({ message: "Ingredient name is required" })
+    }
+
+    if (unit && !INGREDIENT_UNITS.includes(unit)) {
+      return res.status(400).json({ message: `Unit must be one of: ${INGREDIENT_UNITS.join(", ")}` })
+    }
+
+    const ingredient = new Ingredient({ restaurant: req.restaurantId, stock: Number(stock) || 0 })
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) ingredient[field] = req.body[field]
+    }
+    await ingredient.save()
+
+    logger.info(`Ingredient ${ingredient._id} (${ingredient.name}) created at restaurant ${req.restaurantId}`)
+
+    res.status(201).json({ message: "Ingredient created successfully", ingredient: formatIngredient(ingredient) })
+  } catch (error) {
+    handleInventoryError(error, res, next)
+  }
+}
+
+// @desc    Update an ingredient
+// @route   PUT /api/inventory/:ingredientId
+// @access  Private (inventory:manage)
+export const updateIngredient = async (req, res, next) => {
+  try {
+    const ingredient = await Ingredient.findOne({ _id: req.params.ingredientId, restaurant: req.restaurantId })
+    if (!ingredient) {
+      return res.status(404).json({ message: "Ingredient not found" })
+    }
+
+    if (req.body.unit && !INGREDIENT_UNITS.includes(req.body.unit)) {
+      return res.status(400).json({ message: `Unit must be one of: ${INGREDIENT_UNITS.join(", ")}` })
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) ingredient[field] = req.body[field]
+    }
+    await ingredient.save()
+
+    // A new threshold or switching tracking off can change what is sold out or low
+    if (req.body.lowStockThreshold !== undefined || req.body.isActive !== undefined) {
+      await refreshMenuAvailability(req.restaurantId, [ingredient._id], req.io)
+      await checkLowStock(req.restaurantId, [ingredient._id], req.io)
+    }
+
+    res.status(200).json({ message: "Ingredient updated successfully", ingredient: formatIngredient(ingredient) })
+  } catch (error) {
+    handleInventoryError(error, res, next)
+  }
+}
+
+// @desc    Add or remove stock (delivery, waste) or set it after a count
+// @route   POST /api/inventory/:ingredientId/adjust
+// @access  Private (inventory:manage)
+export const adjustIngredientStock = async (req, res, next) => {
+  try {
+    const { delta, stock, reason } = req.body
+    const ingredient = await adjustStock(req.restaurantId, req.params.ingredientId, { delta, stock, reason }, req.io)
+
+    res.status(200).json({ message: "Stock updated successfully", ingredient: formatIngredient(ingredient) })
+  } catch (error) {
+    handleInventoryError(error, res, next)
+  }
+}
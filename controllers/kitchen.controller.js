@@ -0,0 +1,138 @@
+import { Order } from "../models/order.model.js"
+import {
+  getRestaurantStations,
+  formatStationTicket,
+  startStationTicket,
+  markStationTicketReady,
+  StationTicketError,
+  OPEN_TICKET_STATUSES,
+} from "../services/kitchenStationService.js"
+import { OrderStatusTransitionError, ACTIVE_KITCHEN_STATUSES } from "../services/orderStatusService.js"
+import { listPresent } from "../services/presenceService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Map service errors to responses, anything else goes to the error handler
+const handleStationError = (error, res, next) => {
+  if (error instanceof StationTicketError || error instanceof OrderStatusTransitionError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message })
+  }
+  next(error)
+}
+
+// Check the station exists for the restaurant
+const isKnownStation = (req, station) => getRestaurantStations(req.restaurant).some((entry) => entry.key === station)
+
+// @desc    List the kitchen stations of the restaurant
+// @route   GET /api/kitchen/stations
+// @access  Private (kitchen:view)
+export const getStations = async (req, res, next) => {
+  try {
+    const stations = getRestaurantStations(req.restaurant).map(({ key, name, categories, isDefault }) => ({
+      key,
+      name,
+      categories,
+      isDefault: !!isDefault,
+    }))
+    res.status(200).json({ stations })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Kitchen displays currently connected (on any server instance)
+// @route   GET /api/kitchen/displays
+// @access  Private (kitchen:view)
+export const getKitchenDisplays = async (req, res, next) => {
+  try {
+    const displays = await listPresent(req.restaurantId, "kitchen")
+    res.status(200).json({
+      displays: displays.map((display) => ({
+        socketId: display.id,
+        stations: display.stations?.length ? display.stations : "all",
+        staffId: display.staffId || null,
+        instanceId: display.instanceId,
+        lastHeartbeat: display.lastHeartbeat,
+      })),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Open tickets of one station, oldest first
+// @route   GET /api/kitchen/stations/:station/tickets
+// @access  Private (kitchen:view)
+export const getStationTickets = async (req, res, next) => {
+  try {
+    const { station } = req.params
+
+    if (!isKnownStation(req, station)) {
+      return res.status(404).json({ message: `Unknown station '${station}'` })
+    }
+
+    const orders = await Order.find({
+      restaurant: req.restaurantId,
+      status: { $in: ACTIVE_KITCHEN_STATUSES },
+      stationTickets: { $elemMatch: { station, status: { $in: OPEN_TICKET_STATUSES } } },
+    }).sort({ createdAt: 1 })
+
+    const tickets = orders.map((order) =>
+      formatStationTicket(
+        order,
+        order.stationTickets.find((ticket) => ticket.station === station),
+      ),
+    )
+
+    res.status(200).json({ station, tickets })
+  } catch (error) {
+    logger.error(`Error fetching tickets for station ${req.params.station}:`, error)
+    next(error)
+  }
+}
+
+// @desc    Station starts preparing its items of an order
+// @route   PUT /api/kitchen/orders/:orderId/stations/:station/start
+// @access  Private (kitchen:update)
+export const startTicket = async (req, res, next) => {
+  try {
+    const { orderId, station } = req.params
+
+    const order = await startStationTicket(req.restaurantId, orderId, station, {
+      changedBy: req.staff?._id || req.user?._id,
+      changedByModel: req.staff ? "Staff" : "User",
+      io: req.io,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Station ${station} started`,
+      ticket: formatStationTicket(order, order.stationTickets.find((ticket) => ticket.station === station)),
+    })
+  } catch (error) {
+    handleStationError(error, res, next)
+  }
+}
+
+// @desc    Station marks its items of an order ready
+// @route   PUT /api/kitchen/orders/:orderId/stations/:station/ready
+// @access  Private (kitchen:update)
+export const markTicketReady = async (req, res, next) => {
+  try {
+    const { orderId, station } = req.params
+
+    const order = await markStationTicketReady(req.restaurantId, orderId, station, {
+      changedBy: req.staff?._id || req.user?._id,
+      changedByModel: req.staff ? "Staff" : "User",
+      io: req.io,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Station ${station} ready`,
+      orderStatus: order.status,
+      ticket: formatStationTicket(order, order.stationTickets.find((ticket) => ticket.station === station)),
+    })
+  } catch (error) {
+    handleStationError(error, res, next)
+  }
+}
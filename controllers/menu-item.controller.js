@@ -1,29 +1,87 @@
+import mongoose from "mongoose";
 import MenuItem from "../models/menuItem.model.js";
 import { uploadImage, deleteImage } from "../services/cloudinaryService.js";
 // Import Redis service
-import redisService, { getCache, setCache, deleteCache, getValue, setValue } from '../services/redis.service.js';
+import redisService, { getCache, setCache, deleteCache, getValue, setValue, tenantKey } from '../services/redis.service.js';
 import logger from '../middlewares/logger.middleware.js';
-
-// Cache key constants
+import {
+  filterScheduledMenuItems,
+  isMenuItemScheduled,
+  eightySixMenuItem,
+  restoreMenuItem,
+} from '../services/menuScheduleService.js';
+import { refreshMenuAvailability } from '../services/inventoryService.js';
+import { Ingredient } from '../models/ingredient.model.js';
+import { searchMenu, suggestMenu, MenuSearchError } from '../services/menuSearchService.js';
+import { SUPPORTED_LOCALES, localizedText } from '../lib/i18n/index.js';
+
+// Cache key constants (scoped per restaurant with tenantKey)
 const ALL_MENU_ITEMS_CACHE = 'menu:all';
 const MENU_ITEM_DETAILS_CACHE_PREFIX = 'menu:item:';
 const POPULAR_MENU_ITEMS_CACHE = 'menu:popular';
-const SEARCH_MENU_ITEMS_CACHE_PREFIX = 'menu:search:';
 const DIETARY_MENU_ITEMS_CACHE_PREFIX = 'menu:dietary:';
 const HEALTH_MENU_ITEMS_CACHE_PREFIX = 'menu:health:';
 
 // Cache expiration time (e.g., 1 hour)
 const CACHE_EXPIRATION = 3600;
 
-// Get all menu items
+// Recipes may only use the restaurant's own ingredients
+const recipeIngredientsExist = async (restaurantId, recipe) => {
+  if (!Array.isArray(recipe)) return false;
+  const ids = [...new Set(recipe.map((line) => String(line?.ingredient)))];
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) return false;
+  const count = await Ingredient.countDocuments({ _id: { $in: ids }, restaurant: restaurantId });
+  return count === ids.length;
+};
+
+// Translations are { name: { fr, ar, ... }, description: { ... } } in supported languages only
+const validTranslations = (translations) =>
+  typeof translations === 'object' &&
+  translations !== null &&
+  Object.entries(translations).every(
+    ([field, texts]) =>
+      ['name', 'description'].includes(field) &&
+      typeof texts === 'object' &&
+      texts !== null &&
+      Object.keys(texts).every((locale) => SUPPORTED_LOCALES.includes(locale)),
+  );
+
+// Name of a category in the caller's language, from the restaurant's category translations
+const localizedCategory = (restaurant, category, locale) => {
+  const entry = (restaurant.categoryTranslations || []).find(
+    (translation) => translation.category === String(category).toLowerCase(),
+  );
+  return localizedText(category, entry?.names, locale);
+};
+
+// A (possibly cached) item in the caller's language. `category` stays the key filters use,
+// `categoryName` is what to show.
+const localizeMenuItem = (menuItem, req) => ({
+  ...menuItem,
+  name: localizedText(menuItem.name, menuItem.translations?.name, req.locale),
+  description: localizedText(menuItem.description, menuItem.translations?.description, req.locale),
+  categoryName: localizedCategory(req.restaurant, menuItem.category, req.locale),
+});
+
+// Items on the menu at the restaurant's local time, in the caller's language
+const localizedMenu = (menuItems, req) =>
+  filterScheduledMenuItems(menuItems, req.restaurant).map((menuItem) => localizeMenuItem(menuItem, req));
+
+// Whether a (possibly cached) item can be ordered at this moment
+const withAvailableNow = (menuItem, restaurant) => ({
+  ...menuItem,
+  availableNow: menuItem.isAvailable && isMenuItemScheduled(menuItem, restaurant),
+});
+
+// Get all menu items (cached without the schedule, filtered for the restaurant's local time on every request)
 export const getAllMenuItems = async (req, res, next) => {
   try {
     // Try to get from cache first
     if (redisService.isConnected()) {
-      const cachedMenuItems = await getCache(ALL_MENU_ITEMS_CACHE);
+      const cachedMenuItems = await getCache(tenantKey(req.restaurantId, ALL_MENU_ITEMS_CACHE));
       if (cachedMenuItems) {
         logger.info(`Cache hit for key: ${ALL_MENU_ITEMS_CACHE}`);
-        return res.status(200).json({ menuItems: cachedMenuItems });
+        return res.status(200).json({ menuItems: localizedMenu(cachedMenuItems, req) });
       }
       logger.info(`Cache miss for key: ${ALL_MENU_ITEMS_CACHE}`);
     } else {
@@ -31,13 +89,14 @@ export const getAllMenuItems = async (req, res, next) => {
     }
 
     // No population needed or possible for a string category
-    const menuItems = await MenuItem.find({ isAvailable: true });
+    const menuItems = await MenuItem.find({ restaurant: req.restaurantId, isAvailable: true });
 
     // Format response (category is just a string)
     const formattedMenuItems = menuItems.map((item) => ({
       id: item._id,
       name: item.name,
       description: item.description,
+      translations: item.translations,
       price: item.price,
       image: item.image,
       category: item.category, // Direct string access
@@ -45,16 +104,19 @@ export const getAllMenuItems = async (req, res, next) => {
       healthInfo: item.healthInfo,
       isPopular: item.isPopular,
       preparationTime: item.preparationTime,
-      addons: item.addons,
+      modifierGroups: item.modifierGroups,
+      dayparts: item.dayparts,
+      availableFrom: item.availableFrom,
+      availableUntil: item.availableUntil,
     }));
 
     // Store in cache if Redis is connected
     if (redisService.isConnected()) {
-      await setCache(ALL_MENU_ITEMS_CACHE, formattedMenuItems, CACHE_EXPIRATION);
+      await setCache(tenantKey(req.restaurantId, ALL_MENU_ITEMS_CACHE), formattedMenuItems, CACHE_EXPIRATION);
       logger.info(`Cached data for key: ${ALL_MENU_ITEMS_CACHE}`);
     }
 
-    res.status(200).json({ menuItems: formattedMenuItems });
+    res.status(200).json({ menuItems: localizedMenu(formattedMenuItems, req) });
   } catch (error) {
     next(error);
   }
@@ -74,10 +136,10 @@ export const getMenuItemsByCategory = async (req, res, next) => {
   try {
     // 1. Try fetching from cache first
     if (redisService.isConnected()) {
-      const cachedMenuItems = await getCache(cacheKey);
+      const cachedMenuItems = await getCache(tenantKey(req.restaurantId, cacheKey));
       if (cachedMenuItems) {
         logger.info(`Cache hit for key: ${cacheKey}`);
-        return res.status(200).json({ menuItems: cachedMenuItems });
+        return res.status(200).json({ menuItems: localizedMenu(cachedMenuItems, req) });
       }
       logger.info(`Cache miss for key: ${cacheKey}`);
     } else {
@@ -87,6 +149,7 @@ export const getMenuItemsByCategory = async (req, res, next) => {
 
     // 2. If cache miss or Redis not connected, fetch from DB
     const menuItems = await MenuItem.find({
+      restaurant: req.restaurantId,
       category: categoryName,
       isAvailable: true,
     });
@@ -96,6 +159,7 @@ export const getMenuItemsByCategory = async (req, res, next) => {
       id: item._id,
       name: item.name,
       description: item.description,
+      translations: item.translations,
       price: item.price,
       image: item.image,
       category: item.category, // Direct string access
@@ -103,17 +167,20 @@ export const getMenuItemsByCategory = async (req, res, next) => {
       healthInfo: item.healthInfo,
       preparationTime: item.preparationTime,
       isPopular: item.isPopular,
-      addons: item.addons,
+      modifierGroups: item.modifierGroups,
+      dayparts: item.dayparts,
+      availableFrom: item.availableFrom,
+      availableUntil: item.availableUntil,
     }));
 
      // 3. Store the result in cache if Redis is connected
      if (redisService.isConnected()) {
-        await setCache(cacheKey, formattedMenuItems, CACHE_EXPIRATION);
+        await setCache(tenantKey(req.restaurantId, cacheKey), formattedMenuItems, CACHE_EXPIRATION);
         logger.info(`Cached data for key: ${cacheKey}`);
      }
 
 
-    res.status(200).json({ menuItems: formattedMenuItems });
+    res.status(200).json({ menuItems: localizedMenu(formattedMenuItems, req) });
   } catch (error) {
     next(error);
   }
@@ -127,10 +194,10 @@ export const getMenuItemDetails = async (req, res, next) => {
 
     // Try to get from cache first
     if (redisService.isConnected()) {
-      const cachedMenuItem = await getCache(cacheKey);
+      const cachedMenuItem = await getCache(tenantKey(req.restaurantId, cacheKey));
       if (cachedMenuItem) {
         logger.info(`Cache hit for key: ${cacheKey}`);
-        return res.status(200).json({ menuItem: cachedMenuItem });
+        return res.status(200).json({ menuItem: localizeMenuItem(withAvailableNow(cachedMenuItem, req.restaurant), req) });
       }
       logger.info(`Cache miss for key: ${cacheKey}`);
     } else {
@@ -138,7 +205,7 @@ export const getMenuItemDetails = async (req, res, next) => {
     }
 
     // No population needed
-    const menuItem = await MenuItem.findById(itemId);
+    const menuItem = await MenuItem.findOne({ _id: itemId, restaurant: req.restaurantId });
 
     if (!menuItem) {
       return res.status(404).json({ message: "Menu item not found" });
@@ -149,6 +216,7 @@ export const getMenuItemDetails = async (req, res, next) => {
       id: menuItem._id,
       name: menuItem.name,
       description: menuItem.description,
+      translations: menuItem.translations,
       price: menuItem.price,
       image: menuItem.image,
       category: menuItem.category, // Direct string access
@@ -156,16 +224,21 @@ export const getMenuItemDetails = async (req, res, next) => {
       healthInfo: menuItem.healthInfo,
       preparationTime: menuItem.preparationTime,
       isPopular: menuItem.isPopular,
-      addons: menuItem.addons,
+      modifierGroups: menuItem.modifierGroups,
+      dayparts: menuItem.dayparts,
+      availableFrom: menuItem.availableFrom,
+      availableUntil: menuItem.availableUntil,
+      isAvailable: menuItem.isAvailable,
+      restoreAvailabilityAt: menuItem.restoreAvailabilityAt,
     };
 
     // Store in cache if Redis is connected
     if (redisService.isConnected()) {
-      await setCache(cacheKey, formattedMenuItem, CACHE_EXPIRATION);
+      await setCache(tenantKey(req.restaurantId, cacheKey), formattedMenuItem, CACHE_EXPIRATION);
       logger.info(`Cached data for key: ${cacheKey}`);
     }
 
-    res.status(200).json({ menuItem: formattedMenuItem });
+    res.status(200).json({ menuItem: localizeMenuItem(withAvailableNow(formattedMenuItem, req.restaurant), req) });
   } catch (error) {
     next(error);
   }
@@ -177,14 +250,21 @@ export const createMenuItem = async (req, res, next) => {
     const {
       name,
       description,
+      translations,
       price,
       category, // This is now expected to be a string
       dietaryInfo,
       healthInfo,
       isAvailable,
       isPopular,
-      addons,
+      modifierGroups,
+      dayparts,
+      availableFrom,
+      availableUntil,
+      scheduledPrices,
+      recipe,
       preparationTime,
+      station,
       cfFeatures,
       matrixIndex,
     } = req.body;
@@ -198,6 +278,14 @@ export const createMenuItem = async (req, res, next) => {
 
     // No validation against MenuCategory needed
 
+    if (translations !== undefined && !validTranslations(translations)) {
+      return res.status(400).json({ message: `Translations are only accepted for: ${SUPPORTED_LOCALES.join(", ")}` });
+    }
+
+    if (recipe && !(await recipeIngredientsExist(req.restaurantId, recipe))) {
+      return res.status(400).json({ message: "Recipe uses an unknown ingredient" });
+    }
+
     let imageUrl = null; // Default to null
 
     // Use the cloudinary service to upload if image data provided
@@ -214,8 +302,10 @@ export const createMenuItem = async (req, res, next) => {
 
     // Create new menu item instance
     const menuItem = new MenuItem({
+      restaurant: req.restaurantId,
       name,
       description,
+      translations: translations || {},
       price,
       image: imageUrl, // Use the URL from service or null
       category, // Assign the string category directly
@@ -223,10 +313,16 @@ export const createMenuItem = async (req, res, next) => {
       healthInfo: healthInfo || {},
       cfFeatures,
       matrixIndex,
-      addons : addons || [],
+      modifierGroups: modifierGroups || [],
+      dayparts: dayparts || [],
+      availableFrom,
+      availableUntil,
+      scheduledPrices: scheduledPrices || [],
+      recipe: recipe || [],
       isAvailable: isAvailable !== undefined ? isAvailable : true,
       isPopular: isPopular !== undefined ? isPopular : false,
       preparationTime: preparationTime || 15,
+      station,
     });
 
     await menuItem.save();
@@ -235,16 +331,16 @@ export const createMenuItem = async (req, res, next) => {
     if (redisService.isConnected()) {
       // Invalidate category cache
       const categoryKey = `menu:category:${menuItem.category}`;
-      await deleteCache(categoryKey);
+      await deleteCache(tenantKey(req.restaurantId, categoryKey));
       logger.info(`Invalidated cache for key: ${categoryKey} (item created)`);
       
       // Invalidate all items cache
-      await deleteCache(ALL_MENU_ITEMS_CACHE);
+      await deleteCache(tenantKey(req.restaurantId, ALL_MENU_ITEMS_CACHE));
       logger.info(`Invalidated cache for key: ${ALL_MENU_ITEMS_CACHE} (item created)`);
       
       // Invalidate popular items cache if new item is popular
       if (menuItem.isPopular) {
-        await deleteCache(POPULAR_MENU_ITEMS_CACHE);
+        await deleteCache(tenantKey(req.restaurantId, POPULAR_MENU_ITEMS_CACHE));
         logger.info(`Invalidated cache for key: ${POPULAR_MENU_ITEMS_CACHE} (popular item created)`);
       }
       
@@ -253,7 +349,7 @@ export const createMenuItem = async (req, res, next) => {
       if (dietaryInfo) {
         for (const [key, value] of Object.entries(dietaryInfo)) {
           if (value === true) {
-            await deleteCache(`${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key}`);
+            await deleteCache(tenantKey(req.restaurantId, `${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key}`));
             logger.info(`Invalidated cache for key: ${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key} (item with dietary info created)`);
           }
         }
@@ -262,7 +358,7 @@ export const createMenuItem = async (req, res, next) => {
       if (healthInfo) {
         for (const [key, value] of Object.entries(healthInfo)) {
           if (value === true) {
-            await deleteCache(`${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key}`);
+            await deleteCache(tenantKey(req.restaurantId, `${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key}`));
             logger.info(`Invalidated cache for key: ${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key} (item with health info created)`);
           }
         }
@@ -293,12 +389,21 @@ export const updateMenuItem = async (req, res, next) => {
     const updateData = req.body; // Get all potential update fields
     let { image } = req.body; // Handle image separately
 
-    const menuItem = await MenuItem.findById(itemId);
+    const menuItem = await MenuItem.findOne({ _id: itemId, restaurant: req.restaurantId });
 
     if (!menuItem) {
       return res.status(404).json({ message: "Menu item not found" });
     }
 
+    if (updateData.recipe !== undefined && !(await recipeIngredientsExist(req.restaurantId, updateData.recipe))) {
+      return res.status(400).json({ message: "Recipe uses an unknown ingredient" });
+    }
+    if (updateData.translations !== undefined && !validTranslations(updateData.translations)) {
+      return res.status(400).json({ message: `Translations are only accepted for: ${SUPPORTED_LOCALES.join(", ")}` });
+    }
+    // Stock decides soldOut, it is never set by hand
+    delete updateData.soldOut;
+
     const oldImageUrl = menuItem.image;
     const oldCategory = menuItem.category; // Store old category for invalidation
     let newImageUrl = oldImageUrl; // Assume no change initially
@@ -351,7 +456,7 @@ export const updateMenuItem = async (req, res, next) => {
     // Update other fields dynamically
     Object.keys(updateData).forEach(key => {
         // Ensure we don't overwrite critical fields unintentionally or set undefined
-        if (updateData[key] !== undefined && key !== '_id' && key !== 'image') {
+        if (updateData[key] !== undefined && key !== '_id' && key !== 'image' && key !== 'restaurant') {
              menuItem[key] = updateData[key];
         }
     });
@@ -359,32 +464,41 @@ export const updateMenuItem = async (req, res, next) => {
     const updatedMenuItem = await menuItem.save();
     const newCategory = updatedMenuItem.category; // Get the potentially updated category
 
+    // A new recipe may sell the item out, or bring it back, with the current stock
+    if (updateData.recipe !== undefined && updatedMenuItem.recipe.length) {
+      await refreshMenuAvailability(
+        req.restaurantId,
+        updatedMenuItem.recipe.map((line) => line.ingredient),
+        req.io,
+      );
+    }
+
     // --- Cache Invalidation ---
     if (redisService.isConnected()) {
       // Invalidate the old category cache if category changed
       if (oldCategory !== newCategory) {
           const oldCacheKey = `menu:category:${oldCategory}`;
-          await deleteCache(oldCacheKey);
+          await deleteCache(tenantKey(req.restaurantId, oldCacheKey));
           logger.info(`Invalidated cache for key: ${oldCacheKey} (category changed)`);
       }
       
       // Invalidate the new/current category cache
       const newCacheKey = `menu:category:${newCategory}`;
-      await deleteCache(newCacheKey);
+      await deleteCache(tenantKey(req.restaurantId, newCacheKey));
       logger.info(`Invalidated cache for key: ${newCacheKey} (item updated)`);
 
       // Invalidate item details cache
       const itemCacheKey = `${MENU_ITEM_DETAILS_CACHE_PREFIX}${updatedMenuItem._id}`;
-      await deleteCache(itemCacheKey);
+      await deleteCache(tenantKey(req.restaurantId, itemCacheKey));
       logger.info(`Invalidated cache for key: ${itemCacheKey} (item updated)`);
       
       // Invalidate all items cache
-      await deleteCache(ALL_MENU_ITEMS_CACHE);
+      await deleteCache(tenantKey(req.restaurantId, ALL_MENU_ITEMS_CACHE));
       logger.info(`Invalidated cache for key: ${ALL_MENU_ITEMS_CACHE} (item updated)`);
       
       // Invalidate popular items cache if popularity changed
       if (oldIsPopular !== updatedMenuItem.isPopular || updateData.isAvailable !== undefined) {
-        await deleteCache(POPULAR_MENU_ITEMS_CACHE);
+        await deleteCache(tenantKey(req.restaurantId, POPULAR_MENU_ITEMS_CACHE));
         logger.info(`Invalidated cache for key: ${POPULAR_MENU_ITEMS_CACHE} (item popularity/availability changed)`);
       }
       
@@ -393,7 +507,7 @@ export const updateMenuItem = async (req, res, next) => {
         // Invalidate caches for old dietary preferences that were true
         for (const [key, value] of Object.entries(oldDietaryInfo)) {
           if (value === true) {
-            await deleteCache(`${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key}`);
+            await deleteCache(tenantKey(req.restaurantId, `${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key}`));
             logger.info(`Invalidated cache for key: ${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key} (dietary info changed)`);
           }
         }
@@ -401,7 +515,7 @@ export const updateMenuItem = async (req, res, next) => {
         // Invalidate caches for new dietary preferences that are true
         for (const [key, value] of Object.entries(updatedMenuItem.dietaryInfo)) {
           if (value === true) {
-            await deleteCache(`${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key}`);
+            await deleteCache(tenantKey(req.restaurantId, `${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key}`));
             logger.info(`Invalidated cache for key: ${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key} (dietary info changed)`);
           }
         }
@@ -412,7 +526,7 @@ export const updateMenuItem = async (req, res, next) => {
         // Invalidate caches for old health preferences that were true
         for (const [key, value] of Object.entries(oldHealthInfo)) {
           if (value === true) {
-            await deleteCache(`${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key}`);
+            await deleteCache(tenantKey(req.restaurantId, `${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key}`));
             logger.info(`Invalidated cache for key: ${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key} (health info changed)`);
           }
         }
@@ -420,7 +534,7 @@ export const updateMenuItem = async (req, res, next) => {
         // Invalidate caches for new health preferences that are true
         for (const [key, value] of Object.entries(updatedMenuItem.healthInfo)) {
           if (value === true) {
-            await deleteCache(`${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key}`);
+            await deleteCache(tenantKey(req.restaurantId, `${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key}`));
             logger.info(`Invalidated cache for key: ${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key} (health info changed)`);
           }
         }
@@ -449,7 +563,7 @@ export const deleteMenuItem = async (req, res, next) => {
   try {
     const { itemId } = req.params;
 
-    const menuItem = await MenuItem.findById(itemId);
+    const menuItem = await MenuItem.findOne({ _id: itemId, restaurant: req.restaurantId });
 
     if (!menuItem) {
       return res.status(404).json({ message: "Menu item not found" });
@@ -474,34 +588,34 @@ export const deleteMenuItem = async (req, res, next) => {
     const isPopular = menuItem.isPopular;
 
     // Delete the menu item from the database
-    await MenuItem.findByIdAndDelete(itemId);
+    await MenuItem.deleteOne({ _id: itemId, restaurant: req.restaurantId });
 
     // --- Cache Invalidation ---
     if (redisService.isConnected()) {
       // Invalidate category cache
       const cacheKey = `menu:category:${categoryToDeleteFrom}`;
-      await deleteCache(cacheKey);
+      await deleteCache(tenantKey(req.restaurantId, cacheKey));
       logger.info(`Invalidated cache for key: ${cacheKey} (item deleted)`);
       
       // Invalidate item details cache
       const itemCacheKey = `${MENU_ITEM_DETAILS_CACHE_PREFIX}${itemId}`;
-      await deleteCache(itemCacheKey);
+      await deleteCache(tenantKey(req.restaurantId, itemCacheKey));
       logger.info(`Invalidated cache for key: ${itemCacheKey} (item deleted)`);
       
       // Invalidate all items cache
-      await deleteCache(ALL_MENU_ITEMS_CACHE);
+      await deleteCache(tenantKey(req.restaurantId, ALL_MENU_ITEMS_CACHE));
       logger.info(`Invalidated cache for key: ${ALL_MENU_ITEMS_CACHE} (item deleted)`);
       
       // Invalidate popular items cache if item was popular
       if (isPopular) {
-        await deleteCache(POPULAR_MENU_ITEMS_CACHE);
+        await deleteCache(tenantKey(req.restaurantId, POPULAR_MENU_ITEMS_CACHE));
         logger.info(`Invalidated cache for key: ${POPULAR_MENU_ITEMS_CACHE} (popular item deleted)`);
       }
       
       // Invalidate dietary caches for preferences that were true
       for (const [key, value] of Object.entries(dietaryInfo)) {
         if (value === true) {
-          await deleteCache(`${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key}`);
+          await deleteCache(tenantKey(req.restaurantId, `${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key}`));
           logger.info(`Invalidated cache for key: ${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key} (item with dietary info deleted)`);
         }
       }
@@ -509,7 +623,7 @@ export const deleteMenuItem = async (req, res, next) => {
       // Invalidate health caches for preferences that were true
       for (const [key, value] of Object.entries(healthInfo)) {
         if (value === true) {
-          await deleteCache(`${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key}`);
+          await deleteCache(tenantKey(req.restaurantId, `${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key}`));
           logger.info(`Invalidated cache for key: ${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key} (item with health info deleted)`);
         }
       }
@@ -529,10 +643,10 @@ export const getPopularMenuItems = async (req, res, next) => {
   try {
     // Try to get from cache first
     if (redisService.isConnected()) {
-      const cachedMenuItems = await getCache(POPULAR_MENU_ITEMS_CACHE);
+      const cachedMenuItems = await getCache(tenantKey(req.restaurantId, POPULAR_MENU_ITEMS_CACHE));
       if (cachedMenuItems) {
         logger.info(`Cache hit for key: ${POPULAR_MENU_ITEMS_CACHE}`);
-        return res.status(200).json({ menuItems: cachedMenuItems });
+        return res.status(200).json({ menuItems: localizedMenu(cachedMenuItems, req) });
       }
       logger.info(`Cache miss for key: ${POPULAR_MENU_ITEMS_CACHE}`);
     } else {
@@ -540,7 +654,7 @@ export const getPopularMenuItems = async (req, res, next) => {
     }
 
     // No population needed
-    const popularItems = await MenuItem.find({ isPopular: true, isAvailable: true })
+    const popularItems = await MenuItem.find({ restaurant: req.restaurantId, isPopular: true, isAvailable: true })
       .limit(10);
 
     // Format response (category is a string)
@@ -548,6 +662,7 @@ export const getPopularMenuItems = async (req, res, next) => {
       id: item._id,
       name: item.name,
       description: item.description,
+      translations: item.translations,
       price: item.price,
       image: item.image,
       category: item.category, // Direct string access
@@ -555,76 +670,100 @@ export const getPopularMenuItems = async (req, res, next) => {
       healthInfo: item.healthInfo,
       isPopular: item.isPopular,
       preparationTime: item.preparationTime,
-      addons: item.addons,
+      modifierGroups: item.modifierGroups,
+      dayparts: item.dayparts,
+      availableFrom: item.availableFrom,
+      availableUntil: item.availableUntil,
     }));
 
     // Store in cache if Redis is connected
     if (redisService.isConnected()) {
-      await setCache(POPULAR_MENU_ITEMS_CACHE, formattedMenuItems, CACHE_EXPIRATION);
+      await setCache(tenantKey(req.restaurantId, POPULAR_MENU_ITEMS_CACHE), formattedMenuItems, CACHE_EXPIRATION);
       logger.info(`Cached data for key: ${POPULAR_MENU_ITEMS_CACHE}`);
     }
 
-    res.status(200).json({ menuItems: formattedMenuItems });
+    res.status(200).json({ menuItems: localizedMenu(formattedMenuItems, req) });
   } catch (error) {
     next(error);
   }
 };
 
-// Search menu items
+// Search menu items: ranked, typo tolerant, with facets and pagination.
+// Not cached, the indexed query is cheap and raw query strings would flood the cache.
+// GET /search?q=&category=&dietary=vegan,glutenFree&health=&minPrice=&maxPrice=&page=&limit=
 export const searchMenuItems = async (req, res, next) => {
   try {
-    const { query } = req.query;
-
-    if (!query) {
-      return res.status(400).json({ message: "Search query is required" });
-    }
-
-    const cacheKey = `${SEARCH_MENU_ITEMS_CACHE_PREFIX}${query}`;
-
-    // Try to get from cache first
-    if (redisService.isConnected()) {
-      const cachedMenuItems = await getCache(cacheKey);
-      if (cachedMenuItems) {
-        logger.info(`Cache hit for key: ${cacheKey}`);
-        return res.status(200).json({ menuItems: cachedMenuItems });
-      }
-      logger.info(`Cache miss for key: ${cacheKey}`);
-    } else {
-      logger.warn(`Redis not connected, skipping cache check for key: ${cacheKey}`);
-    }
+    // `query` is the parameter older clients send
+    const q = req.query.q ?? req.query.query;
 
-    // No population needed
-    const menuItems = await MenuItem.find({
-      $or: [
-        { name: { $regex: query, $options: "i" } },
-        { description: { $regex: query, $options: "i" } },
-        { category: { $regex: query, $options: "i" } } // Search category string
-      ],
-      isAvailable: true,
-    });
+    const result = await searchMenu(req.restaurant, { ...req.query, q });
 
-    // Format response (category is a string)
-    const formattedMenuItems = menuItems.map((item) => ({
+    const formattedMenuItems = result.menuItems.map((item) => ({
       id: item._id,
       name: item.name,
       description: item.description,
+      translations: item.translations,
       price: item.price,
       image: item.image,
-      category: item.category, // Direct string access
+      category: item.category,
       dietaryInfo: item.dietaryInfo,
       healthInfo: item.healthInfo,
       isPopular: item.isPopular,
       preparationTime: item.preparationTime,
-      addons: item.addons,
+      modifierGroups: item.modifierGroups,
+      dayparts: item.dayparts,
+      availableFrom: item.availableFrom,
+      availableUntil: item.availableUntil,
+      score: item.score,
     }));
 
-    // Store in cache if Redis is connected (shorter expiration for search results)
-    if (redisService.isConnected()) {
-      await setCache(cacheKey, formattedMenuItems, 600); // 10 minutes
-      logger.info(`Cached data for key: ${cacheKey}`);
+    const facets = result.facets && {
+      ...result.facets,
+      categories: result.facets.categories.map((entry) => ({
+        ...entry,
+        name: localizedCategory(req.restaurant, entry.category, req.locale),
+      })),
+    };
+
+    res.status(200).json({
+      menuItems: formattedMenuItems.map((menuItem) => localizeMenuItem(menuItem, req)),
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      pages: result.pages,
+      facets,
+    });
+  } catch (error) {
+    if (error instanceof MenuSearchError) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    next(error);
+  }
+};
+
+// Autocomplete suggestions while typing: GET /search/suggest?q=piz
+export const suggestMenuItems = async (req, res, next) => {
+  try {
+    const { q } = req.query;
+
+    if (!q || !String(q).trim()) {
+      return res.status(200).json({ menuItems: [], categories: [] });
+    }
+
+    const suggestions = await suggestMenu(req.restaurant, String(q));
 
-    res.status(200).json({ menuItems: formattedMenuItems });
+    res.status(200).json({
+      menuItems: suggestions.menuItems.map((menuItem) => ({
+        id: menuItem.id,
+        name: localizedText(menuItem.name, menuItem.translations?.name, req.locale),
+        category: menuItem.category,
+        categoryName: localizedCategory(req.restaurant, menuItem.category, req.locale),
+      })),
+      categories: suggestions.categories.map((category) => ({
+        category,
+        name: localizedCategory(req.restaurant, category, req.locale),
+      })),
+    });
   } catch (error) {
     next(error);
   }
@@ -644,17 +783,17 @@ export const getMenuItemsByDietary = async (req, res, next) => {
 
     // Try to get from cache first
     if (redisService.isConnected()) {
-      const cachedMenuItems = await getCache(cacheKey);
+      const cachedMenuItems = await getCache(tenantKey(req.restaurantId, cacheKey));
       if (cachedMenuItems) {
         logger.info(`Cache hit for key: ${cacheKey}`);
-        return res.status(200).json({ menuItems: cachedMenuItems });
+        return res.status(200).json({ menuItems: localizedMenu(cachedMenuItems, req) });
       }
       logger.info(`Cache miss for key: ${cacheKey}`);
     } else {
       logger.warn(`Redis not connected, skipping cache check for key: ${cacheKey}`);
     }
 
-    const query = { isAvailable: true };
+    const query = { restaurant: req.restaurantId, isAvailable: true };
     query[`dietaryInfo.${preference}`] = true;
 
     const menuItems = await MenuItem.find(query);
@@ -663,6 +802,7 @@ export const getMenuItemsByDietary = async (req, res, next) => {
       id: item._id,
       name: item.name,
       description: item.description,
+      translations: item.translations,
       price: item.price,
       image: item.image,
       category: item.category,
@@ -670,16 +810,19 @@ export const getMenuItemsByDietary = async (req, res, next) => {
       healthInfo: item.healthInfo,
       isPopular: item.isPopular,
       preparationTime: item.preparationTime,
-      addons: item.addons,
+      modifierGroups: item.modifierGroups,
+      dayparts: item.dayparts,
+      availableFrom: item.availableFrom,
+      availableUntil: item.availableUntil,
     }));
 
     // Store in cache if Redis is connected
     if (redisService.isConnected()) {
-      await setCache(cacheKey, formattedMenuItems, CACHE_EXPIRATION);
+      await setCache(tenantKey(req.restaurantId, cacheKey), formattedMenuItems, CACHE_EXPIRATION);
       logger.info(`Cached data for key: ${cacheKey}`);
     }
 
-    res.status(200).json({ menuItems: formattedMenuItems });
+    res.status(200).json({ menuItems: localizedMenu(formattedMenuItems, req) });
   } catch (error) {
     next(error);
   }
@@ -699,17 +842,17 @@ export const getMenuItemsByHealth = async (req, res, next) => {
 
     // Try to get from cache first
     if (redisService.isConnected()) {
-      const cachedMenuItems = await getCache(cacheKey);
+      const cachedMenuItems = await getCache(tenantKey(req.restaurantId, cacheKey));
       if (cachedMenuItems) {
         logger.info(`Cache hit for key: ${cacheKey}`);
-        return res.status(200).json({ menuItems: cachedMenuItems });
+        return res.status(200).json({ menuItems: localizedMenu(cachedMenuItems, req) });
       }
       logger.info(`Cache miss for key: ${cacheKey}`);
     } else {
       logger.warn(`Redis not connected, skipping cache check for key: ${cacheKey}`);
     }
 
-    const query = { isAvailable: true };
+    const query = { restaurant: req.restaurantId, isAvailable: true };
     query[`healthInfo.${preference}`] = true;
 
     // No population needed
@@ -720,6 +863,7 @@ export const getMenuItemsByHealth = async (req, res, next) => {
       id: item._id,
       name: item.name,
       description: item.description,
+      translations: item.translations,
       price: item.price,
       image: item.image,
       category: item.category, // Direct string access
@@ -727,17 +871,77 @@ export const getMenuItemsByHealth = async (req, res, next) => {
       healthInfo: item.healthInfo,
       isPopular: item.isPopular,
       preparationTime: item.preparationTime,
-      addons: item.addons,
+      modifierGroups: item.modifierGroups,
+      dayparts: item.dayparts,
+      availableFrom: item.availableFrom,
+      availableUntil: item.availableUntil,
     }));
 
     // Store in cache if Redis is connected
     if (redisService.isConnected()) {
-      await setCache(cacheKey, formattedMenuItems, CACHE_EXPIRATION);
+      await setCache(tenantKey(req.restaurantId, cacheKey), formattedMenuItems, CACHE_EXPIRATION);
       logger.info(`Cached data for key: ${cacheKey}`);
     }
 
-    res.status(200).json({ menuItems: formattedMenuItems });
+    res.status(200).json({ menuItems: localizedMenu(formattedMenuItems, req) });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+// 86 a menu item: off the menu until `until` (date) or for `minutes`, or until restored by hand
+export const eightySixItem = async (req, res, next) => {
+  try {
+    const { until, minutes } = req.body;
+
+    let restoreAt = null;
+    if (minutes !== undefined) {
+      if (!(Number(minutes) > 0)) {
+        return res.status(400).json({ message: "Minutes must be a positive number" });
+      }
+      restoreAt = new Date(Date.now() + Number(minutes) * 60 * 1000);
+    } else if (until) {
+      restoreAt = new Date(until);
+      if (Number.isNaN(restoreAt.getTime()) || restoreAt <= new Date()) {
+        return res.status(400).json({ message: "Until must be a date in the future" });
+      }
+    }
+
+    const menuItem = await MenuItem.findOne({ _id: req.params.itemId, restaurant: req.restaurantId });
+    if (!menuItem) {
+      return res.status(404).json({ message: "Menu item not found" });
+    }
+
+    await eightySixMenuItem(menuItem, restoreAt);
+
+    res.status(200).json({
+      message: `${menuItem.name} is off the menu`,
+      menuItem: {
+        id: menuItem._id,
+        name: menuItem.name,
+        isAvailable: menuItem.isAvailable,
+        restoreAvailabilityAt: menuItem.restoreAvailabilityAt || null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Put an 86'd menu item back on the menu
+export const restoreItem = async (req, res, next) => {
+  try {
+    const menuItem = await MenuItem.findOne({ _id: req.params.itemId, restaurant: req.restaurantId });
+    if (!menuItem) {
+      return res.status(404).json({ message: "Menu item not found" });
+    }
+
+    await restoreMenuItem(menuItem);
+
+    res.status(200).json({
+      message: `${menuItem.name} is back on the menu`,
+      menuItem: { id: menuItem._id, name: menuItem.name, isAvailable: menuItem.isAvailable },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
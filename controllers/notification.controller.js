@@ -1,6 +1,7 @@
 import { User } from "../models/user.model.js"
 import { Notification } from "../models/notification.model.js"
 import { sendPushNotification, sendUserNotification } from "../services/notificationService.js"
+import { SUPPORTED_LOCALES } from "../lib/i18n/index.js"
 
 // @desc    Update device token
 // @route   PUT /api/notifications/device-token
@@ -179,7 +180,11 @@ export const sendPromotionalNotificationByAdmin = async (req, res) => {
 // @access  Private
 export const updateNotificationSettings = async (req, res) => {
   try {
-    const { push, email, sms, orderUpdates, promotions } = req.body
+    const { push, email, sms, orderUpdates, promotions, language } = req.body
+
+    if (language !== undefined && language !== null && !SUPPORTED_LOCALES.includes(language)) {
+      return res.status(400).json({ message: `Language must be one of: ${SUPPORTED_LOCALES.join(", ")}` })
+    }
 
     const user = await User.findById(req.user._id)
 
@@ -203,13 +208,18 @@ export const updateNotificationSettings = async (req, res) => {
     if (sms !== undefined) user.settings.notifications.sms = sms
     if (orderUpdates !== undefined) user.settings.notifications.orderUpdates = orderUpdates
     if (promotions !== undefined) user.settings.notifications.promotions = promotions
+    // Null goes back to following Accept-Language
+    if (language !== undefined) user.settings.language = language || undefined
 
     await user.save()
+    // The response is already in the new language
+    req.user = user
 
     res.status(200).json({
       success: true,
       message: "Notification settings updated successfully",
       settings: user.settings.notifications,
+      language: user.settings.language || null,
     })
   } catch (error) {
     console.error(error)
@@ -238,11 +248,13 @@ export const getNotificationSettings = async (req, res) => {
           orderUpdates: true,
           promotions: true,
         },
+        language: user.settings?.language || null,
       })
     }
 
     res.status(200).json({
       settings: user.settings.notifications,
+      language: user.settings.language || null,
     })
   } catch (error) {
     console.error(error)
@@ -1,13 +1,20 @@
 import { Table } from "../models/table.model.js"
 import { Order } from "../models/order.model.js"
-import MenuItem from "../models/menuItem.model.js"
 import TableSession from "../models/table-session.model.js"
 import { User } from "../models/user.model.js"
-import redisService, { getCache, setCache, deleteCache } from '../services/redis.service.js';
-import { notifyKitchenAboutNewOrder, notifyKitchenAboutOrderUpdate } from '../socket.js'
+import { Rating } from "../models/rating.model.js"
+import redisService, { getCache, setCache, deleteCache, tenantKey } from '../services/redis.service.js';
+import { notifyKitchenAboutNewOrder } from '../socket.js'
+import { tableRoom } from '../lib/socketRooms.js'
+import { publishToRoom } from '../services/realtimeService.js'
+import { buildStationTickets } from '../services/kitchenStationService.js'
+import { formatKitchenModifiers, ModifierError } from '../services/modifierService.js'
+import { priceOrder, OrderPricingError } from '../services/orderPricingService.js'
+import { reservePromotion, releasePromotion, PromotionError } from '../services/promotionService.js'
+import { transitionOrderStatus, getAllowedTransitions, OrderStatusTransitionError, ACTIVE_KITCHEN_STATUSES, COMPLETED_KITCHEN_STATUSES } from '../services/orderStatusService.js'
 import logger from '../middlewares/logger.middleware.js'
 
-// Define cache keys
+// Define cache keys (always wrapped with tenantKey(restaurantId, ...))
 const KITCHEN_ORDERS_CACHE = 'kitchen:active_orders'
 const COMPLETED_ORDERS_CACHE = 'kitchen:completed_orders'
 
@@ -27,8 +34,18 @@ const SESSION_ORDERS_CACHE_EXPIRATION = 1800;
 // Create a new order
 export const createOrder = async (req, res, next) => {
   try {
-    const { userId, items, deliveryAddress, deliveryInstructions, paymentMethod, sessionId, tableId, orderType, deviceId } =
-      req.body
+    const {
+      userId,
+      items,
+      deliveryAddress,
+      deliveryInstructions,
+      paymentMethod,
+      sessionId,
+      tableId,
+      orderType,
+      deviceId,
+      couponCode,
+    } = req.body
 
     if (!items || !items.length || !orderType) {
       return res.status(400).json({ message: "Items and order type are required" })
@@ -44,51 +61,37 @@ export const createOrder = async (req, res, next) => {
       }
     }
 
-    // Calculate order details
-    let subtotal = 0
-    const orderItems = []
-
-    for (const item of items) {
-      const { menuItemId, quantity, specialInstructions } = item
-
-      if (!menuItemId || !quantity) {
-        return res.status(400).json({ message: "Menu item ID and quantity are required for each item" })
-      }
+    // Per-customer promotion caps count the signed in customer, never a userId from the body
+    const customerId = req.user?._id || null
 
-      const menuItem = await MenuItem.findById(menuItemId)
-      if (!menuItem) {
-        return res.status(404).json({ message: `Menu item with ID ${menuItemId} not found` })
+    // Price items, modifiers and promotion on the server
+    let pricing
+    try {
+      pricing = await priceOrder(req.restaurant, { items, orderType, couponCode, userId: customerId })
+    } catch (error) {
+      if (error instanceof OrderPricingError || error instanceof ModifierError || error instanceof PromotionError) {
+        return res.status(error.statusCode).json({ message: error.message })
       }
+      throw error
+    }
+    const { orderItems, subtotal, discount, promotion, deliveryFee, total } = pricing
 
-      if (!menuItem.isAvailable) {
-        return res.status(400).json({ message: `Menu item ${menuItem.name} is not available` })
+    // Count the promotion use now, so a capped code cannot be spent twice
+    if (promotion) {
+      try {
+        await reservePromotion(promotion, customerId)
+      } catch (error) {
+        if (error instanceof PromotionError) {
+          return res.status(error.statusCode).json({ message: error.message })
+        }
+        throw error
       }
-
-      // Calculate item total
-      const itemPrice = menuItem.price
-      const total = itemPrice * quantity
-      subtotal += total
-
-      orderItems.push({
-        menuItem: menuItemId,
-        name: menuItem.name,
-        price: itemPrice,
-        quantity,
-        total,
-        specialInstructions: specialInstructions || "",
-         // Add productId here to match Flutter model expectations
-         productId: `prod_${menuItem.name}`,
-      })
     }
 
-    // Set delivery fee based on order type
-    const deliveryFee = orderType === "Delivery" ? 2.0 : 0
-    const total = subtotal + deliveryFee
-
     // Find table by tableId if provided
     let tableDbId = null
     if (tableId) {
-      const table = await Table.findOne({ tableId: tableId })
+      const table = await Table.findOne({ tableId: tableId, restaurant: req.restaurantId })
       if (table) {
         tableDbId = table._id
       }
@@ -96,15 +99,26 @@ export const createOrder = async (req, res, next) => {
 
     // Create the order
     const order = new Order({
+      restaurant: req.restaurantId,
       user: userId,
       items: orderItems,
       TableId: tableDbId,
       deviceId: deviceId,
       subtotal,
+      discount,
+      promotion: promotion && {
+        promotion: promotion._id,
+        code: promotion.code,
+        name: promotion.name,
+        type: promotion.type,
+        amount: discount,
+        redeemedBy: customerId || undefined,
+      },
       deliveryFee,
       total,
       orderType,
       status: 'pending',
+      statusHistory: [{ from: null, to: 'pending', changedBy: req.user?._id || null, reason: 'Order created' }],
       paymentStatus: "pending",
       paymentMethod: paymentMethod || "cash",
       deliveryAddress: deliveryAddress || {
@@ -117,11 +131,19 @@ export const createOrder = async (req, res, next) => {
       deliveryInstructions: deliveryInstructions || "",
     })
 
-    await order.save()
+    // One ticket per kitchen station, built after the items got their _ids
+    order.stationTickets = buildStationTickets(order.items)
+
+    try {
+      await order.save()
+    } catch (error) {
+      if (promotion) await releasePromotion(promotion, customerId)
+      throw error
+    }
 
     // If session ID is provided, add order to the session
     if (sessionId) {
-      const session = await TableSession.findById(sessionId)
+      const session = await TableSession.findOne({ _id: sessionId, restaurant: req.restaurantId })
       if (!session) {
         return res.status(404).json({ message: "Session not found" })
       }
@@ -130,8 +152,8 @@ export const createOrder = async (req, res, next) => {
       await session.save()
 
       // Notify connected clients via Socket.IO
-      if (req.io && tableId) {
-        req.io.to(`table_${tableId}`).emit("new_order", {
+      if (req.io && tableDbId) {
+        await publishToRoom(req.io, tableRoom(tableDbId), "new_order", {
           sessionId: session._id,
           orderId: order._id,
           items: order.items.map((item) => ({
@@ -142,7 +164,7 @@ export const createOrder = async (req, res, next) => {
           })),
           total: order.total,
           status: order.status,
-        })
+        }, { restaurantId: req.restaurantId })
       }
     }
 
@@ -180,7 +202,7 @@ export const createOrder = async (req, res, next) => {
 export const getOrderDetails = async (req, res, next) => {
   try {
     const { orderId } = req.params;
-    const cacheKey = `${ORDER_DETAILS_CACHE_PREFIX}${orderId}`;
+    const cacheKey = tenantKey(req.restaurantId, `${ORDER_DETAILS_CACHE_PREFIX}${orderId}`);
 
     // Try to get from cache first
     if (redisService.isConnected && redisService.isConnected()) {
@@ -194,7 +216,7 @@ export const getOrderDetails = async (req, res, next) => {
       logger.warn(`Redis not connected, skipping cache check for key: ${cacheKey}`);
     }
 
-    const order = await Order.findById(orderId).populate({
+    const order = await Order.findOne({ _id: orderId, restaurant: req.restaurantId }).populate({
       path: "items.menuItem",
       select: "name image price",
     });
@@ -220,94 +242,33 @@ export const getOrderDetails = async (req, res, next) => {
 export const updateOrderStatus = async (req, res, next) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     // Validation
     if (!status) {
       return res.status(400).json({ success: false, message: 'New status is required' });
     }
-    const order = await Order.findById(orderId);
+    const order = await Order.findOne({ _id: orderId, restaurant: req.restaurantId });
     if (!order) {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    const previousStatus = order.status;
-    if (previousStatus === status) {
+    if (order.status === status) {
       return res.status(200).json({ 
         success: true, // Indicate success even if no change
-        message: 'Order status is already ' + status, 
+        message: `Order status is already ${status}`,
         order 
       });
     }
 
-    // Update status and save
-    order.status = status;
-    order.updatedAt = new Date();
-    await order.save();
-
-    // --- Notify Kitchen via Socket.IO --- 
-    if (req.io) {
-      const kitchenRelevantStatuses = ['pending', 'confirmed', 'preparing', 'ready_for_pickup', 'completed', 'cancelled'];
-      const wasRelevant = kitchenRelevantStatuses.includes(previousStatus);
-      const isRelevant = kitchenRelevantStatuses.includes(status);
-      
-      if (wasRelevant || isRelevant) {
-        // Pass req.io to the notification function
-        await notifyKitchenAboutOrderUpdate(req.io, order, previousStatus);
-      }
-    } else {
-      logger.warn('req.io not available in updateOrderStatus, cannot send socket notification.');
-    }
-    // ------------------------------------
+    // Validates the transition, records history, notifies kitchen/customer and invalidates caches
+    await transitionOrderStatus(order, status, {
+      changedBy: req.staff?._id || req.user?._id,
+      changedByModel: req.staff ? "Staff" : "User",
+      reason,
+      io: req.io,
+    });
 
-    // --- Cache Invalidation ---
-    if (redisService.isConnected()) {
-      // 1. Invalidate order details cache
-      const orderCacheKey = `${ORDER_DETAILS_CACHE_PREFIX}${orderId}`;
-      await deleteCache(orderCacheKey);
-      logger.info(`Invalidated cache for key: ${orderCacheKey} (status updated)`);
-      
-      // 2. Invalidate user orders cache if user ID is available
-      if (order.user) {
-        const userCacheKey = `${USER_ORDERS_CACHE_PREFIX}${order.user}`;
-        await deleteCache(userCacheKey);
-        logger.info(`Invalidated cache for key: ${userCacheKey} (order status updated)`);
-      }
-      
-      // 3. Invalidate session orders cache if this order is part of a session
-      const session = await TableSession.findOne({ orders: orderId });
-      if (session) {
-        const sessionCacheKey = `${SESSION_ORDERS_CACHE_PREFIX}${session._id}`;
-        await deleteCache(sessionCacheKey);
-        logger.info(`Invalidated cache for key: ${sessionCacheKey} (order status updated)`);
-      }
-      
-      // 4. Invalidate kitchen orders caches based on status
-      const completedStatuses = ['ready_for_pickup', 'completed', 'cancelled'];
-      const activeStatuses = ['pending', 'confirmed', 'preparing'];
-      
-      // If status changed between active and completed, invalidate both caches
-      if (
-        (activeStatuses.includes(previousStatus) && completedStatuses.includes(status)) ||
-        (completedStatuses.includes(previousStatus) && activeStatuses.includes(status))
-      ) {
-        await deleteCache(KITCHEN_ORDERS_CACHE);
-        await deleteCache(COMPLETED_ORDERS_CACHE);
-        logger.info(`Invalidated kitchen order caches (status changed between active/completed)`);
-      }
-      // If status changed within active statuses, invalidate active cache
-      else if (activeStatuses.includes(previousStatus) && activeStatuses.includes(status)) {
-        await deleteCache(KITCHEN_ORDERS_CACHE);
-        logger.info(`Invalidated active kitchen orders cache (active status updated)`);
-      }
-      // If status changed within completed statuses, invalidate completed cache
-      else if (completedStatuses.includes(previousStatus) && completedStatuses.includes(status)) {
-        await deleteCache(COMPLETED_ORDERS_CACHE);
-        logger.info(`Invalidated completed kitchen orders cache (completed status updated)`);
-      }
-    }
-    // --- End Cache Invalidation ---
-    
     res.status(200).json({ 
       success: true, 
       message: 'Order status updated successfully', 
@@ -315,11 +276,44 @@ export const updateOrderStatus = async (req, res, next) => {
     });
 
   } catch (error) {
+    if (error instanceof OrderStatusTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        currentStatus: error.currentStatus,
+        allowedStatuses: error.allowedStatuses,
+      });
+    }
     logger.error(`Error updating order status for ${req.params.orderId}:`, error);
     next(error);
   }
 };
 
+// Get order status history (audit trail)
+export const getOrderStatusHistory = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findOne({ _id: orderId, restaurant: req.restaurantId })
+      .select("status orderType statusHistory")
+      .populate("statusHistory.changedBy", "fullName");
+
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.status(200).json({
+      orderId: order._id,
+      status: order.status,
+      allowedStatuses: getAllowedTransitions(order.orderType, order.status),
+      history: order.statusHistory,
+    });
+  } catch (error) {
+    logger.error(`Error in getOrderStatusHistory: ${error.message}`, error);
+    next(error);
+  }
+};
+
 // Get orders by user
 export const getOrdersByUser = async (req, res, next) => {
   try {
@@ -327,9 +321,9 @@ export const getOrdersByUser = async (req, res, next) => {
     const { status } = req.query;
     
     // Create a cache key that includes the status filter if present
-    const cacheKey = status 
+    const cacheKey = tenantKey(req.restaurantId, status 
       ? `${USER_ORDERS_CACHE_PREFIX}${userId}:status:${status}`
-      : `${USER_ORDERS_CACHE_PREFIX}${userId}`;
+      : `${USER_ORDERS_CACHE_PREFIX}${userId}`);
 
     // Try to get from cache first
     if (redisService.isConnected()) {
@@ -343,7 +337,7 @@ export const getOrdersByUser = async (req, res, next) => {
       logger.warn(`Redis not connected, skipping cache check for key: ${cacheKey}`);
     }
 
-    const query = { user: userId };
+    const query = { user: userId, restaurant: req.restaurantId };
     if (status) {
       query.status = status;
     }
@@ -370,7 +364,7 @@ export const getOrdersByUser = async (req, res, next) => {
 export const getOrdersBySession = async (req, res, next) => {
   try {
     const { sessionId } = req.params;
-    const cacheKey = `${SESSION_ORDERS_CACHE_PREFIX}${sessionId}`;
+    const cacheKey = tenantKey(req.restaurantId, `${SESSION_ORDERS_CACHE_PREFIX}${sessionId}`);
 
     // Try to get from cache first
     if (redisService.isConnected()) {
@@ -384,7 +378,7 @@ export const getOrdersBySession = async (req, res, next) => {
       logger.warn(`Redis not connected, skipping cache check for key: ${cacheKey}`);
     }
 
-    const session = await TableSession.findById(sessionId);
+    const session = await TableSession.findOne({ _id: sessionId, restaurant: req.restaurantId });
     if (!session) {
       return res.status(404).json({ message: "Session not found" });
     }
@@ -425,8 +419,10 @@ export const getOrdersBySession = async (req, res, next) => {
 // Get active kitchen orders (for API polling / initial load)
 export const getKitchenOrders = async (req, res, next) => {
   try {
+    const cacheKey = tenantKey(req.restaurantId, KITCHEN_ORDERS_CACHE)
+
     // Try to get from cache first
-    const cachedOrders = await getCache(KITCHEN_ORDERS_CACHE)
+    const cachedOrders = await getCache(cacheKey)
     
     if (cachedOrders) {
       logger.info('Serving active kitchen orders from cache')
@@ -435,9 +431,9 @@ export const getKitchenOrders = async (req, res, next) => {
 
     logger.info('Fetching active kitchen orders from DB')
     // Define active statuses for the kitchen view
-    const activeStatuses = ["pending", "confirmed", "preparing"]
     const orders = await Order.find({
-      status: { $in: activeStatuses },
+      restaurant: req.restaurantId,
+      status: { $in: ACTIVE_KITCHEN_STATUSES },
     })
       .populate({
         path: "items.menuItem",
@@ -460,6 +456,7 @@ export const getKitchenOrders = async (req, res, next) => {
           name: item.name,
           quantity: item.quantity,
           specialInstructions: item.specialInstructions || '',
+          modifiers: formatKitchenModifiers(item),
           category: item.menuItem?.category || null, // Use optional chaining
         })),
         orderType: order.orderType,
@@ -472,7 +469,7 @@ export const getKitchenOrders = async (req, res, next) => {
     })
 
     // Cache the result for 30 seconds (short TTL for active orders)
-    await setCache(KITCHEN_ORDERS_CACHE, formattedOrders, 30)
+    await setCache(cacheKey, formattedOrders, 30)
 
     res.status(200).json({ orders: formattedOrders })
   } catch (error) {
@@ -484,8 +481,10 @@ export const getKitchenOrders = async (req, res, next) => {
 // Get completed kitchen orders (for Past Orders screen)
 export const getCompletedKitchenOrders = async (req, res, next) => {
   try {
+    const cacheKey = tenantKey(req.restaurantId, COMPLETED_ORDERS_CACHE)
+
     // Try to get from cache first
-    const cachedOrders = await getCache(COMPLETED_ORDERS_CACHE)
+    const cachedOrders = await getCache(cacheKey)
     
     if (cachedOrders) {
       logger.info('Serving completed kitchen orders from cache')
@@ -494,11 +493,11 @@ export const getCompletedKitchenOrders = async (req, res, next) => {
 
     logger.info('Fetching completed kitchen orders from DB')
     // Define completed statuses for this view
-    const completedStatuses = ["ready_for_pickup", "completed", "cancelled"] 
     const limit = parseInt(req.query.limit || '50', 10) // Base 10
 
     const orders = await Order.find({
-      status: { $in: completedStatuses },
+      restaurant: req.restaurantId,
+      status: { $in: COMPLETED_KITCHEN_STATUSES },
     })
       .populate({
         path: "items.menuItem",
@@ -516,6 +515,7 @@ export const getCompletedKitchenOrders = async (req, res, next) => {
         name: item.name,
         quantity: item.quantity,
         specialInstructions: item.specialInstructions || '',
+        modifiers: formatKitchenModifiers(item),
         category: item.menuItem?.category || null,
       })),
       orderType: order.orderType,
@@ -526,7 +526,7 @@ export const getCompletedKitchenOrders = async (req, res, next) => {
     }))
 
     // Cache the result for 60 seconds (longer TTL for completed)
-    await setCache(COMPLETED_ORDERS_CACHE, formattedOrders, 60)
+    await setCache(cacheKey, formattedOrders, 60)
 
     res.status(200).json({ orders: formattedOrders })
   } catch (error) {
@@ -545,7 +545,7 @@ export const updatePaymentStatus = async (req, res, next) => {
       return res.status(400).json({ message: "Payment status is required" });
     }
 
-    const order = await Order.findById(orderId);
+    const order = await Order.findOne({ _id: orderId, restaurant: req.restaurantId });
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
@@ -586,20 +586,20 @@ export const updatePaymentStatus = async (req, res, next) => {
     // --- Cache Invalidation ---
     if (redisService.isConnected()) {
       // 1. Invalidate order details cache
-      const orderCacheKey = `${ORDER_DETAILS_CACHE_PREFIX}${orderId}`;
+      const orderCacheKey = tenantKey(req.restaurantId, `${ORDER_DETAILS_CACHE_PREFIX}${orderId}`);
       await deleteCache(orderCacheKey);
       logger.info(`Invalidated cache for key: ${orderCacheKey} (payment status updated)`);
       
       // 2. Invalidate user orders cache if user ID is available
       if (order.user) {
-        const userCacheKey = `${USER_ORDERS_CACHE_PREFIX}${order.user}`;
+        const userCacheKey = tenantKey(req.restaurantId, `${USER_ORDERS_CACHE_PREFIX}${order.user}`);
         await deleteCache(userCacheKey);
         logger.info(`Invalidated cache for key: ${userCacheKey} (payment status updated)`);
       }
       
       // 3. Invalidate session orders cache if this order is part of a session
       if (session) {
-        const sessionCacheKey = `${SESSION_ORDERS_CACHE_PREFIX}${session._id}`;
+        const sessionCacheKey = tenantKey(req.restaurantId, `${SESSION_ORDERS_CACHE_PREFIX}${session._id}`);
         await deleteCache(sessionCacheKey);
         logger.info(`Invalidated cache for key: ${sessionCacheKey} (payment status updated)`);
       }
@@ -627,24 +627,26 @@ export const submitOrderRatings = async (req, res) => {
     const { itemRatings } = req.body; // Attendu comme [{ menuItemId: "...", ratingValue: N }, ...]
 
     if (!itemRatings || !Array.isArray(itemRatings) || itemRatings.length === 0) {
-      return res.status(400).json({ message: "Aucune notation fournie." });
+      return res.status(400).json({ message: "No ratings provided" });
     }
 
     // 1. Valider la commande et les droits de l'utilisateur
-    const order = await Order.findOne({ _id: orderId, user: userId });
+    const order = await Order.findOne({ _id: orderId, user: userId, restaurant: req.restaurantId });
     if (!order) {
-       return res.status(403).json({ message: "Commande non trouvée ou accès non autorisé pour noter." });
+       return res.status(403).json({ message: "Order not found or not yours to rate" });
     }
     // Optionnel: Permettre de noter uniquement les commandes avec un certain statut (ex: "delivered")
     if (order.status !== "delivered") { 
-        return res.status(400).json({ message: "Vous ne pouvez noter que les commandes qui ont été livrées." });
+        return res.status(400).json({ message: "Only delivered orders can be rated" });
     }
 
     const operationsForRatingCollection = [];
     const itemRatingUpdatesForOrder = new Map(); 
+    // Only items of this order can be rated, the ratings train the recommender
+    const orderedItemIds = new Set(order.items.map((item) => item.menuItem?.toString()));
 
     for (const itemRating of itemRatings) {
-      if (!itemRating.menuItemId || typeof itemRating.ratingValue !== 'number' || itemRating.ratingValue < 1 || itemRating.ratingValue > 5) {
+      if (!itemRating.menuItemId || !orderedItemIds.has(String(itemRating.menuItemId)) || typeof itemRating.ratingValue !== 'number' || itemRating.ratingValue < 1 || itemRating.ratingValue > 5) {
         console.warn(`Notation invalide ou menuItemId manquant pour l'article: ${JSON.stringify(itemRating)}. Ignorée.`);
         continue; 
       }
@@ -658,6 +660,7 @@ export const submitOrderRatings = async (req, res) => {
               source: "manual_order", 
               user: userId,
               menuItem: itemRating.menuItemId,
+              restaurant: order.restaurant,
             },
           },
           upsert: true, 
@@ -668,7 +671,7 @@ export const submitOrderRatings = async (req, res) => {
     }
 
     if (operationsForRatingCollection.length === 0 && itemRatingUpdatesForOrder.size === 0) {
-      return res.status(400).json({ message: "Aucune notation valide fournie." });
+      return res.status(400).json({ message: "No valid ratings provided" });
     }
 
     // 2. Mettre à jour la collection globale Rating (pour le système de recommandation)
@@ -705,26 +708,26 @@ export const submitOrderRatings = async (req, res) => {
     // --- Cache Invalidation ---
     if (redisService.isConnected && redisService.isConnected()) {
       // 1. Invalidate order details cache
-      const orderCacheKey = `${ORDER_DETAILS_CACHE_PREFIX}${orderId}`;
+      const orderCacheKey = tenantKey(req.restaurantId, `${ORDER_DETAILS_CACHE_PREFIX}${orderId}`);
       await deleteCache(orderCacheKey);
       logger.info(`Invalidated cache for key: ${orderCacheKey} (ratings updated)`);
       
       // 2. Invalidate user orders cache
-      const userCacheKey = `${USER_ORDERS_CACHE_PREFIX}${userId}`;
+      const userCacheKey = tenantKey(req.restaurantId, `${USER_ORDERS_CACHE_PREFIX}${userId}`);
       await deleteCache(userCacheKey);
       logger.info(`Invalidated cache for key: ${userCacheKey} (ratings updated)`);
       
       // 3. Invalidate ratings cache if you have one
-      const ratingsCacheKey = `${RATINGS_CACHE_PREFIX}${userId}`;
+      const ratingsCacheKey = tenantKey(req.restaurantId, `${RATINGS_CACHE_PREFIX}${userId}`);
       await deleteCache(ratingsCacheKey);
       logger.info(`Invalidated cache for key: ${ratingsCacheKey} (ratings updated)`);
     }
     // --- End Cache Invalidation ---
 
-    res.status(200).json({ message: "Notations enregistrées avec succès." });
+    res.status(200).json({ message: "Ratings saved successfully" });
 
   } catch (error) {
     logger.error(`Error in submitOrderRatings: ${error.message}`, error);
-    res.status(500).json({ message: "Erreur serveur.", error: error.message });
+    res.status(500).json({ message: "Server Error", error: error.message });
   }
 };
\ No newline at end of file
@@ -1,12 +1,30 @@
 import Stripe from "stripe"
 import { User } from "../models/user.model.js"
 import { Order } from "../models/order.model.js"
+import {
+  creditWallet,
+  debitWallet,
+  getWalletStatement,
+  formatStatementEntry,
+  requestIdempotencyKey,
+  revenueAccount,
+  LEDGER_ACCOUNTS,
+  WalletError,
+} from "../services/walletService.js"
+import { processStripeEvent, stripeTopupKey, SETTLED_PAYMENT_STATUSES } from "../services/stripeWebhookService.js"
 import dotenv from "dotenv"
 dotenv.config()
 
 // Initialize Stripe with the secret key
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "")
 
+// Balance after an operation; an idempotent replay does not return one
+const walletBalanceOf = async (userId, balance) => {
+  if (balance !== null && balance !== undefined) return balance
+  const user = await User.findById(userId).select("wallet.balance")
+  return user?.wallet?.balance ?? 0
+}
+
 // @desc    Create payment intent
 // @route   POST /api/payments/create-payment-intent
 // @access  Private
@@ -30,6 +48,11 @@ export const createPaymentIntent = async (req, res) => {
       return res.status(400).json({ message: "Order is already paid" })
     }
 
+    // A promotion can bring the total down to nothing, there is no card payment to make then
+    if (Math.round(order.total * 100) < 1) {
+      return res.status(400).json({ message: "Order has nothing left to pay" })
+    }
+
     // Get or create Stripe customer
     const user = await User.findById(req.user._id)
 
@@ -44,7 +67,7 @@ export const createPaymentIntent = async (req, res) => {
       })
 
       user.stripeCustomerId = customer.id
-      await user.save()
+      await User.updateOne({ _id: user._id }, { $set: { stripeCustomerId: customer.id } })
     }
 
     // Create payment intent
@@ -56,6 +79,7 @@ export const createPaymentIntent = async (req, res) => {
       metadata: {
         orderId: order._id.toString(),
         userId: user._id.toString(),
+        ...(order.promotion?.code ? { promotionCode: order.promotion.code } : {}),
       },
     })
 
@@ -94,15 +118,32 @@ export const processPaymentSuccess = async (req, res) => {
       return res.status(400).json({ message: "Payment not successful" })
     }
 
-    // Update order payment status
-    order.paymentMethod = "card"
-    order.paymentStatus = "paid"
-    order.paymentId = paymentIntentId
-    await order.save()
+    // The intent must be the one created for this order, for the order's amount
+    if (
+      paymentIntent.metadata?.orderId !== order._id.toString() ||
+      (paymentIntent.amount_received ?? paymentIntent.amount) !== Math.round(order.total * 100)
+    ) {
+      return res.status(400).json({ message: "Payment does not match this order" })
+    }
+
+    // Conditional, as in the webhook: an order already paid, refunded or disputed keeps its status
+    const paid = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } },
+      { $set: { paymentMethod: "card", paymentStatus: "paid", paymentId: paymentIntentId } },
+      { new: true },
+    )
+    if (!paid) {
+      const current = await Order.findById(order._id)
+      // The webhook got there first with this same payment
+      if (current?.paymentStatus === "paid" && current.paymentId === paymentIntentId) {
+        return res.status(200).json({ message: "Payment processed successfully", order: current })
+      }
+      return res.status(409).json({ message: `Order payment is already ${current?.paymentStatus}` })
+    }
 
     res.status(200).json({
       message: "Payment processed successfully",
-      order,
+      order: paid,
     })
   } catch (error) {
     console.error(error)
@@ -133,33 +174,48 @@ export const processWalletPayment = async (req, res) => {
       return res.status(400).json({ message: "Order is already paid" })
     }
 
-    const user = await User.findById(req.user._id)
-
-    if (user.wallet.balance < order.total) {
-      return res.status(400).json({ message: "Insufficient wallet balance" })
-    }
-
-    // Deduct from wallet
-    user.wallet.balance -= order.total
-    user.wallet.transactions.push({
-      amount: order.total,
-      type: "debit",
+    // One wallet payment per order, whatever the number of attempts
+    const reference = { order: order._id, restaurant: order.restaurant }
+    const { balance } = await debitWallet(req.user._id, order.total, {
+      type: "order_payment",
+      counterAccount: revenueAccount(order.restaurant),
       description: `Payment for order #${order._id}`,
+      idempotencyKey: `order:${order._id}:wallet`,
+      reference,
+      requireFunds: true,
     })
 
-    await user.save()
-
     // Update order payment status
-    order.paymentMethod = "wallet"
-    order.paymentStatus = "paid"
-    await order.save()
+    const paidOrder = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $ne: "paid" } },
+      { $set: { paymentMethod: "wallet", paymentStatus: "paid" } },
+      { new: true },
+    )
+
+    if (!paidOrder) {
+      // Paid another way while the wallet was being debited, give the money back
+      const reversal = await creditWallet(req.user._id, order.total, {
+        type: "order_payment_reversal",
+        counterAccount: revenueAccount(order.restaurant),
+        description: `Refund of duplicate payment for order #${order._id}`,
+        idempotencyKey: `order:${order._id}:wallet:reversal`,
+        reference,
+      })
+      return res.status(400).json({
+        message: "Order is already paid",
+        walletBalance: await walletBalanceOf(req.user._id, reversal.balance),
+      })
+    }
 
     res.status(200).json({
       message: "Payment processed successfully",
-      order,
-      walletBalance: user.wallet.balance,
+      order: paidOrder,
+      walletBalance: await walletBalanceOf(req.user._id, balance),
     })
   } catch (error) {
+    if (error instanceof WalletError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
     console.error(error)
     res.status(500).json({ message: "Server Error" })
   }
@@ -223,7 +279,7 @@ export const addToWallet = async (req, res) => {
       })
 
       user.stripeCustomerId = customer.id
-      await user.save()
+      await User.updateOne({ _id: user._id }, { $set: { stripeCustomerId: customer.id } })
     }
 
     // Create payment intent for Stripe
@@ -266,40 +322,44 @@ export const addToWallet = async (req, res) => {
 // @access  Private
 export const confirmWalletTopup = async (req, res) => {
   try {
-    const { paymentIntentId, amount, paymentMethod } = req.body
+    const { paymentIntentId, paymentMethod } = req.body
 
-    const user = await User.findById(req.user._id)
-
-    if (!user) {
-      return res.status(404).json({ message: "User not found" })
+    // Only money a provider confirmed is credited, other methods have no verified payment to check
+    if (paymentMethod !== "stripe" && paymentMethod !== "card") {
+      return res.status(400).json({ message: "Only card top-ups can be confirmed" })
+    }
+    if (!paymentIntentId) {
+      return res.status(400).json({ message: "paymentIntentId is required" })
     }
 
-    // Verify payment intent for Stripe
-    if (paymentMethod === "stripe" || paymentMethod === "card") {
-      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId)
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId)
 
-      if (paymentIntent.status !== "succeeded") {
-        return res.status(400).json({ message: "Payment not successful" })
-      }
+    if (paymentIntent.status !== "succeeded") {
+      return res.status(400).json({ message: "Payment not successful" })
+    }
+
+    if (paymentIntent.metadata.type !== "wallet_topup" || paymentIntent.metadata.userId !== req.user._id.toString()) {
+      return res.status(400).json({ message: "Payment is not a top-up of this wallet" })
     }
 
-    // Add to wallet
-    const parsedAmount = Number.parseFloat(amount)
-    user.wallet.balance += parsedAmount
-    user.wallet.transactions.push({
-      amount: parsedAmount,
-      type: "credit",
+    // Credit what was actually paid, under the key the webhook uses so only one of them books it
+    const topup = await creditWallet(req.user._id, paymentIntent.amount_received / 100, {
+      type: "topup",
+      counterAccount: LEDGER_ACCOUNTS.STRIPE_CLEARING,
       description: `Added to wallet via ${paymentMethod}`,
+      idempotencyKey: stripeTopupKey(paymentIntent.id),
+      reference: { paymentId: paymentIntent.id },
     })
 
-    await user.save()
-
     res.status(200).json({
-      message: "Money added to wallet successfully",
-      balance: user.wallet.balance,
-      transaction: user.wallet.transactions[user.wallet.transactions.length - 1],
+      message: topup.applied ? "Money added to wallet successfully" : "Top-up already added to wallet",
+      balance: await walletBalanceOf(req.user._id, topup.applied ? topup.balance : null),
+      transaction: formatStatementEntry(topup.transaction),
     })
   } catch (error) {
+    if (error instanceof WalletError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
     console.error(error)
     res.status(500).json({ message: "Server Error" })
   }
@@ -310,33 +370,68 @@ export const confirmWalletTopup = async (req, res) => {
 // @access  Private
 export const getWallet = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
+    const user = await User.findById(req.user._id).select("wallet.balance")
 
     if (!user) {
       return res.status(404).json({ message: "User not found" })
     }
 
-    // Format transactions for better display
-    const formattedTransactions = user.wallet.transactions.map((transaction) => {
-      return {
-        _id: transaction._id,
-        amount: transaction.amount,
-        type: transaction.type,
-        description: transaction.description,
-        date: transaction.date,
-        formattedDate: new Date(transaction.date).toLocaleString(),
-        // Add additional fields for UI display
-        isDebit: transaction.type === "debit",
-        isCredit: transaction.type === "credit",
-        displayAmount:
-          transaction.type === "debit" ? `-${transaction.amount.toFixed(2)}` : `${transaction.amount.toFixed(2)}`,
-      }
-    })
+    // Latest transactions, the full history is paginated under /wallet/statement
+    const { transactions } = await getWalletStatement(user._id, { limit: 20 })
+
+    const formattedTransactions = transactions.map((transaction) => ({
+      ...transaction,
+      formattedDate: new Date(transaction.date).toLocaleString(),
+      isDebit: transaction.direction === "debit",
+      isCredit: transaction.direction === "credit",
+    }))
 
     res.status(200).json({
       balance: user.wallet.balance,
       formattedBalance: `${user.wallet.balance.toFixed(2)}`,
-      transactions: formattedTransactions.sort((a, b) => b.date - a.date), // Sort by date descending
+      transactions: formattedTransactions, // Newest first
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server Error" })
+  }
+}
+
+// @desc    Get paginated wallet statement
+// @route   GET /api/payments/wallet/statement?page=&limit=&from=&to=&type=
+// @access  Private
+export const getMyWalletStatement = async (req, res) => {
+  try {
+    const statement = await getWalletStatement(req.user._id, req.query)
+
+    res.status(200).json({
+      balance: await walletBalanceOf(req.user._id),
+      ...statement,
+    })
+  } catch (error) {
+    console.error(error)
+    res.status(500).json({ message: "Server Error" })
+  }
+}
+
+// @desc    Get paginated wallet statement of any user
+// @route   GET /api/payments/wallet/:userId/statement?page=&limit=&from=&to=&type=
+// @access  Private/Admin
+export const getUserWalletStatement = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select("fullName wallet.balance wallet.reconciledAt")
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const statement = await getWalletStatement(user._id, req.query)
+
+    res.status(200).json({
+      user: { _id: user._id, fullName: user.fullName },
+      balance: user.wallet.balance,
+      reconciledAt: user.wallet.reconciledAt || null,
+      ...statement,
     })
   } catch (error) {
     console.error(error)
@@ -346,66 +441,34 @@ export const getWallet = async (req, res) => {
 
 // @desc    Webhook for Stripe events
 // @route   POST /api/payments/webhook
-// @access  Public
+// @access  Public (Stripe signature)
 export const stripeWebhook = async (req, res) => {
   const sig = req.headers["stripe-signature"]
 
   let event
 
   try {
+    // req.body must be the raw Buffer, see the route in index.js
     event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET || "")
   } catch (err) {
     console.error(`Webhook Error: ${err.message}`)
     return res.status(400).send(`Webhook Error: ${err.message}`)
   }
 
-  // Handle the event
-  switch (event.type) {
-    case "payment_intent.succeeded":
-      const paymentIntent = event.data.object
-
-      // Handle wallet top-up
-      if (paymentIntent.metadata.type === "wallet_topup") {
-        const userId = paymentIntent.metadata.userId
-        const amount = Number.parseFloat(paymentIntent.metadata.amount)
-
-        const user = await User.findById(userId)
-        if (user) {
-          user.wallet.balance += amount
-          user.wallet.transactions.push({
-            amount,
-            type: "credit",
-            description: "Added to wallet via Stripe (webhook)",
-          })
-          await user.save()
-        }
-      }
-
-      // Handle order payment
-      if (paymentIntent.metadata.orderId) {
-        const orderId = paymentIntent.metadata.orderId
-
-        const order = await Order.findById(orderId)
-        if (order && order.paymentStatus !== "paid") {
-          order.paymentMethod = "card"
-          order.paymentStatus = "paid"
-          order.paymentId = paymentIntent.id
-          await order.save()
-        }
-      }
-      break
+  try {
+    const result = await processStripeEvent(event)
 
-    case "payment_intent.payment_failed":
-      const failedPayment = event.data.object
-      console.log(`Payment failed: ${failedPayment.id}`)
-      break
+    // Another delivery is still working on this event, a non-2xx makes Stripe retry later
+    if (result === "in_progress") {
+      return res.status(409).json({ received: false, message: "Event is being processed" })
+    }
 
-    default:
-      console.log(`Unhandled event type ${event.type}`)
+    res.status(200).json({ received: true, result })
+  } catch (error) {
+    console.error(error)
+    // Stripe redelivers on 5xx, the failed event is picked up again then
+    res.status(500).json({ message: "Webhook processing failed" })
   }
-
-  // Return a 200 response to acknowledge receipt of the event
-  res.send()
 }
 
 // @desc    Send money to bank
@@ -419,35 +482,27 @@ export const sendToBank = async (req, res) => {
       return res.status(400).json({ message: "Invalid amount" })
     }
 
-    const user = await User.findById(req.user._id)
-
-    if (!user) {
-      return res.status(404).json({ message: "User not found" })
-    }
-
-    if (user.wallet.balance < amount) {
-      return res.status(400).json({ message: "Insufficient wallet balance" })
-    }
-
-    // Deduct from wallet
-    user.wallet.balance -= amount
-    user.wallet.transactions.push({
-      amount,
-      type: "debit",
+    // Deduct from wallet, a retried request with the same Idempotency-Key is not paid out twice
+    const { transaction, balance } = await debitWallet(req.user._id, amount, {
+      type: "payout",
+      counterAccount: LEDGER_ACCOUNTS.BANK_PAYOUTS,
       description: "Send to bank",
+      idempotencyKey: requestIdempotencyKey(req, "payout"),
+      requireFunds: true,
     })
 
-    await user.save()
-
     // In a real app, you would integrate with a payment processor to transfer money to bank
     // This is a placeholder for demonstration
 
     res.status(200).json({
       message: "Money sent to bank successfully",
-      balance: user.wallet.balance,
-      transaction: user.wallet.transactions[user.wallet.transactions.length - 1],
+      balance: await walletBalanceOf(req.user._id, balance),
+      transaction: formatStatementEntry(transaction),
     })
   } catch (error) {
+    if (error instanceof WalletError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
     console.error(error)
     res.status(500).json({ message: "Server Error" })
   }
@@ -0,0 +1,200 @@
+import { Promotion, PROMOTION_TYPES } from "../models/promotion.model.js"
+import { priceOrder, OrderPricingError } from "../services/orderPricingService.js"
+import { ModifierError } from "../services/modifierService.js"
+import { isPromotionLive, PromotionError } from "../services/promotionService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Fields a manager may set on a promotion, usageCount is only moved by orders
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "code",
+  "type",
+  "value",
+  "buyQuantity",
+  "getQuantity",
+  "getDiscountPercent",
+  "maxDiscount",
+  "categories",
+  "menuItems",
+  "minOrderValue",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "endsAt",
+  "isActive",
+]
+
+const formatPromotion = (promotion) => ({
+  id: promotion._id,
+  name: promotion.name,
+  description: promotion.description,
+  code: promotion.code || null,
+  automatic: !promotion.code,
+  type: promotion.type,
+  value: promotion.value,
+  buyQuantity: promotion.buyQuantity,
+  getQuantity: promotion.getQuantity,
+  getDiscountPercent: promotion.getDiscountPercent,
+  maxDiscount: promotion.maxDiscount,
+  categories: promotion.categories,
+  menuItems: promotion.menuItems,
+  minOrderValue: promotion.minOrderValue,
+  usageLimit: promotion.usageLimit,
+  perUserLimit: promotion.perUserLimit,
+  usageCount: promotion.usageCount,
+  startsAt: promotion.startsAt,
+  endsAt: promotion.endsAt,
+  isActive: promotion.isActive,
+  isLive: isPromotionLive(promotion),
+})
+
+// Copy editable fields from the body, an empty code turns the promotion automatic
+const applyPromotionFields = (promotion, body) => {
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) promotion[field] = body[field]
+  }
+  if (body.code !== undefined && !String(body.code || "").trim()) {
+    promotion.code = undefined
+  }
+}
+
+// Map service errors to responses, anything else goes to the error handler
+const handlePromotionError = (error, res, next) => {
+  if (error instanceof PromotionError || error instanceof OrderPricingError || error instanceof ModifierError) {
+    return res.status(error.statusCode).json({ message: error.message })
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: "A promotion with this code already exists" })
+  }
+  next(error)
+}
+
+// @desc    List promotions of the restaurant
+// @route   GET /api/promotions?active=true|false
+// @access  Private (promotions:manage)
+export const getPromotions = async (req, res, next) => {
+  try {
+    const query = { restaurant: req.restaurantId }
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === "true"
+    }
+
+    const promotions = await Promotion.find(query).sort({ createdAt: -1 })
+
+    res.status(200).json({ promotions: promotions.map(formatPromotion) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Create a promotion
+// @route   POST /api/promotions
+// @access  Private (promotions:manage)
+export const createPromotion = async (req, res, next) => {
+  try {
+    const { name, type } = req.body
+
+    if (!name || !type) {
+      return res.status(400).json({ message: "Name and type are required" })
+    }
+
+    if (!PROMOTION_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of: ${PROMOTION_TYPES.join(", ")}` })
+    }
+
+    const promotion = new Promotion({
+      restaurant: req.restaurantId,
+      createdBy: req.staff?._id || req.user?._id,
+      createdByModel: req.staff ? "Staff" : "User",
+    })
+    applyPromotionFields(promotion, req.body)
+    await promotion.save()
+
+    logger.info(`Promotion ${promotion._id} (${promotion.code || "automatic"}) created at restaurant ${req.restaurantId}`)
+
+    res.status(201).json({ message: "Promotion created successfully", promotion: formatPromotion(promotion) })
+  } catch (error) {
+    handlePromotionError(error, res, next)
+  }
+}
+
+// @desc    Update a promotion
+// @route   PUT /api/promotions/:promotionId
+// @access  Private (promotions:manage)
+export const updatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findOne({ _id: req.params.promotionId, restaurant: req.restaurantId })
+    if (!promotion) {
+      return res.status(404).json({ message: "Promotion not found" })
+    }
+
+    if (req.body.type !== undefined && !PROMOTION_TYPES.includes(req.body.type)) {
+      return res.status(400).json({ message: `Type must be one of: ${PROMOTION_TYPES.join(", ")}` })
+    }
+
+    applyPromotionFields(promotion, req.body)
+    await promotion.save()
+
+    res.status(200).json({ message: "Promotion updated successfully", promotion: formatPromotion(promotion) })
+  } catch (error) {
+    handlePromotionError(error, res, next)
+  }
+}
+
+// @desc    Deactivate a promotion
+// @route   DELETE /api/promotions/:promotionId
+// @access  Private (promotions:manage)
+export const deactivatePromotion = async (req, res, next) => {
+  try {
+    const promotion = await Promotion.findOne({ _id: req.params.promotionId, restaurant: req.restaurantId })
+    if (!promotion) {
+      return res.status(404).json({ message: "Promotion not found" })
+    }
+
+    // Orders keep a reference to the promotion they used, so it is never removed
+    promotion.isActive = false
+    await promotion.save()
+
+    logger.info(`Promotion ${promotion._id} deactivated by ${req.staff?._id || req.user?._id}`)
+
+    res.status(200).json({ message: "Promotion deactivated successfully" })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Price a cart with its coupon code (or the best automatic offer) before ordering
+// @route   POST /api/promotions/validate
+// @access  Public (optional auth, per-customer offers need a signed in customer)
+export const validatePromotion = async (req, res, next) => {
+  try {
+    const { items, orderType, couponCode } = req.body
+
+    if (!items || !items.length) {
+      return res.status(400).json({ message: "Items are required" })
+    }
+
+    const { subtotal, discount, promotion, deliveryFee, total } = await priceOrder(req.restaurant, {
+      items,
+      orderType,
+      couponCode,
+      userId: req.user?._id || null,
+    })
+
+    res.status(200).json({
+      subtotal,
+      discount,
+      deliveryFee,
+      total,
+      promotion: promotion && {
+        id: promotion._id,
+        name: promotion.name,
+        code: promotion.code || null,
+        type: promotion.type,
+      },
+    })
+  } catch (error) {
+    handlePromotionError(error, res, next)
+  }
+}
@@ -0,0 +1,15 @@
+import { listPendingAcks, ACK_TIMEOUT_SECONDS } from "../services/realtimeService.js"
+
+// @desc    Realtime events not acknowledged by any recipient
+// @route   GET /api/realtime/unacknowledged?all=true
+// @access  Private (realtime:monitor)
+export const getUnacknowledgedEvents = async (req, res, next) => {
+  try {
+    // By default only events past their ack deadline, all=true includes the ones still within it
+    const events = await listPendingAcks(req.restaurantId, { overdueOnly: req.query.all !== "true" })
+
+    res.status(200).json({ ackTimeoutSeconds: ACK_TIMEOUT_SECONDS, count: events.length, events })
+  } catch (error) {
+    next(error)
+  }
+}
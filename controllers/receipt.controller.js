@@ -0,0 +1,131 @@
+import {
+  buildBillReceipt,
+  buildOrderReceipt,
+  renderReceiptPdf,
+  renderReceiptEscPos,
+  ReceiptError,
+} from "../services/receiptService.js"
+import { sendReceipt } from "../services/mailtrap/emailService.js"
+import { Order } from "../models/order.model.js"
+
+// Map service errors to responses, anything else goes to the error handler
+const handleReceiptError = (error, res, next) => {
+  if (error instanceof ReceiptError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message })
+  }
+  next(error)
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Send a receipt as PDF (default) or as ESC/POS bytes for a thermal printer (?format=escpos&paperWidth=58|80)
+const sendReceiptDocument = async (req, res, receipt) => {
+  if (req.query.format === "escpos") {
+    const output = renderReceiptEscPos(receipt, { paperWidth: Number(req.query.paperWidth) || undefined })
+    res.set({
+      "Content-Type": "application/octet-stream",
+      "Content-Disposition": `attachment; filename="receipt-${receipt.invoiceNumber}.bin"`,
+    })
+    return res.status(200).send(output)
+  }
+
+  if (req.query.format && req.query.format !== "pdf") {
+    return res.status(400).json({ success: false, message: "Format must be pdf or escpos" })
+  }
+
+  const pdf = await renderReceiptPdf(receipt)
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="receipt-${receipt.invoiceNumber}.pdf"`,
+  })
+  res.status(200).send(pdf)
+}
+
+// Render the receipt as PDF and email it
+const emailReceipt = async (res, receipt, email) => {
+  if (!email || !EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ success: false, message: "A valid email is required" })
+  }
+
+  const pdf = await renderReceiptPdf(receipt)
+  const result = await sendReceipt(email, receipt, pdf)
+  if (!result.success) {
+    return res.status(502).json({ success: false, message: "Receipt could not be emailed", error: result.error })
+  }
+
+  res.status(200).json({ success: true, message: `Receipt ${receipt.invoiceNumber} sent to ${email}` })
+}
+
+// Customers only get receipts for their own orders, restaurant owners and admins for any.
+// Checked before the receipt is built so nobody else can make an order draw an invoice number.
+const canReadOrderReceipt = async (req) => {
+  if (req.user.isAdmin || req.restaurant?.owner?.toString() === req.user._id.toString()) return true
+  const order = await Order.findOne({ _id: req.params.orderId, restaurant: req.restaurantId }).select("user")
+  return !order || order.user?.toString() === req.user._id.toString()
+}
+
+// @desc    Receipt of a paid bill
+// @route   GET /api/bills/:billId/receipt?format=pdf|escpos
+// @access  Private (bills:read)
+export const getBillReceipt = async (req, res, next) => {
+  try {
+    const receipt = await buildBillReceipt(req.restaurantId, req.params.billId)
+    await sendReceiptDocument(req, res, receipt)
+  } catch (error) {
+    handleReceiptError(error, res, next)
+  }
+}
+
+// @desc    Email the receipt of a paid bill
+// @route   POST /api/bills/:billId/receipt/email
+// @access  Private (bills:read)
+export const emailBillReceipt = async (req, res, next) => {
+  try {
+    const receipt = await buildBillReceipt(req.restaurantId, req.params.billId)
+    await emailReceipt(res, receipt, req.body.email)
+  } catch (error) {
+    handleReceiptError(error, res, next)
+  }
+}
+
+// @desc    Receipt of the caller's order
+// @route   GET /api/orders/:orderId/receipt?format=pdf|escpos
+// @access  Private (order owner, restaurant owner or admin)
+export const getOrderReceipt = async (req, res, next) => {
+  try {
+    if (!(await canReadOrderReceipt(req))) {
+      return res.status(403).json({ success: false, message: "Not allowed to access this receipt" })
+    }
+    const receipt = await buildOrderReceipt(req.restaurantId, req.params.orderId)
+    await sendReceiptDocument(req, res, receipt)
+  } catch (error) {
+    handleReceiptError(error, res, next)
+  }
+}
+
+// @desc    Receipt of an order, printed by the cashier
+// @route   GET /api/orders/:orderId/receipt/print?format=escpos|pdf
+// @access  Private (orders:read)
+export const printOrderReceipt = async (req, res, next) => {
+  try {
+    const receipt = await buildOrderReceipt(req.restaurantId, req.params.orderId)
+    await sendReceiptDocument(req, res, receipt)
+  } catch (error) {
+    handleReceiptError(error, res, next)
+  }
+}
+
+// @desc    Email the receipt of the caller's order (to their account email unless another is given)
+// @route   POST /api/orders/:orderId/receipt/email
+// @access  Private (order owner, restaurant owner or admin)
+export const emailOrderReceipt = async (req, res, next) => {
+  try {
+    if (!(await canReadOrderReceipt(req))) {
+      return res.status(403).json({ success: false, message: "Not allowed to access this receipt" })
+    }
+    const receipt = await buildOrderReceipt(req.restaurantId, req.params.orderId)
+    await emailReceipt(res, receipt, req.body.email || req.user.email)
+  } catch (error) {
+    handleReceiptError(error, res, next)
+  }
+}
@@ -0,0 +1,90 @@
+import { refundOrder, refundBill, listRefunds, RefundError } from "../services/refundService.js"
+
+// Map service errors to responses, anything else goes to the error handler
+const handleRefundError = (error, res, next) => {
+  if (error instanceof RefundError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message })
+  }
+  next(error)
+}
+
+// Who issued the refund: the staff account, or the admin/owner user without one
+const refundIssuer = (req) => ({
+  processedBy: req.staff?._id || req.user?._id || null,
+  processedByModel: req.staff ? "Staff" : "User",
+})
+
+// Body of a refund request; the Idempotency-Key header makes retries safe
+const refundRequest = (req) => ({
+  amount: req.body.amount,
+  items: Array.isArray(req.body.items) ? req.body.items : [],
+  reason: req.body.reason || "",
+  idempotencyKey: req.get("Idempotency-Key"),
+  ...refundIssuer(req),
+})
+
+// @desc    Refund an order (full, amount or line items)
+// @route   POST /api/orders/:orderId/refunds
+// @access  Private (refunds:issue)
+export const createOrderRefund = async (req, res, next) => {
+  try {
+    const { refund, order, existing } = await refundOrder(req.restaurantId, req.params.orderId, refundRequest(req))
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? "Refund already issued" : "Refund issued successfully",
+      refund,
+      order: order && {
+        id: order._id,
+        paymentStatus: order.paymentStatus,
+        amountRefunded: order.amountRefunded,
+      },
+    })
+  } catch (error) {
+    handleRefundError(error, res, next)
+  }
+}
+
+// @desc    List the refunds of an order
+// @route   GET /api/orders/:orderId/refunds
+// @access  Private (orders:read)
+export const getOrderRefunds = async (req, res, next) => {
+  try {
+    const refunds = await listRefunds(req.restaurantId, { order: req.params.orderId })
+    res.status(200).json({ refunds })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Refund a table-session bill (full, amount or line items)
+// @route   POST /api/bills/:billId/refunds
+// @access  Private (refunds:issue)
+export const createBillRefund = async (req, res, next) => {
+  try {
+    const { refund, bill, existing } = await refundBill(req.restaurantId, req.params.billId, refundRequest(req))
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? "Refund already recorded" : "Refund recorded successfully",
+      refund,
+      bill: bill && {
+        id: bill._id,
+        paymentStatus: bill.paymentStatus,
+        amountRefunded: bill.amountRefunded,
+      },
+    })
+  } catch (error) {
+    handleRefundError(error, res, next)
+  }
+}
+
+// @desc    List the refunds of a bill
+// @route   GET /api/bills/:billId/refunds
+// @access  Private (bills:read)
+export const getBillRefunds = async (req, res, next) => {
+  try {
+    const refunds = await listRefunds(req.restaurantId, { bill: req.params.billId })
+    res.status(200).json({ refunds })
+  } catch (error) {
+    next(error)
+  }
+}
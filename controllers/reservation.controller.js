@@ -1,45 +1,83 @@
-import { Table } from "../models/table.model.js";
-import { Reservation } from "../models/reservation.model.js";
-import moment from "moment"; // Pour manipuler les dates/heures
+import mongoose from "mongoose";
+import { Reservation, RESERVATION_STATUSES } from "../models/reservation.model.js";
 // Import Redis service
-import redisService, { getCache, setCache, deleteCache } from '../services/redis.service.js';
+import redisService, { getCache, setCache, deleteCache, tenantKey } from '../services/redis.service.js';
+import {
+  getAvailability as getSlotAvailability,
+  findTables,
+  withBookingLock,
+  invalidateAvailability,
+  getNextReminderAt,
+  isValidDate,
+  zonedDateTime,
+  modifyReservation,
+  cancelReservation,
+  markNoShow,
+  checkInReservation as seatReservation,
+  getRequiredDeposit,
+  getReservationSettings,
+  ReservationError,
+} from '../services/reservationService.js';
+import {
+  createDepositPaymentIntent,
+  confirmCardDeposit,
+  payDepositFromWallet,
+  DepositError,
+} from '../services/depositService.js';
 import logger from '../middlewares/logger.middleware.js';
 
-// Cache key constants
+// Cache key constants (scoped per restaurant with tenantKey)
 const AVAILABILITY_CACHE_PREFIX = 'reservation:availability:';
 const USER_RESERVATIONS_CACHE_PREFIX = 'reservation:user:';
 
 // Cache expiration times (in seconds)
-const AVAILABILITY_CACHE_EXPIRATION = 1800; // 30 minutes
+// Table and opening hours changes do not clear availability, so it is only cached briefly
+const AVAILABILITY_CACHE_EXPIRATION = 300; // 5 minutes
 const RESERVATIONS_CACHE_EXPIRATION = 3600; // 1 hour
 
-// Fonction utilitaire pour générer une liste de créneaux horaires
-// (exemple : de 19h00 à 22h00, tous les 30 minutes)
-const generateTimeSlots = (startTime, endTime, intervalMinutes) => {
-  const slots = [];
-  let currentTime = moment(startTime, "HH:mm");
-  const end = moment(endTime, "HH:mm");
-
-  while (currentTime <= end) {
-    slots.push(currentTime.format("HH:mm"));
-    currentTime.add(intervalMinutes, "minutes");
+// Booking errors carry their status, anything else is unexpected
+const handleReservationError = (error, res, fallbackMessage) => {
+  if (error instanceof ReservationError || error instanceof DepositError) {
+    return res.status(error.statusCode).json({ message: error.message });
   }
-  return slots;
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+// The user's reservation list is cached, drop it after any change to one of them
+const invalidateUserReservations = async (restaurantId, userId) => {
+  if (!redisService.isConnected()) return;
+  const userCacheKey = tenantKey(restaurantId, `${USER_RESERVATIONS_CACHE_PREFIX}${userId}`);
+  await deleteCache(userCacheKey);
+  logger.info(`Invalidated cache for key: ${userCacheKey}`);
+};
+
+// Reservation of this restaurant named in the URL, only the user's own when userId is given
+const findReservation = (req, userId = null) => {
+  const { reservationId } = req.params;
+  if (!mongoose.isValidObjectId(reservationId)) return null;
+  return Reservation.findOne({
+    _id: reservationId,
+    restaurant: req.restaurantId,
+    ...(userId && { userId }),
+  });
 };
 
+// @desc    Seating times of a date and whether a table is free for the party at each
+// @route   GET /api/reservations/availability?date=YYYY-MM-DD&guests=
+// @access  Public
 export const getAvailability = async (req, res) => {
-  const { date, guests } = req.query; // date au format "YYYY-MM-DD"
+  const { date, guests } = req.query; // date au format "YYYY-MM-DD", dans le fuseau du restaurant
   const numericGuests = parseInt(guests, 10);
 
   if (!date || isNaN(numericGuests) || numericGuests <= 0) {
     return res.status(400).json({
       message:
-        "La date et le nombre de personnes sont requis et doivent être valides.",
+        "A valid date and party size are required",
     });
   }
 
   // Create a cache key based on date and guests
-  const cacheKey = `${AVAILABILITY_CACHE_PREFIX}${date}:${numericGuests}`;
+  const cacheKey = tenantKey(req.restaurantId, `${AVAILABILITY_CACHE_PREFIX}${date}:${numericGuests}`);
 
   try {
     // Try to get from cache first
@@ -47,65 +85,45 @@ export const getAvailability = async (req, res) => {
       const cachedAvailability = await getCache(cacheKey);
       if (cachedAvailability) {
         logger.info(`Cache hit for key: ${cacheKey}`);
-        return res.status(200).json({ availableSlots: cachedAvailability });
+        return res.status(200).json({
+          availableSlots: cachedAvailability,
+          deposit: getRequiredDeposit(req.restaurant, zonedDateTime(date, 0, req.restaurant.timezone), numericGuests),
+        });
       }
       logger.info(`Cache miss for key: ${cacheKey}`);
     } else {
       logger.warn(`Redis not connected, skipping cache check for key: ${cacheKey}`);
     }
 
-    // 1. Trouver les tables de capacité suffisante
-    const availableTables = await Table.find({
-      capacity: { $gte: numericGuests },
-    });
+    // Créneaux des horaires d'ouverture, chacun libre si une table (ou un groupe de tables) l'est
+    const availability = await getSlotAvailability(req.restaurant, date, numericGuests);
+    // Deposit asked of this party on this date, 0 when none
+    const deposit = getRequiredDeposit(req.restaurant, zonedDateTime(date, 0, req.restaurant.timezone), numericGuests);
 
-    if (availableTables.length === 0) {
+    if (availability.length === 0) {
       return res.status(200).json({
-        message: "Aucune table disponible pour ce nombre de personnes.",
+        message: "No table available for this party size",
         availableSlots: [],
+        deposit,
       });
     }
 
-    const availableTableIds = availableTables.map((table) => table._id);
-
-    // 2. Générer les créneaux horaires (exemple : 19:00, 19:30, 20:00...)
-    const timeSlots = generateTimeSlots("19:00", "22:00", 30); // À adapter à vos horaires
-
-    const availability = [];
-
-    // 3. Vérifier la disponibilité pour chaque créneau
-    for (const timeSlot of timeSlots) {
-      const startTime = moment(
-        `${date} ${timeSlot}`,
-        "YYYY-MM-DD HH:mm"
-      ).toDate();
-      const endTime = moment(startTime).add(30, "minutes").toDate(); // Durée typique d'une réservation
-
-      // Vérifier s'il existe une réservation pour une table adéquate à ce créneau
-      const isReserved = await Reservation.exists({
-        tableId: { $in: availableTableIds },
-        reservationTime: { $lt: endTime, $gte: startTime }, //  Chevauchement
-      });
-
-      availability.push({ time: timeSlot, available: !isReserved }); // Disponible si pas de réservation
-    }
-
     // Store in cache if Redis is connected
     if (redisService.isConnected()) {
       await setCache(cacheKey, availability, AVAILABILITY_CACHE_EXPIRATION);
       logger.info(`Cached data for key: ${cacheKey}`);
     }
 
-    res.status(200).json({ availableSlots: availability });
+    res.status(200).json({ availableSlots: availability, deposit });
   } catch (error) {
     logger.error(`Error in getAvailability: ${error.message}`, error);
-    res.status(500).json({
-      message: "Erreur lors de la récupération des disponibilités.",
-      error: error.message,
-    });
+    handleReservationError(error, res, "Error fetching availability");
   }
 };
 
+// @desc    Book the best fitting free table (or combined tables) for a party
+// @route   POST /api/reservations
+// @access  Private
 export const createReservation = async (req, res) => {
   const {
     reservationTime,
@@ -116,97 +134,75 @@ export const createReservation = async (req, res) => {
   } = req.body;
   const userId = req.user._id; // Assurez-vous que l'authentification est en place
   const numericGuests = parseInt(guests, 10);
+  const start = new Date(reservationTime);
 
-  if (!reservationTime || isNaN(numericGuests) || numericGuests <= 0) {
+  if (!reservationTime || isNaN(start.getTime()) || isNaN(numericGuests) || numericGuests <= 0) {
     return res.status(400).json({
       message:
-        "L'heure de réservation et le nombre de personnes sont requis et doivent être valides.",
+        "A valid reservation time and party size are required",
     });
   }
+  if (start <= new Date()) {
+    return res.status(400).json({ message: "Reservation time must be in the future" });
+  }
 
   try {
-    // 1. Trouver les tables de capacité suffisante
-    const availableTables = await Table.find({
-      capacity: { $gte: numericGuests },
-    });
-
-    if (availableTables.length === 0) {
-      return res.status(409).json({
-        message: "Aucune table n'est disponible pour ce nombre de personnes.",
-      });
-    }
-
-    const availableTableIds = availableTables.map((table) => table._id);
-
-    // 2. Trouver une table disponible pour ce créneau
-    const availableTable = await Table.findOne({
-      _id: { $in: availableTableIds },
-      _id: {
-        $nin: (
-          await Reservation.find({ reservationTime })
-        ).map((r) => r.tableId),
-      }, // N'est pas réservée
-    });
-
-    if (!availableTable) {
-      return res.status(409).json({
-        message:
-          "Toutes les tables adéquates sont déjà réservées pour ce créneau.",
+    // A booking owing a deposit holds its tables until the deposit is due, then is released
+    const depositAmount = getRequiredDeposit(req.restaurant, start, numericGuests);
+    const { paymentWindowMinutes } = getReservationSettings(req.restaurant).deposit;
+    const deposit = depositAmount
+      ? {
+          amount: depositAmount,
+          dueBy: new Date(Math.min(Date.now() + paymentWindowMinutes * 60 * 1000, start.getTime())),
+        }
+      : undefined;
+
+    // Choix de la table et création sous verrou : deux clients ne reçoivent jamais la même table
+    const reservation = await withBookingLock(req.restaurantId, async () => {
+      const { tables, end } = await findTables(req.restaurant, start, numericGuests);
+
+      return Reservation.create({
+        restaurant: req.restaurantId,
+        userId: userId,
+        tableId: tables[0]._id,
+        tables: tables.map((table) => table._id),
+        reservationTime: start,
+        endTime: end,
+        // Reminders start once the deposit is paid
+        ...(deposit
+          ? { status: "pending", deposit }
+          : { nextReminderAt: getNextReminderAt(req.restaurant, start) }),
+        guests: numericGuests,
+        preSelectedMenu: preSelectedMenu,
+        specialRequests: specialRequests,
+        paymentMethod: paymentMethod, // <-- AJOUT : Sauvegarder le moyen de paiement
       });
-    }
-
-    // 3. Créer la réservation
-    const reservation = new Reservation({
-      userId: userId,
-      tableId: availableTable._id,
-      reservationTime: new Date(reservationTime), // S'assurer que c'est bien un objet Date
-      guests: numericGuests,
-      preSelectedMenu: preSelectedMenu,
-      specialRequests: specialRequests,
-      paymentMethod: paymentMethod, // <-- AJOUT : Sauvegarder le moyen de paiement
     });
 
-    await reservation.save();
+    logger.info(
+      `Reservation ${reservation._id} for ${numericGuests} guest(s) assigned to table(s) ${reservation.tables.join(", ")}`,
+    );
 
     // --- Cache Invalidation ---
-    if (redisService.isConnected()) {
-      // 1. Invalidate user's reservations cache
-      const userCacheKey = `${USER_RESERVATIONS_CACHE_PREFIX}${userId}`;
-      await deleteCache(userCacheKey);
-      logger.info(`Invalidated cache for key: ${userCacheKey} (new reservation created)`);
-      
-      // 2. Invalidate availability cache for this date and guest count
-      // Extract date from reservationTime
-      const reservationDate = moment(reservationTime).format('YYYY-MM-DD');
-      const availabilityCacheKey = `${AVAILABILITY_CACHE_PREFIX}${reservationDate}:${numericGuests}`;
-      await deleteCache(availabilityCacheKey);
-      logger.info(`Invalidated cache for key: ${availabilityCacheKey} (new reservation created)`);
-      
-      // 3. Also invalidate availability caches for other guest counts on the same date
-      // This is necessary because a table being reserved affects availability for all guest counts
-      // We'll use a simple approach of invalidating for common guest counts
-      for (let i = 1; i <= 10; i++) {
-        if (i !== numericGuests) {
-          const otherGuestsCacheKey = `${AVAILABILITY_CACHE_PREFIX}${reservationDate}:${i}`;
-          await deleteCache(otherGuestsCacheKey);
-          logger.info(`Invalidated cache for key: ${otherGuestsCacheKey} (related to new reservation)`);
-        }
-      }
-    }
+    await invalidateUserReservations(req.restaurantId, userId);
+    await invalidateAvailability(req.restaurant, start);
     // --- End Cache Invalidation ---
 
-    res
-      .status(201)
-      .json({ message: "Réservation créée avec succès.", reservation });
+    res.status(201).json({
+      message: deposit
+        ? "Reservation held, pay the deposit to confirm it"
+        : "Reservation created successfully",
+      reservation,
+    });
   } catch (error) {
     logger.error(`Error in createReservation: ${error.message}`, error);
-    res.status(500).json({
-      message: "Erreur lors de la création de la réservation.",
-      error: error.message,
-    });
+    handleReservationError(error, res, "Error creating the reservation");
   }
 };
 
+// @desc    Reservations of the signed in user at this restaurant
+// @route   GET /api/reservations
+// @access  Private
 export const getReservations = async (req, res) => {
   try {
     // L'ID de l'utilisateur est fourni par le middleware 'protect' via req.user
@@ -214,11 +210,11 @@ export const getReservations = async (req, res) => {
 
     if (!userId) {
       // Normalement, 'protect' devrait déjà gérer ça, mais sécurité supplémentaire
-      return res.status(401).json({ message: "Utilisateur non authentifié." });
+      return res.status(401).json({ message: "User not authenticated" });
     }
 
     // Create a cache key for this user's reservations
-    const cacheKey = `${USER_RESERVATIONS_CACHE_PREFIX}${userId}`;
+    const cacheKey = tenantKey(req.restaurantId, `${USER_RESERVATIONS_CACHE_PREFIX}${userId}`);
 
     // Try to get from cache first
     if (redisService.isConnected()) {
@@ -226,7 +222,7 @@ export const getReservations = async (req, res) => {
       if (cachedReservations) {
         logger.info(`Cache hit for key: ${cacheKey}`);
         return res.status(200).json({
-          message: "Réservations récupérées avec succès (from cache)",
+          message: "Reservations fetched successfully (from cache)",
           reservations: cachedReservations,
         });
       }
@@ -237,7 +233,7 @@ export const getReservations = async (req, res) => {
 
     // Récupérer toutes les réservations pour cet utilisateur
     // Trier par date de réservation la plus récente en premier (descendant)
-    const reservations = await Reservation.find({ userId: userId })
+    const reservations = await Reservation.find({ userId: userId, restaurant: req.restaurantId })
       .sort({ reservationTime: -1 }) // Trier par reservationTime descendant
       .populate({
           path: 'preSelectedMenu.menuItemId', // Chemin vers l'ID dans le tableau
@@ -248,7 +244,7 @@ export const getReservations = async (req, res) => {
     if (!reservations) {
       // find() retourne un tableau vide si rien n'est trouvé, pas null, donc cette condition est rarement utile
       // sauf si une erreur se produit.
-      return res.status(404).json({ message: "Aucune réservation trouvée pour cet utilisateur." });
+      return res.status(404).json({ message: "No reservations found for this user" });
     }
 
     logger.info(`Récupération de ${reservations.length} réservations pour l'utilisateur ${userId}`);
@@ -260,15 +256,250 @@ export const getReservations = async (req, res) => {
     }
 
     res.status(200).json({
-      message: "Réservations récupérées avec succès",
+      message: "Reservations fetched successfully",
       reservations: reservations, // Envoyer le tableau des réservations
     });
 
   } catch (error) {
     logger.error(`Error in getReservations: ${error.message}`, error);
     res.status(500).json({
-      message: "Erreur lors de recherche des réservations.",
+      message: "Error fetching reservations",
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Change the time and/or party size of one of the user's reservations
+// @route   PATCH /api/reservations/:reservationId
+// @access  Private
+export const updateReservation = async (req, res) => {
+  try {
+    const reservation = await findReservation(req, req.user._id);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    const { reservationTime, guests } = req.body;
+    await modifyReservation(req.restaurant, reservation, { reservationTime, guests });
+    await invalidateUserReservations(req.restaurantId, req.user._id);
+
+    res.status(200).json({ message: "Reservation updated successfully", reservation });
+  } catch (error) {
+    logger.error(`Error in updateReservation: ${error.message}`, error);
+    handleReservationError(error, res, "Error updating the reservation");
+  }
+};
+
+// @desc    Cancel one of the user's reservations, before the restaurant's cutoff
+// @route   POST /api/reservations/:reservationId/cancel
+// @access  Private
+export const cancelMyReservation = async (req, res) => {
+  try {
+    const reservation = await findReservation(req, req.user._id);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    await cancelReservation(req.restaurant, reservation, { reason: req.body?.reason });
+    await invalidateUserReservations(req.restaurantId, req.user._id);
+
+    res.status(200).json({ message: "Reservation cancelled successfully", reservation });
+  } catch (error) {
+    logger.error(`Error in cancelMyReservation: ${error.message}`, error);
+    handleReservationError(error, res, "Error cancelling the reservation");
+  }
+};
+
+// @desc    Start a card payment of the deposit of one of the user's reservations
+// @route   POST /api/reservations/:reservationId/deposit/payment-intent
+// @access  Private
+export const createDepositIntent = async (req, res) => {
+  try {
+    const reservation = await findReservation(req, req.user._id);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    const { clientSecret, amount } = await createDepositPaymentIntent(reservation, req.user);
+    res.status(200).json({ clientSecret, amount });
+  } catch (error) {
+    logger.error(`Error in createDepositIntent: ${error.message}`, error);
+    handleReservationError(error, res, "Error starting the deposit payment");
+  }
+};
+
+// Answer a deposit payment, a payment that was given back means the booking is gone
+const sendDepositResult = async (req, res, { reservation, paid, ...extra }) => {
+  await invalidateUserReservations(req.restaurantId, req.user._id);
+  if (!paid) {
+    return res.status(409).json({ message: "The deposit is no longer owed, your payment was refunded", reservation });
+  }
+  res.status(200).json({ message: "Deposit paid, your reservation is confirmed", reservation, ...extra });
+};
+
+// @desc    Confirm a card payment of a deposit once the client completed it
+// @route   POST /api/reservations/:reservationId/deposit/confirm
+// @access  Private
+export const confirmDepositPayment = async (req, res) => {
+  try {
+    const reservation = await findReservation(req, req.user._id);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    const result = await confirmCardDeposit(reservation, req.body?.paymentIntentId);
+    await sendDepositResult(req, res, result);
+  } catch (error) {
+    logger.error(`Error in confirmDepositPayment: ${error.message}`, error);
+    handleReservationError(error, res, "Error confirming the deposit payment");
+  }
+};
+
+// @desc    Pay the deposit of one of the user's reservations from their wallet
+// @route   POST /api/reservations/:reservationId/deposit/wallet
+// @access  Private
+export const payDepositWithWallet = async (req, res) => {
+  try {
+    const reservation = await findReservation(req, req.user._id);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    const { balance, ...result } = await payDepositFromWallet(reservation, req.user);
+    await sendDepositResult(req, res, { ...result, ...(balance !== null && { walletBalance: balance }) });
+  } catch (error) {
+    logger.error(`Error in payDepositWithWallet: ${error.message}`, error);
+    handleReservationError(error, res, "Error paying the deposit");
+  }
+};
+
+// @desc    Reservations of the restaurant for a day, in time order
+// @route   GET /api/reservations/manage?date=YYYY-MM-DD&status=confirmed
+// @access  Staff (reservations:manage)
+export const getRestaurantReservations = async (req, res) => {
+  const { date, status } = req.query;
+
+  if (!isValidDate(date)) {
+    return res.status(400).json({ message: "A valid date is required" });
+  }
+  if (status && !RESERVATION_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `Status must be one of: ${RESERVATION_STATUSES.join(", ")}` });
+  }
+
+  try {
+    // Journée locale du restaurant
+    const from = zonedDateTime(date, 0, req.restaurant.timezone);
+    const to = zonedDateTime(date, 24 * 60, req.restaurant.timezone);
+
+    const reservations = await Reservation.find({
+      restaurant: req.restaurantId,
+      reservationTime: { $gte: from, $lt: to },
+      ...(status && { status }),
+    })
+      .sort({ reservationTime: 1 })
+      .populate("userId", "fullName mobileNumber countryCode")
+      .populate("tables", "tableId capacity")
+      .populate({ path: "preSelectedMenu.menuItemId", model: "MenuItem", select: "name price image" });
+
+    res.status(200).json({ reservations });
+  } catch (error) {
+    logger.error(`Error in getRestaurantReservations: ${error.message}`, error);
+    handleReservationError(error, res, "Error fetching reservations");
+  }
+};
+
+// @desc    Change a reservation for a guest, the modification cutoff does not apply
+// @route   PATCH /api/reservations/manage/:reservationId
+// @access  Staff (reservations:manage)
+export const updateReservationByStaff = async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    const { reservationTime, guests } = req.body;
+    await modifyReservation(req.restaurant, reservation, { reservationTime, guests }, { byStaff: true });
+    await invalidateUserReservations(req.restaurantId, reservation.userId);
+
+    res.status(200).json({ message: "Reservation updated successfully", reservation });
+  } catch (error) {
+    logger.error(`Error in updateReservationByStaff: ${error.message}`, error);
+    handleReservationError(error, res, "Error updating the reservation");
+  }
+};
+
+// @desc    Cancel a reservation on the restaurant's side, the guest is notified
+// @route   POST /api/reservations/manage/:reservationId/cancel
+// @access  Staff (reservations:manage)
+export const cancelReservationByStaff = async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    await cancelReservation(req.restaurant, reservation, { byStaff: true, reason: req.body?.reason });
+    await invalidateUserReservations(req.restaurantId, reservation.userId);
+
+    res.status(200).json({ message: "Reservation cancelled successfully", reservation });
+  } catch (error) {
+    logger.error(`Error in cancelReservationByStaff: ${error.message}`, error);
+    handleReservationError(error, res, "Error cancelling the reservation");
+  }
+};
+
+// @desc    Seat an arriving party: opens a table session and sends the pre-selected menu to the kitchen
+// @route   POST /api/reservations/manage/:reservationId/check-in
+// @access  Staff (reservations:manage)
+export const checkInReservation = async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    const { session, order, skipped } = await seatReservation(req.restaurant, reservation, {
+      changedBy: req.staff?._id || req.user?._id,
+      changedByModel: req.staff ? "Staff" : "User",
+      io: req.io,
+    });
+    await invalidateUserReservations(req.restaurantId, reservation.userId);
+
+    res.status(200).json({
+      message: "Reservation checked in successfully",
+      reservation,
+      session: {
+        id: session._id,
+        tableId: session.tableId,
+        startTime: session.startTime,
+        status: session.status,
+      },
+      order,
+      skippedItems: skipped,
+    });
+  } catch (error) {
+    logger.error(`Error in checkInReservation: ${error.message}`, error);
+    handleReservationError(error, res, "Error checking in the reservation");
+  }
+};
+
+// @desc    Mark a party that did not come as no-show before the grace period job does
+// @route   POST /api/reservations/manage/:reservationId/no-show
+// @access  Staff (reservations:manage)
+export const markReservationNoShow = async (req, res) => {
+  try {
+    const reservation = await findReservation(req);
+    if (!reservation) {
+      return res.status(404).json({ message: "Reservation not found" });
+    }
+
+    await markNoShow(req.restaurant, reservation);
+    await invalidateUserReservations(req.restaurantId, reservation.userId);
+
+    res.status(200).json({ message: "Reservation marked as no-show", reservation });
+  } catch (error) {
+    logger.error(`Error in markReservationNoShow: ${error.message}`, error);
+    handleReservationError(error, res, "Error updating the reservation");
+  }
+};
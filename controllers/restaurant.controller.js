@@ -0,0 +1,188 @@
+import { Restaurant } from "../models/restaurant.model.js"
+import { User } from "../models/user.model.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Fields an owner or admin may set on a restaurant
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "logo",
+  "cuisines",
+  "contactPhone",
+  "email",
+  "address",
+  "location",
+  "timezone",
+  "currency",
+  "features",
+  "kitchenStations",
+  "dayparts",
+  "categoryTranslations",
+  "reservationSettings",
+  "deliverySettings",
+  "billing",
+]
+
+const formatRestaurant = (restaurant) => ({
+  id: restaurant._id,
+  name: restaurant.name,
+  description: restaurant.description,
+  logo: restaurant.logo,
+  cuisines: restaurant.cuisines,
+  contactPhone: restaurant.contactPhone,
+  email: restaurant.email,
+  address: restaurant.address,
+  location: restaurant.location,
+  timezone: restaurant.timezone,
+  currency: restaurant.currency,
+  features: restaurant.features,
+  kitchenStations: restaurant.kitchenStations,
+  dayparts: restaurant.dayparts,
+  categoryTranslations: restaurant.categoryTranslations,
+  reservationSettings: restaurant.reservationSettings,
+  deliverySettings: restaurant.deliverySettings,
+  billing: restaurant.billing,
+  isActive: restaurant.isActive,
+})
+
+// @desc    Create restaurant
+// @route   POST /api/restaurants
+// @access  Private (the caller becomes the owner, admins may pass ownerId)
+export const createRestaurant = async (req, res, next) => {
+  try {
+    const { name, ownerId } = req.body
+
+    if (!name) {
+      return res.status(400).json({ message: "Restaurant name is required" })
+    }
+
+    const owner = req.user.isAdmin && ownerId ? await User.findById(ownerId) : req.user
+    if (!owner) {
+      return res.status(404).json({ message: "Owner not found" })
+    }
+
+    const data = {}
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field]
+    }
+
+    const restaurant = await Restaurant.create({ ...data, owner: owner._id })
+
+    if (!owner.isRestaurantOwner) {
+      await User.findByIdAndUpdate(owner._id, { isRestaurantOwner: true })
+    }
+
+    logger.info(`Restaurant ${restaurant._id} created for owner ${owner._id}`)
+
+    res.status(201).json({
+      message: "Restaurant created successfully",
+      restaurant: formatRestaurant(restaurant),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    List restaurants
+// @route   GET /api/restaurants
+// @access  Public
+export const getRestaurants = async (req, res, next) => {
+  try {
+    const { cuisine, search } = req.query
+
+    const query = { isActive: true }
+    if (cuisine) {
+      query.cuisines = cuisine
+    }
+    if (search) {
+      // Escape user input so it is matched literally
+      query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" }
+    }
+
+    const restaurants = await Restaurant.find(query).sort({ name: 1 })
+
+    res.status(200).json({ restaurants: restaurants.map(formatRestaurant) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get restaurant by ID
+// @route   GET /api/restaurants/:restaurantId
+// @access  Public
+export const getRestaurantById = async (req, res, next) => {
+  try {
+    // Loaded by resolveRestaurant
+    res.status(200).json({ restaurant: formatRestaurant(req.restaurant) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Update restaurant
+// @route   PUT /api/restaurants/:restaurantId
+// @access  Private (owner or admin)
+export const updateRestaurant = async (req, res, next) => {
+  try {
+    const restaurant = req.restaurant
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) restaurant[field] = req.body[field]
+    }
+
+    await restaurant.save()
+
+    res.status(200).json({
+      message: "Restaurant updated successfully",
+      restaurant: formatRestaurant(restaurant),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Deactivate restaurant (data is kept for history)
+// @route   DELETE /api/restaurants/:restaurantId
+// @access  Private (owner or admin)
+export const deleteRestaurant = async (req, res, next) => {
+  try {
+    const restaurant = req.restaurant
+    restaurant.isActive = false
+    await restaurant.save()
+
+    logger.info(`Restaurant ${restaurant._id} deactivated by ${req.user._id}`)
+
+    res.status(200).json({ message: "Restaurant deleted successfully" })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get restaurants near a point
+// @route   GET /api/restaurants/nearby?latitude=..&longitude=..&radius=5
+// @access  Public
+export const getNearbyRestaurants = async (req, res, next) => {
+  try {
+    const latitude = Number.parseFloat(req.query.latitude)
+    const longitude = Number.parseFloat(req.query.longitude)
+    const radiusKm = Number.parseFloat(req.query.radius || "5")
+
+    if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+      return res.status(400).json({ message: "Latitude and longitude are required" })
+    }
+
+    const restaurants = await Restaurant.find({
+      isActive: true,
+      location: {
+        $near: {
+          $geometry: { type: "Point", coordinates: [longitude, latitude] },
+          $maxDistance: radiusKm * 1000,
+        },
+      },
+    }).limit(50)
+
+    res.status(200).json({ restaurants: restaurants.map(formatRestaurant) })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -0,0 +1,199 @@
+import { Staff } from "../models/staff.model.js"
+import { STAFF_ROLES, MANAGEABLE_ROLES, PERMISSIONS } from "../lib/permissions.js"
+import { generateStaffToken } from "../lib/utils/helper.js"
+import logger from "../middlewares/logger.middleware.js"
+
+const formatStaff = (staff) => ({
+  id: staff._id,
+  restaurant: staff.restaurant,
+  fullName: staff.fullName,
+  email: staff.email,
+  mobileNumber: staff.mobileNumber,
+  role: staff.role,
+  permissions: staff.permissions,
+  isActive: staff.isActive,
+  lastLogin: staff.lastLogin,
+})
+
+// Check that the caller may create/edit an account with the given role
+const canManageRole = (callerRole, role) => (MANAGEABLE_ROLES[callerRole] || []).includes(role)
+
+// @desc    Staff login
+// @route   POST /api/staff/login
+// @access  Public
+export const loginStaff = async (req, res, next) => {
+  try {
+    const { email, password } = req.body
+
+    if (!email || !password) {
+      return res.status(400).json({ message: "Email and password are required" })
+    }
+
+    const staff = await Staff.findOne({ restaurant: req.restaurantId, email: email.toLowerCase() }).select(
+      "+password",
+    )
+
+    if (!staff || !staff.isActive || !(await staff.comparePassword(password))) {
+      logger.warn(`Failed staff login for ${email} at restaurant ${req.restaurantId}`)
+      return res.status(401).json({ message: "Invalid credentials" })
+    }
+
+    staff.lastLogin = new Date()
+    await staff.save()
+
+    res.status(200).json({
+      message: "Login successful",
+      token: generateStaffToken(staff),
+      staff: formatStaff(staff),
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Get the logged in staff member
+// @route   GET /api/staff/me
+// @access  Private (staff)
+export const getCurrentStaff = async (req, res, next) => {
+  try {
+    if (!req.staff) {
+      // Admin or owner using a user token
+      return res.status(200).json({ staff: null, role: req.staffRole, user: req.user?._id })
+    }
+    res.status(200).json({ staff: formatStaff(req.staff), role: req.staffRole })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    List staff of the restaurant
+// @route   GET /api/staff
+// @access  Private (staff:manage)
+export const getStaff = async (req, res, next) => {
+  try {
+    const query = { restaurant: req.restaurantId }
+    if (req.query.role) {
+      query.role = req.query.role
+    }
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === "true"
+    }
+
+    const staff = await Staff.find(query).sort({ role: 1, fullName: 1 })
+
+    res.status(200).json({ staff: staff.map(formatStaff) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Create staff account
+// @route   POST /api/staff
+// @access  Private (staff:manage)
+export const createStaff = async (req, res, next) => {
+  try {
+    const { fullName, email, mobileNumber, password, role, permissions } = req.body
+
+    if (!fullName || !email || !password || !role) {
+      return res.status(400).json({ message: "Full name, email, password and role are required" })
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${STAFF_ROLES.join(", ")}` })
+    }
+
+    if (!canManageRole(req.staffRole, role)) {
+      return res.status(403).json({ message: `Not allowed to create ${role} accounts` })
+    }
+
+    if (permissions && permissions.some((permission) => !Object.values(PERMISSIONS).includes(permission))) {
+      return res.status(400).json({ message: "Unknown permission" })
+    }
+
+    const existing = await Staff.findOne({ restaurant: req.restaurantId, email: email.toLowerCase() })
+    if (existing) {
+      return res.status(409).json({ message: "A staff account with this email already exists" })
+    }
+
+    const staff = await Staff.create({
+      restaurant: req.restaurantId,
+      fullName,
+      email,
+      mobileNumber,
+      password,
+      role,
+      permissions: permissions || [],
+    })
+
+    logger.info(`Staff ${staff._id} (${role}) created at restaurant ${req.restaurantId}`)
+
+    res.status(201).json({ message: "Staff account created successfully", staff: formatStaff(staff) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Update staff account
+// @route   PUT /api/staff/:staffId
+// @access  Private (staff:manage)
+export const updateStaff = async (req, res, next) => {
+  try {
+    const staff = await Staff.findOne({ _id: req.params.staffId, restaurant: req.restaurantId })
+    if (!staff) {
+      return res.status(404).json({ message: "Staff member not found" })
+    }
+
+    // Both the current and the new role must be manageable by the caller
+    const { fullName, mobileNumber, password, role, permissions, isActive } = req.body
+    if (!canManageRole(req.staffRole, staff.role) || (role && !canManageRole(req.staffRole, role))) {
+      return res.status(403).json({ message: "Not allowed to edit this staff account" })
+    }
+
+    if (role && !STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${STAFF_ROLES.join(", ")}` })
+    }
+
+    if (permissions && permissions.some((permission) => !Object.values(PERMISSIONS).includes(permission))) {
+      return res.status(400).json({ message: "Unknown permission" })
+    }
+
+    if (fullName !== undefined) staff.fullName = fullName
+    if (mobileNumber !== undefined) staff.mobileNumber = mobileNumber
+    if (password) staff.password = password
+    if (role) staff.role = role
+    if (permissions) staff.permissions = permissions
+    if (isActive !== undefined) staff.isActive = isActive
+
+    await staff.save()
+
+    res.status(200).json({ message: "Staff account updated successfully", staff: formatStaff(staff) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Deactivate staff account
+// @route   DELETE /api/staff/:staffId
+// @access  Private (staff:manage)
+export const deactivateStaff = async (req, res, next) => {
+  try {
+    const staff = await Staff.findOne({ _id: req.params.staffId, restaurant: req.restaurantId })
+    if (!staff) {
+      return res.status(404).json({ message: "Staff member not found" })
+    }
+
+    if (!canManageRole(req.staffRole, staff.role)) {
+      return res.status(403).json({ message: "Not allowed to deactivate this staff account" })
+    }
+
+    // Staff are referenced by bills and order history, so they are never removed
+    staff.isActive = false
+    await staff.save()
+
+    logger.info(`Staff ${staff._id} deactivated by ${req.staff?._id || req.user?._id}`)
+
+    res.status(200).json({ message: "Staff account deactivated successfully" })
+  } catch (error) {
+    next(error)
+  }
+}
@@ -3,22 +3,26 @@ import {Table} from "../models/table.model.js"
 import { User } from "../models/user.model.js"
 import {Order} from "../models/order.model.js"
 import Bill from "../models/bill.model.js"
-
-// Start a new table session from QR code scan
+import { tableRoom } from "../lib/socketRooms.js"
+import { publishToRoom } from "../services/realtimeService.js"
+import { getOrCreateSessionBill } from "../services/billingService.js"
+import { offerWaitlist, WaitlistError } from "../services/waitlistService.js"
+
+// Start a new table session from QR code scan. A busy table answers with the wait for the
+// party (partySize), or puts the party on the waitlist when joinWaitlist is set.
+// The customer is the signed in user (as for the scan_qr_code socket event).
 export const startSessionFromQRCode = async (req, res, next) => {
   try {
-    const { tableId, userId } = req.body
+    const { tableId, partySize, joinWaitlist } = req.body
+    const user = req.user
+    const userId = user._id
 
     if (!tableId) {
       return res.status(400).json({ message: "Table ID is required" })
     }
 
-    if (!userId) {
-      return res.status(400).json({ message: "User ID is required" })
-    }
-
     // Validate table
-    const table = await Table.findById(tableId)
+    const table = await Table.findOne({ _id: tableId, restaurant: req.restaurantId })
     if (!table) {
       return res.status(404).json({ message: "Table not found" })
     }
@@ -28,13 +32,24 @@ export const startSessionFromQRCode = async (req, res, next) => {
     }
 
     if (table.status !== "available") {
-      return res.status(400).json({ message: "Table is not available" })
-    }
-
-    // Validate user
-    const user = await User.findById(userId)
-    if (!user) {
-      return res.status(404).json({ message: "User not found" })
+      try {
+        const waitlist = await offerWaitlist(req.restaurant, {
+          partySize,
+          join: Boolean(joinWaitlist),
+          user,
+          language: req.locale,
+          io: req.io,
+        })
+        if (waitlist.joined) {
+          return res.status(201).json({ message: "Added to the waitlist", waitlist })
+        }
+        return res.status(400).json({ message: "Table is not available", waitlist })
+      } catch (error) {
+        if (error instanceof WaitlistError) {
+          return res.status(error.statusCode).json({ message: error.message })
+        }
+        throw error
+      }
     }
 
     // Check if there's an existing active session for this user
@@ -53,6 +68,7 @@ export const startSessionFromQRCode = async (req, res, next) => {
 
     // Create a new session
     const session = new TableSession({
+      restaurant: req.restaurantId,
       tableId,
       clientId: userId,
       startTime: new Date(),
@@ -68,14 +84,20 @@ export const startSessionFromQRCode = async (req, res, next) => {
 
     // Notify connected clients via Socket.IO if available
     if (req.io) {
-      req.io.to(`table_${tableId}`).emit("session_started", {
-        sessionId: session._id,
-        tableId: session.tableId,
-        clientId: session.clientId,
-        startTime: session.startTime,
-        status: session.status,
-        customerName: user.fullName || "Customer", // Add customer name for display
-      })
+      await publishToRoom(
+        req.io,
+        tableRoom(tableId),
+        "session_started",
+        {
+          sessionId: session._id,
+          tableId: session.tableId,
+          clientId: session.clientId,
+          startTime: session.startTime,
+          status: session.status,
+          customerName: user.fullName || "Customer", // Add customer name for display
+        },
+        { restaurantId: req.restaurantId, ack: true },
+      )
     }
 
     res.status(201).json({
@@ -99,6 +121,7 @@ export const getUserActiveSession = async (req, res, next) => {
     const { userId } = req.params
 
     const session = await TableSession.findOne({
+      restaurant: req.restaurantId,
       clientId: userId,
       status: "active",
     }).populate("tableId", "tableNumber qrCode")
@@ -138,7 +161,7 @@ export const getSessionDetails = async (req, res, next) => {
   try {
     const { sessionId } = req.params
 
-    const session = await TableSession.findById(sessionId)
+    const session = await TableSession.findOne({ _id: sessionId, restaurant: req.restaurantId })
       .populate("tableId", "qrCode tableNumber")
       .populate("clientId", "fullName email mobileNumber")
       .populate({
@@ -158,7 +181,7 @@ export const getSessionDetails = async (req, res, next) => {
     const sessionTotal = session.orders.reduce((total, order) => total + order.total, 0)
 
     // Check if bill exists for this session
-    const bill = await Bill.findOne({ tableSessionId: sessionId })
+    const bill = await Bill.findOne({ tableSessionId: sessionId, restaurant: req.restaurantId })
 
     res.status(200).json({
       session: {
@@ -188,7 +211,7 @@ export const getSessionDetails = async (req, res, next) => {
 // Get active sessions
 export const getActiveSessions = async (req, res, next) => {
   try {
-    const query = { status: { $in: ["active", "payment_pending"] } }
+    const query = { restaurant: req.restaurantId, status: { $in: ["active", "payment_pending"] } }
 
     const sessions = await TableSession.find(query)
       .populate("tableId", "qrCode tableNumber")
@@ -215,12 +238,18 @@ export const updateSessionStatus = async (req, res, next) => {
       return res.status(400).json({ message: "Invalid status" })
     }
 
-    const session = await TableSession.findById(sessionId)
+    const session = await TableSession.findOne({ _id: sessionId, restaurant: req.restaurantId })
 
     if (!session) {
       return res.status(404).json({ message: "Session not found" })
     }
 
+    // Ending a session bills it, the same way as ending it with a bill
+    let bill = null
+    if (status !== "active" && session.status === "active") {
+      bill = (await getOrCreateSessionBill(session)).bill
+    }
+
     // If closing a session, set end time
     if (status === "closed" && session.status !== "closed") {
       session.endTime = new Date()
@@ -239,11 +268,18 @@ export const updateSessionStatus = async (req, res, next) => {
 
     // Notify connected clients via Socket.IO if available
     if (req.io) {
-      req.io.to(`table_${session.tableId}`).emit("session_status_updated", {
-        sessionId: session._id,
-        status: session.status,
-        endTime: session.endTime,
-      })
+      await publishToRoom(
+        req.io,
+        tableRoom(session.tableId),
+        "session_status_updated",
+        {
+          sessionId: session._id,
+          status: session.status,
+          endTime: session.endTime,
+          bill: bill && { id: bill._id, total: bill.total, paymentStatus: bill.paymentStatus },
+        },
+        { restaurantId: req.restaurantId },
+      )
     }
 
     res.status(200).json({
@@ -253,6 +289,7 @@ export const updateSessionStatus = async (req, res, next) => {
         status: session.status,
         endTime: session.endTime,
       },
+      bill: bill && { id: bill._id, total: bill.total, paymentStatus: bill.paymentStatus },
     })
   } catch (error) {
     next(error)
@@ -273,7 +310,7 @@ export const initiateSessionViaSocket = async (req, res, next) => {
     }
 
     // Validate table
-    const table = await Table.findById(tableId)
+    const table = await Table.findOne({ _id: tableId, restaurant: req.restaurantId })
     if (!table) {
       return res.status(404).json({ message: "Table not found" })
     }
@@ -312,7 +349,7 @@ export const initiateSessionViaSocket = async (req, res, next) => {
     }
 
     // Emit event to the table app
-    req.io.to(`table_${tableId}`).emit("initiate_session", {
+    req.io.to(tableRoom(tableId)).emit("initiate_session", {
       tableId,
       userId,
       timestamp: new Date(),
@@ -333,7 +370,7 @@ export const endSessionAndGenerateBill = async (req, res, next) => {
   try {
     const { sessionId } = req.params
 
-    const session = await TableSession.findById(sessionId)
+    const session = await TableSession.findOne({ _id: sessionId, restaurant: req.restaurantId })
     if (!session) {
       return res.status(404).json({ message: "Session not found" })
     }
@@ -342,25 +379,8 @@ export const endSessionAndGenerateBill = async (req, res, next) => {
       return res.status(400).json({ message: "Session is already closed" })
     }
 
-    // Check if bill already exists
-    let bill = await Bill.findOne({ tableSessionId: sessionId })
-
-    if (!bill) {
-      // Get all orders for this session
-      const orders = await Order.find({ _id: { $in: session.orders } })
-
-      // Calculate total
-      const total = orders.reduce((sum, order) => sum + order.total, 0)
-
-      // Create bill
-      bill = new Bill({
-        tableSessionId: sessionId,
-        total,
-        paymentStatus: "pending",
-      })
-
-      await bill.save()
-    }
+    // Use the existing bill or create it from the session's orders
+    const { bill } = await getOrCreateSessionBill(session)
 
     // Update session status
     session.status = "closed"
@@ -377,14 +397,20 @@ export const endSessionAndGenerateBill = async (req, res, next) => {
 
     // Notify connected clients via Socket.IO if available
     if (req.io) {
-      req.io.to(`table_${session.tableId}`).emit("session_ended", {
-        sessionId: session._id,
-        bill: {
-          id: bill._id,
-          total: bill.total,
-          paymentStatus: bill.paymentStatus,
+      await publishToRoom(
+        req.io,
+        tableRoom(session.tableId),
+        "session_ended",
+        {
+          sessionId: session._id,
+          bill: {
+            id: bill._id,
+            total: bill.total,
+            paymentStatus: bill.paymentStatus,
+          },
         },
-      })
+        { restaurantId: req.restaurantId, ack: true },
+      )
     }
 
     res.status(200).json({
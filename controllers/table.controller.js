@@ -1,10 +1,21 @@
+import mongoose from "mongoose"
 import {Table} from "../models/table.model.js"
 import TableSession from "../models/table-session.model.js"
+import { listPresent } from "../services/presenceService.js"
+import { suggestPartyForTable } from "../services/waitlistService.js"
+
+// Seating settings used by reservations
+const formatSeating = (table) => ({
+  capacity: table.capacity,
+  minCapacity: table.minCapacity,
+  combinableWith: table.combinableWith || [],
+  isReservable: table.isReservable,
+})
 
 // Get all tables with status
 export const getAllTables = async (req, res, next) => {
   try {
-    const tables = await Table.find()
+    const tables = await Table.find({ restaurant: req.restaurantId })
       .populate({
         path: "currentSession",
         select: "startTime orders status totalAmount",
@@ -15,6 +26,9 @@ export const getAllTables = async (req, res, next) => {
       })
       .sort({ createdAt: 1 })
 
+    // Tablets with a live heartbeat on any server instance
+    const onlineTables = new Set((await listPresent(req.restaurantId, "table")).map((entry) => entry.id))
+
     // Format response - removed tableNumber
     const formattedTables = tables.map((table) => ({
       id: table._id,
@@ -22,6 +36,8 @@ export const getAllTables = async (req, res, next) => {
       deviceId: table.deviceId,
       status: table.status,
       isActive: table.isActive,
+      isOnline: onlineTables.has(table._id.toString()),
+      seating: formatSeating(table),
       currentSession: table.currentSession
         ? {
             id: table.currentSession._id,
@@ -45,7 +61,7 @@ export const getTableDetails = async (req, res, next) => {
     const { tableId } = req.params
     const { locale = "en" } = req.query
 
-    const table = await Table.findById(tableId).populate({
+    const table = await Table.findOne({ _id: tableId, restaurant: req.restaurantId }).populate({
       path: "currentSession",
       populate: {
         path: "orders",
@@ -67,6 +83,7 @@ export const getTableDetails = async (req, res, next) => {
       deviceId: table.deviceId,
       status: table.status,
       isActive: table.isActive,
+      seating: formatSeating(table),
     }
 
     if (table.currentSession) {
@@ -115,7 +132,7 @@ export const updateTableStatus = async (req, res, next) => {
       return res.status(400).json({ message: "Status is required" })
     }
 
-    const table = await Table.findById(tableId)
+    const table = await Table.findOne({ _id: tableId, restaurant: req.restaurantId })
 
     if (!table) {
       return res.status(404).json({ message: "Table not found" })
@@ -134,6 +151,11 @@ export const updateTableStatus = async (req, res, next) => {
     table.status = status
     await table.save()
 
+    // Point the host stand to the next waiting party this table suits
+    if (status === "available") {
+      await suggestPartyForTable(req.io, req.restaurant, table)
+    }
+
     res.status(200).json({
       message: "Table status updated successfully",
       table: {
@@ -148,6 +170,74 @@ export const updateTableStatus = async (req, res, next) => {
   }
 }
 
+// Update the seating of a table: capacity, smallest party and the tables it can be combined with
+export const updateTableSeating = async (req, res, next) => {
+  try {
+    const { tableId } = req.params
+    const { capacity, minCapacity, combinableWith, isReservable } = req.body
+
+    const table = await Table.findOne({ _id: tableId, restaurant: req.restaurantId })
+
+    if (!table) {
+      return res.status(404).json({ message: "Table not found" })
+    }
+
+    if (capacity !== undefined) table.capacity = capacity
+    if (minCapacity !== undefined) table.minCapacity = minCapacity
+    if (isReservable !== undefined) table.isReservable = Boolean(isReservable)
+
+    if (table.minCapacity > table.capacity) {
+      return res.status(400).json({ message: "Minimum party size cannot exceed the table capacity" })
+    }
+
+    let added = []
+    let removed = []
+    if (combinableWith !== undefined) {
+      const ids = [...new Set((Array.isArray(combinableWith) ? combinableWith : []).map(String))]
+      if (ids.some((id) => !mongoose.isValidObjectId(id) || id === table._id.toString())) {
+        return res.status(400).json({ message: "Combinable tables must be other tables of this restaurant" })
+      }
+      const others = await Table.countDocuments({ _id: { $in: ids }, restaurant: req.restaurantId })
+      if (others !== ids.length) {
+        return res.status(400).json({ message: "Combinable tables must be other tables of this restaurant" })
+      }
+
+      const previous = (table.combinableWith || []).map(String)
+      added = ids.filter((id) => !previous.includes(id))
+      removed = previous.filter((id) => !ids.includes(id))
+      table.combinableWith = ids
+    }
+
+    await table.save()
+
+    // Combinations go both ways, the other tables list this one too
+    if (added.length) {
+      await Table.updateMany(
+        { _id: { $in: added }, restaurant: req.restaurantId },
+        { $addToSet: { combinableWith: table._id } },
+      )
+    }
+    if (removed.length) {
+      await Table.updateMany(
+        { _id: { $in: removed }, restaurant: req.restaurantId },
+        { $pull: { combinableWith: table._id } },
+      )
+    }
+
+    res.status(200).json({
+      message: "Table seating updated successfully",
+      table: {
+        id: table._id,
+        tableId: table.tableId,
+        status: table.status,
+        seating: formatSeating(table),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 // Create or update table
 export const createOrUpdateTable = async (req, res, next) => {
   try {
@@ -163,7 +253,7 @@ export const createOrUpdateTable = async (req, res, next) => {
 
     if (tableId) {
       // Update existing table
-      table = await Table.findById(tableId)
+      table = await Table.findOne({ _id: tableId, restaurant: req.restaurantId })
 
       if (!table) {
         return res.status(404).json({ message: "Table not found" })
@@ -180,6 +270,7 @@ export const createOrUpdateTable = async (req, res, next) => {
     } else {
       // Create new table
       table = new Table({
+        restaurant: req.restaurantId,
         qrCode,
         deviceId,
         isActive: isActive !== undefined ? isActive : false,
@@ -216,7 +307,7 @@ export const startTableSession = async (req, res, next) => {
   try {
     const { tableId } = req.params
 
-    const table = await Table.findById(tableId)
+    const table = await Table.findOne({ _id: tableId, restaurant: req.restaurantId })
 
     if (!table) {
       return res.status(404).json({ message: "Table not found" })
@@ -232,6 +323,7 @@ export const startTableSession = async (req, res, next) => {
 
     // Create a new session
     const session = new TableSession({
+      restaurant: req.restaurantId,
       table: tableId,
       startTime: new Date(),
     })
@@ -263,7 +355,7 @@ export const endTableSession = async (req, res, next) => {
   try {
     const { sessionId } = req.params
 
-    const session = await TableSession.findById(sessionId)
+    const session = await TableSession.findOne({ _id: sessionId, restaurant: req.restaurantId })
 
     if (!session) {
       return res.status(404).json({ message: "Session not found" })
@@ -306,7 +398,7 @@ export const getTableByQrCode = async (req, res, next) => {
   try {
     const { qrCode } = req.params
 
-    const table = await Table.findOne({ qrCode })
+    const table = await Table.findOne({ qrCode, restaurant: req.restaurantId })
 
     if (!table) {
       return res.status(404).json({ message: "Table not found" })
@@ -336,7 +428,7 @@ export const getTableForQRCode = async (req, res, next) => {
 
     // If tableId is provided, get that specific table
     if (tableId) {
-      const table = await Table.findById(tableId)
+      const table = await Table.findOne({ _id: tableId, restaurant: req.restaurantId })
 
       if (!table) {
         return res.status(404).json({ message: "Table not found" })
@@ -369,7 +461,7 @@ export const getTableByDeviceId = async (req, res, next) => {
       return res.status(400).json({ message: "Device ID is required" })
     }
 
-    const table = await Table.findOne({ deviceId })
+    const table = await Table.findOne({ deviceId, restaurant: req.restaurantId })
 
     if (!table) {
       return res.status(404).json({ message: "No table found for this device" })
@@ -407,7 +499,7 @@ export const registerDeviceWithTable = async (req, res, next) => {
     console.log(`Attempting to find/register table with tableId: ${tableId}`);
 
     // Check if a table with this device ID (tableId) already exists
-    let table = await Table.findOne({ tableId: tableId });
+    let table = await Table.findOne({ tableId: tableId, restaurant: req.restaurantId });
 
     if (table) {
       console.log(`Found existing table (ID: ${table._id}) for tableId: ${tableId}. Setting isActive=true.`);
@@ -416,6 +508,7 @@ export const registerDeviceWithTable = async (req, res, next) => {
       console.log(`No existing table found for tableId: ${tableId}. Creating new table.`);
       // Create new table with the provided tableId
       table = new Table({
+        restaurant: req.restaurantId,
         tableId: tableId, // Correctly use tableId from req.body
         status: "available",
         isActive: true,
@@ -424,6 +517,9 @@ export const registerDeviceWithTable = async (req, res, next) => {
       console.log("New table object created (before save):", JSON.stringify(table.toObject(), null, 2));
     }
 
+    // New credential for the tablet's socket connection (rotates on re-registration)
+    const deviceSecret = table.issueDeviceSecret();
+
     // --- Add try/catch specifically around save --- 
     try {
       await table.save();
@@ -456,6 +552,8 @@ export const registerDeviceWithTable = async (req, res, next) => {
         // Include deviceId if it exists in your model and you want to return it
         // deviceId: table.deviceId, 
       },
+      // Only returned here: the tablet sends { tableId: table.id, deviceSecret } in the socket handshake
+      deviceSecret,
       session: null, // Explicitly null as we are not creating sessions here
     });
   } catch (error) {
@@ -2,7 +2,7 @@ import { User } from "../models/user.model.js"
 
 import { uploadImage } from "../services/cloudinaryService.js"
 import jwt from "jsonwebtoken"
-import { MenuItem } from "../models/menuItem.model.js"
+import MenuItem from "../models/menuItem.model.js"
 import { Rating } from "../models/rating.model.js"
 // @desc    Get user profile
 // @route   GET /api/users/profile
@@ -131,25 +131,25 @@ export const addAddress = async (req, res) => {
     // --- MODIFICATION : Validation des champs requis ---
     // Adapter cette validation aux champs réellement requis par votre logique métier
     if (!label || !address || !type || latitude == null || longitude == null) {
-       return res.status(400).json({ message: "Champs requis manquants (label, type, address, latitude, longitude)." });
+       return res.status(400).json({ message: "Missing required fields (label, type, address, latitude, longitude)" });
     }
     // Vérifier si type est valide (optionnel, Mongoose le fait aussi)
     if (!["home", "office", "other"].includes(type)) {
-        return res.status(400).json({ message: "Type d'adresse invalide." });
+        return res.status(400).json({ message: "Invalid address type" });
     }
     // ---------------------------------------------------
 
     // Récupérer l'ID utilisateur depuis la requête (adapté à votre middleware d'auth)
     const userId = req.user._id; // Ou req.user.id, etc.
     if (!userId) {
-        return res.status(401).json({ message: "Utilisateur non authentifié." });
+        return res.status(401).json({ message: "User not authenticated" });
     }
 
     // Trouver l'utilisateur en base de données
     const user = await User.findById(userId);
 
     if (!user) {
-      return res.status(404).json({ message: "Utilisateur non trouvé." });
+      return res.status(404).json({ message: "User not found" });
     }
 
     // Si la nouvelle adresse est marquée comme défaut, mettre les autres à false
@@ -189,7 +189,7 @@ export const addAddress = async (req, res) => {
 
     // --- MODIFICATION : Retourner l'utilisateur complet (Recommandé) ---
     res.status(201).json({ // 201 Created est plus sémantique pour un ajout
-      message: "Adresse ajoutée avec succès",
+      message: "Address added successfully",
       user: {
         _id: updatedUser._id,
         fullName:updatedUser.fullName,
@@ -215,7 +215,7 @@ export const addAddress = async (req, res) => {
 
   } catch (error) {
     console.error("Erreur lors de l'ajout d'adresse:", error);
-    res.status(500).json({ message: "Erreur serveur lors de l'ajout de l'adresse." });
+    res.status(500).json({ message: "Server error while adding the address" });
   }
 };
 
@@ -334,16 +334,15 @@ export const addToFavorites = async (req, res) => {
     // Add to favorites
     user.favorites.push(favoriteId)
     await user.save()
-    const dish= await MenuItem.findById(favoriteId);
-    let rating= await Rating.findOne({userIndex:user.matrixIndex,menuIndex:dish.matrixIndex});
-
-    if(rating){
-      rating.rating=5;
-    }else{
-      rating=new Rating({userIndex:user.matrixIndex,menuIndex:dish.matrixIndex,rating:5});
+    // A favorite counts as a 5 star rating for the recommender, unless the user already rated the dish
+    const dish = await MenuItem.findById(favoriteId).select("restaurant")
+    if (dish) {
+      await Rating.updateOne(
+        { user: user._id, menuItem: dish._id },
+        { $setOnInsert: { rating: 5, source: "favorite", restaurant: dish.restaurant } },
+        { upsert: true },
+      )
     }
-    await rating.save();
-    
 
     res.status(200).json({
       message: "Added to favorites",
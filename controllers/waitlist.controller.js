@@ -0,0 +1,195 @@
+import mongoose from "mongoose"
+import { WaitlistEntry, ACTIVE_WAITLIST_STATUSES } from "../models/waitlist.model.js"
+import {
+  estimateWait,
+  getQueue,
+  formatEntry,
+  joinWaitlist,
+  notifyParty,
+  seatParty,
+  cancelEntry,
+  findUserEntry,
+  WaitlistError,
+} from "../services/waitlistService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Map service errors to responses, anything else goes to the error handler
+const handleWaitlistError = (error, res, next) => {
+  if (error instanceof WaitlistError) {
+    return res.status(error.statusCode).json({ message: error.message })
+  }
+  next(error)
+}
+
+// Waitlist entry of this restaurant named in the URL
+const findEntry = (req) => {
+  const { entryId } = req.params
+  if (!mongoose.isValidObjectId(entryId)) return null
+  return WaitlistEntry.findOne({ _id: entryId, restaurant: req.restaurantId })
+}
+
+// @desc    Wait a party of this size would be quoted now
+// @route   GET /api/waitlist/estimate?partySize=
+// @access  Public
+export const getWaitEstimate = async (req, res, next) => {
+  try {
+    const estimate = await estimateWait(req.restaurant, req.query.partySize)
+    res.status(200).json(estimate)
+  } catch (error) {
+    handleWaitlistError(error, res, next)
+  }
+}
+
+// @desc    Join the waitlist from the app, signed in customers can skip the phone number
+// @route   POST /api/waitlist
+// @access  Public (optional auth)
+export const joinWaitlistFromApp = async (req, res, next) => {
+  try {
+    const { name, partySize, mobileNumber, countryCode, notes } = req.body
+    const { entry, position, estimatedWaitMinutes } = await joinWaitlist(
+      req.restaurant,
+      { name, partySize, mobileNumber, countryCode, notes, user: req.user || null, source: "app", language: req.locale },
+      { io: req.io },
+    )
+
+    res.status(201).json({
+      message: "Added to the waitlist",
+      entry: formatEntry(entry, { position, estimatedWaitMinutes }),
+    })
+  } catch (error) {
+    handleWaitlistError(error, res, next)
+  }
+}
+
+// @desc    The signed in customer's place on the waitlist
+// @route   GET /api/waitlist/me
+// @access  Private
+export const getMyWaitlistEntry = async (req, res, next) => {
+  try {
+    const entry = await findUserEntry(req.restaurant, req.user)
+    if (!entry) {
+      return res.status(404).json({ message: "You are not on the waitlist" })
+    }
+    res.status(200).json({ entry })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Leave the waitlist
+// @route   POST /api/waitlist/me/leave
+// @access  Private
+export const leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      restaurant: req.restaurantId,
+      user: req.user._id,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    })
+    if (!entry) {
+      return res.status(404).json({ message: "You are not on the waitlist" })
+    }
+
+    await cancelEntry(req.restaurant, entry, { io: req.io })
+    res.status(200).json({ message: "You left the waitlist" })
+  } catch (error) {
+    handleWaitlistError(error, res, next)
+  }
+}
+
+// @desc    The waitlist with places and current wait estimates, for the host dashboard
+// @route   GET /api/waitlist/manage
+// @access  Private (staff with waitlist:manage)
+export const getWaitlist = async (req, res, next) => {
+  try {
+    const queue = await getQueue(req.restaurant)
+    res.status(200).json({ queue: queue.map(({ entry, ...estimate }) => formatEntry(entry, estimate)) })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @desc    Add a walk-in party at the host stand
+// @route   POST /api/waitlist/manage
+// @access  Private (staff with waitlist:manage)
+export const addWalkIn = async (req, res, next) => {
+  try {
+    const { name, partySize, mobileNumber, countryCode, notes, language } = req.body
+    const { entry, position, estimatedWaitMinutes } = await joinWaitlist(
+      req.restaurant,
+      { name, partySize, mobileNumber, countryCode, notes, source: "host", language },
+      { io: req.io },
+    )
+
+    res.status(201).json({
+      message: "Added to the waitlist",
+      entry: formatEntry(entry, { position, estimatedWaitMinutes }),
+    })
+  } catch (error) {
+    handleWaitlistError(error, res, next)
+  }
+}
+
+// @desc    Call a party back by SMS and push, optionally holding a table for them
+// @route   POST /api/waitlist/manage/:entryId/notify
+// @access  Private (staff with waitlist:manage)
+export const notifyWaitlistParty = async (req, res, next) => {
+  try {
+    const entry = await findEntry(req)
+    if (!entry) {
+      return res.status(404).json({ message: "Waitlist entry not found" })
+    }
+
+    const { channels } = await notifyParty(req.restaurant, entry, { tableId: req.body.tableId, io: req.io })
+    if (!channels.length) {
+      logger.warn(`Waitlist party ${entry._id} could not be reached by SMS or push`)
+    }
+
+    res.status(200).json({ message: "Party notified", entry: formatEntry(entry), channels })
+  } catch (error) {
+    handleWaitlistError(error, res, next)
+  }
+}
+
+// @desc    Seat a party and open its table session
+// @route   POST /api/waitlist/manage/:entryId/seat
+// @access  Private (staff with waitlist:manage)
+export const seatWaitlistParty = async (req, res, next) => {
+  try {
+    const entry = await findEntry(req)
+    if (!entry) {
+      return res.status(404).json({ message: "Waitlist entry not found" })
+    }
+
+    const { session } = await seatParty(req.restaurant, entry, { tableId: req.body.tableId, io: req.io })
+    res.status(200).json({
+      message: "Party seated",
+      entry: formatEntry(entry),
+      session: {
+        id: session._id,
+        tableId: session.tableId,
+        startTime: session.startTime,
+        status: session.status,
+      },
+    })
+  } catch (error) {
+    handleWaitlistError(error, res, next)
+  }
+}
+
+// @desc    Take a party off the waitlist
+// @route   POST /api/waitlist/manage/:entryId/cancel
+// @access  Private (staff with waitlist:manage)
+export const cancelWaitlistEntry = async (req, res, next) => {
+  try {
+    const entry = await findEntry(req)
+    if (!entry) {
+      return res.status(404).json({ message: "Waitlist entry not found" })
+    }
+
+    await cancelEntry(req.restaurant, entry, { io: req.io })
+    res.status(200).json({ message: "Party removed from the waitlist", entry: formatEntry(entry) })
+  } catch (error) {
+    handleWaitlistError(error, res, next)
+  }
+}
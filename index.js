@@ -8,6 +8,7 @@ import authRoutes from "./routes/auth.routes.js"
 // import userRoutes from "./routes/user.routes.js"
 import orderRoutes from "./routes/order.routes.js"
 import paymentRoutes from "./routes/payment.routes.js"
+import { stripeWebhook } from "./controllers/payment.controller.js"
 import menuItemRoutes from "./routes/menu-item.route.js"
 
 import billRoutes from "./routes/bill.route.js"
@@ -15,14 +16,25 @@ import kitchenRoutes from "./routes/kitchen.route.js"
 import tableRoutes from "./routes/table.route.js"
 import tableSessionRoutes from "./routes/table-session.route.js"
 import reservationRoutes from "./routes/reservation.route.js"
+import restaurantRoutes from "./routes/restaurant.routes.js"
+import staffRoutes from "./routes/staff.routes.js"
+import realtimeRoutes from "./routes/realtime.routes.js"
+import promotionRoutes from "./routes/promotion.routes.js"
+import inventoryRoutes from "./routes/inventory.routes.js"
+import recommendationRoutes from "./routes/recommendation.routes.js"
+import waitlistRoutes from "./routes/waitlist.routes.js"
+import deliveryRoutes from "./routes/delivery.routes.js"
 import { errorHandler, notFound } from "./middlewares/error.middleware.js"
 import { apiRateLimiter } from "./middlewares/rateLimiter.js"
+import { resolveRestaurant } from "./middlewares/restaurant.middleware.js"
+import { localize } from "./middlewares/locale.middleware.js"
 
 // Add imports for fs and path
 import fs from "fs"
 import path from "path"
 import { fileURLToPath } from "url"
 import { connectDB } from "./lib/DB.js"
+import { startJobs } from "./jobs/index.js"
 
 dotenv.config()
 
@@ -58,10 +70,17 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(cors());
+// Browser clients may read the language and text direction of each response
+app.use(cors({ exposedHeaders: ["Content-Language", "X-Text-Direction"] }));
+
+// Messages in the caller's language (Accept-Language or the user's saved language)
+app.use(localize);
+
+// Stripe webhook: signature verification needs the raw body, so it is mounted before express.json
+app.post("/api/payments/webhook", express.raw({ type: "application/json" }), stripeWebhook);
 
 // Apply JSON and URL-encoded limits GLOBALLY *before* routes
-// These will apply to all routes EXCEPT the ones that specifically use a different body parser (like the Stripe webhook below)
+// These will apply to all routes EXCEPT the ones that specifically use a different body parser (like the Stripe webhook above)
 app.use(express.json({ limit: '10mb' })); // Apply increased limit for JSON
 app.use(express.urlencoded({ limit: '10mb', extended: true })); // Apply increased limit for URL-encoded
 
@@ -85,27 +104,26 @@ app.use((req, res, next) => {
 
 // --- Routes ---
 
-// Stripe Webhook Route - Use express.raw specifically here BEFORE other payment routes might use express.json
-// Make sure this route definition comes *before* the main '/api/payments' mount if it uses the same base path
-app.post('/api/payments/webhook', express.raw({type: 'application/json'}), (req, res, next) => {
-    
-    console.log("Raw webhook processing route hit"); 
-   
-    res.status(200).send("Webhook handled placeholder"); 
-});
-
-
 // Mount other routes (these will use the global express.json with the 10mb limit)
 app.use("/api/auth", authRoutes);
-app.use('/api/menu-items', menuItemRoutes);
-app.use("/api/payments", paymentRoutes); // Ensure this doesn't clash with the specific webhook route above
-app.use("/api/orders", orderRoutes);
-
-app.use("/api/kitchen", kitchenRoutes)
-app.use("/api/bills", billRoutes)
-app.use("/api/tables", tableRoutes)
-app.use("/api/table-sessions", tableSessionRoutes)
-app.use("/api/reservations", reservationRoutes)
+app.use("/api/restaurants", restaurantRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/recommendations", recommendationRoutes);
+
+// Tenant-scoped routes: every request must name its restaurant (X-Restaurant-Id header or restaurantId param)
+app.use('/api/menu-items', resolveRestaurant, menuItemRoutes);
+app.use("/api/orders", resolveRestaurant, orderRoutes);
+app.use("/api/kitchen", resolveRestaurant, kitchenRoutes)
+app.use("/api/bills", resolveRestaurant, billRoutes)
+app.use("/api/tables", resolveRestaurant, tableRoutes)
+app.use("/api/table-sessions", resolveRestaurant, tableSessionRoutes)
+app.use("/api/reservations", resolveRestaurant, reservationRoutes)
+app.use("/api/waitlist", resolveRestaurant, waitlistRoutes)
+app.use("/api/deliveries", resolveRestaurant, deliveryRoutes)
+app.use("/api/staff", resolveRestaurant, staffRoutes)
+app.use("/api/realtime", resolveRestaurant, realtimeRoutes)
+app.use("/api/promotions", resolveRestaurant, promotionRoutes)
+app.use("/api/inventory", resolveRestaurant, inventoryRoutes)
 
 
 app.get("/health", (req, res) => {
@@ -121,6 +139,7 @@ app.use(errorHandler);
 // Explicitly bind to 0.0.0.0 to accept connections from any interface
 server.listen(PORT, '0.0.0.0', () => {
   connectDB();
+  startJobs(io);
   console.log(`Server running on port ${PORT}`);
   console.log(`Socket.IO listening on port ${PORT}`);
 });
@@ -0,0 +1,15 @@
+import { flagOverdueAcks } from "../services/realtimeService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+export const ACK_WATCHDOG_INTERVAL_MS = 10 * 1000
+
+/**
+ * Alert managers about realtime events nobody acknowledged in time
+ * @param {object} io - Socket.IO server instance
+ */
+export const runAckWatchdog = async (io) => {
+  const flagged = await flagOverdueAcks(io)
+  if (flagged) {
+    logger.info(`Ack watchdog flagged ${flagged} unacknowledged event(s)`)
+  }
+}
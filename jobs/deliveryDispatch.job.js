@@ -0,0 +1,18 @@
+import { runDispatch } from "../services/dispatchService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+export const DELIVERY_DISPATCH_INTERVAL_MS = 30 * 1000
+
+/**
+ * Take drivers whose shift is over off shift and give waiting ready deliveries to free drivers
+ * @param {object} io - Socket.IO server instance
+ */
+export const runDeliveryDispatch = async (io) => {
+  const { assigned, shiftsEnded } = await runDispatch(io)
+  if (shiftsEnded) {
+    logger.info(`Ended the shift of ${shiftsEnded} driver(s)`)
+  }
+  if (assigned) {
+    logger.info(`Auto-assigned ${assigned} waiting delivery order(s)`)
+  }
+}
@@ -0,0 +1,59 @@
+import { scheduleJob } from "./scheduler.js"
+import { runAckWatchdog, ACK_WATCHDOG_INTERVAL_MS } from "./ackWatchdog.job.js"
+import { runWalletReconciliation, WALLET_RECONCILIATION_INTERVAL_MS } from "./walletReconciliation.job.js"
+import { runMenuSchedule, MENU_SCHEDULE_INTERVAL_MS } from "./menuSchedule.job.js"
+import { runMenuSearchBackfill, MENU_SEARCH_BACKFILL_INTERVAL_MS } from "./menuSearchBackfill.job.js"
+import { runRecommendationTraining, RECOMMENDATION_TRAINING_INTERVAL_MS } from "./recommendationTraining.job.js"
+import { runReservationReminders, RESERVATION_REMINDERS_INTERVAL_MS } from "./reservationReminders.job.js"
+import { runReservationNoShows, RESERVATION_NO_SHOW_INTERVAL_MS } from "./reservationNoShow.job.js"
+import { runReservationDeposits, RESERVATION_DEPOSITS_INTERVAL_MS } from "./reservationDeposits.job.js"
+import { runDeliveryDispatch, DELIVERY_DISPATCH_INTERVAL_MS } from "./deliveryDispatch.job.js"
+
+/**
+ * Start the periodic background jobs
+ * @param {object} io - Socket.IO server instance
+ * @returns {Function} - Stops every job
+ */
+export const startJobs = (io) => {
+  const stops = [
+    scheduleJob({ name: "ack-watchdog", intervalMs: ACK_WATCHDOG_INTERVAL_MS, run: () => runAckWatchdog(io) }),
+    scheduleJob({
+      name: "wallet-reconciliation",
+      intervalMs: WALLET_RECONCILIATION_INTERVAL_MS,
+      run: runWalletReconciliation,
+    }),
+    scheduleJob({ name: "menu-schedule", intervalMs: MENU_SCHEDULE_INTERVAL_MS, run: runMenuSchedule }),
+    scheduleJob({
+      name: "menu-search-backfill",
+      intervalMs: MENU_SEARCH_BACKFILL_INTERVAL_MS,
+      run: runMenuSearchBackfill,
+    }),
+    scheduleJob({
+      name: "recommendation-training",
+      intervalMs: RECOMMENDATION_TRAINING_INTERVAL_MS,
+      run: runRecommendationTraining,
+    }),
+    scheduleJob({
+      name: "reservation-reminders",
+      intervalMs: RESERVATION_REMINDERS_INTERVAL_MS,
+      run: runReservationReminders,
+    }),
+    scheduleJob({
+      name: "reservation-no-shows",
+      intervalMs: RESERVATION_NO_SHOW_INTERVAL_MS,
+      run: runReservationNoShows,
+    }),
+    scheduleJob({
+      name: "reservation-deposits",
+      intervalMs: RESERVATION_DEPOSITS_INTERVAL_MS,
+      run: runReservationDeposits,
+    }),
+    scheduleJob({
+      name: "delivery-dispatch",
+      intervalMs: DELIVERY_DISPATCH_INTERVAL_MS,
+      run: () => runDeliveryDispatch(io),
+    }),
+  ]
+
+  return () => stops.forEach((stop) => stop())
+}
@@ -0,0 +1,14 @@
+import { applyMenuSchedules } from "../services/menuScheduleService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+export const MENU_SCHEDULE_INTERVAL_MS = 60 * 1000
+
+/**
+ * Bring 86'd items back and apply scheduled price changes once they are due
+ */
+export const runMenuSchedule = async () => {
+  const { restored, repriced } = await applyMenuSchedules()
+  if (restored || repriced) {
+    logger.info(`Menu schedule restored ${restored} item(s), repriced ${repriced} item(s)`)
+  }
+}
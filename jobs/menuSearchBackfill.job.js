@@ -0,0 +1,10 @@
+import { backfillSearchFields } from "../services/menuSearchService.js"
+
+export const MENU_SEARCH_BACKFILL_INTERVAL_MS = 5 * 60 * 1000
+
+/**
+ * Index menu items saved before search fields existed, a batch per run
+ */
+export const runMenuSearchBackfill = async () => {
+  await backfillSearchFields()
+}
@@ -0,0 +1,13 @@
+import { trainRecommender } from "../services/recommendationService.js"
+
+export const RECOMMENDATION_TRAINING_INTERVAL_MS = Number.parseInt(
+  process.env.RECOMMENDATION_TRAINING_INTERVAL_MS || `${6 * 60 * 60 * 1000}`,
+  10,
+)
+
+/**
+ * Retrain the recommender on the ratings collected since the last run
+ */
+export const runRecommendationTraining = async () => {
+  await trainRecommender()
+}
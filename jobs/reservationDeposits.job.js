@@ -0,0 +1,19 @@
+import { expireUnpaidDeposits, retryDepositRefunds } from "../services/depositService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+export const RESERVATION_DEPOSITS_INTERVAL_MS = 60 * 1000
+
+/**
+ * Release bookings whose deposit was not paid in time and send again the deposit refunds that failed
+ */
+export const runReservationDeposits = async () => {
+  const { expired } = await expireUnpaidDeposits()
+  if (expired) {
+    logger.info(`Released ${expired} reservation(s) with an unpaid deposit`)
+  }
+
+  const { refunded, failed } = await retryDepositRefunds()
+  if (refunded || failed) {
+    logger.info(`Deposit refunds retried: ${refunded} sent, ${failed} still failing`)
+  }
+}
@@ -0,0 +1,14 @@
+import { markDueNoShows } from "../services/reservationService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+export const RESERVATION_NO_SHOW_INTERVAL_MS = 60 * 1000
+
+/**
+ * Mark parties that did not check in within the grace period as no-show and free their tables
+ */
+export const runReservationNoShows = async () => {
+  const { noShows } = await markDueNoShows()
+  if (noShows) {
+    logger.info(`Marked ${noShows} reservation(s) as no-show`)
+  }
+}
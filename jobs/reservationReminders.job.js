@@ -0,0 +1,14 @@
+import { sendDueReminders } from "../services/reservationService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+export const RESERVATION_REMINDERS_INTERVAL_MS = 60 * 1000
+
+/**
+ * Send the reservation reminders whose lead time has come
+ */
+export const runReservationReminders = async () => {
+  const { reminded } = await sendDueReminders()
+  if (reminded) {
+    logger.info(`Reservation reminders sent for ${reminded} reservation(s)`)
+  }
+}
@@ -0,0 +1,43 @@
+import redisService from "../services/redis.service.js"
+import { INSTANCE_ID } from "../services/presenceService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+/**
+ * Run a function every intervalMs on one instance at a time.
+ * Each tick takes a Redis lock (SET NX PX) named after the job so that when
+ * several Node processes run, only one of them executes a given tick.
+ * Without Redis the job runs locally (single-instance development setups).
+ * @param {object} job
+ * @param {string} job.name - Unique job name, used for the lock key and logs
+ * @param {number} job.intervalMs - Interval between runs
+ * @param {Function} job.run - Async function to execute
+ * @returns {Function} - Stops the job
+ */
+export const scheduleJob = ({ name, intervalMs, run }) => {
+  const lockKey = `job:${name}:lock`
+  let running = false
+
+  const tick = async () => {
+    // A slow run must not overlap with the next tick on this instance
+    if (running) return
+    running = true
+    try {
+      if (redisService.isConnected()) {
+        const acquired = await redisService.client.set(lockKey, INSTANCE_ID, "PX", intervalMs, "NX")
+        if (!acquired) return
+      }
+      await run()
+    } catch (error) {
+      logger.error(`Job ${name} failed:`, error)
+    } finally {
+      running = false
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs)
+  // Jobs never keep the process alive on their own
+  timer.unref()
+  logger.info(`Job ${name} scheduled every ${intervalMs / 1000}s`)
+
+  return () => clearInterval(timer)
+}
@@ -0,0 +1,17 @@
+import { reconcileWallets } from "../services/walletService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+export const WALLET_RECONCILIATION_INTERVAL_MS = Number.parseInt(
+  process.env.WALLET_RECONCILIATION_INTERVAL_MS || `${60 * 60 * 1000}`,
+  10,
+)
+
+/**
+ * Recompute wallet balances from the ledger and repair drifted ones
+ */
+export const runWalletReconciliation = async () => {
+  const { settled, checked, corrected, opened } = await reconcileWallets()
+  logger.info(
+    `Wallet reconciliation: ${checked} wallet(s) checked, ${corrected} corrected, ${opened} opening balance(s), ${settled} stale transaction(s) settled`,
+  )
+}
@@ -0,0 +1,488 @@
+/**
+ * Arabic catalog, keyed by the English message (see lib/i18n/index.js)
+ */
+export default {
+  // Authentication and accounts
+  "Access denied - Admin only": "تم رفض الوصول - للمسؤولين فقط",
+  "Access token expired, refresh token missing": "انتهت صلاحية رمز الوصول ورمز التحديث مفقود",
+  "Account not verified": "الحساب غير موثق",
+  "Authentication failed": "فشلت المصادقة",
+  "Authentication required": "المصادقة مطلوبة",
+  "Email and password are required": "البريد الإلكتروني وكلمة المرور مطلوبان",
+  "Google account ID or email is missing": "معرف حساب Google أو بريده الإلكتروني مفقود",
+  "Google account linked. A verified phone number is required if not already provided":
+    "تم ربط حساب Google. رقم هاتف موثق مطلوب إذا لم يتم تقديمه من قبل",
+  "Google idToken is missing": "رمز idToken الخاص بـ Google مفقود",
+  "Google token is invalid or expired": "رمز Google غير صالح أو منتهي الصلاحية",
+  "Invalid credentials": "بيانات الدخول غير صحيحة",
+  "Invalid refresh token": "رمز التحديث غير صالح",
+  "Logged out successfully": "تم تسجيل الخروج بنجاح",
+  "Login successful": "تم تسجيل الدخول بنجاح",
+  "Mobile number and OTP are required": "رقم الهاتف ورمز التحقق مطلوبان",
+  "Mobile number is required": "رقم الهاتف مطلوب",
+  "No user found for the given ID": "لا يوجد مستخدم بهذا المعرف",
+  "No user found for this number": "لا يوجد مستخدم بهذا الرقم",
+  "Not authorized": "غير مصرح",
+  "Not authorized, token invalid": "غير مصرح، الرمز غير صالح",
+  "Not authorized, token missing": "غير مصرح، الرمز مفقود",
+  "Only Google sign-in is supported for this flow": "تسجيل الدخول عبر Google هو الوحيد المدعوم حاليا",
+  "OTP code is invalid or expired": "رمز التحقق غير صالح أو منتهي الصلاحية",
+  "OTP sent successfully (check the server logs)": "تم إرسال رمز التحقق بنجاح (راجع سجلات الخادم)",
+  "OTP verified successfully. Please submit your preferences": "تم التحقق من الرمز بنجاح. يرجى إرسال تفضيلاتك",
+  "Preferences are missing or invalid": "التفضيلات مفقودة أو غير صالحة",
+  "Refresh token invalid or expired": "رمز التحديث غير صالح أو منتهي الصلاحية",
+  "The phone number must be verified before submitting preferences": "يجب التحقق من رقم الهاتف قبل إرسال التفضيلات",
+  "Failed to communicate with social provider": "فشل الاتصال بمزود تسجيل الدخول",
+  "Invalid token": "رمز غير صالح",
+  "Token is invalid": "الرمز غير صالح",
+  "Language must be one of: {languages}": "يجب أن تكون اللغة واحدة من: {languages}",
+  "User ID is required": "معرف المستخدم مطلوب",
+  "User not authenticated": "المستخدم غير مصادق عليه",
+  "User not found": "المستخدم غير موجود",
+  "Failed to upload profile image": "فشل رفع صورة الملف الشخصي",
+
+  // Addresses and favorites
+  "Added to favorites": "تمت الإضافة إلى المفضلة",
+  "Address added successfully": "تمت إضافة العنوان بنجاح",
+  "Address deleted successfully": "تم حذف العنوان بنجاح",
+  "Address not found": "العنوان غير موجود",
+  "Address updated successfully": "تم تحديث العنوان بنجاح",
+  "Invalid address type": "نوع العنوان غير صالح",
+  "Latitude and longitude are required": "خط العرض وخط الطول مطلوبان",
+  "Missing required fields (label, type, address, latitude, longitude)":
+    "حقول مطلوبة مفقودة (label, type, address, latitude, longitude)",
+  "Removed from favorites": "تمت الإزالة من المفضلة",
+  "Restaurant already in favorites": "المطعم موجود بالفعل في المفضلة",
+  "Restaurant not in favorites": "المطعم ليس في المفضلة",
+  "Server error while adding the address": "خطأ في الخادم أثناء إضافة العنوان",
+
+  // Restaurants and staff
+  "Invalid restaurant ID": "معرف المطعم غير صالح",
+  "Not allowed to create {role} accounts": "غير مسموح بإنشاء حسابات {role}",
+  "Not allowed to deactivate this staff account": "غير مسموح بتعطيل حساب هذا الموظف",
+  "Not allowed to edit this staff account": "غير مسموح بتعديل حساب هذا الموظف",
+  "Not authorized as restaurant owner": "غير مصرح بصفتك مالك المطعم",
+  "Not authorized for this restaurant": "غير مصرح لهذا المطعم",
+  "Owner not found": "المالك غير موجود",
+  "Permission '{permission}' required": "الصلاحية '{permission}' مطلوبة",
+  "Restaurant created successfully": "تم إنشاء المطعم بنجاح",
+  "Restaurant deleted successfully": "تم حذف المطعم بنجاح",
+  "Restaurant ID is required (X-Restaurant-Id header or restaurantId parameter)":
+    "معرف المطعم مطلوب (الترويسة X-Restaurant-Id أو المعامل restaurantId)",
+  "Restaurant name is required": "اسم المطعم مطلوب",
+  "Restaurant not found": "المطعم غير موجود",
+  "Restaurant updated successfully": "تم تحديث المطعم بنجاح",
+  "Role must be one of: {roles}": "يجب أن يكون الدور واحدا من: {roles}",
+  "A staff account with this email already exists": "يوجد بالفعل حساب موظف بهذا البريد الإلكتروني",
+  "A valid email is required": "بريد إلكتروني صالح مطلوب",
+  "Full name, email, password and role are required": "الاسم الكامل والبريد الإلكتروني وكلمة المرور والدور مطلوبة",
+  "Staff access required": "الوصول مخصص للموظفين",
+  "Staff account created successfully": "تم إنشاء حساب الموظف بنجاح",
+  "Staff account deactivated successfully": "تم تعطيل حساب الموظف بنجاح",
+  "Staff account not found or inactive": "حساب الموظف غير موجود أو غير نشط",
+  "Staff account updated successfully": "تم تحديث حساب الموظف بنجاح",
+  "Staff member not found": "الموظف غير موجود",
+  "Unknown permission": "صلاحية غير معروفة",
+  "Daypart keys must be unique": "يجب أن تكون مفاتيح فترات الخدمة فريدة",
+  "Each category can only be translated once": "لا يمكن ترجمة كل فئة إلا مرة واحدة",
+  "Each category can only have one tax rate": "لا يمكن أن يكون لكل فئة إلا نسبة ضريبة واحدة",
+  "Each party size can only have one seating duration": "لا يمكن أن يكون لكل عدد أشخاص إلا مدة جلوس واحدة",
+  "Kitchen station keys must be unique": "يجب أن تكون مفاتيح محطات المطبخ فريدة",
+  "Restaurant ID is required": "معرف المطعم مطلوب",
+
+  // Menu
+  "Category name parameter is required.": "اسم الفئة مطلوب.",
+  "Invalid dietary preference": "تفضيل غذائي غير صالح",
+  "Invalid health preference": "تفضيل صحي غير صالح",
+  "Menu item created successfully": "تم إنشاء الطبق بنجاح",
+  "Menu item deleted successfully": "تم حذف الطبق بنجاح",
+  "Menu item not found": "الطبق غير موجود",
+  "Menu item updated successfully": "تم تحديث الطبق بنجاح",
+  "Menu item ID and quantity are required for each item": "معرف الطبق والكمية مطلوبان لكل عنصر",
+  "Menu item with ID {id} not found": "الطبق ذو المعرف {id} غير موجود",
+  "Menu item {name} is not available": "الطبق {name} غير متوفر",
+  "Minutes must be a positive number": "يجب أن تكون الدقائق عددا موجبا",
+  "Name, price, and category (string) are required": "الاسم والسعر والفئة مطلوبة",
+  "Price filters must be numbers": "يجب أن تكون مرشحات السعر أرقاما",
+  "Recipe uses an unknown ingredient": "الوصفة تستخدم مكونا غير معروف",
+  "Translations are only accepted for: {languages}": "الترجمات مقبولة فقط للغات: {languages}",
+  "Unknown dietary filter {flag}": "مرشح غذائي غير معروف {flag}",
+  "Unknown health filter {flag}": "مرشح صحي غير معروف {flag}",
+  "Until must be a date in the future": "يجب أن يكون تاريخ الانتهاء في المستقبل",
+  "{name} is back on the menu": "{name} متوفر في القائمة من جديد",
+  "{name} is off the menu": "{name} لم يعد متوفرا في القائمة",
+  "{name} has no modifier group {group}": "لا توجد مجموعة إضافات {group} في {name}",
+  "{group} has no option {option}": "لا يوجد خيار {option} في {group}",
+  "{name}: {option} is currently unavailable": "{name}: {option} غير متوفر حاليا",
+  "{group}: {option} is selected twice": "{group}: تم اختيار {option} مرتين",
+  "{name}: choose at most {count} in {group}": "{name}: اختر {count} كحد أقصى من {group}",
+  "{name}: choose at least {count} in {group}": "{name}: اختر {count} على الأقل من {group}",
+  "Modifiers must be a list of { groupId, optionId }": "يجب أن تكون الإضافات قائمة من { groupId, optionId }",
+  "A modifier group needs at least one option": "يجب أن تحتوي مجموعة الخيارات على خيار واحد على الأقل",
+
+  // Inventory
+  "An ingredient with this name already exists": "يوجد بالفعل مكون بهذا الاسم",
+  "Ingredient created successfully": "تم إنشاء المكون بنجاح",
+  "Ingredient name is required": "اسم المكون مطلوب",
+  "Ingredient not found": "المكون غير موجود",
+  "Ingredient updated successfully": "تم تحديث المكون بنجاح",
+  "Provide a non-zero delta or a stock of 0 or more": "أدخل تغييرا غير صفري أو مخزونا يساوي 0 أو أكثر",
+  "Stock updated successfully": "تم تحديث المخزون بنجاح",
+  "Unit must be one of: {units}": "يجب أن تكون الوحدة واحدة من: {units}",
+
+  // Orders and kitchen
+  "Cannot change {type} order from '{from}' to '{to}'": "لا يمكن تغيير طلب {type} من '{from}' إلى '{to}'",
+  "Cannot mark order ready, stations still working: {stations}": "لا يمكن تحديد الطلب كجاهز، أقسام لا تزال تعمل: {stations}",
+  "Invalid status": "حالة غير صالحة",
+  "Items and order type are required": "العناصر ونوع الطلب مطلوبة",
+  "Items are required": "العناصر مطلوبة",
+  "New status is required": "الحالة الجديدة مطلوبة",
+  "Only delivered orders can be rated": "يمكن تقييم الطلبات المسلمة فقط",
+  "Order already rated": "تم تقييم الطلب بالفعل",
+  "Order created successfully": "تم إنشاء الطلب بنجاح",
+  "Order has no items for station '{station}'": "لا يحتوي الطلب على عناصر للقسم '{station}'",
+  "Order not found": "الطلب غير موجود",
+  "Order not found or not yours to rate": "الطلب غير موجود أو لا يمكنك تقييمه",
+  "Order status is already {status}": "حالة الطلب هي {status} بالفعل",
+  "Order status updated successfully": "تم تحديث حالة الطلب بنجاح",
+  "Ratings saved successfully": "تم حفظ التقييمات بنجاح",
+  "No ratings provided": "لم يتم تقديم أي تقييم",
+  "No valid ratings provided": "لم يتم تقديم أي تقييم صالح",
+  "Station '{station}' ticket is already {status}": "تذكرة القسم '{station}' هي {status} بالفعل",
+  "Station {station} ready": "القسم {station} جاهز",
+  "Station {station} started": "بدأ القسم {station}",
+  "Status is required": "الحالة مطلوبة",
+  "Table ID or Device ID is required for Dine In orders": "معرف الطاولة أو الجهاز مطلوب لطلبات الأكل في المطعم",
+  "Unknown station '{station}'": "قسم غير معروف '{station}'",
+  "Failed to notify about order": "فشل الإشعار بالطلب",
+  "Failed to register kitchen": "فشل تسجيل المطبخ",
+  "Failed to track order": "فشل تتبع الطلب",
+  "Not allowed to notify about this order": "غير مسموح لك بالإشعار بهذا الطلب",
+  "Order ID is required": "معرف الطلب مطلوب",
+  "Unknown stations: {stations}": "محطات غير معروفة: {stations}",
+
+  // Promotions
+  "A promotion with this code already exists": "يوجد بالفعل عرض بهذا الرمز",
+  "Add {count} eligible items to get the offer": "أضف {count} عناصر مؤهلة للاستفادة من العرض",
+  "No item in the order is part of this offer": "لا يوجد أي عنصر في الطلب يشمله هذا العرض",
+  "Order must be at least {amount}": "يجب ألا يقل الطلب عن {amount}",
+  "Promotion created successfully": "تم إنشاء العرض بنجاح",
+  "Promotion deactivated successfully": "تم إيقاف العرض بنجاح",
+  "Promotion not found": "العرض غير موجود",
+  "Promotion updated successfully": "تم تحديث العرض بنجاح",
+  "Sign in to use this promotion": "سجل الدخول لاستخدام هذا العرض",
+  "This code is not valid": "هذا الرمز غير صالح",
+  "This promotion has been fully redeemed": "تم استنفاد هذا العرض بالكامل",
+  "Type must be one of: {types}": "يجب أن يكون النوع واحدا من: {types}",
+  "You have already used this promotion": "لقد استخدمت هذا العرض من قبل",
+  "Name and type are required": "الاسم والنوع مطلوبان",
+
+  // Payments, bills and refunds
+  "A custom split needs at least two parts": "التقسيم المخصص يحتاج إلى جزأين على الأقل",
+  "An equal split needs between 2 and {count} parts": "التقسيم المتساوي يحتاج بين 2 و{count} أجزاء",
+  "An item split needs at least two parts": "التقسيم حسب العناصر يحتاج إلى جزأين على الأقل",
+  "Bill already exists for this session": "توجد فاتورة بالفعل لهذه الجلسة",
+  "Bill already has payments, discounts can no longer change": "الفاتورة بها مدفوعات، لم يعد بالإمكان تغيير الخصومات",
+  "Bill already has payments, it cannot be split again": "الفاتورة بها مدفوعات، لا يمكن تقسيمها مجددا",
+  "Bill already has payments, the split cannot be removed": "الفاتورة بها مدفوعات، لا يمكن إلغاء التقسيم",
+  "Bill changed while applying the discount, try again": "تغيرت الفاتورة أثناء تطبيق الخصم، حاول مجددا",
+  "Bill generated successfully": "تم إصدار الفاتورة بنجاح",
+  "A bill can only be marked paid here, refunds go through the refund endpoints": "يمكن هنا فقط تحديد الفاتورة كمدفوعة، تمر المبالغ المستردة عبر مسارات الاسترداد",
+  "Bill is {status}, only pending bills can be marked paid": "حالة الفاتورة {status}، يمكن تحديد الفواتير المعلقة فقط كمدفوعة",
+  "Bill changed meanwhile, reload it": "تغيرت الفاتورة في الأثناء، أعد تحميلها",
+  "Bill is split, record the payment of each part instead": "الفاتورة مقسمة، سجل دفع كل جزء بدلا من ذلك",
+  "Bill is split, remove the split before changing discounts": "الفاتورة مقسمة، ألغ التقسيم قبل تغيير الخصومات",
+  "Bill not found": "الفاتورة غير موجودة",
+  "Bill not found for this session": "لا توجد فاتورة لهذه الجلسة",
+  "Bill part is already {status}": "جزء الفاتورة هو {status} بالفعل",
+  "Bill part payment recorded successfully": "تم تسجيل دفع الجزء بنجاح",
+  "Bill payment is {status}, nothing to refund": "حالة دفع الفاتورة {status}، لا يوجد ما يسترد",
+  "Bill payment status updated successfully": "تم تحديث حالة دفع الفاتورة بنجاح",
+  "Bill received a payment while being split": "تلقت الفاتورة دفعة أثناء التقسيم",
+  "Bill split removed": "تم إلغاء تقسيم الفاتورة",
+  "Bill split successfully": "تم تقسيم الفاتورة بنجاح",
+  "Bill was refunded concurrently, nothing reserved": "تم استرداد الفاتورة في الوقت نفسه، لم يتم حجز أي شيء",
+  "Card payment has no Stripe payment intent to refund": "الدفع بالبطاقة لا يحتوي على عملية Stripe لاستردادها",
+  "Cash on delivery selected": "تم اختيار الدفع عند الاستلام",
+  "Discount applied successfully": "تم تطبيق الخصم بنجاح",
+  "Discount label is required": "وصف الخصم مطلوب",
+  "Discount not found": "الخصم غير موجود",
+  "Discount removed successfully": "تمت إزالة الخصم بنجاح",
+  "Discount type must be percent or amount": "يجب أن يكون نوع الخصم percent أو amount",
+  "Each bill item needs the orderId it belongs to": "كل عنصر في الفاتورة يحتاج إلى معرف طلبه (orderId)",
+  "Idempotency key already used for a different request": "مفتاح عدم التكرار مستخدم بالفعل لطلب آخر",
+  "Only card top-ups can be confirmed": "يمكن تأكيد عمليات الشحن بالبطاقة فقط",
+  "Wallet transaction is already being processed, try again shortly": "معاملة المحفظة قيد المعالجة بالفعل، أعد المحاولة بعد قليل",
+  "Invalid amount": "مبلغ غير صالح",
+  "Invalid payer {payer}": "دافع غير صالح {payer}",
+  "Invalid quantity for {name}": "كمية غير صالحة لـ {name}",
+  "Item {itemId} is not on this bill": "العنصر {itemId} ليس في هذه الفاتورة",
+  "Items are not assigned to at least two seats, split by item or evenly instead":
+    "العناصر غير موزعة على مقعدين على الأقل، قسم حسب العناصر أو بالتساوي",
+  "Items were refunded concurrently, nothing reserved": "تم استرداد العناصر في الوقت نفسه، لم يتم حجز أي شيء",
+  "Money sent to bank successfully": "تم تحويل المبلغ إلى البنك بنجاح",
+  "Only {count} of {name} can still be refunded": "يمكن استرداد {count} فقط من {name}",
+  "Order has nothing left to pay": "لم يتبق شيء للدفع في هذا الطلب",
+  "Order is already paid": "الطلب مدفوع بالفعل",
+  "Order payment is already {status}": "حالة دفع الطلب هي {status} بالفعل",
+  "Order payment is {status}, nothing to refund": "حالة دفع الطلب {status}، لا يوجد ما يسترد",
+  "Order was refunded concurrently, nothing reserved": "تم استرداد الطلب في الوقت نفسه، لم يتم حجز أي شيء",
+  "Part {number} has no items": "الجزء {number} لا يحتوي على عناصر",
+  "Part {number} needs a positive amount": "الجزء {number} يحتاج إلى مبلغ موجب",
+  "Parts must add up to the bill total (missing {amount})": "يجب أن يساوي مجموع الأجزاء إجمالي الفاتورة (ينقص {amount})",
+  "Parts must add up to the bill total (over by {amount})": "يجب أن يساوي مجموع الأجزاء إجمالي الفاتورة (زيادة {amount})",
+  "Payment initiated": "تم بدء الدفع",
+  "Payment is not a top-up of this wallet": "هذه الدفعة ليست شحنا لهذه المحفظة",
+  "Payment method must be cash or mobile_payment": "يجب أن تكون طريقة الدفع cash أو mobile_payment",
+  "Payment does not match this order": "الدفع لا يطابق هذا الطلب",
+  "Payment not successful": "لم ينجح الدفع",
+  "Payment processed successfully": "تمت معالجة الدفع بنجاح",
+  "Payment status is required": "حالة الدفع مطلوبة",
+  "Payment status updated successfully": "تم تحديث حالة الدفع بنجاح",
+  "Refund exceeds the refundable amount ({amount})": "الاسترداد يتجاوز المبلغ القابل للاسترداد ({amount})",
+  "Send either items or an amount, not both": "أرسل العناصر أو المبلغ، وليس كليهما",
+  "Split mode must be one of: item, seat, equal, custom": "يجب أن تكون طريقة التقسيم item أو seat أو equal أو custom",
+  "Tip must be a positive amount": "يجب أن يكون البقشيش مبلغا موجبا",
+  "Wallet payment has no customer to refund": "الدفع بالمحفظة لا يحتوي على عميل للاسترداد",
+  "{name}: {assigned} of {quantity} assigned": "{name}: تم توزيع {assigned} من {quantity}",
+  "Bill ID is required": "معرف الفاتورة مطلوب",
+  "Event is being processed": "الحدث قيد المعالجة",
+  "Failed to notify about bill": "فشل الإشعار بالفاتورة",
+  "Item {itemId} not found": "العنصر {itemId} غير موجود",
+  "Item {itemId} not found in order {orderId}": "العنصر {itemId} غير موجود في الطلب {orderId}",
+  "Refund failed: {error}": "فشل الاسترداد: {error}",
+  "Stripe refused the refund ({reason})": "رفضت Stripe الاسترداد ({reason})",
+  "Webhook processing failed": "فشلت معالجة الـ webhook",
+
+  // Receipts
+  "Format must be pdf or escpos": "يجب أن تكون الصيغة pdf أو escpos",
+  "Not allowed to access this receipt": "غير مسموح بالوصول إلى هذا الإيصال",
+  "Receipt could not be emailed": "تعذر إرسال الإيصال بالبريد الإلكتروني",
+  "Receipt {invoice} sent to {email}": "تم إرسال الإيصال {invoice} إلى {email}",
+  "Receipts are only issued for paid bills": "تصدر الإيصالات للفواتير المدفوعة فقط",
+  "Receipts are only issued for paid or delivered orders": "تصدر الإيصالات للطلبات المدفوعة أو المسلمة فقط",
+
+  // Tables, sessions and devices
+  "Device ID (tableId) is required in the request body": "معرف الجهاز (tableId) مطلوب",
+  "Device ID is required": "معرف الجهاز مطلوب",
+  "Device registered successfully": "تم تسجيل الجهاز بنجاح",
+  "Invalid device credential": "بيانات اعتماد الجهاز غير صالحة",
+  "Invalid table ID": "معرف الطاولة غير صالح",
+  "No active session found for this user": "لا توجد جلسة نشطة لهذا المستخدم",
+  "No table found for this device": "لا توجد طاولة لهذا الجهاز",
+  "QR code and device ID are required": "رمز QR ومعرف الجهاز مطلوبان",
+  "QR code or device ID already exists. Please use unique values.": "رمز QR أو معرف الجهاز موجود بالفعل. استخدم قيما فريدة.",
+  "Session ended and bill generated successfully": "تم إنهاء الجلسة وإصدار الفاتورة بنجاح",
+  "Session initiation request sent to table": "تم إرسال طلب بدء الجلسة إلى الطاولة",
+  "Session is already closed": "الجلسة مغلقة بالفعل",
+  "Session is not active": "الجلسة غير نشطة",
+  "Session not found": "الجلسة غير موجودة",
+  "Session status updated successfully": "تم تحديث حالة الجلسة بنجاح",
+  "Table ID is required": "معرف الطاولة مطلوب",
+  "Table is not active": "الطاولة غير نشطة",
+  "Table is not available": "الطاولة غير متاحة",
+  "Table not found": "الطاولة غير موجودة",
+  "Table session ended successfully": "تم إنهاء جلسة الطاولة بنجاح",
+  "Table session started successfully": "تم بدء جلسة الطاولة بنجاح",
+  "Table status updated successfully": "تم تحديث حالة الطاولة بنجاح",
+  "Combinable tables must be other tables of this restaurant": "يجب أن تكون الطاولات القابلة للدمج طاولات أخرى في هذا المطعم",
+  "Minimum party size cannot exceed the table capacity": "لا يمكن أن يتجاوز الحد الأدنى لعدد الأشخاص سعة الطاولة",
+  "Table seating updated successfully": "تم تحديث مقاعد الطاولة بنجاح",
+  "You already have an active session at another table": "لديك بالفعل جلسة نشطة على طاولة أخرى",
+  "Device already registered": "الجهاز مسجل بالفعل",
+  "Failed to end session": "فشل إنهاء الجلسة",
+  "Failed to initiate session": "فشل بدء الجلسة",
+  "Failed to process QR code scan": "فشلت معالجة مسح رمز QR",
+  "Failed to register device": "فشل تسجيل الجهاز",
+  "Failed to register table": "فشل تسجيل الطاولة",
+  "Not allowed to end this session": "غير مسموح لك بإنهاء هذه الجلسة",
+  "Session ID is required": "معرف الجلسة مطلوب",
+  "Table ID and Restaurant ID are required": "معرف الطاولة ومعرف المطعم مطلوبان",
+  "Table {table} registered successfully": "تم تسجيل الطاولة {table} بنجاح",
+
+  // Reservations and bookings
+  "A valid date and party size are required": "يجب إدخال تاريخ وعدد أشخاص صالحين",
+  "A valid reservation time and party size are required": "يجب إدخال وقت حجز وعدد أشخاص صالحين",
+  "All suitable tables are already booked for this time slot": "جميع الطاولات المناسبة محجوزة في هذا الموعد",
+  "Booking cancelled successfully": "تم إلغاء الحجز بنجاح",
+  "Booking is already cancelled": "الحجز ملغى بالفعل",
+  "Booking not found": "الحجز غير موجود",
+  "Booking status updated successfully": "تم تحديث حالة الحجز بنجاح",
+  "Completed bookings cannot be cancelled": "لا يمكن إلغاء الحجوزات المكتملة",
+  "Error creating the reservation": "خطأ أثناء إنشاء الحجز",
+  "Error fetching availability": "خطأ أثناء جلب المواعيد المتاحة",
+  "Error fetching reservations": "خطأ أثناء جلب الحجوزات",
+  "No reservations found for this user": "لا توجد حجوزات لهذا المستخدم",
+  "No table available for this party size": "لا توجد طاولة متاحة لهذا العدد من الأشخاص",
+  "Reservation created successfully": "تم إنشاء الحجز بنجاح",
+  "Reservations fetched successfully": "تم جلب الحجوزات بنجاح",
+  "Reservations fetched successfully (from cache)": "تم جلب الحجوزات بنجاح (من الذاكرة المؤقتة)",
+  "Parties larger than {count} must contact the restaurant": "للمجموعات التي تتجاوز {count} أشخاص، يرجى الاتصال بالمطعم",
+  "Reservation time must be in the future": "يجب أن يكون وقت الحجز في المستقبل",
+  "Reservations are busy, please try again": "الحجوزات مزدحمة، يرجى المحاولة مرة أخرى",
+  "The restaurant does not take reservations at this time": "المطعم لا يقبل الحجوزات في هذا الوقت",
+  "A reservation can only be marked no-show once its time has passed": "لا يمكن تسجيل الحجز كعدم حضور إلا بعد مرور موعده",
+  "A valid date is required": "يجب إدخال تاريخ صالح",
+  "Error cancelling the reservation": "خطأ أثناء إلغاء الحجز",
+  "Error checking in the reservation": "خطأ أثناء تسجيل وصول الحجز",
+  "Error updating the reservation": "خطأ أثناء تعديل الحجز",
+  "Only pending or confirmed reservations can be cancelled": "لا يمكن إلغاء إلا الحجوزات المعلقة أو المؤكدة",
+  "Only confirmed reservations can be changed": "لا يمكن تعديل إلا الحجوزات المؤكدة",
+  "Only confirmed reservations can be checked in": "لا يمكن تسجيل وصول إلا الحجوزات المؤكدة",
+  "Only confirmed reservations can be marked no-show": "لا يمكن تسجيل عدم الحضور إلا للحجوزات المؤكدة",
+  "Reservation cancelled successfully": "تم إلغاء الحجز بنجاح",
+  "Reservation checked in successfully": "تم تسجيل وصول الحجز بنجاح",
+  "Reservation marked as no-show": "تم تسجيل الحجز كعدم حضور",
+  "Reservation not found": "الحجز غير موجود",
+  "Reservation updated successfully": "تم تعديل الحجز بنجاح",
+  "Reservations can be checked in from {minutes} minutes before their time": "يمكن تسجيل الوصول قبل {minutes} دقيقة من موعد الحجز",
+  "Reservations can no longer be cancelled less than {minutes} minutes before their time": "لا يمكن إلغاء الحجوزات قبل أقل من {minutes} دقيقة من موعدها",
+  "Reservations can no longer be changed less than {minutes} minutes before their time": "لا يمكن تعديل الحجوزات قبل أقل من {minutes} دقيقة من موعدها",
+  "Status must be one of: {statuses}": "يجب أن تكون الحالة إحدى القيم التالية: {statuses}",
+  "Restaurant does not accept table bookings": "هذا المطعم لا يقبل حجز الطاولات",
+  "Reservation held, pay the deposit to confirm it": "تم حجز الطاولة مؤقتًا، ادفع العربون لتأكيد الحجز",
+  "Deposit paid, your reservation is confirmed": "تم دفع العربون، حجزك مؤكد",
+  "The deposit is no longer owed, your payment was refunded": "العربون لم يعد مستحقًا، تم استرداد دفعتك",
+  "This reservation has no deposit to pay": "لا يوجد عربون للدفع لهذا الحجز",
+  "The time to pay the deposit is over": "انتهت مهلة دفع العربون",
+  "Payment does not belong to this reservation": "هذه الدفعة لا تخص هذا الحجز",
+  "paymentIntentId is required": "paymentIntentId مطلوب",
+  "Error starting the deposit payment": "خطأ أثناء بدء دفع العربون",
+  "Error confirming the deposit payment": "خطأ أثناء تأكيد دفع العربون",
+  "Error paying the deposit": "خطأ أثناء دفع العربون",
+  "Failed to process reservation request": "فشلت معالجة طلب الحجز",
+  "Table ID, restaurant ID and reservation time are required": "معرف الطاولة ومعرف المطعم ووقت الحجز مطلوبة",
+
+  // Waitlist
+  "A mobile number is required to be called back": "رقم الهاتف مطلوب لمعاودة الاتصال بك",
+  "A name is required to join the waitlist": "الاسم مطلوب للانضمام إلى قائمة الانتظار",
+  "A table is required to seat the party": "يجب تحديد طاولة لإجلاس المجموعة",
+  "A valid party size is required": "عدد أشخاص صالح مطلوب",
+  "Added to the waitlist": "تمت الإضافة إلى قائمة الانتظار",
+  "Invalid mobile number": "رقم الهاتف غير صالح",
+  "No table can seat a party of this size": "لا توجد طاولة تتسع لمجموعة بهذا الحجم",
+  "Party notified": "تم إبلاغ المجموعة",
+  "Party removed from the waitlist": "تمت إزالة المجموعة من قائمة الانتظار",
+  "Party seated": "تم إجلاس المجموعة",
+  "This party is no longer on the waitlist": "هذه المجموعة لم تعد في قائمة الانتظار",
+  "Waitlist entry not found": "لم يتم العثور على الإدخال في قائمة الانتظار",
+  "You are already on the waitlist": "أنت مسجل بالفعل في قائمة الانتظار",
+  "You are not on the waitlist": "أنت لست في قائمة الانتظار",
+  "You left the waitlist": "لقد غادرت قائمة الانتظار",
+
+  // Deliveries
+  "Only delivery orders have a driver": "الطلبات المخصصة للتوصيل فقط لها سائق",
+  "Order is {status}, its driver can no longer change": "حالة الطلب {status}، لم يعد من الممكن تغيير سائقه",
+  "No driver is available": "لا يوجد سائق متاح",
+  "Driver not found": "السائق غير موجود",
+  "Driver is not available or cannot take another delivery": "السائق غير متاح أو لا يمكنه أخذ توصيلة أخرى",
+  "Order has no driver": "الطلب ليس له سائق",
+  "Order changed meanwhile, reload it": "تغير الطلب في الأثناء، أعد تحميله",
+  "Vehicle must be one of: {vehicles}": "يجب أن تكون المركبة إحدى القيم التالية: {vehicles}",
+  "The shift end must be in the future": "يجب أن تكون نهاية المناوبة في المستقبل",
+  "Deliver your orders before ending your shift": "قم بتوصيل طلباتك قبل إنهاء مناوبتك",
+  "This delivery is not assigned to you": "هذه التوصيلة غير مسندة إليك",
+  "A proof of delivery photo is required": "صورة إثبات التوصيل مطلوبة",
+  "A proof of delivery can only be added once the order is picked up": "لا يمكن إضافة إثبات التوصيل إلا بعد استلام الطلب",
+  "A photo is required as a base64 image": "الصورة مطلوبة بصيغة base64",
+  "Failed to upload the photo": "فشل رفع الصورة",
+  "A valid latitude and longitude are required": "خط العرض وخط الطول الصالحان مطلوبان",
+  "Only staff accounts can make deliveries": "حسابات الموظفين فقط يمكنها إجراء التوصيل",
+  "Driver status updated": "تم تحديث حالة السائق",
+  "Delivery status updated": "تم تحديث حالة التوصيل",
+  "Proof of delivery uploaded": "تم رفع إثبات التوصيل",
+  "Driver assigned": "تم إسناد السائق",
+  "Driver unassigned": "تم إلغاء إسناد السائق",
+  "Failed to update location": "فشل تحديث الموقع",
+  "Only staff accounts can share a driver location": "يمكن لحسابات الموظفين فقط مشاركة موقع السائق",
+
+  // Reviews, support and recommendations
+  "Message is required": "الرسالة مطلوبة",
+  "Model trained and recommendations generated successfully": "تم تدريب النموذج وإنشاء التوصيات بنجاح",
+  "Not enough ratings to train the model": "لا توجد تقييمات كافية لتدريب النموذج",
+  "Not enough valid ratings after mapping": "لا توجد تقييمات صالحة كافية بعد المطابقة",
+  "Reply added successfully": "تمت إضافة الرد بنجاح",
+  "Review deleted successfully": "تم حذف المراجعة بنجاح",
+  "Review not found": "المراجعة غير موجودة",
+  "Support ticket created successfully": "تم إنشاء تذكرة الدعم بنجاح",
+  "Ticket closed successfully": "تم إغلاق التذكرة بنجاح",
+  "Ticket not found": "التذكرة غير موجودة",
+
+  // Notifications
+  "All notifications deleted": "تم حذف جميع الإشعارات",
+  "All notifications marked as read": "تم تحديد جميع الإشعارات كمقروءة",
+  "Device token updated successfully": "تم تحديث رمز الجهاز بنجاح",
+  "No device token found for this user": "لا يوجد رمز جهاز لهذا المستخدم",
+  "Notification deleted": "تم حذف الإشعار",
+  "Notification marked as read": "تم تحديد الإشعار كمقروء",
+  "Notification not found": "الإشعار غير موجود",
+  "Notification sent to user": "تم إرسال الإشعار إلى المستخدم",
+  "Notification settings updated successfully": "تم تحديث إعدادات الإشعارات بنجاح",
+  "Promotional notification sent": "تم إرسال الإشعار الترويجي",
+  "Test notification sent": "تم إرسال إشعار تجريبي",
+  "Title and body are required": "العنوان والمحتوى مطلوبان",
+  "Device token is required": "رمز الجهاز مطلوب",
+  "Device tokens are required": "رموز الأجهزة مطلوبة",
+  "No valid device tokens found": "لم يتم العثور على رموز أجهزة صالحة",
+  "User has disabled push notifications": "قام المستخدم بتعطيل الإشعارات الفورية",
+  "User not found or no device token available": "المستخدم غير موجود أو لا يوجد رمز جهاز متاح",
+  "SMS is not configured": "خدمة الرسائل القصيرة غير مهيأة",
+  "No response messages from Vonage API": "لا توجد رسائل رد من واجهة Vonage",
+  "Error sending verification email: {error}": "خطأ في إرسال بريد التحقق: {error}",
+  "Error sending receipt email: {error}": "خطأ في إرسال الإيصال بالبريد الإلكتروني: {error}",
+  "Error sending reservation reminder email: {error}": "خطأ في إرسال بريد تذكير الحجز: {error}",
+
+  // Notification templates
+  "Order Update": "تحديث الطلب",
+  "Your order status has been updated.": "تم تحديث حالة طلبك.",
+  "Your order has been confirmed and is being processed.": "تم تأكيد طلبك وجار تجهيزه.",
+  "The restaurant is preparing your order.": "المطعم يحضر طلبك.",
+  "Your order is ready.": "طلبك جاهز.",
+  "Your order has been served. Enjoy your meal!": "تم تقديم طلبك. بالهناء والشفاء!",
+  "Your driver has picked up your order.": "استلم السائق طلبك.",
+  "Your order is out for delivery.": "طلبك في الطريق إليك.",
+  "Order Delivered": "تم توصيل الطلب",
+  "Your order has been delivered. Enjoy your meal!": "تم توصيل طلبك. بالهناء والشفاء!",
+  "Order Completed": "اكتمل الطلب",
+  "Thank you for your order!": "شكرا لطلبك!",
+  "Order Cancelled": "تم إلغاء الطلب",
+  "Your order has been cancelled.": "تم إلغاء طلبك.",
+  "Refund Issued": "تم الاسترداد",
+  "A refund of {amount} has been issued.": "تم إصدار استرداد بقيمة {amount}.",
+  "A refund of {amount} is on its way to your card. It can take a few days to appear.":
+    "استرداد بقيمة {amount} في طريقه إلى بطاقتك. قد يستغرق ظهوره بضعة أيام.",
+  "{amount} has been refunded to your wallet.": "تم استرداد {amount} إلى محفظتك.",
+  "A cash refund of {amount} has been handed to you.": "تم تسليمك استردادا نقديا بقيمة {amount}.",
+  "Bill Ready": "الفاتورة جاهزة",
+  "Your share of the bill ({label}) is {amount}.": "حصتك من الفاتورة ({label}) هي {amount}.",
+  "Your bill of {amount} is ready.": "فاتورتك بقيمة {amount} جاهزة.",
+  "Low Stock": "مخزون منخفض",
+  "{ingredient} is running low.": "{ingredient} على وشك النفاد.",
+  "Running low: {ingredients}.": "مخزون منخفض: {ingredients}.",
+  "Reservation Reminder": "تذكير بالحجز",
+  "Your table for {guests} at {restaurant} is booked for {time}.": "طاولتك لـ {guests} أشخاص في {restaurant} محجوزة في {time}.",
+  "Reservation Cancelled": "تم إلغاء الحجز",
+  "Your reservation at {restaurant} on {time} has been cancelled.": "تم إلغاء حجزك في {restaurant} بتاريخ {time}.",
+  "Table Ready": "الطاولة جاهزة",
+  "Your table at {restaurant} is ready. Please come to the host stand.": "طاولتك في {restaurant} جاهزة. يرجى التوجه إلى مكتب الاستقبال.",
+
+  // Generic
+  "File too large. Max size is 5MB.": "الملف كبير جدا. الحد الأقصى 5 ميغابايت.",
+  "No image provided": "لم يتم تقديم صورة",
+  "No images provided": "لم يتم تقديم صور",
+  "No public ID provided": "لم يتم تقديم معرف عام",
+  "Failed to upload image: {error}": "فشل رفع الصورة: {error}",
+  "Failed to upload images: {error}": "فشل رفع الصور: {error}",
+  "Failed to delete image: {error}": "فشل حذف الصورة: {error}",
+  "Not Found - {url}": "غير موجود - {url}",
+  "Only image files are allowed!": "يسمح بملفات الصور فقط!",
+  "Server Error": "خطأ في الخادم",
+  "Socket.IO is not available": "Socket.IO غير متاح",
+  "Too many OTP requests from this IP, please try again after 15 minutes":
+    "طلبات رمز تحقق كثيرة من هذا العنوان، حاول مجددا بعد 15 دقيقة",
+  "Too many requests from this IP, please try again after 15 minutes": "طلبات كثيرة من هذا العنوان، حاول مجددا بعد 15 دقيقة",
+  "Validation Error": "خطأ في التحقق",
+  "Failed to replay events": "فشلت إعادة تشغيل الأحداث",
+  "Not allowed to emit '{event}'": "غير مسموح لك بإرسال '{event}'",
+  "Upload error: {error}": "خطأ في الرفع: {error}",
+}
@@ -0,0 +1,495 @@
+/**
+ * French catalog, keyed by the English message (see lib/i18n/index.js)
+ */
+export default {
+  // Authentication and accounts
+  "Access denied - Admin only": "Accès refusé - réservé aux administrateurs",
+  "Access token expired, refresh token missing": "Jeton d'accès expiré, jeton de rafraîchissement manquant",
+  "Account not verified": "Compte non vérifié",
+  "Authentication failed": "Échec de l'authentification",
+  "Authentication required": "Authentification requise",
+  "Email and password are required": "L'email et le mot de passe sont requis",
+  "Google account ID or email is missing": "Informations Google (ID ou email) manquantes",
+  "Google account linked. A verified phone number is required if not already provided":
+    "Liaison Google réussie. Numéro de téléphone requis si non déjà fourni et vérifié",
+  "Google idToken is missing": "Le 'idToken' Google est manquant",
+  "Google token is invalid or expired": "Token Google invalide ou expiré",
+  "Invalid credentials": "Identifiants invalides",
+  "Invalid refresh token": "Jeton de rafraîchissement invalide",
+  "Logged out successfully": "Déconnexion réussie",
+  "Login successful": "Connexion réussie",
+  "Mobile number and OTP are required": "Numéro et OTP requis",
+  "Mobile number is required": "Numéro de mobile manquant",
+  "No user found for the given ID": "Utilisateur non trouvé pour l'ID fourni",
+  "No user found for this number": "Utilisateur non trouvé pour ce numéro",
+  "Not authorized": "Non autorisé",
+  "Not authorized, token invalid": "Non autorisé, jeton invalide",
+  "Not authorized, token missing": "Non autorisé, jeton manquant",
+  "Only Google sign-in is supported for this flow": "Seul Google est supporté pour ce flux actuellement",
+  "OTP code is invalid or expired": "Code OTP invalide ou expiré",
+  "OTP sent successfully (check the server logs)": "OTP envoyé avec succès (vérifiez les logs serveur)",
+  "OTP verified successfully. Please submit your preferences": "OTP vérifié avec succès. Veuillez fournir les préférences",
+  "Preferences are missing or invalid": "Données de préférences invalides ou manquantes",
+  "Refresh token invalid or expired": "Jeton de rafraîchissement invalide ou expiré",
+  "The phone number must be verified before submitting preferences":
+    "Le numéro de téléphone doit être vérifié avant de soumettre les préférences",
+  "Failed to communicate with social provider": "Échec de la communication avec le fournisseur de connexion",
+  "Invalid token": "Jeton invalide",
+  "Token is invalid": "Jeton invalide",
+  "Language must be one of: {languages}": "La langue doit être l'une des suivantes : {languages}",
+  "User ID is required": "L'identifiant utilisateur est requis",
+  "User not authenticated": "Utilisateur non authentifié",
+  "User not found": "Utilisateur non trouvé",
+  "Failed to upload profile image": "Échec de l'envoi de la photo de profil",
+
+  // Addresses and favorites
+  "Added to favorites": "Ajouté aux favoris",
+  "Address added successfully": "Adresse ajoutée avec succès",
+  "Address deleted successfully": "Adresse supprimée avec succès",
+  "Address not found": "Adresse introuvable",
+  "Address updated successfully": "Adresse mise à jour avec succès",
+  "Invalid address type": "Type d'adresse invalide",
+  "Latitude and longitude are required": "La latitude et la longitude sont requises",
+  "Missing required fields (label, type, address, latitude, longitude)":
+    "Champs requis manquants (label, type, address, latitude, longitude)",
+  "Removed from favorites": "Retiré des favoris",
+  "Restaurant already in favorites": "Restaurant déjà dans les favoris",
+  "Restaurant not in favorites": "Restaurant absent des favoris",
+  "Server error while adding the address": "Erreur serveur lors de l'ajout de l'adresse",
+
+  // Restaurants and staff
+  "Invalid restaurant ID": "Identifiant de restaurant invalide",
+  "Not allowed to create {role} accounts": "Vous ne pouvez pas créer de comptes {role}",
+  "Not allowed to deactivate this staff account": "Vous ne pouvez pas désactiver ce compte du personnel",
+  "Not allowed to edit this staff account": "Vous ne pouvez pas modifier ce compte du personnel",
+  "Not authorized as restaurant owner": "Non autorisé en tant que propriétaire du restaurant",
+  "Not authorized for this restaurant": "Non autorisé pour ce restaurant",
+  "Owner not found": "Propriétaire introuvable",
+  "Permission '{permission}' required": "Permission '{permission}' requise",
+  "Restaurant created successfully": "Restaurant créé avec succès",
+  "Restaurant deleted successfully": "Restaurant supprimé avec succès",
+  "Restaurant ID is required (X-Restaurant-Id header or restaurantId parameter)":
+    "L'identifiant du restaurant est requis (en-tête X-Restaurant-Id ou paramètre restaurantId)",
+  "Restaurant name is required": "Le nom du restaurant est requis",
+  "Restaurant not found": "Restaurant introuvable",
+  "Restaurant updated successfully": "Restaurant mis à jour avec succès",
+  "Role must be one of: {roles}": "Le rôle doit être l'un des suivants : {roles}",
+  "A staff account with this email already exists": "Un compte du personnel avec cet email existe déjà",
+  "A valid email is required": "Un email valide est requis",
+  "Full name, email, password and role are required": "Le nom complet, l'email, le mot de passe et le rôle sont requis",
+  "Staff access required": "Accès réservé au personnel",
+  "Staff account created successfully": "Compte du personnel créé avec succès",
+  "Staff account deactivated successfully": "Compte du personnel désactivé avec succès",
+  "Staff account not found or inactive": "Compte du personnel introuvable ou inactif",
+  "Staff account updated successfully": "Compte du personnel mis à jour avec succès",
+  "Staff member not found": "Membre du personnel introuvable",
+  "Unknown permission": "Permission inconnue",
+  "Daypart keys must be unique": "Les clés des périodes de service doivent être uniques",
+  "Each category can only be translated once": "Chaque catégorie ne peut être traduite qu'une fois",
+  "Each category can only have one tax rate": "Chaque catégorie ne peut avoir qu'un seul taux de taxe",
+  "Each party size can only have one seating duration":
+    "Chaque taille de groupe ne peut avoir qu'une seule durée d'occupation",
+  "Kitchen station keys must be unique": "Les clés des postes de cuisine doivent être uniques",
+  "Restaurant ID is required": "L'identifiant du restaurant est requis",
+
+  // Menu
+  "Category name parameter is required.": "Le nom de la catégorie est requis.",
+  "Invalid dietary preference": "Préférence alimentaire invalide",
+  "Invalid health preference": "Préférence santé invalide",
+  "Menu item created successfully": "Article du menu créé avec succès",
+  "Menu item deleted successfully": "Article du menu supprimé avec succès",
+  "Menu item not found": "Article du menu introuvable",
+  "Menu item updated successfully": "Article du menu mis à jour avec succès",
+  "Menu item ID and quantity are required for each item": "L'identifiant et la quantité sont requis pour chaque article",
+  "Menu item with ID {id} not found": "Article du menu {id} introuvable",
+  "Menu item {name} is not available": "L'article {name} n'est pas disponible",
+  "Minutes must be a positive number": "Les minutes doivent être un nombre positif",
+  "Name, price, and category (string) are required": "Le nom, le prix et la catégorie sont requis",
+  "Price filters must be numbers": "Les filtres de prix doivent être des nombres",
+  "Recipe uses an unknown ingredient": "La recette utilise un ingrédient inconnu",
+  "Translations are only accepted for: {languages}": "Les traductions ne sont acceptées que pour : {languages}",
+  "Unknown dietary filter {flag}": "Filtre alimentaire inconnu {flag}",
+  "Unknown health filter {flag}": "Filtre santé inconnu {flag}",
+  "Until must be a date in the future": "La date de fin doit être dans le futur",
+  "{name} is back on the menu": "{name} est de retour à la carte",
+  "{name} is off the menu": "{name} est retiré de la carte",
+  "{name} has no modifier group {group}": "{name} n'a pas de groupe d'options {group}",
+  "{group} has no option {option}": "{group} n'a pas d'option {option}",
+  "{name}: {option} is currently unavailable": "{name} : {option} est indisponible pour le moment",
+  "{group}: {option} is selected twice": "{group} : {option} est sélectionné deux fois",
+  "{name}: choose at most {count} in {group}": "{name} : choisissez au plus {count} dans {group}",
+  "{name}: choose at least {count} in {group}": "{name} : choisissez au moins {count} dans {group}",
+  "Modifiers must be a list of { groupId, optionId }": "Les options doivent être une liste de { groupId, optionId }",
+  "A modifier group needs at least one option": "Un groupe d'options doit contenir au moins une option",
+
+  // Inventory
+  "An ingredient with this name already exists": "Un ingrédient portant ce nom existe déjà",
+  "Ingredient created successfully": "Ingrédient créé avec succès",
+  "Ingredient name is required": "Le nom de l'ingrédient est requis",
+  "Ingredient not found": "Ingrédient introuvable",
+  "Ingredient updated successfully": "Ingrédient mis à jour avec succès",
+  "Provide a non-zero delta or a stock of 0 or more": "Indiquez une variation non nulle ou un stock de 0 ou plus",
+  "Stock updated successfully": "Stock mis à jour avec succès",
+  "Unit must be one of: {units}": "L'unité doit être l'une des suivantes : {units}",
+
+  // Orders and kitchen
+  "Cannot change {type} order from '{from}' to '{to}'": "Impossible de passer une commande {type} de '{from}' à '{to}'",
+  "Cannot mark order ready, stations still working: {stations}":
+    "Impossible de marquer la commande prête, postes encore en préparation : {stations}",
+  "Invalid status": "Statut invalide",
+  "Items and order type are required": "Les articles et le type de commande sont requis",
+  "Items are required": "Les articles sont requis",
+  "New status is required": "Le nouveau statut est requis",
+  "Only delivered orders can be rated": "Vous ne pouvez noter que les commandes qui ont été livrées",
+  "Order already rated": "Commande déjà notée",
+  "Order created successfully": "Commande créée avec succès",
+  "Order has no items for station '{station}'": "La commande n'a aucun article pour le poste '{station}'",
+  "Order not found": "Commande introuvable",
+  "Order not found or not yours to rate": "Commande non trouvée ou accès non autorisé pour noter",
+  "Order status is already {status}": "Le statut de la commande est déjà {status}",
+  "Order status updated successfully": "Statut de la commande mis à jour avec succès",
+  "Ratings saved successfully": "Notations enregistrées avec succès",
+  "No ratings provided": "Aucune notation fournie",
+  "No valid ratings provided": "Aucune notation valide fournie",
+  "Station '{station}' ticket is already {status}": "Le ticket du poste '{station}' est déjà {status}",
+  "Station {station} ready": "Poste {station} prêt",
+  "Station {station} started": "Poste {station} démarré",
+  "Status is required": "Le statut est requis",
+  "Table ID or Device ID is required for Dine In orders": "L'identifiant de table ou d'appareil est requis pour les commandes sur place",
+  "Unknown station '{station}'": "Poste inconnu '{station}'",
+  "Failed to notify about order": "Échec de la notification de la commande",
+  "Failed to register kitchen": "Échec de l'enregistrement de la cuisine",
+  "Failed to track order": "Échec du suivi de la commande",
+  "Not allowed to notify about this order": "Vous ne pouvez pas notifier cette commande",
+  "Order ID is required": "L'identifiant de la commande est requis",
+  "Unknown stations: {stations}": "Postes inconnus : {stations}",
+
+  // Promotions
+  "A promotion with this code already exists": "Une promotion avec ce code existe déjà",
+  "Add {count} eligible items to get the offer": "Ajoutez {count} articles éligibles pour profiter de l'offre",
+  "No item in the order is part of this offer": "Aucun article de la commande ne fait partie de cette offre",
+  "Order must be at least {amount}": "La commande doit être d'au moins {amount}",
+  "Promotion created successfully": "Promotion créée avec succès",
+  "Promotion deactivated successfully": "Promotion désactivée avec succès",
+  "Promotion not found": "Promotion introuvable",
+  "Promotion updated successfully": "Promotion mise à jour avec succès",
+  "Sign in to use this promotion": "Connectez-vous pour utiliser cette promotion",
+  "This code is not valid": "Ce code n'est pas valide",
+  "This promotion has been fully redeemed": "Cette promotion a été entièrement utilisée",
+  "Type must be one of: {types}": "Le type doit être l'un des suivants : {types}",
+  "You have already used this promotion": "Vous avez déjà utilisé cette promotion",
+  "Name and type are required": "Le nom et le type sont requis",
+
+  // Payments, bills and refunds
+  "A custom split needs at least two parts": "Un partage personnalisé nécessite au moins deux parts",
+  "An equal split needs between 2 and {count} parts": "Un partage égal nécessite entre 2 et {count} parts",
+  "An item split needs at least two parts": "Un partage par article nécessite au moins deux parts",
+  "Bill already exists for this session": "Une addition existe déjà pour cette session",
+  "Bill already has payments, discounts can no longer change": "L'addition a déjà des paiements, les remises ne peuvent plus changer",
+  "Bill already has payments, it cannot be split again": "L'addition a déjà des paiements, elle ne peut plus être partagée",
+  "Bill already has payments, the split cannot be removed": "L'addition a déjà des paiements, le partage ne peut plus être annulé",
+  "Bill changed while applying the discount, try again": "L'addition a changé pendant l'application de la remise, réessayez",
+  "Bill generated successfully": "Addition générée avec succès",
+  "A bill can only be marked paid here, refunds go through the refund endpoints": "Une addition ne peut qu'être marquée payée ici, les remboursements passent par les routes de remboursement",
+  "Bill is {status}, only pending bills can be marked paid": "L'addition est {status}, seules les additions en attente peuvent être marquées payées",
+  "Bill changed meanwhile, reload it": "L'addition a changé entre-temps, rechargez-la",
+  "Bill is split, record the payment of each part instead": "L'addition est partagée, enregistrez plutôt le paiement de chaque part",
+  "Bill is split, remove the split before changing discounts": "L'addition est partagée, annulez le partage avant de changer les remises",
+  "Bill not found": "Addition introuvable",
+  "Bill not found for this session": "Addition introuvable pour cette session",
+  "Bill part is already {status}": "Cette part de l'addition est déjà {status}",
+  "Bill part payment recorded successfully": "Paiement de la part enregistré avec succès",
+  "Bill payment is {status}, nothing to refund": "Le paiement de l'addition est {status}, rien à rembourser",
+  "Bill payment status updated successfully": "Statut de paiement de l'addition mis à jour avec succès",
+  "Bill received a payment while being split": "L'addition a reçu un paiement pendant le partage",
+  "Bill split removed": "Partage de l'addition annulé",
+  "Bill split successfully": "Addition partagée avec succès",
+  "Bill was refunded concurrently, nothing reserved": "L'addition a été remboursée en parallèle, rien n'a été réservé",
+  "Card payment has no Stripe payment intent to refund": "Le paiement par carte n'a pas de paiement Stripe à rembourser",
+  "Cash on delivery selected": "Paiement à la livraison sélectionné",
+  "Discount applied successfully": "Remise appliquée avec succès",
+  "Discount label is required": "Le libellé de la remise est requis",
+  "Discount not found": "Remise introuvable",
+  "Discount removed successfully": "Remise supprimée avec succès",
+  "Discount type must be percent or amount": "Le type de remise doit être percent ou amount",
+  "Each bill item needs the orderId it belongs to": "Chaque article de l'addition doit indiquer sa commande (orderId)",
+  "Idempotency key already used for a different request": "Clé d'idempotence déjà utilisée pour une autre requête",
+  "Only card top-ups can be confirmed": "Seules les recharges par carte peuvent être confirmées",
+  "Wallet transaction is already being processed, try again shortly": "La transaction du portefeuille est déjà en cours de traitement, réessayez dans un instant",
+  "Invalid amount": "Montant invalide",
+  "Invalid payer {payer}": "Payeur invalide {payer}",
+  "Invalid quantity for {name}": "Quantité invalide pour {name}",
+  "Item {itemId} is not on this bill": "L'article {itemId} ne figure pas sur cette addition",
+  "Items are not assigned to at least two seats, split by item or evenly instead":
+    "Les articles ne sont pas répartis sur au moins deux places, partagez par article ou à parts égales",
+  "Items were refunded concurrently, nothing reserved": "Les articles ont été remboursés en parallèle, rien n'a été réservé",
+  "Money sent to bank successfully": "Argent envoyé à la banque avec succès",
+  "Only {count} of {name} can still be refunded": "Seulement {count} {name} peuvent encore être remboursés",
+  "Order has nothing left to pay": "Il ne reste rien à payer sur cette commande",
+  "Order is already paid": "La commande est déjà payée",
+  "Order payment is already {status}": "La commande a déjà le statut de paiement {status}",
+  "Order payment is {status}, nothing to refund": "Le paiement de la commande est {status}, rien à rembourser",
+  "Order was refunded concurrently, nothing reserved": "La commande a été remboursée en parallèle, rien n'a été réservé",
+  "Part {number} has no items": "La part {number} n'a aucun article",
+  "Part {number} needs a positive amount": "La part {number} doit avoir un montant positif",
+  "Parts must add up to the bill total (missing {amount})": "Les parts doivent totaliser l'addition (il manque {amount})",
+  "Parts must add up to the bill total (over by {amount})": "Les parts doivent totaliser l'addition (dépassement de {amount})",
+  "Payment initiated": "Paiement initié",
+  "Payment is not a top-up of this wallet": "Ce paiement n'est pas une recharge de ce portefeuille",
+  "Payment method must be cash or mobile_payment": "Le mode de paiement doit être cash ou mobile_payment",
+  "Payment does not match this order": "Le paiement ne correspond pas à cette commande",
+  "Payment not successful": "Le paiement a échoué",
+  "Payment processed successfully": "Paiement traité avec succès",
+  "Payment status is required": "Le statut de paiement est requis",
+  "Payment status updated successfully": "Statut de paiement mis à jour avec succès",
+  "Refund exceeds the refundable amount ({amount})": "Le remboursement dépasse le montant remboursable ({amount})",
+  "Send either items or an amount, not both": "Envoyez des articles ou un montant, pas les deux",
+  "Split mode must be one of: item, seat, equal, custom": "Le mode de partage doit être item, seat, equal ou custom",
+  "Tip must be a positive amount": "Le pourboire doit être un montant positif",
+  "Wallet payment has no customer to refund": "Le paiement par portefeuille n'a pas de client à rembourser",
+  "{name}: {assigned} of {quantity} assigned": "{name} : {assigned} sur {quantity} attribués",
+  "Bill ID is required": "L'identifiant de l'addition est requis",
+  "Event is being processed": "L'événement est en cours de traitement",
+  "Failed to notify about bill": "Échec de la notification de l'addition",
+  "Item {itemId} not found": "Article {itemId} introuvable",
+  "Item {itemId} not found in order {orderId}": "Article {itemId} introuvable dans la commande {orderId}",
+  "Refund failed: {error}": "Échec du remboursement : {error}",
+  "Stripe refused the refund ({reason})": "Stripe a refusé le remboursement ({reason})",
+  "Webhook processing failed": "Échec du traitement du webhook",
+
+  // Receipts
+  "Format must be pdf or escpos": "Le format doit être pdf ou escpos",
+  "Not allowed to access this receipt": "Accès à ce reçu non autorisé",
+  "Receipt could not be emailed": "Le reçu n'a pas pu être envoyé par email",
+  "Receipt {invoice} sent to {email}": "Reçu {invoice} envoyé à {email}",
+  "Receipts are only issued for paid bills": "Les reçus ne sont émis que pour les additions payées",
+  "Receipts are only issued for paid or delivered orders": "Les reçus ne sont émis que pour les commandes payées ou livrées",
+
+  // Tables, sessions and devices
+  "Device ID (tableId) is required in the request body": "L'identifiant de l'appareil (tableId) est requis",
+  "Device ID is required": "L'identifiant de l'appareil est requis",
+  "Device registered successfully": "Appareil enregistré avec succès",
+  "Invalid device credential": "Identifiant d'appareil invalide",
+  "Invalid table ID": "Identifiant de table invalide",
+  "No active session found for this user": "Aucune session active pour cet utilisateur",
+  "No table found for this device": "Aucune table pour cet appareil",
+  "QR code and device ID are required": "Le QR code et l'identifiant de l'appareil sont requis",
+  "QR code or device ID already exists. Please use unique values.": "Le QR code ou l'identifiant de l'appareil existe déjà. Utilisez des valeurs uniques.",
+  "Session ended and bill generated successfully": "Session terminée et addition générée avec succès",
+  "Session initiation request sent to table": "Demande d'ouverture de session envoyée à la table",
+  "Session is already closed": "La session est déjà fermée",
+  "Session is not active": "La session n'est pas active",
+  "Session not found": "Session introuvable",
+  "Session status updated successfully": "Statut de la session mis à jour avec succès",
+  "Table ID is required": "L'identifiant de la table est requis",
+  "Table is not active": "La table n'est pas active",
+  "Table is not available": "La table n'est pas disponible",
+  "Table not found": "Table introuvable",
+  "Table session ended successfully": "Session de table terminée avec succès",
+  "Table session started successfully": "Session de table démarrée avec succès",
+  "Table status updated successfully": "Statut de la table mis à jour avec succès",
+  "Combinable tables must be other tables of this restaurant": "Les tables combinables doivent être d'autres tables de ce restaurant",
+  "Minimum party size cannot exceed the table capacity": "Le nombre minimum de personnes ne peut pas dépasser la capacité de la table",
+  "Table seating updated successfully": "Places de la table mises à jour avec succès",
+  "You already have an active session at another table": "Vous avez déjà une session active à une autre table",
+  "Device already registered": "Appareil déjà enregistré",
+  "Failed to end session": "Échec de la clôture de la session",
+  "Failed to initiate session": "Échec de l'ouverture de la session",
+  "Failed to process QR code scan": "Échec du traitement du scan du QR code",
+  "Failed to register device": "Échec de l'enregistrement de l'appareil",
+  "Failed to register table": "Échec de l'enregistrement de la table",
+  "Not allowed to end this session": "Vous ne pouvez pas clôturer cette session",
+  "Session ID is required": "L'identifiant de la session est requis",
+  "Table ID and Restaurant ID are required": "L'identifiant de la table et celui du restaurant sont requis",
+  "Table {table} registered successfully": "Table {table} enregistrée avec succès",
+
+  // Reservations and bookings
+  "A valid date and party size are required": "La date et le nombre de personnes sont requis et doivent être valides",
+  "A valid reservation time and party size are required":
+    "L'heure de réservation et le nombre de personnes sont requis et doivent être valides",
+  "All suitable tables are already booked for this time slot": "Toutes les tables adéquates sont déjà réservées pour ce créneau",
+  "Booking cancelled successfully": "Réservation annulée avec succès",
+  "Booking is already cancelled": "La réservation est déjà annulée",
+  "Booking not found": "Réservation introuvable",
+  "Booking status updated successfully": "Statut de la réservation mis à jour avec succès",
+  "Completed bookings cannot be cancelled": "Les réservations terminées ne peuvent pas être annulées",
+  "Error creating the reservation": "Erreur lors de la création de la réservation",
+  "Error fetching availability": "Erreur lors de la récupération des disponibilités",
+  "Error fetching reservations": "Erreur lors de la recherche des réservations",
+  "No reservations found for this user": "Aucune réservation trouvée pour cet utilisateur",
+  "No table available for this party size": "Aucune table disponible pour ce nombre de personnes",
+  "Reservation created successfully": "Réservation créée avec succès",
+  "Reservations fetched successfully": "Réservations récupérées avec succès",
+  "Reservations fetched successfully (from cache)": "Réservations récupérées avec succès (depuis le cache)",
+  "Parties larger than {count} must contact the restaurant": "Au-delà de {count} personnes, contactez le restaurant",
+  "Reservation time must be in the future": "L'heure de réservation doit être dans le futur",
+  "Reservations are busy, please try again": "Les réservations sont très sollicitées, veuillez réessayer",
+  "The restaurant does not take reservations at this time": "Le restaurant ne prend pas de réservations à cette heure",
+  "A reservation can only be marked no-show once its time has passed": "Une réservation ne peut être marquée absente qu'une fois son heure passée",
+  "A valid date is required": "Une date valide est requise",
+  "Error cancelling the reservation": "Erreur lors de l'annulation de la réservation",
+  "Error checking in the reservation": "Erreur lors de l'arrivée de la réservation",
+  "Error updating the reservation": "Erreur lors de la modification de la réservation",
+  "Only pending or confirmed reservations can be cancelled": "Seules les réservations en attente ou confirmées peuvent être annulées",
+  "Only confirmed reservations can be changed": "Seules les réservations confirmées peuvent être modifiées",
+  "Only confirmed reservations can be checked in": "Seules les réservations confirmées peuvent être enregistrées à l'arrivée",
+  "Only confirmed reservations can be marked no-show": "Seules les réservations confirmées peuvent être marquées absentes",
+  "Reservation cancelled successfully": "Réservation annulée avec succès",
+  "Reservation checked in successfully": "Arrivée de la réservation enregistrée avec succès",
+  "Reservation marked as no-show": "Réservation marquée comme absente",
+  "Reservation not found": "Réservation introuvable",
+  "Reservation updated successfully": "Réservation modifiée avec succès",
+  "Reservations can be checked in from {minutes} minutes before their time": "L'arrivée peut être enregistrée à partir de {minutes} minutes avant l'heure de la réservation",
+  "Reservations can no longer be cancelled less than {minutes} minutes before their time": "Les réservations ne peuvent plus être annulées moins de {minutes} minutes avant leur heure",
+  "Reservations can no longer be changed less than {minutes} minutes before their time": "Les réservations ne peuvent plus être modifiées moins de {minutes} minutes avant leur heure",
+  "Status must be one of: {statuses}": "Le statut doit être l'un des suivants : {statuses}",
+  "Restaurant does not accept table bookings": "Ce restaurant n'accepte pas les réservations de table",
+  "Reservation held, pay the deposit to confirm it": "Réservation retenue, payez l'acompte pour la confirmer",
+  "Deposit paid, your reservation is confirmed": "Acompte payé, votre réservation est confirmée",
+  "The deposit is no longer owed, your payment was refunded": "L'acompte n'est plus dû, votre paiement a été remboursé",
+  "This reservation has no deposit to pay": "Cette réservation n'a pas d'acompte à payer",
+  "The time to pay the deposit is over": "Le délai de paiement de l'acompte est dépassé",
+  "Payment does not belong to this reservation": "Ce paiement ne correspond pas à cette réservation",
+  "paymentIntentId is required": "paymentIntentId est requis",
+  "Error starting the deposit payment": "Erreur lors du démarrage du paiement de l'acompte",
+  "Error confirming the deposit payment": "Erreur lors de la confirmation du paiement de l'acompte",
+  "Error paying the deposit": "Erreur lors du paiement de l'acompte",
+  "Failed to process reservation request": "Échec du traitement de la demande de réservation",
+  "Table ID, restaurant ID and reservation time are required":
+    "L'identifiant de la table, celui du restaurant et l'heure de réservation sont requis",
+
+  // Waitlist
+  "A mobile number is required to be called back": "Un numéro de mobile est requis pour être rappelé",
+  "A name is required to join the waitlist": "Un nom est requis pour rejoindre la liste d'attente",
+  "A table is required to seat the party": "Une table est requise pour installer le groupe",
+  "A valid party size is required": "Un nombre de personnes valide est requis",
+  "Added to the waitlist": "Ajouté à la liste d'attente",
+  "Invalid mobile number": "Numéro de mobile invalide",
+  "No table can seat a party of this size": "Aucune table ne peut accueillir un groupe de cette taille",
+  "Party notified": "Groupe prévenu",
+  "Party removed from the waitlist": "Groupe retiré de la liste d'attente",
+  "Party seated": "Groupe installé",
+  "This party is no longer on the waitlist": "Ce groupe n'est plus sur la liste d'attente",
+  "Waitlist entry not found": "Entrée de la liste d'attente introuvable",
+  "You are already on the waitlist": "Vous êtes déjà sur la liste d'attente",
+  "You are not on the waitlist": "Vous n'êtes pas sur la liste d'attente",
+  "You left the waitlist": "Vous avez quitté la liste d'attente",
+
+  // Deliveries
+  "Only delivery orders have a driver": "Seules les commandes en livraison ont un livreur",
+  "Order is {status}, its driver can no longer change": "La commande est {status}, son livreur ne peut plus changer",
+  "No driver is available": "Aucun livreur n'est disponible",
+  "Driver not found": "Livreur introuvable",
+  "Driver is not available or cannot take another delivery": "Le livreur n'est pas disponible ou ne peut pas prendre une autre livraison",
+  "Order has no driver": "La commande n'a pas de livreur",
+  "Order changed meanwhile, reload it": "La commande a changé entre-temps, rechargez-la",
+  "Vehicle must be one of: {vehicles}": "Le véhicule doit être l'un des suivants : {vehicles}",
+  "The shift end must be in the future": "La fin du service doit être dans le futur",
+  "Deliver your orders before ending your shift": "Livrez vos commandes avant de terminer votre service",
+  "This delivery is not assigned to you": "Cette livraison ne vous est pas attribuée",
+  "A proof of delivery photo is required": "Une photo de preuve de livraison est requise",
+  "A proof of delivery can only be added once the order is picked up": "Une preuve de livraison ne peut être ajoutée qu'une fois la commande récupérée",
+  "A photo is required as a base64 image": "Une photo est requise sous forme d'image base64",
+  "Failed to upload the photo": "Échec de l'envoi de la photo",
+  "A valid latitude and longitude are required": "Une latitude et une longitude valides sont requises",
+  "Only staff accounts can make deliveries": "Seuls les comptes du personnel peuvent effectuer des livraisons",
+  "Driver status updated": "Statut du livreur mis à jour",
+  "Delivery status updated": "Statut de la livraison mis à jour",
+  "Proof of delivery uploaded": "Preuve de livraison envoyée",
+  "Driver assigned": "Livreur attribué",
+  "Driver unassigned": "Livreur retiré",
+  "Failed to update location": "Échec de la mise à jour de la position",
+  "Only staff accounts can share a driver location":
+    "Seuls les comptes du personnel peuvent partager une position de livreur",
+
+  // Reviews, support and recommendations
+  "Message is required": "Le message est requis",
+  "Model trained and recommendations generated successfully": "Modèle entraîné et recommandations générées avec succès",
+  "Not enough ratings to train the model": "Pas assez de notes pour un entraînement significatif",
+  "Not enough valid ratings after mapping": "Données de notation valides insuffisantes après mapping",
+  "Reply added successfully": "Réponse ajoutée avec succès",
+  "Review deleted successfully": "Avis supprimé avec succès",
+  "Review not found": "Avis introuvable",
+  "Support ticket created successfully": "Ticket de support créé avec succès",
+  "Ticket closed successfully": "Ticket fermé avec succès",
+  "Ticket not found": "Ticket introuvable",
+
+  // Notifications
+  "All notifications deleted": "Toutes les notifications ont été supprimées",
+  "All notifications marked as read": "Toutes les notifications ont été marquées comme lues",
+  "Device token updated successfully": "Jeton de l'appareil mis à jour avec succès",
+  "No device token found for this user": "Aucun jeton d'appareil pour cet utilisateur",
+  "Notification deleted": "Notification supprimée",
+  "Notification marked as read": "Notification marquée comme lue",
+  "Notification not found": "Notification introuvable",
+  "Notification sent to user": "Notification envoyée à l'utilisateur",
+  "Notification settings updated successfully": "Paramètres de notification mis à jour avec succès",
+  "Promotional notification sent": "Notification promotionnelle envoyée",
+  "Test notification sent": "Notification de test envoyée",
+  "Title and body are required": "Le titre et le contenu sont requis",
+  "Device token is required": "Le jeton de l'appareil est requis",
+  "Device tokens are required": "Les jetons des appareils sont requis",
+  "No valid device tokens found": "Aucun jeton d'appareil valide trouvé",
+  "User has disabled push notifications": "L'utilisateur a désactivé les notifications push",
+  "User not found or no device token available": "Utilisateur introuvable ou aucun jeton d'appareil disponible",
+  "SMS is not configured": "L'envoi de SMS n'est pas configuré",
+  "No response messages from Vonage API": "Aucun message de réponse de l'API Vonage",
+  "Error sending verification email: {error}": "Erreur lors de l'envoi de l'email de vérification : {error}",
+  "Error sending receipt email: {error}": "Erreur lors de l'envoi du reçu par email : {error}",
+  "Error sending reservation reminder email: {error}": "Erreur lors de l'envoi de l'email de rappel de réservation : {error}",
+
+  // Notification templates
+  "Order Update": "Mise à jour de la commande",
+  "Your order status has been updated.": "Le statut de votre commande a été mis à jour.",
+  "Your order has been confirmed and is being processed.": "Votre commande a été confirmée et est en cours de traitement.",
+  "The restaurant is preparing your order.": "Le restaurant prépare votre commande.",
+  "Your order is ready.": "Votre commande est prête.",
+  "Your order has been served. Enjoy your meal!": "Votre commande a été servie. Bon appétit !",
+  "Your driver has picked up your order.": "Votre livreur a récupéré votre commande.",
+  "Your order is out for delivery.": "Votre commande est en cours de livraison.",
+  "Order Delivered": "Commande livrée",
+  "Your order has been delivered. Enjoy your meal!": "Votre commande a été livrée. Bon appétit !",
+  "Order Completed": "Commande terminée",
+  "Thank you for your order!": "Merci pour votre commande !",
+  "Order Cancelled": "Commande annulée",
+  "Your order has been cancelled.": "Votre commande a été annulée.",
+  "Refund Issued": "Remboursement effectué",
+  "A refund of {amount} has been issued.": "Un remboursement de {amount} a été effectué.",
+  "A refund of {amount} is on its way to your card. It can take a few days to appear.":
+    "Un remboursement de {amount} est en route vers votre carte. Il peut mettre quelques jours à apparaître.",
+  "{amount} has been refunded to your wallet.": "{amount} ont été remboursés sur votre portefeuille.",
+  "A cash refund of {amount} has been handed to you.": "Un remboursement de {amount} vous a été remis en espèces.",
+  "Bill Ready": "Addition prête",
+  "Your share of the bill ({label}) is {amount}.": "Votre part de l'addition ({label}) est de {amount}.",
+  "Your bill of {amount} is ready.": "Votre addition de {amount} est prête.",
+  "Low Stock": "Stock bas",
+  "{ingredient} is running low.": "{ingredient} est presque épuisé.",
+  "Running low: {ingredients}.": "Stock bas : {ingredients}.",
+  "Reservation Reminder": "Rappel de réservation",
+  "Your table for {guests} at {restaurant} is booked for {time}.": "Votre table pour {guests} chez {restaurant} est réservée pour le {time}.",
+  "Reservation Cancelled": "Réservation annulée",
+  "Your reservation at {restaurant} on {time} has been cancelled.": "Votre réservation chez {restaurant} du {time} a été annulée.",
+  "Table Ready": "Table prête",
+  "Your table at {restaurant} is ready. Please come to the host stand.": "Votre table chez {restaurant} est prête. Merci de vous présenter à l'accueil.",
+
+  // Generic
+  "File too large. Max size is 5MB.": "Fichier trop volumineux. Taille maximale : 5 Mo.",
+  "No image provided": "Aucune image fournie",
+  "No images provided": "Aucune image fournie",
+  "No public ID provided": "Aucun identifiant public fourni",
+  "Failed to upload image: {error}": "Échec de l'envoi de l'image : {error}",
+  "Failed to upload images: {error}": "Échec de l'envoi des images : {error}",
+  "Failed to delete image: {error}": "Échec de la suppression de l'image : {error}",
+  "Not Found - {url}": "Introuvable - {url}",
+  "Only image files are allowed!": "Seules les images sont acceptées !",
+  "Server Error": "Erreur serveur",
+  "Socket.IO is not available": "Socket.IO n'est pas disponible",
+  "Too many OTP requests from this IP, please try again after 15 minutes":
+    "Trop de demandes d'OTP depuis cette adresse IP, réessayez dans 15 minutes",
+  "Too many requests from this IP, please try again after 15 minutes":
+    "Trop de requêtes depuis cette adresse IP, réessayez dans 15 minutes",
+  "Validation Error": "Erreur de validation",
+  "Failed to replay events": "Échec de la relecture des événements",
+  "Not allowed to emit '{event}'": "Vous ne pouvez pas émettre '{event}'",
+  "Upload error: {error}": "Erreur d'envoi : {error}",
+}
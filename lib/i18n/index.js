@@ -0,0 +1,124 @@
+/**
+ * Message catalog and locale helpers.
+ * Messages are written in English in the code and the English text is the catalog key,
+ * so a message missing from a catalog is still returned, in English.
+ * Keys may hold `{placeholders}` for the parts built at runtime (names, amounts):
+ * "{name} is off the menu" translates "Pizza is off the menu" and keeps "Pizza".
+ */
+import fr from "./fr.js"
+import ar from "./ar.js"
+
+export const SUPPORTED_LOCALES = ["en", "fr", "ar"]
+export const DEFAULT_LOCALE = "en"
+
+// Locales written right to left
+const RTL_LOCALES = ["ar"]
+
+const CATALOGS = { fr, ar }
+
+// Keys with placeholders turned into anchored patterns, built once per catalog
+const compileTemplates = (catalog) =>
+  Object.entries(catalog)
+    .filter(([key]) => key.includes("{"))
+    .map(([key, translation]) => {
+      const names = []
+      const source = key
+        .split(/(\{\w+\})/)
+        .map((part) => {
+          const placeholder = part.match(/^\{(\w+)\}$/)
+          if (!placeholder) return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+          names.push(placeholder[1])
+          return "(.+?)"
+        })
+        .join("")
+      return { pattern: new RegExp(`^${source}$`, "s"), names, translation }
+    })
+
+const TEMPLATES = Object.fromEntries(Object.entries(CATALOGS).map(([locale, catalog]) => [locale, compileTemplates(catalog)]))
+
+/**
+ * Whether a locale is one the API speaks
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale)
+
+/**
+ * Whether a locale is written right to left
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export const isRtl = (locale) => RTL_LOCALES.includes(locale)
+
+/**
+ * Supported locales of an Accept-Language header, best first: "ar-DZ,fr;q=0.8" -> ["ar", "fr"]
+ * @param {string} header - Accept-Language header
+ * @returns {Array<string>}
+ */
+export const parseAcceptLanguage = (header) =>
+  String(header || "")
+    .split(",")
+    .map((entry) => {
+      const [tag, ...params] = entry.trim().split(";")
+      const q = params.map((param) => param.trim()).find((param) => param.startsWith("q="))
+      return { locale: tag.trim().toLowerCase().split("-")[0], quality: q ? Number(q.slice(2)) : 1 }
+    })
+    .filter((entry) => isSupportedLocale(entry.locale) && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+    .map((entry) => entry.locale)
+
+/**
+ * Locale to answer in: the user's saved language, then the Accept-Language header, then English
+ * @param {string} [acceptLanguage] - Accept-Language header
+ * @param {string} [preferred] - Language saved on the user account
+ * @returns {string}
+ */
+export const resolveLocale = (acceptLanguage, preferred) => {
+  if (isSupportedLocale(preferred)) return preferred
+  return parseAcceptLanguage(acceptLanguage)[0] || DEFAULT_LOCALE
+}
+
+/**
+ * Translate an English message of the catalog. Unknown messages are returned as they are.
+ * @param {string} locale - Target locale
+ * @param {string} message - English message, as written in the code
+ * @param {object} [params] - Values for the placeholders of the translation
+ * @returns {string}
+ */
+export const translate = (locale, message, params = {}) => {
+  const catalog = CATALOGS[locale]
+  if (!catalog || typeof message !== "string") return message
+
+  const fill = (translation, values) => translation.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match)
+
+  if (Object.hasOwn(catalog, message)) return fill(catalog[message], params)
+
+  for (const { pattern, names, translation } of TEMPLATES[locale]) {
+    const match = message.match(pattern)
+    if (match) {
+      const values = Object.fromEntries(names.map((name, index) => [name, match[index + 1]]))
+      return fill(translation, { ...values, ...params })
+    }
+  }
+  return message
+}
+
+/**
+ * Pick the translation of a text field (menu item name, category name) for a locale
+ * @param {string} text - Text as the restaurant wrote it
+ * @param {object} [translations] - Translations keyed by locale
+ * @param {string} locale
+ * @returns {string}
+ */
+export const localizedText = (text, translations, locale) => translations?.[locale] || text
+
+export default {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  isSupportedLocale,
+  isRtl,
+  parseAcceptLanguage,
+  resolveLocale,
+  translate,
+  localizedText,
+}
@@ -0,0 +1,88 @@
+/**
+ * Staff roles and the permissions each one grants.
+ * Routes check permissions (never roles) so a role can be widened here
+ * without touching the routers.
+ */
+export const PERMISSIONS = {
+  ORDERS_READ: "orders:read",
+  ORDERS_UPDATE_STATUS: "orders:update_status",
+  KITCHEN_VIEW: "kitchen:view",
+  KITCHEN_UPDATE: "kitchen:update",
+  BILLS_READ: "bills:read",
+  BILLS_CREATE: "bills:create",
+  BILLS_PROCESS_PAYMENT: "bills:process_payment",
+  BILLS_DISCOUNT: "bills:discount",
+  PROMOTIONS_MANAGE: "promotions:manage",
+  REFUNDS_ISSUE: "refunds:issue",
+  TABLES_READ: "tables:read",
+  TABLES_MANAGE: "tables:manage",
+  TABLES_REGISTER_DEVICE: "tables:register_device",
+  SESSIONS_MANAGE: "sessions:manage",
+  MENU_MANAGE: "menu:manage",
+  MENU_AVAILABILITY: "menu:availability", // 86 items and bring them back
+  INVENTORY_MANAGE: "inventory:manage",
+  RESERVATIONS_MANAGE: "reservations:manage",
+  WAITLIST_MANAGE: "waitlist:manage", // walk-in queue at the host stand
+  STAFF_MANAGE: "staff:manage",
+  DISPATCH_MANAGE: "dispatch:manage", // assign drivers to delivery orders
+  DRIVER_DELIVERIES: "driver:deliveries", // driver app: shifts, location and the driver's own deliveries
+  REALTIME_MONITOR: "realtime:monitor", // see unacknowledged realtime events
+}
+
+export const STAFF_ROLES = ["kitchen", "cashier", "waiter", "driver", "manager", "admin"]
+
+const P = PERMISSIONS
+
+export const ROLE_PERMISSIONS = {
+  kitchen: [
+    P.KITCHEN_VIEW,
+    P.KITCHEN_UPDATE,
+    P.ORDERS_READ,
+    P.ORDERS_UPDATE_STATUS,
+    P.MENU_AVAILABILITY,
+    P.INVENTORY_MANAGE,
+  ],
+  cashier: [
+    P.BILLS_READ,
+    P.BILLS_CREATE,
+    P.BILLS_PROCESS_PAYMENT,
+    P.BILLS_DISCOUNT,
+    P.REFUNDS_ISSUE,
+    P.ORDERS_READ,
+    P.SESSIONS_MANAGE,
+    P.TABLES_READ,
+    P.DISPATCH_MANAGE,
+  ],
+  waiter: [
+    P.ORDERS_READ,
+    P.ORDERS_UPDATE_STATUS,
+    P.BILLS_READ,
+    P.BILLS_CREATE,
+    P.TABLES_READ,
+    P.SESSIONS_MANAGE,
+    P.RESERVATIONS_MANAGE,
+    P.WAITLIST_MANAGE,
+    P.MENU_AVAILABILITY,
+  ],
+  driver: [P.DRIVER_DELIVERIES],
+  manager: Object.values(P),
+  admin: Object.values(P),
+}
+
+// Roles a given role is allowed to create or edit
+export const MANAGEABLE_ROLES = {
+  manager: ["kitchen", "cashier", "waiter", "driver"],
+  admin: STAFF_ROLES,
+}
+
+/**
+ * Check whether a role (plus any per-account extra permissions) grants a permission
+ * @param {string} role - Staff role
+ * @param {string} permission - Permission to check
+ * @param {Array<string>} extraPermissions - Permissions granted to the account on top of its role
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission, extraPermissions = []) => {
+  const granted = ROLE_PERMISSIONS[role] || []
+  return granted.includes(permission) || extraPermissions.includes(permission)
+}
@@ -0,0 +1,63 @@
+/**
+ * Text normalization shared by the menu search index (models/menuItem.model.js)
+ * and the queries run against it (services/menuSearchService.js).
+ * Both sides must normalize the same way or nothing matches.
+ */
+
+// Arabic letters written several ways that people type interchangeably
+const ARABIC_FOLDS = [
+  [/[أإآٱ]/g, "ا"],
+  [/ى/g, "ي"],
+  [/ئ/g, "ي"],
+  [/ؤ/g, "و"],
+  [/ة/g, "ه"],
+  [/ـ/g, ""], // tatweel
+]
+
+/**
+ * Lowercase, strip accents and Arabic short vowels, fold Arabic letter variants and
+ * turn punctuation into spaces: "Crème Brûlée" -> "creme brulee", "شَاوَرْمَة" -> "شاورمه"
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeSearchText = (text) => {
+  let normalized = String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+  for (const [pattern, replacement] of ARABIC_FOLDS) {
+    normalized = normalized.replace(pattern, replacement)
+  }
+  return normalized
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+}
+
+/**
+ * Words of a text after normalization
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const searchTokens = (text) => normalizeSearchText(text).split(" ").filter(Boolean)
+
+/**
+ * Trigrams of a word, padded so short words and word starts weigh in: "piza" -> ["  p", " pi", "piz", "iza", "za "]
+ * A typo only breaks the few trigrams around it, so similar words still share most of theirs.
+ * @param {string} token - Normalized word
+ * @returns {Array<string>}
+ */
+export const trigrams = (token) => {
+  const padded = `  ${token} `
+  const grams = []
+  for (let index = 0; index + 3 <= padded.length; index++) {
+    grams.push(padded.slice(index, index + 3))
+  }
+  return grams
+}
+
+/**
+ * Unique trigrams of every word of a text
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const textTrigrams = (text) => [...new Set(searchTokens(text).flatMap(trigrams))]
@@ -0,0 +1,41 @@
+/**
+ * Socket.IO room names.
+ * Sockets join these on connection from their authenticated identity
+ * (see middlewares/socket.middleware.js), so emitters never have to track socket IDs.
+ */
+
+// Every socket of a customer account
+export const userRoom = (userId) => `user_${userId}`
+
+// The tablet of a table (keyed by the table's MongoDB _id)
+export const tableRoom = (tableId) => `table_${tableId}`
+
+// Every table tablet of a restaurant (menu changes)
+export const tablesRoom = (restaurantId) => `tables_${restaurantId}`
+
+// Kitchen displays of a restaurant that show every order (expo view)
+export const kitchenRoom = (restaurantId) => `kitchen_${restaurantId}`
+
+// Kitchen displays subscribed to one station (grill, cold, drinks, ...)
+export const stationRoom = (restaurantId, station) => `kitchen_${restaurantId}_${station}`
+
+// Cashier stations of a restaurant
+export const cashierRoom = (restaurantId) => `cashier_${restaurantId}`
+
+// Every staff socket of a restaurant (floor, managers)
+export const staffRoom = (restaurantId) => `staff_${restaurantId}`
+
+// Host stand dashboards of a restaurant (walk-in waitlist)
+export const hostRoom = (restaurantId) => `host_${restaurantId}`
+
+// Staff allowed to monitor realtime acknowledgements (overdue acks) and stock alerts
+export const managerRoom = (restaurantId) => `managers_${restaurantId}`
+
+// Dispatch boards of a restaurant (drivers and delivery orders)
+export const dispatchRoom = (restaurantId) => `dispatch_${restaurantId}`
+
+// Driver app of one driver (keyed by the Staff _id)
+export const driverRoom = (staffId) => `driver_${staffId}`
+
+// Customers tracking one delivery order, joined on track_order once the order is checked
+export const orderRoom = (orderId) => `order_${orderId}`
@@ -37,4 +37,19 @@ export const formatPhoneNumber = (countryCode, phoneNumber) => {
   const cleanCountryCode = countryCode.replace(/\D/g, "").replace(/^\+/, "");
   const cleanPhoneNumber = phoneNumber.replace(/\D/g, "");
   return `${cleanCountryCode}${cleanPhoneNumber}`; // Returns "213657615331"
-};
\ No newline at end of file
+};
+
+/**
+ * Generates a JWT for a staff account
+ * The payload carries the role and restaurant so sockets can check them cheaply,
+ * but the account is always re-loaded to honour deactivation.
+ * @param {Object} staff - Staff document
+ * @returns {string} - Generated JWT token
+ */
+export const generateStaffToken = (staff) => {
+  return jwt.sign(
+    { staffId: staff._id, role: staff.role, restaurant: staff.restaurant },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: process.env.STAFF_JWT_EXPIRES_IN || "12h" },
+  )
+}
@@ -60,19 +60,32 @@ export const isAdmin = (req, res, next) => {
   }
 };
 /**
- * Middleware to check if user is a restaurant owner
- * Must be used after the protect middleware
+ * Middleware to check if user owns the restaurant the request is scoped to
+ * Must be used after the protect and resolveRestaurant middlewares.
+ * Admins are allowed through for any restaurant.
  */
 export const restaurantOwner = (req, res, next) => {
-  if (req.user && req.user.isRestaurantOwner) {
-    next();
-  } else {
+  if (req.user && req.user.isAdmin) {
+    return next();
+  }
+
+  if (!req.user || !req.user.isRestaurantOwner) {
     winstonLogger.warn(`Non-restaurant owner access attempt: ${req.user?._id}`);
     return res.status(403).json({ 
       success: false, 
       message: "Not authorized as restaurant owner" 
     });
   }
+
+  if (!req.restaurant || req.restaurant.owner.toString() !== req.user._id.toString()) {
+    winstonLogger.warn(`Owner ${req.user._id} tried to access restaurant ${req.restaurantId}`);
+    return res.status(403).json({ 
+      success: false, 
+      message: "Not authorized for this restaurant" 
+    });
+  }
+
+  next();
 };
 
 /**
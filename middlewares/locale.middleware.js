@@ -0,0 +1,55 @@
+import { resolveLocale, isRtl, translate } from "../lib/i18n/index.js"
+
+/**
+ * Answer every request in the caller's language.
+ * req.locale is the language saved on the signed in user (req.user is only set by the auth
+ * middleware that runs later, hence a getter) or else the best match of Accept-Language.
+ * The `message` and `error` strings of JSON responses are translated when they are sent,
+ * so controllers keep writing English messages.
+ */
+export const localize = (req, res, next) => {
+  Object.defineProperty(req, "locale", {
+    get: () => resolveLocale(req.headers["accept-language"], req.user?.settings?.language),
+    configurable: true,
+  })
+
+  const json = res.json.bind(res)
+  res.json = (body) => {
+    const locale = req.locale
+    res.set("Content-Language", locale)
+    res.set("X-Text-Direction", isRtl(locale) ? "rtl" : "ltr")
+    res.vary("Accept-Language")
+
+    if (body && typeof body === "object" && !Array.isArray(body)) {
+      const translated = { ...body }
+      for (const field of ["message", "error"]) {
+        if (typeof translated[field] === "string") translated[field] = translate(locale, translated[field])
+      }
+      return json(translated)
+    }
+    return json(body)
+  }
+
+  next()
+}
+
+/**
+ * Same for a socket: the `message` and `error` strings of what is emitted to this socket
+ * (errors, confirmations) are translated to socket.data.locale, set at the handshake.
+ * Room broadcasts go to many sockets and are left as they are.
+ * @param {object} socket - Authenticated socket
+ */
+export const localizeSocket = (socket) => {
+  const emit = socket.emit.bind(socket)
+  socket.emit = (event, payload, ...rest) => {
+    const locale = socket.data.locale
+    if (payload && typeof payload === "object" && !Array.isArray(payload)) {
+      const translated = { ...payload }
+      for (const field of ["message", "error"]) {
+        if (typeof translated[field] === "string") translated[field] = translate(locale, translated[field])
+      }
+      return emit(event, translated, ...rest)
+    }
+    return emit(event, payload, ...rest)
+  }
+}
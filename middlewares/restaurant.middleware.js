@@ -0,0 +1,50 @@
+import mongoose from "mongoose"
+import { Restaurant } from "../models/restaurant.model.js"
+import winstonLogger from "./logger.middleware.js"
+
+/**
+ * Resolve the restaurant (tenant) a request is scoped to.
+ * The id is read from, in order: the :restaurantId route param, the
+ * X-Restaurant-Id header, the restaurantId query param or the restaurantId body field.
+ * Sets req.restaurant and req.restaurantId for the controllers.
+ */
+export const resolveRestaurant = async (req, res, next) => {
+  const restaurantId =
+    req.params.restaurantId || req.headers["x-restaurant-id"] || req.query.restaurantId || req.body?.restaurantId
+
+  if (!restaurantId) {
+    return res.status(400).json({
+      success: false,
+      message: "Restaurant ID is required (X-Restaurant-Id header or restaurantId parameter)",
+    })
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+    return res.status(400).json({ success: false, message: "Invalid restaurant ID" })
+  }
+
+  try {
+    const restaurant = await Restaurant.findById(restaurantId)
+    if (!restaurant || !restaurant.isActive) {
+      return res.status(404).json({ success: false, message: "Restaurant not found" })
+    }
+
+    req.restaurant = restaurant
+    req.restaurantId = restaurant._id
+    next()
+  } catch (error) {
+    winstonLogger.error(`Error resolving restaurant ${restaurantId}: ${error.message}`)
+    next(error)
+  }
+}
+
+/**
+ * Like resolveRestaurant, for routes that also work without a restaurant:
+ * only resolves one when the request names it.
+ */
+export const resolveOptionalRestaurant = (req, res, next) => {
+  const named =
+    req.params.restaurantId || req.headers["x-restaurant-id"] || req.query.restaurantId || req.body?.restaurantId
+  if (!named) return next()
+  return resolveRestaurant(req, res, next)
+}
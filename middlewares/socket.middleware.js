@@ -0,0 +1,219 @@
+import jwt from "jsonwebtoken"
+import mongoose from "mongoose"
+import { User } from "../models/user.model.js"
+import { Table } from "../models/table.model.js"
+import { resolveStaffFromToken, StaffAuthError } from "./staff.middleware.js"
+import { hasPermission, PERMISSIONS } from "../lib/permissions.js"
+import {
+  userRoom,
+  tableRoom,
+  tablesRoom,
+  kitchenRoom,
+  cashierRoom,
+  staffRoom,
+  hostRoom,
+  managerRoom,
+  dispatchRoom,
+  driverRoom,
+} from "../lib/socketRooms.js"
+import { resolveLocale } from "../lib/i18n/index.js"
+import winstonLogger from "./logger.middleware.js"
+
+/**
+ * Which identities may emit each inbound event.
+ * An event is allowed when the socket's kind is listed in `kinds`, or when the
+ * socket is staff holding `permission`. Events missing from this map are refused.
+ */
+export const EVENT_POLICIES = {
+  register_table: { kinds: ["table"], permission: PERMISSIONS.TABLES_REGISTER_DEVICE },
+  register_kitchen: { permission: PERMISSIONS.KITCHEN_VIEW },
+  register_device_with_table: { kinds: ["table"] },
+  initiate_session: { kinds: ["customer"] },
+  scan_qr_code: { kinds: ["customer"] },
+  order_placed: { kinds: ["customer", "table"], permission: PERMISSIONS.ORDERS_READ },
+  end_session: { kinds: ["table"], permission: PERMISSIONS.SESSIONS_MANAGE },
+  bill_created: { permission: PERMISSIONS.BILLS_CREATE },
+  make_reservation: { kinds: ["customer"] },
+  track_order: { kinds: ["customer"], permission: PERMISSIONS.DISPATCH_MANAGE },
+  stop_tracking_order: { kinds: ["customer"], permission: PERMISSIONS.DISPATCH_MANAGE },
+  driver_location: { permission: PERMISSIONS.DRIVER_DELIVERIES },
+  event_ack: { kinds: ["customer", "table", "staff"] },
+  replay: { kinds: ["customer", "table", "staff"] },
+}
+
+// Error passed to Socket.IO's next(), the client receives it as connect_error
+const handshakeError = (message, code = 401) => {
+  const error = new Error(message)
+  error.data = { code }
+  return error
+}
+
+/**
+ * Build the identity of a tablet from its device credential
+ * @param {string} tableId - Table _id
+ * @param {string} deviceSecret - Secret returned when the device was registered
+ * @returns {Promise<object>}
+ */
+const authenticateDevice = async (tableId, deviceSecret) => {
+  if (!mongoose.Types.ObjectId.isValid(tableId)) {
+    throw handshakeError("Invalid table ID")
+  }
+
+  const table = await Table.findById(tableId).select("+deviceSecretHash")
+  if (!table || !table.verifyDeviceSecret(deviceSecret)) {
+    throw handshakeError("Invalid device credential")
+  }
+
+  return {
+    kind: "table",
+    role: "table",
+    restaurantId: table.restaurant.toString(),
+    tableId: table._id.toString(),
+    permissions: [],
+  }
+}
+
+/**
+ * Build the identity behind a JWT: staff (staff token, admin, or owner of the
+ * requested restaurant) or customer (any other user token)
+ * @param {string} token - JWT
+ * @param {string} restaurantId - Restaurant requested in the handshake, if any
+ * @returns {Promise<object>}
+ */
+const authenticateToken = async (token, restaurantId) => {
+  let decoded
+  try {
+    decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
+  } catch (error) {
+    throw handshakeError("Not authorized, token invalid")
+  }
+
+  try {
+    const { staff, user, role, permissions } = await resolveStaffFromToken(token, restaurantId || decoded.restaurant)
+    return {
+      kind: "staff",
+      role,
+      restaurantId: (staff?.restaurant || restaurantId)?.toString() || null,
+      staffId: staff?._id.toString() || null,
+      userId: user?._id.toString() || null,
+      permissions,
+      language: user?.settings?.language || null,
+    }
+  } catch (error) {
+    // Only a plain user token that carries no staff rights falls through to a customer identity
+    if (!(error instanceof StaffAuthError) || decoded.staffId || error.statusCode !== 403) {
+      throw error instanceof StaffAuthError ? handshakeError(error.message, error.statusCode) : error
+    }
+  }
+
+  const user = await User.findById(decoded.userId || decoded.id).select("_id settings.language")
+  if (!user) {
+    throw handshakeError("User not found")
+  }
+
+  return {
+    kind: "customer",
+    role: "customer",
+    restaurantId: restaurantId || null,
+    userId: user._id.toString(),
+    permissions: [],
+    language: user.settings?.language || null,
+  }
+}
+
+/**
+ * Socket.IO handshake middleware (io.use).
+ * Clients authenticate with `auth: { token }` (staff or customer JWT) or, for
+ * table tablets, `auth: { tableId, deviceSecret }`. Staff and customers may add
+ * `restaurantId` (or the X-Restaurant-Id header). Sets socket.data.identity and
+ * socket.data.locale (the user's saved language, else the handshake Accept-Language).
+ */
+export const authenticateSocket = async (socket, next) => {
+  const auth = socket.handshake.auth || {}
+  const restaurantId = auth.restaurantId || socket.handshake.headers["x-restaurant-id"] || null
+
+  try {
+    let identity
+    if (auth.deviceSecret) {
+      identity = await authenticateDevice(auth.tableId, auth.deviceSecret)
+    } else if (auth.token) {
+      identity = await authenticateToken(auth.token, restaurantId)
+    } else {
+      throw handshakeError("Authentication required")
+    }
+
+    socket.data.identity = identity
+    socket.data.restaurantId = identity.restaurantId
+    socket.data.locale = resolveLocale(socket.handshake.headers["accept-language"], identity.language)
+    next()
+  } catch (error) {
+    winstonLogger.warn(`Socket handshake refused for ${socket.id}: ${error.message}`)
+    next(error.data ? error : handshakeError("Authentication failed", 500))
+  }
+}
+
+/**
+ * Join the rooms that belong to the socket's identity
+ * @param {object} socket - Authenticated socket
+ */
+export const joinIdentityRooms = (socket) => {
+  const { identity } = socket.data
+
+  if (identity.userId && identity.kind === "customer") {
+    socket.join(userRoom(identity.userId))
+  }
+
+  if (identity.kind === "table") {
+    socket.join(tableRoom(identity.tableId))
+    socket.join(tablesRoom(identity.restaurantId))
+  }
+
+  if (identity.kind === "staff" && identity.restaurantId) {
+    socket.join(staffRoom(identity.restaurantId))
+    if (hasPermission(identity.role, PERMISSIONS.KITCHEN_VIEW, identity.permissions)) {
+      socket.join(kitchenRoom(identity.restaurantId))
+    }
+    if (hasPermission(identity.role, PERMISSIONS.BILLS_PROCESS_PAYMENT, identity.permissions)) {
+      socket.join(cashierRoom(identity.restaurantId))
+    }
+    if (hasPermission(identity.role, PERMISSIONS.WAITLIST_MANAGE, identity.permissions)) {
+      socket.join(hostRoom(identity.restaurantId))
+    }
+    if (hasPermission(identity.role, PERMISSIONS.REALTIME_MONITOR, identity.permissions)) {
+      socket.join(managerRoom(identity.restaurantId))
+    }
+    if (hasPermission(identity.role, PERMISSIONS.DISPATCH_MANAGE, identity.permissions)) {
+      socket.join(dispatchRoom(identity.restaurantId))
+    }
+    // Only staff accounts drive, owners and admins acting with a user token have no driver room
+    if (identity.staffId && hasPermission(identity.role, PERMISSIONS.DRIVER_DELIVERIES, identity.permissions)) {
+      socket.join(driverRoom(identity.staffId))
+    }
+  }
+}
+
+/**
+ * Check whether an identity may emit an event
+ * @param {object} identity - socket.data.identity
+ * @param {string} event - Event name
+ * @returns {boolean}
+ */
+export const canEmit = (identity, event) => {
+  const policy = EVENT_POLICIES[event]
+  if (!policy || !identity) return false
+  if (policy.kinds?.includes(identity.kind)) return true
+  return identity.kind === "staff" && !!policy.permission && hasPermission(identity.role, policy.permission, identity.permissions)
+}
+
+/**
+ * Per-socket packet middleware (socket.use) that refuses events the sender's role may not emit
+ * @param {object} socket - Authenticated socket
+ */
+export const authorizeSocketEvent = (socket) => ([event], next) => {
+  if (canEmit(socket.data.identity, event)) {
+    return next()
+  }
+
+  winstonLogger.warn(`Socket ${socket.id} (${socket.data.identity?.role}) may not emit '${event}'`)
+  socket.emit("error", { message: `Not allowed to emit '${event}'`, code: 403 })
+}
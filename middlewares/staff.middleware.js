@@ -0,0 +1,117 @@
+import jwt from "jsonwebtoken"
+import { Staff } from "../models/staff.model.js"
+import { User } from "../models/user.model.js"
+import { Restaurant } from "../models/restaurant.model.js"
+import { hasPermission } from "../lib/permissions.js"
+import winstonLogger from "./logger.middleware.js"
+
+/**
+ * Error raised when a token does not identify staff for the restaurant
+ */
+export class StaffAuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message)
+    this.name = "StaffAuthError"
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Resolve the staff identity behind a JWT for a restaurant.
+ * Staff tokens (issued by /api/staff/login) carry a staffId. Regular user tokens
+ * are accepted for platform admins (role "admin") and for the restaurant owner
+ * (role "manager") so owners keep managing their restaurant without a staff account.
+ * Shared by the HTTP middleware and the Socket.IO handlers.
+ * @param {string} token - JWT
+ * @param {object|string} restaurant - Restaurant document or ID the action is scoped to
+ * @returns {Promise<{staff: object|null, user: object|null, role: string, permissions: Array<string>}>}
+ * @throws {StaffAuthError}
+ */
+export const resolveStaffFromToken = async (token, restaurant) => {
+  if (!token) {
+    throw new StaffAuthError("Not authorized, token missing")
+  }
+
+  let decoded
+  try {
+    decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
+  } catch (error) {
+    throw new StaffAuthError("Not authorized, token invalid")
+  }
+
+  const restaurantId = restaurant?._id || restaurant
+
+  if (decoded.staffId) {
+    const staff = await Staff.findById(decoded.staffId)
+    if (!staff || !staff.isActive) {
+      throw new StaffAuthError("Staff account not found or inactive")
+    }
+    if (restaurantId && staff.restaurant.toString() !== restaurantId.toString()) {
+      throw new StaffAuthError("Not authorized for this restaurant", 403)
+    }
+    return { staff, user: null, role: staff.role, permissions: staff.permissions || [] }
+  }
+
+  const user = await User.findById(decoded.userId || decoded.id).select("-password")
+  if (!user) {
+    throw new StaffAuthError("User not found")
+  }
+
+  if (user.isAdmin) {
+    return { staff: null, user, role: "admin", permissions: [] }
+  }
+
+  if (user.isRestaurantOwner && restaurantId) {
+    const restaurantDoc = restaurant?.owner ? restaurant : await Restaurant.findById(restaurantId)
+    if (restaurantDoc && restaurantDoc.owner.toString() === user._id.toString()) {
+      return { staff: null, user, role: "manager", permissions: [] }
+    }
+  }
+
+  throw new StaffAuthError("Staff access required", 403)
+}
+
+/**
+ * Authenticate a staff member (or admin/owner user) for the request's restaurant.
+ * Must be used after the resolveRestaurant middleware.
+ * Sets req.staff (null for admin/owner users), req.user, req.staffRole and req.staffPermissions.
+ */
+export const authenticateStaff = async (req, res, next) => {
+  let token
+  if (req.headers.authorization && req.headers.authorization.startsWith("Bearer")) {
+    token = req.headers.authorization.split(" ")[1]
+  }
+
+  try {
+    const { staff, user, role, permissions } = await resolveStaffFromToken(token, req.restaurant)
+    req.staff = staff
+    req.user = user
+    req.staffRole = role
+    req.staffPermissions = permissions
+    next()
+  } catch (error) {
+    if (error instanceof StaffAuthError) {
+      winstonLogger.warn(`Staff auth failed on ${req.method} ${req.originalUrl}: ${error.message}`)
+      return res.status(error.statusCode).json({ success: false, message: error.message })
+    }
+    next(error)
+  }
+}
+
+/**
+ * Require a permission for the route.
+ * Must be used after the authenticateStaff middleware.
+ * @param {string} permission - One of PERMISSIONS in lib/permissions.js
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.staffRole || !hasPermission(req.staffRole, permission, req.staffPermissions)) {
+    winstonLogger.warn(
+      `Permission '${permission}' denied for ${req.staff?._id || req.user?._id} (${req.staffRole || "no role"})`,
+    )
+    return res.status(403).json({
+      success: false,
+      message: `Permission '${permission}' required`,
+    })
+  }
+  next()
+}
@@ -1,15 +1,104 @@
 import mongoose from "mongoose"
 
+export const BILL_SPLIT_MODES = ["none", "item", "seat", "equal", "custom"]
+
+// A line of the bill, one per order item. Amounts are in major units, computed in cents
+// by services/billingService.js so they add up exactly.
+const billLineSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // order.items._id
+    menuItem: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" },
+    name: { type: String, required: true },
+    category: { type: String }, // picks the tax rate
+    seat: { type: Number },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true },
+    amount: { type: Number, required: true }, // before discounts and tax
+    discount: { type: Number, default: 0 }, // share of the bill discounts
+    taxRate: { type: Number, default: 0 }, // percent, frozen when the bill is generated
+    tax: { type: Number, default: 0 },
+  },
+  { _id: false },
+)
+
+export const BILL_DISCOUNT_TYPES = ["percent", "amount"]
+
+// Discounts apply in order, each one on what the previous ones left
+const billDiscountSchema = new mongoose.Schema({
+  label: { type: String, required: true },
+  type: { type: String, enum: BILL_DISCOUNT_TYPES, required: true },
+  value: { type: Number, required: true, min: 0 }, // percent or amount
+  amount: { type: Number, default: 0 }, // what it took off the bill
+  appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff", default: null },
+})
+
+// Tax collected at one rate
+const billTaxSchema = new mongoose.Schema(
+  {
+    rate: { type: Number, required: true },
+    taxable: { type: Number, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false },
+)
+
+// An order line (or some of its quantity) assigned to a bill part
+const billPartItemSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // order.items._id
+    name: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+    amount: { type: Number, required: true },
+  },
+  { _id: false },
+)
+
+// The share of a split bill one payer settles
+const billPartSchema = new mongoose.Schema({
+  label: { type: String, required: true }, // "Seat 2", "Guest 1 of 3"...
+  payer: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // gets bill_ready on their devices
+  seat: { type: Number },
+  items: [billPartItemSchema], // item and seat splits only
+  amount: { type: Number, required: true },
+  tip: { type: Number, default: 0 },
+  paymentStatus: { type: String, enum: ["pending", "paid"], default: "pending" },
+  paymentMethod: { type: String, enum: ["cash", "mobile_payment"] },
+  paidAt: { type: Date },
+  processedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+})
+
 const BillSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
   tableSessionId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "TableSession",
     required: true,
   },
-  total: { type: Number, required: true },
+  lines: [billLineSchema],
+  subtotal: { type: Number, default: 0 },
+  discounts: [billDiscountSchema],
+  discountTotal: { type: Number, default: 0 },
+  serviceChargeRate: { type: Number, default: 0 }, // percent of the discounted subtotal
+  serviceCharge: { type: Number, default: 0 },
+  taxes: [billTaxSchema],
+  tax: { type: Number, default: 0 },
+  total: { type: Number, required: true }, // subtotal - discounts + service charge + tax
+  tip: { type: Number, default: 0 }, // entered at payment, on top of the total
+  // Reservation deposit credited against the total, the table pays total - deposit.amount
+  deposit: {
+    reservation: { type: mongoose.Schema.Types.ObjectId, ref: "Reservation" },
+    amount: { type: Number, default: 0 },
+  },
   paymentStatus: {
     type: String,
-    enum: ["pending", "paid"],
+    enum: ["pending", "partially_paid", "paid", "partially_refunded", "refunded"],
     default: "pending",
   },
   paymentMethod: {
@@ -17,9 +106,28 @@ const BillSchema = new mongoose.Schema({
     enum: ["cash", "mobile_payment"],
   },
 
+  amountRefunded: { type: Number, default: 0 },
+
+  // A split bill is paid part by part, the bill is paid once every part is
+  splitMode: { type: String, enum: BILL_SPLIT_MODES, default: "none" },
+  parts: [billPartSchema],
+
   processedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" }, // cashier ID
+  invoiceNumber: { type: String }, // set the first time a receipt is issued
+  invoicedAt: { type: Date },
 })
 
+BillSchema.index(
+  { restaurant: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: "string" } } },
+)
+
+// One bill per table session, concurrent session ends share it (billingService.getOrCreateSessionBill)
+BillSchema.index(
+  { restaurant: 1, tableSessionId: 1 },
+  { unique: true, partialFilterExpression: { tableSessionId: { $type: "objectId" } } },
+)
+
 const Bill = mongoose.model("Bill", BillSchema)
 
 export default Bill
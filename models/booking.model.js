@@ -4,7 +4,7 @@ import mongoose from 'mongoose';
 const bookingSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    // restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true }, // <-- REMOVED
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
     date: { type: Date, required: true },
     time: { type: String, required: true },
     numberOfPeople: { type: Number, required: true },
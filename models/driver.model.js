@@ -0,0 +1,42 @@
+import mongoose from "mongoose"
+
+// offline outside a shift, available to take deliveries, or on_break during a shift
+export const DRIVER_STATUSES = ["offline", "available", "on_break"]
+
+export const DRIVER_VEHICLES = ["bicycle", "scooter", "car", "on_foot"]
+
+// Delivery side of a driver's Staff account (services/dispatchService.js), created on the first shift
+const driverSchema = new mongoose.Schema(
+  {
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    staff: { type: mongoose.Schema.Types.ObjectId, ref: "Staff", required: true },
+    status: { type: String, enum: DRIVER_STATUSES, default: "offline" },
+    vehicle: { type: String, enum: DRIVER_VEHICLES, default: "scooter" },
+    // Current shift, endsAt is when the driver stops taking new deliveries
+    shift: {
+      startedAt: { type: Date },
+      endsAt: { type: Date },
+    },
+    // Orders assigned and not delivered yet
+    activeOrders: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }],
+    lastAssignedAt: { type: Date },
+    // Last position streamed by the driver app
+    location: {
+      latitude: { type: Number },
+      longitude: { type: Number },
+      heading: { type: Number },
+      speed: { type: Number }, // m/s as reported by the device
+      accuracy: { type: Number }, // meters
+      updatedAt: { type: Date },
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+driverSchema.index({ staff: 1 }, { unique: true })
+driverSchema.index({ restaurant: 1, status: 1 })
+driverSchema.index({ status: 1, "shift.endsAt": 1 })
+
+export const Driver = mongoose.model("Driver", driverSchema)
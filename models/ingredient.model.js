@@ -0,0 +1,25 @@
+import mongoose from "mongoose"
+
+export const INGREDIENT_UNITS = ["g", "kg", "ml", "l", "pcs"]
+
+const ingredientSchema = new mongoose.Schema(
+  {
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    name: { type: String, required: true, trim: true },
+    unit: { type: String, enum: INGREDIENT_UNITS, default: "pcs" },
+    // Moved by services/inventoryService.js only, may go below zero when a confirmed order used more than was counted
+    stock: { type: Number, default: 0 },
+    lowStockThreshold: { type: Number, default: 0, min: 0 }, // alert when stock falls to this or below
+    // Set when the low-stock alert went out, cleared once stock is back above the threshold
+    lowStockAlertedAt: { type: Date },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Ingredient names only need to be unique inside a restaurant
+ingredientSchema.index({ restaurant: 1, name: 1 }, { unique: true })
+
+export const Ingredient = mongoose.model("Ingredient", ingredientSchema)
@@ -0,0 +1,79 @@
+import mongoose from "mongoose"
+
+export const LEDGER_TRANSACTION_TYPES = [
+  "topup", // money paid in (Stripe or another provider)
+  "order_payment", // order paid from the wallet
+  "order_payment_reversal", // wallet payment given back
+  "order_refund", // order refunded to the wallet
+  "reservation_deposit", // reservation deposit paid from the wallet
+  "reservation_deposit_refund", // reservation deposit given back to the wallet
+  "payout", // money sent to the user's bank
+  "refund", // a refunded top-up taken back out
+  "dispute", // a disputed top-up taken back out
+  "opening_balance", // balance carried over from before the ledger existed
+  "adjustment",
+]
+
+// pending: written, balance not touched yet; applying: claimed by the one attempt allowed to change
+// the balance; posted: applied to the balance; rejected: never applied
+export const LEDGER_TRANSACTION_STATUSES = ["pending", "applying", "posted", "rejected"]
+
+// One side of a transaction. Amounts are in minor units (cents).
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    account: { type: String, required: true }, // "wallet:<userId>", "stripe:clearing", "revenue:<restaurantId>"...
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // set on wallet accounts
+    direction: { type: String, enum: ["debit", "credit"], required: true },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+      validate: { validator: Number.isInteger, message: "Ledger amounts must be whole minor units" },
+    },
+  },
+  { _id: false },
+)
+
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    idempotencyKey: { type: String, required: true, unique: true },
+    type: { type: String, enum: LEDGER_TRANSACTION_TYPES, required: true },
+    status: { type: String, enum: LEDGER_TRANSACTION_STATUSES, default: "pending" },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // wallet owner
+    description: { type: String, required: true },
+    entries: { type: [ledgerEntrySchema], required: true },
+    // What the money moved for
+    reference: {
+      order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+      restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant" },
+      paymentId: { type: String }, // Stripe payment intent / charge id
+      externalId: { type: String }, // dispute, refund or provider id
+    },
+    balanceAfter: { type: Number }, // wallet balance (major units) right after posting
+    postedAt: { type: Date },
+    rejectionReason: { type: String },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Double entry: every transaction moves as much out of accounts as into them
+ledgerTransactionSchema.pre("validate", function (next) {
+  const totals = { debit: 0, credit: 0 }
+  for (const entry of this.entries) {
+    totals[entry.direction] += entry.amount
+  }
+  if (this.entries.length < 2 || totals.debit !== totals.credit) {
+    return next(new Error("Ledger transaction entries must balance"))
+  }
+  next()
+})
+
+ledgerTransactionSchema.index({ user: 1, status: 1, createdAt: -1 })
+ledgerTransactionSchema.index({ "entries.account": 1, status: 1 })
+ledgerTransactionSchema.index({ "reference.paymentId": 1, type: 1 })
+ledgerTransactionSchema.index({ "reference.order": 1 })
+ledgerTransactionSchema.index({ status: 1, createdAt: 1 })
+
+export const LedgerTransaction = mongoose.model("LedgerTransaction", ledgerTransactionSchema)
@@ -1,10 +1,72 @@
 import mongoose from "mongoose";
+import { normalizeSearchText, searchTokens, textTrigrams } from "../lib/searchText.js";
+import { SUPPORTED_LOCALES } from "../lib/i18n/index.js";
 
 
+// A choice inside a modifier group ("Large", "Medium rare", "Extra cheese")
+const modifierOptionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  priceDelta: { type: Number, default: 0 }, // added to the item price, negative for cheaper choices
+  isDefault: { type: Boolean, default: false }, // picked when the customer chooses nothing in the group
+  isAvailable: { type: Boolean, default: true },
+});
+
+// A set of choices on an item (size, doneness, extra toppings) and how many may be picked
+const modifierGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  minSelections: { type: Number, default: 0, min: 0 }, // 1 or more makes the group required
+  maxSelections: { type: Number, default: 1, min: 1 },
+  options: {
+    type: [modifierOptionSchema],
+    validate: {
+      validator: (options) => options.length > 0,
+      message: "A modifier group needs at least one option",
+    },
+  },
+  isAvailable: { type: Boolean, default: true },
+});
+
+modifierGroupSchema.pre("validate", function (next) {
+  if (this.maxSelections < this.minSelections) {
+    this.invalidate("maxSelections", `Modifier group ${this.name}: maxSelections is lower than minSelections`);
+  }
+  if (this.minSelections > this.options.length) {
+    this.invalidate("minSelections", `Modifier group ${this.name} requires more selections than it has options`);
+  }
+  next();
+});
+
+// A price the item switches to at startsAt, applied to `price` by the menu schedule job
+const scheduledPriceSchema = new mongoose.Schema({
+  price: { type: Number, required: true, min: 0 },
+  startsAt: { type: Date, required: true },
+});
+
+// How much of an ingredient one unit of the item uses, in the ingredient's unit
+const recipeLineSchema = new mongoose.Schema(
+  {
+    ingredient: { type: mongoose.Schema.Types.ObjectId, ref: "Ingredient", required: true },
+    quantity: { type: Number, required: true, min: 0 },
+  },
+  { _id: false },
+);
+
+// A text in each supported language, missing ones fall back to the text the restaurant wrote
+const translatedTextSchema = new mongoose.Schema(
+  Object.fromEntries(SUPPORTED_LOCALES.map((locale) => [locale, { type: String, trim: true }])),
+  { _id: false },
+);
+
 const menuItemSchema = new mongoose.Schema(
   {
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true, index: true },
     name: { type: String, required: true },
     description: { type: String },
+    // Name and description shown to customers asking for another language (lib/i18n)
+    translations: {
+      name: { type: translatedTextSchema, default: () => ({}) },
+      description: { type: translatedTextSchema, default: () => ({}) },
+    },
     price: { type: Number, required: true },
     image: { type: String },
     category: {
@@ -24,13 +86,35 @@ const menuItemSchema = new mongoose.Schema(
       low_sodium: Boolean,
     },
     isAvailable: { type: Boolean, default: true },
+    // Set when the item is 86'd for a while, the menu schedule job makes it available again then
+    restoreAvailabilityAt: { type: Date },
+    // Keys of restaurant.dayparts the item is served in, empty means whenever the restaurant serves
+    dayparts: [{ type: String, lowercase: true, trim: true }],
+    // Seasonal items are only served between these dates
+    availableFrom: { type: Date },
+    availableUntil: { type: Date },
+    scheduledPrices: [scheduledPriceSchema],
+    // Stock is deducted from these ingredients when an order is confirmed (services/inventoryService.js)
+    recipe: [recipeLineSchema],
+    // Set when the item was taken off the menu because an ingredient ran out, so restocking brings it back
+    soldOut: { type: Boolean, default: false },
     isPopular: { type: Boolean, default: false },
     preparationTime: { type: Number }, 
+    // Kitchen station override, otherwise the station is picked from the category
+    station: { type: String, lowercase: true, trim: true },
+    modifierGroups: [modifierGroupSchema], // priced on the server by services/modifierService.js
+    // Search index fields, kept in sync by the pre-save hook below (services/menuSearchService.js)
+    searchName: { type: String },
+    searchGrams: [{ type: String }], // trigrams of name and category, for typo tolerant matching
+    searchKeywords: [{ type: String }], // every normalized word of name, category and description
     matrixIndex: { type: Number, unique: true, sparse: true },
     cfFeatures: { 
       type: [Number], 
       default: () => Array(10).fill(0).map(() => Math.random())
     },
+    // Set with cfFeatures by the recommender, items never trained on have random features
+    cfBias: { type: Number, default: 0 },
+    cfTrainedAt: { type: Date },
     
   },
   {
@@ -38,6 +122,31 @@ const menuItemSchema = new mongoose.Schema(
   },
 );
 
+// Rebuild the search fields when the text they come from changes.
+// Translated names and descriptions are indexed too, so "بيتزا" finds the pizza.
+menuItemSchema.pre("save", function (next) {
+  const textChanged = ["name", "category", "description", "translations"].some((path) => this.isModified(path));
+  if (this.isNew || textChanged) {
+    const translated = (field) =>
+      SUPPORTED_LOCALES.map((locale) => this.translations?.[field]?.[locale])
+        .filter(Boolean)
+        .join(" ");
+    const names = `${this.name} ${translated("name")}`;
+    this.searchName = normalizeSearchText(this.name);
+    this.searchGrams = textTrigrams(`${names} ${this.category}`);
+    this.searchKeywords = [
+      ...new Set(searchTokens(`${names} ${this.category} ${this.description || ""} ${translated("description")}`)),
+    ];
+  }
+  next();
+});
+
+menuItemSchema.index({ restaurant: 1, searchGrams: 1 });
+menuItemSchema.index({ restaurant: 1, searchKeywords: 1 });
+menuItemSchema.index({ isAvailable: 1, restoreAvailabilityAt: 1 });
+menuItemSchema.index({ "scheduledPrices.startsAt": 1 });
+menuItemSchema.index({ "recipe.ingredient": 1 });
+
 const MenuItem = mongoose.model("MenuItem", menuItemSchema);
 
 export default MenuItem;
\ No newline at end of file
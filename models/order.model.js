@@ -8,20 +8,102 @@ const orderItemSchema = new mongoose.Schema({
   quantity: { type: Number, required: true, default: 1 },
   total: { type: Number, required: true },
   specialInstructions: { type: String },
+  station: { type: String }, // kitchen station preparing the item
+  seat: { type: Number, min: 1 }, // dine-in seat the item is for, used to split the bill
+  refundedQuantity: { type: Number, default: 0 },
+  currentUserRating: { type: Number, min: 1, max: 5 }, // the customer's rating, also saved as a Rating
+  // Modifiers chosen on the menu item, price is the delta already included in the item price
   addons: [
     {
+      group: { type: mongoose.Schema.Types.ObjectId }, // menuItem.modifierGroups._id
+      groupName: { type: String },
+      option: { type: mongoose.Schema.Types.ObjectId }, // modifierGroups.options._id
       name: { type: String },
       price: { type: Number },
     },
   ],
 });
 
+export const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "preparing",
+  "ready_for_pickup",
+  "served",
+  "picked_up", // delivery collected by the driver
+  "out_for_delivery",
+  "delivered",
+  "completed",
+  "cancelled",
+];
+
+// One entry per status change (audit trail)
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: [...ORDER_STATUSES, null], default: null },
+    to: { type: String, enum: ORDER_STATUSES, required: true },
+    // Customers and owners are Users, kitchen/floor staff are Staff accounts
+    changedBy: { type: mongoose.Schema.Types.ObjectId, refPath: "statusHistory.changedByModel", default: null },
+    changedByModel: { type: String, enum: ["User", "Staff"], default: "User" },
+    reason: { type: String, default: "" },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// refunded/partially_refunded are set by refunds (services/refundService.js) and Stripe webhooks,
+// disputed by Stripe webhooks
+export const PAYMENT_STATUSES = ["pending", "paid", "failed", "partially_refunded", "refunded", "disputed"];
+
+export const STATION_TICKET_STATUSES = ["pending", "preparing", "ready", "cancelled"];
+
+// The part of an order one kitchen station prepares
+const stationTicketSchema = new mongoose.Schema(
+  {
+    station: { type: String, required: true },
+    items: [{ type: mongoose.Schema.Types.ObjectId }], // _ids of entries in order.items
+    status: { type: String, enum: STATION_TICKET_STATUSES, default: "pending" },
+    startedAt: { type: Date },
+    readyAt: { type: Date },
+    readyBy: { type: mongoose.Schema.Types.ObjectId, refPath: "stationTickets.readyByModel" },
+    readyByModel: { type: String, enum: ["User", "Staff"], default: "Staff" },
+  },
+  { _id: false }
+);
+
+// Photo and details the driver records when handing a delivery over
+const proofOfDeliverySchema = new mongoose.Schema(
+  {
+    photoUrl: { type: String, required: true },
+    photoPublicId: { type: String },
+    recipientName: { type: String },
+    notes: { type: String },
+    latitude: { type: Number },
+    longitude: { type: Number },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
+    // Orders from before restaurants existed get one from scripts/backfill-restaurant.js
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User"},
     items: [orderItemSchema],
     TableId: { type: mongoose.Schema.Types.ObjectId, ref: "Table" },
     subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 }, // promotion discount, taken off the subtotal
+    // Promotion applied when the order was placed, released again if the order is cancelled
+    promotion: {
+      promotion: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
+      code: { type: String },
+      name: { type: String },
+      type: { type: String },
+      amount: { type: Number },
+      redeemedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // signed in customer whose use was counted
+      releasedAt: { type: Date },
+    },
     deliveryFee: { type: Number, required: true },
     total: { type: Number, required: true },
     orderType: {
@@ -31,12 +113,18 @@ const orderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "confirmed", "preparing", "cancelled", "ready_for_pickup"],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
-    paymentStatus: { type: String, enum: ["pending", "paid", "failed"], default: "pending" },
+    statusHistory: [statusHistorySchema],
+    stationTickets: [stationTicketSchema],
+    paymentStatus: { type: String, enum: PAYMENT_STATUSES, default: "pending" },
     paymentMethod: { type: String, enum: ["card", "cash", "wallet"], default: "cash" },
     paymentId: { type: String },
+    amountRefunded: { type: Number, default: 0 },
+    // Recipe stock taken when the order was confirmed and given back if it is cancelled
+    inventoryDeductedAt: { type: Date },
+    inventoryRestoredAt: { type: Date },
     deliveryAddress: {
       address: { type: String, required: true },
       apartment: { type: String },
@@ -47,11 +135,31 @@ const orderSchema = new mongoose.Schema(
     deliveryInstructions: { type: String },
     estimatedDeliveryTime: { type: Date },
     actualDeliveryTime: { type: Date },
-    driverId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    // Driver delivering the order (services/dispatchService.js), a Staff account with the driver role
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    dispatch: {
+      assignedAt: { type: Date },
+      assignedBy: { type: mongoose.Schema.Types.ObjectId, refPath: "dispatch.assignedByModel" },
+      assignedByModel: { type: String, enum: ["User", "Staff"] },
+      auto: { type: Boolean }, // picked by auto-dispatch rather than by a dispatcher
+    },
+    proofOfDelivery: { type: proofOfDeliverySchema, default: undefined },
+    invoiceNumber: { type: String }, // set the first time a receipt is issued
+    invoicedAt: { type: Date },
   },
   {
     timestamps: true,
   }
 );
 
+orderSchema.index({ restaurant: 1, status: 1, createdAt: 1 });
+orderSchema.index({ restaurant: 1, user: 1, createdAt: -1 });
+orderSchema.index({ paymentId: 1 }, { sparse: true });
+orderSchema.index(
+  { restaurant: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: "string" } } }
+);
+orderSchema.index({ restaurant: 1, "stationTickets.station": 1, "stationTickets.status": 1 });
+orderSchema.index({ restaurant: 1, orderType: 1, status: 1, driverId: 1 });
+
 export const Order = mongoose.model("Order", orderSchema);
\ No newline at end of file
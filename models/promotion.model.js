@@ -0,0 +1,76 @@
+import mongoose from "mongoose"
+
+// percent: value % off the eligible items, fixed: value off them,
+// buy_x_get_y: for every buyQuantity eligible units, getQuantity more at getDiscountPercent % off
+export const PROMOTION_TYPES = ["percent", "fixed", "buy_x_get_y"]
+
+const promotionSchema = new mongoose.Schema(
+  {
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String },
+    // Customers type the code at checkout. Promotions without one apply by themselves.
+    code: { type: String, trim: true, uppercase: true },
+    type: { type: String, enum: PROMOTION_TYPES, required: true },
+    value: { type: Number, default: 0, min: 0 }, // percent or amount, unused by buy_x_get_y
+    buyQuantity: { type: Number, min: 1 },
+    getQuantity: { type: Number, min: 1 },
+    getDiscountPercent: { type: Number, default: 100, min: 1, max: 100 },
+    maxDiscount: { type: Number, min: 0 }, // caps percent and buy_x_get_y discounts
+    // Items the offer is limited to, both empty means the whole order
+    categories: [{ type: String, lowercase: true, trim: true }],
+    menuItems: [{ type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" }],
+    minOrderValue: { type: Number, default: 0, min: 0 }, // on the order subtotal
+    usageLimit: { type: Number, min: 1 }, // orders in total, unlimited when unset
+    perUserLimit: { type: Number, min: 1 }, // orders per customer, needs a signed-in customer
+    usageCount: { type: Number, default: 0 },
+    startsAt: { type: Date },
+    endsAt: { type: Date },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, refPath: "createdByModel" },
+    createdByModel: { type: String, enum: ["User", "Staff"], default: "Staff" },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+promotionSchema.pre("validate", function (next) {
+  if (this.type === "percent" && !(this.value > 0 && this.value <= 100)) {
+    this.invalidate("value", "A percent promotion needs a value between 0 and 100")
+  }
+  if (this.type === "fixed" && !(this.value > 0)) {
+    this.invalidate("value", "A fixed promotion needs a positive value")
+  }
+  if (this.type === "buy_x_get_y" && !(this.buyQuantity && this.getQuantity)) {
+    this.invalidate("buyQuantity", "A buy X get Y promotion needs buyQuantity and getQuantity")
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt")
+  }
+  next()
+})
+
+// A code is unique inside a restaurant
+promotionSchema.index(
+  { restaurant: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: "string" } } },
+)
+promotionSchema.index({ restaurant: 1, isActive: 1, endsAt: 1 })
+
+// How many orders a customer placed with a promotion, enforces perUserLimit atomically
+const promotionUsageSchema = new mongoose.Schema(
+  {
+    promotion: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    count: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+promotionUsageSchema.index({ promotion: 1, user: 1 }, { unique: true })
+
+export const Promotion = mongoose.model("Promotion", promotionSchema)
+export const PromotionUsage = mongoose.model("PromotionUsage", promotionUsageSchema)
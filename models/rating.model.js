@@ -0,0 +1,24 @@
+import mongoose from "mongoose"
+
+// Where a rating came from, only "manual_order" ratings are given by the customer
+export const RATING_SOURCES = ["manual_order", "favorite"]
+
+// A user's rating of a menu item (1 to 5), the training data of the recommender
+// (services/recommendationService.js). One rating per user and item, rating again replaces it.
+const ratingSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    menuItem: { type: mongoose.Schema.Types.ObjectId, ref: "MenuItem", required: true },
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant" },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    source: { type: String, enum: RATING_SOURCES, default: "manual_order" },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+ratingSchema.index({ user: 1, menuItem: 1 }, { unique: true })
+ratingSchema.index({ menuItem: 1 })
+
+export const Rating = mongoose.model("Rating", ratingSchema)
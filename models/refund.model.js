@@ -0,0 +1,54 @@
+import mongoose from "mongoose"
+
+// How the money goes back: card through Stripe, wallet through the ledger,
+// cash handed over by the cashier, manual for mobile payments settled outside the app
+export const REFUND_METHODS = ["card", "wallet", "cash", "manual"]
+// processing: the amount is reserved and the money is being sent. A refund left processing
+// (no answer from the provider) is sent again under the same key by services/refundService.js
+export const REFUND_STATUSES = ["pending", "processing", "succeeded", "failed"]
+
+// A refunded order line (bills name the order the line belongs to)
+const refundItemSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    item: { type: mongoose.Schema.Types.ObjectId, required: true }, // order.items._id
+    name: { type: String },
+    quantity: { type: Number, required: true, min: 1 },
+    amount: { type: Number, required: true },
+  },
+  { _id: false },
+)
+
+const refundSchema = new mongoose.Schema(
+  {
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" }, // set for order refunds
+    bill: { type: mongoose.Schema.Types.ObjectId, ref: "Bill" }, // set for bill refunds
+    reservation: { type: mongoose.Schema.Types.ObjectId, ref: "Reservation" }, // set for deposit refunds
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // customer receiving the money
+    amount: { type: Number, required: true, min: 0.01 },
+    items: [refundItemSchema], // empty for amount-only refunds
+    reason: { type: String, default: "" },
+    method: { type: String, enum: REFUND_METHODS, required: true },
+    status: { type: String, enum: REFUND_STATUSES, default: "pending" },
+    idempotencyKey: { type: String, unique: true, sparse: true },
+    stripeRefundId: { type: String },
+    ledgerTransaction: { type: mongoose.Schema.Types.ObjectId, ref: "LedgerTransaction" },
+    failureReason: { type: String },
+    // Cash refunds are recorded against the cashier who handed the money back
+    processedBy: { type: mongoose.Schema.Types.ObjectId, refPath: "processedByModel", default: null },
+    processedByModel: { type: String, enum: ["User", "Staff"], default: "Staff" },
+    completedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+refundSchema.index({ restaurant: 1, createdAt: -1 })
+refundSchema.index({ order: 1, createdAt: -1 })
+refundSchema.index({ bill: 1, createdAt: -1 })
+refundSchema.index({ reservation: 1, createdAt: -1 })
+refundSchema.index({ restaurant: 1, method: 1, processedBy: 1, createdAt: -1 })
+
+export const Refund = mongoose.model("Refund", refundSchema)
@@ -1,25 +1,73 @@
 import mongoose from "mongoose";
 
+// pending: waiting for its deposit, the tables are held until deposit.dueBy
+export const RESERVATION_STATUSES = ["pending", "confirmed", "seated", "cancelled", "completed", "no-show"];
+
+// paid deposits end up applied to the bill, refunded (fully or partly) or forfeited.
+// cancelled: the booking went away before the deposit was paid.
+export const DEPOSIT_STATUSES = ["pending", "paid", "applied", "refunded", "partially_refunded", "forfeited", "cancelled"];
+
+// Deposit taken when booking (services/depositService.js), amounts in major units
+const depositSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true, min: 0.01 },
+    status: { type: String, enum: DEPOSIT_STATUSES, default: "pending" },
+    dueBy: { type: Date }, // unpaid after this, the booking is released
+    method: { type: String, enum: ["card", "wallet"] },
+    paymentIntentId: { type: String },
+    ledgerTransaction: { type: mongoose.Schema.Types.ObjectId, ref: "LedgerTransaction" },
+    paidAt: { type: Date },
+    // Credited against the bill of the party's table session
+    bill: { type: mongoose.Schema.Types.ObjectId, ref: "Bill" },
+    appliedAmount: { type: Number, default: 0 },
+    forfeitedAmount: { type: Number, default: 0 },
+    // Owed back to the guest and not refunded yet, retried until it goes through
+    refundDue: { type: Number, default: 0 },
+    refundReason: { type: String },
+    refundedAmount: { type: Number, default: 0 },
+    refund: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+    settledAt: { type: Date },
+  },
+  { _id: false },
+);
+
 const ReservationSchema = new mongoose.Schema(
   {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    // First of the assigned tables, kept for clients reading a single table
     tableId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Table",
       required: true,
     },
+    // Every table held by the booking, more than one when tables are combined
+    tables: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Table",
+      },
+    ],
     reservationTime: { type: Date, required: true },
+    // When the tables are free again, reservationTime plus the seating duration for the party
+    endTime: { type: Date },
+    // pending while a deposit is unpaid, confirmed until the party arrives (seated) or is marked no-show after the grace period
     status: {
       type: String,
-      enum: ["confirmed", "cancelled", "completed", "no-show"],
+      enum: RESERVATION_STATUSES,
       default: "confirmed",
     },
     guests: { type: Number, required: true },
     paymentMethod: { type: String, enum: ["card", "cash", "wallet"], default: "cash" },
+    deposit: { type: depositSchema, default: undefined },
     specialRequests: { type: String },
     preSelectedMenu: [
       {
@@ -33,13 +81,29 @@ const ReservationSchema = new mongoose.Schema(
         specialInstructions: { type: String },
       },
     ],
-
+    // Next reminder to send (services/reservationService.js), unset once every reminder went out
+    nextReminderAt: { type: Date },
+    lastReminderAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: String, enum: ["customer", "staff", "system"] },
+    cancellationReason: { type: String },
+    noShowAt: { type: Date },
+    // Set when the party checks in: the session opened at the table and the order of preSelectedMenu
+    seatedAt: { type: Date },
+    tableSession: { type: mongoose.Schema.Types.ObjectId, ref: "TableSession" },
+    preOrder: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
   },
   { timestamps: true }
 );
 
 ReservationSchema.index({ tableId: 1, reservationTime: 1 });
+ReservationSchema.index({ tables: 1, reservationTime: 1 });
+ReservationSchema.index({ restaurant: 1, reservationTime: 1 });
 ReservationSchema.index({ userId: 1, reservationTime: -1 });
+ReservationSchema.index({ status: 1, nextReminderAt: 1 });
+ReservationSchema.index({ status: 1, reservationTime: 1 });
+ReservationSchema.index({ status: 1, "deposit.dueBy": 1 });
+ReservationSchema.index({ "deposit.refundDue": 1 });
 
 
 
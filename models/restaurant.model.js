@@ -0,0 +1,193 @@
+import mongoose from "mongoose"
+import { SUPPORTED_LOCALES } from "../lib/i18n/index.js"
+
+const kitchenStationSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, lowercase: true, trim: true },
+    name: { type: String, required: true },
+    categories: [{ type: String, lowercase: true, trim: true }],
+    isDefault: { type: Boolean, default: false }, // receives items no other station claims
+  },
+  { _id: false },
+)
+
+// Tax rate of a menu category, in percent
+const categoryTaxRateSchema = new mongoose.Schema(
+  {
+    category: { type: String, required: true, lowercase: true, trim: true },
+    rate: { type: Number, required: true, min: 0, max: 100 },
+  },
+  { _id: false },
+)
+
+// Name of a menu category in each supported language, the category itself is what items store
+const categoryTranslationSchema = new mongoose.Schema(
+  {
+    category: { type: String, required: true, lowercase: true, trim: true },
+    names: Object.fromEntries(SUPPORTED_LOCALES.map((locale) => [locale, { type: String, trim: true }])),
+  },
+  { _id: false },
+)
+
+// A named time window of the menu ("breakfast", "weekend brunch") in the restaurant's timezone.
+// endTime before startTime runs past midnight.
+const daypartSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, lowercase: true, trim: true },
+    name: { type: String, required: true },
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }], // 0 is Sunday, empty means every day
+      default: [],
+    },
+    startTime: { type: String, required: true, match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Times must be HH:mm"] },
+    endTime: { type: String, required: true, match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Times must be HH:mm"] },
+  },
+  { _id: false },
+)
+
+// Hours reservations can be seated in, in the restaurant's timezone. endTime before startTime runs past midnight.
+const openingHoursSchema = new mongoose.Schema(
+  {
+    days: {
+      type: [{ type: Number, min: 0, max: 6 }], // 0 is Sunday, empty means every day
+      default: [],
+    },
+    startTime: { type: String, required: true, match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Times must be HH:mm"] },
+    endTime: { type: String, required: true, match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Times must be HH:mm"] },
+  },
+  { _id: false },
+)
+
+// How long a party of up to maxGuests keeps its table
+const seatingDurationSchema = new mongoose.Schema(
+  {
+    maxGuests: { type: Number, required: true, min: 1 },
+    minutes: { type: Number, required: true, min: 15, max: 600 },
+  },
+  { _id: false },
+)
+
+const restaurantSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    description: { type: String },
+    logo: { type: String },
+    cuisines: [{ type: String }],
+    contactPhone: { type: String },
+    email: { type: String, lowercase: true },
+    address: {
+      street: { type: String },
+      city: { type: String },
+      country: { type: String },
+    },
+    // GeoJSON point, coordinates are [longitude, latitude]
+    location: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: { type: [Number], default: [0, 0] },
+    },
+    timezone: { type: String, default: "Africa/Algiers" },
+    currency: { type: String, default: "usd" },
+    features: {
+      dineIn: { type: Boolean, default: true },
+      takeAway: { type: Boolean, default: true },
+      delivery: { type: Boolean, default: true },
+      tableBooking: { type: Boolean, default: true },
+    },
+    // Kitchen stations and the menu categories each one prepares.
+    // Empty means DEFAULT_KITCHEN_STATIONS from services/kitchenStationService.js
+    kitchenStations: {
+      type: [kitchenStationSchema],
+      validate: {
+        validator: (stations) => new Set(stations.map((station) => station.key)).size === stations.length,
+        message: "Kitchen station keys must be unique",
+      },
+    },
+    // Menu items listing dayparts are only served inside one of them (services/menuScheduleService.js)
+    dayparts: {
+      type: [daypartSchema],
+      validate: {
+        validator: (dayparts) => new Set(dayparts.map((daypart) => daypart.key)).size === dayparts.length,
+        message: "Daypart keys must be unique",
+      },
+    },
+    // Category names shown to customers asking for another language (lib/i18n)
+    categoryTranslations: {
+      type: [categoryTranslationSchema],
+      validate: {
+        validator: (entries) => new Set(entries.map((entry) => entry.category)).size === entries.length,
+        message: "Each category can only be translated once",
+      },
+    },
+    // Used to compute reservation slots and table assignments (services/reservationService.js)
+    reservationSettings: {
+      // Empty means DEFAULT_OPENING_HOURS from services/reservationService.js
+      openingHours: [openingHoursSchema],
+      slotIntervalMinutes: { type: Number, default: 30, min: 5, max: 240 },
+      seatingDurations: {
+        type: [seatingDurationSchema],
+        validate: {
+          validator: (durations) => new Set(durations.map((entry) => entry.maxGuests)).size === durations.length,
+          message: "Each party size can only have one seating duration",
+        },
+      },
+      defaultSeatingMinutes: { type: Number, default: 90, min: 15, max: 600 }, // parties larger than every seatingDurations entry
+      turnoverMinutes: { type: Number, default: 0, min: 0, max: 120 }, // cleaning time between two bookings of a table
+      maxPartySize: { type: Number, default: 12, min: 1 },
+      // Customers cannot change or cancel closer than this to their time, staff always can
+      modificationCutoffMinutes: { type: Number, default: 120, min: 0, max: 10080 },
+      cancellationCutoffMinutes: { type: Number, default: 120, min: 0, max: 10080 },
+      // Reminders go out this many minutes before the reservation, on each channel the guest allows
+      reminderLeadMinutes: { type: [{ type: Number, min: 5, max: 10080 }], default: [1440, 120] },
+      reminderChannels: { type: [{ type: String, enum: ["push", "sms", "email"] }], default: ["push", "sms", "email"] },
+      // Parties not checked in this long after their time are marked no-show and their tables freed
+      noShowGraceMinutes: { type: Number, default: 15, min: 0, max: 240 },
+      // Deposits taken when booking (services/depositService.js), none while amountPerGuest is 0
+      deposit: {
+        amountPerGuest: { type: Number, default: 0, min: 0 },
+        minPartySize: { type: Number, min: 1 }, // required from this party size, unset means never by size
+        dates: [{ type: String, match: [/^\d{4}-\d{2}-\d{2}$/, "Dates must be YYYY-MM-DD"] }], // required whatever the size
+        // An unpaid deposit holds the tables this long, then the booking is released
+        paymentWindowMinutes: { type: Number, default: 30, min: 5, max: 1440 },
+        // Guests cancelling at least this long before their time get everything back, later only lateRefundPercent
+        refundCutoffMinutes: { type: Number, default: 1440, min: 0, max: 10080 },
+        lateRefundPercent: { type: Number, default: 0, min: 0, max: 100 },
+      },
+    },
+    // Driver assignment and delivery ETAs (services/dispatchService.js)
+    deliverySettings: {
+      // Ready delivery orders go to the closest available driver without waiting for a dispatcher
+      autoAssign: { type: Boolean, default: true },
+      maxOrdersPerDriver: { type: Number, default: 1, min: 1, max: 10 },
+      // Drivers further than this from the restaurant are not auto-assigned, 0 means no limit
+      maxAssignDistanceKm: { type: Number, default: 0, min: 0 },
+      handoverMinutes: { type: Number, default: 5, min: 0, max: 60 }, // added to ETAs for pick-up and drop-off
+      requireProofOfDelivery: { type: Boolean, default: false }, // delivered only with a photo
+    },
+    // Used when bills are generated (services/billingService.js), bills keep the rates they were made with
+    billing: {
+      taxRates: {
+        type: [categoryTaxRateSchema],
+        validate: {
+          validator: (rates) => new Set(rates.map((entry) => entry.category)).size === rates.length,
+          message: "Each category can only have one tax rate",
+        },
+      },
+      defaultTaxRate: { type: Number, default: 0, min: 0, max: 100 }, // categories without their own rate
+      serviceChargeRate: { type: Number, default: 0, min: 0, max: 100 }, // dine-in bills, not taxed
+      invoicePrefix: { type: String, default: "INV", trim: true, uppercase: true },
+      taxId: { type: String, trim: true }, // printed on receipts
+    },
+    // Last invoice number issued, only ever incremented by services/receiptService.js
+    invoiceSequence: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+restaurantSchema.index({ location: "2dsphere" })
+restaurantSchema.index({ owner: 1 })
+
+export const Restaurant = mongoose.model("Restaurant", restaurantSchema)
@@ -4,7 +4,7 @@ import mongoose from 'mongoose';
 const reviewSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    // restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true }, // <-- REMOVED
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant', required: true },
     order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
     rating: { type: Number, required: true, min: 1, max: 5 },
     review: { type: String },
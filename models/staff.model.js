@@ -0,0 +1,51 @@
+import mongoose from "mongoose"
+import crypto from "crypto"
+import { promisify } from "util"
+import { STAFF_ROLES, PERMISSIONS } from "../lib/permissions.js"
+
+const scrypt = promisify(crypto.scrypt)
+
+const staffSchema = new mongoose.Schema(
+  {
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    fullName: { type: String, required: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    mobileNumber: { type: String },
+    password: { type: String, required: true, select: false }, // "salt:hash" (scrypt)
+    role: { type: String, enum: STAFF_ROLES, required: true },
+    // Extra permissions granted on top of the role
+    permissions: [{ type: String, enum: Object.values(PERMISSIONS) }],
+    isActive: { type: Boolean, default: true },
+    lastLogin: { type: Date },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+staffSchema.index({ restaurant: 1, email: 1 }, { unique: true })
+
+// Hash the password whenever it is set or changed
+staffSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) return next()
+  const salt = crypto.randomBytes(16).toString("hex")
+  const hash = await scrypt(this.password, salt, 64)
+  this.password = `${salt}:${hash.toString("hex")}`
+  next()
+})
+
+/**
+ * Compare a plain password with the stored hash
+ * The document must have been loaded with .select("+password")
+ * @param {string} candidate - Plain text password
+ * @returns {Promise<boolean>}
+ */
+staffSchema.methods.comparePassword = async function (candidate) {
+  if (!this.password || !candidate) return false
+  const [salt, storedHash] = this.password.split(":")
+  const hash = await scrypt(candidate, salt, 64)
+  const stored = Buffer.from(storedHash, "hex")
+  return stored.length === hash.length && crypto.timingSafeEqual(stored, hash)
+}
+
+export const Staff = mongoose.model("Staff", staffSchema)
@@ -0,0 +1,25 @@
+import mongoose from "mongoose"
+
+// processing: claimed by a webhook delivery, processed/ignored: done, failed: retried on the next delivery
+export const STRIPE_EVENT_STATUSES = ["processing", "processed", "ignored", "failed"]
+
+const stripeEventSchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true, unique: true }, // Stripe event id (evt_...)
+    type: { type: String, required: true },
+    objectId: { type: String }, // id of event.data.object (pi_..., ch_..., dp_...)
+    livemode: { type: Boolean, default: false },
+    status: { type: String, enum: STRIPE_EVENT_STATUSES, default: "processing" },
+    attempts: { type: Number, default: 1 },
+    error: { type: String },
+    processedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+stripeEventSchema.index({ type: 1, createdAt: -1 })
+stripeEventSchema.index({ status: 1, updatedAt: 1 })
+
+export const StripeEvent = mongoose.model("StripeEvent", stripeEventSchema)
@@ -1,6 +1,12 @@
 import mongoose from "mongoose"
 
 const tableSessionSchema = new mongoose.Schema({
+  restaurant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    index: true,
+  },
   tableId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Table",
@@ -19,7 +25,7 @@ const tableSessionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["active", "closed"],
+    enum: ["active", "payment_pending", "closed"],
     default: "active",
   },
   orders: [
@@ -34,6 +40,18 @@ const tableSessionSchema = new mongoose.Schema({
   },
 })
 
+// Closing the session of a seated reservation completes the reservation
+tableSessionSchema.pre("save", function (next) {
+  this.$locals.closed = this.isModified("status") && this.status === "closed"
+  next()
+})
+
+tableSessionSchema.post("save", async function (session) {
+  if (session.$locals.closed && session.reservationid) {
+    await mongoose.model("Reservation").updateOne({ _id: session.reservationid, status: "seated" }, { status: "completed" })
+  }
+})
+
 const TableSession = mongoose.model("TableSession", tableSessionSchema)
 
 export default TableSession
@@ -1,11 +1,15 @@
 // In models/table.model.js
 import mongoose from "mongoose"
+import crypto from "crypto"
 const tableSchema = new mongoose.Schema(
   {
+    restaurant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
     tableId: {
-      type: String,
-      unique: true,
-      sparse: true, // Allows null values while maintaining uniqueness for non-null values
+      type: String, // Unique per restaurant, see index below
     },
     status: {
       type: String,
@@ -20,8 +24,65 @@ const tableSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Seating used by reservations (services/reservationService.js)
+    capacity: {
+      type: Number,
+      min: 1,
+      default: 4,
+    },
+    // Smallest party worth giving the table to on its own, keeps large tables for large parties
+    minCapacity: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Tables this one can be pushed together with for a larger party, kept symmetric by the controller
+    combinableWith: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Table",
+      },
+    ],
+    isReservable: {
+      type: Boolean,
+      default: true,
+    },
+    // SHA-256 of the tablet's socket credential, the secret itself is only returned once
+    deviceSecretHash: {
+      type: String,
+      select: false,
+    },
   },
   { timestamps: true },
 );
 
+// Table identifiers only need to be unique inside a restaurant
+tableSchema.index({ restaurant: 1, tableId: 1 }, { unique: true, sparse: true });
+
+const hashDeviceSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+/**
+ * Generate a new device credential for the table's tablet (replaces any previous one).
+ * The caller must save the table and hand the returned secret to the device.
+ * @returns {string} - Plain device secret
+ */
+tableSchema.methods.issueDeviceSecret = function () {
+  const secret = crypto.randomBytes(32).toString("hex");
+  this.deviceSecretHash = hashDeviceSecret(secret);
+  return secret;
+};
+
+/**
+ * Check a device credential
+ * The document must have been loaded with .select("+deviceSecretHash")
+ * @param {string} secret - Plain device secret
+ * @returns {boolean}
+ */
+tableSchema.methods.verifyDeviceSecret = function (secret) {
+  if (!this.deviceSecretHash || !secret) return false;
+  const expected = Buffer.from(this.deviceSecretHash, "hex");
+  const actual = Buffer.from(hashDeviceSecret(secret), "hex");
+  return crypto.timingSafeEqual(expected, actual);
+};
+
 export const Table = mongoose.model("Table", tableSchema);
\ No newline at end of file
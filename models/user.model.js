@@ -1,5 +1,6 @@
 // user.model.js (Updated)
 import mongoose from "mongoose";
+import { SUPPORTED_LOCALES } from "../lib/i18n/index.js";
 
 const addressSchema = new mongoose.Schema({
   type: { type: String, enum: ["home", "office", "other"], default: "home" },
@@ -12,13 +13,6 @@ const addressSchema = new mongoose.Schema({
   isDefault: { type: Boolean, default: false },
 });
 
-const walletTransactionSchema = new mongoose.Schema({
-  amount: { type: Number, required: true },
-  type: { type: String, enum: ["credit", "debit"], required: true },
-  description: { type: String, required: true },
-  date: { type: Date, default: Date.now },
-});
-
 const userSchema = new mongoose.Schema(
   {
     fullName: { type: String },
@@ -28,6 +22,7 @@ const userSchema = new mongoose.Schema(
     isVerified: { type: Boolean, default: false },
     isMobileVerified: { type: Boolean, default: false },
     isAdmin: { type: Boolean, required: true, default: false },
+    isRestaurantOwner: { type: Boolean, default: false },
     deviceToken: { type: String },
     social: {
       google: {
@@ -42,9 +37,12 @@ const userSchema = new mongoose.Schema(
       },
     },
     addresses: [addressSchema],
+    // Cached balance, the ledger (models/ledger.model.js) is the source of truth
     wallet: {
       balance: { type: Number, default: 0 },
-      transactions: [walletTransactionSchema],
+      // Idempotency keys of ledger transactions applied to the balance but not posted yet
+      pendingKeys: { type: [String], select: false },
+      reconciledAt: { type: Date }, // last run of the wallet reconciliation job
     },
     stripeCustomerId: { type: String },
 
@@ -75,6 +73,17 @@ const userSchema = new mongoose.Schema(
     favorites: [{ type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" }], // <-- KEPT (MenuItem favorites)
     recommandations: [{ type: mongoose.Schema.Types.ObjectId, ref: "MenuItem" }],
     refreshToken: { type: String }, // Added missing refreshToken field based on auth controller usage
+    settings: {
+      // Language of API messages, menus and push notifications, Accept-Language is used when unset
+      language: { type: String, enum: SUPPORTED_LOCALES },
+      notifications: {
+        push: { type: Boolean, default: true },
+        email: { type: Boolean, default: true },
+        sms: { type: Boolean, default: true },
+        orderUpdates: { type: Boolean, default: true },
+        promotions: { type: Boolean, default: true },
+      },
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,41 @@
+import mongoose from "mongoose"
+import { SUPPORTED_LOCALES } from "../lib/i18n/index.js"
+
+// waiting until a host calls the party (notified), then seated, or taken off the list (cancelled)
+export const WAITLIST_STATUSES = ["waiting", "notified", "seated", "cancelled"]
+
+// Parties still in the queue
+export const ACTIVE_WAITLIST_STATUSES = ["waiting", "notified"]
+
+// A walk-in party waiting for a table (services/waitlistService.js)
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    restaurant: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    name: { type: String, required: true, trim: true },
+    partySize: { type: Number, required: true, min: 1 },
+    mobileNumber: { type: String, trim: true },
+    countryCode: { type: String, default: "+213" },
+    // Set when the party joined from the app, push notifications go there
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    source: { type: String, enum: ["host", "app", "qr"], default: "host" },
+    // Language the party is texted in
+    language: { type: String, enum: SUPPORTED_LOCALES },
+    notes: { type: String },
+    status: { type: String, enum: WAITLIST_STATUSES, default: "waiting" },
+    // Wait quoted when the party joined, in minutes
+    quotedWaitMinutes: { type: Number, min: 0 },
+    notifiedAt: { type: Date },
+    // Table held for the party when it was called, back to available if the party never comes
+    heldTable: { type: mongoose.Schema.Types.ObjectId, ref: "Table" },
+    seatedAt: { type: Date },
+    tableSession: { type: mongoose.Schema.Types.ObjectId, ref: "TableSession" },
+    cancelledAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+waitlistEntrySchema.index({ restaurant: 1, status: 1, createdAt: 1 })
+
+export const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema)
@@ -6,9 +6,16 @@ import {
   updateBillPaymentStatus,
   generateBillForSession,
   endSessionAndGenerateBill,
+  splitBill,
+  removeBillSplit,
+  updateBillPartPayment,
+  addDiscountToBill,
+  removeDiscountFromBill,
 } from "../controllers/bill.controller.js"
-import { protect } from "../middlewares/auth.middleware.js"
-import { isAdmin } from "../middlewares/auth.middleware.js";
+import { createBillRefund, getBillRefunds } from "../controllers/refund.controller.js"
+import { getBillReceipt, emailBillReceipt } from "../controllers/receipt.controller.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
 
 const router = express.Router()
 
@@ -16,10 +23,19 @@ const router = express.Router()
 router.get("/:billId", getBillById)
 router.get("/session/:sessionId", getBillByTableSession)
 
-// Admin routes
-router.get("/", protect, isAdmin, getAllBills)
-router.put("/:billId/payment", protect, updateBillPaymentStatus)
-router.post("/session/:sessionId", protect, generateBillForSession)
-router.post("/session/:sessionId/end",isAdmin , endSessionAndGenerateBill)
+// Staff routes
+router.get("/", authenticateStaff, requirePermission(PERMISSIONS.BILLS_READ), getAllBills)
+router.put("/:billId/payment", authenticateStaff, requirePermission(PERMISSIONS.BILLS_PROCESS_PAYMENT), updateBillPaymentStatus)
+router.post("/:billId/discounts", authenticateStaff, requirePermission(PERMISSIONS.BILLS_DISCOUNT), addDiscountToBill)
+router.delete("/:billId/discounts/:discountId", authenticateStaff, requirePermission(PERMISSIONS.BILLS_DISCOUNT), removeDiscountFromBill)
+router.post("/:billId/split", authenticateStaff, requirePermission(PERMISSIONS.BILLS_CREATE), splitBill)
+router.delete("/:billId/split", authenticateStaff, requirePermission(PERMISSIONS.BILLS_CREATE), removeBillSplit)
+router.put("/:billId/parts/:partId/payment", authenticateStaff, requirePermission(PERMISSIONS.BILLS_PROCESS_PAYMENT), updateBillPartPayment)
+router.post("/session/:sessionId", authenticateStaff, requirePermission(PERMISSIONS.BILLS_CREATE), generateBillForSession)
+router.post("/:billId/refunds", authenticateStaff, requirePermission(PERMISSIONS.REFUNDS_ISSUE), createBillRefund)
+router.get("/:billId/refunds", authenticateStaff, requirePermission(PERMISSIONS.BILLS_READ), getBillRefunds)
+router.get("/:billId/receipt", authenticateStaff, requirePermission(PERMISSIONS.BILLS_READ), getBillReceipt)
+router.post("/:billId/receipt/email", authenticateStaff, requirePermission(PERMISSIONS.BILLS_READ), emailBillReceipt)
+router.post("/session/:sessionId/end", authenticateStaff, requirePermission(PERMISSIONS.BILLS_CREATE), endSessionAndGenerateBill)
 
 export default router
@@ -0,0 +1,36 @@
+import express from "express"
+import {
+  getDeliveryTracking,
+  getMyDeliveries,
+  updateMyDriverStatus,
+  updateMyLocation,
+  updateMyDeliveryStatus,
+  uploadProofOfDelivery,
+  getDispatch,
+  assignDelivery,
+  unassignDelivery,
+} from "../controllers/delivery.controller.js"
+import { protect } from "../middlewares/auth.middleware.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
+
+const router = express.Router()
+
+// Driver app
+const driver = [authenticateStaff, requirePermission(PERMISSIONS.DRIVER_DELIVERIES)]
+router.get("/driver/me", ...driver, getMyDeliveries)
+router.put("/driver/status", ...driver, updateMyDriverStatus)
+router.put("/driver/location", ...driver, updateMyLocation)
+router.post("/driver/orders/:orderId/status", ...driver, updateMyDeliveryStatus)
+router.post("/driver/orders/:orderId/proof", ...driver, uploadProofOfDelivery)
+
+// Dispatch board
+const dispatch = [authenticateStaff, requirePermission(PERMISSIONS.DISPATCH_MANAGE)]
+router.get("/dispatch", ...dispatch, getDispatch)
+router.post("/dispatch/:orderId/assign", ...dispatch, assignDelivery)
+router.post("/dispatch/:orderId/unassign", ...dispatch, unassignDelivery)
+
+// Customer routes
+router.get("/:orderId/tracking", protect, getDeliveryTracking)
+
+export default router
@@ -0,0 +1,20 @@
+import express from "express"
+import {
+  getIngredients,
+  createIngredient,
+  updateIngredient,
+  adjustIngredientStock,
+} from "../controllers/inventory.controller.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
+
+const router = express.Router()
+
+router.use(authenticateStaff, requirePermission(PERMISSIONS.INVENTORY_MANAGE))
+
+router.get("/", getIngredients)
+router.post("/", createIngredient)
+router.put("/:ingredientId", updateIngredient)
+router.post("/:ingredientId/adjust", adjustIngredientStock)
+
+export default router
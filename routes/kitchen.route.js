@@ -1,29 +1,51 @@
 import express from "express"
 import { getKitchenOrders, getCompletedKitchenOrders, updateOrderStatus } from "../controllers/order.controller.js"
-import { protect } from "../middlewares/auth.middleware.js"
+import {
+  getStations,
+  getStationTickets,
+  startTicket,
+  markTicketReady,
+  getKitchenDisplays,
+} from "../controllers/kitchen.controller.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
 
 const router = express.Router()
 
+// Every kitchen route needs a kitchen (or manager/admin) account
+router.use(authenticateStaff)
+
 // Get all active kitchen orders
-router.get("/orders", getKitchenOrders)
+router.get("/orders", requirePermission(PERMISSIONS.KITCHEN_VIEW), getKitchenOrders)
 
 // Get recently completed/cancelled orders for the kitchen view
-router.get("/completed", getCompletedKitchenOrders)
+router.get("/completed", requirePermission(PERMISSIONS.KITCHEN_VIEW), getCompletedKitchenOrders)
+
+// Connected kitchen displays
+router.get("/displays", requirePermission(PERMISSIONS.KITCHEN_VIEW), getKitchenDisplays)
+
+// Stations and their open tickets
+router.get("/stations", requirePermission(PERMISSIONS.KITCHEN_VIEW), getStations)
+router.get("/stations/:station/tickets", requirePermission(PERMISSIONS.KITCHEN_VIEW), getStationTickets)
+
+// A station starts / finishes its part of an order (the order is ready once every station is)
+router.put("/orders/:orderId/stations/:station/start", requirePermission(PERMISSIONS.KITCHEN_UPDATE), startTicket)
+router.put("/orders/:orderId/stations/:station/ready", requirePermission(PERMISSIONS.KITCHEN_UPDATE), markTicketReady)
 
 // Mark order as preparing
-router.put("/orders/:orderId/preparing", protect, (req, res, next) => {
+router.put("/orders/:orderId/preparing", requirePermission(PERMISSIONS.KITCHEN_UPDATE), (req, res, next) => {
   req.body.status = "preparing"
   updateOrderStatus(req, res, next)
 })
 
-// Mark order as ready
-router.put("/orders/:orderId/ready", protect, (req, res, next) => {
+// Mark order as ready (refused while a station ticket is still open)
+router.put("/orders/:orderId/ready", requirePermission(PERMISSIONS.KITCHEN_UPDATE), (req, res, next) => {
   req.body.status = "ready_for_pickup"
   updateOrderStatus(req, res, next)
 })
 
 // Mark order as delivered/completed
-router.put("/orders/:orderId/completed", protect, (req, res, next) => {
+router.put("/orders/:orderId/completed", requirePermission(PERMISSIONS.KITCHEN_UPDATE), (req, res, next) => {
   req.body.status = "completed"
   updateOrderStatus(req, res, next)
 })
@@ -1,10 +1,9 @@
 
 
 import express from "express";
-import {createMenuItem , deleteMenuItem , getAllMenuItems , getMenuItemDetails , getMenuItemsByCategory ,getMenuItemsByDietary , getMenuItemsByHealth , getPopularMenuItems , searchMenuItems , updateMenuItem  } from "../controllers/menu-item.controller.js";
-import { isAdmin } from "../middlewares/auth.middleware.js";
-
-import { authenticate } from '../controllers/auth.controller.js';
+import {createMenuItem , deleteMenuItem , getAllMenuItems , getMenuItemDetails , getMenuItemsByCategory ,getMenuItemsByDietary , getMenuItemsByHealth , getPopularMenuItems , searchMenuItems , suggestMenuItems , updateMenuItem , eightySixItem , restoreItem } from "../controllers/menu-item.controller.js";
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js";
+import { PERMISSIONS } from "../lib/permissions.js";
 
 
 const router = express.Router();
@@ -13,6 +12,7 @@ const router = express.Router();
 router.get("/", getAllMenuItems);
 router.get("/popular", getPopularMenuItems);
 router.get("/search", searchMenuItems);
+router.get("/search/suggest", suggestMenuItems);
 router.get("/category/:categoryName", getMenuItemsByCategory);
 router.get("/dietary/:preference", getMenuItemsByDietary);
 router.get("/health/:preference", getMenuItemsByHealth);
@@ -21,22 +21,36 @@ router.get("/:itemId", getMenuItemDetails);
 
 router.post(
     "/",
-    authenticate, 
-    isAdmin,      
+    authenticateStaff,
+    requirePermission(PERMISSIONS.MENU_MANAGE), // managers, admins or the owner of this restaurant
     createMenuItem
 );
 
 router.put(
     "/:itemId",
-    authenticate, 
-    isAdmin,      
+    authenticateStaff,
+    requirePermission(PERMISSIONS.MENU_MANAGE), // managers, admins or the owner of this restaurant
     updateMenuItem
 );
 
+router.post(
+    "/:itemId/86",
+    authenticateStaff,
+    requirePermission(PERMISSIONS.MENU_AVAILABILITY), // kitchen and floor staff can 86 an item
+    eightySixItem
+);
+
+router.delete(
+    "/:itemId/86",
+    authenticateStaff,
+    requirePermission(PERMISSIONS.MENU_AVAILABILITY),
+    restoreItem
+);
+
 router.delete(
     "/:itemId",
-    authenticate, // 1. Run authentication FIRST
-    isAdmin,      // 2. Run admin check SECOND
+    authenticateStaff, // 1. Run authentication FIRST
+    requirePermission(PERMISSIONS.MENU_MANAGE), // 2. Run permission check SECOND
     deleteMenuItem
 );
 
@@ -8,20 +8,31 @@ import {
   getKitchenOrders,
   updatePaymentStatus,
   getCompletedKitchenOrders,
-  submitOrderRatings
+  submitOrderRatings,
+  getOrderStatusHistory
 } from '../controllers/order.controller.js';
-import { protect , isAdmin } from "../middlewares/auth.middleware.js"
+import { createOrderRefund, getOrderRefunds } from "../controllers/refund.controller.js"
+import { getOrderReceipt, printOrderReceipt, emailOrderReceipt } from "../controllers/receipt.controller.js"
+import { protect, optionalAuth } from "../middlewares/auth.middleware.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
 
 const router = express.Router()
 // Define specific routes BEFORE parameterized routes
-router.get("/kitchen/completed",  getCompletedKitchenOrders);
-router.get("/kitchenn/active", protect, isAdmin, getKitchenOrders);
+router.get("/kitchen/completed", authenticateStaff, requirePermission(PERMISSIONS.KITCHEN_VIEW), getCompletedKitchenOrders);
+router.get("/kitchenn/active", authenticateStaff, requirePermission(PERMISSIONS.KITCHEN_VIEW), getKitchenOrders);
 
 // General & Parameterized Routes
-router.post("/", createOrder); // Removed protect for kiosk app
+router.post("/", optionalAuth, createOrder); // Kiosk orders are anonymous, signed in customers get their promotions
 router.get("/:orderId", protect, getOrderDetails); 
-router.put("/:orderId/status",  updateOrderStatus); 
+router.put("/:orderId/status", authenticateStaff, requirePermission(PERMISSIONS.ORDERS_UPDATE_STATUS), updateOrderStatus);
+router.get("/:orderId/status-history", protect, getOrderStatusHistory);
 router.put("/:orderId/payment", protect, updatePaymentStatus);
+router.post("/:orderId/refunds", authenticateStaff, requirePermission(PERMISSIONS.REFUNDS_ISSUE), createOrderRefund);
+router.get("/:orderId/refunds", authenticateStaff, requirePermission(PERMISSIONS.ORDERS_READ), getOrderRefunds);
+router.get("/:orderId/receipt", protect, getOrderReceipt);
+router.get("/:orderId/receipt/print", authenticateStaff, requirePermission(PERMISSIONS.ORDERS_READ), printOrderReceipt);
+router.post("/:orderId/receipt/email", protect, emailOrderReceipt);
 router.get("/user/:userId", protect, getOrdersByUser); // Matches /user/some-user-id
 router.get("/session/:sessionId", getOrdersBySession); // Matches /session/some-session-id // Removed protect for kiosk app?
 router.post("/:orderId/rate-items", protect,submitOrderRatings)
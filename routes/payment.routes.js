@@ -7,10 +7,11 @@ import {
   addToWallet,
   confirmWalletTopup,
   getWallet,
-  stripeWebhook,
+  getMyWalletStatement,
+  getUserWalletStatement,
   sendToBank,
 } from "../controllers/payment.controller.js"
-import { protect } from "../middlewares/auth.middleware.js"
+import { protect, isAdmin } from "../middlewares/auth.middleware.js"
 
 const router = express.Router()
 
@@ -21,6 +22,8 @@ router.post("/success", protect, processPaymentSuccess)
 // Wallet routes
 router.post("/wallet", protect, processWalletPayment)
 router.get("/wallet", protect, getWallet)
+router.get("/wallet/statement", protect, getMyWalletStatement)
+router.get("/wallet/:userId/statement", protect, isAdmin, getUserWalletStatement)
 router.post("/add-to-wallet", protect, addToWallet)
 router.post("/confirm-wallet-topup", protect, confirmWalletTopup)
 router.post("/send-to-bank", protect, sendToBank)
@@ -28,7 +31,6 @@ router.post("/send-to-bank", protect, sendToBank)
 // COD route
 router.post("/cod", protect, processCOD)
 
-// Stripe webhook
-router.post("/webhook", express.raw({ type: "application/json" }), stripeWebhook)
+// The Stripe webhook (POST /webhook) is mounted in index.js, ahead of the JSON body parser
 
 export default router
@@ -0,0 +1,29 @@
+import express from "express"
+import {
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion,
+  validatePromotion,
+} from "../controllers/promotion.controller.js"
+import { optionalAuth } from "../middlewares/auth.middleware.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
+
+const router = express.Router()
+
+// Public routes
+router.post("/validate", optionalAuth, validatePromotion)
+
+// Management routes
+router.get("/", authenticateStaff, requirePermission(PERMISSIONS.PROMOTIONS_MANAGE), getPromotions)
+router.post("/", authenticateStaff, requirePermission(PERMISSIONS.PROMOTIONS_MANAGE), createPromotion)
+router.put("/:promotionId", authenticateStaff, requirePermission(PERMISSIONS.PROMOTIONS_MANAGE), updatePromotion)
+router.delete(
+  "/:promotionId",
+  authenticateStaff,
+  requirePermission(PERMISSIONS.PROMOTIONS_MANAGE),
+  deactivatePromotion,
+)
+
+export default router
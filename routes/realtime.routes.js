@@ -0,0 +1,11 @@
+import express from "express"
+import { getUnacknowledgedEvents } from "../controllers/realtime.controller.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
+
+const router = express.Router()
+
+// Manager routes
+router.get("/unacknowledged", authenticateStaff, requirePermission(PERMISSIONS.REALTIME_MONITOR), getUnacknowledgedEvents)
+
+export default router
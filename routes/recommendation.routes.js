@@ -0,0 +1,14 @@
+import express from "express"
+import { getRecommendations, trainRecommendations } from "../controllers/recommendation.controller.js"
+import { protect, isAdmin } from "../middlewares/auth.middleware.js"
+import { resolveOptionalRestaurant } from "../middlewares/restaurant.middleware.js"
+
+const router = express.Router()
+
+// Across every restaurant, or one when the restaurant is named (X-Restaurant-Id header or restaurantId param)
+router.get("/", protect, resolveOptionalRestaurant, getRecommendations)
+
+// Admin routes
+router.post("/train", protect, isAdmin, trainRecommendations)
+
+export default router
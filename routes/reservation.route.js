@@ -2,9 +2,21 @@ import express from "express";
 import {
     getAvailability,
     createReservation,
-    getReservations
+    getReservations,
+    updateReservation,
+    cancelMyReservation,
+    getRestaurantReservations,
+    updateReservationByStaff,
+    cancelReservationByStaff,
+    checkInReservation,
+    markReservationNoShow,
+    createDepositIntent,
+    confirmDepositPayment,
+    payDepositWithWallet
 } from "../controllers/reservation.controller.js";
 import { protect } from "../middlewares/auth.middleware.js";
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js";
+import { PERMISSIONS } from "../lib/permissions.js";
 
 const router = express.Router();
 
@@ -13,4 +25,21 @@ router.get("/availability", getAvailability)
 router.post("/", protect, createReservation)
 router.get("/",protect ,getReservations)
 
-export default router
\ No newline at end of file
+// Staff routes, defined BEFORE the parameterized customer routes
+const manage = [authenticateStaff, requirePermission(PERMISSIONS.RESERVATIONS_MANAGE)]
+router.get("/manage", ...manage, getRestaurantReservations)
+router.patch("/manage/:reservationId", ...manage, updateReservationByStaff)
+router.post("/manage/:reservationId/cancel", ...manage, cancelReservationByStaff)
+router.post("/manage/:reservationId/check-in", ...manage, checkInReservation)
+router.post("/manage/:reservationId/no-show", ...manage, markReservationNoShow)
+
+// Customer changes to their own reservations
+router.patch("/:reservationId", protect, updateReservation)
+router.post("/:reservationId/cancel", protect, cancelMyReservation)
+
+// Deposits, by card (payment intent then confirm) or from the wallet
+router.post("/:reservationId/deposit/payment-intent", protect, createDepositIntent)
+router.post("/:reservationId/deposit/confirm", protect, confirmDepositPayment)
+router.post("/:reservationId/deposit/wallet", protect, payDepositWithWallet)
+
+export default router
@@ -7,18 +7,19 @@ import {
   deleteRestaurant,
   getNearbyRestaurants,
 } from "../controllers/restaurant.controller.js"
-import { protect } from "../middlewares/auth.middleware.js"
+import { protect, restaurantOwner } from "../middlewares/auth.middleware.js"
+import { resolveRestaurant } from "../middlewares/restaurant.middleware.js"
 
 const router = express.Router()
 
 // Public routes
 router.get("/", getRestaurants)
 router.get("/nearby", getNearbyRestaurants)
-router.get("/:id", getRestaurantById)
+router.get("/:restaurantId", resolveRestaurant, getRestaurantById)
 
 // Protected routes
 router.post("/", protect, createRestaurant)
-router.put("/:id", protect, updateRestaurant)
-router.delete("/:id", protect, deleteRestaurant)
+router.put("/:restaurantId", protect, resolveRestaurant, restaurantOwner, updateRestaurant)
+router.delete("/:restaurantId", protect, resolveRestaurant, restaurantOwner, deleteRestaurant)
 
 export default router
@@ -0,0 +1,27 @@
+import express from "express"
+import {
+  loginStaff,
+  getCurrentStaff,
+  getStaff,
+  createStaff,
+  updateStaff,
+  deactivateStaff,
+} from "../controllers/staff.controller.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
+
+const router = express.Router()
+
+// Public routes
+router.post("/login", loginStaff)
+
+// Staff routes
+router.get("/me", authenticateStaff, getCurrentStaff)
+
+// Management routes
+router.get("/", authenticateStaff, requirePermission(PERMISSIONS.STAFF_MANAGE), getStaff)
+router.post("/", authenticateStaff, requirePermission(PERMISSIONS.STAFF_MANAGE), createStaff)
+router.put("/:staffId", authenticateStaff, requirePermission(PERMISSIONS.STAFF_MANAGE), updateStaff)
+router.delete("/:staffId", authenticateStaff, requirePermission(PERMISSIONS.STAFF_MANAGE), deactivateStaff)
+
+export default router
@@ -8,22 +8,24 @@ import {
   initiateSessionViaSocket,
 } from "../controllers/table-session.controller.js"
 import { protect } from "../middlewares/auth.middleware.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
 import {Table} from "../models/table.model.js" // Import the Table model
 
 const router = express.Router()
 
 // Customer routes
-router.post("/qr-scan", startSessionFromQRCode)
+router.post("/qr-scan", protect, startSessionFromQRCode)
 router.post("/initiate", initiateSessionViaSocket) // New route for Socket.IO initiation
 router.get("/user/:userId", protect, getUserActiveSession)
 
 // Table app routes
 router.get("/:sessionId", getSessionDetails)
 router.get("/", getActiveSessions)
-router.put("/:sessionId/status", updateSessionStatus)
+router.put("/:sessionId/status", authenticateStaff, requirePermission(PERMISSIONS.SESSIONS_MANAGE), updateSessionStatus)
 
 // Register device as a table and get QR code
-router.post("/register-device", async (req, res, next) => {
+router.post("/register-device", authenticateStaff, requirePermission(PERMISSIONS.TABLES_REGISTER_DEVICE), async (req, res, next) => {
   try {
     const { deviceId, deviceName } = req.body
 
@@ -32,12 +34,16 @@ router.post("/register-device", async (req, res, next) => {
     }
 
     // Check if device is already registered
-    let table = await Table.findOne({ deviceId })
+    let table = await Table.findOne({ deviceId, restaurant: req.restaurantId })
 
     if (table) {
-      // Device already registered, return table info
+      // Device already registered, rotate its socket credential and return table info
+      const deviceSecret = table.issueDeviceSecret()
+      await table.save()
+
       return res.status(200).json({
         message: "Device already registered",
+        deviceSecret,
         table: {
           id: table._id,
           tableNumber: table.tableNumber,
@@ -49,7 +55,7 @@ router.post("/register-device", async (req, res, next) => {
     }
 
     // Generate a new table number
-    const lastTable = await Table.findOne().sort({ tableNumber: -1 })
+    const lastTable = await Table.findOne({ restaurant: req.restaurantId }).sort({ tableNumber: -1 })
     const tableNumber = lastTable ? lastTable.tableNumber + 1 : 1
 
     // Generate a unique QR code
@@ -57,6 +63,7 @@ router.post("/register-device", async (req, res, next) => {
 
     // Create new table
     table = new Table({
+      restaurant: req.restaurantId,
       qrCode,
       tableNumber,
       deviceId,
@@ -65,10 +72,12 @@ router.post("/register-device", async (req, res, next) => {
       deviceName: deviceName || `Table ${tableNumber}`,
     })
 
+    const deviceSecret = table.issueDeviceSecret()
     await table.save()
 
     res.status(201).json({
       message: "Device registered successfully",
+      deviceSecret,
       table: {
         id: table._id,
         tableNumber: table.tableNumber,
@@ -3,6 +3,7 @@ import {
   getAllTables,
   getTableDetails,
   updateTableStatus,
+  updateTableSeating,
   startTableSession,
   endTableSession,
   getTableByQrCode,
@@ -10,6 +11,8 @@ import {
   getTableByDeviceId,
   registerDeviceWithTable,
 } from "../controllers/table.controller.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
 
 const router = express.Router()
 
@@ -20,9 +23,15 @@ router.get("/qr/:qrCode", getTableByQrCode)
 router.post("/:tableId/session", startTableSession)
 router.put("/session/:sessionId/end", endTableSession)
 
-// Admin routes
-router.put("/:tableId/status", updateTableStatus)
-router.post("/register-device-with-table", registerDeviceWithTable)
+// Staff routes
+router.put("/:tableId/status", authenticateStaff, requirePermission(PERMISSIONS.TABLES_MANAGE), updateTableStatus)
+router.put("/:tableId/seating", authenticateStaff, requirePermission(PERMISSIONS.TABLES_MANAGE), updateTableSeating)
+router.post(
+  "/register-device-with-table",
+  authenticateStaff,
+  requirePermission(PERMISSIONS.TABLES_REGISTER_DEVICE),
+  registerDeviceWithTable,
+)
 
 // Get table for QR code generation
 router.get("/qr-code/:tableId", getTableForQRCode)
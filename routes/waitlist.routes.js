@@ -0,0 +1,33 @@
+import express from "express"
+import {
+  getWaitEstimate,
+  joinWaitlistFromApp,
+  getMyWaitlistEntry,
+  leaveWaitlist,
+  getWaitlist,
+  addWalkIn,
+  notifyWaitlistParty,
+  seatWaitlistParty,
+  cancelWaitlistEntry,
+} from "../controllers/waitlist.controller.js"
+import { protect, optionalAuth } from "../middlewares/auth.middleware.js"
+import { authenticateStaff, requirePermission } from "../middlewares/staff.middleware.js"
+import { PERMISSIONS } from "../lib/permissions.js"
+
+const router = express.Router()
+
+// Customer routes
+router.get("/estimate", getWaitEstimate)
+router.post("/", optionalAuth, joinWaitlistFromApp)
+router.get("/me", protect, getMyWaitlistEntry)
+router.post("/me/leave", protect, leaveWaitlist)
+
+// Host stand
+const manage = [authenticateStaff, requirePermission(PERMISSIONS.WAITLIST_MANAGE)]
+router.get("/manage", ...manage, getWaitlist)
+router.post("/manage", ...manage, addWalkIn)
+router.post("/manage/:entryId/notify", ...manage, notifyWaitlistParty)
+router.post("/manage/:entryId/seat", ...manage, seatWaitlistParty)
+router.post("/manage/:entryId/cancel", ...manage, cancelWaitlistEntry)
+
+export default router
@@ -0,0 +1,96 @@
+/**
+ * One-off migration for data created before restaurants existed: gives every bill, booking,
+ * menu item, order, reservation, review, table and table session without a restaurant the
+ * restaurant it belongs to. Those documents are invisible to tenant-scoped queries and fail
+ * validation on their next save() until this has run.
+ *
+ *   node scripts/backfill-restaurant.js [restaurantId] [--dry-run]
+ *
+ * Without a restaurantId, the only restaurant in the database is used.
+ * Tables are filled first so sessions, orders, bills and reservations can take the restaurant
+ * of their table; whatever is left gets the target restaurant.
+ */
+import mongoose from "mongoose"
+import dotenv from "dotenv"
+import { Restaurant } from "../models/restaurant.model.js"
+import { Table } from "../models/table.model.js"
+import TableSession from "../models/table-session.model.js"
+import { Order } from "../models/order.model.js"
+import Bill from "../models/bill.model.js"
+import { Reservation } from "../models/reservation.model.js"
+import { Booking } from "../models/booking.model.js"
+import MenuItem from "../models/menuItem.model.js"
+import { Review } from "../models/review.model.js"
+dotenv.config()
+
+const MISSING = { restaurant: null }
+
+// Models whose documents may point at a table (field holding the table's _id)
+const TABLE_LINKS = [
+  [TableSession, "tableId"],
+  [Order, "TableId"],
+  [Reservation, "tableId"],
+]
+
+// Filled in this order, with the target restaurant, once table links are resolved
+const MODELS = [Table, TableSession, Order, Bill, Reservation, Booking, MenuItem, Review]
+
+const resolveTarget = async (restaurantId) => {
+  if (restaurantId) {
+    if (!mongoose.isValidObjectId(restaurantId)) throw new Error(`Invalid restaurant ID ${restaurantId}`)
+    const restaurant = await Restaurant.findById(restaurantId)
+    if (!restaurant) throw new Error(`Restaurant ${restaurantId} not found`)
+    return restaurant
+  }
+
+  const restaurants = await Restaurant.find().select("name").limit(2)
+  if (restaurants.length !== 1) {
+    throw new Error(`Found ${restaurants.length ? "several" : "no"} restaurants, pass the restaurant ID to use`)
+  }
+  return restaurants[0]
+}
+
+const run = async () => {
+  const args = process.argv.slice(2)
+  const dryRun = args.includes("--dry-run")
+  const restaurantId = args.find((arg) => !arg.startsWith("--"))
+
+  await mongoose.connect(process.env.MONGO_URI)
+  const target = await resolveTarget(restaurantId)
+  console.log(`Backfilling restaurant ${target._id} (${target.name})${dryRun ? " [dry run]" : ""}`)
+
+  if (!dryRun) {
+    await Table.updateMany(MISSING, { $set: { restaurant: target._id } })
+
+    // A document on a table belongs to the table's restaurant
+    for (const [Model, field] of TABLE_LINKS) {
+      const tableIds = await Model.distinct(field, { ...MISSING, [field]: { $ne: null } })
+      for (const table of await Table.find({ _id: { $in: tableIds } }).select("restaurant")) {
+        await Model.updateMany({ ...MISSING, [field]: table._id }, { $set: { restaurant: table.restaurant } })
+      }
+    }
+
+    // A bill belongs to its session's restaurant
+    const sessionIds = await Bill.distinct("tableSessionId", { ...MISSING, tableSessionId: { $ne: null } })
+    for (const session of await TableSession.find({ _id: { $in: sessionIds } }).select("restaurant")) {
+      await Bill.updateMany({ ...MISSING, tableSessionId: session._id }, { $set: { restaurant: session.restaurant } })
+    }
+  }
+
+  for (const Model of MODELS) {
+    if (dryRun) {
+      console.log(`${Model.modelName}: ${await Model.countDocuments(MISSING)} without a restaurant`)
+      continue
+    }
+    const { modifiedCount } = await Model.updateMany(MISSING, { $set: { restaurant: target._id } })
+    console.log(`${Model.modelName}: ${modifiedCount} left over given restaurant ${target._id}`)
+  }
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error(`Backfill failed: ${error.message}`)
+    await mongoose.disconnect()
+    process.exit(1)
+  })
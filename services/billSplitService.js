@@ -0,0 +1,344 @@
+import mongoose from "mongoose"
+import Bill from "../models/bill.model.js"
+import { allocateCents } from "./billingService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Equal splits beyond this are almost certainly a typo
+const MAX_EQUAL_PARTS = 50
+
+// Bill amounts are stored in major units, splitting is done in cents so parts add up exactly
+const toCents = (amount) => Math.round(Number(amount) * 100)
+const fromCents = (cents) => cents / 100
+
+/**
+ * Error raised for a split or part payment that cannot be carried out
+ */
+export class BillSplitError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "BillSplitError"
+    this.statusCode = statusCode
+  }
+}
+
+const validPayer = (payer) => {
+  if (!payer) return null
+  if (!mongoose.Types.ObjectId.isValid(payer)) {
+    throw new BillSplitError(`Invalid payer ${payer}`)
+  }
+  return payer
+}
+
+// Every line of the bill with what it costs after discounts and tax, in cents
+const billLines = (bill) =>
+  bill.lines.map((line) => ({
+    order: line.order,
+    item: line.item,
+    name: line.name,
+    quantity: line.quantity,
+    seat: line.seat || null,
+    cents: toCents(line.amount) - toCents(line.discount) + toCents(line.tax),
+  }))
+
+// Price the lines assigned to each part. An item shared between parts is priced by
+// quantity with allocateCents, so its shares add up to the item's total.
+const priceAssignedLines = (lines, assignments) => {
+  const pricedParts = assignments.map(() => [])
+
+  for (const line of lines) {
+    const holders = assignments
+      .map((assigned, partIndex) => ({ partIndex, quantity: assigned.get(line.item.toString()) || 0 }))
+      .filter((holder) => holder.quantity > 0)
+    if (!holders.length) continue
+
+    const shares = allocateCents(
+      line.cents,
+      holders.map((holder) => holder.quantity),
+    )
+    holders.forEach((holder, index) => {
+      pricedParts[holder.partIndex].push({
+        order: line.order,
+        item: line.item,
+        name: line.name,
+        quantity: holder.quantity,
+        cents: shares[index],
+      })
+    })
+  }
+  return pricedParts
+}
+
+// Turn priced parts into bill parts, spreading what the lines do not carry
+// (the service charge) over the parts in proportion to their items
+const toBillParts = (billCents, parts) => {
+  const itemCents = parts.map((part) => part.items.reduce((sum, item) => sum + item.cents, 0))
+  const extras = allocateCents(
+    billCents - itemCents.reduce((sum, cents) => sum + cents, 0),
+    itemCents,
+  )
+
+  return parts.map((part, index) => ({
+    label: part.label,
+    payer: part.payer || null,
+    seat: part.seat,
+    items: part.items.map(({ cents, ...item }) => ({ ...item, amount: fromCents(cents) })),
+    amount: fromCents(itemCents[index] + extras[index]),
+  }))
+}
+
+const splitByItem = (billCents, lines, requestedParts = []) => {
+  if (requestedParts.length < 2) {
+    throw new BillSplitError("An item split needs at least two parts")
+  }
+
+  const assignments = requestedParts.map((part, partIndex) => {
+    if (!part.items?.length) {
+      throw new BillSplitError(`Part ${partIndex + 1} has no items`)
+    }
+    const assigned = new Map()
+    for (const { itemId, quantity } of part.items) {
+      const line = lines.find((entry) => entry.item.toString() === String(itemId))
+      if (!line) {
+        throw new BillSplitError(`Item ${itemId} is not on this bill`, 404)
+      }
+      const count = Number.parseInt(quantity ?? line.quantity, 10)
+      if (!(count > 0)) {
+        throw new BillSplitError(`Invalid quantity for ${line.name}`)
+      }
+      assigned.set(itemId.toString(), (assigned.get(itemId.toString()) || 0) + count)
+    }
+    return assigned
+  })
+
+  // Every unit of every item must be paid by exactly one part
+  for (const line of lines) {
+    const assigned = assignments.reduce((sum, parts) => sum + (parts.get(line.item.toString()) || 0), 0)
+    if (assigned !== line.quantity) {
+      throw new BillSplitError(`${line.name}: ${assigned} of ${line.quantity} assigned`)
+    }
+  }
+
+  const priced = priceAssignedLines(lines, assignments)
+  return toBillParts(
+    billCents,
+    requestedParts.map((part, index) => ({
+      label: part.label || `Part ${index + 1}`,
+      payer: validPayer(part.payer),
+      items: priced[index],
+    })),
+  )
+}
+
+const splitBySeat = (billCents, lines, payers = {}) => {
+  const seats = [...new Set(lines.filter((line) => line.seat).map((line) => line.seat))].sort((a, b) => a - b)
+  if (seats.length < 2) {
+    throw new BillSplitError("Items are not assigned to at least two seats, split by item or evenly instead")
+  }
+
+  // Items without a seat (shared starters, the bottle of water) are shared evenly by the seats
+  const parts = seats.map((seat) => ({
+    label: `Seat ${seat}`,
+    seat,
+    payer: validPayer(payers[seat]),
+    items: lines
+      .filter((line) => line.seat === seat)
+      .map(({ order, item, name, quantity, cents }) => ({ order, item, name, quantity, cents })),
+  }))
+
+  const seatCents = parts.map((part) => part.items.reduce((sum, item) => sum + item.cents, 0))
+  const sharedCents = allocateCents(
+    billCents - seatCents.reduce((sum, cents) => sum + cents, 0),
+    seats.map(() => 1),
+  )
+
+  return parts.map((part, index) => ({
+    label: part.label,
+    payer: part.payer,
+    seat: part.seat,
+    items: part.items.map(({ cents, ...item }) => ({ ...item, amount: fromCents(cents) })),
+    amount: fromCents(seatCents[index] + sharedCents[index]),
+  }))
+}
+
+const splitEvenly = (billCents, count, payers = []) => {
+  const parts = Number.parseInt(count, 10)
+  if (!(parts >= 2) || parts > MAX_EQUAL_PARTS) {
+    throw new BillSplitError(`An equal split needs between 2 and ${MAX_EQUAL_PARTS} parts`)
+  }
+
+  return allocateCents(
+    billCents,
+    Array.from({ length: parts }, () => 1),
+  ).map((cents, index) => ({
+    label: `Guest ${index + 1} of ${parts}`,
+    payer: validPayer(payers[index]),
+    amount: fromCents(cents),
+  }))
+}
+
+const splitByAmount = (billCents, requestedParts = []) => {
+  if (requestedParts.length < 2) {
+    throw new BillSplitError("A custom split needs at least two parts")
+  }
+
+  const parts = requestedParts.map((part, index) => {
+    const cents = toCents(part.amount)
+    if (!(cents > 0)) {
+      throw new BillSplitError(`Part ${index + 1} needs a positive amount`)
+    }
+    return { label: part.label || `Part ${index + 1}`, payer: validPayer(part.payer), cents }
+  })
+
+  const difference = billCents - parts.reduce((sum, part) => sum + part.cents, 0)
+  if (difference !== 0) {
+    throw new BillSplitError(
+      `Parts must add up to the bill total (${difference > 0 ? "missing" : "over by"} ${fromCents(Math.abs(difference)).toFixed(2)})`,
+    )
+  }
+
+  return parts.map(({ cents, ...part }) => ({ ...part, amount: fromCents(cents) }))
+}
+
+/**
+ * Split a pending bill into parts.
+ * Modes:
+ * - item: { parts: [{ label?, payer?, items: [{ itemId, quantity? }] }] }, every item unit assigned once
+ * - seat: { payers?: { [seat]: userId } }, one part per seat of the order items
+ * - equal: { count, payers?: [userId] }
+ * - custom: { parts: [{ label?, payer?, amount }] }, amounts adding up to the amount due
+ * Splitting again replaces the parts, as long as none is paid.
+ * @param {string} restaurantId - Restaurant the bill must belong to
+ * @param {string} billId - Bill ID
+ * @param {object} request - { mode, parts, count, payers }
+ * @returns {Promise<object>} - The split bill
+ * @throws {BillSplitError}
+ */
+export const splitBill = async (restaurantId, billId, { mode, parts, count, payers } = {}) => {
+  const bill = await Bill.findOne({ _id: billId, restaurant: restaurantId })
+  if (!bill) {
+    throw new BillSplitError("Bill not found", 404)
+  }
+  if (bill.paymentStatus !== "pending" || bill.parts.some((part) => part.paymentStatus === "paid")) {
+    throw new BillSplitError("Bill already has payments, it cannot be split again", 409)
+  }
+
+  // Parts share what is left to pay once a reservation deposit is credited
+  const billCents = toCents(bill.total) - toCents(bill.deposit?.amount || 0)
+  let billParts
+
+  if (mode === "equal") {
+    billParts = splitEvenly(billCents, count, payers)
+  } else if (mode === "custom") {
+    billParts = splitByAmount(billCents, parts)
+  } else if (mode === "item" || mode === "seat") {
+    const lines = billLines(bill)
+    billParts = mode === "item" ? splitByItem(billCents, lines, parts) : splitBySeat(billCents, lines, payers)
+  } else {
+    throw new BillSplitError("Split mode must be one of: item, seat, equal, custom")
+  }
+
+  // Conditional on the bill still being unpaid, a part paid meanwhile wins
+  const updated = await Bill.findOneAndUpdate(
+    { _id: bill._id, paymentStatus: "pending", "parts.paymentStatus": { $ne: "paid" } },
+    { $set: { splitMode: mode, parts: billParts } },
+    { new: true, runValidators: true },
+  )
+  if (!updated) {
+    throw new BillSplitError("Bill received a payment while being split", 409)
+  }
+
+  logger.info(`Bill ${bill._id} split ${mode} into ${billParts.length} parts`)
+  return updated
+}
+
+/**
+ * Remove the split of a bill that has no paid part
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} billId - Bill ID
+ * @returns {Promise<object>} - The bill
+ * @throws {BillSplitError}
+ */
+export const clearBillSplit = async (restaurantId, billId) => {
+  const bill = await Bill.findOneAndUpdate(
+    { _id: billId, restaurant: restaurantId, paymentStatus: "pending", "parts.paymentStatus": { $ne: "paid" } },
+    { $set: { splitMode: "none", parts: [] } },
+    { new: true },
+  )
+  if (!bill) {
+    const exists = await Bill.exists({ _id: billId, restaurant: restaurantId })
+    throw exists
+      ? new BillSplitError("Bill already has payments, the split cannot be removed", 409)
+      : new BillSplitError("Bill not found", 404)
+  }
+  return bill
+}
+
+/**
+ * Record the payment of one part. The bill becomes partially_paid, then paid with the last part.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} billId - Bill ID
+ * @param {string} partId - Part ID
+ * @param {object} payment
+ * @param {string} payment.paymentMethod - "cash" or "mobile_payment"
+ * @param {number} [payment.tip] - Tip left with the part, already validated
+ * @param {string} [payment.processedBy] - Cashier (Staff) recording the payment
+ * @returns {Promise<{bill: object, part: object, fullyPaid: boolean}>}
+ * @throws {BillSplitError}
+ */
+export const payBillPart = async (restaurantId, billId, partId, { paymentMethod, tip = 0, processedBy } = {}) => {
+  if (!["cash", "mobile_payment"].includes(paymentMethod)) {
+    throw new BillSplitError("Payment method must be cash or mobile_payment")
+  }
+
+  const paid = await Bill.findOneAndUpdate(
+    {
+      _id: billId,
+      restaurant: restaurantId,
+      paymentStatus: { $in: ["pending", "partially_paid"] },
+      parts: { $elemMatch: { _id: partId, paymentStatus: "pending" } },
+    },
+    {
+      $set: {
+        "parts.$.paymentStatus": "paid",
+        "parts.$.paymentMethod": paymentMethod,
+        "parts.$.tip": tip,
+        "parts.$.paidAt": new Date(),
+        "parts.$.processedBy": processedBy || null,
+      },
+    },
+    { new: true },
+  )
+
+  if (!paid) {
+    const bill = await Bill.findOne({ _id: billId, restaurant: restaurantId })
+    const part = bill?.parts.id(partId)
+    if (!part) throw new BillSplitError(bill ? "Bill part not found" : "Bill not found", 404)
+    throw new BillSplitError(`Bill part is already ${part.paymentStatus}`, 409)
+  }
+
+  // Whoever pays the last part moves the bill to paid, exactly once. The bill tip is
+  // summed from the parts by the update itself so concurrent payments cannot lose one.
+  const fullyPaid = paid.parts.every((part) => part.paymentStatus === "paid")
+  const bill = await Bill.findOneAndUpdate(
+    { _id: paid._id, paymentStatus: { $in: ["pending", "partially_paid"] } },
+    [
+      {
+        $set: {
+          tip: { $round: [{ $sum: "$parts.tip" }, 2] },
+          ...(fullyPaid
+            ? { paymentStatus: "paid", paymentMethod: paymentMethod, processedBy: processedBy || null }
+            : { paymentStatus: "partially_paid" }),
+        },
+      },
+    ],
+    { new: true },
+  )
+
+  return { bill: bill || paid, part: (bill || paid).parts.id(partId), fullyPaid: fullyPaid && !!bill }
+}
+
+export default {
+  splitBill,
+  clearBillSplit,
+  payBillPart,
+}
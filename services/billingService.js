@@ -0,0 +1,405 @@
+import Bill from "../models/bill.model.js"
+import { Order } from "../models/order.model.js"
+import MenuItem from "../models/menuItem.model.js"
+import { Restaurant } from "../models/restaurant.model.js"
+import { Reservation } from "../models/reservation.model.js"
+import { refundReservationDeposit } from "./refundService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Bill amounts are stored in major units, every calculation is done in cents
+const toCents = (amount) => Math.round(Number(amount) * 100)
+const fromCents = (cents) => cents / 100
+
+// Percent of an amount of cents, rounded half up to the cent
+const percentOf = (cents, rate) => Math.round((cents * rate) / 100)
+
+/**
+ * Error raised for a bill that cannot be built or changed
+ */
+export class BillingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "BillingError"
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Share an amount of cents in proportion to weights.
+ * Leftover cents go to the largest fractional shares, so the shares always add up to total.
+ * @param {number} totalCents - Amount to share (may be negative)
+ * @param {Array<number>} weights - One non-negative weight per share
+ * @returns {Array<number>} - Cents per share
+ */
+export const allocateCents = (totalCents, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0)
+  if (!weightSum) {
+    return allocateCents(totalCents, weights.map(() => 1))
+  }
+
+  const exact = weights.map((weight) => (totalCents * weight) / weightSum)
+  const shares = exact.map(Math.floor)
+  let leftover = totalCents - shares.reduce((sum, share) => sum + share, 0)
+
+  const byFraction = exact.map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+  byFraction.sort((a, b) => b.fraction - a.fraction)
+  for (let position = 0; leftover > 0; position = (position + 1) % shares.length, leftover--) {
+    shares[byFraction[position].index]++
+  }
+  return shares
+}
+
+/**
+ * Tax rate (percent) of a menu category
+ * @param {object} billing - restaurant.billing
+ * @param {string} [category] - Menu item category
+ * @returns {number}
+ */
+export const taxRateFor = (billing = {}, category) => {
+  const key = category?.toLowerCase().trim()
+  const match = (billing.taxRates || []).find((entry) => entry.category === key)
+  return match ? match.rate : billing.defaultTaxRate || 0
+}
+
+/**
+ * Compute a bill from its lines.
+ * Discounts are taken off the subtotal in order and spread over the lines, tax is charged
+ * per line on what is left, the service charge on the discounted subtotal.
+ * Everything is computed in cents, so the lines always add up to the totals.
+ * @param {object} input
+ * @param {Array<object>} input.lines - [{ amount, taxRate, ... }], amounts in major units
+ * @param {Array<object>} [input.discounts] - [{ label, type: "percent"|"amount", value }]
+ * @param {number} [input.serviceChargeRate] - Percent
+ * @returns {object} - { lines, subtotal, discounts, discountTotal, serviceChargeRate, serviceCharge, taxes, tax, total }
+ */
+export const calculateBill = ({ lines, discounts = [], serviceChargeRate = 0 }) => {
+  const lineCents = lines.map((line) => toCents(line.amount))
+  const subtotalCents = lineCents.reduce((sum, cents) => sum + cents, 0)
+
+  let remainingCents = subtotalCents
+  const appliedDiscounts = discounts.map((discount) => {
+    const wanted = discount.type === "percent" ? percentOf(remainingCents, discount.value) : toCents(discount.value)
+    const cents = Math.min(Math.max(wanted, 0), remainingCents)
+    remainingCents -= cents
+    return { ...discount, amount: fromCents(cents) }
+  })
+  const discountCents = subtotalCents - remainingCents
+  const lineDiscounts = allocateCents(discountCents, lineCents)
+
+  const taxesByRate = new Map()
+  const computedLines = lines.map((line, index) => {
+    const netCents = lineCents[index] - lineDiscounts[index]
+    const taxCents = percentOf(netCents, line.taxRate || 0)
+
+    const rateTotals = taxesByRate.get(line.taxRate || 0) || { taxable: 0, amount: 0 }
+    rateTotals.taxable += netCents
+    rateTotals.amount += taxCents
+    taxesByRate.set(line.taxRate || 0, rateTotals)
+
+    return { ...line, discount: fromCents(lineDiscounts[index]), tax: fromCents(taxCents) }
+  })
+
+  const taxCents = [...taxesByRate.values()].reduce((sum, entry) => sum + entry.amount, 0)
+  const serviceChargeCents = percentOf(remainingCents, serviceChargeRate)
+
+  return {
+    lines: computedLines,
+    subtotal: fromCents(subtotalCents),
+    discounts: appliedDiscounts,
+    discountTotal: fromCents(discountCents),
+    serviceChargeRate,
+    serviceCharge: fromCents(serviceChargeCents),
+    taxes: [...taxesByRate.entries()]
+      .filter(([rate]) => rate > 0)
+      .map(([rate, entry]) => ({ rate, taxable: fromCents(entry.taxable), amount: fromCents(entry.amount) })),
+    tax: fromCents(taxCents),
+    total: fromCents(remainingCents + serviceChargeCents + taxCents),
+  }
+}
+
+/**
+ * Turn the items of a session's orders into bill lines. Cancelled orders are left out.
+ * @param {Array<object>} orders - Order documents
+ * @param {object} billing - restaurant.billing, picks each line's tax rate
+ * @returns {Promise<Array<object>>}
+ */
+const buildBillLines = async (orders, billing) => {
+  const billable = orders.filter((order) => order.status !== "cancelled")
+  const menuItemIds = billable.flatMap((order) => order.items.map((item) => item.menuItem))
+  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } }).select("category")
+  const categories = new Map(menuItems.map((menuItem) => [menuItem._id.toString(), menuItem.category]))
+
+  return billable.flatMap((order) =>
+    order.items.map((item) => {
+      const category = categories.get(item.menuItem?.toString())
+      return {
+        order: order._id,
+        item: item._id,
+        menuItem: item.menuItem,
+        name: item.name,
+        category,
+        seat: item.seat,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        amount: item.total,
+        taxRate: taxRateFor(billing, category),
+      }
+    }),
+  )
+}
+
+/**
+ * What the table still has to pay: the total less the reservation deposit credited on it
+ * @param {object} bill - Bill document
+ * @returns {number}
+ */
+export const billAmountDue = (bill) => fromCents(Math.max(0, toCents(bill.total) - toCents(bill.deposit?.amount || 0)))
+
+// Credit the deposit paid with the party's reservation on its bill, once. A deposit larger
+// than the bill has the difference refunded.
+const creditReservationDeposit = async (bill, session) => {
+  if (!session.reservationid) return bill
+
+  const reservation = await Reservation.findOne({ _id: session.reservationid, "deposit.status": "paid" })
+  if (!reservation) return bill
+
+  const depositCents = toCents(reservation.deposit.amount)
+  const creditCents = Math.min(depositCents, toCents(bill.total))
+  const claimed = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, "deposit.status": "paid" },
+    {
+      $set: {
+        "deposit.status": "applied",
+        "deposit.bill": bill._id,
+        "deposit.appliedAmount": fromCents(creditCents),
+        "deposit.settledAt": new Date(),
+        ...(depositCents > creditCents && {
+          "deposit.refundDue": fromCents(depositCents - creditCents),
+          "deposit.refundReason": "Deposit above the bill total",
+        }),
+      },
+    },
+    { new: true },
+  )
+  if (!claimed) return bill
+
+  const credited = await Bill.findByIdAndUpdate(
+    bill._id,
+    { $set: { deposit: { reservation: reservation._id, amount: fromCents(creditCents) } } },
+    { new: true },
+  )
+  logger.info(`Deposit of reservation ${reservation._id} credited on bill ${bill._id}: ${fromCents(creditCents)}`)
+
+  if (claimed.deposit.refundDue > 0) await refundReservationDeposit(claimed)
+  return credited
+}
+
+/**
+ * Return the bill of a session, generating it from the session's orders when it has none.
+ * A deposit paid with the session's reservation is credited on the new bill.
+ * Tax and service charge rates are taken from the restaurant's billing settings.
+ * Concurrent calls for the same session (HTTP route and end_session socket event) get the
+ * same bill: the unique index lets one insert win and the others return its bill.
+ * @param {object} session - TableSession document
+ * @returns {Promise<{bill: object, created: boolean}>}
+ */
+export const getOrCreateSessionBill = async (session) => {
+  const existing = await Bill.findOne({ tableSessionId: session._id, restaurant: session.restaurant })
+  if (existing) {
+    return { bill: existing, created: false }
+  }
+
+  const restaurant = await Restaurant.findById(session.restaurant).select("billing")
+  const billing = restaurant?.billing || {}
+  const orders = await Order.find({ _id: { $in: session.orders } })
+  const lines = await buildBillLines(orders, billing)
+  // Promotions the orders were placed with carry over as bill discounts
+  const discounts = orders
+    .filter((order) => order.status !== "cancelled" && order.discount > 0)
+    .map((order) => ({
+      label: `Promotion ${order.promotion?.code || order.promotion?.name || ""}`.trim(),
+      type: "amount",
+      value: order.discount,
+    }))
+
+  const bill = new Bill({
+    restaurant: session.restaurant,
+    tableSessionId: session._id,
+    ...calculateBill({ lines, discounts, serviceChargeRate: billing.serviceChargeRate || 0 }),
+    paymentStatus: "pending",
+  })
+  try {
+    await bill.save()
+  } catch (error) {
+    if (error.code !== 11000) throw error
+    const winner = await Bill.findOne({ tableSessionId: session._id, restaurant: session.restaurant })
+    if (!winner) throw error
+    return { bill: winner, created: false }
+  }
+
+  logger.info(`Bill ${bill._id} generated for session ${session._id}: ${lines.length} lines, total ${bill.total}`)
+  return { bill: await creditReservationDeposit(bill, session), created: true }
+}
+
+// Load a bill whose amounts can still change: nothing paid and not split
+const findEditableBill = async (restaurantId, billId) => {
+  const bill = await Bill.findOne({ _id: billId, restaurant: restaurantId })
+  if (!bill) {
+    throw new BillingError("Bill not found", 404)
+  }
+  if (bill.paymentStatus !== "pending") {
+    throw new BillingError("Bill already has payments, discounts can no longer change", 409)
+  }
+  if (bill.parts.length) {
+    throw new BillingError("Bill is split, remove the split before changing discounts", 409)
+  }
+  return bill
+}
+
+// Give back the part of a credited deposit a new total no longer covers: the reservation
+// keeps the smaller credit and the difference is refunded to the guest
+const reduceDepositCredit = async (bill, creditCents) => {
+  const reservation = await Reservation.findOne({
+    _id: bill.deposit.reservation,
+    "deposit.status": "applied",
+    "deposit.bill": bill._id,
+  })
+  if (!reservation) return
+
+  const excessCents = toCents(reservation.deposit.appliedAmount) - creditCents
+  if (!(excessCents > 0)) return
+
+  const reduced = await Reservation.findOneAndUpdate(
+    {
+      _id: reservation._id,
+      "deposit.status": "applied",
+      "deposit.appliedAmount": reservation.deposit.appliedAmount,
+      "deposit.refundDue": reservation.deposit.refundDue,
+    },
+    {
+      $set: {
+        "deposit.appliedAmount": fromCents(creditCents),
+        "deposit.refundDue": fromCents(toCents(reservation.deposit.refundDue) + excessCents),
+        "deposit.refundReason": "Deposit above the bill total",
+      },
+    },
+    { new: true },
+  )
+  // A concurrent change leaves the refund to the retry job once it is recorded
+  if (!reduced) {
+    logger.warn(`Deposit credit of reservation ${reservation._id} changed while reducing it on bill ${bill._id}`)
+    return
+  }
+
+  logger.info(`Deposit credit of reservation ${reservation._id} reduced to ${fromCents(creditCents)} on bill ${bill._id}`)
+  await refundReservationDeposit(reduced)
+}
+
+// Recompute the bill with new discounts, saved only if it is still unpaid and unsplit and
+// nobody changed its discounts or deposit since it was read. A deposit credit above the new
+// total is capped at it and the rest refunded.
+const applyDiscounts = async (bill, discounts) => {
+  const computed = calculateBill({
+    lines: bill.lines.map((line) => line.toObject()),
+    discounts,
+    serviceChargeRate: bill.serviceChargeRate,
+  })
+
+  const depositCents = toCents(bill.deposit?.amount || 0)
+  const creditCents = Math.min(depositCents, toCents(computed.total))
+  if (creditCents < depositCents) {
+    computed["deposit.amount"] = fromCents(creditCents)
+  }
+
+  const readDiscountIds = bill.discounts.map((entry) => entry._id)
+  const updated = await Bill.findOneAndUpdate(
+    {
+      _id: bill._id,
+      paymentStatus: "pending",
+      "parts.0": { $exists: false },
+      discounts: { $size: readDiscountIds.length },
+      ...(readDiscountIds.length && { "discounts._id": { $all: readDiscountIds } }),
+      "deposit.amount": depositCents ? bill.deposit.amount : { $in: [0, null] },
+    },
+    { $set: computed },
+    { new: true, runValidators: true },
+  )
+  if (!updated) {
+    throw new BillingError("Bill changed while applying the discount, try again", 409)
+  }
+
+  if (creditCents < depositCents) await reduceDepositCredit(updated, creditCents)
+  return updated
+}
+
+/**
+ * Add a discount to an unpaid bill and recompute it
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} billId - Bill ID
+ * @param {object} discount - { label, type: "percent"|"amount", value }
+ * @param {string} [appliedBy] - Staff applying it
+ * @returns {Promise<object>} - The updated bill
+ * @throws {BillingError}
+ */
+export const addBillDiscount = async (restaurantId, billId, { label, type, value } = {}, appliedBy = null) => {
+  const amount = Number(value)
+  if (!label) {
+    throw new BillingError("Discount label is required")
+  }
+  if (!["percent", "amount"].includes(type)) {
+    throw new BillingError("Discount type must be percent or amount")
+  }
+  if (!(amount > 0) || (type === "percent" && amount > 100)) {
+    throw new BillingError(type === "percent" ? "Percent must be between 0 and 100" : "Amount must be positive")
+  }
+
+  const bill = await findEditableBill(restaurantId, billId)
+  const discounts = [...bill.discounts.map((entry) => entry.toObject()), { label, type, value: amount, appliedBy }]
+  return applyDiscounts(bill, discounts)
+}
+
+/**
+ * Remove a discount from an unpaid bill and recompute it
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} billId - Bill ID
+ * @param {string} discountId - Discount ID
+ * @returns {Promise<object>} - The updated bill
+ * @throws {BillingError}
+ */
+export const removeBillDiscount = async (restaurantId, billId, discountId) => {
+  const bill = await findEditableBill(restaurantId, billId)
+  if (!bill.discounts.id(discountId)) {
+    throw new BillingError("Discount not found", 404)
+  }
+
+  const discounts = bill.discounts
+    .filter((entry) => entry._id.toString() !== discountId.toString())
+    .map((entry) => entry.toObject())
+  return applyDiscounts(bill, discounts)
+}
+
+/**
+ * Validate a tip entered at payment
+ * @param {*} tip - Tip from the request body
+ * @returns {number} - Tip rounded to the cent, 0 when none was given
+ * @throws {BillingError}
+ */
+export const normalizeTip = (tip) => {
+  if (tip === undefined || tip === null || tip === "") return 0
+  const cents = toCents(tip)
+  if (!Number.isFinite(cents) || cents < 0) {
+    throw new BillingError("Tip must be a positive amount")
+  }
+  return fromCents(cents)
+}
+
+export default {
+  allocateCents,
+  taxRateFor,
+  calculateBill,
+  billAmountDue,
+  getOrCreateSessionBill,
+  addBillDiscount,
+  removeBillDiscount,
+  normalizeTip,
+}
@@ -0,0 +1,291 @@
+import Stripe from "stripe"
+import { Reservation } from "../models/reservation.model.js"
+import { User } from "../models/user.model.js"
+import { creditWallet, debitWallet, revenueAccount, WalletError } from "./walletService.js"
+import { getNextReminderAt, invalidateAvailability, formatLocalDateTime } from "./reservationService.js"
+import { refundReservationDeposit } from "./refundService.js"
+import { sendReservationCancelledNotification } from "./notificationService.js"
+import logger from "../middlewares/logger.middleware.js"
+import dotenv from "dotenv"
+dotenv.config()
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "")
+
+// Reservations handled per run of the deposit job, the rest wait for the next run
+const DEPOSIT_BATCH_SIZE = 200
+
+/**
+ * Error raised for a deposit that cannot be paid
+ */
+export class DepositError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "DepositError"
+    this.statusCode = statusCode
+  }
+}
+
+// Only a booking still waiting for its deposit, within the payment window, can be paid
+const assertPayable = (reservation) => {
+  if (reservation.deposit?.status !== "pending" || reservation.status !== "pending") {
+    throw new DepositError("This reservation has no deposit to pay", 409)
+  }
+  if (reservation.deposit.dueBy && reservation.deposit.dueBy <= new Date()) {
+    throw new DepositError("The time to pay the deposit is over", 409)
+  }
+}
+
+/**
+ * Start a card payment of a reservation deposit. Asking again returns the same payment intent.
+ * @param {object} reservation - Reservation document (pending)
+ * @param {object} user - Guest paying
+ * @returns {Promise<{clientSecret: string, amount: number}>} - amount in cents
+ * @throws {DepositError}
+ */
+export const createDepositPaymentIntent = async (reservation, user) => {
+  assertPayable(reservation)
+
+  const { stripeCustomerId } = (await User.findById(user._id).select("stripeCustomerId")) || {}
+  const amount = Math.round(reservation.deposit.amount * 100) // Convert to cents
+  const paymentIntent = await stripe.paymentIntents.create(
+    {
+      amount,
+      currency: "usd",
+      ...(stripeCustomerId && { customer: stripeCustomerId }),
+      metadata: {
+        type: "reservation_deposit",
+        reservationId: reservation._id.toString(),
+        restaurantId: reservation.restaurant.toString(),
+        userId: user._id.toString(),
+      },
+    },
+    { idempotencyKey: `deposit:${reservation._id}:payment-intent` },
+  )
+
+  // Kept so an expired booking can cancel it
+  await Reservation.updateOne(
+    { _id: reservation._id, "deposit.status": "pending" },
+    { $set: { "deposit.paymentIntentId": paymentIntent.id } },
+  )
+  return { clientSecret: paymentIntent.client_secret, amount }
+}
+
+// A payment that came in for a deposit no longer owed goes straight back where it came from
+const returnPayment = async (reservation, { method, paymentIntentId, amount }) => {
+  if (method === "wallet") {
+    await creditWallet(reservation.userId, amount, {
+      type: "reservation_deposit_refund",
+      counterAccount: revenueAccount(reservation.restaurant),
+      description: `Refund of a deposit no longer owed for reservation #${reservation._id}`,
+      idempotencyKey: `reservation:${reservation._id}:deposit:wallet:reversal`,
+      reference: { restaurant: reservation.restaurant, externalId: reservation._id.toString() },
+    })
+  } else {
+    await stripe.refunds.create(
+      { payment_intent: paymentIntentId, metadata: { reservationId: reservation._id.toString() } },
+      { idempotencyKey: `deposit:return:${paymentIntentId}` },
+    )
+  }
+  logger.warn(`Deposit payment (${method}) for reservation ${reservation._id} was no longer owed and was given back`)
+}
+
+/**
+ * Record a deposit payment and confirm the booking. Safe to call twice for the same payment
+ * (the webhook and the client confirmation). A payment arriving after the booking was
+ * released, or already paid another way, is given back.
+ * @param {string} reservationId - Reservation ID
+ * @param {object} payment
+ * @param {string} payment.method - "card" or "wallet"
+ * @param {number} payment.amount - Amount paid, in major units
+ * @param {string} [payment.paymentIntentId] - Stripe payment intent of a card payment
+ * @param {string} [payment.ledgerTransaction] - Ledger transaction of a wallet payment
+ * @returns {Promise<{reservation: object|null, paid: boolean}>} - paid is false when the payment was given back
+ */
+export const markDepositPaid = async (reservationId, { method, amount, paymentIntentId, ledgerTransaction }) => {
+  const paidAt = new Date()
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: reservationId, status: "pending", "deposit.status": "pending" },
+    {
+      $set: {
+        status: "confirmed",
+        "deposit.status": "paid",
+        "deposit.method": method,
+        "deposit.paidAt": paidAt,
+        ...(paymentIntentId && { "deposit.paymentIntentId": paymentIntentId }),
+        ...(ledgerTransaction && { "deposit.ledgerTransaction": ledgerTransaction }),
+      },
+    },
+    { new: true },
+  ).populate("restaurant", "timezone reservationSettings")
+
+  if (reservation) {
+    const { restaurant } = reservation
+    const nextReminderAt = getNextReminderAt(restaurant, reservation.reservationTime, paidAt)
+    if (nextReminderAt) {
+      await Reservation.updateOne({ _id: reservation._id }, { $set: { nextReminderAt } })
+      reservation.nextReminderAt = nextReminderAt
+    }
+
+    logger.info(`Deposit of ${reservation.deposit.amount} (${method}) paid, reservation ${reservation._id} confirmed`)
+    reservation.depopulate("restaurant")
+    return { reservation, paid: true }
+  }
+
+  const current = await Reservation.findById(reservationId)
+  if (!current) return { reservation: null, paid: false }
+
+  const { deposit } = current
+  const recorded =
+    deposit?.paidAt &&
+    deposit.method === method &&
+    (method === "card"
+      ? deposit.paymentIntentId === paymentIntentId
+      : deposit.ledgerTransaction?.toString() === ledgerTransaction?.toString())
+  if (recorded) return { reservation: current, paid: true }
+
+  await returnPayment(current, { method, paymentIntentId, amount })
+  return { reservation: current, paid: false }
+}
+
+/**
+ * Confirm a card payment of a deposit once the client has completed it
+ * @param {object} reservation - Reservation document
+ * @param {string} paymentIntentId - Stripe payment intent
+ * @returns {Promise<{reservation: object, paid: boolean}>}
+ * @throws {DepositError}
+ */
+export const confirmCardDeposit = async (reservation, paymentIntentId) => {
+  if (!paymentIntentId) throw new DepositError("paymentIntentId is required")
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId)
+  if (
+    paymentIntent.metadata?.type !== "reservation_deposit" ||
+    paymentIntent.metadata.reservationId !== reservation._id.toString()
+  ) {
+    throw new DepositError("Payment does not belong to this reservation")
+  }
+  if (paymentIntent.status !== "succeeded") {
+    throw new DepositError("Payment not successful")
+  }
+
+  return markDepositPaid(reservation._id, {
+    method: "card",
+    amount: paymentIntent.amount_received / 100,
+    paymentIntentId,
+  })
+}
+
+/**
+ * Pay a reservation deposit from the guest's wallet. One wallet payment per reservation,
+ * whatever the number of attempts.
+ * @param {object} reservation - Reservation document (pending)
+ * @param {object} user - Guest paying
+ * @returns {Promise<{reservation: object, paid: boolean, balance: number|null}>}
+ * @throws {DepositError}
+ */
+export const payDepositFromWallet = async (reservation, user) => {
+  assertPayable(reservation)
+
+  let debit
+  try {
+    debit = await debitWallet(user._id, reservation.deposit.amount, {
+      type: "reservation_deposit",
+      counterAccount: revenueAccount(reservation.restaurant),
+      description: `Deposit for reservation #${reservation._id}`,
+      idempotencyKey: `reservation:${reservation._id}:deposit:wallet`,
+      reference: { restaurant: reservation.restaurant, externalId: reservation._id.toString() },
+      requireFunds: true,
+    })
+  } catch (error) {
+    if (error instanceof WalletError) throw new DepositError(error.message, error.statusCode)
+    throw error
+  }
+
+  const result = await markDepositPaid(reservation._id, {
+    method: "wallet",
+    amount: reservation.deposit.amount,
+    ledgerTransaction: debit.transaction._id,
+  })
+  return { ...result, balance: debit.balance }
+}
+
+/**
+ * Release the bookings whose deposit was not paid in time: the booking is cancelled, its
+ * tables freed and the guest told by push. The open payment intent is cancelled, a payment
+ * that still gets through is given back by markDepositPaid.
+ * @param {Date} [now]
+ * @returns {Promise<{ expired: number }>}
+ */
+export const expireUnpaidDeposits = async (now = new Date()) => {
+  const overdue = await Reservation.find({ status: "pending", "deposit.status": "pending", "deposit.dueBy": { $lte: now } })
+    .limit(DEPOSIT_BATCH_SIZE)
+    .populate("restaurant", "name timezone reservationSettings")
+    .lean()
+
+  let expired = 0
+  for (const reservation of overdue) {
+    // Paid since the query, leave it alone
+    const { modifiedCount } = await Reservation.updateOne(
+      { _id: reservation._id, status: "pending", "deposit.status": "pending" },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledAt: now,
+          cancelledBy: "system",
+          cancellationReason: "Deposit not paid in time",
+          "deposit.status": "cancelled",
+        },
+        $unset: { nextReminderAt: 1 },
+      },
+    )
+    if (!modifiedCount) continue
+
+    expired++
+    logger.info(`Reservation ${reservation._id} released, its deposit was not paid in time`)
+
+    const { restaurant } = reservation
+    if (!restaurant) continue
+    await invalidateAvailability(restaurant, reservation.reservationTime)
+
+    // Push and Stripe failures must never undo the release
+    const time = formatLocalDateTime(reservation.reservationTime, restaurant.timezone)
+    sendReservationCancelledNotification(
+      reservation.userId.toString(),
+      { ...reservation, restaurant: restaurant._id },
+      restaurant.name,
+      time,
+    ).catch((error) => logger.error(`Error sending cancellation notification for reservation ${reservation._id}:`, error))
+
+    if (reservation.deposit.paymentIntentId) {
+      await stripe.paymentIntents
+        .cancel(reservation.deposit.paymentIntentId)
+        .catch((error) =>
+          logger.warn(`Payment intent ${reservation.deposit.paymentIntentId} could not be cancelled: ${error.message}`),
+        )
+    }
+  }
+  return { expired }
+}
+
+/**
+ * Send again the deposit refunds that failed
+ * @returns {Promise<{ refunded: number, failed: number }>}
+ */
+export const retryDepositRefunds = async () => {
+  const owed = await Reservation.find({ "deposit.refundDue": { $gt: 0 } }).limit(DEPOSIT_BATCH_SIZE)
+
+  let refunded = 0
+  for (const reservation of owed) {
+    if (await refundReservationDeposit(reservation)) refunded++
+  }
+  return { refunded, failed: owed.length - refunded }
+}
+
+export default {
+  createDepositPaymentIntent,
+  markDepositPaid,
+  confirmCardDeposit,
+  payDepositFromWallet,
+  expireUnpaidDeposits,
+  retryDepositRefunds,
+}
@@ -0,0 +1,842 @@
+import mongoose from "mongoose"
+import { Driver, DRIVER_STATUSES, DRIVER_VEHICLES } from "../models/driver.model.js"
+import { Order } from "../models/order.model.js"
+import { Staff } from "../models/staff.model.js"
+import { Restaurant } from "../models/restaurant.model.js"
+import { transitionOrderStatus, invalidateOrderCaches } from "./orderStatusService.js"
+import { publishToRoom } from "./realtimeService.js"
+import { uploadImage, deleteImage } from "./cloudinaryService.js"
+import { hasPermission, PERMISSIONS } from "../lib/permissions.js"
+import { orderRoom, driverRoom, dispatchRoom } from "../lib/socketRooms.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Average speeds in km/h, door to door, used for ETAs
+export const VEHICLE_SPEEDS_KMH = { bicycle: 14, scooter: 25, car: 28, on_foot: 5 }
+
+// Roads are longer than the straight line between two points
+const ROUTE_FACTOR = 1.3
+const EARTH_RADIUS_KM = 6371
+
+// A position older than this is not used for assignment or ETAs
+const LOCATION_MAX_AGE_MS = 5 * 60 * 1000
+// Positions sent closer together than this are dropped
+const LOCATION_MIN_INTERVAL_MS = 2000
+// ETA changes smaller than this are not pushed to the customer
+const ETA_CHANGE_MS = 60 * 1000
+
+// A delivery order can be given a driver until it is picked up, auto-dispatch waits for ready_for_pickup
+const ASSIGNABLE_STATUSES = ["confirmed", "preparing", "ready_for_pickup"]
+// Delivery orders shown on the dispatch board and in the driver app
+const OPEN_DELIVERY_STATUSES = [...ASSIGNABLE_STATUSES, "picked_up", "out_for_delivery"]
+// Statuses the driver app moves its own orders to
+export const DRIVER_ORDER_STATUSES = ["picked_up", "out_for_delivery", "delivered"]
+
+// Waiting orders auto-assigned per restaurant and run, the rest wait for the next run
+const DISPATCH_BATCH_SIZE = 50
+
+const MINUTE_MS = 60 * 1000
+
+/**
+ * Error raised for a delivery that cannot be assigned or updated
+ */
+export class DispatchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "DispatchError"
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Delivery settings of a restaurant with the defaults filled in
+ * @param {object} restaurant - Restaurant document
+ * @returns {object} - deliverySettings of restaurant.model.js, every field set
+ */
+export const getDeliverySettings = (restaurant) => {
+  const settings = restaurant.deliverySettings || {}
+  return {
+    autoAssign: settings.autoAssign ?? true,
+    maxOrdersPerDriver: settings.maxOrdersPerDriver || 1,
+    maxAssignDistanceKm: settings.maxAssignDistanceKm || 0,
+    handoverMinutes: settings.handoverMinutes ?? 5,
+    requireProofOfDelivery: settings.requireProofOfDelivery ?? false,
+  }
+}
+
+const isValidPoint = (point) =>
+  !!point &&
+  Number.isFinite(point.latitude) &&
+  Number.isFinite(point.longitude) &&
+  Math.abs(point.latitude) <= 90 &&
+  Math.abs(point.longitude) <= 180
+
+/**
+ * Great-circle distance between two points
+ * @param {object} from - { latitude, longitude }
+ * @param {object} to - { latitude, longitude }
+ * @returns {number} - Kilometers
+ */
+export const distanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180
+  const dLat = toRadians(to.latitude - from.latitude)
+  const dLng = toRadians(to.longitude - from.longitude)
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+// Restaurant location is GeoJSON ([longitude, latitude]), [0, 0] means it was never set
+const restaurantPoint = (restaurant) => {
+  const [longitude, latitude] = restaurant.location?.coordinates || []
+  return longitude || latitude ? { latitude, longitude } : null
+}
+
+// Delivery coordinates of the order, none when the customer only typed an address
+const customerPoint = (order) => {
+  const { latitude, longitude } = order.deliveryAddress || {}
+  const point = { latitude, longitude }
+  return isValidPoint(point) && (latitude || longitude) ? point : null
+}
+
+// Last position of the driver, unless it is too old to rely on
+const freshLocation = (driver, now = new Date()) => {
+  const location = driver?.location
+  if (!location?.updatedAt || now - location.updatedAt > LOCATION_MAX_AGE_MS) return null
+  return isValidPoint(location) ? location : null
+}
+
+const travelMinutes = (km, vehicle) =>
+  ((km * ROUTE_FACTOR) / (VEHICLE_SPEEDS_KMH[vehicle] || VEHICLE_SPEEDS_KMH.scooter)) * 60
+
+/**
+ * Estimate when a delivery reaches the customer. Until it is picked up, the driver first rides
+ * to the restaurant (from their last position, if known), then on to the customer. Kitchen
+ * time is not included, the order is expected to be ready when the driver arrives.
+ * @param {object} restaurant - Restaurant document (location, deliverySettings)
+ * @param {object} order - Order document
+ * @param {object} [driver] - Driver document, the restaurant's position is used without one
+ * @param {Date} [now]
+ * @returns {Date|null} - null when the order or the restaurant has no coordinates
+ */
+export const estimateDeliveryTime = (restaurant, order, driver = null, now = new Date()) => {
+  const destination = customerPoint(order)
+  const kitchen = restaurantPoint(restaurant)
+  if (!destination) return null
+
+  const { handoverMinutes } = getDeliverySettings(restaurant)
+  const position = freshLocation(driver, now)
+  const vehicle = driver?.vehicle
+  let minutes
+
+  if (["picked_up", "out_for_delivery"].includes(order.status)) {
+    const from = position || kitchen
+    if (!from) return null
+    minutes = travelMinutes(distanceKm(from, destination), vehicle) + handoverMinutes
+  } else {
+    if (!kitchen) return null
+    const toKitchen = position ? travelMinutes(distanceKm(position, kitchen), vehicle) : 0
+    minutes = toKitchen + handoverMinutes * 2 + travelMinutes(distanceKm(kitchen, destination), vehicle)
+  }
+  return new Date(now.getTime() + Math.ceil(minutes) * MINUTE_MS)
+}
+
+const formatLocation = (location) =>
+  location && {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    heading: location.heading ?? null,
+    updatedAt: location.updatedAt,
+  }
+
+/**
+ * Shape a driver for the dispatch board and the driver app
+ * @param {object} driver - Driver (staff populated with fullName and mobileNumber, or an ID)
+ * @returns {object}
+ */
+export const formatDriver = (driver) => ({
+  id: driver.staff?._id || driver.staff,
+  name: driver.staff?.fullName || null,
+  mobileNumber: driver.staff?.mobileNumber || null,
+  status: driver.status,
+  vehicle: driver.vehicle,
+  shift: driver.shift?.startedAt ? { startedAt: driver.shift.startedAt, endsAt: driver.shift.endsAt || null } : null,
+  activeOrders: driver.activeOrders,
+  location: formatLocation(driver.location?.updatedAt ? driver.location : null),
+})
+
+/**
+ * Shape a delivery order for the dispatch board and the driver app
+ * @param {object} order - Order (user populated with fullName and mobile number, or an ID)
+ * @returns {object}
+ */
+export const formatDelivery = (order) => ({
+  orderId: order._id,
+  orderNumber: order._id.toString().slice(-6).toUpperCase(),
+  status: order.status,
+  items: order.items.map(({ name, quantity }) => ({ name, quantity })),
+  total: order.total,
+  paymentMethod: order.paymentMethod,
+  paymentStatus: order.paymentStatus,
+  customer: order.user?.fullName
+    ? { name: order.user.fullName, mobileNumber: order.user.mobileNumber, countryCode: order.user.countryCode }
+    : null,
+  deliveryAddress: order.deliveryAddress,
+  deliveryInstructions: order.deliveryInstructions || "",
+  driverId: order.driverId || null,
+  assignedAt: order.dispatch?.assignedAt || null,
+  estimatedDeliveryTime: order.estimatedDeliveryTime || null,
+  createdAt: order.createdAt,
+})
+
+/**
+ * What a customer tracking a delivery sees
+ * @param {object} order - Order document
+ * @param {object} [driver] - Driver of the order (staff populated with fullName)
+ * @returns {object}
+ */
+export const formatTracking = (order, driver = null) => ({
+  orderId: order._id,
+  status: order.status,
+  estimatedDeliveryTime: order.estimatedDeliveryTime || null,
+  actualDeliveryTime: order.actualDeliveryTime || null,
+  driver: driver && {
+    name: driver.staff?.fullName || null,
+    vehicle: driver.vehicle,
+    location: formatLocation(freshLocation(driver)),
+  },
+  proofOfDelivery: order.proofOfDelivery?.photoUrl
+    ? {
+        photoUrl: order.proofOfDelivery.photoUrl,
+        recipientName: order.proofOfDelivery.recipientName || null,
+        uploadedAt: order.proofOfDelivery.uploadedAt,
+      }
+    : null,
+})
+
+const findOrderDriver = (order) =>
+  order.driverId ? Driver.findOne({ staff: order.driverId }).populate("staff", "fullName") : null
+
+/**
+ * Current tracking of a delivery order
+ * @param {object} order - Order document
+ * @returns {Promise<object>} - See formatTracking
+ */
+export const getTracking = async (order) => formatTracking(order, await findOrderDriver(order))
+
+// Customer and dispatch board follow every change of a delivery
+const publishDeliveryUpdate = async (io, order) => {
+  if (!io) return
+  const tracking = await getTracking(order)
+  const options = { restaurantId: order.restaurant }
+  await publishToRoom(io, orderRoom(order._id), "delivery_updated", tracking, options)
+  await publishToRoom(io, dispatchRoom(order.restaurant), "dispatch_order_updated", tracking, options)
+}
+
+const publishDriverUpdate = async (io, driver) => {
+  if (!io) return
+  const populated = await Driver.findById(driver._id).populate("staff", "fullName mobileNumber")
+  if (!populated) return
+  await publishToRoom(io, dispatchRoom(driver.restaurant), "dispatch_driver_updated", formatDriver(populated), {
+    restaurantId: driver.restaurant,
+  })
+}
+
+/**
+ * Driver profile of a staff account, created the first time it is needed
+ * @param {object} restaurant - Restaurant document
+ * @param {object} staff - Staff document
+ * @returns {Promise<object>} - Driver document
+ */
+export const getDriverProfile = (restaurant, staff) =>
+  Driver.findOneAndUpdate(
+    { staff: staff._id },
+    { $setOnInsert: { restaurant: restaurant._id } },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  )
+
+// Take a slot of the driver for the order, only while the driver is available, on shift, not full
+// and not already holding the order (releaseDriver would pull both copies)
+const claimDriver = (restaurant, staffId, orderId, now = new Date()) => {
+  const { maxOrdersPerDriver } = getDeliverySettings(restaurant)
+  return Driver.findOneAndUpdate(
+    {
+      restaurant: restaurant._id,
+      staff: staffId,
+      status: "available",
+      activeOrders: { $ne: orderId },
+      [`activeOrders.${maxOrdersPerDriver - 1}`]: { $exists: false },
+      $or: [{ "shift.endsAt": null }, { "shift.endsAt": { $gt: now } }],
+    },
+    { $push: { activeOrders: orderId }, $set: { lastAssignedAt: now } },
+    { new: true },
+  )
+}
+
+const releaseDriver = (staffId, orderId) => Driver.updateOne({ staff: staffId }, { $pull: { activeOrders: orderId } })
+
+// Delivery order with its customer, as sent to the driver app
+const loadDelivery = (orderId) => Order.findById(orderId).populate("user", "fullName mobileNumber countryCode").lean()
+
+/**
+ * Give a delivery order to a driver, replacing the driver it had. The order must not be picked up.
+ * Assigning the order to the driver it already has leaves it as it is.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} order - Order document
+ * @param {string} staffId - Staff ID of the driver
+ * @param {object} [options]
+ * @param {string} [options.assignedBy] - Dispatcher, none for auto-dispatch
+ * @param {string} [options.assignedByModel] - "Staff" (default) or "User"
+ * @param {boolean} [options.auto] - Picked by auto-dispatch
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<object|null>} - The updated order, null when the driver or the order was taken meanwhile
+ */
+const assignOrder = async (restaurant, order, staffId, { assignedBy, assignedByModel = "Staff", auto = false, io } = {}) => {
+  if (order.driverId?.equals(staffId)) return order
+
+  const now = new Date()
+  const driver = await claimDriver(restaurant, staffId, order._id, now)
+  if (!driver) return null
+
+  const previousDriver = order.driverId || null
+  const assigned = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: ASSIGNABLE_STATUSES }, driverId: previousDriver },
+    {
+      $set: {
+        driverId: staffId,
+        dispatch: { assignedAt: now, assignedBy: assignedBy || null, assignedByModel, auto },
+        estimatedDeliveryTime: estimateDeliveryTime(restaurant, order, driver, now),
+      },
+    },
+    { new: true },
+  )
+  if (!assigned) {
+    await releaseDriver(staffId, order._id)
+    return null
+  }
+  if (previousDriver) await releaseDriver(previousDriver, order._id)
+
+  logger.info(`Order ${order._id} assigned to driver ${staffId}${auto ? " by auto-dispatch" : ""}`)
+  await invalidateOrderCaches(assigned, assigned.status)
+
+  if (io) {
+    const options = { restaurantId: restaurant._id, ack: true }
+    await publishToRoom(io, driverRoom(staffId), "delivery_assigned", formatDelivery(await loadDelivery(order._id)), options)
+    if (previousDriver) {
+      await publishToRoom(io, driverRoom(previousDriver), "delivery_unassigned", { orderId: order._id }, options)
+    }
+    await publishDeliveryUpdate(io, assigned)
+  }
+  return assigned
+}
+
+// Drivers who can take one more delivery, best first: fewest deliveries in hand, then closest
+// to the restaurant, then the one waiting longest since their last assignment
+const rankDrivers = async (restaurant, now = new Date()) => {
+  const { maxOrdersPerDriver, maxAssignDistanceKm } = getDeliverySettings(restaurant)
+  const kitchen = restaurantPoint(restaurant)
+  const drivers = await Driver.find({
+    restaurant: restaurant._id,
+    status: "available",
+    [`activeOrders.${maxOrdersPerDriver - 1}`]: { $exists: false },
+    $or: [{ "shift.endsAt": null }, { "shift.endsAt": { $gt: now } }],
+  }).lean()
+
+  return drivers
+    .map((driver) => {
+      const position = freshLocation(driver, now)
+      return { driver, distance: kitchen && position ? distanceKm(position, kitchen) : Number.POSITIVE_INFINITY }
+    })
+    .filter(({ distance }) => !maxAssignDistanceKm || distance === Number.POSITIVE_INFINITY || distance <= maxAssignDistanceKm)
+    .sort(
+      (a, b) =>
+        a.driver.activeOrders.length - b.driver.activeOrders.length ||
+        a.distance - b.distance ||
+        (a.driver.lastAssignedAt?.getTime() || 0) - (b.driver.lastAssignedAt?.getTime() || 0),
+    )
+    .map(({ driver }) => driver)
+}
+
+// Give the order to the best driver who accepts it, trying the next one when a driver was just taken
+const assignBestDriver = async (restaurant, order, options) => {
+  for (const driver of await rankDrivers(restaurant)) {
+    const assigned = await assignOrder(restaurant, order, driver.staff, options)
+    if (assigned) return assigned
+  }
+  return null
+}
+
+/**
+ * Auto-dispatch a ready delivery order to the best available driver, when the restaurant
+ * has auto-assignment on
+ * @param {object} restaurant - Restaurant document
+ * @param {object} order - Order document
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<object|null>} - The updated order, null when no driver took it
+ */
+export const autoAssignOrder = async (restaurant, order, { io } = {}) => {
+  if (!getDeliverySettings(restaurant).autoAssign || order.driverId) return null
+  if (order.orderType !== "Delivery" || order.status !== "ready_for_pickup") return null
+
+  const assigned = await assignBestDriver(restaurant, order, { auto: true, io })
+  if (!assigned) logger.info(`No driver available for order ${order._id}, it waits for the next dispatch run`)
+  return assigned
+}
+
+/**
+ * Auto-dispatch the ready delivery orders of a restaurant that have no driver, oldest first
+ * @param {object} restaurant - Restaurant document
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<number>} - Orders assigned
+ */
+export const assignWaitingOrders = async (restaurant, { io } = {}) => {
+  if (!getDeliverySettings(restaurant).autoAssign) return 0
+
+  const waiting = await Order.find({
+    restaurant: restaurant._id,
+    orderType: "Delivery",
+    status: "ready_for_pickup",
+    driverId: null,
+  })
+    .sort({ updatedAt: 1 })
+    .limit(DISPATCH_BATCH_SIZE)
+
+  let assigned = 0
+  for (const order of waiting) {
+    // No driver took this one, none will take the next
+    if (!(await assignBestDriver(restaurant, order, { auto: true, io }))) break
+    assigned++
+  }
+  return assigned
+}
+
+/**
+ * Dispatch run of every restaurant: take drivers whose shift is over and who have nothing left
+ * to deliver off shift, then auto-assign the ready orders still waiting for a driver
+ * @param {object} [io] - Socket.IO server instance
+ * @returns {Promise<{ assigned: number, shiftsEnded: number }>}
+ */
+export const runDispatch = async (io = null) => {
+  const { modifiedCount: shiftsEnded } = await Driver.updateMany(
+    { status: { $ne: "offline" }, "shift.endsAt": { $lte: new Date() }, activeOrders: { $size: 0 } },
+    { $set: { status: "offline" }, $unset: { shift: 1 } },
+  )
+
+  const restaurantIds = await Order.distinct("restaurant", {
+    orderType: "Delivery",
+    status: "ready_for_pickup",
+    driverId: null,
+  })
+  let assigned = 0
+  for (const restaurantId of restaurantIds) {
+    const restaurant = await Restaurant.findById(restaurantId).select("location deliverySettings")
+    if (restaurant) assigned += await assignWaitingOrders(restaurant, { io })
+  }
+  return { assigned, shiftsEnded }
+}
+
+// Delivery order of this restaurant that can still change driver
+const assertAssignable = (order) => {
+  if (order.orderType !== "Delivery") {
+    throw new DispatchError("Only delivery orders have a driver")
+  }
+  if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+    throw new DispatchError(`Order is ${order.status}, its driver can no longer change`, 409)
+  }
+}
+
+/**
+ * Assign a delivery order from the dispatch board, to a chosen driver or, without one, to the
+ * best available driver whatever the auto-assignment setting
+ * @param {object} restaurant - Restaurant document
+ * @param {object} order - Order document
+ * @param {string} [driverId] - Staff ID of the driver
+ * @param {object} [options]
+ * @param {string} [options.assignedBy] - Dispatcher
+ * @param {string} [options.assignedByModel] - "Staff" (default) or "User"
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<object>} - The updated order
+ * @throws {DispatchError}
+ */
+export const assignDriver = async (restaurant, order, driverId, { assignedBy, assignedByModel, io } = {}) => {
+  assertAssignable(order)
+  const options = { assignedBy, assignedByModel, io }
+
+  if (!driverId) {
+    const assigned = await assignBestDriver(restaurant, order, options)
+    if (!assigned) throw new DispatchError("No driver is available", 409)
+    return assigned
+  }
+
+  if (!mongoose.isValidObjectId(driverId)) throw new DispatchError("Driver not found", 404)
+  if (order.driverId?.equals(driverId)) return order
+
+  const staff = await Staff.findOne({ _id: driverId, restaurant: restaurant._id, isActive: true })
+  if (!staff || !hasPermission(staff.role, PERMISSIONS.DRIVER_DELIVERIES, staff.permissions)) {
+    throw new DispatchError("Driver not found", 404)
+  }
+
+  const assigned = await assignOrder(restaurant, order, staff._id, options)
+  if (!assigned) {
+    throw new DispatchError("Driver is not available or cannot take another delivery", 409)
+  }
+  return assigned
+}
+
+/**
+ * Take a delivery order back from its driver before it is picked up
+ * @param {object} restaurant - Restaurant document
+ * @param {object} order - Order document
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<object>} - The updated order
+ * @throws {DispatchError}
+ */
+export const unassignDriver = async (restaurant, order, { io } = {}) => {
+  assertAssignable(order)
+  if (!order.driverId) throw new DispatchError("Order has no driver", 409)
+
+  const driverId = order.driverId
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, driverId, status: { $in: ASSIGNABLE_STATUSES } },
+    { $unset: { driverId: 1, dispatch: 1, estimatedDeliveryTime: 1 } },
+    { new: true },
+  )
+  if (!updated) throw new DispatchError("Order changed meanwhile, reload it", 409)
+
+  await releaseDriver(driverId, order._id)
+  logger.info(`Order ${order._id} taken back from driver ${driverId}`)
+  await invalidateOrderCaches(updated, updated.status)
+
+  if (io) {
+    const options = { restaurantId: restaurant._id, ack: true }
+    await publishToRoom(io, driverRoom(driverId), "delivery_unassigned", { orderId: order._id }, options)
+    await publishDeliveryUpdate(io, updated)
+  }
+  return updated
+}
+
+/**
+ * Follow up a status change of a delivery order (called by transitionOrderStatus): auto-dispatch
+ * it once ready, recompute its ETA once picked up, free its driver once delivered or cancelled,
+ * and tell the customer and the dispatch board
+ * @param {object} order - Order document, already saved with its new status
+ * @param {string} previousStatus
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server instance
+ */
+export const handleDeliveryStatusChange = async (order, previousStatus, { io } = {}) => {
+  const restaurant = await Restaurant.findById(order.restaurant).select("location deliverySettings")
+  if (!restaurant) return
+
+  if (order.status === "ready_for_pickup" && !order.driverId) {
+    // Assignment tells the customer and the board itself
+    if (await autoAssignOrder(restaurant, order, { io })) return
+  }
+
+  if (order.status === "picked_up" && order.driverId) {
+    // From now on the driver rides straight to the customer
+    const estimatedDeliveryTime = estimateDeliveryTime(restaurant, order, await Driver.findOne({ staff: order.driverId }))
+    if (estimatedDeliveryTime) {
+      await Order.updateOne({ _id: order._id }, { $set: { estimatedDeliveryTime } })
+      order.estimatedDeliveryTime = estimatedDeliveryTime
+    }
+  }
+
+  if (["delivered", "cancelled"].includes(order.status) && order.driverId) {
+    await releaseDriver(order.driverId, order._id)
+    if (order.status === "cancelled" && io) {
+      await publishToRoom(io, driverRoom(order.driverId), "delivery_cancelled", { orderId: order._id }, {
+        restaurantId: order.restaurant,
+        ack: true,
+      })
+    }
+  }
+
+  await publishDeliveryUpdate(io, order)
+
+  // The driver may take one of the orders waiting meanwhile
+  if (["delivered", "cancelled"].includes(order.status) && order.driverId) {
+    await assignWaitingOrders(restaurant, { io })
+  }
+  logger.info(`Delivery ${order._id} followed up after ${previousStatus} -> ${order.status}`)
+}
+
+/**
+ * Put a driver on shift, on a break or off shift. A driver still holding deliveries cannot go off shift.
+ * Becoming available picks up the ready orders waiting for a driver.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} staff - Staff document of the driver
+ * @param {object} changes
+ * @param {string} changes.status - One of DRIVER_STATUSES
+ * @param {string} [changes.vehicle] - One of DRIVER_VEHICLES
+ * @param {string|Date} [changes.shiftEndsAt] - When the driver stops taking new deliveries
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<object>} - The saved driver
+ * @throws {DispatchError}
+ */
+export const setDriverStatus = async (restaurant, staff, { status, vehicle, shiftEndsAt }, { io } = {}) => {
+  if (!DRIVER_STATUSES.includes(status)) {
+    throw new DispatchError(`Status must be one of: ${DRIVER_STATUSES.join(", ")}`)
+  }
+  if (vehicle !== undefined && !DRIVER_VEHICLES.includes(vehicle)) {
+    throw new DispatchError(`Vehicle must be one of: ${DRIVER_VEHICLES.join(", ")}`)
+  }
+  const endsAt = shiftEndsAt ? new Date(shiftEndsAt) : null
+  if (endsAt && (Number.isNaN(endsAt.getTime()) || endsAt <= new Date())) {
+    throw new DispatchError("The shift end must be in the future")
+  }
+
+  const driver = await getDriverProfile(restaurant, staff)
+  if (status === "offline" && driver.activeOrders.length) {
+    throw new DispatchError("Deliver your orders before ending your shift", 409)
+  }
+
+  if (status === "offline") {
+    driver.shift = undefined
+  } else if (driver.status === "offline") {
+    driver.shift = { startedAt: new Date(), endsAt: endsAt || undefined }
+  } else if (endsAt) {
+    driver.shift.endsAt = endsAt
+  }
+  const previousStatus = driver.status
+  driver.status = status
+  if (vehicle) driver.vehicle = vehicle
+  await driver.save()
+
+  logger.info(`Driver ${staff._id} ${previousStatus} -> ${status}`)
+  await publishDriverUpdate(io, driver)
+
+  if (status === "available") await assignWaitingOrders(restaurant, { io })
+  return driver
+}
+
+/**
+ * Deliveries a driver holds, with the driver profile
+ * @param {object} restaurant - Restaurant document
+ * @param {object} staff - Staff document of the driver
+ * @returns {Promise<{ driver: object, deliveries: Array<object> }>}
+ */
+export const getDriverDeliveries = async (restaurant, staff) => {
+  const [driver, orders] = await Promise.all([
+    getDriverProfile(restaurant, staff),
+    Order.find({ restaurant: restaurant._id, driverId: staff._id, status: { $in: OPEN_DELIVERY_STATUSES } })
+      .sort({ "dispatch.assignedAt": 1 })
+      .populate("user", "fullName mobileNumber countryCode")
+      .lean(),
+  ])
+  return { driver: formatDriver(driver), deliveries: orders.map(formatDelivery) }
+}
+
+/**
+ * Drivers on shift and open delivery orders of a restaurant, for the dispatch board
+ * @param {object} restaurant - Restaurant document
+ * @returns {Promise<{ drivers: Array<object>, orders: Array<object> }>}
+ */
+export const getDispatchBoard = async (restaurant) => {
+  const [drivers, orders] = await Promise.all([
+    Driver.find({ restaurant: restaurant._id, status: { $ne: "offline" } })
+      .populate("staff", "fullName mobileNumber")
+      .lean(),
+    Order.find({ restaurant: restaurant._id, orderType: "Delivery", status: { $in: OPEN_DELIVERY_STATUSES } })
+      .sort({ createdAt: 1 })
+      .populate("user", "fullName mobileNumber countryCode")
+      .lean(),
+  ])
+  return { drivers: drivers.map(formatDriver), orders: orders.map(formatDelivery) }
+}
+
+// Only the driver holding a delivery may act on it
+const assertDriverOf = (order, staff) => {
+  if (order.orderType !== "Delivery" || !order.driverId?.equals(staff._id)) {
+    throw new DispatchError("This delivery is not assigned to you", 403)
+  }
+}
+
+/**
+ * Move one of the driver's deliveries on: picked_up, out_for_delivery or delivered
+ * @param {object} restaurant - Restaurant document
+ * @param {object} staff - Staff document of the driver
+ * @param {object} order - Order document
+ * @param {string} status - One of DRIVER_ORDER_STATUSES
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<object>} - The saved order
+ * @throws {DispatchError|OrderStatusTransitionError}
+ */
+export const updateDeliveryStatus = async (restaurant, staff, order, status, { io } = {}) => {
+  assertDriverOf(order, staff)
+  if (!DRIVER_ORDER_STATUSES.includes(status)) {
+    throw new DispatchError(`Status must be one of: ${DRIVER_ORDER_STATUSES.join(", ")}`)
+  }
+  if (status === "delivered" && getDeliverySettings(restaurant).requireProofOfDelivery && !order.proofOfDelivery) {
+    throw new DispatchError("A proof of delivery photo is required", 409)
+  }
+
+  return transitionOrderStatus(order, status, { changedBy: staff._id, changedByModel: "Staff", io })
+}
+
+/**
+ * Record the proof of delivery of one of the driver's orders. The photo goes to Cloudinary and
+ * replaces any earlier one. An order out for delivery is marked delivered.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} staff - Staff document of the driver
+ * @param {object} order - Order document
+ * @param {object} proof
+ * @param {string} proof.photo - Base64 data URL of the photo
+ * @param {string} [proof.recipientName]
+ * @param {string} [proof.notes]
+ * @param {number} [proof.latitude] - Where the photo was taken
+ * @param {number} [proof.longitude]
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<object>} - The saved order
+ * @throws {DispatchError}
+ */
+export const recordProofOfDelivery = async (
+  restaurant,
+  staff,
+  order,
+  { photo, recipientName, notes, latitude, longitude },
+  { io } = {},
+) => {
+  assertDriverOf(order, staff)
+  if (!["picked_up", "out_for_delivery", "delivered"].includes(order.status)) {
+    throw new DispatchError("A proof of delivery can only be added once the order is picked up", 409)
+  }
+  if (typeof photo !== "string" || !photo.startsWith("data:image")) {
+    throw new DispatchError("A photo is required as a base64 image")
+  }
+
+  let upload
+  try {
+    upload = await uploadImage(photo, "food_delivery/proof_of_delivery")
+  } catch (error) {
+    logger.error(`Proof of delivery upload failed for order ${order._id}:`, error)
+    throw new DispatchError("Failed to upload the photo", 502)
+  }
+
+  const previousPhoto = order.proofOfDelivery?.photoPublicId
+  const point = { latitude: Number(latitude), longitude: Number(longitude) }
+  order.proofOfDelivery = {
+    photoUrl: upload.secure_url,
+    photoPublicId: upload.public_id,
+    recipientName: recipientName || undefined,
+    notes: notes || undefined,
+    ...(isValidPoint(point) && point),
+    uploadedAt: new Date(),
+  }
+  await order.save()
+  logger.info(`Proof of delivery recorded for order ${order._id} by driver ${staff._id}`)
+
+  if (previousPhoto) {
+    deleteImage(previousPhoto).catch((error) =>
+      logger.warn(`Previous proof of delivery photo ${previousPhoto} not deleted: ${error.message}`),
+    )
+  }
+
+  if (order.status === "out_for_delivery") {
+    return transitionOrderStatus(order, "delivered", {
+      changedBy: staff._id,
+      changedByModel: "Staff",
+      reason: "Proof of delivery",
+      io,
+    })
+  }
+  await invalidateOrderCaches(order, order.status)
+  await publishDeliveryUpdate(io, order)
+  return order
+}
+
+/**
+ * Store a position streamed by a driver, pass it on to the customers tracking the driver's
+ * deliveries and push the ETAs that moved. Positions go out volatile and are not kept for
+ * replay, only the latest one matters.
+ * @param {object} identity - Driver's socket identity or { restaurantId, staffId }
+ * @param {object} position - { latitude, longitude, heading?, speed?, accuracy? }
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<{ accepted: boolean, orders: number }>} - Not accepted while off shift or sent too soon
+ * @throws {DispatchError}
+ */
+export const updateDriverLocation = async ({ restaurantId, staffId }, position = {}, { io } = {}) => {
+  const point = { latitude: Number(position.latitude), longitude: Number(position.longitude) }
+  if (!isValidPoint(point)) throw new DispatchError("A valid latitude and longitude are required")
+
+  const now = new Date()
+  const optional = (value) => (Number.isFinite(Number(value)) && value !== null ? Number(value) : undefined)
+  const location = {
+    ...point,
+    heading: optional(position.heading),
+    speed: optional(position.speed),
+    accuracy: optional(position.accuracy),
+    updatedAt: now,
+  }
+
+  const driver = await Driver.findOneAndUpdate(
+    {
+      staff: staffId,
+      restaurant: restaurantId,
+      status: { $ne: "offline" },
+      $or: [
+        { "location.updatedAt": null },
+        { "location.updatedAt": { $lte: new Date(now.getTime() - LOCATION_MIN_INTERVAL_MS) } },
+      ],
+    },
+    { $set: { location } },
+    { new: true },
+  )
+  if (!driver) return { accepted: false, orders: 0 }
+
+  if (io) io.to(dispatchRoom(restaurantId)).volatile.emit("driver_location", { driverId: staffId, location: formatLocation(location) })
+  if (!driver.activeOrders.length) return { accepted: true, orders: 0 }
+
+  const [orders, restaurant] = await Promise.all([
+    Order.find({ _id: { $in: driver.activeOrders } }),
+    Restaurant.findById(restaurantId).select("location deliverySettings"),
+  ])
+  for (const order of orders) {
+    if (io) io.to(orderRoom(order._id)).volatile.emit("driver_location", { orderId: order._id, location: formatLocation(location) })
+
+    const estimatedDeliveryTime = restaurant && estimateDeliveryTime(restaurant, order, driver, now)
+    if (!estimatedDeliveryTime || Math.abs(estimatedDeliveryTime - (order.estimatedDeliveryTime || 0)) < ETA_CHANGE_MS) continue
+
+    await Order.updateOne({ _id: order._id }, { $set: { estimatedDeliveryTime } })
+    order.estimatedDeliveryTime = estimatedDeliveryTime
+    await invalidateOrderCaches(order, order.status)
+    if (io) {
+      await publishToRoom(io, orderRoom(order._id), "delivery_eta_updated", { orderId: order._id, estimatedDeliveryTime }, {
+        restaurantId,
+      })
+    }
+  }
+  return { accepted: true, orders: orders.length }
+}
+
+export default {
+  VEHICLE_SPEEDS_KMH,
+  DRIVER_ORDER_STATUSES,
+  getDeliverySettings,
+  distanceKm,
+  estimateDeliveryTime,
+  formatDriver,
+  formatDelivery,
+  formatTracking,
+  getTracking,
+  getDriverProfile,
+  autoAssignOrder,
+  assignWaitingOrders,
+  runDispatch,
+  assignDriver,
+  unassignDriver,
+  handleDeliveryStatusChange,
+  setDriverStatus,
+  getDriverDeliveries,
+  getDispatchBoard,
+  updateDeliveryStatus,
+  recordProofOfDelivery,
+  updateDriverLocation,
+}
@@ -0,0 +1,276 @@
+import mongoose from "mongoose"
+import { Ingredient } from "../models/ingredient.model.js"
+import MenuItem from "../models/menuItem.model.js"
+import { Order } from "../models/order.model.js"
+import { Restaurant } from "../models/restaurant.model.js"
+import { publishToRoom } from "./realtimeService.js"
+import { invalidateMenuItemCaches } from "./menuScheduleService.js"
+import { sendLowStockNotification } from "./notificationService.js"
+import { kitchenRoom, tablesRoom, managerRoom } from "../lib/socketRooms.js"
+import logger from "../middlewares/logger.middleware.js"
+
+/**
+ * Error raised for a stock change that cannot be made
+ */
+export class InventoryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "InventoryError"
+    this.statusCode = statusCode
+  }
+}
+
+// Stock is kept to 3 decimals (grams of a kg, ml of a litre) so repeated deductions do not drift
+const roundStock = (quantity) => Math.round(quantity * 1000) / 1000
+
+// Ingredient quantities an order uses, keyed by ingredient ID
+const orderRequirements = async (order) => {
+  const menuItemIds = order.items.map((item) => item.menuItem)
+  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } }).select("recipe")
+  const recipes = new Map(menuItems.map((menuItem) => [menuItem._id.toString(), menuItem.recipe || []]))
+
+  const requirements = new Map()
+  for (const item of order.items) {
+    for (const line of recipes.get(item.menuItem?.toString()) || []) {
+      const key = line.ingredient.toString()
+      requirements.set(key, roundStock((requirements.get(key) || 0) + line.quantity * item.quantity))
+    }
+  }
+  return requirements
+}
+
+// Move stock of several ingredients, sign is -1 to deduct and 1 to give back
+const moveStock = async (restaurantId, requirements, sign) => {
+  if (!requirements.size) return
+  await Ingredient.bulkWrite(
+    [...requirements].map(([ingredientId, quantity]) => ({
+      updateOne: {
+        // Scoped to the restaurant so a recipe can never move another restaurant's stock
+        filter: { _id: new mongoose.Types.ObjectId(ingredientId), restaurant: restaurantId },
+        update: { $inc: { stock: sign * quantity } },
+      },
+    })),
+  )
+}
+
+/**
+ * Take items off the menu whose recipe can no longer be made and bring back the ones
+ * sold out by stock that can again. Kitchen displays and table tablets are told.
+ * Items switched off by hand (soldOut false) are never switched back on here.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Array<string>} ingredientIds - Ingredients whose stock changed
+ * @param {object} [io] - Socket.IO server instance
+ * @returns {Promise<{ soldOut: Array<object>, backInStock: Array<object> }>}
+ */
+export const refreshMenuAvailability = async (restaurantId, ingredientIds, io = null) => {
+  const menuItems = await MenuItem.find({ restaurant: restaurantId, "recipe.ingredient": { $in: ingredientIds } })
+  const allIngredientIds = menuItems.flatMap((menuItem) => menuItem.recipe.map((line) => line.ingredient))
+  const ingredients = await Ingredient.find({ _id: { $in: allIngredientIds } }).select("stock isActive")
+  const stock = new Map(ingredients.map((ingredient) => [ingredient._id.toString(), ingredient]))
+
+  const canMake = (menuItem) =>
+    menuItem.recipe.every((line) => {
+      const ingredient = stock.get(line.ingredient.toString())
+      // Deleted or untracked ingredients do not block an item
+      return !ingredient || !ingredient.isActive || ingredient.stock >= line.quantity
+    })
+
+  const soldOut = []
+  const backInStock = []
+  for (const menuItem of menuItems) {
+    const makeable = canMake(menuItem)
+
+    if (!makeable && menuItem.isAvailable) {
+      // Guarded so a manager switching the item at the same time is not overwritten
+      const updated = await MenuItem.findOneAndUpdate(
+        { _id: menuItem._id, isAvailable: true },
+        { $set: { isAvailable: false, soldOut: true } },
+        { new: true },
+      )
+      if (updated) soldOut.push(updated)
+    } else if (makeable && !menuItem.isAvailable && menuItem.soldOut) {
+      const updated = await MenuItem.findOneAndUpdate(
+        { _id: menuItem._id, isAvailable: false, soldOut: true },
+        { $set: { isAvailable: true, soldOut: false } },
+        { new: true },
+      )
+      if (updated) backInStock.push(updated)
+    }
+  }
+
+  for (const menuItem of [...soldOut, ...backInStock]) {
+    await invalidateMenuItemCaches(restaurantId, menuItem)
+  }
+
+  const notify = async (event, changed) => {
+    if (!changed.length) return
+    logger.info(`Menu items ${event} at restaurant ${restaurantId}: ${changed.map((item) => item.name).join(", ")}`)
+    if (!io) return
+
+    const payload = {
+      restaurantId: restaurantId.toString(),
+      menuItems: changed.map((menuItem) => ({ id: menuItem._id, name: menuItem.name, category: menuItem.category })),
+    }
+    for (const room of [kitchenRoom(restaurantId), tablesRoom(restaurantId)]) {
+      await publishToRoom(io, room, event, payload, { restaurantId })
+    }
+  }
+  await notify("menu_items_sold_out", soldOut)
+  await notify("menu_items_back_in_stock", backInStock)
+
+  return { soldOut, backInStock }
+}
+
+/**
+ * Alert the owner and managers about ingredients that fell to their threshold.
+ * Each ingredient is alerted once until it is restocked above the threshold.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Array<string>} ingredientIds - Ingredients whose stock changed
+ * @param {object} [io] - Socket.IO server instance
+ * @returns {Promise<Array<object>>} - Ingredients alerted
+ */
+export const checkLowStock = async (restaurantId, ingredientIds, io = null) => {
+  const ingredients = await Ingredient.find({ _id: { $in: ingredientIds }, isActive: true })
+
+  // Restocked ingredients may alert again the next time they run low
+  const recovered = ingredients.filter(
+    (ingredient) => ingredient.lowStockAlertedAt && ingredient.stock > ingredient.lowStockThreshold,
+  )
+  if (recovered.length) {
+    await Ingredient.updateMany(
+      { _id: { $in: recovered.map((ingredient) => ingredient._id) } },
+      { $unset: { lowStockAlertedAt: 1 } },
+    )
+  }
+
+  const low = []
+  for (const ingredient of ingredients) {
+    if (ingredient.lowStockAlertedAt || ingredient.stock > ingredient.lowStockThreshold) continue
+    const claimed = await Ingredient.findOneAndUpdate(
+      { _id: ingredient._id, lowStockAlertedAt: null },
+      { $set: { lowStockAlertedAt: new Date() } },
+      { new: true },
+    )
+    if (claimed) low.push(claimed)
+  }
+  if (!low.length) return low
+
+  logger.warn(`Low stock at restaurant ${restaurantId}: ${low.map((ingredient) => ingredient.name).join(", ")}`)
+
+  if (io) {
+    const payload = {
+      restaurantId: restaurantId.toString(),
+      ingredients: low.map((ingredient) => ({
+        id: ingredient._id,
+        name: ingredient.name,
+        stock: ingredient.stock,
+        unit: ingredient.unit,
+        lowStockThreshold: ingredient.lowStockThreshold,
+      })),
+    }
+    for (const room of [managerRoom(restaurantId), kitchenRoom(restaurantId)]) {
+      await publishToRoom(io, room, "low_stock", payload, { restaurantId })
+    }
+  }
+
+  // Push failures must never fail a stock change
+  const restaurant = await Restaurant.findById(restaurantId).select("owner")
+  if (restaurant?.owner) {
+    sendLowStockNotification(restaurant.owner.toString(), low).catch((error) =>
+      logger.error(`Error sending low stock notification for restaurant ${restaurantId}:`, error),
+    )
+  }
+  return low
+}
+
+// After stock moved: switch menu items and send low stock alerts
+const afterStockChange = async (restaurantId, ingredientIds, io) => {
+  await refreshMenuAvailability(restaurantId, ingredientIds, io)
+  await checkLowStock(restaurantId, ingredientIds, io)
+}
+
+/**
+ * Deduct the recipe stock of a confirmed order, once
+ * @param {object} order - Order document
+ * @param {object} [io] - Socket.IO server instance
+ * @returns {Promise<boolean>} - Whether stock was deducted by this call
+ */
+export const deductOrderStock = async (order, io = null) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, inventoryDeductedAt: null },
+    { $set: { inventoryDeductedAt: new Date() } },
+  )
+  if (!claimed) return false
+
+  const requirements = await orderRequirements(order)
+  await moveStock(order.restaurant, requirements, -1)
+  logger.info(`Stock deducted for order ${order._id}: ${requirements.size} ingredient(s)`)
+
+  await afterStockChange(order.restaurant, [...requirements.keys()], io)
+  return true
+}
+
+/**
+ * Give back the recipe stock of a cancelled order, once and only if it was deducted
+ * @param {object} order - Order document
+ * @param {object} [io] - Socket.IO server instance
+ * @returns {Promise<boolean>} - Whether stock was restored by this call
+ */
+export const restoreOrderStock = async (order, io = null) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, inventoryDeductedAt: { $ne: null }, inventoryRestoredAt: null },
+    { $set: { inventoryRestoredAt: new Date() } },
+  )
+  if (!claimed) return false
+
+  const requirements = await orderRequirements(order)
+  await moveStock(order.restaurant, requirements, 1)
+  logger.info(`Stock restored for cancelled order ${order._id}: ${requirements.size} ingredient(s)`)
+
+  await afterStockChange(order.restaurant, [...requirements.keys()], io)
+  return true
+}
+
+/**
+ * Change the stock of an ingredient by hand (delivery received, waste, stock count)
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} ingredientId - Ingredient ID
+ * @param {object} change
+ * @param {number} [change.delta] - Quantity to add, negative to remove
+ * @param {number} [change.stock] - New stock after a count, instead of delta
+ * @param {string} [change.reason] - Logged with the change
+ * @param {object} [io] - Socket.IO server instance
+ * @returns {Promise<object>} - Updated ingredient
+ * @throws {InventoryError}
+ */
+export const adjustStock = async (restaurantId, ingredientId, { delta, stock, reason } = {}, io = null) => {
+  const setStock = stock !== undefined && stock !== null
+  const valid = setStock ? Number(stock) >= 0 : Number.isFinite(Number(delta)) && Number(delta) !== 0
+  if (!valid) {
+    throw new InventoryError("Provide a non-zero delta or a stock of 0 or more")
+  }
+
+  const update = setStock ? { $set: { stock: roundStock(Number(stock)) } } : { $inc: { stock: roundStock(Number(delta)) } }
+  const ingredient = await Ingredient.findOneAndUpdate({ _id: ingredientId, restaurant: restaurantId }, update, {
+    new: true,
+  })
+  if (!ingredient) {
+    throw new InventoryError("Ingredient not found", 404)
+  }
+
+  logger.info(
+    `Stock of ${ingredient.name} at restaurant ${restaurantId} ${setStock ? "set" : "changed by"} ${setStock ? stock : delta}` +
+      ` -> ${ingredient.stock}${reason ? ` (${reason})` : ""}`,
+  )
+
+  await afterStockChange(restaurantId, [ingredient._id], io)
+  return ingredient
+}
+
+export default {
+  refreshMenuAvailability,
+  checkLowStock,
+  deductOrderStock,
+  restoreOrderStock,
+  adjustStock,
+}
@@ -0,0 +1,245 @@
+import { Order } from "../models/order.model.js"
+import { transitionOrderStatus } from "./orderStatusService.js"
+import { notifyStationTicketUpdate } from "../socket.js"
+import { formatKitchenModifiers } from "./modifierService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+/**
+ * Stations used when a restaurant has not configured its own.
+ * Categories are compared lowercased.
+ */
+export const DEFAULT_KITCHEN_STATIONS = [
+  {
+    key: "grill",
+    name: "Grill",
+    categories: ["grill", "burgers", "burger", "meat", "chicken", "pizza", "sandwiches", "mains", "main course"],
+    isDefault: true,
+  },
+  {
+    key: "cold",
+    name: "Cold kitchen",
+    categories: ["salads", "salad", "starters", "appetizers", "sushi", "cold"],
+  },
+  {
+    key: "drinks",
+    name: "Drinks",
+    categories: ["drinks", "beverages", "juices", "coffee", "hot drinks", "cocktails"],
+  },
+  {
+    key: "dessert",
+    name: "Dessert",
+    categories: ["desserts", "dessert", "pastries", "ice cream"],
+  },
+]
+
+// Ticket statuses a station still has work in
+export const OPEN_TICKET_STATUSES = ["pending", "preparing"]
+
+/**
+ * Error raised for an invalid station ticket action
+ */
+export class StationTicketError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message)
+    this.name = "StationTicketError"
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Get the kitchen stations of a restaurant
+ * @param {object} restaurant - Restaurant document
+ * @returns {Array<object>} - Stations ({ key, name, categories, isDefault })
+ */
+export const getRestaurantStations = (restaurant) => {
+  return restaurant?.kitchenStations?.length ? restaurant.kitchenStations : DEFAULT_KITCHEN_STATIONS
+}
+
+/**
+ * Pick the station that prepares a menu item.
+ * An explicit menuItem.station wins, then the station listing the item's category,
+ * then the default station.
+ * @param {object} menuItem - MenuItem document
+ * @param {Array<object>} stations - Restaurant stations
+ * @returns {string} - Station key
+ */
+export const resolveStation = (menuItem, stations) => {
+  if (menuItem.station && stations.some((station) => station.key === menuItem.station)) {
+    return menuItem.station
+  }
+
+  const category = (menuItem.category || "").toLowerCase()
+  const byCategory = stations.find((station) => station.categories?.includes(category))
+  if (byCategory) return byCategory.key
+
+  return (stations.find((station) => station.isDefault) || stations[0]).key
+}
+
+/**
+ * Group the items of an order into one ticket per station.
+ * Items must already carry their station and _id (i.e. be order subdocuments).
+ * @param {Array<object>} items - order.items
+ * @returns {Array<object>} - Station tickets
+ */
+export const buildStationTickets = (items) => {
+  const tickets = new Map()
+  for (const item of items) {
+    if (!tickets.has(item.station)) {
+      tickets.set(item.station, { station: item.station, items: [], status: "pending" })
+    }
+    tickets.get(item.station).items.push(item._id)
+  }
+  return [...tickets.values()]
+}
+
+/**
+ * Shape a ticket for a station display
+ * @param {object} order - Order document
+ * @param {object} ticket - Entry of order.stationTickets
+ * @returns {object}
+ */
+export const formatStationTicket = (order, ticket) => {
+  const itemIds = ticket.items.map((id) => id.toString())
+  return {
+    orderId: order._id.toString(),
+    orderNumber: order._id.toString().slice(-6).toUpperCase(),
+    orderType: order.orderType,
+    tableId: order.TableId?.toString() || order.deviceId || null,
+    station: ticket.station,
+    status: ticket.status,
+    orderStatus: order.status,
+    items: order.items
+      .filter((item) => itemIds.includes(item._id.toString()))
+      .map((item) => ({
+        name: item.name,
+        quantity: item.quantity,
+        specialInstructions: item.specialInstructions || "",
+        addons: (item.addons || []).map((addon) => addon.name),
+        modifiers: formatKitchenModifiers(item),
+      })),
+    startedAt: ticket.startedAt,
+    readyAt: ticket.readyAt,
+    createdAt: order.createdAt,
+  }
+}
+
+/**
+ * Atomically move one station ticket to a new status.
+ * Returns the order as it was BEFORE the update so the caller can tell whether
+ * it was the first/last station to act (updates on one document are serialized).
+ * @returns {Promise<object|null>} - Previous order document, null if no ticket matched
+ */
+const updateTicket = (restaurantId, orderId, station, fromStatuses, set) => {
+  const fields = {}
+  for (const [key, value] of Object.entries(set)) {
+    fields[`stationTickets.$.${key}`] = value
+  }
+  return Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      restaurant: restaurantId,
+      stationTickets: { $elemMatch: { station, status: { $in: fromStatuses } } },
+    },
+    { $set: fields },
+    { new: false },
+  )
+}
+
+// Explain why a ticket update matched nothing
+const ticketNotUpdatable = async (restaurantId, orderId, station) => {
+  const order = await Order.findOne({ _id: orderId, restaurant: restaurantId }).select("stationTickets")
+  if (!order) return new StationTicketError("Order not found", 404)
+  const ticket = order.stationTickets.find((entry) => entry.station === station)
+  if (!ticket) return new StationTicketError(`Order has no items for station '${station}'`, 404)
+  return new StationTicketError(`Station '${station}' ticket is already ${ticket.status}`)
+}
+
+/**
+ * A station starts working on its part of an order.
+ * The first station to start moves a pending/confirmed order to preparing.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {string} station - Station key
+ * @param {object} options - { changedBy, changedByModel, io }
+ * @returns {Promise<object>} - The updated order
+ * @throws {StationTicketError|OrderStatusTransitionError}
+ */
+export const startStationTicket = async (restaurantId, orderId, station, { changedBy, changedByModel, io } = {}) => {
+  const previous = await updateTicket(restaurantId, orderId, station, ["pending"], {
+    status: "preparing",
+    startedAt: new Date(),
+  })
+  if (!previous) {
+    throw await ticketNotUpdatable(restaurantId, orderId, station)
+  }
+
+  let order = await Order.findById(orderId)
+  const othersStarted = previous.stationTickets.some((ticket) => ticket.station !== station && ticket.status !== "pending")
+
+  if (!othersStarted && ["pending", "confirmed"].includes(order.status)) {
+    order = await transitionOrderStatus(order, "preparing", {
+      changedBy,
+      changedByModel,
+      reason: `Started at ${station} station`,
+      io,
+    })
+  }
+
+  await notifyStationTicketUpdate(io, order, station)
+  logger.info(`Station ${station} started order ${orderId}`)
+  return order
+}
+
+/**
+ * A station marks its part of an order ready.
+ * The last station to finish moves the order to ready_for_pickup.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} orderId - Order ID
+ * @param {string} station - Station key
+ * @param {object} options - { changedBy, changedByModel, io }
+ * @returns {Promise<object>} - The updated order
+ * @throws {StationTicketError|OrderStatusTransitionError}
+ */
+export const markStationTicketReady = async (
+  restaurantId,
+  orderId,
+  station,
+  { changedBy, changedByModel, io } = {},
+) => {
+  const previous = await updateTicket(restaurantId, orderId, station, OPEN_TICKET_STATUSES, {
+    status: "ready",
+    readyAt: new Date(),
+    readyBy: changedBy || null,
+    readyByModel: changedByModel || "Staff",
+  })
+  if (!previous) {
+    throw await ticketNotUpdatable(restaurantId, orderId, station)
+  }
+
+  let order = await Order.findById(orderId)
+  const isLastStation = previous.stationTickets.every(
+    (ticket) => ticket.station === station || ticket.status === "ready",
+  )
+
+  if (isLastStation) {
+    const options = { changedBy, changedByModel, io }
+    // Stations may mark ready without starting first
+    if (["pending", "confirmed"].includes(order.status)) {
+      order = await transitionOrderStatus(order, "preparing", { ...options, reason: "All stations ready" })
+    }
+    order = await transitionOrderStatus(order, "ready_for_pickup", { ...options, reason: "All stations ready" })
+  }
+
+  await notifyStationTicketUpdate(io, order, station)
+  logger.info(`Station ${station} marked order ${orderId} ready${isLastStation ? " (all stations done)" : ""}`)
+  return order
+}
+
+export default {
+  DEFAULT_KITCHEN_STATIONS,
+  getRestaurantStations,
+  resolveStation,
+  buildStationTickets,
+  startStationTicket,
+  markStationTicketReady,
+}
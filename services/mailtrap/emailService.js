@@ -1,5 +1,5 @@
 
-import { sendVerificationEmail } from "./emails.js"
+import { sendVerificationEmail, sendReceiptEmail, sendReservationReminderEmail } from "./emails.js"
 import winstonLogger from "../../middlewares/logger.middleware.js"
 
 /**
@@ -33,3 +33,68 @@ export const sendOTP = async (email, otp) => {
     }
   }
 }
+
+/**
+ * Send a receipt PDF via email
+ * @param {string} email - Recipient email address
+ * @param {Object} receipt - Receipt from receiptService (invoice number, restaurant, total)
+ * @param {Buffer} pdf - Rendered receipt
+ * @returns {Promise<Object>} - Result of the operation
+ */
+export const sendReceipt = async (email, receipt, pdf) => {
+  try {
+    winstonLogger.info(`Attempting to send receipt ${receipt.invoiceNumber} to: ${email}`)
+
+    await sendReceiptEmail(email, receipt, pdf)
+
+    winstonLogger.info(`Receipt ${receipt.invoiceNumber} successfully sent to ${email}`)
+    return {
+      success: true,
+      to: email,
+    }
+  } catch (error) {
+    winstonLogger.error("Receipt email sending error:", {
+      message: error.message,
+      stack: error.stack,
+      to: email,
+    })
+
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data,
+    }
+  }
+}
+
+/**
+ * Send a reservation reminder via email
+ * @param {string} email - Recipient email address
+ * @param {Object} reminder - { subject, message, time, restaurantName }, already in the guest's language
+ * @returns {Promise<Object>} - Result of the operation
+ */
+export const sendReservationReminder = async (email, reminder) => {
+  try {
+    winstonLogger.info(`Attempting to send reservation reminder to: ${email}`)
+
+    await sendReservationReminderEmail(email, reminder)
+
+    winstonLogger.info(`Reservation reminder successfully sent to ${email}`)
+    return {
+      success: true,
+      to: email,
+    }
+  } catch (error) {
+    winstonLogger.error("Reservation reminder email sending error:", {
+      message: error.message,
+      stack: error.stack,
+      to: email,
+    })
+
+    return {
+      success: false,
+      error: error.message,
+      details: error.response?.data,
+    }
+  }
+}
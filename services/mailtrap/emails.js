@@ -1,4 +1,8 @@
-import { VERIFICATION_EMAIL_TEMPLATE } from "./emailTemplate.js"
+import {
+  VERIFICATION_EMAIL_TEMPLATE,
+  RECEIPT_EMAIL_TEMPLATE,
+  RESERVATION_REMINDER_EMAIL_TEMPLATE,
+} from "./emailTemplate.js"
 import { mailTrapClient, sender } from "./mailtrap.config.js"
 
 export const sendVerificationEmail = async (email, verificationToken) => {
@@ -20,3 +24,56 @@ export const sendVerificationEmail = async (email, verificationToken) => {
     throw new Error(`Error sending verification email: ${error}`)
   }
 }
+
+export const sendReceiptEmail = async (email, receipt, pdf) => {
+  const recipient = [{ email }]
+  const total = `${receipt.total.toFixed(2)} ${receipt.restaurant.currency}`
+
+  try {
+    const response = await mailTrapClient.send({
+      from: sender,
+      to: recipient,
+      subject: `Your receipt ${receipt.invoiceNumber} from ${receipt.restaurant.name}`,
+      html: RECEIPT_EMAIL_TEMPLATE.replaceAll("{restaurantName}", receipt.restaurant.name)
+        .replace("{invoiceNumber}", receipt.invoiceNumber)
+        .replace("{total}", total),
+      attachments: [
+        {
+          filename: `receipt-${receipt.invoiceNumber}.pdf`,
+          content: pdf,
+          type: "application/pdf",
+          disposition: "attachment",
+        },
+      ],
+      category: "Receipt",
+    })
+
+    console.log("Receipt email sent successfully", response)
+    return response
+  } catch (error) {
+    console.error(`Error sending receipt email:`, error)
+    throw new Error(`Error sending receipt email: ${error}`)
+  }
+}
+
+export const sendReservationReminderEmail = async (email, reminder) => {
+  const recipient = [{ email }]
+
+  try {
+    const response = await mailTrapClient.send({
+      from: sender,
+      to: recipient,
+      subject: reminder.subject,
+      html: RESERVATION_REMINDER_EMAIL_TEMPLATE.replace("{message}", reminder.message)
+        .replace("{time}", reminder.time)
+        .replace("{restaurantName}", reminder.restaurantName),
+      category: "Reservation Reminder",
+    })
+
+    console.log("Reservation reminder email sent successfully", response)
+    return response
+  } catch (error) {
+    console.error(`Error sending reservation reminder email:`, error)
+    throw new Error(`Error sending reservation reminder email: ${error}`)
+  }
+}
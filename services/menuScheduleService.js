@@ -0,0 +1,246 @@
+import MenuItem from "../models/menuItem.model.js"
+import redisService, { deleteCache, tenantKey } from "./redis.service.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Menu cache keys (same keys as menu-item.controller.js, scoped with tenantKey)
+const ALL_MENU_ITEMS_CACHE = "menu:all"
+const POPULAR_MENU_ITEMS_CACHE = "menu:popular"
+const MENU_ITEM_DETAILS_CACHE_PREFIX = "menu:item:"
+const CATEGORY_MENU_ITEMS_CACHE_PREFIX = "menu:category:"
+const DIETARY_MENU_ITEMS_CACHE_PREFIX = "menu:dietary:"
+const HEALTH_MENU_ITEMS_CACHE_PREFIX = "menu:health:"
+const DIETARY_PREFERENCES = ["vegetarian", "vegan", "glutenFree", "lactoseFree"]
+const HEALTH_PREFERENCES = ["low_carb", "low_fat", "low_sugar", "low_sodium"]
+
+const DEFAULT_TIMEZONE = "Africa/Algiers"
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+// "HH:mm" to minutes since midnight
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Day of the week and time of day of a moment in a timezone
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA timezone, the restaurant's
+ * @returns {{ day: number, minutes: number }} - day 0 is Sunday, minutes since midnight
+ */
+export const getLocalTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value]),
+  )
+  return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) }
+}
+
+/**
+ * Whether a daypart is running at a local time. Windows ending before they start run past
+ * midnight and belong to the day they start on.
+ * @param {object} daypart - Entry of restaurant.dayparts
+ * @param {{ day: number, minutes: number }} local - From getLocalTime
+ * @returns {boolean}
+ */
+export const isDaypartActive = (daypart, { day, minutes }) => {
+  const start = toMinutes(daypart.startTime)
+  const end = toMinutes(daypart.endTime)
+  const days = daypart.days || []
+  const onDay = (weekday) => !days.length || days.includes(weekday)
+
+  if (start < end) {
+    return onDay(day) && minutes >= start && minutes < end
+  }
+  // Overnight: the evening of a listed day or the early hours after it
+  return (onDay(day) && minutes >= start) || (onDay((day + 6) % 7) && minutes < end)
+}
+
+/**
+ * Whether the schedule of an item (seasonal dates and dayparts) lets it be served now.
+ * Manual availability is not looked at, see isMenuItemAvailable.
+ * @param {object} menuItem - MenuItem document or formatted menu item
+ * @param {object} restaurant - Restaurant document (timezone and dayparts)
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isMenuItemScheduled = (menuItem, restaurant, now = new Date()) => {
+  if (menuItem.availableFrom && new Date(menuItem.availableFrom) > now) return false
+  if (menuItem.availableUntil && new Date(menuItem.availableUntil) <= now) return false
+
+  // Dayparts the restaurant no longer has are ignored rather than hiding the item for good
+  const dayparts = (restaurant.dayparts || []).filter((daypart) => (menuItem.dayparts || []).includes(daypart.key))
+  if (!dayparts.length) return true
+
+  const local = getLocalTime(now, restaurant.timezone)
+  return dayparts.some((daypart) => isDaypartActive(daypart, local))
+}
+
+/**
+ * Whether an item can be ordered now: switched on (or its 86 is over and it is not sold out)
+ * and inside its schedule
+ * @param {object} menuItem - MenuItem document
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isMenuItemAvailable = (menuItem, restaurant, now = new Date()) => {
+  const restored = menuItem.restoreAvailabilityAt && menuItem.restoreAvailabilityAt <= now && !menuItem.soldOut
+  return (menuItem.isAvailable || Boolean(restored)) && isMenuItemScheduled(menuItem, restaurant, now)
+}
+
+/**
+ * Price of an item at a moment: the latest scheduled price already started, otherwise its price
+ * @param {object} menuItem - MenuItem document
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const getMenuItemPrice = (menuItem, now = new Date()) => {
+  const started = (menuItem.scheduledPrices || [])
+    .filter((entry) => entry.startsAt <= now)
+    .sort((a, b) => b.startsAt - a.startsAt)
+  return started.length ? started[0].price : menuItem.price
+}
+
+/**
+ * Drop the menu caches an item shows up in
+ * @param {string} restaurantId - Restaurant ID
+ * @param {object} menuItem - MenuItem document
+ */
+export const invalidateMenuItemCaches = async (restaurantId, menuItem) => {
+  if (!redisService.isConnected()) return
+
+  const keys = [
+    ALL_MENU_ITEMS_CACHE,
+    POPULAR_MENU_ITEMS_CACHE,
+    `${MENU_ITEM_DETAILS_CACHE_PREFIX}${menuItem._id}`,
+    `${CATEGORY_MENU_ITEMS_CACHE_PREFIX}${menuItem.category}`,
+    ...DIETARY_PREFERENCES.filter((key) => menuItem.dietaryInfo?.[key]).map(
+      (key) => `${DIETARY_MENU_ITEMS_CACHE_PREFIX}${key}`,
+    ),
+    ...HEALTH_PREFERENCES.filter((key) => menuItem.healthInfo?.[key]).map(
+      (key) => `${HEALTH_MENU_ITEMS_CACHE_PREFIX}${key}`,
+    ),
+  ]
+  for (const key of keys) {
+    await deleteCache(tenantKey(restaurantId, key))
+  }
+}
+
+/**
+ * 86 an item: take it off the menu, until a given time or until it is restored by hand
+ * @param {object} menuItem - MenuItem document
+ * @param {Date|null} [until] - When the item comes back by itself
+ * @returns {Promise<object>} - The saved item
+ */
+export const eightySixMenuItem = async (menuItem, until = null) => {
+  menuItem.isAvailable = false
+  menuItem.restoreAvailabilityAt = until || undefined
+  await menuItem.save()
+  await invalidateMenuItemCaches(menuItem.restaurant, menuItem)
+
+  logger.info(`Menu item ${menuItem._id} 86'd${until ? ` until ${until.toISOString()}` : ""}`)
+  return menuItem
+}
+
+/**
+ * Put an 86'd item back on the menu
+ * @param {object} menuItem - MenuItem document
+ * @returns {Promise<object>} - The saved item
+ */
+export const restoreMenuItem = async (menuItem) => {
+  menuItem.isAvailable = true
+  menuItem.restoreAvailabilityAt = undefined
+  await menuItem.save()
+  await invalidateMenuItemCaches(menuItem.restaurant, menuItem)
+
+  logger.info(`Menu item ${menuItem._id} back on the menu`)
+  return menuItem
+}
+
+/**
+ * Restore 86'd items whose time is up and apply scheduled prices that have started.
+ * An item also sold out by stock only has its 86 cleared, inventory puts it back on the menu
+ * once it can be made again (inventoryService.refreshMenuAvailability).
+ * @param {Date} [now]
+ * @returns {Promise<{ restored: number, repriced: number }>}
+ */
+export const applyMenuSchedules = async (now = new Date()) => {
+  const toRestore = await MenuItem.find({ isAvailable: false, restoreAvailabilityAt: { $lte: now } })
+  let restored = 0
+  for (const menuItem of toRestore) {
+    // Guarded so an item sold out meanwhile is not switched back on
+    const updated = await MenuItem.findOneAndUpdate(
+      { _id: menuItem._id, isAvailable: false, soldOut: { $ne: true }, restoreAvailabilityAt: { $lte: now } },
+      { $set: { isAvailable: true }, $unset: { restoreAvailabilityAt: 1 } },
+      { new: true },
+    )
+    if (!updated) {
+      await MenuItem.updateOne({ _id: menuItem._id, soldOut: true }, { $unset: { restoreAvailabilityAt: 1 } })
+      continue
+    }
+
+    restored++
+    await invalidateMenuItemCaches(updated.restaurant, updated)
+    logger.info(`Menu item ${updated._id} back on the menu, its 86 is over`)
+  }
+
+  const toReprice = await MenuItem.find({ "scheduledPrices.startsAt": { $lte: now } })
+  for (const menuItem of toReprice) {
+    const price = getMenuItemPrice(menuItem, now)
+    menuItem.scheduledPrices = menuItem.scheduledPrices.filter((entry) => entry.startsAt > now)
+    menuItem.price = price
+    await menuItem.save()
+    await invalidateMenuItemCaches(menuItem.restaurant, menuItem)
+    logger.info(`Menu item ${menuItem._id} price changed to ${price} by its schedule`)
+  }
+
+  return { restored, repriced: toReprice.length }
+}
+
+/**
+ * MongoDB filter matching the items whose schedule lets them be served now, the query
+ * counterpart of isMenuItemScheduled for paginated lists
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export const scheduledMenuItemFilter = (restaurant, now = new Date()) => {
+  const dayparts = restaurant.dayparts || []
+  const local = getLocalTime(now, restaurant.timezone)
+  const activeKeys = dayparts.filter((daypart) => isDaypartActive(daypart, local)).map((daypart) => daypart.key)
+
+  return {
+    $and: [
+      { $or: [{ availableFrom: null }, { availableFrom: { $lte: now } }] },
+      { $or: [{ availableUntil: null }, { availableUntil: { $gt: now } }] },
+      // No daypart the restaurant knows, or one that is running
+      { $or: [{ dayparts: { $nin: dayparts.map((daypart) => daypart.key) } }, { dayparts: { $in: activeKeys } }] },
+    ],
+  }
+}
+
+/**
+ * Keep only the items of a (possibly cached) menu list that are on the menu right now
+ * @param {Array<object>} menuItems - Formatted menu items
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} [now]
+ * @returns {Array<object>}
+ */
+export const filterScheduledMenuItems = (menuItems, restaurant, now = new Date()) =>
+  menuItems.filter((menuItem) => isMenuItemScheduled(menuItem, restaurant, now))
+
+export default {
+  toMinutes,
+  getLocalTime,
+  isDaypartActive,
+  isMenuItemScheduled,
+  isMenuItemAvailable,
+  getMenuItemPrice,
+  invalidateMenuItemCaches,
+  eightySixMenuItem,
+  restoreMenuItem,
+  applyMenuSchedules,
+  scheduledMenuItemFilter,
+  filterScheduledMenuItems,
+}
@@ -0,0 +1,278 @@
+import MenuItem from "../models/menuItem.model.js"
+import { normalizeSearchText, searchTokens, textTrigrams } from "../lib/searchText.js"
+import { scheduledMenuItemFilter } from "./menuScheduleService.js"
+import { SUPPORTED_LOCALES } from "../lib/i18n/index.js"
+import logger from "../middlewares/logger.middleware.js"
+
+export const DIETARY_FLAGS = ["vegetarian", "vegan", "glutenFree", "lactoseFree"]
+export const HEALTH_FLAGS = ["low_carb", "low_fat", "low_sugar", "low_sodium"]
+
+export const DEFAULT_PAGE_SIZE = 20
+export const MAX_PAGE_SIZE = 50
+
+// Share of the query's trigrams a name must have to match, "piza" has 0.8 of "pizza"'s
+const MIN_NAME_SIMILARITY = 0.4
+// Fields returned for each search hit
+const RESULT_FIELDS = {
+  name: 1,
+  description: 1,
+  translations: 1,
+  price: 1,
+  image: 1,
+  category: 1,
+  dietaryInfo: 1,
+  healthInfo: 1,
+  isPopular: 1,
+  preparationTime: 1,
+  modifierGroups: 1,
+  dayparts: 1,
+  availableFrom: 1,
+  availableUntil: 1,
+}
+
+/**
+ * Error raised for search parameters that cannot be used
+ */
+export class MenuSearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "MenuSearchError"
+    this.statusCode = statusCode
+  }
+}
+
+// Comma separated query values ("vegan,glutenFree") or repeated params to a list
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((entry) => String(entry).trim())
+    .filter(Boolean)
+
+// Items of the restaurant that are on the menu now, narrowed by the facet filters
+const baseFilter = (restaurant, { categories, dietary, health, minPrice, maxPrice }) => {
+  const unknownDietary = dietary.find((flag) => !DIETARY_FLAGS.includes(flag))
+  if (unknownDietary) throw new MenuSearchError(`Unknown dietary filter ${unknownDietary}`)
+  const unknownHealth = health.find((flag) => !HEALTH_FLAGS.includes(flag))
+  if (unknownHealth) throw new MenuSearchError(`Unknown health filter ${unknownHealth}`)
+
+  const conditions = [{ restaurant: restaurant._id, isAvailable: true }, scheduledMenuItemFilter(restaurant)]
+  if (categories.length) conditions.push({ category: { $in: categories } })
+  for (const flag of dietary) conditions.push({ [`dietaryInfo.${flag}`]: true })
+  for (const flag of health) conditions.push({ [`healthInfo.${flag}`]: true })
+
+  const price = {}
+  if (minPrice !== undefined && minPrice !== "") price.$gte = Number(minPrice)
+  if (maxPrice !== undefined && maxPrice !== "") price.$lte = Number(maxPrice)
+  if (Object.values(price).some(Number.isNaN)) throw new MenuSearchError("Price filters must be numbers")
+  if (Object.keys(price).length) conditions.push({ price })
+
+  return { $and: conditions }
+}
+
+// Stages matching the query and scoring each item: name trigrams catch typos, keywords
+// match whole words of the description, names starting with the query come first
+const relevanceStages = (query) => {
+  const normalized = normalizeSearchText(query)
+  const tokens = searchTokens(query)
+  const grams = textTrigrams(query)
+  if (!tokens.length) return []
+
+  const share = (field, values) => ({
+    $divide: [{ $size: { $setIntersection: [{ $ifNull: [field, []] }, values] } }, values.length],
+  })
+
+  return [
+    { $match: { $or: [{ searchGrams: { $in: grams } }, { searchKeywords: { $in: tokens } }] } },
+    {
+      $addFields: {
+        nameSimilarity: share("$searchGrams", grams),
+        keywordShare: share("$searchKeywords", tokens),
+        startsWithQuery: { $eq: [{ $indexOfCP: [{ $ifNull: ["$searchName", ""] }, normalized] }, 0] },
+      },
+    },
+    { $match: { $or: [{ nameSimilarity: { $gte: MIN_NAME_SIMILARITY } }, { keywordShare: { $gt: 0 } }] } },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            { $multiply: ["$nameSimilarity", 2] },
+            "$keywordShare",
+            { $cond: ["$startsWithQuery", 0.5, 0] },
+            { $cond: ["$isPopular", 0.1, 0] },
+          ],
+        },
+      },
+    },
+  ]
+}
+
+// $group accumulators counting the matching items that have each flag
+const flagCounts = (group, flags) =>
+  Object.fromEntries(flags.map((flag) => [flag, { $sum: { $cond: [`$${group}.${flag}`, 1, 0] } }]))
+
+/**
+ * Search the menu of a restaurant, ranked by relevance, with facets and pagination.
+ * Matching ignores case, accents and Arabic short vowels and tolerates typos in names.
+ * Only items that can be ordered right now are returned.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} params - Query parameters
+ * @param {string} [params.q] - Search text, without it the filtered menu is listed
+ * @param {string|Array<string>} [params.category] - Categories, comma separated or repeated
+ * @param {string|Array<string>} [params.dietary] - Dietary flags every item must have
+ * @param {string|Array<string>} [params.health] - Health flags every item must have
+ * @param {number} [params.minPrice]
+ * @param {number} [params.maxPrice]
+ * @param {number} [params.page] - 1 based
+ * @param {number} [params.limit]
+ * @returns {Promise<object>} - { menuItems, total, page, limit, pages, facets }
+ * @throws {MenuSearchError}
+ */
+export const searchMenu = async (restaurant, params = {}) => {
+  const page = Math.max(1, Number.parseInt(params.page, 10) || 1)
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE))
+  const query = String(params.q ?? "").trim()
+
+  const filter = baseFilter(restaurant, {
+    categories: toList(params.category),
+    dietary: toList(params.dietary),
+    health: toList(params.health),
+    minPrice: params.minPrice,
+    maxPrice: params.maxPrice,
+  })
+  const scoring = query ? relevanceStages(query) : []
+  if (query && !scoring.length) {
+    return { menuItems: [], total: 0, page, limit, pages: 0, facets: null }
+  }
+
+  const [result] = await MenuItem.aggregate([
+    { $match: filter },
+    ...scoring,
+    {
+      $facet: {
+        menuItems: [
+          { $sort: query ? { score: -1, isPopular: -1, name: 1 } : { isPopular: -1, name: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { ...RESULT_FIELDS, ...(query ? { score: 1 } : {}) } },
+        ],
+        total: [{ $count: "count" }],
+        categories: [{ $group: { _id: "$category", count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }],
+        flags: [
+          {
+            $group: {
+              _id: null,
+              ...flagCounts("dietaryInfo", DIETARY_FLAGS),
+              ...flagCounts("healthInfo", HEALTH_FLAGS),
+              minPrice: { $min: "$price" },
+              maxPrice: { $max: "$price" },
+            },
+          },
+        ],
+        priceRanges: [{ $bucketAuto: { groupBy: "$price", buckets: 4 } }],
+      },
+    },
+  ])
+
+  const total = result.total[0]?.count || 0
+  const flags = result.flags[0] || {}
+  const pick = (names) => Object.fromEntries(names.map((name) => [name, flags[name] || 0]))
+
+  return {
+    menuItems: result.menuItems,
+    total,
+    page,
+    limit,
+    pages: Math.ceil(total / limit),
+    facets: {
+      categories: result.categories.map((entry) => ({ category: entry._id, count: entry.count })),
+      dietary: pick(DIETARY_FLAGS),
+      health: pick(HEALTH_FLAGS),
+      price: {
+        min: flags.minPrice ?? null,
+        max: flags.maxPrice ?? null,
+        ranges: result.priceRanges.map((bucket) => ({ min: bucket._id.min, max: bucket._id.max, count: bucket.count })),
+      },
+    },
+  }
+}
+
+/**
+ * Autocomplete: items with a word starting like the last word typed (earlier words must
+ * match whole), topped up with close names when few do, and matching categories
+ * @param {object} restaurant - Restaurant document
+ * @param {string} query - Text typed so far
+ * @param {number} [limit]
+ * @returns {Promise<{ menuItems: Array<object>, categories: Array<string> }>} - Items keep their translations
+ */
+export const suggestMenu = async (restaurant, query, limit = 8) => {
+  const tokens = searchTokens(query)
+  if (!tokens.length) return { menuItems: [], categories: [] }
+
+  const base = { $and: [{ restaurant: restaurant._id, isAvailable: true }, scheduledMenuItemFilter(restaurant)] }
+  const prefix = tokens[tokens.length - 1]
+
+  // Normalized words are letters and digits only, safe to put in a regex as they are
+  const menuItems = await MenuItem.find({
+    ...base,
+    searchKeywords: { $regex: `^${prefix}`, ...(tokens.length > 1 ? { $all: tokens.slice(0, -1) } : {}) },
+  })
+    .sort({ isPopular: -1, name: 1 })
+    .limit(limit)
+    .select("name category translations")
+
+  if (menuItems.length < limit) {
+    const found = menuItems.map((menuItem) => menuItem._id)
+    const close = await MenuItem.aggregate([
+      { $match: { ...base, _id: { $nin: found } } },
+      ...relevanceStages(query),
+      { $match: { nameSimilarity: { $gte: MIN_NAME_SIMILARITY } } },
+      { $sort: { score: -1, name: 1 } },
+      { $limit: limit - menuItems.length },
+      { $project: { name: 1, category: 1, translations: 1 } },
+    ])
+    menuItems.push(...close)
+  }
+
+  // Categories match on their own name or on any of their translated names
+  const allCategories = await MenuItem.distinct("category", base)
+  const categoryNames = (category) => {
+    const entry = (restaurant.categoryTranslations || []).find((translation) => translation.category === category.toLowerCase())
+    return [category, ...SUPPORTED_LOCALES.map((locale) => entry?.names?.[locale])].filter(Boolean).join(" ")
+  }
+  const categories = allCategories.filter((category) =>
+    searchTokens(categoryNames(category)).some((word) => word.startsWith(prefix)),
+  )
+
+  return {
+    menuItems: menuItems.map((menuItem) => ({
+      id: menuItem._id,
+      name: menuItem.name,
+      category: menuItem.category,
+      translations: menuItem.translations,
+    })),
+    categories: categories.slice(0, limit),
+  }
+}
+
+/**
+ * Fill the search fields of items saved before search indexing existed
+ * @param {number} [batchSize]
+ * @returns {Promise<number>} - Items updated
+ */
+export const backfillSearchFields = async (batchSize = 200) => {
+  const menuItems = await MenuItem.find({ searchName: { $exists: false } }).limit(batchSize)
+  for (const menuItem of menuItems) {
+    // The pre-save hook rebuilds the fields when the name changed
+    menuItem.markModified("name")
+    await menuItem.save()
+  }
+  if (menuItems.length) {
+    logger.info(`Search fields filled for ${menuItems.length} menu item(s)`)
+  }
+  return menuItems.length
+}
+
+export default {
+  searchMenu,
+  suggestMenu,
+  backfillSearchFields,
+}
@@ -0,0 +1,101 @@
+// Menu item modifiers are checked and priced here, never trusted from the client
+
+/**
+ * Error raised for a modifier selection the menu item does not allow
+ */
+export class ModifierError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "ModifierError"
+    this.statusCode = statusCode
+  }
+}
+
+// Selections may be sent as [{ groupId, optionId }] or, for a group, [{ groupId, optionIds: [...] }]
+const normalizeSelections = (selections = []) => {
+  if (!Array.isArray(selections)) {
+    throw new ModifierError("Modifiers must be a list of { groupId, optionId }")
+  }
+  return selections.flatMap((selection) => {
+    const optionIds = selection?.optionIds ?? [selection?.optionId]
+    return optionIds.map((optionId) => ({ groupId: selection?.groupId, optionId }))
+  })
+}
+
+/**
+ * Check the modifiers chosen for a menu item against its modifier groups and price them.
+ * Groups the customer chose nothing in get their default options.
+ * @param {object} menuItem - MenuItem document
+ * @param {Array<object>} [selections] - [{ groupId, optionId }] or [{ groupId, optionIds }]
+ * @returns {{ addons: Array<object>, priceDelta: number }} - Order item addons and the total
+ *   price change per unit
+ * @throws {ModifierError}
+ */
+export const resolveModifiers = (menuItem, selections = []) => {
+  const groups = menuItem.modifierGroups || []
+  const chosen = new Map(groups.map((group) => [group._id.toString(), []]))
+
+  for (const { groupId, optionId } of normalizeSelections(selections)) {
+    const group = groups.find((entry) => entry._id.toString() === String(groupId))
+    if (!group) {
+      throw new ModifierError(`${menuItem.name} has no modifier group ${groupId}`)
+    }
+    const option = group.options.find((entry) => entry._id.toString() === String(optionId))
+    if (!option) {
+      throw new ModifierError(`${group.name} has no option ${optionId}`)
+    }
+    if (!group.isAvailable || !option.isAvailable) {
+      throw new ModifierError(`${group.name}: ${option.name} is currently unavailable`)
+    }
+    if (chosen.get(group._id.toString()).includes(option)) {
+      throw new ModifierError(`${group.name}: ${option.name} is selected twice`)
+    }
+    chosen.get(group._id.toString()).push(option)
+  }
+
+  const addons = []
+  for (const group of groups) {
+    let options = chosen.get(group._id.toString())
+    if (!options.length && group.isAvailable) {
+      options = group.options.filter((option) => option.isDefault && option.isAvailable)
+    }
+
+    if (options.length < group.minSelections) {
+      throw new ModifierError(
+        group.isAvailable
+          ? `${menuItem.name}: choose at least ${group.minSelections} in ${group.name}`
+          : `${menuItem.name}: ${group.name} is currently unavailable`,
+      )
+    }
+    if (options.length > group.maxSelections) {
+      throw new ModifierError(`${menuItem.name}: choose at most ${group.maxSelections} in ${group.name}`)
+    }
+
+    for (const option of options) {
+      addons.push({
+        group: group._id,
+        groupName: group.name,
+        option: option._id,
+        name: option.name,
+        price: option.priceDelta || 0,
+      })
+    }
+  }
+
+  // Summed in cents so a handful of deltas does not drift
+  const deltaCents = addons.reduce((sum, addon) => sum + Math.round(addon.price * 100), 0)
+  return { addons, priceDelta: deltaCents / 100 }
+}
+
+/**
+ * Shape the modifiers of an order item for kitchen displays
+ * @param {object} item - Entry of order.items
+ * @returns {Array<{group: string, name: string}>}
+ */
+export const formatKitchenModifiers = (item) =>
+  (item.addons || []).map((addon) => ({ group: addon.groupName || null, name: addon.name }))
+
+export default {
+  resolveModifiers,
+  formatKitchenModifiers,
+}
@@ -1,5 +1,6 @@
 import admin from "firebase-admin"
 import dotenv from "dotenv"
+import { translate } from "../lib/i18n/index.js"
 dotenv.config()
 
 // Initialize Firebase Admin SDK
@@ -128,10 +129,10 @@ export const sendMultiplePushNotifications = async (tokens, notification, data =
 }
 
 /**
- * Send notification to a specific user
+ * Send notification to a specific user, translated to the language saved on the account
  * @param {string} userId - User ID
- * @param {string} title - Notification title
- * @param {string} body - Notification body
+ * @param {string} title - Notification title, in English (see lib/i18n)
+ * @param {string} body - Notification body, in English
  * @param {Object} data - Additional data
  * @returns {Promise<Object>} - Messaging response
  */
@@ -154,9 +155,11 @@ export const sendUserNotification = async (userId, title, body, data = {}) => {
       return { success: false, error: "User has disabled push notifications" }
     }
 
+    // Templates are written in English and sent in the user's language
+    const language = user.settings?.language
     const notification = {
-      title,
-      body,
+      title: translate(language, title),
+      body: translate(language, body),
     }
 
     return await sendPushNotification(user.deviceToken, notification, data)
@@ -185,6 +188,15 @@ export const sendOrderStatusNotification = async (userId, orderId, status) => {
       case "preparing":
         body = "The restaurant is preparing your order."
         break
+      case "ready_for_pickup":
+        body = "Your order is ready."
+        break
+      case "served":
+        body = "Your order has been served. Enjoy your meal!"
+        break
+      case "picked_up":
+        body = "Your driver has picked up your order."
+        break
       case "out_for_delivery":
         body = "Your order is out for delivery."
         break
@@ -192,6 +204,10 @@ export const sendOrderStatusNotification = async (userId, orderId, status) => {
         title = "Order Delivered"
         body = "Your order has been delivered. Enjoy your meal!"
         break
+      case "completed":
+        title = "Order Completed"
+        body = "Thank you for your order!"
+        break
       case "cancelled":
         title = "Order Cancelled"
         body = "Your order has been cancelled."
@@ -211,6 +227,180 @@ export const sendOrderStatusNotification = async (userId, orderId, status) => {
   }
 }
 
+/**
+ * Send refund notification
+ * @param {string} userId - User ID
+ * @param {Object} refund - Refund document
+ * @returns {Promise<Object>} - Messaging response
+ */
+export const sendRefundNotification = async (userId, refund) => {
+  try {
+    const amount = refund.amount.toFixed(2)
+    let body = `A refund of ${amount} has been issued.`
+
+    switch (refund.method) {
+      case "card":
+        body = `A refund of ${amount} is on its way to your card. It can take a few days to appear.`
+        break
+      case "wallet":
+        body = `${amount} has been refunded to your wallet.`
+        break
+      case "cash":
+        body = `A cash refund of ${amount} has been handed to you.`
+        break
+    }
+
+    // FCM data values must be strings
+    const data = {
+      type: "refund",
+      refundId: refund._id.toString(),
+      orderId: refund.order?.toString() || "",
+      billId: refund.bill?.toString() || "",
+      reservationId: refund.reservation?.toString() || "",
+      amount,
+      method: refund.method,
+    }
+
+    return await sendUserNotification(userId, "Refund Issued", body, data)
+  } catch (error) {
+    console.error("Error sending refund notification:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Send a bill ready notification to the guest paying a bill or a part of it
+ * @param {string} userId - User ID
+ * @param {object} bill - Bill object
+ * @param {object} [part] - Part of a split bill the user pays
+ * @returns {Promise<object>} - Notification result
+ */
+export const sendBillReadyNotification = async (userId, bill, part = null) => {
+  try {
+    const amount = (part ? part.amount : bill.total - (bill.deposit?.amount || 0)).toFixed(2)
+    const body = part
+      ? `Your share of the bill (${part.label}) is ${amount}.`
+      : `Your bill of ${amount} is ready.`
+
+    // FCM data values must be strings
+    const data = {
+      type: "bill_ready",
+      billId: bill._id.toString(),
+      partId: part?._id?.toString() || "",
+      amount,
+    }
+
+    return await sendUserNotification(userId, "Bill Ready", body, data)
+  } catch (error) {
+    console.error("Error sending bill ready notification:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Send a low stock alert to the owner of a restaurant
+ * @param {string} userId - User ID of the restaurant owner
+ * @param {Array<object>} ingredients - Ingredient documents at or below their threshold
+ * @returns {Promise<object>} - Notification result
+ */
+export const sendLowStockNotification = async (userId, ingredients) => {
+  try {
+    const names = ingredients.map((ingredient) => `${ingredient.name} (${ingredient.stock} ${ingredient.unit})`)
+    const body =
+      ingredients.length === 1 ? `${names[0]} is running low.` : `Running low: ${names.join(", ")}.`
+
+    // FCM data values must be strings
+    const data = {
+      type: "low_stock",
+      restaurantId: ingredients[0].restaurant.toString(),
+      ingredientIds: ingredients.map((ingredient) => ingredient._id.toString()).join(","),
+    }
+
+    return await sendUserNotification(userId, "Low Stock", body, data)
+  } catch (error) {
+    console.error("Error sending low stock notification:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Remind a guest of their reservation
+ * @param {string} userId - User ID
+ * @param {object} reservation - Reservation document
+ * @param {string} restaurantName
+ * @param {string} time - Reservation time in the restaurant's timezone, ready to show
+ * @returns {Promise<object>} - Notification result
+ */
+export const sendReservationReminderNotification = async (userId, reservation, restaurantName, time) => {
+  try {
+    const body = `Your table for ${reservation.guests} at ${restaurantName} is booked for ${time}.`
+
+    // FCM data values must be strings
+    const data = {
+      type: "reservation_reminder",
+      reservationId: reservation._id.toString(),
+      restaurantId: reservation.restaurant.toString(),
+      reservationTime: reservation.reservationTime.toISOString(),
+    }
+
+    return await sendUserNotification(userId, "Reservation Reminder", body, data)
+  } catch (error) {
+    console.error("Error sending reservation reminder notification:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Tell a guest the restaurant cancelled their reservation
+ * @param {string} userId - User ID
+ * @param {object} reservation - Reservation document
+ * @param {string} restaurantName
+ * @param {string} time - Reservation time in the restaurant's timezone, ready to show
+ * @returns {Promise<object>} - Notification result
+ */
+export const sendReservationCancelledNotification = async (userId, reservation, restaurantName, time) => {
+  try {
+    const body = `Your reservation at ${restaurantName} on ${time} has been cancelled.`
+
+    // FCM data values must be strings
+    const data = {
+      type: "reservation_cancelled",
+      reservationId: reservation._id.toString(),
+      restaurantId: reservation.restaurant.toString(),
+    }
+
+    return await sendUserNotification(userId, "Reservation Cancelled", body, data)
+  } catch (error) {
+    console.error("Error sending reservation cancelled notification:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Tell a waitlisted party their table is ready
+ * @param {string} userId - User ID
+ * @param {object} entry - Waitlist entry
+ * @param {string} restaurantName
+ * @returns {Promise<object>} - Notification result
+ */
+export const sendWaitlistReadyNotification = async (userId, entry, restaurantName) => {
+  try {
+    const body = `Your table at ${restaurantName} is ready. Please come to the host stand.`
+
+    // FCM data values must be strings
+    const data = {
+      type: "waitlist_ready",
+      entryId: entry._id.toString(),
+      restaurantId: entry.restaurant.toString(),
+    }
+
+    return await sendUserNotification(userId, "Table Ready", body, data)
+  } catch (error) {
+    console.error("Error sending waitlist notification:", error)
+    return { success: false, error: error.message }
+  }
+}
+
 /**
  * Send promotional notification to all users
  * @param {string} title - Notification title
@@ -258,5 +448,11 @@ export default {
   sendMultiplePushNotifications,
   sendUserNotification,
   sendOrderStatusNotification,
+  sendRefundNotification,
+  sendBillReadyNotification,
+  sendLowStockNotification,
+  sendReservationReminderNotification,
+  sendReservationCancelledNotification,
+  sendWaitlistReadyNotification,
   sendPromotionalNotification,
 }
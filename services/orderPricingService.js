@@ -0,0 +1,121 @@
+import MenuItem from "../models/menuItem.model.js"
+import { getRestaurantStations, resolveStation } from "./kitchenStationService.js"
+import { resolveModifiers } from "./modifierService.js"
+import { findApplicablePromotion } from "./promotionService.js"
+import { isMenuItemAvailable, getMenuItemPrice } from "./menuScheduleService.js"
+
+/**
+ * Error raised for an order that cannot be priced
+ */
+export class OrderPricingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "OrderPricingError"
+    this.statusCode = statusCode
+  }
+}
+
+// Flat delivery fee, orders of other types pay none
+const DELIVERY_FEE = 2.0
+
+/**
+ * Price the items of an order from the menu, modifiers and scheduled prices included
+ * @param {object} restaurant - Restaurant document (kitchen stations, timezone and dayparts)
+ * @param {Array<object>} items - [{ menuItemId, quantity, specialInstructions, seat, modifiers }]
+ * @returns {Promise<{orderItems: Array<object>, categories: Array<string>, subtotal: number}>} -
+ *   categories[i] is the menu category of orderItems[i]
+ * @throws {OrderPricingError|ModifierError}
+ */
+export const priceOrderItems = async (restaurant, items) => {
+  const now = new Date()
+  const stations = getRestaurantStations(restaurant)
+  const orderItems = []
+  const categories = []
+  let subtotalCents = 0
+
+  for (const item of items) {
+    const { menuItemId, quantity, specialInstructions, seat, modifiers } = item
+
+    if (!menuItemId || !quantity) {
+      throw new OrderPricingError("Menu item ID and quantity are required for each item")
+    }
+
+    const menuItem = await MenuItem.findOne({ _id: menuItemId, restaurant: restaurant._id })
+    if (!menuItem) {
+      throw new OrderPricingError(`Menu item with ID ${menuItemId} not found`, 404)
+    }
+
+    // 86'd, outside its dayparts or out of season, in the restaurant's timezone
+    if (!isMenuItemAvailable(menuItem, restaurant, now)) {
+      throw new OrderPricingError(`Menu item ${menuItem.name} is not available`)
+    }
+
+    // Modifiers are checked against the item's groups and priced here, not by the client
+    const { addons, priceDelta } = resolveModifiers(menuItem, modifiers)
+
+    // Calculate item total
+    const itemPrice = Math.max(0, Math.round((getMenuItemPrice(menuItem, now) + priceDelta) * 100) / 100)
+    const totalCents = Math.round(itemPrice * 100 * quantity)
+    subtotalCents += totalCents
+
+    orderItems.push({
+      menuItem: menuItemId,
+      name: menuItem.name,
+      price: itemPrice,
+      quantity,
+      total: totalCents / 100,
+      specialInstructions: specialInstructions || "",
+      addons,
+      station: resolveStation(menuItem, stations),
+      seat: seat || undefined,
+      // Add productId here to match Flutter model expectations
+      productId: `prod_${menuItem.name}`,
+    })
+    categories.push(menuItem.category)
+  }
+
+  return { orderItems, categories, subtotal: subtotalCents / 100 }
+}
+
+/**
+ * Price a whole order: items, the promotion it gets (coupon code or best automatic offer),
+ * delivery fee and total
+ * @param {object} restaurant - Restaurant document
+ * @param {object} order
+ * @param {Array<object>} order.items - See priceOrderItems
+ * @param {string} order.orderType - Dine In, Take Away or Delivery
+ * @param {string} [order.couponCode] - Coupon code typed by the customer
+ * @param {string} [order.userId] - Customer placing the order (per-customer promotion caps)
+ * @returns {Promise<object>} - { orderItems, subtotal, discount, promotion, deliveryFee, total },
+ *   promotion is the Promotion document or null
+ * @throws {OrderPricingError|ModifierError|PromotionError}
+ */
+export const priceOrder = async (restaurant, { items, orderType, couponCode, userId }) => {
+  const { orderItems, categories, subtotal } = await priceOrderItems(restaurant, items)
+
+  const applied = await findApplicablePromotion(restaurant._id, {
+    code: couponCode,
+    userId,
+    items: orderItems.map((item, index) => ({ ...item, category: categories[index] })),
+    subtotal,
+  })
+  const discount = applied?.discount || 0
+
+  // Set delivery fee based on order type
+  const deliveryFee = orderType === "Delivery" ? DELIVERY_FEE : 0
+  const total = (Math.round(subtotal * 100) - Math.round(discount * 100) + Math.round(deliveryFee * 100)) / 100
+
+  return {
+    orderItems,
+    subtotal,
+    discount,
+    promotion: applied?.promotion || null,
+    deliveryFee,
+    total,
+  }
+}
+
+export default {
+  priceOrderItems,
+  priceOrder,
+}
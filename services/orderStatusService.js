@@ -0,0 +1,257 @@
+import TableSession from "../models/table-session.model.js"
+import { Order, ORDER_STATUSES } from "../models/order.model.js"
+import redisService, { deleteCache, tenantKey } from "./redis.service.js"
+import { sendOrderStatusNotification } from "./notificationService.js"
+import { releaseOrderPromotion } from "./promotionService.js"
+import { deductOrderStock, restoreOrderStock } from "./inventoryService.js"
+import { handleDeliveryStatusChange } from "./dispatchService.js"
+import { notifyKitchenAboutOrderUpdate } from "../socket.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Cache keys touched by a status change (same keys as order.controller.js, scoped with tenantKey)
+const KITCHEN_ORDERS_CACHE = "kitchen:active_orders"
+const COMPLETED_ORDERS_CACHE = "kitchen:completed_orders"
+const ORDER_DETAILS_CACHE_PREFIX = "order:details:"
+const USER_ORDERS_CACHE_PREFIX = "order:user:"
+const SESSION_ORDERS_CACHE_PREFIX = "order:session:"
+
+// Station ticket statuses that mean the station is still working on it
+const OPEN_TICKET_STATUSES = ["pending", "preparing"]
+
+// Statuses that mean the restaurant accepted the order and uses its ingredients
+const STOCK_DEDUCTING_STATUSES = ["confirmed", "preparing"]
+
+export const ACTIVE_KITCHEN_STATUSES = ["pending", "confirmed", "preparing"]
+export const COMPLETED_KITCHEN_STATUSES = ["ready_for_pickup", "served", "completed", "cancelled"]
+
+/**
+ * Allowed transitions per order type.
+ * Each key is a status and its value lists the statuses it may move to.
+ * Terminal statuses (completed, cancelled) map to an empty list.
+ */
+export const ORDER_LIFECYCLES = {
+  "Dine In": {
+    pending: ["confirmed", "preparing", "cancelled"],
+    confirmed: ["preparing", "cancelled"],
+    preparing: ["ready_for_pickup", "cancelled"],
+    ready_for_pickup: ["served", "completed"],
+    served: ["completed"],
+    completed: [],
+    cancelled: [],
+  },
+  "Take Away": {
+    pending: ["confirmed", "preparing", "cancelled"],
+    confirmed: ["preparing", "cancelled"],
+    preparing: ["ready_for_pickup", "cancelled"],
+    ready_for_pickup: ["completed"],
+    completed: [],
+    cancelled: [],
+  },
+  Delivery: {
+    pending: ["confirmed", "preparing", "cancelled"],
+    confirmed: ["preparing", "cancelled"],
+    preparing: ["ready_for_pickup", "cancelled"],
+    ready_for_pickup: ["picked_up", "out_for_delivery"],
+    picked_up: ["out_for_delivery"],
+    out_for_delivery: ["delivered"],
+    delivered: ["completed"],
+    completed: [],
+    cancelled: [],
+  },
+}
+
+/**
+ * Error raised when a status change is not part of the order's lifecycle
+ */
+export class OrderStatusTransitionError extends Error {
+  constructor(order, nextStatus, message) {
+    super(message || `Cannot change ${order.orderType} order from '${order.status}' to '${nextStatus}'`)
+    this.name = "OrderStatusTransitionError"
+    this.statusCode = 409
+    this.currentStatus = order.status
+    this.requestedStatus = nextStatus
+    this.allowedStatuses = getAllowedTransitions(order.orderType, order.status)
+  }
+}
+
+/**
+ * Get the statuses an order may move to from its current status
+ * @param {string} orderType - Dine In, Take Away or Delivery
+ * @param {string} status - Current status
+ * @returns {Array<string>} - Allowed next statuses
+ */
+export const getAllowedTransitions = (orderType, status) => {
+  const lifecycle = ORDER_LIFECYCLES[orderType]
+  if (!lifecycle) return []
+  return lifecycle[status] || []
+}
+
+/**
+ * Check whether a transition is allowed for the order type
+ * @param {string} orderType - Dine In, Take Away or Delivery
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export const canTransition = (orderType, from, to) => {
+  if (!ORDER_STATUSES.includes(to)) return false
+  return getAllowedTransitions(orderType, from).includes(to)
+}
+
+/**
+ * Invalidate every cache that holds the order's status
+ * @param {object} order - Order document
+ * @param {string} previousStatus - Status before the change
+ */
+export const invalidateOrderCaches = async (order, previousStatus) => {
+  if (!redisService.isConnected()) return
+
+  const restaurantId = order.restaurant
+  await deleteCache(tenantKey(restaurantId, `${ORDER_DETAILS_CACHE_PREFIX}${order._id}`))
+
+  if (order.user) {
+    await deleteCache(tenantKey(restaurantId, `${USER_ORDERS_CACHE_PREFIX}${order.user}`))
+  }
+
+  const session = await TableSession.findOne({ orders: order._id })
+  if (session) {
+    await deleteCache(tenantKey(restaurantId, `${SESSION_ORDERS_CACHE_PREFIX}${session._id}`))
+  }
+
+  const touchesActive =
+    ACTIVE_KITCHEN_STATUSES.includes(previousStatus) || ACTIVE_KITCHEN_STATUSES.includes(order.status)
+  const touchesCompleted =
+    COMPLETED_KITCHEN_STATUSES.includes(previousStatus) || COMPLETED_KITCHEN_STATUSES.includes(order.status)
+
+  if (touchesActive) await deleteCache(tenantKey(restaurantId, KITCHEN_ORDERS_CACHE))
+  if (touchesCompleted) await deleteCache(tenantKey(restaurantId, COMPLETED_ORDERS_CACHE))
+
+  logger.info(`Invalidated order caches for ${order._id} (${previousStatus} -> ${order.status})`)
+}
+
+/**
+ * Move an order to a new status.
+ * This is the only place order.status should be changed after creation:
+ * it validates the transition, records it in statusHistory with one update
+ * conditional on the status the order was read with (a concurrent change wins,
+ * then the transition is checked again) and fires the kitchen socket and
+ * customer push notifications.
+ * An order with open station tickets cannot become ready_for_pickup, and
+ * cancelling it closes those tickets. Delivery orders are then handed to
+ * dispatch (driver assignment, ETA, tracking).
+ * @param {object} order - Order document
+ * @param {string} nextStatus - Requested status
+ * @param {object} options
+ * @param {string} [options.changedBy] - ID of the user or staff member making the change
+ * @param {string} [options.changedByModel] - "User" (default) or "Staff"
+ * @param {string} [options.reason] - Optional reason stored in the audit trail
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<object>} - The saved order
+ * @throws {OrderStatusTransitionError} - When the transition is not allowed
+ */
+export const transitionOrderStatus = async (order, nextStatus, { changedBy, changedByModel, reason, io } = {}) => {
+  const previousStatus = order.status
+
+  if (!canTransition(order.orderType, previousStatus, nextStatus)) {
+    throw new OrderStatusTransitionError(order, nextStatus)
+  }
+
+  // Orders split into station tickets are only ready once every station is
+  const openStations = (order.stationTickets || [])
+    .filter((ticket) => OPEN_TICKET_STATUSES.includes(ticket.status))
+    .map((ticket) => ticket.station)
+  if (nextStatus === "ready_for_pickup" && openStations.length) {
+    throw new OrderStatusTransitionError(
+      order,
+      nextStatus,
+      `Cannot mark order ready, stations still working: ${openStations.join(", ")}`,
+    )
+  }
+
+  // Conditional on the status it was read with: of two concurrent changes only one applies,
+  // and only that one runs the side effects below
+  const filter = { _id: order._id, status: previousStatus }
+  if (nextStatus === "ready_for_pickup") {
+    filter.stationTickets = { $not: { $elemMatch: { status: { $in: OPEN_TICKET_STATUSES } } } }
+  }
+  const closeTickets = nextStatus === "cancelled" && openStations.length > 0
+  const updated = await Order.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: nextStatus,
+        ...(nextStatus === "delivered" && { actualDeliveryTime: new Date() }),
+        // Cancelling closes the tickets still open
+        ...(closeTickets && { "stationTickets.$[open].status": "cancelled" }),
+      },
+      $push: {
+        statusHistory: {
+          from: previousStatus,
+          to: nextStatus,
+          changedBy: changedBy || null,
+          changedByModel: changedByModel || "User",
+          reason: reason || "",
+          changedAt: new Date(),
+        },
+      },
+    },
+    {
+      new: true,
+      ...(closeTickets && { arrayFilters: [{ "open.status": { $in: OPEN_TICKET_STATUSES } }] }),
+    },
+  )
+
+  // Changed since it was read: check the transition again against the order as it is now
+  const current = updated || (await Order.findById(order._id))
+  if (!current) throw new OrderStatusTransitionError(order, nextStatus, "Order not found")
+  order.set(current.toObject())
+  if (!updated) return transitionOrderStatus(order, nextStatus, { changedBy, changedByModel, reason, io })
+
+  logger.info(`Order ${order._id} status changed ${previousStatus} -> ${nextStatus} by ${changedBy || "system"}`)
+
+  if (nextStatus === "cancelled") {
+    // A cancelled order gives its promotion use and its recipe stock back
+    await releaseOrderPromotion(order).catch((error) =>
+      logger.error(`Error releasing promotion of cancelled order ${order._id}:`, error),
+    )
+    await restoreOrderStock(order, io).catch((error) =>
+      logger.error(`Error restoring stock of cancelled order ${order._id}:`, error),
+    )
+  } else if (STOCK_DEDUCTING_STATUSES.includes(nextStatus)) {
+    // Stock is taken once the restaurant accepts the order, dine-in orders may skip confirmed
+    await deductOrderStock(order, io).catch((error) =>
+      logger.error(`Error deducting stock for order ${order._id}:`, error),
+    )
+  }
+
+  if (io) {
+    await notifyKitchenAboutOrderUpdate(io, order, previousStatus)
+  } else {
+    logger.warn(`Socket.IO not available, kitchen not notified about order ${order._id} status change`)
+  }
+
+  if (order.user) {
+    // Push failures must never roll back a status change
+    sendOrderStatusNotification(order.user.toString(), order._id.toString(), nextStatus).catch((error) =>
+      logger.error(`Error sending status notification for order ${order._id}:`, error),
+    )
+  }
+
+  await invalidateOrderCaches(order, previousStatus)
+
+  if (order.orderType === "Delivery") {
+    // Dispatch failures must never roll back a status change
+    await handleDeliveryStatusChange(order, previousStatus, { io }).catch((error) =>
+      logger.error(`Error dispatching delivery order ${order._id}:`, error),
+    )
+  }
+
+  return order
+}
+
+export default {
+  ORDER_LIFECYCLES,
+  getAllowedTransitions,
+  canTransition,
+  transitionOrderStatus,
+}
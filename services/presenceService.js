@@ -0,0 +1,152 @@
+import os from "os"
+import redisService, { tenantKey } from "./redis.service.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Identifies this Node process in presence entries
+export const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`
+
+// An entry not refreshed within this window is considered gone (e.g. its instance crashed).
+// Must be longer than Socket.IO's pingInterval + pingTimeout (45s by default).
+export const PRESENCE_TTL_SECONDS = Number.parseInt(process.env.PRESENCE_TTL_SECONDS || "60", 10)
+
+// Sorted set of ids scored by last heartbeat (ms) and a hash of their details
+const indexKey = (restaurantId, kind) => tenantKey(restaurantId, `presence:${kind}`)
+const detailsKey = (restaurantId, kind) => tenantKey(restaurantId, `presence:${kind}:details`)
+
+/**
+ * Record (or refresh) that a device is connected
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} kind - "table" or "kitchen"
+ * @param {string} id - Table _id or kitchen display socket ID
+ * @param {object} details - Extra data stored with the entry (socketId, stations, ...)
+ * @returns {Promise<boolean>} - Success status
+ */
+export const markPresent = async (restaurantId, kind, id, details = {}) => {
+  if (!redisService.isConnected()) return false
+  try {
+    const entry = JSON.stringify({ ...details, instanceId: INSTANCE_ID, lastSeen: new Date().toISOString() })
+    await redisService.client
+      .multi()
+      .zadd(indexKey(restaurantId, kind), Date.now(), id)
+      .hset(detailsKey(restaurantId, kind), id, entry)
+      .exec()
+    return true
+  } catch (error) {
+    logger.error(`Error marking ${kind} ${id} present:`, error.message)
+    return false
+  }
+}
+
+/**
+ * Refresh the heartbeat of an entry without touching its details
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} kind - "table" or "kitchen"
+ * @param {string} id - Entry ID
+ * @returns {Promise<boolean>} - Success status
+ */
+export const touchPresence = async (restaurantId, kind, id) => {
+  if (!redisService.isConnected()) return false
+  try {
+    // XX: only refresh entries that still exist (a removed entry stays removed)
+    await redisService.client.zadd(indexKey(restaurantId, kind), "XX", Date.now(), id)
+    return true
+  } catch (error) {
+    logger.error(`Error refreshing ${kind} ${id} presence:`, error.message)
+    return false
+  }
+}
+
+/**
+ * Remove an entry, optionally only if it still belongs to the given socket
+ * (a table may have reconnected through another instance in the meantime)
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} kind - "table" or "kitchen"
+ * @param {string} id - Entry ID
+ * @param {string} [socketId] - Only remove when the entry was written by this socket
+ * @returns {Promise<boolean>} - True if the entry was removed
+ */
+export const markAbsent = async (restaurantId, kind, id, socketId = null) => {
+  if (!redisService.isConnected()) return false
+  try {
+    if (socketId) {
+      const raw = await redisService.client.hget(detailsKey(restaurantId, kind), id)
+      if (raw && JSON.parse(raw).socketId !== socketId) return false
+    }
+    await redisService.client
+      .multi()
+      .zrem(indexKey(restaurantId, kind), id)
+      .hdel(detailsKey(restaurantId, kind), id)
+      .exec()
+    return true
+  } catch (error) {
+    logger.error(`Error marking ${kind} ${id} absent:`, error.message)
+    return false
+  }
+}
+
+/**
+ * List connected entries, dropping the ones whose heartbeat expired
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} kind - "table" or "kitchen"
+ * @returns {Promise<Array<object>>} - [{ id, lastHeartbeat, ...details }]
+ */
+export const listPresent = async (restaurantId, kind) => {
+  if (!redisService.isConnected()) return []
+  try {
+    const client = redisService.client
+    const cutoff = Date.now() - PRESENCE_TTL_SECONDS * 1000
+
+    const expired = await client.zrangebyscore(indexKey(restaurantId, kind), "-inf", cutoff)
+    if (expired.length) {
+      await client
+        .multi()
+        .zremrangebyscore(indexKey(restaurantId, kind), "-inf", cutoff)
+        .hdel(detailsKey(restaurantId, kind), ...expired)
+        .exec()
+      logger.info(`Expired ${expired.length} ${kind} presence entries for restaurant ${restaurantId}`)
+    }
+
+    const entries = await client.zrange(indexKey(restaurantId, kind), 0, -1, "WITHSCORES")
+    if (!entries.length) return []
+
+    const ids = entries.filter((_, index) => index % 2 === 0)
+    const details = await client.hmget(detailsKey(restaurantId, kind), ...ids)
+
+    return ids.map((id, index) => ({
+      ...(details[index] ? JSON.parse(details[index]) : {}),
+      id,
+      lastHeartbeat: new Date(Number(entries[index * 2 + 1])),
+    }))
+  } catch (error) {
+    logger.error(`Error listing ${kind} presence for restaurant ${restaurantId}:`, error.message)
+    return []
+  }
+}
+
+/**
+ * Check whether an entry has a live heartbeat
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} kind - "table" or "kitchen"
+ * @param {string} id - Entry ID
+ * @returns {Promise<boolean>}
+ */
+export const isPresent = async (restaurantId, kind, id) => {
+  if (!redisService.isConnected()) return false
+  try {
+    const score = await redisService.client.zscore(indexKey(restaurantId, kind), id)
+    return score !== null && Number(score) >= Date.now() - PRESENCE_TTL_SECONDS * 1000
+  } catch (error) {
+    logger.error(`Error checking ${kind} ${id} presence:`, error.message)
+    return false
+  }
+}
+
+export default {
+  INSTANCE_ID,
+  PRESENCE_TTL_SECONDS,
+  markPresent,
+  touchPresence,
+  markAbsent,
+  listPresent,
+  isPresent,
+}
@@ -0,0 +1,244 @@
+import { Promotion, PromotionUsage } from "../models/promotion.model.js"
+import { Order } from "../models/order.model.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Amounts are stored in major units, discounts are computed in cents
+const toCents = (amount) => Math.round(Number(amount) * 100)
+const fromCents = (cents) => cents / 100
+
+/**
+ * Error raised for a promotion that cannot be applied
+ */
+export class PromotionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "PromotionError"
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Whether a promotion is switched on and inside its validity window
+ * @param {object} promotion - Promotion document
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isPromotionLive = (promotion, now = new Date()) =>
+  promotion.isActive &&
+  (!promotion.startsAt || promotion.startsAt <= now) &&
+  (!promotion.endsAt || promotion.endsAt > now)
+
+// Items the promotion is limited to, every item when it has no scope
+const eligibleItems = (promotion, items) => {
+  const categories = promotion.categories || []
+  const menuItems = (promotion.menuItems || []).map((id) => id.toString())
+  if (!categories.length && !menuItems.length) return items
+
+  return items.filter(
+    (item) =>
+      categories.includes(item.category?.toLowerCase().trim()) || menuItems.includes(item.menuItem?.toString()),
+  )
+}
+
+// Buy X get Y: eligible units are taken from the most to the least expensive, in groups of
+// buy + get, and the get cheapest units of each group are discounted
+const buyXGetYCents = (promotion, items) => {
+  const unitCents = items
+    .flatMap((item) => Array.from({ length: item.quantity }, () => toCents(item.price)))
+    .sort((a, b) => b - a)
+
+  const groupSize = promotion.buyQuantity + promotion.getQuantity
+  let discount = 0
+  for (let start = 0; start + groupSize <= unitCents.length; start += groupSize) {
+    for (const cents of unitCents.slice(start + promotion.buyQuantity, start + groupSize)) {
+      discount += Math.round((cents * promotion.getDiscountPercent) / 100)
+    }
+  }
+  return discount
+}
+
+/**
+ * Discount a promotion gives on a set of items, without checking its window or usage caps
+ * @param {object} promotion - Promotion document
+ * @param {Array<object>} items - Priced order items ({ menuItem, category, price, quantity, total })
+ * @param {number} subtotal - Order subtotal
+ * @returns {{ discount: number, reason: string|null }} - reason says why nothing was discounted
+ */
+export const computePromotionDiscount = (promotion, items, subtotal) => {
+  if (toCents(subtotal) < toCents(promotion.minOrderValue || 0)) {
+    return { discount: 0, reason: `Order must be at least ${Number(promotion.minOrderValue).toFixed(2)}` }
+  }
+
+  const eligible = eligibleItems(promotion, items)
+  const eligibleCents = eligible.reduce((sum, item) => sum + toCents(item.total), 0)
+  if (!eligibleCents) {
+    return { discount: 0, reason: "No item in the order is part of this offer" }
+  }
+
+  let cents = 0
+  if (promotion.type === "percent") {
+    cents = Math.round((eligibleCents * promotion.value) / 100)
+  } else if (promotion.type === "fixed") {
+    cents = toCents(promotion.value)
+  } else if (promotion.type === "buy_x_get_y") {
+    cents = buyXGetYCents(promotion, eligible)
+    if (!cents) {
+      return { discount: 0, reason: `Add ${promotion.buyQuantity + promotion.getQuantity} eligible items to get the offer` }
+    }
+  }
+
+  if (promotion.maxDiscount !== undefined && promotion.maxDiscount !== null) {
+    cents = Math.min(cents, toCents(promotion.maxDiscount))
+  }
+  return { discount: fromCents(Math.min(cents, eligibleCents)), reason: null }
+}
+
+// Soft usage checks, reservePromotion enforces them atomically when the order is placed
+const checkUsage = async (promotion, userId) => {
+  if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+    throw new PromotionError("This promotion has been fully redeemed", 409)
+  }
+  if (promotion.perUserLimit) {
+    if (!userId) {
+      throw new PromotionError("Sign in to use this promotion", 401)
+    }
+    const usage = await PromotionUsage.findOne({ promotion: promotion._id, user: userId })
+    if (usage && usage.count >= promotion.perUserLimit) {
+      throw new PromotionError("You have already used this promotion", 409)
+    }
+  }
+}
+
+/**
+ * Find the promotion for an order being priced.
+ * With a code, that promotion must apply, otherwise a PromotionError says why.
+ * Without one, the automatic promotion (no code) giving the biggest discount is used, if any.
+ * An order gets one promotion at most.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {object} order
+ * @param {string} [order.code] - Coupon code typed by the customer
+ * @param {string} [order.userId] - Customer placing the order
+ * @param {Array<object>} order.items - Priced order items ({ menuItem, category, price, quantity, total })
+ * @param {number} order.subtotal - Order subtotal
+ * @returns {Promise<{promotion: object, discount: number}|null>}
+ * @throws {PromotionError}
+ */
+export const findApplicablePromotion = async (restaurantId, { code, userId, items, subtotal }) => {
+  if (code) {
+    const promotion = await Promotion.findOne({ restaurant: restaurantId, code: String(code).trim().toUpperCase() })
+    if (!promotion || !isPromotionLive(promotion)) {
+      throw new PromotionError("This code is not valid", 404)
+    }
+
+    const { discount, reason } = computePromotionDiscount(promotion, items, subtotal)
+    if (!discount) {
+      throw new PromotionError(reason)
+    }
+    await checkUsage(promotion, userId)
+    return { promotion, discount }
+  }
+
+  const now = new Date()
+  const automatic = await Promotion.find({
+    restaurant: restaurantId,
+    code: { $exists: false },
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+    ],
+  })
+
+  let best = null
+  for (const promotion of automatic) {
+    const { discount } = computePromotionDiscount(promotion, items, subtotal)
+    if (!discount || (best && discount <= best.discount)) continue
+    try {
+      await checkUsage(promotion, userId)
+      best = { promotion, discount }
+    } catch (error) {
+      if (!(error instanceof PromotionError)) throw error
+    }
+  }
+  return best
+}
+
+/**
+ * Count one use of a promotion, failing when its global or per-customer cap is reached.
+ * Call releasePromotion if the order using it is not saved.
+ * @param {object} promotion - Promotion document
+ * @param {string} [userId] - Signed in customer placing the order, required by per-customer caps
+ * @throws {PromotionError}
+ */
+export const reservePromotion = async (promotion, userId) => {
+  if (promotion.perUserLimit && !userId) {
+    throw new PromotionError("Sign in to use this promotion", 401)
+  }
+
+  const counted = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      ...(promotion.usageLimit ? { usageCount: { $lt: promotion.usageLimit } } : {}),
+    },
+    { $inc: { usageCount: 1 } },
+  )
+  if (!counted) {
+    throw new PromotionError("This promotion has been fully redeemed", 409)
+  }
+
+  if (!promotion.perUserLimit) return
+
+  // Upserting with the cap in the filter: a customer at the cap no longer matches,
+  // and the insert it falls back to hits the unique index
+  try {
+    await PromotionUsage.findOneAndUpdate(
+      { promotion: promotion._id, user: userId, count: { $lt: promotion.perUserLimit } },
+      { $inc: { count: 1 } },
+      { upsert: true },
+    )
+  } catch (error) {
+    await Promotion.updateOne({ _id: promotion._id }, { $inc: { usageCount: -1 } })
+    if (error.code === 11000) {
+      throw new PromotionError("You have already used this promotion", 409)
+    }
+    throw error
+  }
+}
+
+/**
+ * Give back the use counted for an order, when it is cancelled or could not be saved
+ * @param {object} promotion - Promotion document or { _id, perUserLimit }
+ * @param {string} [userId] - Customer of the order
+ */
+export const releasePromotion = async (promotion, userId) => {
+  await Promotion.updateOne({ _id: promotion._id, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } })
+  if (userId) {
+    await PromotionUsage.updateOne({ promotion: promotion._id, user: userId, count: { $gt: 0 } }, { $inc: { count: -1 } })
+  }
+}
+
+/**
+ * Release the promotion of a cancelled order, once
+ * @param {object} order - Order document
+ */
+export const releaseOrderPromotion = async (order) => {
+  if (!order.promotion?.promotion) return
+
+  const released = await Order.findOneAndUpdate(
+    { _id: order._id, "promotion.promotion": { $ne: null }, "promotion.releasedAt": null },
+    { $set: { "promotion.releasedAt": new Date() } },
+  )
+  if (!released) return
+
+  await releasePromotion({ _id: order.promotion.promotion }, order.promotion.redeemedBy)
+  logger.info(`Promotion ${order.promotion.code || order.promotion.promotion} released by cancelled order ${order._id}`)
+}
+
+export default {
+  isPromotionLive,
+  computePromotionDiscount,
+  findApplicablePromotion,
+  reservePromotion,
+  releasePromotion,
+  releaseOrderPromotion,
+}
@@ -0,0 +1,213 @@
+import redisService, { tenantKey } from "./redis.service.js"
+import { managerRoom } from "../lib/socketRooms.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Events kept per room for replay (approximate cap, Redis trims lazily)
+const STREAM_MAX_LENGTH = Number.parseInt(process.env.REALTIME_STREAM_MAX_LENGTH || "1000", 10)
+// Streams of rooms nobody publishes to any more are dropped after a day
+const STREAM_TTL_SECONDS = 24 * 60 * 60
+// Time a recipient has to acknowledge an event before managers are alerted
+export const ACK_TIMEOUT_SECONDS = Number.parseInt(process.env.REALTIME_ACK_TIMEOUT_SECONDS || "30", 10)
+// Max events sent back in one replay, a client further behind must reload over REST
+export const MAX_REPLAY_EVENTS = 500
+
+const streamKey = (room) => `realtime:stream:${room}`
+const sequenceKey = (room) => `realtime:seq:${room}`
+// Global: acks due, member "<restaurantId>|<room>|<seq>" scored by deadline (ms)
+const ACK_DUE_KEY = "realtime:ack_due"
+// Per restaurant: events waiting for an ack, field "<room>|<seq>"
+const pendingAcksKey = (restaurantId) => tenantKey(restaurantId, "realtime:ack_pending")
+
+// INCR the room sequence and append the event under the ID "<seq>-1" in one step,
+// so concurrent publishers on several instances never append out of order
+const PUBLISH_SCRIPT = `
+local seq = redis.call('INCR', KEYS[2])
+redis.call('XADD', KEYS[1], 'MAXLEN', '~', ARGV[1], seq .. '-1', 'event', ARGV[2], 'payload', ARGV[3], 'ack', ARGV[4])
+redis.call('EXPIRE', KEYS[1], ARGV[5])
+return seq
+`
+
+/**
+ * Emit an event to a room and store it in the room's stream so clients can replay it.
+ * The payload is sent with a `meta` object ({ room, seq, ackRequired }); clients keep the
+ * last seq per room and, for ackRequired events, answer with `event_ack` echoing the meta.
+ * Falls back to a plain emit (seq null) when Redis is unavailable.
+ * @param {object} io - Socket.IO server instance
+ * @param {string} room - Room name (see lib/socketRooms.js)
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @param {object} options
+ * @param {string} [options.restaurantId] - Restaurant managers are alerted for (required with ack)
+ * @param {boolean} [options.ack=false] - Whether a recipient must acknowledge the event
+ * @returns {Promise<number|null>} - Sequence number of the event
+ */
+export const publishToRoom = async (io, room, event, payload, { restaurantId = null, ack = false } = {}) => {
+  const ackRequired = ack && !!restaurantId
+  let seq = null
+
+  if (redisService.isConnected()) {
+    try {
+      seq = await redisService.client.eval(
+        PUBLISH_SCRIPT,
+        2,
+        streamKey(room),
+        sequenceKey(room),
+        STREAM_MAX_LENGTH,
+        event,
+        JSON.stringify(payload),
+        ackRequired ? "1" : "0",
+        STREAM_TTL_SECONDS,
+      )
+
+      if (ackRequired) {
+        const member = `${room}|${seq}`
+        const emittedAt = Date.now()
+        await redisService.client
+          .multi()
+          .zadd(ACK_DUE_KEY, emittedAt + ACK_TIMEOUT_SECONDS * 1000, `${restaurantId}|${member}`)
+          .hset(
+            pendingAcksKey(restaurantId),
+            member,
+            JSON.stringify({ room, seq, event, emittedAt: new Date(emittedAt), overdue: false }),
+          )
+          // Events nobody ever acks are forgotten once the restaurant is quiet for a day
+          .expire(pendingAcksKey(restaurantId), STREAM_TTL_SECONDS)
+          .exec()
+      }
+    } catch (error) {
+      logger.error(`Error storing realtime event ${event} for room ${room}:`, error.message)
+    }
+  }
+
+  const meta = { room, seq, ackRequired: ackRequired && seq !== null }
+  if (meta.ackRequired) meta.restaurantId = restaurantId.toString()
+
+  io.to(room).emit(event, { ...payload, meta })
+  return seq
+}
+
+/**
+ * Read the events of a room after a sequence number
+ * @param {string} room - Room name
+ * @param {number} lastSeq - Last sequence the client saw (0 for everything kept)
+ * @returns {Promise<{events: Array<object>, gap: boolean, latestSeq: number}>}
+ *   gap is true when events after lastSeq were already trimmed or more than MAX_REPLAY_EVENTS are missing
+ */
+export const readRoomEvents = async (room, lastSeq = 0) => {
+  if (!redisService.isConnected()) {
+    return { events: [], gap: false, latestSeq: lastSeq }
+  }
+
+  const client = redisService.client
+  const latestSeq = Number((await client.get(sequenceKey(room))) || 0)
+  if (latestSeq <= lastSeq) {
+    return { events: [], gap: false, latestSeq }
+  }
+
+  const entries = await client.xrange(streamKey(room), `${lastSeq + 1}-0`, "+", "COUNT", MAX_REPLAY_EVENTS)
+  const events = entries.map(([id, fields]) => {
+    const data = {}
+    for (let index = 0; index < fields.length; index += 2) {
+      data[fields[index]] = fields[index + 1]
+    }
+    return {
+      seq: Number(id.split("-")[0]),
+      event: data.event,
+      payload: JSON.parse(data.payload),
+      ackRequired: data.ack === "1",
+    }
+  })
+
+  const firstSeq = events.length ? events[0].seq : latestSeq + 1
+  const lastReturned = events.length ? events[events.length - 1].seq : lastSeq
+  const gap = firstSeq > lastSeq + 1 || lastReturned < latestSeq
+
+  return { events, gap, latestSeq }
+}
+
+/**
+ * Record a client acknowledgement
+ * @param {string} restaurantId - Restaurant of the acknowledging socket
+ * @param {string} room - Room of the event
+ * @param {number} seq - Sequence of the event
+ * @param {object} [io] - Socket.IO server instance, used to clear a manager alert
+ * @returns {Promise<boolean>} - True if a pending ack was cleared
+ */
+export const acknowledgeEvent = async (restaurantId, room, seq, io = null) => {
+  if (!redisService.isConnected() || !restaurantId) return false
+
+  const member = `${room}|${seq}`
+  const raw = await redisService.client.hget(pendingAcksKey(restaurantId), member)
+  if (!raw) return false
+
+  await redisService.client
+    .multi()
+    .hdel(pendingAcksKey(restaurantId), member)
+    .zrem(ACK_DUE_KEY, `${restaurantId}|${member}`)
+    .exec()
+
+  const pending = JSON.parse(raw)
+  if (pending.overdue && io) {
+    io.to(managerRoom(restaurantId)).emit("ack_overdue_resolved", { room, seq, event: pending.event })
+  }
+  return true
+}
+
+/**
+ * Flag the events whose ack deadline passed and alert the managers of their restaurant.
+ * Run periodically by jobs/ackWatchdog.job.js.
+ * @param {object} io - Socket.IO server instance
+ * @returns {Promise<number>} - Number of events flagged
+ */
+export const flagOverdueAcks = async (io) => {
+  if (!redisService.isConnected()) return 0
+
+  const client = redisService.client
+  const due = await client.zrangebyscore(ACK_DUE_KEY, "-inf", Date.now())
+  let flagged = 0
+
+  for (const member of due) {
+    // Only the instance that removes the member raises the alert
+    if ((await client.zrem(ACK_DUE_KEY, member)) === 0) continue
+
+    const [restaurantId, room, seq] = member.split("|")
+    const raw = await client.hget(pendingAcksKey(restaurantId), `${room}|${seq}`)
+    if (!raw) continue
+
+    const pending = { ...JSON.parse(raw), overdue: true }
+    await client.hset(pendingAcksKey(restaurantId), `${room}|${seq}`, JSON.stringify(pending))
+
+    io.to(managerRoom(restaurantId)).emit("ack_overdue", pending)
+    logger.warn(`No ack for ${pending.event} #${seq} in room ${room} (restaurant ${restaurantId})`)
+    flagged++
+  }
+
+  return flagged
+}
+
+/**
+ * List the events of a restaurant still waiting for an ack
+ * @param {string} restaurantId - Restaurant ID
+ * @param {object} options
+ * @param {boolean} [options.overdueOnly=true] - Only events past their ack deadline
+ * @returns {Promise<Array<object>>} - Oldest first
+ */
+export const listPendingAcks = async (restaurantId, { overdueOnly = true } = {}) => {
+  if (!redisService.isConnected()) return []
+
+  const entries = Object.values(await redisService.client.hgetall(pendingAcksKey(restaurantId))).map((raw) =>
+    JSON.parse(raw),
+  )
+
+  return entries
+    .filter((entry) => !overdueOnly || entry.overdue)
+    .sort((a, b) => new Date(a.emittedAt) - new Date(b.emittedAt))
+}
+
+export default {
+  publishToRoom,
+  readRoomEvents,
+  acknowledgeEvent,
+  flagOverdueAcks,
+  listPendingAcks,
+}
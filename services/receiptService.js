@@ -0,0 +1,371 @@
+import PDFDocument from "pdfkit"
+import Bill from "../models/bill.model.js"
+import TableSession from "../models/table-session.model.js"
+import { Order } from "../models/order.model.js"
+import { Restaurant } from "../models/restaurant.model.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Only money actually collected gets a receipt
+const RECEIPTABLE_PAYMENT_STATUSES = ["paid", "partially_refunded", "refunded"]
+
+// Cash orders are settled on delivery or at the counter, before anyone marks them paid
+const SETTLED_ORDER_STATUSES = ["delivered", "completed"]
+
+const PAYMENT_METHOD_LABELS = {
+  cash: "Cash",
+  card: "Card",
+  wallet: "Wallet",
+  mobile_payment: "Mobile payment",
+}
+
+// Thermal printer line widths (characters of font A) by paper width
+export const ESCPOS_WIDTHS = { 58: 32, 80: 48 }
+
+/**
+ * Error raised for a receipt that cannot be issued
+ */
+export class ReceiptError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "ReceiptError"
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Give a bill or order its invoice number the first time a receipt is issued.
+ * Numbers come from a per-restaurant counter shared by bills and orders. Two requests
+ * racing on the same document both draw a number and only the first one is kept, so a
+ * number can be skipped but never issued twice.
+ * @param {object} Model - Bill or Order
+ * @param {object} doc - Document to number
+ * @returns {Promise<object>} - The document with invoiceNumber set
+ */
+const assignInvoiceNumber = async (Model, doc) => {
+  if (doc.invoiceNumber) return doc
+
+  const restaurant = await Restaurant.findByIdAndUpdate(
+    doc.restaurant,
+    { $inc: { invoiceSequence: 1 } },
+    { new: true, projection: { invoiceSequence: 1, "billing.invoicePrefix": 1 } },
+  )
+  if (!restaurant) {
+    throw new ReceiptError("Restaurant not found", 404)
+  }
+
+  const invoiceNumber = `${restaurant.billing?.invoicePrefix || "INV"}-${String(restaurant.invoiceSequence).padStart(6, "0")}`
+  const numbered = await Model.findOneAndUpdate(
+    { _id: doc._id, invoiceNumber: { $exists: false } },
+    { $set: { invoiceNumber, invoicedAt: new Date() } },
+    { new: true },
+  )
+  if (numbered) {
+    logger.info(`Invoice ${invoiceNumber} issued for ${Model.modelName.toLowerCase()} ${doc._id}`)
+    return numbered
+  }
+  logger.warn(`Invoice number ${invoiceNumber} skipped, ${Model.modelName.toLowerCase()} ${doc._id} was numbered concurrently`)
+  return Model.findById(doc._id)
+}
+
+const formatRestaurantHeader = (restaurant) => ({
+  name: restaurant.name,
+  address: [restaurant.address?.street, restaurant.address?.city, restaurant.address?.country].filter(Boolean).join(", "),
+  phone: restaurant.contactPhone,
+  email: restaurant.email,
+  taxId: restaurant.billing?.taxId,
+  currency: (restaurant.currency || "usd").toUpperCase(),
+})
+
+/**
+ * Build the receipt of a paid bill
+ * @param {string} restaurantId - Restaurant the bill must belong to
+ * @param {string} billId - Bill ID
+ * @returns {Promise<object>} - Receipt: restaurant header, lines, totals and payments
+ * @throws {ReceiptError}
+ */
+export const buildBillReceipt = async (restaurantId, billId) => {
+  const found = await Bill.findOne({ _id: billId, restaurant: restaurantId })
+  if (!found) {
+    throw new ReceiptError("Bill not found", 404)
+  }
+  if (!RECEIPTABLE_PAYMENT_STATUSES.includes(found.paymentStatus)) {
+    throw new ReceiptError("Receipts are only issued for paid bills", 409)
+  }
+
+  const bill = await assignInvoiceNumber(Bill, found)
+  const [restaurant, session] = await Promise.all([
+    Restaurant.findById(restaurantId),
+    TableSession.findById(bill.tableSessionId).populate("tableId", "tableId"),
+  ])
+
+  // Split bills are paid part by part, possibly with different methods. A reservation deposit
+  // paid part of the total before the party sat down.
+  const deposit = bill.deposit?.amount || 0
+  const payments = [
+    ...(deposit ? [{ label: "Reservation deposit", method: "Deposit", amount: deposit }] : []),
+    ...(bill.parts.length
+      ? bill.parts.map((part) => ({
+          label: part.label,
+          method: PAYMENT_METHOD_LABELS[part.paymentMethod] || part.paymentMethod,
+          amount: part.amount + (part.tip || 0),
+        }))
+      : [
+          {
+            method: PAYMENT_METHOD_LABELS[bill.paymentMethod] || bill.paymentMethod || "-",
+            amount: Math.round((bill.total - deposit + (bill.tip || 0)) * 100) / 100,
+          },
+        ]),
+  ]
+
+  return {
+    kind: "bill",
+    id: bill._id,
+    invoiceNumber: bill.invoiceNumber,
+    issuedAt: bill.invoicedAt,
+    restaurant: formatRestaurantHeader(restaurant),
+    reference: session?.tableId?.tableId ? `Table ${session.tableId.tableId}` : "Dine in",
+    lines: bill.lines.map((line) => ({
+      name: line.name,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      amount: line.amount,
+    })),
+    subtotal: bill.subtotal,
+    discounts: bill.discounts.map((discount) => ({ label: discount.label, amount: discount.amount })),
+    serviceCharge: bill.serviceCharge,
+    serviceChargeRate: bill.serviceChargeRate,
+    deliveryFee: 0,
+    taxes: bill.taxes.map((tax) => ({ rate: tax.rate, amount: tax.amount })),
+    tip: bill.tip || 0,
+    total: bill.total + (bill.tip || 0),
+    payments,
+    amountRefunded: bill.amountRefunded || 0,
+  }
+}
+
+/**
+ * Build the receipt of an order (delivery and take away orders are not billed through a session)
+ * @param {string} restaurantId - Restaurant the order must belong to
+ * @param {string} orderId - Order ID
+ * @returns {Promise<object>} - Receipt
+ * @throws {ReceiptError}
+ */
+export const buildOrderReceipt = async (restaurantId, orderId) => {
+  const found = await Order.findOne({ _id: orderId, restaurant: restaurantId })
+  if (!found) {
+    throw new ReceiptError("Order not found", 404)
+  }
+  if (!RECEIPTABLE_PAYMENT_STATUSES.includes(found.paymentStatus) && !SETTLED_ORDER_STATUSES.includes(found.status)) {
+    throw new ReceiptError("Receipts are only issued for paid or delivered orders", 409)
+  }
+
+  const order = await assignInvoiceNumber(Order, found)
+  const restaurant = await Restaurant.findById(restaurantId)
+
+  return {
+    kind: "order",
+    id: order._id,
+    invoiceNumber: order.invoiceNumber,
+    issuedAt: order.invoicedAt,
+    restaurant: formatRestaurantHeader(restaurant),
+    reference: `${order.orderType} #${order._id.toString().slice(-6).toUpperCase()}`,
+    lines: order.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      amount: item.total,
+    })),
+    subtotal: order.subtotal,
+    discounts: order.discount
+      ? [{ label: `Promotion ${order.promotion?.code || order.promotion?.name || ""}`.trim(), amount: order.discount }]
+      : [],
+    serviceCharge: 0,
+    serviceChargeRate: 0,
+    deliveryFee: order.deliveryFee || 0,
+    taxes: [],
+    tip: 0,
+    total: order.total,
+    payments: [{ method: PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod, amount: order.total }],
+    amountRefunded: order.amountRefunded || 0,
+  }
+}
+
+const money = (amount) => Number(amount || 0).toFixed(2)
+
+// Label/amount rows below the items, the same on paper and in the PDF
+const totalRows = (receipt) => [
+  ["Subtotal", money(receipt.subtotal)],
+  ...receipt.discounts.map((discount) => [discount.label, `-${money(discount.amount)}`]),
+  ...(receipt.serviceCharge ? [[`Service charge (${receipt.serviceChargeRate}%)`, money(receipt.serviceCharge)]] : []),
+  ...(receipt.deliveryFee ? [["Delivery fee", money(receipt.deliveryFee)]] : []),
+  ...receipt.taxes.map((tax) => [`Tax ${tax.rate}%`, money(tax.amount)]),
+  ...(receipt.tip ? [["Tip", money(receipt.tip)]] : []),
+]
+
+const paymentRows = (receipt) => [
+  ...receipt.payments.map((payment) => [
+    payment.label ? `${payment.label} - ${payment.method}` : payment.method,
+    money(payment.amount),
+  ]),
+  ...(receipt.amountRefunded ? [["Refunded", `-${money(receipt.amountRefunded)}`]] : []),
+]
+
+/**
+ * Render a receipt as an A4 PDF
+ * @param {object} receipt - From buildBillReceipt or buildOrderReceipt
+ * @returns {Promise<Buffer>}
+ */
+export const renderReceiptPdf = (receipt) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: `Receipt ${receipt.invoiceNumber}` } })
+    const chunks = []
+    doc.on("data", (chunk) => chunks.push(chunk))
+    doc.on("end", () => resolve(Buffer.concat(chunks)))
+    doc.on("error", reject)
+
+    const { restaurant } = receipt
+    const left = 50
+    const right = doc.page.width - 50
+    const columns = { quantity: 300, unitPrice: 360, amount: 450 }
+
+    doc.font("Helvetica-Bold").fontSize(18).text(restaurant.name, left)
+    doc.font("Helvetica").fontSize(9)
+    for (const detail of [restaurant.address, restaurant.phone, restaurant.email]) {
+      if (detail) doc.text(detail)
+    }
+    if (restaurant.taxId) doc.text(`Tax ID: ${restaurant.taxId}`)
+
+    doc.moveDown()
+    doc.font("Helvetica-Bold").fontSize(12).text(`Receipt ${receipt.invoiceNumber}`)
+    doc.font("Helvetica").fontSize(9)
+    doc.text(`Date: ${new Date(receipt.issuedAt).toLocaleString("en-GB")}`)
+    doc.text(receipt.reference)
+    doc.moveDown()
+
+    const row = (cells, { bold = false } = {}) => {
+      const y = doc.y
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica")
+      doc.text(cells[0], left, y, { width: columns.quantity - left - 10 })
+      const height = doc.y - y
+      if (cells[1] !== undefined) doc.text(cells[1], columns.quantity, y, { width: 50, align: "right" })
+      if (cells[2] !== undefined) doc.text(cells[2], columns.unitPrice, y, { width: 80, align: "right" })
+      doc.text(cells[3], columns.amount, y, { width: right - columns.amount, align: "right" })
+      doc.y = y + Math.max(height, doc.currentLineHeight(true))
+      doc.x = left
+    }
+    const rule = () => {
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).strokeColor("#999").stroke()
+      doc.moveDown(0.3)
+    }
+
+    row(["Item", "Qty", "Unit price", `Amount (${restaurant.currency})`], { bold: true })
+    rule()
+    for (const line of receipt.lines) {
+      row([line.name, String(line.quantity), money(line.unitPrice), money(line.amount)])
+    }
+    rule()
+    for (const [label, amount] of totalRows(receipt)) {
+      row([label, undefined, undefined, amount])
+    }
+    rule()
+    row(["Total", undefined, undefined, `${money(receipt.total)} ${restaurant.currency}`], { bold: true })
+
+    doc.moveDown()
+    doc.font("Helvetica-Bold").text("Payment", left)
+    for (const [label, amount] of paymentRows(receipt)) {
+      row([label, undefined, undefined, amount])
+    }
+
+    doc.moveDown(2)
+    doc.font("Helvetica").fontSize(8).fillColor("#666").text("Thank you for your visit.", left, doc.y, {
+      width: right - left,
+      align: "center",
+    })
+    doc.end()
+  })
+
+// ESC/POS commands
+const ESC = 0x1b
+const GS = 0x1d
+const ESCPOS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  doubleSize: [GS, 0x21, 0x11],
+  normalSize: [GS, 0x21, 0x00],
+  feedAndCut: [GS, 0x56, 0x42, 3], // feed 3 lines then partial cut
+}
+
+// Printers are left on their default code page, anything outside Latin-1 is replaced
+const printable = (text) => String(text ?? "").replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+
+/**
+ * Render a receipt as ESC/POS bytes for a thermal printer
+ * @param {object} receipt - From buildBillReceipt or buildOrderReceipt
+ * @param {object} [options]
+ * @param {number} [options.paperWidth=80] - Paper width in mm, 58 or 80
+ * @returns {Buffer}
+ */
+export const renderReceiptEscPos = (receipt, { paperWidth = 80 } = {}) => {
+  const width = ESCPOS_WIDTHS[paperWidth] || ESCPOS_WIDTHS[80]
+  const chunks = []
+  const command = (bytes) => chunks.push(Buffer.from(bytes))
+  const line = (text = "") => chunks.push(Buffer.from(`${printable(text)}\n`, "latin1"))
+  // Label on the left, amount on the right, the label is cut when both do not fit
+  const columns = (label, amount) => {
+    const room = width - amount.length - 1
+    line(`${printable(label).slice(0, room).padEnd(room)} ${amount}`)
+  }
+  const rule = () => line("-".repeat(width))
+
+  const { restaurant } = receipt
+  command(ESCPOS.init)
+  command(ESCPOS.alignCenter)
+  command(ESCPOS.doubleSize)
+  line(restaurant.name)
+  command(ESCPOS.normalSize)
+  for (const detail of [restaurant.address, restaurant.phone]) {
+    if (detail) line(detail)
+  }
+  if (restaurant.taxId) line(`Tax ID: ${restaurant.taxId}`)
+  line()
+  command(ESCPOS.boldOn)
+  line(`Receipt ${receipt.invoiceNumber}`)
+  command(ESCPOS.boldOff)
+  line(new Date(receipt.issuedAt).toLocaleString("en-GB"))
+  line(receipt.reference)
+
+  command(ESCPOS.alignLeft)
+  rule()
+  for (const item of receipt.lines) {
+    columns(`${item.quantity} x ${item.name}`, money(item.amount))
+    if (item.quantity > 1) line(`    @ ${money(item.unitPrice)}`)
+  }
+  rule()
+  for (const [label, amount] of totalRows(receipt)) {
+    columns(label, amount)
+  }
+  command(ESCPOS.boldOn)
+  columns("TOTAL", `${money(receipt.total)} ${restaurant.currency}`)
+  command(ESCPOS.boldOff)
+  rule()
+  for (const [label, amount] of paymentRows(receipt)) {
+    columns(label, amount)
+  }
+
+  line()
+  command(ESCPOS.alignCenter)
+  line("Thank you for your visit.")
+  command(ESCPOS.feedAndCut)
+
+  return Buffer.concat(chunks)
+}
+
+export default {
+  buildBillReceipt,
+  buildOrderReceipt,
+  renderReceiptPdf,
+  renderReceiptEscPos,
+}
@@ -0,0 +1,260 @@
+import { Rating } from "../models/rating.model.js"
+import { User } from "../models/user.model.js"
+import MenuItem from "../models/menuItem.model.js"
+import { DIETARY_FLAGS, HEALTH_FLAGS } from "./menuSearchService.js"
+import { scheduledMenuItemFilter } from "./menuScheduleService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Matrix factorization settings: predicted rating = user bias + item bias + user factors . item factors
+export const FACTORS = 10 // length of User.cfParams.w and MenuItem.cfFeatures
+const EPOCHS = 40
+const LEARNING_RATE = 0.01
+const REGULARIZATION = 0.05
+// Below this many ratings the factors are mostly noise, the previous model is kept
+export const MIN_TRAINING_RATINGS = 20
+
+// Items stored in User.recommandations, more than a page so dietary filters still leave enough
+const STORED_RECOMMENDATIONS = 30
+const WRITE_BATCH_SIZE = 500
+
+// Score of items the model knows nothing about, the middle of the 1-5 scale
+const NEUTRAL_RATING = 3
+// Added to the score of popular items and, in proportion, of items matching the health profile
+const POPULAR_BOOST = 0.25
+const HEALTH_BOOST = 0.5
+
+export const DEFAULT_RECOMMENDATIONS = 10
+export const MAX_RECOMMENDATIONS = 50
+
+// The user profile says dairyFree where menu items say lactoseFree
+const PROFILE_DIETARY_FLAGS = { vegetarian: "vegetarian", vegan: "vegan", glutenFree: "glutenFree", dairyFree: "lactoseFree" }
+
+/**
+ * Error raised for recommendation parameters that cannot be used
+ */
+export class RecommendationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "RecommendationError"
+    this.statusCode = statusCode
+  }
+}
+
+const dot = (a, b) => {
+  let sum = 0
+  for (let index = 0; index < a.length; index++) sum += a[index] * b[index]
+  return sum
+}
+
+// Small random start so factors of different users and items can grow apart
+const randomFactors = () => Array.from({ length: FACTORS }, () => (Math.random() - 0.5) * 0.1)
+
+// Fisher-Yates, in place
+const shuffle = (values) => {
+  for (let index = values.length - 1; index > 0; index--) {
+    const other = Math.floor(Math.random() * (index + 1))
+    ;[values[index], values[other]] = [values[other], values[index]]
+  }
+  return values
+}
+
+// Run bulk updates a batch at a time so a large catalog never builds one huge request
+const bulkWriteInBatches = async (Model, operations) => {
+  for (let start = 0; start < operations.length; start += WRITE_BATCH_SIZE) {
+    await Model.bulkWrite(operations.slice(start, start + WRITE_BATCH_SIZE), { ordered: false })
+  }
+}
+
+/**
+ * Fit user and item factors to the ratings with stochastic gradient descent
+ * @param {Array<{ user: string, menuItem: string, rating: number }>} ratings
+ * @returns {{ users: Map, items: Map, rmse: number }} - Factors and bias keyed by ID.
+ *   User biases include the mean rating, so bias + bias + dot product is a rating on the 1-5 scale.
+ */
+export const factorizeRatings = (ratings) => {
+  const mean = ratings.reduce((sum, entry) => sum + entry.rating, 0) / ratings.length
+  const users = new Map()
+  const items = new Map()
+  for (const entry of ratings) {
+    if (!users.has(entry.user)) users.set(entry.user, { factors: randomFactors(), bias: 0 })
+    if (!items.has(entry.menuItem)) items.set(entry.menuItem, { factors: randomFactors(), bias: 0 })
+  }
+
+  const samples = ratings.map((entry) => ({ user: users.get(entry.user), item: items.get(entry.menuItem), rating: entry.rating }))
+  const error = ({ user, item, rating }) => rating - (mean + user.bias + item.bias + dot(user.factors, item.factors))
+
+  for (let epoch = 0; epoch < EPOCHS; epoch++) {
+    for (const sample of shuffle(samples)) {
+      const { user, item } = sample
+      const err = error(sample)
+      user.bias += LEARNING_RATE * (err - REGULARIZATION * user.bias)
+      item.bias += LEARNING_RATE * (err - REGULARIZATION * item.bias)
+      for (let factor = 0; factor < FACTORS; factor++) {
+        const userFactor = user.factors[factor]
+        const itemFactor = item.factors[factor]
+        user.factors[factor] += LEARNING_RATE * (err * itemFactor - REGULARIZATION * userFactor)
+        item.factors[factor] += LEARNING_RATE * (err * userFactor - REGULARIZATION * itemFactor)
+      }
+    }
+  }
+
+  const rmse = Math.sqrt(samples.reduce((sum, sample) => sum + error(sample) ** 2, 0) / samples.length)
+  for (const user of users.values()) user.bias += mean
+  return { users, items, rmse }
+}
+
+/**
+ * Train the recommender on every rating, save the factors on users and menu items and
+ * store each rated user's top items they have not rated or favorited in User.recommandations
+ * @returns {Promise<{ trained: boolean, ratings: number, users?: number, items?: number, rmse?: number }>}
+ */
+export const trainRecommender = async () => {
+  const ratings = (await Rating.find({}).select("user menuItem rating").lean()).map((entry) => ({
+    user: entry.user.toString(),
+    menuItem: entry.menuItem.toString(),
+    rating: entry.rating,
+  }))
+  if (ratings.length < MIN_TRAINING_RATINGS) {
+    logger.info(`Recommender not trained: ${ratings.length} rating(s), at least ${MIN_TRAINING_RATINGS} needed`)
+    return { trained: false, ratings: ratings.length }
+  }
+
+  const { users, items, rmse } = factorizeRatings(ratings)
+  const trainedAt = new Date()
+
+  await bulkWriteInBatches(
+    MenuItem,
+    [...items].map(([menuItemId, { factors, bias }]) => ({
+      updateOne: {
+        filter: { _id: menuItemId },
+        update: { $set: { cfFeatures: factors, cfBias: bias, cfTrainedAt: trainedAt } },
+      },
+    })),
+  )
+
+  // Only items that can be ordered are worth storing as recommendations
+  const available = await MenuItem.find({ _id: { $in: [...items.keys()] }, isAvailable: true }).select("_id").lean()
+  const candidates = available.map((menuItem) => [menuItem._id.toString(), items.get(menuItem._id.toString())])
+
+  const seen = new Map()
+  for (const entry of ratings) {
+    if (!seen.has(entry.user)) seen.set(entry.user, new Set())
+    seen.get(entry.user).add(entry.menuItem)
+  }
+  const favorites = await User.find({ _id: { $in: [...users.keys()] } }).select("favorites").lean()
+  for (const user of favorites) {
+    for (const favorite of user.favorites || []) seen.get(user._id.toString())?.add(favorite.toString())
+  }
+
+  await bulkWriteInBatches(
+    User,
+    [...users].map(([userId, { factors, bias }]) => {
+      const recommandations = candidates
+        .filter(([menuItemId]) => !seen.get(userId).has(menuItemId))
+        .map(([menuItemId, item]) => ({ menuItemId, score: bias + item.bias + dot(factors, item.factors) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, STORED_RECOMMENDATIONS)
+        .map((entry) => entry.menuItemId)
+
+      return {
+        updateOne: {
+          filter: { _id: userId },
+          update: {
+            $set: { "cfParams.w": factors, "cfParams.b": bias, "cfParams.lastTrained": trainedAt, recommandations },
+          },
+        },
+      }
+    }),
+  )
+
+  logger.info(
+    `Recommender trained on ${ratings.length} rating(s): ${users.size} user(s), ${items.size} item(s), RMSE ${rmse.toFixed(3)}`,
+  )
+  return { trained: true, ratings: ratings.length, users: users.size, items: items.size, rmse }
+}
+
+// Comma separated query values or repeated params to a list, checked against the known flags
+const flagList = (value, known, kind) => {
+  const flags = (Array.isArray(value) ? value : String(value).split(","))
+    .map((flag) => String(flag).trim())
+    .filter(Boolean)
+  const unknown = flags.find((flag) => !known.includes(flag))
+  if (unknown) throw new RecommendationError(`Unknown ${kind} filter ${unknown}`)
+  return flags
+}
+
+/**
+ * Menu items to recommend to a user, best first. Dietary flags are hard filters (an item
+ * must have every one), health flags only lift matching items. Both default to the user's profile.
+ * With a restaurant, its whole current menu is scored. Without one, the items stored by the
+ * last training are used, topped up with popular items.
+ * @param {object} user - User document
+ * @param {object} [options]
+ * @param {object} [options.restaurant] - Restaurant document to recommend from
+ * @param {number} [options.limit]
+ * @param {string|Array<string>} [options.dietary] - Dietary flags, instead of the profile ones
+ * @param {string|Array<string>} [options.health] - Health flags, instead of the profile ones
+ * @returns {Promise<Array<{ menuItem: object, score: number }>>}
+ * @throws {RecommendationError}
+ */
+export const recommendMenuItems = async (user, { restaurant = null, limit, dietary, health } = {}) => {
+  const count = Math.min(MAX_RECOMMENDATIONS, Math.max(1, Number.parseInt(limit, 10) || DEFAULT_RECOMMENDATIONS))
+
+  const dietaryFlags =
+    dietary !== undefined
+      ? flagList(dietary, DIETARY_FLAGS, "dietary")
+      : Object.entries(PROFILE_DIETARY_FLAGS)
+          .filter(([profileFlag]) => user.dietaryProfile?.[profileFlag])
+          .map(([, flag]) => flag)
+  const healthFlags =
+    health !== undefined
+      ? flagList(health, HEALTH_FLAGS, "health")
+      : HEALTH_FLAGS.filter((flag) => user.HealthProfile?.[flag])
+
+  const rated = await Rating.distinct("menuItem", { user: user._id })
+  const conditions = [{ isAvailable: true }, { _id: { $nin: rated } }]
+  for (const flag of dietaryFlags) conditions.push({ [`dietaryInfo.${flag}`]: true })
+  if (restaurant) conditions.push({ restaurant: restaurant._id }, scheduledMenuItemFilter(restaurant))
+
+  const fields = "name description translations price image category restaurant dietaryInfo healthInfo isPopular cfFeatures cfBias cfTrainedAt"
+  let candidates
+  if (restaurant) {
+    candidates = await MenuItem.find({ $and: conditions }).select(fields).lean()
+  } else {
+    candidates = await MenuItem.find({ $and: [...conditions, { _id: { $in: user.recommandations || [] } }] })
+      .select(fields)
+      .lean()
+    if (candidates.length < count) {
+      const popular = await MenuItem.find({ $and: [...conditions, { _id: { $nin: candidates.map((item) => item._id) } }] })
+        .sort({ isPopular: -1, updatedAt: -1 })
+        .limit(count * 3)
+        .select(fields)
+        .lean()
+      candidates.push(...popular)
+    }
+  }
+
+  const userTrained = Boolean(user.cfParams?.lastTrained) && user.cfParams.w?.length === FACTORS
+  const score = (menuItem) => {
+    const itemTrained = Boolean(menuItem.cfTrainedAt) && menuItem.cfFeatures?.length === FACTORS
+    const predicted =
+      userTrained && itemTrained
+        ? user.cfParams.b + menuItem.cfBias + dot(user.cfParams.w, menuItem.cfFeatures)
+        : NEUTRAL_RATING + (itemTrained ? menuItem.cfBias : 0)
+    const healthShare = healthFlags.length
+      ? healthFlags.filter((flag) => menuItem.healthInfo?.[flag]).length / healthFlags.length
+      : 0
+    return predicted + (menuItem.isPopular ? POPULAR_BOOST : 0) + HEALTH_BOOST * healthShare
+  }
+
+  return candidates
+    .map((menuItem) => ({ menuItem, score: score(menuItem) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+}
+
+export default {
+  factorizeRatings,
+  trainRecommender,
+  recommendMenuItems,
+}
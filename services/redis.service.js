@@ -106,6 +106,14 @@ process.on('SIGTERM', async () => {
 
 // --- Helper Functions (get/set/delete cache, get/set value) ---
 
+/**
+ * Build a cache key scoped to a restaurant so tenants never share cached data
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} key - Unscoped key (e.g. 'kitchen:active_orders')
+ * @returns {string} - e.g. 'restaurant:<id>:kitchen:active_orders'
+ */
+export const tenantKey = (restaurantId, key) => `restaurant:${restaurantId}:${key}`;
+
 /**
  * Get data from cache (expects JSON string)
  * @param {string} key - Cache key
@@ -217,6 +225,17 @@ export const getValue = async (key) => {
   }
 };
 
+/**
+ * Create a second connection with the same settings.
+ * Needed by subscribers (a connection in SUBSCRIBE mode cannot run other commands).
+ * @returns {Redis} - New ioredis client
+ */
+export const duplicateClient = () => {
+  const client = redisClient.duplicate();
+  client.on('error', (err) => logger.error('Redis (duplicate) Client Error:', err.message));
+  return client;
+};
+
 // --- Export functions and client ---
 export default {
   getCache,
@@ -224,6 +243,8 @@ export default {
   deleteCache,
   setValue,
   getValue,
+  tenantKey,
+  duplicateClient,
   client: redisClient,
   isConnected: () => isRedisConnected, // Function to check current status
   // NOTE: clearCache (FLUSHALL) and deleteCacheByPattern (KEYS/SCAN) are omitted for safety.
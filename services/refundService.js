@@ -0,0 +1,524 @@
+import Stripe from "stripe"
+import { Order } from "../models/order.model.js"
+import Bill from "../models/bill.model.js"
+import TableSession from "../models/table-session.model.js"
+import { Refund } from "../models/refund.model.js"
+import { Reservation } from "../models/reservation.model.js"
+import { creditWallet, revenueAccount, WalletError } from "./walletService.js"
+import { invalidateOrderCaches } from "./orderStatusService.js"
+import { sendRefundNotification } from "./notificationService.js"
+import logger from "../middlewares/logger.middleware.js"
+import dotenv from "dotenv"
+dotenv.config()
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || "")
+
+// Only money that was actually collected can be given back
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"]
+
+// Amounts are stored in major units, refund maths is done in cents
+const toCents = (amount) => Math.round(Number(amount) * 100)
+const fromCents = (cents) => cents / 100
+
+/**
+ * Error raised for a refund that cannot be issued
+ */
+export class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "RefundError"
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Price the requested lines of one or more orders.
+ * @param {Array<object>} orders - Order documents the lines may belong to
+ * @param {Array<object>} requested - [{ orderId?, itemId, quantity }], orderId defaults to the only order
+ * @returns {Array<object>} - Refund lines ({ order, item, name, quantity, amount }), amount in cents
+ * @throws {RefundError}
+ */
+const priceRefundItems = (orders, requested) => {
+  const lines = []
+  for (const { orderId, itemId, quantity } of requested) {
+    const order = orderId ? orders.find((entry) => entry._id.toString() === orderId.toString()) : orders[0]
+    const item = order?.items.id(itemId)
+    if (!item) {
+      throw new RefundError(`Item ${itemId} not found${orderId ? ` in order ${orderId}` : ""}`, 404)
+    }
+
+    const refundable = item.quantity - (item.refundedQuantity || 0)
+    const count = Number.parseInt(quantity ?? refundable, 10)
+    if (!(count > 0) || count > refundable) {
+      throw new RefundError(`Only ${refundable} of ${item.name} can still be refunded`)
+    }
+
+    lines.push({
+      order: order._id,
+      item: item._id,
+      name: item.name,
+      quantity: count,
+      amount: Math.round((toCents(item.total) * count) / item.quantity),
+    })
+  }
+  return lines
+}
+
+/**
+ * Atomically count refunded quantities on an order's items, optionally together with
+ * other conditions and increments on the same order (its refunded amount)
+ * @returns {Promise<object|null>} - Updated order, null when a condition no longer holds
+ */
+const reserveOnOrder = (orderId, lines, { filter = {}, inc = {} } = {}) => {
+  const conditions = [{ _id: orderId, ...filter }]
+  const increments = { ...inc }
+  const arrayFilters = []
+
+  lines.forEach((line, index) => {
+    conditions.push({
+      items: { $elemMatch: { _id: line.item, refundedQuantity: { $lte: line.itemQuantity - line.quantity } } },
+    })
+    increments[`items.$[i${index}].refundedQuantity`] = line.quantity
+    arrayFilters.push({ [`i${index}._id`]: line.item })
+  })
+
+  return Order.findOneAndUpdate({ $and: conditions }, { $inc: increments }, { new: true, arrayFilters })
+}
+
+// Undo reserveOnOrder after a failed refund
+const releaseOnOrder = (orderId, lines, inc = {}) => {
+  const increments = { ...inc }
+  const arrayFilters = []
+  lines.forEach((line, index) => {
+    increments[`items.$[i${index}].refundedQuantity`] = -line.quantity
+    arrayFilters.push({ [`i${index}._id`]: line.item })
+  })
+  return Order.updateOne({ _id: orderId }, { $inc: increments }, { arrayFilters })
+}
+
+// Keep the item quantity with each line, reserveOnOrder needs it in its conditions
+const withItemQuantities = (orders, lines) =>
+  lines.map((line) => {
+    const order = orders.find((entry) => entry._id.toString() === line.order.toString())
+    return { ...line, itemQuantity: order.items.id(line.item).quantity }
+  })
+
+// Amount to refund: the priced lines, the requested amount, or whatever is left
+const resolveRefundCents = ({ amount, lines, remainingCents }) => {
+  if (lines.length && amount !== undefined) {
+    throw new RefundError("Send either items or an amount, not both")
+  }
+
+  const cents = lines.length
+    ? lines.reduce((sum, line) => sum + line.amount, 0)
+    : amount !== undefined
+      ? toCents(amount)
+      : remainingCents
+
+  if (!(cents > 0)) {
+    throw new RefundError(remainingCents > 0 ? "Invalid refund amount" : "Nothing left to refund")
+  }
+  if (cents > remainingCents) {
+    throw new RefundError(`Refund exceeds the refundable amount (${fromCents(remainingCents).toFixed(2)})`)
+  }
+  return cents
+}
+
+/**
+ * Create the refund record, or return the one already created with the same idempotency key
+ * @returns {Promise<{refund: object, existing: boolean}>}
+ */
+const createRefundRecord = async (fields) => {
+  try {
+    return { refund: await Refund.create(fields), existing: false }
+  } catch (error) {
+    if (error.code !== 11000 || !fields.idempotencyKey) throw error
+    return { refund: await Refund.findOne({ idempotencyKey: fields.idempotencyKey }), existing: true }
+  }
+}
+
+/**
+ * Send the money back through the payment's own channel
+ * @param {object} refund - Refund document (pending)
+ * @param {object} options
+ * @param {string} [options.paymentIntentId] - Stripe payment intent of a card payment
+ */
+const sendRefund = async (refund, { paymentIntentId } = {}) => {
+  switch (refund.method) {
+    case "card": {
+      const stripeRefund = await stripe.refunds.create(
+        {
+          payment_intent: paymentIntentId,
+          amount: toCents(refund.amount),
+          metadata: {
+            refundId: refund._id.toString(),
+            orderId: refund.order?.toString() || "",
+            reservationId: refund.reservation?.toString() || "",
+          },
+        },
+        // Stripe returns the same refund if this request is retried
+        { idempotencyKey: `refund:${refund._id}` },
+      )
+      if (["failed", "canceled"].includes(stripeRefund.status)) {
+        throw new RefundError(`Stripe refused the refund (${stripeRefund.failure_reason || stripeRefund.status})`, 502)
+      }
+      refund.stripeRefundId = stripeRefund.id
+      break
+    }
+    case "wallet": {
+      const { transaction } = await creditWallet(refund.user, refund.amount, {
+        type: refund.reservation ? "reservation_deposit_refund" : "order_refund",
+        counterAccount: revenueAccount(refund.restaurant),
+        description: refund.reservation
+          ? `Refund of the deposit for reservation #${refund.reservation}`
+          : `Refund for order #${refund.order}`,
+        idempotencyKey: `refund:${refund._id}`,
+        reference: { order: refund.order, restaurant: refund.restaurant, externalId: refund._id.toString() },
+      })
+      refund.ledgerTransaction = transaction._id
+      break
+    }
+    default:
+      // Cash and manual refunds happen at the counter, the record is the refund
+      break
+  }
+}
+
+// Mark the refund failed and turn provider errors into a RefundError
+const failRefund = async (refund, error) => {
+  refund.status = "failed"
+  refund.failureReason = error.message
+  await refund.save()
+  logger.error(`Refund ${refund._id} failed:`, error.message)
+
+  if (error instanceof RefundError) return error
+  if (error instanceof WalletError) return new RefundError(error.message, error.statusCode)
+  return new RefundError(`Refund failed: ${error.message}`, 502)
+}
+
+// Failures after which the money surely did not move: the provider refused or rejected the request.
+// Anything else (network, timeout, provider outage) may have been accepted without us hearing back.
+const refundNotSent = (error) =>
+  error instanceof RefundError ||
+  error instanceof WalletError ||
+  ["StripeCardError", "StripeInvalidRequestError"].includes(error.type)
+
+// Push failures must never fail a refund that went through
+const notifyRefund = (userId, refund) => {
+  if (!userId) return
+  sendRefundNotification(userId.toString(), refund).catch((error) =>
+    logger.error(`Error sending refund notification for refund ${refund._id}:`, error),
+  )
+}
+
+const refundStatusFor = (totalAmount, amountRefunded) =>
+  toCents(amountRefunded) >= toCents(totalAmount) ? "refunded" : "partially_refunded"
+
+/**
+ * Send an order refund whose amount is reserved on the order, then settle the order.
+ * When the send fails without a clear refusal the refund stays processing with its
+ * reservation, so sending it again reuses the same provider idempotency key.
+ * @param {object} order - Order document, with the refund reserved on it
+ * @param {object} refund - Refund document (processing)
+ * @returns {Promise<{refund: object, order: object}>}
+ * @throws {RefundError}
+ */
+const completeOrderRefund = async (order, refund) => {
+  try {
+    await sendRefund(refund, { paymentIntentId: order.paymentId })
+  } catch (error) {
+    if (!refundNotSent(error)) {
+      refund.failureReason = error.message
+      await refund.save()
+      logger.error(`Refund ${refund._id} unconfirmed, it is sent again on the next refund of order ${order._id}:`, error.message)
+      throw new RefundError(`Refund failed: ${error.message}`, 502)
+    }
+    await releaseOnOrder(order._id, refund.items, { amountRefunded: -refund.amount })
+    throw await failRefund(refund, error)
+  }
+
+  // Conditional, a concurrent retry of the same refund completes it once
+  const completed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: "processing" },
+    {
+      $set: {
+        status: "succeeded",
+        completedAt: new Date(),
+        stripeRefundId: refund.stripeRefundId,
+        ledgerTransaction: refund.ledgerTransaction,
+      },
+      $unset: { failureReason: 1 },
+    },
+    { new: true },
+  )
+
+  const updated = await Order.findByIdAndUpdate(
+    order._id,
+    { $set: { paymentStatus: refundStatusFor(order.total, order.amountRefunded) } },
+    { new: true },
+  )
+  await invalidateOrderCaches(updated, updated.status)
+  if (!completed) return { refund: await Refund.findById(refund._id), order: updated }
+
+  logger.info(`Refund ${refund._id} of ${refund.amount} (${refund.method}) issued for order ${order._id}`)
+  notifyRefund(order.user, completed)
+  return { refund: completed, order: updated }
+}
+
+/**
+ * Refund an order, fully, partially (amount) or per line item.
+ * Card payments are refunded through Stripe, wallet payments to the wallet ledger and
+ * cash payments are recorded against the staff member handing the money back.
+ * A refund of the order left unconfirmed by a failed send is sent again first and returned.
+ * @param {object} restaurantId - Restaurant the order must belong to
+ * @param {string} orderId - Order ID
+ * @param {object} request
+ * @param {number} [request.amount] - Amount to refund, defaults to what is left
+ * @param {Array<object>} [request.items] - [{ itemId, quantity }] lines to refund
+ * @param {string} [request.reason]
+ * @param {string} [request.idempotencyKey] - Client key, a retry returns the first refund
+ * @param {string} [request.processedBy] - Staff or user issuing the refund
+ * @param {string} [request.processedByModel] - "Staff" or "User"
+ * @returns {Promise<{refund: object, order: object|null, existing: boolean}>}
+ * @throws {RefundError}
+ */
+export const refundOrder = async (
+  restaurantId,
+  orderId,
+  { amount, items = [], reason = "", idempotencyKey, processedBy, processedByModel } = {},
+) => {
+  const scopedKey = idempotencyKey ? `order:${orderId}:${idempotencyKey}` : undefined
+  if (scopedKey) {
+    const previous = await Refund.findOne({ idempotencyKey: scopedKey })
+    if (previous && previous.status !== "processing") return { refund: previous, order: null, existing: true }
+  }
+
+  const order = await Order.findOne({ _id: orderId, restaurant: restaurantId })
+  if (!order) {
+    throw new RefundError("Order not found", 404)
+  }
+
+  const unconfirmed = await Refund.findOne({ order: order._id, status: "processing" }).sort({ createdAt: 1 })
+  if (unconfirmed) {
+    return { ...(await completeOrderRefund(order, unconfirmed)), existing: true }
+  }
+
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new RefundError(`Order payment is ${order.paymentStatus}, nothing to refund`)
+  }
+
+  const method = order.paymentMethod
+  if (method === "card" && !order.paymentId) {
+    throw new RefundError("Card payment has no Stripe payment intent to refund")
+  }
+  if (method === "wallet" && !order.user) {
+    throw new RefundError("Wallet payment has no customer to refund")
+  }
+
+  const lines = withItemQuantities([order], priceRefundItems([order], items))
+  const remainingCents = toCents(order.total) - toCents(order.amountRefunded || 0)
+  const cents = resolveRefundCents({ amount, lines, remainingCents })
+
+  const { refund, existing } = await createRefundRecord({
+    restaurant: order.restaurant,
+    order: order._id,
+    user: order.user || null,
+    amount: fromCents(cents),
+    items: lines.map(({ itemQuantity, ...line }) => ({ ...line, amount: fromCents(line.amount) })),
+    reason,
+    method,
+    idempotencyKey: scopedKey,
+    processedBy: processedBy || null,
+    processedByModel: processedByModel || "Staff",
+  })
+  if (existing) return { refund, order: null, existing: true }
+
+  // Reserve the amount and quantities so concurrent refunds cannot exceed the payment
+  const refundedInc = { amountRefunded: fromCents(cents) }
+  const reserved = await reserveOnOrder(order._id, lines, {
+    filter: {
+      paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+      amountRefunded: { $lte: fromCents(toCents(order.total) - cents) + 0.001 },
+    },
+    inc: refundedInc,
+  })
+  if (!reserved) {
+    throw await failRefund(refund, new RefundError("Order was refunded concurrently, nothing reserved", 409))
+  }
+
+  refund.status = "processing"
+  await refund.save()
+  return { ...(await completeOrderRefund(reserved, refund)), existing: false }
+}
+
+/**
+ * Refund a table-session bill, fully, partially (amount) or per line item of the
+ * session's orders. Cash refunds are recorded against the cashier; mobile payments
+ * are settled outside the app and recorded as manual refunds.
+ * @param {object} restaurantId - Restaurant the bill must belong to
+ * @param {string} billId - Bill ID
+ * @param {object} request - Same as refundOrder, items are [{ orderId, itemId, quantity }]
+ * @returns {Promise<{refund: object, bill: object|null, existing: boolean}>}
+ * @throws {RefundError}
+ */
+export const refundBill = async (
+  restaurantId,
+  billId,
+  { amount, items = [], reason = "", idempotencyKey, processedBy, processedByModel } = {},
+) => {
+  const scopedKey = idempotencyKey ? `bill:${billId}:${idempotencyKey}` : undefined
+  if (scopedKey) {
+    const previous = await Refund.findOne({ idempotencyKey: scopedKey })
+    if (previous) return { refund: previous, bill: null, existing: true }
+  }
+
+  const bill = await Bill.findOne({ _id: billId, restaurant: restaurantId })
+  if (!bill) {
+    throw new RefundError("Bill not found", 404)
+  }
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(bill.paymentStatus)) {
+    throw new RefundError(`Bill payment is ${bill.paymentStatus}, nothing to refund`)
+  }
+
+  if (items.some((item) => !item.orderId)) {
+    throw new RefundError("Each bill item needs the orderId it belongs to")
+  }
+
+  const session = await TableSession.findById(bill.tableSessionId).select("orders clientId")
+  const orders = items.length ? await Order.find({ _id: { $in: session?.orders || [] } }) : []
+
+  const lines = withItemQuantities(orders, priceRefundItems(orders, items))
+  // A reservation deposit paid part of the bill, it is refunded with the reservation, not here
+  const paidCents = toCents(bill.total) - toCents(bill.deposit?.amount || 0)
+  const remainingCents = paidCents - toCents(bill.amountRefunded || 0)
+  const cents = resolveRefundCents({ amount, lines, remainingCents })
+
+  const { refund, existing } = await createRefundRecord({
+    restaurant: bill.restaurant,
+    bill: bill._id,
+    user: session?.clientId || null,
+    amount: fromCents(cents),
+    items: lines.map(({ itemQuantity, ...line }) => ({ ...line, amount: fromCents(line.amount) })),
+    reason,
+    method: bill.paymentMethod === "mobile_payment" ? "manual" : "cash",
+    idempotencyKey: scopedKey,
+    processedBy: processedBy || null,
+    processedByModel: processedByModel || "Staff",
+  })
+  if (existing) return { refund, bill: null, existing: true }
+
+  const reserved = await Bill.findOneAndUpdate(
+    {
+      _id: bill._id,
+      paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+      amountRefunded: { $lte: fromCents(paidCents - cents) + 0.001 },
+    },
+    { $inc: { amountRefunded: fromCents(cents) } },
+    { new: true },
+  )
+  if (!reserved) {
+    throw await failRefund(refund, new RefundError("Bill was refunded concurrently, nothing reserved", 409))
+  }
+
+  // Lines are counted on their orders so the same dish is never refunded twice
+  const linesByOrder = new Map()
+  for (const line of lines) {
+    const key = line.order.toString()
+    linesByOrder.set(key, [...(linesByOrder.get(key) || []), line])
+  }
+  const reservedOrders = []
+  for (const [orderId, orderLines] of linesByOrder) {
+    if (!(await reserveOnOrder(orderId, orderLines))) {
+      for (const [doneId, doneLines] of reservedOrders) await releaseOnOrder(doneId, doneLines)
+      await Bill.updateOne({ _id: bill._id }, { $inc: { amountRefunded: -fromCents(cents) } })
+      throw await failRefund(refund, new RefundError("Items were refunded concurrently, nothing reserved", 409))
+    }
+    reservedOrders.push([orderId, orderLines])
+  }
+
+  refund.status = "succeeded"
+  refund.completedAt = new Date()
+  await refund.save()
+
+  const updated = await Bill.findByIdAndUpdate(
+    bill._id,
+    { $set: { paymentStatus: refundStatusFor(fromCents(paidCents), reserved.amountRefunded) } },
+    { new: true },
+  )
+
+  logger.info(`Refund ${refund._id} of ${refund.amount} (${refund.method}) recorded for bill ${bill._id}`)
+  notifyRefund(session?.clientId, refund)
+
+  return { refund, bill: updated, existing: false }
+}
+
+// A deposit can be refunded in more than one go (the excess when it is credited on the bill,
+// then more when a discount lowers the bill): each refund is keyed by what was refunded before it
+const depositRefundKey = ({ _id, deposit }) =>
+  deposit.refundedAmount > 0 ? `deposit:${_id}:${toCents(deposit.refundedAmount)}` : `deposit:${_id}`
+
+/**
+ * Give back what is owed of a reservation deposit (deposit.refundDue) through the channel it
+ * was paid with. What is owed is refunded at most once, a failed refund stays owed and is retried
+ * by jobs/reservationDeposits.job.js.
+ * @param {object} reservation - Reservation document
+ * @returns {Promise<object|null>} - The refund, null when nothing was owed or the refund failed
+ */
+export const refundReservationDeposit = async (reservation) => {
+  const { deposit } = reservation
+  if (!(deposit?.refundDue > 0)) return null
+
+  const { refund, existing } = await createRefundRecord({
+    restaurant: reservation.restaurant._id || reservation.restaurant,
+    reservation: reservation._id,
+    user: reservation.userId,
+    amount: deposit.refundDue,
+    reason: deposit.refundReason || "",
+    method: deposit.method,
+    idempotencyKey: depositRefundKey(reservation),
+    processedByModel: "User",
+  })
+
+  if (!existing || refund.status !== "succeeded") {
+    try {
+      await sendRefund(refund, { paymentIntentId: deposit.paymentIntentId })
+    } catch (error) {
+      await failRefund(refund, error)
+      return null
+    }
+    refund.status = "succeeded"
+    refund.failureReason = undefined
+    refund.completedAt = new Date()
+    await refund.save()
+    logger.info(`Refund ${refund._id} of ${refund.amount} (${refund.method}) sent for the deposit of reservation ${reservation._id}`)
+    notifyRefund(reservation.userId, refund)
+  }
+
+  const refundedAmount = fromCents(toCents(deposit.refundedAmount || 0) + toCents(refund.amount))
+  await Reservation.updateOne(
+    { _id: reservation._id, "deposit.refundDue": deposit.refundDue },
+    { $set: { "deposit.refundDue": 0, "deposit.refundedAmount": refundedAmount, "deposit.refund": refund._id } },
+  )
+  deposit.refundDue = 0
+  deposit.refundedAmount = refundedAmount
+  deposit.refund = refund._id
+  return refund
+}
+
+/**
+ * List the refunds of an order, a bill or a reservation deposit, newest first
+ * @param {object} restaurantId - Restaurant ID
+ * @param {object} target - { order }, { bill } or { reservation }
+ * @returns {Promise<Array<object>>}
+ */
+export const listRefunds = (restaurantId, target) =>
+  Refund.find({ restaurant: restaurantId, ...target })
+    .sort({ createdAt: -1 })
+    .populate("processedBy", "fullName")
+
+export default {
+  refundOrder,
+  refundBill,
+  refundReservationDeposit,
+  listRefunds,
+}
@@ -0,0 +1,1032 @@
+import crypto from "crypto"
+import mongoose from "mongoose"
+import { Table } from "../models/table.model.js"
+import { Reservation } from "../models/reservation.model.js"
+import TableSession from "../models/table-session.model.js"
+import { Order } from "../models/order.model.js"
+import redisService, { deleteCache, tenantKey } from "./redis.service.js"
+import { getLocalTime, toMinutes } from "./menuScheduleService.js"
+import { priceOrderItems, OrderPricingError } from "./orderPricingService.js"
+import { ModifierError } from "./modifierService.js"
+import { buildStationTickets } from "./kitchenStationService.js"
+import { invalidateOrderCaches } from "./orderStatusService.js"
+import { sendReservationReminderNotification, sendReservationCancelledNotification } from "./notificationService.js"
+import { sendSMS } from "./smsService.js"
+import { refundReservationDeposit } from "./refundService.js"
+import { sendReservationReminder as sendReservationReminderEmail } from "./mailtrap/emailService.js"
+import { notifyKitchenAboutNewOrder } from "../socket.js"
+import { translate } from "../lib/i18n/index.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Used while a restaurant has not set reservationSettings.openingHours
+export const DEFAULT_OPENING_HOURS = [{ days: [], startTime: "19:00", endTime: "23:00" }]
+
+// Reservations holding their tables, pending ones until their deposit is due
+export const BLOCKING_STATUSES = ["pending", "confirmed", "seated"]
+
+// Largest group of pushed together tables tried for one party
+export const MAX_COMBINED_TABLES = 3
+
+// Upper bound of any seating (restaurant.model.js), how far back a booking can still hold a table
+const MAX_SEATING_MINUTES = 600
+
+// Bookings of a restaurant are assigned one at a time so two parties never get the same table
+const LOCK_TTL_MS = 10000
+const LOCK_RETRY_MS = 100
+const LOCK_WAIT_MS = 5000
+
+// Parties can be checked in this long before their time
+export const EARLY_CHECK_IN_MINUTES = 60
+
+// Reservations handled per run of the reminder job, the rest wait for the next run
+const REMINDER_BATCH_SIZE = 200
+
+// Availability cache of reservation.controller.js, one key per date and party size
+const AVAILABILITY_CACHE_PREFIX = "reservation:availability:"
+
+const MINUTE_MS = 60 * 1000
+
+/**
+ * Error raised for a reservation that cannot be made
+ */
+export class ReservationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "ReservationError"
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Reservation settings of a restaurant with the defaults filled in
+ * @param {object} restaurant - Restaurant document
+ * @returns {object} - reservationSettings of restaurant.model.js, every field set
+ */
+export const getReservationSettings = (restaurant) => {
+  const settings = restaurant.reservationSettings || {}
+  return {
+    openingHours: settings.openingHours?.length ? settings.openingHours : DEFAULT_OPENING_HOURS,
+    slotIntervalMinutes: settings.slotIntervalMinutes || 30,
+    seatingDurations: [...(settings.seatingDurations || [])].sort((a, b) => a.maxGuests - b.maxGuests),
+    defaultSeatingMinutes: settings.defaultSeatingMinutes || 90,
+    turnoverMinutes: settings.turnoverMinutes || 0,
+    maxPartySize: settings.maxPartySize || 12,
+    modificationCutoffMinutes: settings.modificationCutoffMinutes ?? 120,
+    cancellationCutoffMinutes: settings.cancellationCutoffMinutes ?? 120,
+    reminderLeadMinutes: settings.reminderLeadMinutes ?? [1440, 120],
+    reminderChannels: settings.reminderChannels ?? ["push", "sms", "email"],
+    noShowGraceMinutes: settings.noShowGraceMinutes ?? 15,
+    deposit: {
+      amountPerGuest: settings.deposit?.amountPerGuest || 0,
+      minPartySize: settings.deposit?.minPartySize,
+      dates: settings.deposit?.dates || [],
+      paymentWindowMinutes: settings.deposit?.paymentWindowMinutes || 30,
+      refundCutoffMinutes: settings.deposit?.refundCutoffMinutes ?? 1440,
+      lateRefundPercent: settings.deposit?.lateRefundPercent ?? 0,
+    },
+  }
+}
+
+/**
+ * How long a party keeps its table: the first seating duration covering the party, else the default
+ * @param {object} settings - From getReservationSettings
+ * @param {number} guests
+ * @returns {number} - Minutes
+ */
+export const getSeatingMinutes = (settings, guests) =>
+  settings.seatingDurations.find((entry) => guests <= entry.maxGuests)?.minutes || settings.defaultSeatingMinutes
+
+/**
+ * Refuse bookings the restaurant does not take
+ * @param {object} restaurant - Restaurant document
+ * @param {number} guests
+ * @throws {ReservationError}
+ */
+export const assertBookable = (restaurant, guests) => {
+  if (restaurant.features?.tableBooking === false) {
+    throw new ReservationError("Restaurant does not accept table bookings", 403)
+  }
+  const { maxPartySize } = getReservationSettings(restaurant)
+  if (guests > maxPartySize) {
+    throw new ReservationError(`Parties larger than ${maxPartySize} must contact the restaurant`)
+  }
+}
+
+// Milliseconds the wall clock of a timezone is ahead of UTC at a moment
+const timeZoneOffset = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(new Date(timestamp))
+      .map((part) => [part.type, Number(part.value)]),
+  )
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return wallClock - Math.floor(timestamp / 1000) * 1000
+}
+
+/**
+ * Moment of a wall clock time in a timezone
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes since midnight of that date, may run into the next day
+ * @param {string} timeZone - IANA timezone, the restaurant's
+ * @returns {Date}
+ */
+export const zonedDateTime = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split("-").map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes)
+  // Second pass picks up a DST change between the guess and the answer
+  const guess = wallClock - timeZoneOffset(wallClock, timeZone)
+  return new Date(wallClock - timeZoneOffset(guess, timeZone))
+}
+
+/**
+ * Whether a string is a real calendar date in the "YYYY-MM-DD" format
+ * @param {string} date
+ * @returns {boolean}
+ */
+export const isValidDate = (date) => {
+  if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false
+  const [year, month, day] = date.split("-").map(Number)
+  const parsed = new Date(Date.UTC(year, month - 1, day))
+  return parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === day
+}
+
+// Start and end of an opening window in minutes, the end past 1440 when it runs past midnight
+const windowMinutes = (window) => {
+  const start = toMinutes(window.startTime)
+  const end = toMinutes(window.endTime)
+  return { start, end: end <= start ? end + 1440 : end }
+}
+
+const onDay = (window, day) => !window.days?.length || window.days.includes(day)
+
+const formatMinutes = (minutes) =>
+  `${String(Math.floor((minutes % 1440) / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`
+
+/**
+ * Seating times of a date for a party: every slot interval of each opening window that leaves
+ * the full seating duration before the window closes
+ * @param {object} restaurant - Restaurant document
+ * @param {string} date - "YYYY-MM-DD" in the restaurant's timezone
+ * @param {number} guests
+ * @returns {Array<{ time: string, start: Date, end: Date }>}
+ */
+export const getSeatingSlots = (restaurant, date, guests) => {
+  const settings = getReservationSettings(restaurant)
+  const duration = getSeatingMinutes(settings, guests)
+  const [year, month, day] = date.split("-").map(Number)
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+
+  const starts = new Set()
+  for (const window of settings.openingHours.filter((entry) => onDay(entry, weekday))) {
+    const { start, end } = windowMinutes(window)
+    for (let minutes = start; minutes + duration <= end; minutes += settings.slotIntervalMinutes) {
+      starts.add(minutes)
+    }
+  }
+
+  return [...starts]
+    .sort((a, b) => a - b)
+    .map((minutes) => {
+      const start = zonedDateTime(date, minutes, restaurant.timezone)
+      return { time: formatMinutes(minutes), start, end: new Date(start.getTime() + duration * MINUTE_MS) }
+    })
+}
+
+/**
+ * Whether a party seated at a moment can stay its full duration inside one opening window.
+ * Windows past midnight belong to the day they start on.
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} start
+ * @param {number} duration - Minutes
+ * @returns {boolean}
+ */
+export const isWithinOpeningHours = (restaurant, start, duration) => {
+  const { openingHours } = getReservationSettings(restaurant)
+  const { day, minutes } = getLocalTime(start, restaurant.timezone)
+
+  return openingHours.some((window) => {
+    const { start: opens, end: closes } = windowMinutes(window)
+    if (onDay(window, day) && minutes >= opens && minutes + duration <= closes) return true
+    // The early hours of a window opened the day before
+    return closes > 1440 && onDay(window, (day + 6) % 7) && minutes + 1440 >= opens && minutes + 1440 + duration <= closes
+  })
+}
+
+/**
+ * Ways to seat a party: single tables fitting it, then groups of combinable tables.
+ * Fewer tables first, then fewer empty seats, so the best fit comes first.
+ * @param {Array<object>} tables - Reservable tables of the restaurant
+ * @param {number} guests
+ * @returns {Array<{ tables: Array<object>, capacity: number }>}
+ */
+export const getSeatingOptions = (tables, guests) => {
+  const byId = new Map(tables.map((table) => [table._id.toString(), table]))
+
+  // Combinations are symmetric even when only one of the two tables lists the other
+  const neighbours = new Map(tables.map((table) => [table._id.toString(), new Set()]))
+  for (const table of tables) {
+    for (const otherId of (table.combinableWith || []).map(String)) {
+      if (!byId.has(otherId) || otherId === table._id.toString()) continue
+      neighbours.get(table._id.toString()).add(otherId)
+      neighbours.get(otherId).add(table._id.toString())
+    }
+  }
+
+  const capacityOf = (ids) => ids.reduce((sum, id) => sum + byId.get(id).capacity, 0)
+  const options = tables
+    .filter((table) => table.capacity >= guests && (table.minCapacity || 1) <= guests)
+    .map((table) => [table._id.toString()])
+
+  // Grow connected groups one neighbour at a time, a group stops growing once it seats the party
+  const seen = new Set()
+  let groups = tables.filter((table) => table.capacity < guests).map((table) => [table._id.toString()])
+  for (let size = 2; size <= MAX_COMBINED_TABLES && groups.length; size++) {
+    const grown = []
+    for (const group of groups) {
+      for (const id of group) {
+        for (const neighbour of neighbours.get(id)) {
+          if (group.includes(neighbour)) continue
+          const candidate = [...group, neighbour].sort()
+          const key = candidate.join(",")
+          if (seen.has(key)) continue
+          seen.add(key)
+          if (capacityOf(candidate) >= guests) options.push(candidate)
+          else grown.push(candidate)
+        }
+      }
+    }
+    groups = grown
+  }
+
+  return options
+    .map((ids) => ({ tables: ids.map((id) => byId.get(id)), capacity: capacityOf(ids) }))
+    .sort((a, b) => a.tables.length - b.tables.length || a.capacity - b.capacity)
+}
+
+/**
+ * Tables held by bookings overlapping a period, cleaning time included
+ * @param {Array<{ tables: Array<string>, start: Date, end: Date }>} bookings - From getBookings
+ * @param {Date} start
+ * @param {Date} end
+ * @param {number} turnoverMinutes
+ * @returns {Set<string>} - Table IDs
+ */
+const busyTables = (bookings, start, end, turnoverMinutes) => {
+  const gap = turnoverMinutes * MINUTE_MS
+  const busy = new Set()
+  for (const booking of bookings) {
+    if (booking.start.getTime() < end.getTime() + gap && booking.end.getTime() + gap > start.getTime()) {
+      booking.tables.forEach((id) => busy.add(id))
+    }
+  }
+  return busy
+}
+
+/**
+ * Bookings of a restaurant that can hold a table at some point between from and to
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} from
+ * @param {Date} to
+ * @param {object} [options]
+ * @param {string} [options.excludeReservationId] - Booking being changed, it does not block itself
+ * @returns {Promise<Array<{ tables: Array<string>, start: Date, end: Date }>>}
+ */
+export const getBookings = async (restaurant, from, to, { excludeReservationId } = {}) => {
+  const settings = getReservationSettings(restaurant)
+  const filter = {
+    restaurant: restaurant._id,
+    status: { $in: BLOCKING_STATUSES },
+    reservationTime: { $lt: to, $gt: new Date(from.getTime() - MAX_SEATING_MINUTES * MINUTE_MS) },
+  }
+  if (excludeReservationId) filter._id = { $ne: excludeReservationId }
+
+  const reservations = await Reservation.find(filter).select("tableId tables reservationTime endTime guests").lean()
+  return reservations.map((reservation) => ({
+    tables: (reservation.tables?.length ? reservation.tables : [reservation.tableId]).map(String),
+    start: reservation.reservationTime,
+    // Bookings made before end times were stored last the duration their party size gets today
+    end:
+      reservation.endTime ||
+      new Date(reservation.reservationTime.getTime() + getSeatingMinutes(settings, reservation.guests) * MINUTE_MS),
+  }))
+}
+
+const getReservableTables = (restaurant) =>
+  Table.find({ restaurant: restaurant._id, isReservable: { $ne: false } })
+    .select("tableId capacity minCapacity combinableWith")
+    .lean()
+
+/**
+ * Seating times of a date and whether a table (or group of tables) is free for the party at each
+ * @param {object} restaurant - Restaurant document
+ * @param {string} date - "YYYY-MM-DD" in the restaurant's timezone
+ * @param {number} guests
+ * @returns {Promise<Array<{ time: string, available: boolean }>>} - Empty when no table can seat the party
+ * @throws {ReservationError}
+ */
+export const getAvailability = async (restaurant, date, guests) => {
+  if (!isValidDate(date)) throw new ReservationError("A valid date and party size are required")
+  assertBookable(restaurant, guests)
+
+  const options = getSeatingOptions(await getReservableTables(restaurant), guests)
+  const slots = getSeatingSlots(restaurant, date, guests)
+  if (!options.length || !slots.length) return []
+
+  const { turnoverMinutes } = getReservationSettings(restaurant)
+  const bookings = await getBookings(
+    restaurant,
+    new Date(slots[0].start.getTime() - turnoverMinutes * MINUTE_MS),
+    new Date(slots[slots.length - 1].end.getTime() + turnoverMinutes * MINUTE_MS),
+  )
+
+  return slots.map((slot) => {
+    const busy = busyTables(bookings, slot.start, slot.end, turnoverMinutes)
+    return {
+      time: slot.time,
+      available: options.some((option) => option.tables.every((table) => !busy.has(table._id.toString()))),
+    }
+  })
+}
+
+/**
+ * Best fitting free table, or group of tables, for a party at a moment
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} start - Seating time
+ * @param {number} guests
+ * @param {object} [options]
+ * @param {string} [options.excludeReservationId] - Booking being moved, its own tables count as free
+ * @returns {Promise<{ tables: Array<object>, start: Date, end: Date }>}
+ * @throws {ReservationError} - 400 outside opening hours, 409 when every fitting table is taken
+ */
+export const findTables = async (restaurant, start, guests, { excludeReservationId } = {}) => {
+  assertBookable(restaurant, guests)
+  const settings = getReservationSettings(restaurant)
+  const duration = getSeatingMinutes(settings, guests)
+  if (!isWithinOpeningHours(restaurant, start, duration)) {
+    throw new ReservationError("The restaurant does not take reservations at this time")
+  }
+
+  const options = getSeatingOptions(await getReservableTables(restaurant), guests)
+  if (!options.length) throw new ReservationError("No table available for this party size", 409)
+
+  const end = new Date(start.getTime() + duration * MINUTE_MS)
+  const gap = settings.turnoverMinutes * MINUTE_MS
+  const bookings = await getBookings(restaurant, new Date(start.getTime() - gap), new Date(end.getTime() + gap), {
+    excludeReservationId,
+  })
+  const busy = busyTables(bookings, start, end, settings.turnoverMinutes)
+
+  const option = options.find((entry) => entry.tables.every((table) => !busy.has(table._id.toString())))
+  if (!option) throw new ReservationError("All suitable tables are already booked for this time slot", 409)
+
+  return { tables: option.tables, start, end }
+}
+
+/**
+ * Run a function while holding the restaurant's booking lock, so the tables it picks cannot be
+ * given to a concurrent booking. Without Redis the function runs unlocked (single instance setups).
+ * @param {string} restaurantId - Restaurant ID
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} - What fn returns
+ * @throws {ReservationError} - 503 when the lock stays taken
+ */
+export const withBookingLock = async (restaurantId, fn) => {
+  if (!redisService.isConnected()) return fn()
+
+  const key = tenantKey(restaurantId, "reservation:lock")
+  const token = crypto.randomUUID()
+  const deadline = Date.now() + LOCK_WAIT_MS
+  while (!(await redisService.client.set(key, token, "PX", LOCK_TTL_MS, "NX"))) {
+    if (Date.now() > deadline) {
+      logger.warn(`Booking lock of restaurant ${restaurantId} still taken after ${LOCK_WAIT_MS}ms`)
+      throw new ReservationError("Reservations are busy, please try again", 503)
+    }
+    await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS))
+  }
+
+  try {
+    return await fn()
+  } finally {
+    // Only release our own lock, it may have expired and been taken by someone else
+    await redisService.client.eval(
+      'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end',
+      1,
+      key,
+      token,
+    )
+  }
+}
+
+/**
+ * Local date of a moment in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export const formatLocalDate = (date, timeZone) => new Intl.DateTimeFormat("en-CA", { timeZone }).format(date)
+
+/**
+ * Local date and time of a moment in a timezone, as shown to guests
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string} - "YYYY-MM-DD HH:mm"
+ */
+export const formatLocalDateTime = (date, timeZone) => {
+  const time = getLocalTime(date, timeZone).minutes
+  return `${formatLocalDate(date, timeZone)} ${formatMinutes(time)}`
+}
+
+/**
+ * Drop the cached availability of the date of a booking, for every party size
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} reservationTime
+ */
+export const invalidateAvailability = async (restaurant, reservationTime) => {
+  if (!redisService.isConnected()) return
+  const { maxPartySize } = getReservationSettings(restaurant)
+  const date = formatLocalDate(reservationTime, restaurant.timezone)
+  for (let guests = 1; guests <= maxPartySize; guests++) {
+    await deleteCache(tenantKey(restaurant._id, `${AVAILABILITY_CACHE_PREFIX}${date}:${guests}`))
+  }
+  logger.info(`Invalidated availability cache of ${date} for restaurant ${restaurant._id}`)
+}
+
+/**
+ * When the next reminder of a booking is due: the earliest reminder lead still ahead of now
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} reservationTime
+ * @param {Date} [now]
+ * @returns {Date|undefined} - undefined when no reminder is left
+ */
+export const getNextReminderAt = (restaurant, reservationTime, now = new Date()) => {
+  const upcoming = getReservationSettings(restaurant)
+    .reminderLeadMinutes.map((lead) => reservationTime.getTime() - lead * MINUTE_MS)
+    .filter((time) => time > now.getTime())
+  return upcoming.length ? new Date(Math.min(...upcoming)) : undefined
+}
+
+// Customers must act before the cutoff, staff are not held to it
+const assertBeforeCutoff = (reservation, cutoffMinutes, message) => {
+  if (reservation.reservationTime.getTime() - Date.now() < cutoffMinutes * MINUTE_MS) {
+    throw new ReservationError(message)
+  }
+}
+
+const tablesOf = (reservation) => (reservation.tables?.length ? reservation.tables : [reservation.tableId])
+
+/**
+ * Move a booking to another time and/or party size. Tables are assigned again as for a new
+ * booking, the booking's own tables counting as free.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} reservation - Reservation document
+ * @param {object} changes
+ * @param {string|Date} [changes.reservationTime]
+ * @param {number} [changes.guests]
+ * @param {object} [options]
+ * @param {boolean} [options.byStaff] - Staff are not held to the modification cutoff
+ * @returns {Promise<object>} - The saved reservation
+ * @throws {ReservationError}
+ */
+export const modifyReservation = async (restaurant, reservation, { reservationTime, guests }, { byStaff = false } = {}) => {
+  if (reservation.status !== "confirmed") {
+    throw new ReservationError("Only confirmed reservations can be changed", 409)
+  }
+  const { modificationCutoffMinutes } = getReservationSettings(restaurant)
+  if (!byStaff) {
+    assertBeforeCutoff(
+      reservation,
+      modificationCutoffMinutes,
+      `Reservations can no longer be changed less than ${modificationCutoffMinutes} minutes before their time`,
+    )
+  }
+
+  const start = reservationTime !== undefined ? new Date(reservationTime) : reservation.reservationTime
+  const party = guests !== undefined ? Number.parseInt(guests, 10) : reservation.guests
+  if (Number.isNaN(start.getTime()) || Number.isNaN(party) || party <= 0) {
+    throw new ReservationError("A valid reservation time and party size are required")
+  }
+  if (start <= new Date()) throw new ReservationError("Reservation time must be in the future")
+  if (start.getTime() === reservation.reservationTime.getTime() && party === reservation.guests) return reservation
+
+  const previousTime = reservation.reservationTime
+  await withBookingLock(restaurant._id, async () => {
+    const { tables, end } = await findTables(restaurant, start, party, { excludeReservationId: reservation._id })
+    reservation.tableId = tables[0]._id
+    reservation.tables = tables.map((table) => table._id)
+    reservation.reservationTime = start
+    reservation.endTime = end
+    reservation.guests = party
+    reservation.nextReminderAt = getNextReminderAt(restaurant, start)
+    await reservation.save()
+  })
+
+  logger.info(
+    `Reservation ${reservation._id} moved to ${start.toISOString()} for ${party} guest(s), table(s) ${reservation.tables.join(", ")}`,
+  )
+  await invalidateAvailability(restaurant, previousTime)
+  if (formatLocalDate(previousTime, restaurant.timezone) !== formatLocalDate(start, restaurant.timezone)) {
+    await invalidateAvailability(restaurant, start)
+  }
+  return reservation
+}
+
+/**
+ * Cancel a booking and free its tables. Guests cancelled by the restaurant are told by push.
+ * A deposit is refunded or forfeited by the restaurant's deposit policy. The booking is
+ * cancelled with a conditional update on the status and deposit it was read with, so a
+ * deposit paid meanwhile (depositService.markDepositPaid) is reloaded and settled as paid.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} reservation - Reservation document
+ * @param {object} [options]
+ * @param {boolean} [options.byStaff] - Staff are not held to the cancellation cutoff
+ * @param {string} [options.reason]
+ * @returns {Promise<object>} - The saved reservation
+ * @throws {ReservationError}
+ */
+export const cancelReservation = async (restaurant, reservation, { byStaff = false, reason } = {}) => {
+  const { cancellationCutoffMinutes } = getReservationSettings(restaurant)
+
+  let cancelled = null
+  while (!cancelled) {
+    if (!["pending", "confirmed"].includes(reservation.status)) {
+      throw new ReservationError("Only pending or confirmed reservations can be cancelled", 409)
+    }
+    if (!byStaff) {
+      assertBeforeCutoff(
+        reservation,
+        cancellationCutoffMinutes,
+        `Reservations can no longer be cancelled less than ${cancellationCutoffMinutes} minutes before their time`,
+      )
+    }
+
+    // An unpaid deposit is dropped in the same update, so a late payment is given back
+    const depositStatus = reservation.deposit?.status ?? null
+    cancelled = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, status: reservation.status, "deposit.status": depositStatus },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledAt: new Date(),
+          cancelledBy: byStaff ? "staff" : "customer",
+          ...(reason && { cancellationReason: reason }),
+          ...(depositStatus === "pending" && { "deposit.status": "cancelled" }),
+        },
+        $unset: { nextReminderAt: 1 },
+      },
+      { new: true },
+    )
+
+    // Changed since it was read: check it again as it is now
+    const current = cancelled || (await Reservation.findById(reservation._id))
+    if (!current) throw new ReservationError("Reservation not found", 404)
+    reservation.set(current.toObject())
+  }
+
+  logger.info(`Reservation ${reservation._id} cancelled by ${reservation.cancelledBy}`)
+  await invalidateAvailability(restaurant, reservation.reservationTime)
+  await settleCancelledDeposit(restaurant, reservation)
+
+  if (byStaff) {
+    // Push failures must never undo the cancellation
+    const time = formatLocalDateTime(reservation.reservationTime, restaurant.timezone)
+    sendReservationCancelledNotification(reservation.userId.toString(), reservation, restaurant.name, time).catch(
+      (error) => logger.error(`Error sending cancellation notification for reservation ${reservation._id}:`, error),
+    )
+  }
+  return reservation
+}
+
+/**
+ * Deposit a booking has to pay: amountPerGuest for each guest, for parties of minPartySize or
+ * more and for any party on one of the deposit dates
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} reservationTime
+ * @param {number} guests
+ * @returns {number} - Amount, 0 when no deposit is required
+ */
+export const getRequiredDeposit = (restaurant, reservationTime, guests) => {
+  const { amountPerGuest, minPartySize, dates } = getReservationSettings(restaurant).deposit
+  if (!amountPerGuest) return 0
+
+  const required =
+    (minPartySize && guests >= minPartySize) || dates.includes(formatLocalDate(reservationTime, restaurant.timezone))
+  return required ? Math.round(amountPerGuest * guests * 100) / 100 : 0
+}
+
+/**
+ * Settle the deposit of a cancelled booking. An unpaid deposit is dropped. A paid one is
+ * refunded in full when the restaurant cancelled or the guest cancelled before the refund
+ * cutoff, otherwise lateRefundPercent of it is refunded and the rest forfeited.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} reservation - Cancelled reservation document
+ * @returns {Promise<object|null>} - The refund sent, if any
+ */
+export const settleCancelledDeposit = async (restaurant, reservation) => {
+  if (reservation.deposit?.status === "pending") {
+    // Conditional: a payment recorded meanwhile is settled as paid below
+    const { modifiedCount } = await Reservation.updateOne(
+      { _id: reservation._id, "deposit.status": "pending" },
+      { $set: { "deposit.status": "cancelled" } },
+    )
+    if (modifiedCount) {
+      reservation.deposit.status = "cancelled"
+      return null
+    }
+    const current = await Reservation.findById(reservation._id)
+    if (current) reservation.set(current.toObject())
+  }
+  const { deposit } = reservation
+  if (deposit?.status !== "paid") return null
+
+  const { refundCutoffMinutes, lateRefundPercent } = getReservationSettings(restaurant).deposit
+  const cents = Math.round(deposit.amount * 100)
+  const inTime =
+    reservation.reservationTime.getTime() - reservation.cancelledAt.getTime() >= refundCutoffMinutes * MINUTE_MS
+  const refundCents =
+    reservation.cancelledBy !== "customer" || inTime ? cents : Math.round((cents * lateRefundPercent) / 100)
+
+  // Conditional: a deposit is settled once, whoever gets there first
+  const settled = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, "deposit.status": "paid" },
+    {
+      $set: {
+        "deposit.refundDue": refundCents / 100,
+        "deposit.forfeitedAmount": (cents - refundCents) / 100,
+        "deposit.refundReason":
+          reservation.cancelledBy === "customer"
+            ? "Reservation cancelled by the guest"
+            : "Reservation cancelled by the restaurant",
+        "deposit.status": refundCents === cents ? "refunded" : refundCents ? "partially_refunded" : "forfeited",
+        "deposit.settledAt": new Date(),
+      },
+    },
+    { new: true },
+  )
+  if (!settled) return null
+  reservation.set(settled.toObject())
+
+  logger.info(
+    `Deposit of reservation ${reservation._id} settled: ${settled.deposit.refundDue} refunded, ${settled.deposit.forfeitedAmount} forfeited`,
+  )
+  // A refund that fails stays owed and is retried by jobs/reservationDeposits.job.js
+  return refundReservationDeposit(settled)
+}
+
+/**
+ * Remind a guest of their booking on each channel the restaurant uses and the guest allows.
+ * Push preferences are checked by the notification service.
+ * @param {object} reservation - Reservation (restaurant as an ID)
+ * @param {object} restaurant - Restaurant document
+ * @param {object} user - User document (contact details and settings)
+ * @returns {Promise<Array<string>>} - Channels the reminder went out on
+ */
+export const sendReservationReminder = async (reservation, restaurant, user) => {
+  const { reminderChannels } = getReservationSettings(restaurant)
+  const preferences = user.settings?.notifications || {}
+  const language = user.settings?.language
+  const time = formatLocalDateTime(reservation.reservationTime, restaurant.timezone)
+  const message = `Your table for ${reservation.guests} at ${restaurant.name} is booked for ${time}.`
+  const sent = []
+
+  if (reminderChannels.includes("push")) {
+    const result = await sendReservationReminderNotification(user._id.toString(), reservation, restaurant.name, time)
+    if (result?.success !== false) sent.push("push")
+  }
+  if (reminderChannels.includes("sms") && preferences.sms !== false && user.mobileNumber) {
+    const result = await sendSMS(user.mobileNumber, user.countryCode, translate(language, message))
+    if (result.success) sent.push("sms")
+  }
+  if (reminderChannels.includes("email") && preferences.email !== false && user.email) {
+    const result = await sendReservationReminderEmail(user.email, {
+      subject: translate(language, "Reservation Reminder"),
+      message: translate(language, message),
+      time,
+      restaurantName: restaurant.name,
+    })
+    if (result.success) sent.push("email")
+  }
+  return sent
+}
+
+/**
+ * Send the reminders that are due. A run that comes late sends one reminder for every lead
+ * time it passed.
+ * @param {Date} [now]
+ * @returns {Promise<{ reminded: number }>}
+ */
+export const sendDueReminders = async (now = new Date()) => {
+  const due = await Reservation.find({ status: "confirmed", nextReminderAt: { $lte: now } })
+    .sort({ nextReminderAt: 1 })
+    .limit(REMINDER_BATCH_SIZE)
+    .populate("restaurant", "name timezone reservationSettings")
+    .populate("userId", "mobileNumber countryCode email settings")
+    .lean()
+
+  let reminded = 0
+  for (const reservation of due) {
+    const { restaurant, userId: user } = reservation
+    let sent = false
+    if (restaurant && user && reservation.reservationTime > now) {
+      try {
+        const channels = await sendReservationReminder({ ...reservation, restaurant: restaurant._id }, restaurant, user)
+        logger.info(`Reservation ${reservation._id} reminder sent by ${channels.join(", ") || "no channel"}`)
+        sent = true
+        reminded++
+      } catch (error) {
+        logger.error(`Error sending reminder for reservation ${reservation._id}:`, error)
+      }
+    }
+
+    // Every lead time passed by now is done, failed sends are not retried
+    const next = restaurant ? getNextReminderAt(restaurant, reservation.reservationTime, now) : undefined
+    const set = { ...(sent && { lastReminderAt: now }), ...(next && { nextReminderAt: next }) }
+    await Reservation.updateOne(
+      { _id: reservation._id },
+      { ...(Object.keys(set).length && { $set: set }), ...(!next && { $unset: { nextReminderAt: 1 } }) },
+    )
+  }
+  return { reminded }
+}
+
+// Give the tables of a booking that will not be used back to walk-ins
+const freeTables = async (restaurant, reservation) => {
+  await Table.updateMany({ _id: { $in: tablesOf(reservation) }, status: "reserved" }, { status: "available" })
+  await invalidateAvailability(restaurant, reservation.reservationTime)
+}
+
+// A party that does not come loses its deposit
+const forfeitDeposit = (deposit, now) =>
+  deposit?.status === "paid"
+    ? { "deposit.status": "forfeited", "deposit.forfeitedAmount": deposit.amount, "deposit.settledAt": now }
+    : {}
+
+/**
+ * Mark a booking whose party did not come as no-show, forfeit its deposit and free its tables
+ * @param {object} restaurant - Restaurant document
+ * @param {object} reservation - Reservation document
+ * @returns {Promise<object>} - The updated reservation
+ * @throws {ReservationError}
+ */
+export const markNoShow = async (restaurant, reservation) => {
+  if (reservation.status !== "confirmed") {
+    throw new ReservationError("Only confirmed reservations can be marked no-show", 409)
+  }
+  if (reservation.reservationTime > new Date()) {
+    throw new ReservationError("A reservation can only be marked no-show once its time has passed")
+  }
+
+  // Conditional, as in markDueNoShows: a check-in or cancellation recorded meanwhile wins
+  const now = new Date()
+  const updated = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: "confirmed" },
+    {
+      $set: { status: "no-show", noShowAt: now, ...forfeitDeposit(reservation.deposit, now) },
+      $unset: { nextReminderAt: 1 },
+    },
+    { new: true },
+  )
+  if (!updated) throw new ReservationError("Only confirmed reservations can be marked no-show", 409)
+  reservation.set(updated.toObject())
+
+  logger.info(`Reservation ${reservation._id} marked no-show`)
+  await freeTables(restaurant, reservation)
+  return reservation
+}
+
+/**
+ * Mark every confirmed booking whose grace period is over as no-show, forfeiting paid deposits,
+ * and free its tables
+ * @param {Date} [now]
+ * @returns {Promise<{ noShows: number }>}
+ */
+export const markDueNoShows = async (now = new Date()) => {
+  const overdue = await Reservation.find({ status: "confirmed", reservationTime: { $lte: now } })
+    .populate("restaurant", "timezone reservationSettings")
+    .lean()
+
+  let noShows = 0
+  for (const reservation of overdue) {
+    const restaurant = reservation.restaurant || {}
+    const { noShowGraceMinutes } = getReservationSettings(restaurant)
+    if (reservation.reservationTime.getTime() + noShowGraceMinutes * MINUTE_MS > now.getTime()) continue
+
+    // Checked in or cancelled since the query, leave it alone
+    const { modifiedCount } = await Reservation.updateOne(
+      { _id: reservation._id, status: "confirmed" },
+      {
+        $set: { status: "no-show", noShowAt: now, ...forfeitDeposit(reservation.deposit, now) },
+        $unset: { nextReminderAt: 1 },
+      },
+    )
+    if (!modifiedCount) continue
+
+    noShows++
+    logger.info(`Reservation ${reservation._id} marked no-show, ${noShowGraceMinutes} minute(s) grace passed`)
+    if (reservation.restaurant) await freeTables(restaurant, reservation)
+  }
+  return { noShows }
+}
+
+// Order of the pre-selected menu, items that can no longer be served are left out
+const createPreOrder = async (restaurant, reservation, { changedBy, changedByModel, io }) => {
+  const orderItems = []
+  const skipped = []
+  for (const item of reservation.preSelectedMenu || []) {
+    try {
+      const { orderItems: priced } = await priceOrderItems(restaurant, [
+        { menuItemId: item.menuItemId, quantity: item.quantity, specialInstructions: item.specialInstructions },
+      ])
+      orderItems.push(...priced)
+    } catch (error) {
+      if (!(error instanceof OrderPricingError || error instanceof ModifierError)) throw error
+      skipped.push({ menuItemId: item.menuItemId, reason: error.message })
+    }
+  }
+  if (!orderItems.length) return { order: null, skipped }
+
+  const subtotal = orderItems.reduce((sum, item) => sum + Math.round(item.total * 100), 0) / 100
+  const order = new Order({
+    restaurant: restaurant._id,
+    user: reservation.userId,
+    items: orderItems,
+    TableId: reservation.tableId,
+    subtotal,
+    discount: 0,
+    deliveryFee: 0,
+    total: subtotal,
+    orderType: "Dine In",
+    status: "pending",
+    statusHistory: [
+      { from: null, to: "pending", changedBy: changedBy || null, changedByModel, reason: "Reservation pre-order" },
+    ],
+    paymentStatus: "pending",
+    paymentMethod: reservation.paymentMethod || "cash",
+    deliveryAddress: { address: "Dine-in", apartment: "", landmark: "", latitude: 0, longitude: 0 },
+    deliveryInstructions: reservation.specialRequests || "",
+  })
+  // One ticket per kitchen station, built after the items got their _ids
+  order.stationTickets = buildStationTickets(order.items)
+  await order.save()
+
+  if (io) {
+    await notifyKitchenAboutNewOrder(io, order)
+  } else {
+    logger.warn(`Socket.IO not available, kitchen not notified about pre-order ${order._id}`)
+  }
+  return { order, skipped }
+}
+
+// A table of the booking can be seated when nobody sits there, free or held for the booking
+const CHECK_IN_TABLE_STATUSES = ["available", "reserved"]
+
+// Give claimed tables back as they were, unless someone else has them by now
+const releaseTables = (tables, sessionId) =>
+  Promise.all(
+    tables.map((table) =>
+      Table.updateOne(
+        { _id: table._id, currentSession: sessionId },
+        { $set: { status: table.status, currentSession: null } },
+      ),
+    ),
+  )
+
+// Claim each table with one conditional update, so a check-in never overwrites a session
+// another host (or a waitlist seat) opened meanwhile. Tables claimed before one that is taken
+// are given back.
+const claimTables = async (restaurant, tableIds, sessionId) => {
+  const claimed = []
+  for (const tableId of tableIds) {
+    // The table as it was, to give it back in the same state
+    const table = await Table.findOneAndUpdate(
+      { _id: tableId, restaurant: restaurant._id, currentSession: null, status: { $in: CHECK_IN_TABLE_STATUSES } },
+      { $set: { status: "occupied", currentSession: sessionId } },
+    )
+    if (table) {
+      claimed.push(table)
+      continue
+    }
+
+    await releaseTables(claimed, sessionId)
+    if (!(await Table.exists({ _id: tableId, restaurant: restaurant._id }))) {
+      throw new ReservationError("Table not found", 404)
+    }
+    throw new ReservationError("Table is not available", 409)
+  }
+  return claimed
+}
+
+/**
+ * Seat an arriving party: open a session on its tables and send its pre-selected menu to the kitchen
+ * @param {object} restaurant - Restaurant document
+ * @param {object} reservation - Reservation document
+ * @param {object} [options]
+ * @param {string} [options.changedBy] - Staff member or user checking the party in
+ * @param {string} [options.changedByModel] - "Staff" (default) or "User"
+ * @param {object} [options.io] - Socket.IO server instance
+ * @returns {Promise<{ reservation: object, session: object, order: object|null, skipped: Array<object> }>} -
+ *   skipped lists the pre-selected items that could not be ordered and why
+ * @throws {ReservationError}
+ */
+export const checkInReservation = async (restaurant, reservation, { changedBy, changedByModel = "Staff", io } = {}) => {
+  if (reservation.status !== "confirmed") {
+    throw new ReservationError("Only confirmed reservations can be checked in", 409)
+  }
+  if (reservation.reservationTime.getTime() - Date.now() > EARLY_CHECK_IN_MINUTES * MINUTE_MS) {
+    throw new ReservationError(`Reservations can be checked in from ${EARLY_CHECK_IN_MINUTES} minutes before their time`)
+  }
+
+  // The tables point at the session before it exists, so nobody else can seat them meanwhile
+  const sessionId = new mongoose.Types.ObjectId()
+  const tables = await claimTables(restaurant, tablesOf(reservation), sessionId)
+  const { nextReminderAt } = reservation
+
+  let seated = false
+  let session
+  let preOrder
+  try {
+    // Only a booking still confirmed is seated: a no-show or cancellation recorded meanwhile wins
+    const updated = await Reservation.findOneAndUpdate(
+      { _id: reservation._id, status: "confirmed" },
+      { $set: { status: "seated", seatedAt: new Date(), tableSession: sessionId }, $unset: { nextReminderAt: 1 } },
+      { new: true },
+    )
+    if (!updated) throw new ReservationError("Only confirmed reservations can be checked in", 409)
+    seated = true
+
+    session = await TableSession.create({
+      _id: sessionId,
+      restaurant: restaurant._id,
+      tableId: reservation.tableId,
+      clientId: reservation.userId,
+      reservationid: reservation._id,
+    })
+    preOrder = await createPreOrder(restaurant, updated, { changedBy, changedByModel, io })
+    reservation.set(updated.toObject())
+  } catch (error) {
+    // Give everything back, the booking can be checked in again
+    await releaseTables(tables, sessionId)
+    if (session) await TableSession.deleteOne({ _id: sessionId })
+    if (seated) {
+      await Reservation.updateOne(
+        { _id: reservation._id, status: "seated", tableSession: sessionId },
+        {
+          $set: { status: "confirmed", ...(nextReminderAt && { nextReminderAt }) },
+          $unset: { seatedAt: 1, tableSession: 1 },
+        },
+      )
+    }
+    throw error
+  }
+
+  const { order, skipped } = preOrder
+  if (order) {
+    await Reservation.updateOne({ _id: reservation._id }, { $set: { preOrder: order._id } })
+    reservation.preOrder = order._id
+    session.orders.push(order._id)
+    await session.save()
+    await invalidateOrderCaches(order, null)
+  }
+
+  logger.info(
+    `Reservation ${reservation._id} checked in, session ${session._id}${order ? `, pre-order ${order._id}` : ""}` +
+      (skipped.length ? `, ${skipped.length} pre-selected item(s) skipped` : ""),
+  )
+  return { reservation, session, order, skipped }
+}
+
+export default {
+  getReservationSettings,
+  getSeatingMinutes,
+  assertBookable,
+  zonedDateTime,
+  isValidDate,
+  getSeatingSlots,
+  isWithinOpeningHours,
+  getSeatingOptions,
+  getBookings,
+  getAvailability,
+  findTables,
+  withBookingLock,
+  formatLocalDate,
+  formatLocalDateTime,
+  invalidateAvailability,
+  getNextReminderAt,
+  modifyReservation,
+  cancelReservation,
+  getRequiredDeposit,
+  settleCancelledDeposit,
+  sendReservationReminder,
+  sendDueReminders,
+  markNoShow,
+  markDueNoShows,
+  checkInReservation,
+}
@@ -1,3 +1,49 @@
+import { Vonage } from "@vonage/server-sdk"
+import { formatPhoneNumber } from "../lib/utils/helper.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Created on first use, SMS is optional and needs VONAGE_API_KEY and VONAGE_API_SECRET
+let vonageClient = null
+
+const getVonageClient = () => {
+  if (!vonageClient && process.env.VONAGE_API_KEY && process.env.VONAGE_API_SECRET) {
+    vonageClient = new Vonage({
+      apiKey: process.env.VONAGE_API_KEY,
+      apiSecret: process.env.VONAGE_API_SECRET,
+    })
+  }
+  return vonageClient
+}
+
+/**
+ * Send a text message
+ * @param {string} mobileNumber - Phone number without the country code
+ * @param {string} countryCode - e.g. "+213"
+ * @param {string} text - Message body
+ * @returns {Promise<Object>} - Result of the operation, never throws
+ */
+export const sendSMS = async (mobileNumber, countryCode, text) => {
+  const client = getVonageClient()
+  if (!client) {
+    return { success: false, error: "SMS is not configured" }
+  }
+
+  const to = formatPhoneNumber(countryCode || "", mobileNumber)
+  try {
+    const response = await client.sms.send({ from: process.env.VONAGE_SENDER_NAME || "YourApp", to, text })
+    const message = response.messages?.[0]
+    if (message?.status !== "0") {
+      logger.warn(`SMS to ${to} failed: ${message?.["error-text"] || "no response from Vonage"}`)
+      return { success: false, error: message?.["error-text"] || "No response messages from Vonage API", to }
+    }
+    return { success: true, messageId: message["message-id"], to }
+  } catch (error) {
+    logger.error(`SMS to ${to} failed: ${error.message}`)
+    return { success: false, error: error.message, to }
+  }
+}
+
+// Former OTP sender, kept for reference
 // import { Vonage } from '@vonage/server-sdk';
 // import dotenv from 'dotenv';
 // dotenv.config();
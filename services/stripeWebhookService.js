@@ -0,0 +1,262 @@
+import { StripeEvent } from "../models/stripeEvent.model.js"
+import { Order } from "../models/order.model.js"
+import { LedgerTransaction } from "../models/ledger.model.js"
+import {
+  creditWallet,
+  debitWallet,
+  findPostedTransaction,
+  walletAccount,
+  toMajorUnits,
+  LEDGER_ACCOUNTS,
+} from "./walletService.js"
+import { markDepositPaid } from "./depositService.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// A delivery still "processing" after this long is assumed dead and may be taken over
+const STALE_PROCESSING_MS = 5 * 60 * 1000
+
+// Payment statuses a late payment_intent.succeeded/failed must not overwrite
+export const SETTLED_PAYMENT_STATUSES = ["paid", "partially_refunded", "refunded", "disputed"]
+
+/**
+ * Ledger idempotency key of a Stripe wallet top-up, shared by the webhook and the
+ * client confirmation so whichever comes second books nothing
+ * @param {string} paymentIntentId - Stripe payment intent id
+ * @returns {string}
+ */
+export const stripeTopupKey = (paymentIntentId) => `stripe:topup:${paymentIntentId}`
+
+// Owner of the wallet a payment intent topped up, null when it was not a posted top-up
+const findToppedUpWallet = async (paymentIntentId) => {
+  if (!paymentIntentId) return null
+  const topup = await findPostedTransaction(stripeTopupKey(paymentIntentId))
+  return topup?.user || null
+}
+
+// Charges and disputes carry the payment intent as an id or, when expanded, an object
+const paymentIntentIdOf = (object) =>
+  typeof object.payment_intent === "string" ? object.payment_intent : object.payment_intent?.id || null
+
+/**
+ * Find the order paid by a payment intent
+ * @param {string} paymentIntentId - Stripe payment intent id
+ * @param {object} [metadata] - Metadata of the Stripe object, may carry orderId
+ * @returns {Promise<object|null>}
+ */
+const findOrderForPayment = async (paymentIntentId, metadata = {}) => {
+  if (paymentIntentId) {
+    const order = await Order.findOne({ paymentId: paymentIntentId })
+    if (order) return order
+  }
+  return metadata.orderId ? Order.findById(metadata.orderId) : null
+}
+
+const handlePaymentIntentSucceeded = async (paymentIntent) => {
+  const { metadata = {} } = paymentIntent
+
+  if (metadata.type === "wallet_topup" && metadata.userId) {
+    // Stripe amounts are in cents
+    const amount = toMajorUnits(paymentIntent.amount_received ?? paymentIntent.amount)
+    const { applied } = await creditWallet(metadata.userId, amount, {
+      type: "topup",
+      counterAccount: LEDGER_ACCOUNTS.STRIPE_CLEARING,
+      description: "Added to wallet via Stripe",
+      idempotencyKey: stripeTopupKey(paymentIntent.id),
+      reference: { paymentId: paymentIntent.id },
+    })
+    if (applied) {
+      logger.info(`Wallet top-up ${paymentIntent.id} of ${amount} credited to user ${metadata.userId}`)
+    }
+  }
+
+  if (metadata.type === "reservation_deposit" && metadata.reservationId) {
+    // Gives the payment back when the booking was released in the meantime
+    await markDepositPaid(metadata.reservationId, {
+      method: "card",
+      amount: toMajorUnits(paymentIntent.amount_received ?? paymentIntent.amount),
+      paymentIntentId: paymentIntent.id,
+    })
+  }
+
+  if (metadata.orderId) {
+    const order = await Order.findOneAndUpdate(
+      { _id: metadata.orderId, paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } },
+      { $set: { paymentMethod: "card", paymentStatus: "paid", paymentId: paymentIntent.id } },
+      { new: true },
+    )
+    if (order) {
+      logger.info(`Order ${order._id} paid by ${paymentIntent.id}`)
+    }
+  }
+}
+
+const handlePaymentIntentFailed = async (paymentIntent) => {
+  const { metadata = {} } = paymentIntent
+  const reason = paymentIntent.last_payment_error?.message || "unknown reason"
+
+  if (metadata.orderId) {
+    // A failed attempt never downgrades an order another attempt already paid
+    await Order.updateOne(
+      { _id: metadata.orderId, paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } },
+      { $set: { paymentStatus: "failed", paymentId: paymentIntent.id } },
+    )
+  }
+
+  logger.warn(
+    `Payment ${paymentIntent.id} failed (${metadata.type || (metadata.orderId ? `order ${metadata.orderId}` : "no order")}): ${reason}`,
+  )
+}
+
+const handleChargeRefunded = async (charge) => {
+  const paymentIntentId = paymentIntentIdOf(charge)
+  const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount
+
+  const order = await findOrderForPayment(paymentIntentId, charge.metadata)
+  if (order) {
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: { paymentStatus: fullyRefunded ? "refunded" : "partially_refunded" },
+        // Refunds issued through the API already counted themselves, never go backwards
+        $max: { amountRefunded: toMajorUnits(charge.amount_refunded) },
+      },
+    )
+    logger.info(`Order ${order._id} ${fullyRefunded ? "fully" : "partially"} refunded (${charge.id})`)
+  }
+
+  // A refunded wallet top-up takes the refunded money back out of the wallet.
+  // amount_refunded is cumulative, so only the part not yet debited for this charge is booked.
+  const userId = await findToppedUpWallet(paymentIntentId)
+  if (userId) {
+    const booked = await LedgerTransaction.find({
+      type: "refund",
+      status: "posted",
+      "reference.externalId": charge.id,
+    })
+    const debitedCents = booked.reduce(
+      (sum, transaction) =>
+        sum + transaction.entries.find((entry) => entry.account === walletAccount(userId)).amount,
+      0,
+    )
+    const outstandingCents = charge.amount_refunded - debitedCents
+
+    if (outstandingCents > 0) {
+      await debitWallet(userId, toMajorUnits(outstandingCents), {
+        type: "refund",
+        counterAccount: LEDGER_ACCOUNTS.STRIPE_CLEARING,
+        description: "Wallet top-up refunded",
+        idempotencyKey: `stripe:refund:${charge.id}:${charge.amount_refunded}`,
+        reference: { paymentId: paymentIntentId, externalId: charge.id },
+      })
+    }
+  }
+}
+
+const handleDisputeCreated = async (dispute) => {
+  const paymentIntentId = paymentIntentIdOf(dispute)
+
+  const order = await findOrderForPayment(paymentIntentId, dispute.metadata)
+  if (order) {
+    await Order.updateOne({ _id: order._id }, { $set: { paymentStatus: "disputed" } })
+    logger.warn(`Order ${order._id} payment disputed (${dispute.id}, reason: ${dispute.reason})`)
+  }
+
+  // Stripe withdraws the disputed amount straight away, so the wallet loses it too
+  const userId = await findToppedUpWallet(paymentIntentId)
+  if (userId) {
+    await debitWallet(userId, toMajorUnits(dispute.amount), {
+      type: "dispute",
+      counterAccount: LEDGER_ACCOUNTS.STRIPE_DISPUTES,
+      description: "Wallet top-up disputed",
+      idempotencyKey: `stripe:dispute:${dispute.id}`,
+      reference: { paymentId: paymentIntentId, externalId: dispute.id },
+    })
+    logger.warn(`Wallet of user ${userId} debited for dispute ${dispute.id}`)
+  }
+}
+
+/**
+ * Stripe event types we act on, keyed by event.type.
+ * Handlers must be safe to run twice for the same event (a delivery that dies after
+ * the handler but before the event is marked processed is run again).
+ */
+const EVENT_HANDLERS = {
+  "payment_intent.succeeded": handlePaymentIntentSucceeded,
+  "payment_intent.payment_failed": handlePaymentIntentFailed,
+  "charge.refunded": handleChargeRefunded,
+  "charge.dispute.created": handleDisputeCreated,
+}
+
+/**
+ * Claim an event for processing.
+ * The first delivery inserts the event; a later delivery only takes it over when
+ * the earlier attempt failed or stalled.
+ * @param {object} event - Verified Stripe event
+ * @returns {Promise<string|null>} - null when claimed, otherwise the stored status
+ */
+const claimEvent = async (event) => {
+  try {
+    await StripeEvent.create({
+      eventId: event.id,
+      type: event.type,
+      objectId: event.data?.object?.id,
+      livemode: !!event.livemode,
+    })
+    return null
+  } catch (error) {
+    if (error.code !== 11000) throw error
+  }
+
+  const retried = await StripeEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: "failed" },
+        { status: "processing", updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+      ],
+    },
+    { $set: { status: "processing", error: null }, $inc: { attempts: 1 } },
+  )
+  if (retried) return null
+
+  const existing = await StripeEvent.findOne({ eventId: event.id }).select("status")
+  return existing?.status || "processing"
+}
+
+/**
+ * Process a verified Stripe event exactly once.
+ * @param {object} event - Event returned by stripe.webhooks.constructEvent
+ * @returns {Promise<string>} - "processed", "ignored" (type we do not handle),
+ *   "duplicate" (already done) or "in_progress" (another delivery is processing it)
+ * @throws {Error} - When the handler fails; the event is stored as failed and retried on redelivery
+ */
+export const processStripeEvent = async (event) => {
+  const existingStatus = await claimEvent(event)
+  if (existingStatus) {
+    logger.info(`Stripe event ${event.id} (${event.type}) already ${existingStatus}, skipped`)
+    return existingStatus === "processing" ? "in_progress" : "duplicate"
+  }
+
+  const handler = EVENT_HANDLERS[event.type]
+  if (!handler) {
+    await StripeEvent.updateOne({ eventId: event.id }, { $set: { status: "ignored", processedAt: new Date() } })
+    return "ignored"
+  }
+
+  try {
+    await handler(event.data.object)
+  } catch (error) {
+    await StripeEvent.updateOne({ eventId: event.id }, { $set: { status: "failed", error: error.message } })
+    logger.error(`Stripe event ${event.id} (${event.type}) failed:`, error.message)
+    throw error
+  }
+
+  await StripeEvent.updateOne({ eventId: event.id }, { $set: { status: "processed", processedAt: new Date() } })
+  logger.info(`Stripe event ${event.id} (${event.type}) processed`)
+  return "processed"
+}
+
+export default {
+  stripeTopupKey,
+  processStripeEvent,
+}
@@ -0,0 +1,544 @@
+import mongoose from "mongoose"
+import { Table } from "../models/table.model.js"
+import TableSession from "../models/table-session.model.js"
+import { WaitlistEntry, ACTIVE_WAITLIST_STATUSES } from "../models/waitlist.model.js"
+import { getReservationSettings, getSeatingMinutes, getSeatingOptions, getBookings } from "./reservationService.js"
+import { publishToRoom } from "./realtimeService.js"
+import { sendSMS } from "./smsService.js"
+import { sendWaitlistReadyNotification } from "./notificationService.js"
+import { hostRoom, tableRoom, userRoom } from "../lib/socketRooms.js"
+import { translate } from "../lib/i18n/index.js"
+import logger from "../middlewares/logger.middleware.js"
+
+const MINUTE_MS = 60 * 1000
+
+// Turn times are learned from the sessions closed in this window
+const TURN_TIME_LOOKBACK_DAYS = 14
+const TURN_TIME_SAMPLE_SIZE = 200
+// With fewer closed sessions than this the restaurant's seating durations are used instead
+const MIN_TURN_TIME_SAMPLES = 10
+
+// A session already past the usual turn time is expected to end this soon
+const OVERDUE_SESSION_MINUTES = 5
+// Time to clear and reset a table
+const CLEANING_MINUTES = 5
+// Reservations further away than this cannot hold up a walk-in
+const RESERVATION_HORIZON_HOURS = 12
+// Quotes are rounded up to this, guests take "about 15 minutes" better than "13 minutes"
+const QUOTE_STEP_MINUTES = 5
+
+/**
+ * Error raised for waitlist changes that cannot be made
+ */
+export class WaitlistError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "WaitlistError"
+    this.statusCode = statusCode
+  }
+}
+
+// Middle duration of recently closed sessions in minutes, null without enough history
+const learnedTurnMinutes = async (restaurant, now) => {
+  const sessions = await TableSession.find({
+    restaurant: restaurant._id,
+    status: "closed",
+    endTime: { $gte: new Date(now.getTime() - TURN_TIME_LOOKBACK_DAYS * 24 * 60 * MINUTE_MS) },
+  })
+    .sort({ endTime: -1 })
+    .limit(TURN_TIME_SAMPLE_SIZE)
+    .select("startTime endTime")
+    .lean()
+
+  const durations = sessions
+    .map((session) => (session.endTime - session.startTime) / MINUTE_MS)
+    .filter((minutes) => minutes > 0)
+    .sort((a, b) => a - b)
+  if (durations.length < MIN_TURN_TIME_SAMPLES) return null
+  return durations[Math.floor(durations.length / 2)]
+}
+
+/**
+ * Wait estimates for a restaurant as it is now. Each table gets the moment it should free up:
+ * running sessions end after the usual turn time, tables being cleaned shortly, held tables
+ * after their party's meal. Parties are then seated one after the other at the table (or
+ * group of tables) freeing up first, keeping clear of upcoming reservations.
+ * @param {object} restaurant - Restaurant document
+ * @param {Date} [now]
+ * @returns {Promise<{ seat: Function }>} - seat(partySize) takes the next suitable table for a
+ *   party and returns its wait in minutes, null when no table can seat the party
+ */
+export const buildWaitEstimator = async (restaurant, now = new Date()) => {
+  const settings = getReservationSettings(restaurant)
+  const [tables, learned, bookings] = await Promise.all([
+    Table.find({ restaurant: restaurant._id })
+      .select("tableId status currentSession capacity minCapacity combinableWith")
+      .lean(),
+    learnedTurnMinutes(restaurant, now),
+    getBookings(restaurant, now, new Date(now.getTime() + RESERVATION_HORIZON_HOURS * 60 * MINUTE_MS)),
+  ])
+  const turnMinutes = (guests) => learned ?? getSeatingMinutes(settings, guests)
+
+  const sessionIds = tables.map((table) => table.currentSession).filter(Boolean)
+  const sessions = await TableSession.find({ _id: { $in: sessionIds } }).select("startTime").lean()
+  const startedAt = new Map(sessions.map((session) => [session._id.toString(), session.startTime]))
+
+  const freeAt = new Map()
+  for (const table of tables) {
+    const id = table._id.toString()
+    const started = table.currentSession && startedAt.get(table.currentSession.toString())
+    let minutes = 0
+    if (started) {
+      const elapsed = (now - started) / MINUTE_MS
+      minutes = Math.max(OVERDUE_SESSION_MINUTES, turnMinutes(table.capacity) - elapsed)
+    } else if (table.status === "occupied") {
+      // Seated without a session, assume half way through
+      minutes = turnMinutes(table.capacity) / 2
+    } else if (table.status === "reserved") {
+      minutes = turnMinutes(table.capacity)
+    } else if (table.status === "cleaning") {
+      minutes = CLEANING_MINUTES
+    }
+    freeAt.set(id, now.getTime() + minutes * MINUTE_MS)
+  }
+
+  const gap = settings.turnoverMinutes * MINUTE_MS
+  const bookingsOf = new Map()
+  for (const booking of bookings) {
+    for (const id of booking.tables) {
+      if (!bookingsOf.has(id)) bookingsOf.set(id, [])
+      bookingsOf.get(id).push(booking)
+    }
+  }
+
+  // Earliest moment every table of a group is free for the whole meal
+  const startFor = (ids, duration) => {
+    let start = Math.max(...ids.map((id) => freeAt.get(id)))
+    let moved = true
+    while (moved) {
+      moved = false
+      for (const booking of ids.flatMap((id) => bookingsOf.get(id) || [])) {
+        if (booking.start.getTime() < start + duration + gap && booking.end.getTime() + gap > start) {
+          start = booking.end.getTime() + gap
+          moved = true
+        }
+      }
+    }
+    return start
+  }
+
+  const optionsBySize = new Map()
+  const seat = (partySize) => {
+    if (!optionsBySize.has(partySize)) optionsBySize.set(partySize, getSeatingOptions(tables, partySize))
+    const duration = turnMinutes(partySize) * MINUTE_MS
+
+    let best = null
+    for (const option of optionsBySize.get(partySize)) {
+      const ids = option.tables.map((table) => table._id.toString())
+      const start = startFor(ids, duration)
+      if (!best || start < best.start) best = { ids, start }
+    }
+    if (!best) return null
+
+    best.ids.forEach((id) => freeAt.set(id, best.start + duration))
+    const wait = Math.max(0, (best.start - now.getTime()) / MINUTE_MS)
+    return Math.ceil(wait / QUOTE_STEP_MINUTES) * QUOTE_STEP_MINUTES
+  }
+
+  return { seat }
+}
+
+// Parties still waiting, in the order they joined
+const getActiveEntries = (restaurant) =>
+  WaitlistEntry.find({ restaurant: restaurant._id, status: { $in: ACTIVE_WAITLIST_STATUSES } }).sort({ createdAt: 1 })
+
+/**
+ * The waitlist with each party's place and current wait estimate
+ * @param {object} restaurant - Restaurant document
+ * @returns {Promise<Array<{ entry: object, position: number, estimatedWaitMinutes: number|null }>>}
+ */
+export const getQueue = async (restaurant) => {
+  const [entries, estimator] = await Promise.all([getActiveEntries(restaurant), buildWaitEstimator(restaurant)])
+  return entries.map((entry, index) => ({
+    entry,
+    position: index + 1,
+    // A party called to a held table is already counted on that table
+    estimatedWaitMinutes: entry.heldTable ? 0 : estimator.seat(entry.partySize),
+  }))
+}
+
+/**
+ * Wait a new party would be quoted now
+ * @param {object} restaurant - Restaurant document
+ * @param {number} partySize
+ * @returns {Promise<{ estimatedWaitMinutes: number, partiesAhead: number }>}
+ * @throws {WaitlistError} - 409 when no table can seat the party
+ */
+export const estimateWait = async (restaurant, partySize) => {
+  const size = Number.parseInt(partySize, 10)
+  if (!Number.isInteger(size) || size < 1) throw new WaitlistError("A valid party size is required")
+
+  const [entries, estimator] = await Promise.all([getActiveEntries(restaurant), buildWaitEstimator(restaurant)])
+  for (const entry of entries) {
+    if (!entry.heldTable) estimator.seat(entry.partySize)
+  }
+  const estimatedWaitMinutes = estimator.seat(size)
+  if (estimatedWaitMinutes === null) throw new WaitlistError("No table can seat a party of this size", 409)
+
+  return { estimatedWaitMinutes, partiesAhead: entries.length }
+}
+
+/**
+ * Waitlist entry as sent to hosts
+ * @param {object} entry - Waitlist entry
+ * @param {object} [estimate] - position and estimatedWaitMinutes from getQueue
+ * @returns {object}
+ */
+export const formatEntry = (entry, { position, estimatedWaitMinutes } = {}) => ({
+  id: entry._id,
+  name: entry.name,
+  partySize: entry.partySize,
+  mobileNumber: entry.mobileNumber,
+  countryCode: entry.countryCode,
+  user: entry.user,
+  source: entry.source,
+  notes: entry.notes,
+  status: entry.status,
+  quotedWaitMinutes: entry.quotedWaitMinutes,
+  ...(position !== undefined && { position, estimatedWaitMinutes }),
+  notifiedAt: entry.notifiedAt,
+  heldTable: entry.heldTable,
+  seatedAt: entry.seatedAt,
+  tableSession: entry.tableSession,
+  createdAt: entry.createdAt,
+})
+
+/**
+ * Stream a waitlist change and the updated queue to the host dashboards
+ * @param {object} io - Socket.IO server, nothing is sent without it
+ * @param {object} restaurant - Restaurant document
+ * @param {string} action - joined, notified, seated or cancelled
+ * @param {object} entry - Waitlist entry that changed
+ * @returns {Promise<void>}
+ */
+export const publishWaitlistUpdate = async (io, restaurant, action, entry) => {
+  if (!io) return
+  try {
+    const queue = await getQueue(restaurant)
+    await publishToRoom(
+      io,
+      hostRoom(restaurant._id),
+      "waitlist_updated",
+      { action, entry: formatEntry(entry), queue: queue.map(({ entry: queued, ...estimate }) => formatEntry(queued, estimate)) },
+      { restaurantId: restaurant._id },
+    )
+  } catch (error) {
+    logger.error(`Error publishing waitlist update for restaurant ${restaurant._id}:`, error)
+  }
+}
+
+/**
+ * Put a party on the waitlist and quote its wait. A party needs a phone number to be called
+ * back, signed in customers can be called through the app instead.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} details
+ * @param {string} details.name
+ * @param {number} details.partySize
+ * @param {string} [details.mobileNumber]
+ * @param {string} [details.countryCode]
+ * @param {string} [details.notes]
+ * @param {object} [details.user] - Signed in customer (User document)
+ * @param {string} [details.source] - host, app or qr
+ * @param {string} [details.language] - Language to text the party in
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server for the host dashboards
+ * @returns {Promise<{ entry: object, position: number, estimatedWaitMinutes: number }>}
+ * @throws {WaitlistError}
+ */
+export const joinWaitlist = async (
+  restaurant,
+  { name, partySize, mobileNumber, countryCode, notes, user = null, source = "host", language },
+  { io } = {},
+) => {
+  const partyName = String(name || user?.fullName || "").trim()
+  if (!partyName) throw new WaitlistError("A name is required to join the waitlist")
+
+  const phone = mobileNumber ? String(mobileNumber).replace(/[\s-]/g, "") : user?.mobileNumber
+  if (phone && !/^\d{6,15}$/.test(phone)) throw new WaitlistError("Invalid mobile number")
+  if (!phone && !user) throw new WaitlistError("A mobile number is required to be called back")
+
+  if (user) {
+    const existing = await WaitlistEntry.findOne({
+      restaurant: restaurant._id,
+      user: user._id,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    })
+    if (existing) throw new WaitlistError("You are already on the waitlist", 409)
+  }
+
+  const { estimatedWaitMinutes, partiesAhead } = await estimateWait(restaurant, partySize)
+
+  const entry = await WaitlistEntry.create({
+    restaurant: restaurant._id,
+    name: partyName,
+    partySize: Number.parseInt(partySize, 10),
+    mobileNumber: phone,
+    countryCode: countryCode || (mobileNumber ? undefined : user?.countryCode),
+    user: user?._id,
+    source,
+    notes,
+    language: language || user?.settings?.language,
+    quotedWaitMinutes: estimatedWaitMinutes,
+  })
+
+  logger.info(`Party of ${entry.partySize} joined the waitlist of restaurant ${restaurant._id}, quoted ${estimatedWaitMinutes} min`)
+  await publishWaitlistUpdate(io, restaurant, "joined", entry)
+  return { entry, position: partiesAhead + 1, estimatedWaitMinutes }
+}
+
+// Give back a table held for a party that will not take it
+const releaseHeldTable = (entry) =>
+  entry.heldTable &&
+  Table.updateOne({ _id: entry.heldTable, status: "reserved", currentSession: null }, { status: "available" })
+
+const isHeldFor = (entry, tableId) => entry.heldTable?.toString() === tableId.toString()
+
+// Claim a table the party can sit at (free, or held for this very party) with one conditional
+// update, so two hosts never hold or seat the same table
+const claimTable = async (restaurant, entry, tableId, update) => {
+  if (!mongoose.isValidObjectId(tableId)) throw new WaitlistError("Invalid table ID")
+
+  const claimable = [{ status: "available" }]
+  if (isHeldFor(entry, tableId)) claimable.push({ status: "reserved" })
+  const table = await Table.findOneAndUpdate(
+    { _id: tableId, restaurant: restaurant._id, currentSession: null, $or: claimable },
+    { $set: update },
+    { new: true },
+  )
+  if (table) return table
+
+  if (!(await Table.exists({ _id: tableId, restaurant: restaurant._id }))) {
+    throw new WaitlistError("Table not found", 404)
+  }
+  throw new WaitlistError("Table is not available", 409)
+}
+
+const assertActive = (entry) => {
+  if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+    throw new WaitlistError("This party is no longer on the waitlist", 409)
+  }
+}
+
+/**
+ * Call a party back: text them, push to their app and optionally hold a table for them.
+ * Calling a party again sends the messages again.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} entry - Waitlist entry document
+ * @param {object} [options]
+ * @param {string} [options.tableId] - Table to hold for the party
+ * @param {object} [options.io] - Socket.IO server
+ * @returns {Promise<{ entry: object, channels: Array<string> }>} - Channels the call went out on
+ * @throws {WaitlistError}
+ */
+export const notifyParty = async (restaurant, entry, { tableId, io } = {}) => {
+  assertActive(entry)
+
+  if (tableId) {
+    const table = await claimTable(restaurant, entry, tableId, { status: "reserved" })
+    if (entry.heldTable && !isHeldFor(entry, table._id)) await releaseHeldTable(entry)
+    entry.heldTable = table._id
+  }
+
+  const message = `Your table at ${restaurant.name} is ready. Please come to the host stand.`
+  const channels = []
+  if (entry.mobileNumber) {
+    const result = await sendSMS(entry.mobileNumber, entry.countryCode, translate(entry.language, message))
+    if (result.success) channels.push("sms")
+  }
+  if (entry.user) {
+    const result = await sendWaitlistReadyNotification(entry.user.toString(), entry, restaurant.name)
+    if (result?.success !== false) channels.push("push")
+    io?.to(userRoom(entry.user)).emit("waitlist_called", {
+      entryId: entry._id,
+      restaurantId: restaurant._id,
+      message: translate(entry.language, message),
+    })
+  }
+
+  entry.status = "notified"
+  entry.notifiedAt = new Date()
+  await entry.save()
+
+  logger.info(`Waitlist party ${entry._id} called back (${channels.join(", ") || "no channel reached"})`)
+  await publishWaitlistUpdate(io, restaurant, "notified", entry)
+  return { entry, channels }
+}
+
+/**
+ * Seat a party and open its table session
+ * @param {object} restaurant - Restaurant document
+ * @param {object} entry - Waitlist entry document
+ * @param {object} [options]
+ * @param {string} [options.tableId] - Defaults to the table held for the party
+ * @param {object} [options.io] - Socket.IO server
+ * @returns {Promise<{ entry: object, session: object }>}
+ * @throws {WaitlistError}
+ */
+export const seatParty = async (restaurant, entry, { tableId, io } = {}) => {
+  assertActive(entry)
+  const targetId = tableId || entry.heldTable
+  if (!targetId) throw new WaitlistError("A table is required to seat the party")
+
+  // The table points at the session before it exists, so nobody else can claim it meanwhile
+  const sessionId = new mongoose.Types.ObjectId()
+  const table = await claimTable(restaurant, entry, targetId, { status: "occupied", currentSession: sessionId })
+
+  let session
+  try {
+    session = await TableSession.create({
+      _id: sessionId,
+      restaurant: restaurant._id,
+      tableId: table._id,
+      clientId: entry.user,
+    })
+  } catch (error) {
+    await Table.updateOne(
+      { _id: table._id, currentSession: sessionId },
+      { $set: { status: isHeldFor(entry, table._id) ? "reserved" : "available", currentSession: null } },
+    )
+    throw error
+  }
+  if (entry.heldTable && !isHeldFor(entry, table._id)) await releaseHeldTable(entry)
+
+  entry.status = "seated"
+  entry.seatedAt = new Date()
+  entry.heldTable = table._id
+  entry.tableSession = session._id
+  await entry.save()
+
+  logger.info(`Waitlist party ${entry._id} seated at table ${table._id}, session ${session._id}`)
+  if (io) {
+    await publishToRoom(
+      io,
+      tableRoom(table._id),
+      "session_started",
+      {
+        sessionId: session._id,
+        tableId: session.tableId,
+        clientId: session.clientId,
+        startTime: session.startTime,
+        status: session.status,
+        customerName: entry.name,
+      },
+      { restaurantId: restaurant._id, ack: true },
+    )
+  }
+  await publishWaitlistUpdate(io, restaurant, "seated", entry)
+  return { entry, session }
+}
+
+/**
+ * Take a party off the waitlist, giving back any table held for it
+ * @param {object} restaurant - Restaurant document
+ * @param {object} entry - Waitlist entry document
+ * @param {object} [options]
+ * @param {object} [options.io] - Socket.IO server
+ * @returns {Promise<object>} - The entry
+ * @throws {WaitlistError}
+ */
+export const cancelEntry = async (restaurant, entry, { io } = {}) => {
+  assertActive(entry)
+  await releaseHeldTable(entry)
+
+  entry.status = "cancelled"
+  entry.cancelledAt = new Date()
+  await entry.save()
+
+  logger.info(`Waitlist party ${entry._id} left the waitlist of restaurant ${restaurant._id}`)
+  await publishWaitlistUpdate(io, restaurant, "cancelled", entry)
+  return entry
+}
+
+/**
+ * Tell the host dashboards a table freed up, with the first waiting party it suits
+ * @param {object} io - Socket.IO server
+ * @param {object} restaurant - Restaurant document
+ * @param {object} table - Table that became available
+ * @returns {Promise<void>}
+ */
+export const suggestPartyForTable = async (io, restaurant, table) => {
+  if (!io) return
+  const entry = await WaitlistEntry.findOne({
+    restaurant: restaurant._id,
+    status: "waiting",
+    partySize: { $gte: table.minCapacity || 1, $lte: table.capacity },
+  }).sort({ createdAt: 1 })
+  if (!entry) return
+
+  await publishToRoom(
+    io,
+    hostRoom(restaurant._id),
+    "waitlist_table_ready",
+    { table: { id: table._id, tableId: table.tableId, capacity: table.capacity }, entry: formatEntry(entry) },
+    { restaurantId: restaurant._id },
+  )
+}
+
+/**
+ * What a customer scanning a busy table is offered: the wait for their party, or straight away
+ * a place on the waitlist when they asked for one. Without a party size only the number of
+ * parties waiting is known.
+ * @param {object} restaurant - Restaurant document
+ * @param {object} options
+ * @param {number} [options.partySize]
+ * @param {boolean} [options.join] - Join the waitlist instead of only getting a quote
+ * @param {object} options.user - User document of the customer
+ * @param {string} [options.language]
+ * @param {object} [options.io] - Socket.IO server
+ * @returns {Promise<object>} - { joined: true, entry } or { joined: false, estimatedWaitMinutes, partiesAhead }
+ * @throws {WaitlistError}
+ */
+export const offerWaitlist = async (restaurant, { partySize, join = false, user, language, io }) => {
+  if (!partySize) {
+    const partiesAhead = await WaitlistEntry.countDocuments({
+      restaurant: restaurant._id,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    })
+    return { joined: false, estimatedWaitMinutes: null, partiesAhead }
+  }
+  if (!join) return { joined: false, ...(await estimateWait(restaurant, partySize)) }
+
+  const { entry, position, estimatedWaitMinutes } = await joinWaitlist(
+    restaurant,
+    { partySize, user, source: "qr", language },
+    { io },
+  )
+  return { joined: true, entry: formatEntry(entry, { position, estimatedWaitMinutes }) }
+}
+
+/**
+ * Signed in customer's place on a restaurant's waitlist
+ * @param {object} restaurant - Restaurant document
+ * @param {object} user - User document
+ * @returns {Promise<object|null>} - Entry with position and estimatedWaitMinutes, null when not waiting
+ */
+export const findUserEntry = async (restaurant, user) => {
+  const queue = await getQueue(restaurant)
+  const mine = queue.find(({ entry }) => entry.user?.toString() === user._id.toString())
+  return mine ? formatEntry(mine.entry, mine) : null
+}
+
+export default {
+  buildWaitEstimator,
+  getQueue,
+  estimateWait,
+  formatEntry,
+  publishWaitlistUpdate,
+  joinWaitlist,
+  notifyParty,
+  seatParty,
+  cancelEntry,
+  suggestPartyForTable,
+  offerWaitlist,
+  findUserEntry,
+}
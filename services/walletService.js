@@ -0,0 +1,462 @@
+import crypto from "crypto"
+import mongoose from "mongoose"
+import { User } from "../models/user.model.js"
+import { LedgerTransaction } from "../models/ledger.model.js"
+import logger from "../middlewares/logger.middleware.js"
+
+// Ledger accounts money moves between. A wallet is "wallet:<userId>".
+export const LEDGER_ACCOUNTS = {
+  STRIPE_CLEARING: "stripe:clearing",
+  STRIPE_DISPUTES: "stripe:disputes",
+  BANK_PAYOUTS: "bank:payouts",
+  OPENING_BALANCE: "system:opening_balance",
+  ADJUSTMENTS: "system:adjustments",
+}
+export const walletAccount = (userId) => `wallet:${userId}`
+export const revenueAccount = (restaurantId) => `revenue:${restaurantId}`
+export const externalAccount = (provider) => `external:${provider}`
+
+// A pending or applying transaction older than this is resolved by the reconciliation
+const STALE_PENDING_MS = 5 * 60 * 1000
+
+/**
+ * Error raised for a wallet operation that cannot be carried out
+ */
+export class WalletError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = "WalletError"
+    this.statusCode = statusCode
+  }
+}
+
+export const toMinorUnits = (amount) => Math.round(Number(amount) * 100)
+export const toMajorUnits = (amount) => amount / 100
+
+/**
+ * Build the idempotency key of a client request, scoped to the user and the operation.
+ * Clients send it in the Idempotency-Key header; without one every request is new.
+ * @param {object} req - Express request (after protect)
+ * @param {string} scope - Operation name, e.g. "payout"
+ * @returns {string}
+ */
+export const requestIdempotencyKey = (req, scope) => {
+  const clientKey = req.get("Idempotency-Key")
+  return clientKey ? `client:${req.user._id}:${scope}:${clientKey}` : `${scope}:${crypto.randomUUID()}`
+}
+
+// Same key, same request: anything else is a client reusing a key by mistake
+const assertSameRequest = (transaction, { userId, type, amount }) => {
+  const walletEntry = transaction.entries.find((entry) => entry.account === walletAccount(userId))
+  if (transaction.user.toString() !== userId.toString() || transaction.type !== type || walletEntry?.amount !== amount) {
+    throw new WalletError("Idempotency key already used for a different request", 409)
+  }
+}
+
+// Unconditional: a transaction that reached the balance is posted, even if the reconciliation
+// gave up on it meanwhile
+const markPosted = (transaction, balanceAfter) =>
+  LedgerTransaction.findByIdAndUpdate(
+    transaction._id,
+    {
+      $set: { status: "posted", postedAt: new Date(), ...(balanceAfter !== undefined && { balanceAfter }) },
+      $unset: { rejectionReason: 1 },
+    },
+    { new: true },
+  )
+
+// The key only guards the balance until its transaction is posted
+const releasePendingKey = (userId, idempotencyKey) =>
+  User.updateOne({ _id: userId }, { $pull: { "wallet.pendingKeys": idempotencyKey } })
+
+const markRejected = (transaction, reason) =>
+  LedgerTransaction.updateOne({ _id: transaction._id }, { $set: { status: "rejected", rejectionReason: reason } })
+
+// Another attempt holds the transaction: report what it did, or ask the caller to retry
+const resolveConcurrentAttempt = async (transaction, userId) => {
+  const current = await LedgerTransaction.findById(transaction._id)
+  if (current.status === "posted") {
+    return { transaction: current, balance: current.balanceAfter ?? null, applied: false }
+  }
+  if (current.status === "rejected") {
+    throw new WalletError(current.rejectionReason || "Wallet transaction was rejected")
+  }
+
+  const user = await User.findById(userId).select("+wallet.pendingKeys wallet.balance")
+  if (user?.wallet?.pendingKeys?.includes(current.idempotencyKey)) {
+    // Applied by the other attempt, which posts it
+    return { transaction: current, balance: user.wallet.balance, applied: false }
+  }
+  throw new WalletError("Wallet transaction is already being processed, try again shortly", 409)
+}
+
+/**
+ * Move money between a wallet and another ledger account.
+ * The transaction is written first (pending) and claimed (applying) by exactly one attempt,
+ * which changes the cached balance with one atomic $inc (guarded by the balance for
+ * requireFunds debits) and posts the transaction. The key stays on the wallet between the
+ * $inc and the posting, so a crash in between is settled by the reconciliation.
+ * Retrying with the same key never moves money twice.
+ * @param {object} options
+ * @param {string} options.userId - Wallet owner
+ * @param {string} options.type - One of LEDGER_TRANSACTION_TYPES
+ * @param {string} options.direction - "credit" adds to the wallet, "debit" takes from it
+ * @param {number} options.amount - Positive amount in major units
+ * @param {string} options.counterAccount - Account on the other side
+ * @param {string} options.description - Shown on the statement
+ * @param {string} options.idempotencyKey - Unique key of the operation
+ * @param {object} [options.reference] - { order, restaurant, paymentId, externalId }
+ * @param {boolean} [options.requireFunds=false] - Refuse a debit larger than the balance
+ * @returns {Promise<{transaction: object, balance: number|null, applied: boolean}>}
+ *   applied is false when the key was already posted
+ * @throws {WalletError}
+ */
+export const postWalletTransaction = async ({
+  userId,
+  type,
+  direction,
+  amount,
+  counterAccount,
+  description,
+  idempotencyKey,
+  reference = {},
+  requireFunds = false,
+}) => {
+  const minorAmount = toMinorUnits(amount)
+  if (!(minorAmount > 0)) {
+    throw new WalletError("Invalid amount")
+  }
+
+  const walletSide = { account: walletAccount(userId), user: userId, direction, amount: minorAmount }
+  const otherSide = {
+    account: counterAccount,
+    direction: direction === "credit" ? "debit" : "credit",
+    amount: minorAmount,
+  }
+
+  let transaction
+  try {
+    transaction = await LedgerTransaction.create({
+      idempotencyKey,
+      type,
+      user: userId,
+      description,
+      entries: [walletSide, otherSide],
+      reference,
+    })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+
+    transaction = await LedgerTransaction.findOne({ idempotencyKey })
+    assertSameRequest(transaction, { userId, type, amount: minorAmount })
+    if (transaction.status === "posted") {
+      return { transaction, balance: transaction.balanceAfter ?? null, applied: false }
+    }
+    if (transaction.status === "rejected") {
+      throw new WalletError(transaction.rejectionReason || "Wallet transaction was rejected")
+    }
+    // Still pending: an earlier attempt died before claiming it, claim it below
+  }
+
+  // Only the attempt that moves the transaction out of pending may touch the balance
+  const claimed = await LedgerTransaction.findOneAndUpdate(
+    { _id: transaction._id, status: "pending" },
+    { $set: { status: "applying" } },
+    { new: true },
+  )
+  if (!claimed) return resolveConcurrentAttempt(transaction, userId)
+  transaction = claimed
+
+  const filter = { _id: userId, "wallet.pendingKeys": { $ne: idempotencyKey } }
+  if (direction === "debit" && requireFunds) {
+    // Cached balances can carry float noise, compare in whole cents
+    filter["wallet.balance"] = { $gte: (minorAmount - 0.5) / 100 }
+  }
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    {
+      $inc: { "wallet.balance": toMajorUnits(direction === "credit" ? minorAmount : -minorAmount) },
+      $push: { "wallet.pendingKeys": idempotencyKey },
+    },
+    { new: true, projection: { "wallet.balance": 1 } },
+  )
+
+  if (!user) {
+    const current = await User.findById(userId).select("wallet.balance")
+    const reason = current ? "Insufficient wallet balance" : "User not found"
+    await markRejected(transaction, reason)
+    throw new WalletError(reason, current ? 400 : 404)
+  }
+
+  if (user.wallet.balance < 0) {
+    logger.warn(`Wallet of user ${userId} is negative (${user.wallet.balance}) after ${idempotencyKey}`)
+  }
+
+  transaction = await markPosted(transaction, user.wallet.balance)
+  await releasePendingKey(userId, idempotencyKey)
+  return { transaction, balance: user.wallet.balance, applied: true }
+}
+
+/**
+ * Credit a wallet
+ * @param {string} userId - User ID
+ * @param {number} amount - Positive amount in major units
+ * @param {object} options - type, counterAccount, description, idempotencyKey, reference (see postWalletTransaction)
+ * @returns {Promise<{transaction: object, balance: number|null, applied: boolean}>}
+ */
+export const creditWallet = (userId, amount, options) =>
+  postWalletTransaction({ ...options, userId, amount, direction: "credit" })
+
+/**
+ * Debit a wallet. Without requireFunds the balance may go negative
+ * (money pulled back by a refund or dispute).
+ * @param {string} userId - User ID
+ * @param {number} amount - Positive amount in major units
+ * @param {object} options - type, counterAccount, description, idempotencyKey, reference, requireFunds
+ * @returns {Promise<{transaction: object, balance: number|null, applied: boolean}>}
+ */
+export const debitWallet = (userId, amount, options) =>
+  postWalletTransaction({ ...options, userId, amount, direction: "debit" })
+
+/**
+ * Find a posted ledger transaction by idempotency key
+ * @param {string} idempotencyKey - Key of the operation
+ * @returns {Promise<object|null>}
+ */
+export const findPostedTransaction = (idempotencyKey) => LedgerTransaction.findOne({ idempotencyKey, status: "posted" })
+
+/**
+ * Shape a ledger transaction as a wallet statement line
+ * @param {object} transaction - LedgerTransaction document
+ * @returns {object}
+ */
+export const formatStatementEntry = (transaction) => {
+  const walletEntry = transaction.entries.find((entry) => entry.account === walletAccount(transaction.user))
+  const amount = toMajorUnits(walletEntry.amount)
+  return {
+    _id: transaction._id,
+    type: transaction.type,
+    description: transaction.description,
+    direction: walletEntry.direction,
+    amount,
+    displayAmount: walletEntry.direction === "debit" ? `-${amount.toFixed(2)}` : `${amount.toFixed(2)}`,
+    balanceAfter: transaction.balanceAfter ?? null,
+    reference: transaction.reference,
+    date: transaction.postedAt || transaction.createdAt,
+  }
+}
+
+/**
+ * Paginated wallet statement, newest first
+ * @param {string} userId - Wallet owner
+ * @param {object} options
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20] - Capped at 100
+ * @param {string} [options.from] - ISO date, inclusive
+ * @param {string} [options.to] - ISO date, inclusive
+ * @param {string} [options.type] - Only this transaction type
+ * @returns {Promise<{transactions: Array<object>, totalPages: number, currentPage: number, totalCount: number}>}
+ */
+export const getWalletStatement = async (userId, { page = 1, limit = 20, from, to, type } = {}) => {
+  const currentPage = Math.max(Number.parseInt(page, 10) || 1, 1)
+  const pageSize = Math.min(Math.max(Number.parseInt(limit, 10) || 20, 1), 100)
+
+  const query = { user: userId, status: "posted" }
+  if (type) query.type = type
+  if (from || to) {
+    query.postedAt = {}
+    if (from) query.postedAt.$gte = new Date(from)
+    if (to) query.postedAt.$lte = new Date(to)
+  }
+
+  const [transactions, totalCount] = await Promise.all([
+    LedgerTransaction.find(query)
+      .sort({ postedAt: -1, _id: -1 })
+      .skip((currentPage - 1) * pageSize)
+      .limit(pageSize),
+    LedgerTransaction.countDocuments(query),
+  ])
+
+  return {
+    transactions: transactions.map(formatStatementEntry),
+    totalPages: Math.ceil(totalCount / pageSize),
+    currentPage,
+    totalCount,
+  }
+}
+
+/**
+ * Settle transactions left pending or applying by a crashed request: posted if their key
+ * reached the balance, rejected otherwise. Keys left on wallets by a crash between posting
+ * and releasing the key are released.
+ * @returns {Promise<number>} - Number of transactions settled
+ */
+const settleStalePendingTransactions = async () => {
+  const stale = await LedgerTransaction.find({
+    status: { $in: ["pending", "applying"] },
+    createdAt: { $lt: new Date(Date.now() - STALE_PENDING_MS) },
+  })
+
+  let settled = 0
+  for (const transaction of stale) {
+    const user = await User.findById(transaction.user).select("+wallet.pendingKeys")
+    if (user?.wallet?.pendingKeys?.includes(transaction.idempotencyKey)) {
+      await markPosted(transaction)
+      await releasePendingKey(transaction.user, transaction.idempotencyKey)
+      settled++
+      continue
+    }
+
+    // Conditional: an attempt that claims or applies it meanwhile wins
+    const { modifiedCount } = await LedgerTransaction.updateOne(
+      { _id: transaction._id, status: transaction.status },
+      { $set: { status: "rejected", rejectionReason: "Abandoned before reaching the balance" } },
+    )
+    settled += modifiedCount
+  }
+
+  const wallets = await User.find({ "wallet.pendingKeys.0": { $exists: true } }).select("+wallet.pendingKeys")
+  for (const wallet of wallets) {
+    const posted = await LedgerTransaction.find({
+      idempotencyKey: { $in: wallet.wallet.pendingKeys },
+      status: "posted",
+    }).select("idempotencyKey")
+    for (const { idempotencyKey } of posted) {
+      await releasePendingKey(wallet._id, idempotencyKey)
+    }
+  }
+  return settled
+}
+
+// Record the part of a balance that predates the ledger
+const postOpeningBalance = async (userId, minorAmount) => {
+  const direction = minorAmount > 0 ? "credit" : "debit"
+  const amount = Math.abs(minorAmount)
+  try {
+    await LedgerTransaction.create({
+      idempotencyKey: `opening:${userId}`,
+      type: "opening_balance",
+      status: "posted",
+      user: userId,
+      description: "Opening balance",
+      entries: [
+        { account: walletAccount(userId), user: userId, direction, amount },
+        {
+          account: LEDGER_ACCOUNTS.OPENING_BALANCE,
+          direction: direction === "credit" ? "debit" : "credit",
+          amount,
+        },
+      ],
+      postedAt: new Date(),
+    })
+  } catch (error) {
+    if (error.code !== 11000) throw error
+  }
+}
+
+/**
+ * Balance of a wallet according to its posted ledger entries
+ * @param {string} userId - Wallet owner
+ * @returns {Promise<number>} - Minor units
+ */
+export const getLedgerBalance = async (userId) => {
+  const [total] = await LedgerTransaction.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId.toString()), status: "posted" } },
+    { $unwind: "$entries" },
+    { $match: { "entries.account": walletAccount(userId) } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: {
+            $cond: [{ $eq: ["$entries.direction", "credit"] }, "$entries.amount", { $multiply: ["$entries.amount", -1] }],
+          },
+        },
+      },
+    },
+  ])
+  return total?.balance || 0
+}
+
+// A wallet with a transaction in flight, or one posted since the run started, may have a
+// cached balance and a ledger that were read at different moments
+const isWalletBusy = (userId, since) =>
+  LedgerTransaction.exists({
+    user: userId,
+    $or: [{ status: { $in: ["pending", "applying"] } }, { postedAt: { $gte: since } }],
+  })
+
+/**
+ * Recompute every wallet balance from posted ledger entries and repair cached balances
+ * that drifted. On a wallet's first run the unexplained part of its balance is booked
+ * as its opening balance (balances from before the ledger). Each wallet's ledger is
+ * summed right before it is compared, and wallets with a transaction in flight or
+ * posted during the run are checked on the next run.
+ * Run periodically by jobs/walletReconciliation.job.js.
+ * @returns {Promise<{settled: number, checked: number, corrected: number, opened: number}>}
+ */
+export const reconcileWallets = async () => {
+  const startedAt = new Date()
+  const settled = await settleStalePendingTransactions()
+
+  const ledgerUsers = await LedgerTransaction.distinct("user", { status: "posted" })
+
+  let checked = 0
+  let corrected = 0
+  let opened = 0
+
+  const cursor = User.find({
+    $or: [{ _id: { $in: ledgerUsers } }, { "wallet.balance": { $nin: [0, null] } }],
+  })
+    .select("wallet.balance wallet.reconciledAt")
+    .cursor()
+
+  // Order matters: the cached balance is read (cursor) before the ledger is summed, and the
+  // busy check comes after the sum, so a transaction applied in between is always caught
+  for await (const user of cursor) {
+    const userId = user._id.toString()
+    const ledgerBalance = await getLedgerBalance(user._id)
+    if (await isWalletBusy(user._id, startedAt)) continue
+    checked++
+
+    const cachedBalance = user.wallet?.balance ?? 0
+    const difference = toMinorUnits(cachedBalance) - ledgerBalance
+
+    // First run for this wallet: what the ledger does not explain predates it
+    if (!user.wallet?.reconciledAt) {
+      if (difference !== 0) {
+        await postOpeningBalance(user._id, difference)
+        opened++
+      }
+      await User.updateOne({ _id: user._id }, { $set: { "wallet.reconciledAt": new Date() } })
+      continue
+    }
+
+    if (difference === 0) continue
+
+    // Compare-and-set: a wallet that moved since it was read is left for the next run
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, "wallet.balance": cachedBalance },
+      { $set: { "wallet.balance": toMajorUnits(ledgerBalance), "wallet.reconciledAt": new Date() } },
+    )
+    if (modifiedCount) {
+      corrected++
+      logger.warn(
+        `Wallet of user ${userId} corrected from ${cachedBalance} to ${toMajorUnits(ledgerBalance)} by reconciliation`,
+      )
+    }
+  }
+
+  return { settled, checked, corrected, opened }
+}
+
+export default {
+  postWalletTransaction,
+  creditWallet,
+  debitWallet,
+  findPostedTransaction,
+  getWalletStatement,
+  getLedgerBalance,
+  reconcileWallets,
+}
@@ -1,53 +1,146 @@
+import mongoose from "mongoose"
 import {Table} from "./models/table.model.js"
 import TableSession from "./models/table-session.model.js"
 import { User } from "./models/user.model.js"
 import { Order } from "./models/order.model.js"
 import  Bill  from "./models/bill.model.js"
-import { getValue, setValue, deleteCache } from './services/redis.service.js'
+import { Restaurant } from "./models/restaurant.model.js"
+import { createAdapter } from '@socket.io/redis-adapter'
+import redisService, { deleteCache, tenantKey, duplicateClient } from './services/redis.service.js'
+import { markPresent, touchPresence, markAbsent, listPresent } from './services/presenceService.js'
+import { publishToRoom, readRoomEvents, acknowledgeEvent } from './services/realtimeService.js'
 import logger from './middlewares/logger.middleware.js'
-
-// Redis keys
-const KITCHEN_SOCKET_KEY = 'kitchen:socket_id'
+import { authenticateSocket, authorizeSocketEvent, joinIdentityRooms } from './middlewares/socket.middleware.js'
+import { localizeSocket } from './middlewares/locale.middleware.js'
+import { tableRoom, userRoom, cashierRoom, staffRoom, kitchenRoom, stationRoom, orderRoom } from './lib/socketRooms.js'
+import { getRestaurantStations, formatStationTicket } from './services/kitchenStationService.js'
+import { sendBillReadyNotification } from './services/notificationService.js'
+import { getOrCreateSessionBill } from './services/billingService.js'
+import { formatKitchenModifiers } from './services/modifierService.js'
+import { offerWaitlist, WaitlistError } from './services/waitlistService.js'
+import { getTracking, updateDriverLocation, DispatchError } from './services/dispatchService.js'
+
+// Redis keys (scoped per restaurant with tenantKey)
 const KITCHEN_ORDERS_CACHE = 'kitchen:active_orders'
 
 export const setupSocketIO = (io) => {
-  // Store connected table devices
-  const connectedTables = new Map()
-  // Store connected kitchen devices
-  const connectedKitchens = new Map()
+  // Fan emits out through Redis pub/sub so a room emit from any instance reaches
+  // sockets connected to every other instance
+  io.adapter(createAdapter(redisService.client, duplicateClient()))
+
+  // Every connection must authenticate in the handshake (JWT or table device credential)
+  io.use(authenticateSocket)
 
   io.on("connection", (socket) => {
-    logger.info(`---> SERVER: New socket connection attempt received! ID: ${socket.id}`);
-    logger.info(`Socket connected: ${socket.id}`)
+    const { identity } = socket.data
+    logger.info(`Socket connected: ${socket.id} (${identity.role}, restaurant ${identity.restaurantId || "none"})`)
+
+    // Errors and confirmations sent to this socket speak the client's language
+    localizeSocket(socket)
+
+    // Rooms come from the authenticated identity, never from the client payload
+    joinIdentityRooms(socket)
+
+    // Refuse inbound events the sender's role may not emit
+    socket.use(authorizeSocketEvent(socket))
+
+    // Presence entries (table/kitchen) owned by this socket, kept alive by Engine.IO's ping/pong
+    socket.data.presence = []
+    const trackPresence = async (kind, id, details) => {
+      await markPresent(identity.restaurantId, kind, id, { ...details, socketId: socket.id })
+      if (!socket.data.presence.some((entry) => entry.kind === kind && entry.id === id)) {
+        socket.data.presence.push({ kind, id })
+      }
+    }
+    socket.conn.on("heartbeat", () => {
+      for (const { kind, id } of socket.data.presence) {
+        touchPresence(identity.restaurantId, kind, id)
+      }
+    })
 
-    // Table app registers itself with its table ID
-    socket.on("register_table", async (data) => {
+    // A tablet is present as soon as it connects
+    if (identity.kind === "table") {
+      trackPresence("table", identity.tableId, {})
+    }
+
+    // Send the events of each requested room the socket missed, in order.
+    // lastSeq maps room -> last seq the client processed; rooms the socket is not in are ignored.
+    const replayMissedEvents = async (lastSeq = {}) => {
+      for (const [room, seq] of Object.entries(lastSeq)) {
+        if (!socket.rooms.has(room)) continue
+
+        const { events, gap, latestSeq } = await readRoomEvents(room, Number(seq) || 0)
+        for (const entry of events) {
+          const meta = { room, seq: entry.seq, ackRequired: entry.ackRequired, replayed: true }
+          if (entry.ackRequired) meta.restaurantId = identity.restaurantId
+          socket.emit(entry.event, { ...entry.payload, meta })
+        }
+        // gap: some events are gone, the client must reload its state over REST
+        socket.emit("replay_complete", { room, latestSeq, replayed: events.length, gap })
+      }
+    }
+
+    // Reconnecting clients may pass their last seen sequences in the handshake
+    if (socket.handshake.auth?.lastSeq) {
+      replayMissedEvents(socket.handshake.auth.lastSeq).catch((error) =>
+        logger.error(`Error replaying events for socket ${socket.id}:`, error),
+      )
+    }
+
+    // ...or ask after registering (kitchen station rooms are joined on register_kitchen)
+    socket.on("replay", async (data = {}) => {
       try {
-        const { tableId } = data
+        await replayMissedEvents(data.lastSeq || {})
+      } catch (error) {
+        logger.error(`Error replaying events for socket ${socket.id}:`, error)
+        socket.emit("error", { message: "Failed to replay events" })
+      }
+    })
+
+    // Client confirms it processed an event (echoes the event's meta)
+    socket.on("event_ack", async (data = {}) => {
+      try {
+        const { room, seq } = data
+        if (!room || !seq || !socket.rooms.has(room)) return
+
+        // Acks count against the socket's own restaurant. Customers get acked events from any
+        // restaurant in their user room, there the restaurant of the event meta is used.
+        const restaurantId =
+          identity.kind === "customer" && room === userRoom(identity.userId) ? data.restaurantId : identity.restaurantId
+        await acknowledgeEvent(restaurantId, room, seq, io)
+      } catch (error) {
+        logger.error(`Error recording ack from socket ${socket.id}:`, error)
+      }
+    })
+
+    // Table app registers itself (tablets are already in their table room,
+    // staff may register a table by ID while setting up a tablet)
+    socket.on("register_table", async (data = {}) => {
+      try {
+        const tableId = identity.kind === "table" ? identity.tableId : data.tableId
 
         if (!tableId) {
           socket.emit("error", { message: "Table ID is required" })
           return
         }
 
-        // Validate table exists
-        const table = await Table.findOne({ tableId: tableId })
+        // Validate table exists in this restaurant
+        const table = await Table.findOne({ _id: tableId, restaurant: identity.restaurantId })
         if (!table) {
           socket.emit("error", { message: "Table not found" })
           return
         }
 
         // Join a room specific to this table
-        socket.join(`table_${tableId}`)
+        socket.join(tableRoom(table._id))
 
-        // Store socket ID with table ID for direct messaging
-        connectedTables.set(tableId, socket.id)
+        await trackPresence("table", table._id.toString(), { tableId: table.tableId })
 
-        logger.info(`Table ${tableId} registered with socket ID: ${socket.id}`)
+        logger.info(`Table ${table._id} registered with socket ID: ${socket.id}`)
 
         socket.emit("table_registered", {
           success: true,
-          message: `Table ${tableId} registered successfully`,
+          message: `Table ${table.tableId || table._id} registered successfully`,
           tableData: {
             id: table._id,
             tableId: table.tableId,
@@ -61,21 +154,46 @@ export const setupSocketIO = (io) => {
       }
     })
 
-    // Kitchen app registers itself
-    socket.on("register_kitchen", async () => {
+    // Kitchen display registers itself, optionally for a subset of stations.
+    // Without stations it stays in the restaurant's kitchen room and sees every order (expo view).
+    socket.on("register_kitchen", async (data = {}) => {
       try {
-        // Store kitchen socket ID in Redis
-        const success = await setValue(KITCHEN_SOCKET_KEY, socket.id)
-        if (success) {
-          logger.info(`Kitchen app registered with socket ID: ${socket.id} (Stored in Redis)`)
-          // Acknowledge registration
-          socket.emit("kitchen_registered", { success: true })
-          // Optionally, keep joining the room if other logic depends on it
-          socket.join("kitchen")
+        const { restaurantId } = identity
+
+        if (!restaurantId) {
+          socket.emit("error", { message: "Restaurant ID is required" })
+          return
+        }
+
+        const restaurant = await Restaurant.findById(restaurantId)
+        const availableStations = getRestaurantStations(restaurant).map((station) => station.key)
+        const stations = Array.isArray(data.stations) ? data.stations.map((station) => String(station).toLowerCase()) : []
+
+        const unknown = stations.filter((station) => !availableStations.includes(station))
+        if (unknown.length) {
+          socket.emit("error", { message: `Unknown stations: ${unknown.join(", ")}`, availableStations })
+          return
+        }
+
+        // Re-registering replaces the previous subscription
+        for (const station of socket.data.stations || []) {
+          socket.leave(stationRoom(restaurantId, station))
+        }
+
+        if (stations.length) {
+          socket.leave(kitchenRoom(restaurantId))
+          for (const station of stations) {
+            socket.join(stationRoom(restaurantId, station))
+          }
         } else {
-          logger.error(`Failed to store kitchen socket ID in Redis for: ${socket.id}`)
-          socket.emit("error", { message: "Failed to register kitchen due to Redis error" })
+          socket.join(kitchenRoom(restaurantId))
         }
+
+        socket.data.stations = stations
+        await trackPresence("kitchen", socket.id, { stations, staffId: identity.staffId })
+
+        logger.info(`Kitchen display ${socket.id} registered for restaurant ${restaurantId} (${stations.join(", ") || "all stations"})`)
+        socket.emit("kitchen_registered", { success: true, stations, availableStations })
       } catch (error) {
         logger.error("Error registering kitchen:", error)
         socket.emit("error", { message: "Failed to register kitchen" })
@@ -83,23 +201,15 @@ export const setupSocketIO = (io) => {
     })
 
     // Handle tablet device registration (example - adapt as needed)
-    socket.on("register_device_with_table", async (data) => {
+    socket.on("register_device_with_table", async () => {
       try {
-        const { deviceId } = data
-        if (!deviceId) {
-          return socket.emit("error", { message: "Device ID is required" })
-        }
-        
-        // Store tablet socket ID in Redis with device ID (or tableId if preferred)
-        const key = `device:${deviceId}:socket_id`
-        const success = await setValue(key, socket.id)
-        if (success) {
-          logger.info(`Device ${deviceId} registered with socket ID: ${socket.id} (Stored in Redis)`)
-          socket.emit("device_registered", { success: true, deviceId })
-        } else {
-          logger.error(`Failed to store device socket ID in Redis for: ${deviceId}`)
-          socket.emit("error", { message: "Failed to register device due to Redis error" })
-        }
+        // The device is the authenticated tablet
+        const deviceId = identity.tableId
+
+        // Presence lives in Redis so every instance can see the tablet
+        await trackPresence("table", deviceId, {})
+        logger.info(`Device ${deviceId} registered with socket ID: ${socket.id}`)
+        socket.emit("device_registered", { success: true, deviceId })
       } catch (error) {
         logger.error("Error registering device:", error)
         socket.emit("error", { message: "Failed to register device" })
@@ -107,17 +217,24 @@ export const setupSocketIO = (io) => {
     })
 
     // Customer app initiates a session after scanning QR code
-    socket.on("initiate_session", async (data) => {
+    socket.on("initiate_session", async (data = {}) => {
       try {
-        const { tableId, userId } = data
+        const { tableId } = data
+        // The customer is the authenticated user, the restaurant may come from the handshake
+        const userId = identity.userId
+        const restaurantId = data.restaurantId || identity.restaurantId
 
-        if (!tableId || !userId) {
-          socket.emit("error", { message: "Table ID and User ID are required" })
+        if (!tableId || !restaurantId) {
+          socket.emit("error", { message: "Table ID and Restaurant ID are required" })
           return
         }
 
-        // Validate table
-        const table = await Table.findOne({ tableId: tableId })
+        // Validate table (tableId is the table's _id, as encoded in its QR code)
+        if (!mongoose.Types.ObjectId.isValid(tableId)) {
+          socket.emit("error", { message: "Invalid table ID" })
+          return
+        }
+        const table = await Table.findOne({ _id: tableId, restaurant: restaurantId })
         if (!table) {
           socket.emit("error", { message: "Table not found" })
           return
@@ -157,6 +274,7 @@ export const setupSocketIO = (io) => {
 
         // Create a new session
         const session = new TableSession({
+          restaurant: table.restaurant,
           tableId: table._id, // Use the MongoDB _id
           clientId: userId,
           startTime: new Date(),
@@ -171,7 +289,7 @@ export const setupSocketIO = (io) => {
         await table.save()
 
         // Notify the table app to open the session
-        io.to(`table_${tableId}`).emit("session_started", {
+        io.to(tableRoom(table._id)).emit("session_started", {
           sessionId: session._id,
           tableId: tableId,
           clientId: session.clientId,
@@ -194,18 +312,25 @@ export const setupSocketIO = (io) => {
       }
     })
 
-    // Customer app scans QR code
-    socket.on("scan_qr_code", async (data) => {
+    // Customer app scans QR code, a busy table offers the waitlist (partySize, joinWaitlist)
+    socket.on("scan_qr_code", async (data = {}) => {
       try {
-        const { tableId, userId } = data
+        const { tableId, partySize, joinWaitlist } = data
+        // The customer is the authenticated user, the restaurant may come from the handshake
+        const userId = identity.userId
+        const restaurantId = data.restaurantId || identity.restaurantId
 
-        if (!tableId || !userId) {
-          socket.emit("error", { message: "Table ID and User ID are required" })
+        if (!tableId || !restaurantId) {
+          socket.emit("error", { message: "Table ID and Restaurant ID are required" })
           return
         }
 
-        // Validate table
-        const table = await Table.findOne({ tableId: tableId })
+        // Validate table (tableId is the table's _id, as encoded in its QR code)
+        if (!mongoose.Types.ObjectId.isValid(tableId)) {
+          socket.emit("error", { message: "Invalid table ID" })
+          return
+        }
+        const table = await Table.findOne({ _id: tableId, restaurant: restaurantId })
         if (!table) {
           socket.emit("error", { message: "Table not found" })
           return
@@ -216,11 +341,6 @@ export const setupSocketIO = (io) => {
           return
         }
 
-        if (table.status !== "available") {
-          socket.emit("error", { message: "Table is not available" })
-          return
-        }
-
         // Validate user
         const user = await User.findById(userId)
         if (!user) {
@@ -228,6 +348,28 @@ export const setupSocketIO = (io) => {
           return
         }
 
+        if (table.status !== "available") {
+          const restaurant = await Restaurant.findById(table.restaurant)
+          try {
+            const waitlist = await offerWaitlist(restaurant, {
+              partySize,
+              join: Boolean(joinWaitlist),
+              user,
+              language: user.settings?.language,
+              io,
+            })
+            if (waitlist.joined) {
+              socket.emit("waitlist_joined", waitlist.entry)
+            } else {
+              socket.emit("error", { message: "Table is not available", waitlist })
+            }
+          } catch (error) {
+            if (!(error instanceof WaitlistError)) throw error
+            socket.emit("error", { message: error.message })
+          }
+          return
+        }
+
         // Check if there's an existing active session for this user
         const existingUserSession = await TableSession.findOne({
           clientId: userId,
@@ -245,6 +387,7 @@ export const setupSocketIO = (io) => {
 
         // Create a new session
         const session = new TableSession({
+          restaurant: table.restaurant,
           tableId: table._id, // Use the MongoDB _id
           clientId: userId,
           startTime: new Date(),
@@ -259,7 +402,7 @@ export const setupSocketIO = (io) => {
         await table.save()
 
         // Notify the table app to open the session
-        io.to(`table_${tableId}`).emit("session_started", {
+        io.to(tableRoom(table._id)).emit("session_started", {
           sessionId: session._id,
           tableId: tableId,
           clientId: session.clientId,
@@ -284,9 +427,9 @@ export const setupSocketIO = (io) => {
     })
 
     // Handle order updates to notify table app
-    socket.on("order_placed", async (data) => {
+    socket.on("order_placed", async (data = {}) => {
       try {
-        const { sessionId, orderId, tableId } = data
+        const { sessionId, orderId } = data
 
         if (!orderId) {
           socket.emit("error", { message: "Order ID is required" })
@@ -294,7 +437,7 @@ export const setupSocketIO = (io) => {
         }
 
         // Get the order details
-        const order = await Order.findById(orderId).populate({
+        const order = await Order.findOne({ _id: orderId, restaurant: identity.restaurantId }).populate({
           path: "items.menuItem",
           select: "name image category",
         })
@@ -304,45 +447,18 @@ export const setupSocketIO = (io) => {
           return
         }
 
-        // Get table ID if available
-        let orderTableId = null
-        if (order.TableId) {
-          // Find the table with this ID
-          const table = await Table.findById(order.TableId)
-          if (table) {
-            orderTableId = table.tableId
-          }
+        // Customers may only announce their own orders, tablets only orders of their table
+        if (
+          (identity.kind === "customer" && order.user?.toString() !== identity.userId) ||
+          (identity.kind === "table" && order.TableId?.toString() !== identity.tableId)
+        ) {
+          socket.emit("error", { message: "Not allowed to notify about this order" })
+          return
         }
 
-        // Calculate preparation time (for countdown display)
-        // const preparationTime = new Date()
-        // preparationTime.setMinutes(preparationTime.getMinutes() + 15) // Default 15 min prep time
-
-        // Emit to all connected kitchen clients
-        // NOTE: This emission is already handled in the createOrder controller
-        // We might only need to emit updates here, not the full new order
-        /*
-        io.to("kitchen").emit("new_kitchen_order", {
-          orderId: order._id,
-          orderNumber: order._id.toString().slice(-6).toUpperCase(), // Last 6 chars of ID
-          items: order.items.map((item) => ({
-            name: item.name,
-            quantity: item.quantity,
-            specialInstructions: item.specialInstructions,
-            category: item.menuItem ? item.menuItem.category : null,
-            productId: `prod_${item.name}`,
-          })),
-          orderType: order.orderType,
-          tableId: orderTableId,
-          status: order.status,
-          createdAt: order.createdAt,
-          // preparationTime: preparationTime,
-        })
-        */
-
-        // If sessionId is provided, notify the table app
-        if (sessionId && tableId) {
-          io.to(`table_${tableId}`).emit("new_order", {
+        // The kitchen is notified by the createOrder controller, only the table app is told here
+        if (sessionId && order.TableId) {
+          await publishToRoom(io, tableRoom(order.TableId), "new_order", {
             sessionId,
             orderId: order._id,
             items: order.items.map((item) => ({
@@ -353,7 +469,7 @@ export const setupSocketIO = (io) => {
             })),
             total: order.total,
             status: order.status,
-          })
+          }, { restaurantId: order.restaurant })
         }
 
         logger.info(`Order ${orderId} notification sent to table app (kitchen notified via controller)`)
@@ -364,9 +480,9 @@ export const setupSocketIO = (io) => {
     })
 
     // Handle session end request
-    socket.on("end_session", async (data) => {
+    socket.on("end_session", async (data = {}) => {
       try {
-        const { sessionId, tableId } = data
+        const { sessionId } = data
 
         if (!sessionId) {
           socket.emit("error", { message: "Session ID is required" })
@@ -374,74 +490,68 @@ export const setupSocketIO = (io) => {
         }
 
         // Find the session
-        const session = await TableSession.findById(sessionId)
+        const session = await TableSession.findOne({ _id: sessionId, restaurant: identity.restaurantId })
         if (!session) {
           socket.emit("error", { message: "Session not found" })
           return
         }
 
+        // A tablet may only end the session running on its own table
+        if (identity.kind === "table" && session.tableId.toString() !== identity.tableId) {
+          socket.emit("error", { message: "Not allowed to end this session" })
+          return
+        }
+
         if (session.status === "closed") {
           socket.emit("error", { message: "Session is already closed" })
           return
         }
 
-        // Check if bill already exists
-        let bill = await Bill.findOne({ tableSessionId: sessionId })
-
-        if (!bill) {
-          // Get all orders for this session
-          const orders = await Order.find({ _id: { $in: session.orders } })
+        // Use the existing bill or create it from the session's orders
+        const { bill } = await getOrCreateSessionBill(session)
 
-          // Calculate total
-          const total = orders.reduce((sum, order) => sum + order.total, 0)
-
-          // Create bill
-          bill = new Bill({
-            tableSessionId: sessionId,
-            total,
-            paymentStatus: "pending",
-          })
+        // The session stays open until the bill (every part of a split bill) is paid
+        if (bill.paymentStatus === "paid") {
+          session.status = "closed"
+          session.endTime = new Date()
+          await session.save()
 
-          await bill.save()
+          // Update table status
+          const table = await Table.findById(session.tableId)
+          if (table) {
+            table.status = "cleaning"
+            table.currentSession = null
+            await table.save()
+          }
+        } else {
+          session.status = "payment_pending"
+          await session.save()
         }
 
-        // Update session status
-        session.status = "closed"
-        session.endTime = new Date()
-        await session.save()
-
-        // Update table status
-        const table = await Table.findById(session.tableId)
-        if (table) {
-          table.status = "cleaning"
-          table.currentSession = null
-          await table.save()
+        const billSummary = {
+          id: bill._id,
+          total: bill.total,
+          paymentStatus: bill.paymentStatus,
         }
 
-        // Notify both table app and customer app
-        const effectiveTableId = tableId || (table ? table.tableId : null);
-        if(effectiveTableId) {
-          io.to(`table_${effectiveTableId}`).emit("session_ended", {
-            sessionId,
-            bill: {
-              id: bill._id,
-              total: bill.total,
-              paymentStatus: bill.paymentStatus,
-            },
-          })
+        // Notify the table app, the customer and the cashiers
+        const options = { restaurantId: session.restaurant, ack: true }
+        await publishToRoom(io, tableRoom(session.tableId), "session_ended", { sessionId, bill: billSummary }, options)
+        if (session.clientId) {
+          await publishToRoom(io, userRoom(session.clientId), "session_ended", { sessionId, bill: billSummary }, options)
         }
+        await publishToRoom(
+          io,
+          cashierRoom(session.restaurant),
+          "bill_pending",
+          { sessionId, tableId: session.tableId, bill: billSummary },
+          options,
+        )
 
         // Also emit back to the caller (e.g., Kiosk app)
-        socket.emit("session_ended_confirmation", {
-          sessionId,
-          bill: {
-            id: bill._id,
-            total: bill.total,
-            paymentStatus: bill.paymentStatus,
-          },
-        })
+        socket.emit("session_ended_confirmation", { sessionId, bill: billSummary })
 
-        logger.info(`Session ${sessionId} ended and bill created`)
+        logger.info(`Session ${sessionId} ended (${session.status}) and bill created`)
       } catch (error) {
         logger.error("Error ending session:", error)
         socket.emit("error", { message: "Failed to end session" })
@@ -449,22 +559,24 @@ export const setupSocketIO = (io) => {
     })
 
     // Handle bill creation notification
-    socket.on("bill_created", async (data) => {
+    socket.on("bill_created", async (data = {}) => {
       try {
-        const { billId, sessionId, tableId } = data
+        const { billId } = data
 
-        if (!billId || !sessionId) {
-          socket.emit("error", { message: "Bill ID and Session ID are required" })
+        if (!billId) {
+          socket.emit("error", { message: "Bill ID is required" })
           return
         }
 
-        // Notify the table app about the bill
-        io.to(`table_${tableId}`).emit("bill_ready", {
-          billId,
-          sessionId,
-        })
+        const bill = await Bill.findOne({ _id: billId, restaurant: identity.restaurantId })
+        if (!bill) {
+          socket.emit("error", { message: "Bill not found" })
+          return
+        }
 
-        logger.info(`Bill ${billId} notification sent to table ${tableId}`)
+        if (!(await notifyBillReady(io, bill))) {
+          socket.emit("error", { message: "Session not found" })
+        }
       } catch (error) {
         logger.error("Error handling bill creation:", error)
         socket.emit("error", { message: "Failed to notify about bill" })
@@ -472,17 +584,19 @@ export const setupSocketIO = (io) => {
     })
 
     // Handle reservation events
-    socket.on("make_reservation", async (data) => {
+    socket.on("make_reservation", async (data = {}) => {
       try {
-        const { userId, tableId, reservationTime } = data
+        const { tableId, reservationTime } = data
+        const restaurantId = data.restaurantId || identity.restaurantId
+        const userId = identity.userId
 
-        if (!userId || !tableId || !reservationTime) {
-          socket.emit("error", { message: "User ID, Table ID, and reservation time are required" })
+        if (!tableId || !reservationTime || !restaurantId) {
+          socket.emit("error", { message: "Table ID, restaurant ID and reservation time are required" })
           return
         }
 
-        // Notify admin about new reservation request
-        io.emit("new_reservation_request", {
+        // Notify the restaurant's staff about the new reservation request
+        io.to(staffRoom(restaurantId)).emit("new_reservation_request", {
           userId,
           tableId,
           reservationTime,
@@ -495,37 +609,64 @@ export const setupSocketIO = (io) => {
       }
     })
 
-    // Handle disconnection
-    socket.on("disconnect", async () => {
-      logger.info(`Socket disconnected: ${socket.id}`)
-      
-      // Check if this was the kitchen socket and remove it from Redis
+    // Customer follows the driver of their delivery (dispatchers may follow any delivery of their restaurant)
+    socket.on("track_order", async (data = {}) => {
       try {
-        const kitchenSocketId = await getValue(KITCHEN_SOCKET_KEY)
-        if (kitchenSocketId === socket.id) {
-          await deleteCache(KITCHEN_SOCKET_KEY) // Use deleteCache which calls .del()
-          logger.info(`Removed disconnected kitchen socket ID from Redis: ${socket.id}`)
+        const { orderId } = data
+        if (!mongoose.isValidObjectId(orderId)) {
+          socket.emit("error", { message: "Order not found" })
+          return
         }
-        // TODO: Add logic here to remove disconnected device sockets if needed
+
+        const order = await Order.findOne({
+          _id: orderId,
+          orderType: "Delivery",
+          ...(identity.kind === "customer" ? { user: identity.userId } : { restaurant: identity.restaurantId }),
+        })
+        if (!order) {
+          socket.emit("error", { message: "Order not found" })
+          return
+        }
+
+        socket.join(orderRoom(order._id))
+        socket.emit("delivery_tracking", await getTracking(order))
       } catch (error) {
-        logger.error(`Error cleaning up disconnected socket ${socket.id} from Redis:`, error)
+        logger.error("Error starting order tracking:", error)
+        socket.emit("error", { message: "Failed to track order" })
       }
+    })
+
+    socket.on("stop_tracking_order", (data = {}) => {
+      if (mongoose.isValidObjectId(data.orderId)) socket.leave(orderRoom(data.orderId))
+    })
 
-      // Remove from connected tables if this was a table app
-      for (const [tableId, socketId] of connectedTables.entries()) {
-        if (socketId === socket.id) {
-          connectedTables.delete(tableId)
-          logger.info(`Table with ID ${tableId} disconnected`)
-          break
+    // Driver app streams its position while on shift
+    socket.on("driver_location", async (data = {}) => {
+      try {
+        if (!identity.staffId) {
+          socket.emit("error", { message: "Only staff accounts can share a driver location" })
+          return
         }
+        await updateDriverLocation(identity, data, { io })
+      } catch (error) {
+        if (error instanceof DispatchError) {
+          socket.emit("error", { message: error.message })
+          return
+        }
+        logger.error("Error updating driver location:", error)
+        socket.emit("error", { message: "Failed to update location" })
       }
+    })
 
-      // Remove from connected kitchens if this was a kitchen app
-      for (const [kitchenId, socketId] of connectedKitchens.entries()) {
-        if (socketId === socket.id) {
-          connectedKitchens.delete(kitchenId)
-          logger.info(`Kitchen with ID ${kitchenId} disconnected`)
-          break
+    // Handle disconnection
+    socket.on("disconnect", async () => {
+      logger.info(`Socket disconnected: ${socket.id}`)
+      
+      // Remove the table/kitchen presence this socket owned (entries of a crashed
+      // instance are not removed here, they expire when their heartbeat stops)
+      for (const { kind, id } of socket.data.presence) {
+        if (await markAbsent(identity.restaurantId, kind, id, socket.id)) {
+          logger.info(`${kind} ${id} disconnected`)
         }
       }
     })
@@ -533,20 +674,65 @@ export const setupSocketIO = (io) => {
 }
 
 /**
- * Notify kitchen about a new order
+ * Tell the table and whoever pays that a bill is ready.
+ * A split bill goes to the payer of each part (with their part), the table gets every part.
+ * @param {object} io - Socket.IO server instance
+ * @param {object} bill - The bill (mongoose document expected)
+ * @returns {Promise<boolean>} - false when the bill's session does not exist
+ */
+export const notifyBillReady = async (io, bill) => {
+  const session = await TableSession.findById(bill.tableSessionId)
+  if (!session) return false
+
+  const parts = (bill.parts || []).map((part) => ({
+    id: part._id,
+    label: part.label,
+    seat: part.seat,
+    amount: part.amount,
+    payer: part.payer,
+    paymentStatus: part.paymentStatus,
+  }))
+  const payload = {
+    billId: bill._id,
+    sessionId: session._id,
+    total: bill.total,
+    paymentStatus: bill.paymentStatus,
+    splitMode: bill.splitMode,
+    parts,
+  }
+  const options = { restaurantId: bill.restaurant, ack: true }
+  await publishToRoom(io, tableRoom(session.tableId), "bill_ready", payload, options)
+
+  const payers = bill.parts.filter((part) => part.payer && part.paymentStatus === "pending")
+  for (const part of payers) {
+    await publishToRoom(io, userRoom(part.payer), "bill_ready", { ...payload, part: parts.find((entry) => entry.id.equals(part._id)) }, options)
+    await sendBillReadyNotification(part.payer.toString(), bill, part)
+  }
+
+  // Nobody named on the parts, the guest who opened the session gets the bill
+  if (!payers.length && session.clientId) {
+    await publishToRoom(io, userRoom(session.clientId), "bill_ready", payload, options)
+    await sendBillReadyNotification(session.clientId.toString(), bill)
+  }
+
+  logger.info(`Bill ${bill._id} notification sent to table ${session.tableId} and ${payers.length || (session.clientId ? 1 : 0)} payer(s)`)
+  return true
+}
+
+// Rooms of the kitchen displays concerned by an order: the expo room and each station it has a ticket for
+const orderKitchenRooms = (order) => [
+  kitchenRoom(order.restaurant),
+  ...(order.stationTickets || []).map((ticket) => stationRoom(order.restaurant, ticket.station)),
+]
+
+/**
+ * Notify kitchen displays about a new order.
+ * The expo room gets the whole order, each station room gets its own ticket.
  * @param {object} io - Socket.IO server instance
  * @param {object} order - The new order object (mongoose document expected)
  */
 export const notifyKitchenAboutNewOrder = async (io, order) => {
   try {
-    // Get kitchen socket ID from Redis
-    const kitchenSocketId = await getValue(KITCHEN_SOCKET_KEY)
-    
-    if (!kitchenSocketId) {
-      logger.warn("No kitchen app registered, cannot notify about new order")
-      return false
-    }
-    
     // Format order for kitchen display (ensure necessary fields are present)
     const formattedOrder = {
       id: order._id.toString(), // Use _id
@@ -555,6 +741,8 @@ export const notifyKitchenAboutNewOrder = async (io, order) => {
         name: item.name,
         quantity: item.quantity,
         specialInstructions: item.specialInstructions || "",
+        modifiers: formatKitchenModifiers(item),
+        station: item.station || null,
         // Assuming menuItem might not be populated here, handle gracefully
         category: item.menuItem?.category || null, 
       })),
@@ -562,17 +750,28 @@ export const notifyKitchenAboutNewOrder = async (io, order) => {
       // Ensure TableId is populated or handled if not
       tableId: order.TableId?.toString() || order.deviceId || null, // Use deviceId if TableId link isn't there
       status: order.status,
+      stations: (order.stationTickets || []).map((ticket) => ({ station: ticket.station, status: ticket.status })),
       createdAt: order.createdAt,
       // elapsedTime calculation might be better done on the client 
     }
-    
-    // Emit event directly to kitchen socket
-    io.to(kitchenSocketId).emit("new_kitchen_order", formattedOrder)
-    
+
+    const displays = await listPresent(order.restaurant, "kitchen")
+    if (!displays.length) {
+      logger.warn(`No kitchen display connected for restaurant ${order.restaurant}, order ${order._id} queued for polling`)
+    }
+
+    const options = { restaurantId: order.restaurant, ack: true }
+    await publishToRoom(io, kitchenRoom(order.restaurant), "new_kitchen_order", formattedOrder, options)
+
+    for (const ticket of order.stationTickets || []) {
+      const room = stationRoom(order.restaurant, ticket.station)
+      await publishToRoom(io, room, "new_station_ticket", formatStationTicket(order, ticket), options)
+    }
+
     // Invalidate kitchen orders cache *after* successful emission
-    await deleteCache(KITCHEN_ORDERS_CACHE)
-    
-    logger.info(`Notified kitchen (${kitchenSocketId}) about new order: ${order._id}`)
+    await deleteCache(tenantKey(order.restaurant, KITCHEN_ORDERS_CACHE))
+
+    logger.info(`Notified kitchen displays about new order: ${order._id}`)
     return true
   } catch (error) {
     logger.error(`Error notifying kitchen about new order ${order?._id}:`, error)
@@ -581,40 +780,62 @@ export const notifyKitchenAboutNewOrder = async (io, order) => {
 }
 
 /**
- * Notify kitchen about order status update
+ * Notify kitchen displays about an order status update
  * @param {object} io - Socket.IO server instance
  * @param {object} order - The updated order (mongoose document expected)
  * @param {string} previousStatus - Previous order status
  */
 export const notifyKitchenAboutOrderUpdate = async (io, order, previousStatus) => {
   try {
-    // Get kitchen socket ID from Redis
-    const kitchenSocketId = await getValue(KITCHEN_SOCKET_KEY)
-    
-    if (!kitchenSocketId) {
-      logger.warn("No kitchen app registered, cannot notify about order update")
-      return false
-    }
-    
     // Format order update for kitchen display
     const orderUpdate = {
       id: order._id.toString(),
       orderNumber: order._id.toString().slice(-6).toUpperCase(),
       status: order.status,
       previousStatus, // Send previous status for client logic
+      stations: (order.stationTickets || []).map((ticket) => ({ station: ticket.station, status: ticket.status })),
       updatedAt: order.updatedAt || new Date(), // Use order updatedAt if available
     }
-    
-    // Emit event directly to kitchen socket
-    io.to(kitchenSocketId).emit("order_status_updated", orderUpdate)
+
+    for (const room of orderKitchenRooms(order)) {
+      await publishToRoom(io, room, "order_status_updated", orderUpdate, { restaurantId: order.restaurant, ack: true })
+    }
 
     // Invalidate kitchen orders cache *after* successful emission
-    await deleteCache(KITCHEN_ORDERS_CACHE)
-    
-    logger.info(`Notified kitchen (${kitchenSocketId}) about order update: ${order._id} (${previousStatus} -> ${order.status})`)
+    await deleteCache(tenantKey(order.restaurant, KITCHEN_ORDERS_CACHE))
+
+    logger.info(`Notified kitchen displays about order update: ${order._id} (${previousStatus} -> ${order.status})`)
     return true
   } catch (error) {
     logger.error(`Error notifying kitchen about order update ${order?._id}:`, error)
     return false
   }
 }
+
+/**
+ * Notify kitchen displays that a station ticket changed (started or ready)
+ * @param {object} io - Socket.IO server instance
+ * @param {object} order - The updated order (mongoose document expected)
+ * @param {string} station - Station key
+ */
+export const notifyStationTicketUpdate = async (io, order, station) => {
+  if (!io) {
+    logger.warn(`Socket.IO not available, station ${station} update for order ${order._id} not sent`)
+    return false
+  }
+
+  try {
+    const ticket = order.stationTickets.find((entry) => entry.station === station)
+    if (!ticket) return false
+
+    const payload = formatStationTicket(order, ticket)
+    for (const room of orderKitchenRooms(order)) {
+      await publishToRoom(io, room, "station_ticket_updated", payload, { restaurantId: order.restaurant })
+    }
+    await deleteCache(tenantKey(order.restaurant, KITCHEN_ORDERS_CACHE))
+    return true
+  } catch (error) {
+    logger.error(`Error notifying kitchen about station ${station} of order ${order?._id}:`, error)
+    return false
+  }
+}
@@ -0,0 +1,182 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Bill from "../models/bill.model.js"
+import { splitBill, payBillPart } from "../services/billSplitService.js"
+import { stubModel, closeConnections } from "./helpers/models.js"
+
+const restaurantId = new mongoose.Types.ObjectId()
+const orderId = new mongoose.Types.ObjectId()
+const pizza = new mongoose.Types.ObjectId()
+const wine = new mongoose.Types.ObjectId()
+const water = new mongoose.Types.ObjectId()
+
+const cents = (amount) => Math.round(amount * 100)
+const sumCents = (parts) => parts.reduce((sum, part) => sum + cents(part.amount), 0)
+
+// Pizza x2 for seat 2, wine for seat 1 and water for the table,
+// with a 10% service charge on top of the lines
+const pendingBill = (fields = {}) =>
+  Bill.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    restaurant: restaurantId,
+    tableSessionId: new mongoose.Types.ObjectId(),
+    lines: [
+      { order: orderId, item: pizza, name: "Pizza", quantity: 2, unitPrice: 12, amount: 24, seat: 2 },
+      { order: orderId, item: wine, name: "Wine", quantity: 1, unitPrice: 7, amount: 7, seat: 1 },
+      { order: orderId, item: water, name: "Water", quantity: 1, unitPrice: 3, amount: 3 },
+    ],
+    subtotal: 34,
+    serviceChargeRate: 10,
+    serviceCharge: 3.4,
+    total: 37.4,
+    paymentStatus: "pending",
+    parts: [],
+    ...fields,
+  })
+
+// The bill as the split update stores it
+const stubSplit = (bill) =>
+  stubModel(Bill, "findOneAndUpdate", (filter, update) => {
+    const split = Bill.hydrate(bill.toObject())
+    split.set(update.$set)
+    return split
+  })
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("splitBill", () => {
+  it("splits evenly, the leftover cents going to the first parts", async () => {
+    const bill = pendingBill({ total: 100 })
+    stubModel(Bill, "findOne", bill)
+    stubSplit(bill)
+
+    const split = await splitBill(restaurantId, bill._id, { mode: "equal", count: 3 })
+
+    assert.deepEqual(
+      split.parts.map((part) => part.amount),
+      [33.34, 33.33, 33.33],
+    )
+    assert.equal(split.parts[0].label, "Guest 1 of 3")
+  })
+
+  it("shares only what is left once the reservation deposit is credited", async () => {
+    const bill = pendingBill({ deposit: { reservation: new mongoose.Types.ObjectId(), amount: 20 } })
+    stubModel(Bill, "findOne", bill)
+    stubSplit(bill)
+
+    const split = await splitBill(restaurantId, bill._id, { mode: "equal", count: 2 })
+
+    assert.deepEqual(
+      split.parts.map((part) => part.amount),
+      [8.7, 8.7],
+    )
+  })
+
+  it("prices shared items by quantity and spreads the service charge over the parts", async () => {
+    const bill = pendingBill()
+    stubModel(Bill, "findOne", bill)
+    stubSplit(bill)
+
+    const split = await splitBill(restaurantId, bill._id, {
+      mode: "item",
+      parts: [
+        { label: "Ana", items: [{ itemId: pizza, quantity: 1 }, { itemId: wine }] },
+        { label: "Ben", items: [{ itemId: pizza, quantity: 1 }, { itemId: water }] },
+      ],
+    })
+
+    const [ana, ben] = split.parts
+    assert.deepEqual(
+      ana.items.map((item) => item.amount),
+      [12, 7],
+    )
+    assert.deepEqual(
+      ben.items.map((item) => item.amount),
+      [12, 3],
+    )
+    assert.equal(ana.amount, 20.9)
+    assert.equal(ben.amount, 16.5)
+    assert.equal(sumCents(split.parts), cents(bill.total))
+  })
+
+  it("refuses an item split that leaves units unassigned", async () => {
+    stubModel(Bill, "findOne", pendingBill())
+    const update = stubModel(Bill, "findOneAndUpdate", null)
+
+    await assert.rejects(
+      splitBill(restaurantId, new mongoose.Types.ObjectId(), {
+        mode: "item",
+        parts: [{ items: [{ itemId: pizza, quantity: 1 }, { itemId: wine }] }, { items: [{ itemId: water }] }],
+      }),
+      { name: "BillSplitError", message: "Pizza: 1 of 2 assigned" },
+    )
+    assert.equal(update.mock.callCount(), 0)
+  })
+
+  it("gives each seat its items and shares the rest evenly between the seats", async () => {
+    const bill = pendingBill()
+    stubModel(Bill, "findOne", bill)
+    stubSplit(bill)
+
+    const split = await splitBill(restaurantId, bill._id, { mode: "seat" })
+
+    assert.deepEqual(
+      split.parts.map((part) => [part.label, part.amount]),
+      [
+        ["Seat 1", 10.2],
+        ["Seat 2", 27.2],
+      ],
+    )
+    assert.equal(sumCents(split.parts), cents(bill.total))
+  })
+
+  it("says how far custom amounts are from the amount due", async () => {
+    stubModel(Bill, "findOne", pendingBill())
+
+    await assert.rejects(
+      splitBill(restaurantId, new mongoose.Types.ObjectId(), { mode: "custom", parts: [{ amount: 20 }, { amount: 7.4 }] }),
+      { message: "Parts must add up to the bill total (missing 10.00)" },
+    )
+  })
+
+  it("refuses to split again once a part is paid", async () => {
+    const paidPart = { _id: new mongoose.Types.ObjectId(), label: "Ana", amount: 20, paymentStatus: "paid" }
+    stubModel(Bill, "findOne", pendingBill({ paymentStatus: "partially_paid", parts: [paidPart] }))
+    const update = stubModel(Bill, "findOneAndUpdate", null)
+
+    await assert.rejects(splitBill(restaurantId, new mongoose.Types.ObjectId(), { mode: "equal", count: 2 }), {
+      statusCode: 409,
+    })
+    assert.equal(update.mock.callCount(), 0)
+  })
+})
+
+describe("payBillPart", () => {
+  it("pays a part only while it is pending", async () => {
+    const partId = new mongoose.Types.ObjectId()
+    const bill = pendingBill({
+      paymentStatus: "partially_paid",
+      parts: [{ _id: partId, label: "Ana", amount: 20.9, paymentStatus: "paid" }],
+    })
+    const pay = stubModel(Bill, "findOneAndUpdate", null)
+    stubModel(Bill, "findOne", bill)
+
+    await assert.rejects(payBillPart(restaurantId, bill._id, partId, { paymentMethod: "cash" }), {
+      message: "Bill part is already paid",
+      statusCode: 409,
+    })
+    assert.deepEqual(pay.mock.calls[0].arguments[0].parts, { $elemMatch: { _id: partId, paymentStatus: "pending" } })
+  })
+
+  it("refuses a payment method the cashier cannot record", async () => {
+    const pay = stubModel(Bill, "findOneAndUpdate", null)
+
+    const billId = new mongoose.Types.ObjectId()
+    await assert.rejects(payBillPart(restaurantId, billId, new mongoose.Types.ObjectId(), { paymentMethod: "card" }), {
+      name: "BillSplitError",
+    })
+    assert.equal(pay.mock.callCount(), 0)
+  })
+})
@@ -0,0 +1,223 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Bill from "../models/bill.model.js"
+import { Reservation } from "../models/reservation.model.js"
+import { Refund } from "../models/refund.model.js"
+import { addBillDiscount, allocateCents, calculateBill, normalizeTip } from "../services/billingService.js"
+import { stubModel, duplicateKeyError, closeConnections } from "./helpers/models.js"
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+describe("allocateCents", () => {
+  it("shares in proportion to the weights", () => {
+    assert.deepEqual(allocateCents(1000, [1, 3]), [250, 750])
+  })
+
+  it("gives the leftover cents to the largest fractions, so shares add up to the total", () => {
+    const shares = allocateCents(100, [1, 1, 1])
+    assert.deepEqual(shares, [34, 33, 33])
+    assert.equal(sum(shares), 100)
+  })
+
+  it("shares evenly when every weight is zero", () => {
+    assert.deepEqual(allocateCents(10, [0, 0]), [5, 5])
+  })
+
+  it("always adds up to the total", () => {
+    for (const [total, weights] of [
+      [999, [333, 333, 334]],
+      [1, [5, 7, 11]],
+      [12345, [1050, 250, 999, 1]],
+    ]) {
+      assert.equal(sum(allocateCents(total, weights)), total)
+    }
+  })
+})
+
+describe("calculateBill", () => {
+  it("adds tax per line and the service charge on the subtotal", () => {
+    const bill = calculateBill({
+      lines: [
+        { amount: 10, taxRate: 10 },
+        { amount: 5, taxRate: 20 },
+      ],
+      serviceChargeRate: 10,
+    })
+
+    assert.equal(bill.subtotal, 15)
+    assert.equal(bill.tax, 2)
+    assert.equal(bill.serviceCharge, 1.5)
+    assert.equal(bill.total, 18.5)
+    assert.deepEqual(bill.taxes, [
+      { rate: 10, taxable: 10, amount: 1 },
+      { rate: 20, taxable: 5, amount: 1 },
+    ])
+  })
+
+  it("takes discounts off in order and spreads them over the lines before tax", () => {
+    const bill = calculateBill({
+      lines: [
+        { amount: 30, taxRate: 10 },
+        { amount: 10, taxRate: 0 },
+      ],
+      discounts: [
+        { label: "Happy hour", type: "percent", value: 50 },
+        { label: "Voucher", type: "amount", value: 4 },
+      ],
+    })
+
+    assert.deepEqual(
+      bill.discounts.map((discount) => discount.amount),
+      [20, 4],
+    )
+    assert.equal(bill.discountTotal, 24)
+    assert.deepEqual(
+      bill.lines.map((line) => line.discount),
+      [18, 6],
+    )
+    assert.equal(bill.tax, 1.2)
+    assert.equal(bill.total, 17.2)
+  })
+
+  it("never discounts more than the subtotal", () => {
+    const bill = calculateBill({
+      lines: [{ amount: 8, taxRate: 10 }],
+      discounts: [{ label: "Voucher", type: "amount", value: 20 }],
+    })
+
+    assert.equal(bill.discountTotal, 8)
+    assert.equal(bill.total, 0)
+  })
+
+  it("keeps line discounts and taxes adding up to the totals in cents", () => {
+    const bill = calculateBill({
+      lines: [
+        { amount: 3.33, taxRate: 7 },
+        { amount: 3.33, taxRate: 7 },
+        { amount: 3.34, taxRate: 7 },
+      ],
+      discounts: [{ label: "Promo", type: "amount", value: 1 }],
+    })
+
+    const cents = (amount) => Math.round(amount * 100)
+    assert.equal(sum(bill.lines.map((line) => cents(line.discount))), cents(bill.discountTotal))
+    assert.equal(sum(bill.lines.map((line) => cents(line.tax))), cents(bill.tax))
+    assert.equal(cents(bill.total), cents(bill.subtotal) - cents(bill.discountTotal) + cents(bill.tax))
+  })
+})
+
+describe("normalizeTip", () => {
+  it("rounds a tip to the cent and treats an empty one as none", () => {
+    assert.equal(normalizeTip("2.499"), 2.5)
+    assert.equal(normalizeTip(""), 0)
+    assert.equal(normalizeTip(undefined), 0)
+  })
+
+  it("refuses a negative or non numeric tip", () => {
+    assert.throws(() => normalizeTip(-1), { name: "BillingError" })
+    assert.throws(() => normalizeTip("abc"), { name: "BillingError" })
+  })
+})
+
+describe("addBillDiscount", () => {
+  const restaurantId = new mongoose.Types.ObjectId()
+  const reservationId = new mongoose.Types.ObjectId()
+
+  const unpaidBill = (fields = {}) =>
+    Bill.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      restaurant: restaurantId,
+      tableSessionId: new mongoose.Types.ObjectId(),
+      lines: [
+        {
+          order: new mongoose.Types.ObjectId(),
+          item: new mongoose.Types.ObjectId(),
+          name: "Menu",
+          quantity: 1,
+          unitPrice: 50,
+          amount: 50,
+        },
+      ],
+      subtotal: 50,
+      total: 50,
+      paymentStatus: "pending",
+      parts: [],
+      ...fields,
+    })
+
+  // What the bill update would store, as the updated bill
+  const stubUpdate = (bill) =>
+    stubModel(Bill, "findOneAndUpdate", (filter, update) => {
+      const updated = Bill.hydrate(bill.toObject())
+      updated.set(update.$set)
+      return updated
+    })
+
+  it("saves only over the discounts and deposit it was computed from", async () => {
+    const discount = { _id: new mongoose.Types.ObjectId(), label: "Happy hour", type: "percent", value: 10, amount: 5 }
+    const bill = unpaidBill({ discounts: [discount], discountTotal: 5, total: 45 })
+    stubModel(Bill, "findOne", bill)
+    const update = stubUpdate(bill)
+
+    const updated = await addBillDiscount(restaurantId, bill._id, { label: "Voucher", type: "amount", value: 5 })
+
+    const [filter] = update.mock.calls[0].arguments
+    assert.deepEqual(filter.discounts, { $size: 1 })
+    assert.deepEqual(filter["discounts._id"], { $all: [discount._id] })
+    assert.deepEqual(filter["deposit.amount"], { $in: [0, null] })
+    assert.equal(updated.total, 40)
+  })
+
+  it("refuses to overwrite a discount added or removed in the meantime", async () => {
+    const bill = unpaidBill()
+    stubModel(Bill, "findOne", bill)
+    stubModel(Bill, "findOneAndUpdate", null)
+
+    await assert.rejects(addBillDiscount(restaurantId, bill._id, { label: "Voucher", type: "amount", value: 5 }), {
+      name: "BillingError",
+      statusCode: 409,
+    })
+  })
+
+  it("caps the credited deposit at the new total and refunds the rest", async () => {
+    const bill = unpaidBill({ deposit: { reservation: reservationId, amount: 50 } })
+    stubModel(Bill, "findOne", bill)
+    const update = stubUpdate(bill)
+    stubModel(Reservation, "findOne", {
+      _id: reservationId,
+      deposit: { status: "applied", appliedAmount: 50, refundDue: 0, refundedAmount: 0 },
+    })
+    const reduce = stubModel(Reservation, "findOneAndUpdate", (filter, change) => {
+      const reduced = Reservation.hydrate({
+        _id: reservationId,
+        restaurant: restaurantId,
+        userId: new mongoose.Types.ObjectId(),
+        deposit: { amount: 50, status: "applied", method: "cash", refundedAmount: 0 },
+      })
+      reduced.set(change.$set)
+      return reduced
+    })
+    // Sent by an earlier attempt, only recorded on the booking here
+    const refund = stubModel(Refund, "create", duplicateKeyError())
+    stubModel(Refund, "findOne", (filter) => ({ _id: new mongoose.Types.ObjectId(), status: "succeeded", amount: 20, ...filter }))
+    const recorded = stubModel(Reservation, "updateOne", { modifiedCount: 1 })
+
+    const updated = await addBillDiscount(restaurantId, bill._id, { label: "Voucher", type: "amount", value: 20 })
+
+    assert.equal(updated.total, 30)
+    assert.equal(updated.deposit.amount, 30)
+    assert.equal(update.mock.calls[0].arguments[1].$set["deposit.amount"], 30)
+
+    const [reduceFilter, reduction] = reduce.mock.calls[0].arguments
+    assert.equal(reduceFilter["deposit.appliedAmount"], 50)
+    assert.equal(reduction.$set["deposit.appliedAmount"], 30)
+    assert.equal(reduction.$set["deposit.refundDue"], 20)
+    assert.equal(refund.mock.calls[0].arguments[0].amount, 20)
+    assert.equal(refund.mock.calls[0].arguments[0].idempotencyKey, `deposit:${reservationId}`)
+    assert.equal(recorded.mock.calls[0].arguments[1].$set["deposit.refundedAmount"], 20)
+  })
+})
@@ -0,0 +1,71 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { Reservation } from "../models/reservation.model.js"
+import { LedgerTransaction } from "../models/ledger.model.js"
+import { markDepositPaid } from "../services/depositService.js"
+import { walletAccount } from "../services/walletService.js"
+import { stubModel, duplicateKeyError, closeConnections } from "./helpers/models.js"
+
+const ledgerTransaction = new mongoose.Types.ObjectId()
+
+const booking = (fields = {}) =>
+  Reservation.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    restaurant: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    tableId: new mongoose.Types.ObjectId(),
+    reservationTime: new Date(Date.now() + 72 * 60 * 60 * 1000),
+    guests: 4,
+    status: "cancelled",
+    deposit: { amount: 40, status: "cancelled", method: "wallet" },
+    ...fields,
+  })
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("markDepositPaid", () => {
+  it("gives back a wallet payment that arrives after the booking was cancelled", async () => {
+    const reservation = booking()
+    const key = `reservation:${reservation._id}:deposit:wallet:reversal`
+    const confirm = stubModel(Reservation, "findOneAndUpdate", null)
+    stubModel(Reservation, "findById", reservation)
+    // The reversal was posted by an earlier delivery of the same payment
+    const reversal = stubModel(LedgerTransaction, "create", duplicateKeyError())
+    stubModel(LedgerTransaction, "findOne", {
+      _id: new mongoose.Types.ObjectId(),
+      idempotencyKey: key,
+      type: "reservation_deposit_refund",
+      status: "posted",
+      user: reservation.userId,
+      entries: [{ account: walletAccount(reservation.userId), direction: "credit", amount: 4000 }],
+    })
+
+    const result = await markDepositPaid(reservation._id, { method: "wallet", amount: 40, ledgerTransaction })
+
+    assert.equal(result.paid, false)
+    assert.deepEqual(confirm.mock.calls[0].arguments[0], {
+      _id: reservation._id,
+      status: "pending",
+      "deposit.status": "pending",
+    })
+    assert.equal(reversal.mock.callCount(), 1)
+    assert.equal(reversal.mock.calls[0].arguments[0].idempotencyKey, key)
+  })
+
+  it("treats the same payment recorded twice as paid without giving it back", async () => {
+    const reservation = booking({
+      status: "confirmed",
+      deposit: { amount: 40, status: "paid", method: "wallet", paidAt: new Date(), ledgerTransaction },
+    })
+    stubModel(Reservation, "findOneAndUpdate", null)
+    stubModel(Reservation, "findById", reservation)
+    const reversal = stubModel(LedgerTransaction, "create", {})
+
+    const result = await markDepositPaid(reservation._id, { method: "wallet", amount: 40, ledgerTransaction })
+
+    assert.equal(result.paid, true)
+    assert.equal(reversal.mock.callCount(), 0)
+  })
+})
@@ -0,0 +1,166 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { Driver } from "../models/driver.model.js"
+import { Order } from "../models/order.model.js"
+import { Staff } from "../models/staff.model.js"
+import { assignDriver, autoAssignOrder, estimateDeliveryTime } from "../services/dispatchService.js"
+import { stubModel, closeConnections } from "./helpers/models.js"
+
+const restaurant = {
+  _id: new mongoose.Types.ObjectId(),
+  location: { type: "Point", coordinates: [2.35, 48.85] },
+  deliverySettings: { autoAssign: true, maxOrdersPerDriver: 2, handoverMinutes: 5 },
+}
+
+const deliveryOrder = (fields = {}) =>
+  Order.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    restaurant: restaurant._id,
+    orderType: "Delivery",
+    status: "ready_for_pickup",
+    driverId: null,
+    deliveryAddress: { latitude: 48.86, longitude: 2.36 },
+    ...fields,
+  })
+
+const driver = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  restaurant: restaurant._id,
+  staff: new mongoose.Types.ObjectId(),
+  status: "available",
+  vehicle: "scooter",
+  activeOrders: [],
+  ...fields,
+})
+
+// The order as the assignment stores it
+const stubAssign = (order) =>
+  stubModel(Order, "findOneAndUpdate", (filter, update) => {
+    const assigned = Order.hydrate(order.toObject())
+    assigned.set(update.$set)
+    return assigned
+  })
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("autoAssignOrder", () => {
+  it("gives a ready order to the driver with the fewest deliveries in hand", async () => {
+    const busy = driver({ activeOrders: [new mongoose.Types.ObjectId()] })
+    const free = driver()
+    const order = deliveryOrder()
+    stubModel(Driver, "find", [busy, free])
+    const claim = stubModel(Driver, "findOneAndUpdate", { ...free, activeOrders: [order._id] })
+    const assign = stubAssign(order)
+
+    const assigned = await autoAssignOrder(restaurant, order)
+
+    assert.ok(assigned.driverId.equals(free.staff))
+    assert.equal(assigned.dispatch.auto, true)
+    const [claimFilter, claimUpdate] = claim.mock.calls[0].arguments
+    assert.ok(claimFilter.staff.equals(free.staff))
+    assert.deepEqual(claimFilter.activeOrders, { $ne: order._id })
+    assert.deepEqual(claimFilter["activeOrders.1"], { $exists: false })
+    assert.deepEqual(claimUpdate.$push, { activeOrders: order._id })
+    assert.equal(assign.mock.calls[0].arguments[0].driverId, null)
+  })
+
+  it("tries the next driver when the best one was taken meanwhile", async () => {
+    const first = driver()
+    const second = driver({ activeOrders: [new mongoose.Types.ObjectId()] })
+    const order = deliveryOrder()
+    stubModel(Driver, "find", [first, second])
+    const claim = stubModel(Driver, "findOneAndUpdate", null, second)
+    stubAssign(order)
+
+    const assigned = await autoAssignOrder(restaurant, order)
+
+    assert.equal(claim.mock.callCount(), 2)
+    assert.ok(claim.mock.calls[1].arguments[0].staff.equals(second.staff))
+    assert.ok(assigned.driverId.equals(second.staff))
+  })
+
+  it("leaves the order waiting when no driver takes it", async () => {
+    stubModel(Driver, "find", [driver()])
+    stubModel(Driver, "findOneAndUpdate", null)
+    const assign = stubModel(Order, "findOneAndUpdate", null)
+
+    assert.equal(await autoAssignOrder(restaurant, deliveryOrder()), null)
+    assert.equal(assign.mock.callCount(), 0)
+  })
+})
+
+describe("assignDriver", () => {
+  it("keeps the order with its driver when that driver ranks best", async () => {
+    const current = driver()
+    const order = deliveryOrder({ driverId: current.staff })
+    current.activeOrders = [order._id]
+    stubModel(Driver, "find", [current, driver({ activeOrders: [new mongoose.Types.ObjectId()] })])
+    const claim = stubModel(Driver, "findOneAndUpdate", null)
+    const release = stubModel(Driver, "updateOne", { modifiedCount: 1 })
+
+    const assigned = await assignDriver(restaurant, order, null)
+
+    assert.equal(assigned, order)
+    assert.equal(claim.mock.callCount(), 0)
+    assert.equal(release.mock.callCount(), 0)
+  })
+
+  it("moves the order to the chosen driver and frees the previous one", async () => {
+    const previous = new mongoose.Types.ObjectId()
+    const chosen = driver()
+    const order = deliveryOrder({ status: "preparing", driverId: previous })
+    stubModel(Staff, "findOne", { _id: chosen.staff, role: "driver", permissions: [] })
+    stubModel(Driver, "findOneAndUpdate", chosen)
+    const assign = stubAssign(order)
+    const release = stubModel(Driver, "updateOne", { modifiedCount: 1 })
+
+    const assigned = await assignDriver(restaurant, order, chosen.staff.toString())
+
+    assert.ok(assigned.driverId.equals(chosen.staff))
+    assert.ok(assign.mock.calls[0].arguments[0].driverId.equals(previous))
+    const [releaseFilter, releaseUpdate] = release.mock.calls[0].arguments
+    assert.ok(releaseFilter.staff.equals(previous))
+    assert.deepEqual(releaseUpdate, { $pull: { activeOrders: order._id } })
+  })
+
+  it("gives the driver's slot back when the order changed driver meanwhile", async () => {
+    const chosen = driver()
+    const order = deliveryOrder()
+    stubModel(Staff, "findOne", { _id: chosen.staff, role: "driver", permissions: [] })
+    stubModel(Driver, "findOneAndUpdate", chosen)
+    stubModel(Order, "findOneAndUpdate", null)
+    const release = stubModel(Driver, "updateOne", { modifiedCount: 1 })
+
+    await assert.rejects(assignDriver(restaurant, order, chosen.staff.toString()), {
+      name: "DispatchError",
+      statusCode: 409,
+    })
+    assert.ok(release.mock.calls[0].arguments[0].staff.equals(chosen.staff))
+  })
+
+  it("refuses an order that was already picked up", async () => {
+    const claim = stubModel(Driver, "findOneAndUpdate", null)
+
+    await assert.rejects(assignDriver(restaurant, deliveryOrder({ status: "picked_up" }), null), {
+      name: "DispatchError",
+      statusCode: 409,
+    })
+    assert.equal(claim.mock.callCount(), 0)
+  })
+})
+
+describe("estimateDeliveryTime", () => {
+  it("adds the ride to the customer and the handovers to the current time", () => {
+    const now = new Date("2030-01-01T12:00:00Z")
+    const eta = estimateDeliveryTime(restaurant, deliveryOrder(), null, now)
+
+    // About 1.35 km in a straight line, by scooter with the route factor, plus two handovers
+    assert.equal((eta - now) / 60000, 15)
+  })
+
+  it("has no estimate without the customer's coordinates", () => {
+    assert.equal(estimateDeliveryTime(restaurant, deliveryOrder({ deliveryAddress: {} })), null)
+  })
+})
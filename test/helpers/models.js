@@ -0,0 +1,54 @@
+/**
+ * Stand-ins for Mongoose model calls, so services can be tested without a database.
+ * A stubbed static answers each call with the next of its scripted results (the last one
+ * is repeated); the arguments it was called with are on stub.mock.calls.
+ */
+import { mock } from "node:test"
+import redisService from "../../services/redis.service.js"
+
+/**
+ * Chainable, awaitable stand-in for a Mongoose query
+ * @param {*} result - What the query resolves to, an Error rejects it
+ * @returns {object}
+ */
+export const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    cursor: () => (async function* () {
+      yield* result
+    })(),
+    then: (resolve, reject) => (result instanceof Error ? Promise.reject(result) : Promise.resolve(result)).then(resolve, reject),
+  }
+  return chain
+}
+
+/**
+ * Replace a model static with scripted results
+ * @param {object} Model - Mongoose model
+ * @param {string} method - Static to replace, e.g. "findOneAndUpdate"
+ * @param {...*} results - One result per call, functions are called with the call's arguments
+ * @returns {object} - The mock (restored by mock.restoreAll())
+ */
+export const stubModel = (Model, method, ...results) => {
+  let call = 0
+  return mock.method(Model, method, (...args) => {
+    const result = results[Math.min(call++, results.length - 1)]
+    return query(typeof result === "function" ? result(...args) : result)
+  })
+}
+
+/**
+ * Error MongoDB raises for a duplicate unique key
+ * @returns {Error}
+ */
+export const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+
+/**
+ * Close the Redis client the services open on import, so the test process can exit
+ */
+export const closeConnections = () => redisService.client.disconnect()
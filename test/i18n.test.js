@@ -0,0 +1,52 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import fr from "../lib/i18n/fr.js"
+import ar from "../lib/i18n/ar.js"
+import { translate, resolveLocale, parseAcceptLanguage } from "../lib/i18n/index.js"
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort()
+
+describe("catalogs", () => {
+  it("translate the same messages", () => {
+    assert.deepEqual(Object.keys(ar).sort(), Object.keys(fr).sort())
+  })
+
+  it("keep every placeholder of the English message", () => {
+    for (const catalog of [fr, ar]) {
+      for (const [key, translation] of Object.entries(catalog)) {
+        assert.deepEqual(placeholders(translation), placeholders(key), key)
+      }
+    }
+  })
+})
+
+describe("translate", () => {
+  it("translates a message of the catalog", () => {
+    assert.equal(translate("fr", "Order not found"), fr["Order not found"])
+  })
+
+  it("keeps the runtime parts of a templated message", () => {
+    assert.equal(translate("fr", "Order status is already preparing"), "Le statut de la commande est déjà preparing")
+    assert.equal(
+      translate("fr", "Parts must add up to the bill total (over by 2.50)"),
+      "Les parts doivent totaliser l'addition (dépassement de 2.50)",
+    )
+  })
+
+  it("returns unknown messages and English as they are", () => {
+    assert.equal(translate("fr", "Something new"), "Something new")
+    assert.equal(translate("en", "Order not found"), "Order not found")
+  })
+})
+
+describe("resolveLocale", () => {
+  it("prefers the saved language, then the best supported Accept-Language", () => {
+    assert.equal(resolveLocale("fr", "ar"), "ar")
+    assert.equal(resolveLocale("de,ar-DZ;q=0.5,fr;q=0.8"), "fr")
+    assert.equal(resolveLocale("de"), "en")
+  })
+
+  it("ignores locales refused with a zero quality", () => {
+    assert.deepEqual(parseAcceptLanguage("fr;q=0, ar"), ["ar"])
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import MenuItem from "../models/menuItem.model.js"
+import { applyMenuSchedules, isMenuItemAvailable } from "../services/menuScheduleService.js"
+import { stubModel, closeConnections } from "./helpers/models.js"
+
+const now = new Date("2030-06-01T12:00:00Z")
+const restaurant = { _id: new mongoose.Types.ObjectId(), timezone: "UTC", dayparts: [] }
+
+const eightySixed = (fields = {}) =>
+  MenuItem.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    restaurant: restaurant._id,
+    name: "Tarte tatin",
+    price: 8,
+    isAvailable: false,
+    soldOut: false,
+    restoreAvailabilityAt: new Date(now.getTime() - 60 * 1000),
+    ...fields,
+  })
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("isMenuItemAvailable", () => {
+  it("counts an item whose 86 is over as available", () => {
+    assert.equal(isMenuItemAvailable(eightySixed(), restaurant, now), true)
+  })
+
+  it("keeps an item sold out by stock unavailable when its 86 is over", () => {
+    assert.equal(isMenuItemAvailable(eightySixed({ soldOut: true }), restaurant, now), false)
+  })
+})
+
+describe("applyMenuSchedules", () => {
+  it("puts back an item whose 86 is over", async () => {
+    const menuItem = eightySixed()
+    stubModel(MenuItem, "find", [menuItem], [])
+    const restore = stubModel(MenuItem, "findOneAndUpdate", (filter, update) => ({ ...menuItem.toObject(), ...update.$set }))
+
+    assert.deepEqual(await applyMenuSchedules(now), { restored: 1, repriced: 0 })
+    const [filter, update] = restore.mock.calls[0].arguments
+    assert.deepEqual(filter.soldOut, { $ne: true })
+    assert.deepEqual(update, { $set: { isAvailable: true }, $unset: { restoreAvailabilityAt: 1 } })
+  })
+
+  it("only clears the 86 of an item sold out by stock", async () => {
+    stubModel(MenuItem, "find", [eightySixed({ soldOut: true })], [])
+    stubModel(MenuItem, "findOneAndUpdate", null)
+    const clear = stubModel(MenuItem, "updateOne", { modifiedCount: 1 })
+
+    assert.deepEqual(await applyMenuSchedules(now), { restored: 0, repriced: 0 })
+    const [filter, update] = clear.mock.calls[0].arguments
+    assert.equal(filter.soldOut, true)
+    assert.deepEqual(update, { $unset: { restoreAvailabilityAt: 1 } })
+  })
+})
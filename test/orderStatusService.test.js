@@ -0,0 +1,120 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { Order } from "../models/order.model.js"
+import { canTransition, getAllowedTransitions, transitionOrderStatus } from "../services/orderStatusService.js"
+import { stubModel, closeConnections } from "./helpers/models.js"
+
+const takeAway = (fields = {}) =>
+  Order.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    restaurant: new mongoose.Types.ObjectId(),
+    orderType: "Take Away",
+    status: "preparing",
+    items: [],
+    stationTickets: [],
+    statusHistory: [],
+    subtotal: 12,
+    total: 12,
+    ...fields,
+  })
+
+// The order as the conditional update stores it
+const applied = (order) => (filter, update) => {
+  const stored = Order.hydrate(order.toObject())
+  stored.set({ status: update.$set.status, statusHistory: [...order.statusHistory, update.$push.statusHistory] })
+  return stored
+}
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("order lifecycles", () => {
+  it("follow the order type", () => {
+    assert.equal(canTransition("Dine In", "ready_for_pickup", "served"), true)
+    assert.equal(canTransition("Take Away", "ready_for_pickup", "served"), false)
+    assert.equal(canTransition("Delivery", "ready_for_pickup", "picked_up"), true)
+    assert.equal(canTransition("Delivery", "pending", "delivered"), false)
+  })
+
+  it("end at completed and cancelled", () => {
+    assert.deepEqual(getAllowedTransitions("Delivery", "completed"), [])
+    assert.deepEqual(getAllowedTransitions("Dine In", "cancelled"), [])
+    assert.deepEqual(getAllowedTransitions("Catering", "pending"), [])
+  })
+
+  it("reject unknown statuses", () => {
+    assert.equal(canTransition("Dine In", "pending", "teleported"), false)
+  })
+})
+
+describe("transitionOrderStatus", () => {
+  it("saves the change only over the status it was checked against and records it", async () => {
+    const order = takeAway()
+    const changedBy = new mongoose.Types.ObjectId()
+    const update = stubModel(Order, "findOneAndUpdate", applied(order))
+
+    const updated = await transitionOrderStatus(order, "ready_for_pickup", { changedBy, changedByModel: "Staff" })
+
+    assert.equal(updated.status, "ready_for_pickup")
+    const [filter, change] = update.mock.calls[0].arguments
+    assert.equal(filter.status, "preparing")
+    assert.ok(filter.stationTickets.$not)
+    assert.equal(change.$set.status, "ready_for_pickup")
+    assert.equal(change.$push.statusHistory.from, "preparing")
+    assert.equal(change.$push.statusHistory.changedByModel, "Staff")
+    assert.ok(change.$push.statusHistory.changedBy.equals(changedBy))
+  })
+
+  it("refuses a change outside the lifecycle without writing", async () => {
+    const update = stubModel(Order, "findOneAndUpdate", null)
+
+    await assert.rejects(transitionOrderStatus(takeAway({ status: "completed" }), "preparing"), {
+      name: "OrderStatusTransitionError",
+      statusCode: 409,
+    })
+    assert.equal(update.mock.callCount(), 0)
+  })
+
+  it("keeps an order in preparation while a station is still working", async () => {
+    const order = takeAway({ stationTickets: [{ station: "grill", status: "preparing", items: [] }] })
+    const update = stubModel(Order, "findOneAndUpdate", null)
+
+    await assert.rejects(transitionOrderStatus(order, "ready_for_pickup"), {
+      message: "Cannot mark order ready, stations still working: grill",
+    })
+    assert.equal(update.mock.callCount(), 0)
+  })
+
+  it("checks again against the order as it is when it changed meanwhile", async () => {
+    const order = takeAway()
+    const update = stubModel(Order, "findOneAndUpdate", null)
+    stubModel(Order, "findById", takeAway({ _id: order._id, status: "cancelled" }))
+
+    await assert.rejects(transitionOrderStatus(order, "ready_for_pickup"), {
+      name: "OrderStatusTransitionError",
+      message: "Cannot change Take Away order from 'cancelled' to 'ready_for_pickup'",
+    })
+    assert.equal(update.mock.callCount(), 1)
+    assert.equal(order.status, "cancelled")
+  })
+
+  it("closes the open station tickets of a cancelled order", async () => {
+    const order = takeAway({
+      stationTickets: [
+        { station: "grill", status: "preparing", items: [] },
+        { station: "bar", status: "ready", items: [] },
+      ],
+    })
+    // The cancellation, then the stock was never deducted so there is none to restore
+    const update = stubModel(Order, "findOneAndUpdate", applied(order), null)
+
+    await transitionOrderStatus(order, "cancelled", { reason: "Customer left" })
+
+    const [filter, change, options] = update.mock.calls[0].arguments
+    assert.deepEqual(filter, { _id: order._id, status: "preparing" })
+    assert.equal(change.$set["stationTickets.$[open].status"], "cancelled")
+    assert.equal(change.$push.statusHistory.reason, "Customer left")
+    assert.deepEqual(options.arrayFilters, [{ "open.status": { $in: ["pending", "preparing"] } }])
+  })
+})
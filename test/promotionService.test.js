@@ -0,0 +1,124 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { Promotion, PromotionUsage } from "../models/promotion.model.js"
+import { Order } from "../models/order.model.js"
+import { computePromotionDiscount, reservePromotion, releaseOrderPromotion } from "../services/promotionService.js"
+import { stubModel, duplicateKeyError, closeConnections } from "./helpers/models.js"
+
+const userId = new mongoose.Types.ObjectId()
+
+const promotion = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  isActive: true,
+  type: "percent",
+  value: 10,
+  ...fields,
+})
+
+const line = (price, quantity = 1, fields = {}) => ({ price, quantity, total: price * quantity, ...fields })
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("computePromotionDiscount", () => {
+  it("takes a percent of the eligible items, capped at the maximum discount", () => {
+    const offer = promotion({ value: 50, maxDiscount: 6, categories: ["pizza"] })
+    const items = [line(10, 1, { category: "Pizza " }), line(8, 1, { category: "Dessert" })]
+
+    assert.deepEqual(computePromotionDiscount(offer, items, 18), { discount: 5, reason: null })
+    assert.deepEqual(computePromotionDiscount(offer, [line(20, 1, { category: "pizza" })], 20), {
+      discount: 6,
+      reason: null,
+    })
+  })
+
+  it("gives the cheapest units of each buy x get y group", () => {
+    const offer = promotion({ type: "buy_x_get_y", buyQuantity: 2, getQuantity: 1, getDiscountPercent: 100 })
+    const items = [line(12, 2), line(9, 2), line(5, 1)]
+
+    // 12, 12, 9 then 9, 5: one full group, its cheapest unit (9) is free
+    assert.equal(computePromotionDiscount(offer, items, 47).discount, 9)
+    assert.equal(computePromotionDiscount(offer, [line(12, 2)], 24).reason, "Add 3 eligible items to get the offer")
+  })
+
+  it("never discounts more than the eligible items or below the minimum order", () => {
+    assert.equal(computePromotionDiscount(promotion({ type: "fixed", value: 30 }), [line(12)], 12).discount, 12)
+    assert.equal(
+      computePromotionDiscount(promotion({ minOrderValue: 20 }), [line(12)], 12).reason,
+      "Order must be at least 20.00",
+    )
+  })
+})
+
+describe("reservePromotion", () => {
+  it("counts a use only while the global cap is not reached", async () => {
+    const offer = promotion({ usageLimit: 100 })
+    const count = stubModel(Promotion, "findOneAndUpdate", { _id: offer._id })
+
+    await reservePromotion(offer, userId)
+
+    const [filter, update] = count.mock.calls[0].arguments
+    assert.deepEqual(filter, { _id: offer._id, usageCount: { $lt: 100 } })
+    assert.deepEqual(update, { $inc: { usageCount: 1 } })
+  })
+
+  it("refuses a fully redeemed promotion", async () => {
+    stubModel(Promotion, "findOneAndUpdate", null)
+    const usage = stubModel(PromotionUsage, "findOneAndUpdate", {})
+
+    await assert.rejects(reservePromotion(promotion({ usageLimit: 1, perUserLimit: 1 }), userId), {
+      name: "PromotionError",
+      message: "This promotion has been fully redeemed",
+      statusCode: 409,
+    })
+    assert.equal(usage.mock.callCount(), 0)
+  })
+
+  it("gives the global use back when the customer is at their cap", async () => {
+    const offer = promotion({ perUserLimit: 2 })
+    stubModel(Promotion, "findOneAndUpdate", { _id: offer._id })
+    const usage = stubModel(PromotionUsage, "findOneAndUpdate", duplicateKeyError())
+    const release = stubModel(Promotion, "updateOne", { modifiedCount: 1 })
+
+    await assert.rejects(reservePromotion(offer, userId), {
+      message: "You have already used this promotion",
+      statusCode: 409,
+    })
+    const [filter, update, options] = usage.mock.calls[0].arguments
+    assert.deepEqual(filter, { promotion: offer._id, user: userId, count: { $lt: 2 } })
+    assert.deepEqual(update, { $inc: { count: 1 } })
+    assert.equal(options.upsert, true)
+    assert.deepEqual(release.mock.calls[0].arguments[1], { $inc: { usageCount: -1 } })
+  })
+
+  it("needs a signed in customer for a per customer cap", async () => {
+    const count = stubModel(Promotion, "findOneAndUpdate", {})
+
+    await assert.rejects(reservePromotion(promotion({ perUserLimit: 1 }), null), { statusCode: 401 })
+    assert.equal(count.mock.callCount(), 0)
+  })
+})
+
+describe("releaseOrderPromotion", () => {
+  const cancelledOrder = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    promotion: { promotion: new mongoose.Types.ObjectId(), code: "SUMMER", redeemedBy: userId },
+  })
+
+  it("gives the use back once per cancelled order", async () => {
+    const order = cancelledOrder()
+    const claim = stubModel(Order, "findOneAndUpdate", { _id: order._id }, null)
+    const release = stubModel(Promotion, "updateOne", { modifiedCount: 1 })
+    const usage = stubModel(PromotionUsage, "updateOne", { modifiedCount: 1 })
+
+    await releaseOrderPromotion(order)
+    await releaseOrderPromotion(order)
+
+    assert.equal(claim.mock.callCount(), 2)
+    assert.equal(claim.mock.calls[0].arguments[0]["promotion.releasedAt"], null)
+    assert.equal(release.mock.callCount(), 1)
+    assert.deepEqual(release.mock.calls[0].arguments[0].usageCount, { $gt: 0 })
+    assert.equal(usage.mock.callCount(), 1)
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import Stripe from "stripe"
+import { Order } from "../models/order.model.js"
+import { Refund } from "../models/refund.model.js"
+import { refundOrder } from "../services/refundService.js"
+import { stubModel, closeConnections } from "./helpers/models.js"
+
+// Refund resources of every Stripe client share this prototype
+const stripeRefunds = Object.getPrototypeOf(new Stripe("sk_test_refunds").refunds)
+
+const restaurantId = new mongoose.Types.ObjectId()
+const itemId = new mongoose.Types.ObjectId()
+
+const paidOrder = (fields = {}) =>
+  Order.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    restaurant: restaurantId,
+    items: [{ _id: itemId, name: "Pizza", quantity: 2, price: 10, total: 20, refundedQuantity: 0 }],
+    subtotal: 30,
+    total: 30,
+    amountRefunded: 0,
+    paymentStatus: "paid",
+    paymentMethod: "card",
+    paymentId: "pi_test",
+    ...fields,
+  })
+
+// The order with the refund's amount reserved on it
+const reservedOrder = (order) => (filter, update) => {
+  const reserved = Order.hydrate(order.toObject())
+  reserved.amountRefunded += update.$inc.amountRefunded
+  return reserved
+}
+
+const stripeError = (type) => Object.assign(new Error("Stripe error"), { type })
+
+beforeEach(() => {
+  mock.method(Refund.prototype, "save", async function () {
+    return this
+  })
+})
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("refundOrder", () => {
+  it("refuses more than what is left to refund", async () => {
+    stubModel(Order, "findOne", paidOrder({ amountRefunded: 25, paymentStatus: "partially_refunded" }))
+    stubModel(Refund, "findOne", null)
+    const create = stubModel(Refund, "create", {})
+
+    await assert.rejects(refundOrder(restaurantId, new mongoose.Types.ObjectId(), { amount: 10 }), {
+      name: "RefundError",
+      message: "Refund exceeds the refundable amount (5.00)",
+    })
+    assert.equal(create.mock.callCount(), 0)
+  })
+
+  it("refuses an order that was not paid", async () => {
+    stubModel(Order, "findOne", paidOrder({ paymentStatus: "pending" }))
+    stubModel(Refund, "findOne", null)
+
+    await assert.rejects(refundOrder(restaurantId, new mongoose.Types.ObjectId(), { amount: 10 }), { name: "RefundError" })
+  })
+
+  it("reserves the amount while enough is left, then refunds the card under the refund's key", async () => {
+    const order = paidOrder()
+    stubModel(Order, "findOne", order)
+    stubModel(Refund, "findOne", null)
+    stubModel(Refund, "create", (fields) => new Refund(fields))
+    const reserve = stubModel(Order, "findOneAndUpdate", reservedOrder(order))
+    const send = mock.method(stripeRefunds, "create", async () => ({ id: "re_1", status: "succeeded" }))
+    const complete = stubModel(Refund, "findOneAndUpdate", (filter, update) => ({ _id: filter._id, amount: 10, ...update.$set }))
+    const settle = stubModel(Order, "findByIdAndUpdate", (id, update) => ({ ...order.toObject(), ...update.$set }))
+
+    const { refund, order: updated, existing } = await refundOrder(restaurantId, order._id, { amount: 10 })
+
+    assert.equal(existing, false)
+    assert.equal(refund.status, "succeeded")
+    assert.equal(updated.paymentStatus, "partially_refunded")
+    const [filter, update] = reserve.mock.calls[0].arguments
+    assert.equal(filter.$and[0].amountRefunded.$lte, 20.001)
+    assert.deepEqual(update.$inc, { amountRefunded: 10 })
+    const [request, options] = send.mock.calls[0].arguments
+    assert.equal(request.amount, 1000)
+    assert.equal(options.idempotencyKey, `refund:${complete.mock.calls[0].arguments[0]._id}`)
+    assert.equal(settle.mock.callCount(), 1)
+  })
+
+  it("counts refunded quantities of the lines it refunds", async () => {
+    const order = paidOrder()
+    stubModel(Order, "findOne", order)
+    stubModel(Refund, "findOne", null)
+    const create = stubModel(Refund, "create", (fields) => new Refund(fields))
+    const reserve = stubModel(Order, "findOneAndUpdate", reservedOrder(order))
+    mock.method(stripeRefunds, "create", async () => ({ id: "re_1", status: "succeeded" }))
+    stubModel(Refund, "findOneAndUpdate", (filter, update) => ({ _id: filter._id, ...update.$set }))
+    stubModel(Order, "findByIdAndUpdate", order)
+
+    await refundOrder(restaurantId, order._id, { items: [{ itemId, quantity: 1 }] })
+
+    assert.equal(create.mock.calls[0].arguments[0].amount, 10)
+    const [filter, update, options] = reserve.mock.calls[0].arguments
+    assert.deepEqual(filter.$and[1], { items: { $elemMatch: { _id: itemId, refundedQuantity: { $lte: 1 } } } })
+    assert.equal(update.$inc["items.$[i0].refundedQuantity"], 1)
+    assert.deepEqual(options.arrayFilters, [{ "i0._id": itemId }])
+  })
+
+  it("gives the reservation back when Stripe refuses the refund", async () => {
+    const order = paidOrder()
+    stubModel(Order, "findOne", order)
+    stubModel(Refund, "findOne", null)
+    let refund
+    stubModel(Refund, "create", (fields) => (refund = new Refund(fields)))
+    stubModel(Order, "findOneAndUpdate", reservedOrder(order))
+    mock.method(stripeRefunds, "create", async () => {
+      throw stripeError("StripeInvalidRequestError")
+    })
+    const release = stubModel(Order, "updateOne", { modifiedCount: 1 })
+
+    await assert.rejects(refundOrder(restaurantId, order._id, { amount: 10 }), { name: "RefundError", statusCode: 502 })
+
+    assert.equal(refund.status, "failed")
+    assert.deepEqual(release.mock.calls[0].arguments[1].$inc, { amountRefunded: -10 })
+  })
+
+  it("keeps a refund Stripe did not answer and sends it again under the same key", async () => {
+    const order = paidOrder()
+    let refund
+    stubModel(Order, "findOne", order, reservedOrder(order)(null, { $inc: { amountRefunded: 10 } }))
+    stubModel(Refund, "findOne", null, () => refund)
+    stubModel(Refund, "create", (fields) => (refund = new Refund(fields)))
+    stubModel(Order, "findOneAndUpdate", reservedOrder(order))
+    const send = mock.method(stripeRefunds, "create", async () => ({ id: "re_1", status: "succeeded" }))
+    send.mock.mockImplementationOnce(async () => {
+      throw stripeError("StripeConnectionError")
+    })
+    const release = stubModel(Order, "updateOne", { modifiedCount: 1 })
+    stubModel(Refund, "findOneAndUpdate", (filter, update) => ({ _id: filter._id, amount: 10, ...update.$set }))
+    stubModel(Order, "findByIdAndUpdate", (id, update) => ({ ...order.toObject(), ...update.$set }))
+
+    await assert.rejects(refundOrder(restaurantId, order._id, { amount: 10 }), { name: "RefundError", statusCode: 502 })
+    assert.equal(refund.status, "processing")
+    assert.equal(release.mock.callCount(), 0)
+
+    const retried = await refundOrder(restaurantId, order._id, { amount: 10 })
+
+    assert.equal(retried.existing, true)
+    assert.equal(retried.refund.status, "succeeded")
+    assert.equal(retried.order.paymentStatus, "partially_refunded")
+    const keys = send.mock.calls.map((call) => call.arguments[1].idempotencyKey)
+    assert.deepEqual(keys, [`refund:${refund._id}`, `refund:${refund._id}`])
+  })
+})
@@ -0,0 +1,257 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { Reservation } from "../models/reservation.model.js"
+import { Refund } from "../models/refund.model.js"
+import { Table } from "../models/table.model.js"
+import TableSession from "../models/table-session.model.js"
+import {
+  cancelReservation,
+  settleCancelledDeposit,
+  getRequiredDeposit,
+  markNoShow,
+  checkInReservation,
+} from "../services/reservationService.js"
+import { stubModel, duplicateKeyError, closeConnections } from "./helpers/models.js"
+
+const HOUR_MS = 60 * 60 * 1000
+
+const restaurant = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Chez Test",
+  timezone: "UTC",
+  reservationSettings: {
+    cancellationCutoffMinutes: 120,
+    deposit: { amountPerGuest: 10, minPartySize: 6, dates: ["2030-12-31"], refundCutoffMinutes: 1440, lateRefundPercent: 50 },
+  },
+}
+
+const booking = ({ deposit, ...fields } = {}) =>
+  new Reservation({
+    _id: new mongoose.Types.ObjectId(),
+    restaurant: restaurant._id,
+    userId: new mongoose.Types.ObjectId(),
+    tableId: new mongoose.Types.ObjectId(),
+    reservationTime: new Date(Date.now() + 72 * HOUR_MS),
+    guests: 4,
+    status: "pending",
+    deposit: { amount: 40, status: "pending", method: "wallet", ...deposit },
+    ...fields,
+  })
+
+// The same booking as it is in the database now
+const asStored = (reservation, fields = {}) => {
+  const stored = Reservation.hydrate(reservation.toObject())
+  stored.set(fields)
+  return stored
+}
+
+// The deposit refund was already sent, so refundReservationDeposit only records it on the booking
+const stubSentRefund = () => {
+  const create = stubModel(Refund, "create", duplicateKeyError())
+  stubModel(Refund, "findOne", (filter) => ({ _id: new mongoose.Types.ObjectId(), status: "succeeded", amount: 40, ...filter }))
+  return create
+}
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("cancelReservation", () => {
+  it("drops an unpaid deposit in the cancelling update", async () => {
+    const reservation = booking()
+    const cancel = stubModel(Reservation, "findOneAndUpdate", (filter, update) =>
+      asStored(reservation, { ...update.$set, "deposit.status": "cancelled" }),
+    )
+    const settle = stubModel(Reservation, "updateOne", { modifiedCount: 0 })
+
+    const cancelled = await cancelReservation(restaurant, reservation)
+
+    assert.equal(cancelled.status, "cancelled")
+    assert.equal(cancelled.deposit.status, "cancelled")
+    const [filter, update] = cancel.mock.calls[0].arguments
+    assert.deepEqual(filter, { _id: reservation._id, status: "pending", "deposit.status": "pending" })
+    assert.equal(update.$set["deposit.status"], "cancelled")
+    assert.equal(cancel.mock.callCount(), 1)
+    assert.equal(settle.mock.callCount(), 0)
+  })
+
+  it("settles a deposit paid while the booking was being cancelled as paid", async () => {
+    const reservation = booking()
+    const paid = asStored(reservation, { status: "confirmed", "deposit.status": "paid", "deposit.paidAt": new Date() })
+    stubModel(Reservation, "findById", paid)
+    const update = stubModel(
+      Reservation,
+      "findOneAndUpdate",
+      null,
+      (filter, change) => asStored(paid, change.$set),
+      (filter, change) => asStored(paid, { status: "cancelled", cancelledBy: "customer", ...change.$set }),
+    )
+    const refund = stubSentRefund()
+    stubModel(Reservation, "updateOne", { modifiedCount: 1 })
+
+    const cancelled = await cancelReservation(restaurant, reservation)
+
+    // Lost to the payment, then cancelled as the confirmed booking with a paid deposit
+    const [, [retryFilter, retry], [settleFilter, settle]] = update.mock.calls.map((call) => call.arguments)
+    assert.deepEqual(retryFilter, { _id: reservation._id, status: "confirmed", "deposit.status": "paid" })
+    assert.equal(retry.$set["deposit.status"], undefined)
+    assert.deepEqual(settleFilter, { _id: reservation._id, "deposit.status": "paid" })
+    assert.equal(settle.$set["deposit.status"], "refunded")
+    assert.equal(settle.$set["deposit.refundDue"], 40)
+
+    assert.equal(cancelled.status, "cancelled")
+    assert.equal(cancelled.deposit.status, "refunded")
+    assert.equal(refund.mock.calls[0].arguments[0].amount, 40)
+    assert.equal(refund.mock.calls[0].arguments[0].idempotencyKey, `deposit:${reservation._id}`)
+  })
+
+  it("refuses a booking that is no longer pending or confirmed", async () => {
+    const update = stubModel(Reservation, "findOneAndUpdate", null)
+
+    await assert.rejects(cancelReservation(restaurant, booking({ status: "seated" })), {
+      name: "ReservationError",
+      statusCode: 409,
+    })
+    assert.equal(update.mock.callCount(), 0)
+  })
+
+  it("holds guests to the cancellation cutoff", async () => {
+    const update = stubModel(Reservation, "findOneAndUpdate", null)
+
+    await assert.rejects(cancelReservation(restaurant, booking({ reservationTime: new Date(Date.now() + HOUR_MS) })), {
+      name: "ReservationError",
+    })
+    assert.equal(update.mock.callCount(), 0)
+  })
+})
+
+describe("settleCancelledDeposit", () => {
+  const cancelledBooking = (deposit, hoursBefore = 72) => {
+    const reservationTime = new Date(Date.now() + hoursBefore * HOUR_MS)
+    return booking({ status: "cancelled", cancelledBy: "customer", cancelledAt: new Date(), reservationTime, deposit })
+  }
+
+  it("settles a late payment of a cancelled booking as paid, by the refund policy", async () => {
+    const reservation = cancelledBooking({ status: "pending" }, 12)
+    // The pending deposit was paid before it could be dropped, then the refund is recorded
+    stubModel(Reservation, "updateOne", { modifiedCount: 0 }, { modifiedCount: 1 })
+    stubModel(Reservation, "findById", asStored(reservation, { "deposit.status": "paid" }))
+    const settle = stubModel(Reservation, "findOneAndUpdate", (filter, update) => asStored(reservation, update.$set))
+    stubSentRefund()
+
+    await settleCancelledDeposit(restaurant, reservation)
+
+    const { $set } = settle.mock.calls[0].arguments[1]
+    assert.equal($set["deposit.status"], "partially_refunded")
+    assert.equal($set["deposit.refundDue"], 20)
+    assert.equal($set["deposit.forfeitedAmount"], 20)
+    assert.equal(reservation.deposit.status, "partially_refunded")
+  })
+
+  it("does nothing when another run settled the deposit first", async () => {
+    const reservation = cancelledBooking({ status: "paid" })
+    stubModel(Reservation, "findOneAndUpdate", null)
+    const refund = stubModel(Refund, "create", {})
+
+    assert.equal(await settleCancelledDeposit(restaurant, reservation), null)
+    assert.equal(refund.mock.callCount(), 0)
+  })
+})
+
+describe("markNoShow", () => {
+  const overdue = (deposit) =>
+    booking({ status: "confirmed", reservationTime: new Date(Date.now() - HOUR_MS), deposit })
+
+  it("forfeits a paid deposit in the update that marks the booking", async () => {
+    const reservation = overdue({ status: "paid" })
+    const mark = stubModel(Reservation, "findOneAndUpdate", (filter, update) => asStored(reservation, update.$set))
+    const free = stubModel(Table, "updateMany", { modifiedCount: 1 })
+
+    await markNoShow(restaurant, reservation)
+
+    const [filter, update] = mark.mock.calls[0].arguments
+    assert.deepEqual(filter, { _id: reservation._id, status: "confirmed" })
+    assert.equal(update.$set["deposit.status"], "forfeited")
+    assert.equal(update.$set["deposit.forfeitedAmount"], 40)
+    assert.equal(reservation.status, "no-show")
+    assert.equal(free.mock.callCount(), 1)
+  })
+
+  it("leaves a booking checked in or cancelled meanwhile alone", async () => {
+    stubModel(Reservation, "findOneAndUpdate", null)
+    const free = stubModel(Table, "updateMany", { modifiedCount: 1 })
+
+    await assert.rejects(markNoShow(restaurant, overdue({ status: "paid" })), {
+      message: "Only confirmed reservations can be marked no-show",
+      statusCode: 409,
+    })
+    assert.equal(free.mock.callCount(), 0)
+  })
+})
+
+describe("checkInReservation", () => {
+  const arriving = () => {
+    const tables = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()]
+    return booking({ status: "confirmed", reservationTime: new Date(), tableId: tables[0], tables })
+  }
+
+  it("claims each table only while nobody sits there, then opens the session claimed for", async () => {
+    const reservation = arriving()
+    const claim = stubModel(Table, "findOneAndUpdate", (filter) => ({ _id: filter._id, status: "reserved" }))
+    const seat = stubModel(Reservation, "findOneAndUpdate", (filter, update) => asStored(reservation, update.$set))
+    const open = stubModel(TableSession, "create", (fields) => ({ ...fields, orders: [] }))
+
+    const { session, order } = await checkInReservation(restaurant, reservation)
+
+    const [filter, update] = claim.mock.calls[0].arguments
+    assert.equal(filter.currentSession, null)
+    assert.deepEqual(filter.status, { $in: ["available", "reserved"] })
+    assert.ok(update.$set.currentSession.equals(session._id))
+    assert.equal(claim.mock.callCount(), 2)
+    assert.deepEqual(seat.mock.calls[0].arguments[0], { _id: reservation._id, status: "confirmed" })
+    assert.ok(open.mock.calls[0].arguments[0]._id.equals(session._id))
+    assert.equal(reservation.status, "seated")
+    assert.equal(order, null)
+  })
+
+  it("gives back the tables it claimed when one is taken", async () => {
+    const reservation = arriving()
+    stubModel(Table, "findOneAndUpdate", (filter) => ({ _id: filter._id, status: "reserved" }), null)
+    const release = stubModel(Table, "updateOne", { modifiedCount: 1 })
+    stubModel(Table, "exists", { _id: reservation.tables[1] })
+    const seat = stubModel(Reservation, "findOneAndUpdate", null)
+
+    await assert.rejects(checkInReservation(restaurant, reservation), {
+      message: "Table is not available",
+      statusCode: 409,
+    })
+    const [filter, update] = release.mock.calls[0].arguments
+    assert.ok(filter._id.equals(reservation.tables[0]))
+    assert.deepEqual(update.$set, { status: "reserved", currentSession: null })
+    assert.equal(release.mock.callCount(), 1)
+    assert.equal(seat.mock.callCount(), 0)
+  })
+
+  it("gives the tables back when the booking was marked no-show or cancelled meanwhile", async () => {
+    const reservation = arriving()
+    stubModel(Table, "findOneAndUpdate", (filter) => ({ _id: filter._id, status: "reserved" }))
+    const release = stubModel(Table, "updateOne", { modifiedCount: 1 })
+    stubModel(Reservation, "findOneAndUpdate", null)
+    const open = stubModel(TableSession, "create", {})
+
+    await assert.rejects(checkInReservation(restaurant, reservation), {
+      message: "Only confirmed reservations can be checked in",
+      statusCode: 409,
+    })
+    assert.equal(release.mock.callCount(), 2)
+    assert.equal(open.mock.callCount(), 0)
+  })
+})
+
+describe("getRequiredDeposit", () => {
+  it("charges per guest from the minimum party size or on a deposit date", () => {
+    assert.equal(getRequiredDeposit(restaurant, new Date("2030-06-01T19:00:00Z"), 4), 0)
+    assert.equal(getRequiredDeposit(restaurant, new Date("2030-06-01T19:00:00Z"), 6), 60)
+    assert.equal(getRequiredDeposit(restaurant, new Date("2030-12-31T19:00:00Z"), 2), 20)
+  })
+})
@@ -0,0 +1,105 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { StripeEvent } from "../models/stripeEvent.model.js"
+import { Order } from "../models/order.model.js"
+import { processStripeEvent, SETTLED_PAYMENT_STATUSES } from "../services/stripeWebhookService.js"
+import { stubModel, duplicateKeyError, closeConnections } from "./helpers/models.js"
+
+const orderId = new mongoose.Types.ObjectId().toString()
+
+const event = (type, object, id = "evt_1") => ({ id, type, livemode: false, data: { object } })
+
+const paymentFailed = () =>
+  event("payment_intent.payment_failed", {
+    id: "pi_1",
+    metadata: { orderId },
+    last_payment_error: { message: "Card declined" },
+  })
+
+// Another delivery of the event already stored it with this status
+const stubDelivered = (status, takeOver = null) => {
+  stubModel(StripeEvent, "create", duplicateKeyError())
+  const claim = stubModel(StripeEvent, "findOneAndUpdate", takeOver)
+  stubModel(StripeEvent, "findOne", { status })
+  return claim
+}
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("processStripeEvent", () => {
+  it("runs the handler of a new event and marks it processed", async () => {
+    const claim = stubModel(StripeEvent, "create", {})
+    const mark = stubModel(StripeEvent, "updateOne", { modifiedCount: 1 })
+    const handle = stubModel(Order, "updateOne", { modifiedCount: 1 })
+
+    assert.equal(await processStripeEvent(paymentFailed()), "processed")
+
+    assert.equal(claim.mock.calls[0].arguments[0].eventId, "evt_1")
+    const [filter, update] = handle.mock.calls[0].arguments
+    assert.deepEqual(filter, { _id: orderId, paymentStatus: { $nin: SETTLED_PAYMENT_STATUSES } })
+    assert.equal(update.$set.paymentStatus, "failed")
+    assert.equal(mark.mock.calls[0].arguments[1].$set.status, "processed")
+  })
+
+  it("skips a redelivery of an event already processed", async () => {
+    stubDelivered("processed")
+    const handle = stubModel(Order, "updateOne", { modifiedCount: 1 })
+
+    assert.equal(await processStripeEvent(paymentFailed()), "duplicate")
+    assert.equal(handle.mock.callCount(), 0)
+  })
+
+  it("leaves an event to the delivery processing it", async () => {
+    stubDelivered("processing")
+    const handle = stubModel(Order, "updateOne", { modifiedCount: 1 })
+
+    assert.equal(await processStripeEvent(paymentFailed()), "in_progress")
+    assert.equal(handle.mock.callCount(), 0)
+  })
+
+  it("takes over an event whose earlier delivery failed or stalled", async () => {
+    const claim = stubDelivered("failed", { eventId: "evt_1" })
+    stubModel(StripeEvent, "updateOne", { modifiedCount: 1 })
+    const handle = stubModel(Order, "updateOne", { modifiedCount: 1 })
+
+    assert.equal(await processStripeEvent(paymentFailed()), "processed")
+
+    const [filter, update] = claim.mock.calls[0].arguments
+    assert.deepEqual(filter.$or[0], { status: "failed" })
+    assert.equal(filter.$or[1].status, "processing")
+    assert.deepEqual(update.$inc, { attempts: 1 })
+    assert.equal(handle.mock.callCount(), 1)
+  })
+
+  it("stores a failed handler run for the next delivery and rethrows", async () => {
+    stubModel(StripeEvent, "create", {})
+    const mark = stubModel(StripeEvent, "updateOne", { modifiedCount: 1 })
+    stubModel(Order, "updateOne", new Error("connection lost"))
+
+    await assert.rejects(processStripeEvent(paymentFailed()), { message: "connection lost" })
+    assert.deepEqual(mark.mock.calls[0].arguments[1], { $set: { status: "failed", error: "connection lost" } })
+  })
+
+  it("records event types it does not handle as ignored", async () => {
+    stubModel(StripeEvent, "create", {})
+    const mark = stubModel(StripeEvent, "updateOne", { modifiedCount: 1 })
+
+    assert.equal(await processStripeEvent(event("customer.created", { id: "cus_1" })), "ignored")
+    assert.equal(mark.mock.calls[0].arguments[1].$set.status, "ignored")
+  })
+
+  it("never marks a settled order paid on a late payment success", async () => {
+    stubModel(StripeEvent, "create", {})
+    stubModel(StripeEvent, "updateOne", { modifiedCount: 1 })
+    const pay = stubModel(Order, "findOneAndUpdate", null)
+
+    const succeeded = event("payment_intent.succeeded", { id: "pi_2", amount: 1200, metadata: { orderId } }, "evt_2")
+    assert.equal(await processStripeEvent(succeeded), "processed")
+
+    const [filter, update] = pay.mock.calls[0].arguments
+    assert.deepEqual(filter.paymentStatus, { $nin: SETTLED_PAYMENT_STATUSES })
+    assert.deepEqual(update.$set, { paymentMethod: "card", paymentStatus: "paid", paymentId: "pi_2" })
+  })
+})
@@ -0,0 +1,207 @@
+import { describe, it, afterEach, after, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { User } from "../models/user.model.js"
+import { LedgerTransaction } from "../models/ledger.model.js"
+import { postWalletTransaction, reconcileWallets, walletAccount, WalletError } from "../services/walletService.js"
+import { stubModel, duplicateKeyError, closeConnections } from "./helpers/models.js"
+
+const userId = new mongoose.Types.ObjectId()
+const KEY = "order:1:wallet"
+
+const topup = (overrides = {}) => ({
+  userId,
+  type: "topup",
+  direction: "credit",
+  amount: 12.5,
+  counterAccount: "stripe:clearing",
+  description: "Top-up",
+  idempotencyKey: KEY,
+  ...overrides,
+})
+
+const ledgerTransaction = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  idempotencyKey: KEY,
+  type: "topup",
+  status: "pending",
+  user: userId,
+  entries: [
+    { account: walletAccount(userId), direction: "credit", amount: 1250 },
+    { account: "stripe:clearing", direction: "debit", amount: 1250 },
+  ],
+  ...overrides,
+})
+
+afterEach(() => mock.restoreAll())
+after(closeConnections)
+
+describe("postWalletTransaction", () => {
+  it("claims a new transaction, moves the balance once and posts it", async () => {
+    const transaction = ledgerTransaction()
+    stubModel(LedgerTransaction, "create", transaction)
+    const claim = stubModel(LedgerTransaction, "findOneAndUpdate", { ...transaction, status: "applying" })
+    const apply = stubModel(User, "findOneAndUpdate", { wallet: { balance: 22.5 } })
+    const post = stubModel(LedgerTransaction, "findByIdAndUpdate", (id, update) => ({ ...transaction, ...update.$set }))
+    const release = stubModel(User, "updateOne", { modifiedCount: 1 })
+
+    const result = await postWalletTransaction(topup())
+
+    assert.equal(result.applied, true)
+    assert.equal(result.balance, 22.5)
+    assert.equal(result.transaction.status, "posted")
+    assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: transaction._id, status: "pending" })
+
+    const [filter, update] = apply.mock.calls[0].arguments
+    assert.deepEqual(filter["wallet.pendingKeys"], { $ne: KEY })
+    assert.deepEqual(update.$inc, { "wallet.balance": 12.5 })
+    assert.deepEqual(update.$push, { "wallet.pendingKeys": KEY })
+    assert.equal(post.mock.callCount(), 1)
+    assert.deepEqual(release.mock.calls[0].arguments[1], { $pull: { "wallet.pendingKeys": KEY } })
+  })
+
+  it("returns a posted transaction on retry without touching the balance", async () => {
+    stubModel(LedgerTransaction, "create", duplicateKeyError())
+    stubModel(LedgerTransaction, "findOne", ledgerTransaction({ status: "posted", balanceAfter: 22.5 }))
+    const claim = stubModel(LedgerTransaction, "findOneAndUpdate", null)
+    const apply = stubModel(User, "findOneAndUpdate", null)
+
+    const result = await postWalletTransaction(topup())
+
+    assert.equal(result.applied, false)
+    assert.equal(result.balance, 22.5)
+    assert.equal(claim.mock.callCount(), 0)
+    assert.equal(apply.mock.callCount(), 0)
+  })
+
+  it("refuses a key reused for a different amount", async () => {
+    stubModel(LedgerTransaction, "create", duplicateKeyError())
+    stubModel(LedgerTransaction, "findOne", ledgerTransaction({ status: "posted" }))
+    const apply = stubModel(User, "findOneAndUpdate", null)
+
+    await assert.rejects(postWalletTransaction(topup({ amount: 20 })), { name: "WalletError", statusCode: 409 })
+    assert.equal(apply.mock.callCount(), 0)
+  })
+
+  it("claims a transaction an earlier attempt left pending", async () => {
+    const transaction = ledgerTransaction()
+    stubModel(LedgerTransaction, "create", duplicateKeyError())
+    stubModel(LedgerTransaction, "findOne", transaction)
+    stubModel(LedgerTransaction, "findOneAndUpdate", { ...transaction, status: "applying" })
+    const apply = stubModel(User, "findOneAndUpdate", { wallet: { balance: 12.5 } })
+    stubModel(LedgerTransaction, "findByIdAndUpdate", { ...transaction, status: "posted" })
+    stubModel(User, "updateOne", { modifiedCount: 1 })
+
+    const result = await postWalletTransaction(topup())
+
+    assert.equal(result.applied, true)
+    assert.equal(apply.mock.callCount(), 1)
+  })
+
+  it("leaves the balance to the attempt that holds the claim", async () => {
+    const transaction = ledgerTransaction()
+    stubModel(LedgerTransaction, "create", duplicateKeyError())
+    stubModel(LedgerTransaction, "findOne", transaction)
+    stubModel(LedgerTransaction, "findOneAndUpdate", null)
+    stubModel(LedgerTransaction, "findById", { ...transaction, status: "applying" })
+    stubModel(User, "findById", { wallet: { balance: 10, pendingKeys: [] } })
+    const apply = stubModel(User, "findOneAndUpdate", null)
+
+    await assert.rejects(postWalletTransaction(topup()), (error) => {
+      assert.ok(error instanceof WalletError)
+      assert.equal(error.statusCode, 409)
+      return true
+    })
+    assert.equal(apply.mock.callCount(), 0)
+  })
+
+  it("reports a concurrent attempt that already moved the balance as done", async () => {
+    const transaction = ledgerTransaction()
+    stubModel(LedgerTransaction, "create", duplicateKeyError())
+    stubModel(LedgerTransaction, "findOne", transaction)
+    stubModel(LedgerTransaction, "findOneAndUpdate", null)
+    stubModel(LedgerTransaction, "findById", { ...transaction, status: "applying" })
+    stubModel(User, "findById", { wallet: { balance: 22.5, pendingKeys: [KEY] } })
+    const apply = stubModel(User, "findOneAndUpdate", null)
+
+    const result = await postWalletTransaction(topup())
+
+    assert.equal(result.applied, false)
+    assert.equal(result.balance, 22.5)
+    assert.equal(apply.mock.callCount(), 0)
+  })
+
+  it("rejects a debit larger than the balance when funds are required", async () => {
+    const transaction = ledgerTransaction({ type: "payout" })
+    stubModel(LedgerTransaction, "create", transaction)
+    stubModel(LedgerTransaction, "findOneAndUpdate", { ...transaction, status: "applying" })
+    const apply = stubModel(User, "findOneAndUpdate", null)
+    stubModel(User, "findById", { wallet: { balance: 5 } })
+    const reject = stubModel(LedgerTransaction, "updateOne", { modifiedCount: 1 })
+
+    await assert.rejects(
+      postWalletTransaction(topup({ type: "payout", direction: "debit", counterAccount: "bank:payouts", requireFunds: true })),
+      { message: "Insufficient wallet balance", statusCode: 400 },
+    )
+    assert.deepEqual(apply.mock.calls[0].arguments[0]["wallet.balance"], { $gte: 12.495 })
+    assert.equal(reject.mock.calls[0].arguments[1].$set.status, "rejected")
+  })
+})
+
+describe("reconcileWallets", () => {
+  // No stale transactions and no leftover keys, then one wallet to check
+  const stubRun = (wallet, { ledgerBalance, busy = null, updated = 1 }) => {
+    stubModel(LedgerTransaction, "find", [])
+    stubModel(LedgerTransaction, "distinct", [wallet._id])
+    stubModel(User, "find", [], [wallet])
+    stubModel(LedgerTransaction, "aggregate", [{ balance: ledgerBalance }])
+    stubModel(LedgerTransaction, "exists", busy)
+    return stubModel(User, "updateOne", { modifiedCount: updated })
+  }
+
+  it("corrects a drifted balance only if it has not moved since it was read", async () => {
+    const wallet = { _id: userId, wallet: { balance: 12.5, reconciledAt: new Date() } }
+    const update = stubRun(wallet, { ledgerBalance: 1000 })
+
+    const result = await reconcileWallets()
+
+    assert.deepEqual(result, { settled: 0, checked: 1, corrected: 1, opened: 0 })
+    const [filter, change] = update.mock.calls[0].arguments
+    assert.deepEqual(filter, { _id: userId, "wallet.balance": 12.5 })
+    assert.equal(change.$set["wallet.balance"], 10)
+  })
+
+  it("leaves a wallet that moved during the compare-and-set to the next run", async () => {
+    const wallet = { _id: userId, wallet: { balance: 12.5, reconciledAt: new Date() } }
+    stubRun(wallet, { ledgerBalance: 1000, updated: 0 })
+
+    assert.deepEqual(await reconcileWallets(), { settled: 0, checked: 1, corrected: 0, opened: 0 })
+  })
+
+  it("skips a wallet with a transaction in flight", async () => {
+    const wallet = { _id: userId, wallet: { balance: 12.5, reconciledAt: new Date() } }
+    const update = stubRun(wallet, { ledgerBalance: 1000, busy: { _id: new mongoose.Types.ObjectId() } })
+
+    assert.deepEqual(await reconcileWallets(), { settled: 0, checked: 0, corrected: 0, opened: 0 })
+    assert.equal(update.mock.callCount(), 0)
+  })
+
+  it("books what the ledger does not explain as the opening balance on the first run", async () => {
+    const wallet = { _id: userId, wallet: { balance: 20 } }
+    stubRun(wallet, { ledgerBalance: 1500 })
+    const opening = stubModel(LedgerTransaction, "create", {})
+
+    const result = await reconcileWallets()
+
+    assert.deepEqual(result, { settled: 0, checked: 1, corrected: 0, opened: 1 })
+    const [transaction] = opening.mock.calls[0].arguments
+    assert.equal(transaction.idempotencyKey, `opening:${userId}`)
+    assert.deepEqual(
+      transaction.entries.map(({ account, direction, amount }) => ({ account, direction, amount })),
+      [
+        { account: walletAccount(userId), direction: "credit", amount: 500 },
+        { account: "system:opening_balance", direction: "debit", amount: 500 },
+      ],
+    )
+  })
+})